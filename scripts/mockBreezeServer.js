@@ -0,0 +1,116 @@
+// Mock Breeze API server for local testing
+// Serves customer details, holdings, trades and funds in the Breeze response
+// format from a fixture, so broker sync can be exercised without an ICICI
+// Direct account. Run it with
+//   node scripts/mockBreezeServer.js [fixture.json]
+// and start the app in development with BREEZE_API_BASE_URL=http://127.0.0.1:9410
+const http = require('http');
+const fs = require('fs');
+
+const DEFAULT_PORT = 9410;
+
+const DEFAULT_FIXTURE = {
+  customer: {
+    idirect_userid: 'MOCKUSER',
+    idirect_user_name: 'Mock Breeze User',
+    idirect_lastlogin_time: '2024-01-01 09:00:00'
+  },
+  holdings: [
+    { stock_code: 'RELIANCE', exchange_code: 'BSE', quantity: '10', average_price: '2450.00', current_market_price: '2900.00' },
+    { stock_code: 'INFY', exchange_code: 'BSE', quantity: '25', average_price: '1400.00', current_market_price: '1550.00' }
+  ],
+  trades: [
+    { stock_code: 'INFY', exchange_code: 'NSE', product_type: 'Cash', action: 'Buy', quantity: '5', average_cost: '1500.00', trade_date: '15-Jan-2024', order_id: 'MOCK0001', brokerage_amount: '7.50', total_taxes: '9.18' }
+  ],
+  funds: {
+    total_bank_balance: 100000,
+    allocated_equity: 50000,
+    unallocated_balance: '50000'
+  }
+};
+
+/**
+ * Send a Breeze-style response
+ */
+function send(res, status, success, error = null) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ Success: success, Status: status, Error: error }));
+}
+
+/**
+ * Convert a Breeze trade date (DD-Mon-YYYY) to a comparable timestamp
+ */
+function tradeTime(tradeDate) {
+  return new Date(`${tradeDate} 00:00:00Z`).getTime();
+}
+
+/**
+ * Create a mock Breeze server
+ * @param {Object} fixture - { customer, holdings, trades, funds }; missing
+ *   parts use the defaults
+ * @returns {http.Server} - Not yet listening
+ */
+function createMockBreezeServer(fixture = {}) {
+  const data = { ...DEFAULT_FIXTURE, ...fixture };
+
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      let params = {};
+      try {
+        params = body ? JSON.parse(body) : {};
+      } catch (error) {
+        send(res, 400, null, 'Invalid JSON body');
+        return;
+      }
+
+      const route = req.url.split('?')[0].replace(/\/+$/, '').split('/').pop();
+
+      if (route === 'customerdetails') {
+        if (!params.SessionToken || !params.AppKey) {
+          send(res, 401, null, 'SessionToken and AppKey are required');
+          return;
+        }
+        send(res, 200, { ...data.customer, session_token: 'mock-session-token' });
+        return;
+      }
+
+      if (!req.headers['x-sessiontoken'] || !req.headers['x-checksum']) {
+        send(res, 401, null, 'Session token and checksum headers are required');
+        return;
+      }
+
+      if (route === 'portfolioholdings') {
+        send(res, 200, data.holdings);
+      } else if (route === 'trades') {
+        const from = params.from_date ? new Date(params.from_date).setUTCHours(0, 0, 0, 0) : -Infinity;
+        const to = params.to_date ? new Date(params.to_date).getTime() : Infinity;
+
+        send(res, 200, data.trades.filter(trade =>
+          (!params.exchange_code || trade.exchange_code === params.exchange_code) &&
+          tradeTime(trade.trade_date) >= from &&
+          tradeTime(trade.trade_date) <= to
+        ));
+      } else if (route === 'funds') {
+        send(res, 200, data.funds);
+      } else {
+        send(res, 404, null, `Unknown endpoint: ${req.url}`);
+      }
+    });
+  });
+}
+
+if (require.main === module) {
+  const fixture = process.argv[2] ? JSON.parse(fs.readFileSync(process.argv[2], 'utf8')) : {};
+  const port = Number(process.env.MOCK_BREEZE_PORT) || DEFAULT_PORT;
+
+  createMockBreezeServer(fixture).listen(port, '127.0.0.1', () => {
+    console.log(`Mock Breeze API listening on http://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = { createMockBreezeServer };
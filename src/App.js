@@ -8,10 +8,15 @@ import Layout from './components/Layout/Layout';
 import LoadingSpinner from './components/Common/LoadingSpinner';
 import ErrorBoundary from './components/Common/ErrorBoundary';
 import { SessionProvider, useSession } from './context/SessionContext';
+import { PortfolioProvider } from './context/PortfolioContext';
 
 // Import pages
 import Portfolio from './pages/Portfolio';
+import MutualFunds from './pages/MutualFunds';
 import Transactions from './pages/Transactions';
+import Watchlist from './pages/Watchlist';
+import Alerts from './pages/Alerts';
+import StockDetail from './pages/StockDetail';
 import Reports from './pages/Reports';
 import Settings from './pages/Settings';
 
@@ -43,7 +48,11 @@ function AppContent() {
                       <Route path="/" element={<Portfolio />} />
                       <Route path="/portfolio" element={<Portfolio />} />
                       <Route path="/dashboard" element={<Navigate to="/portfolio" replace />} />
+                      <Route path="/mutual-funds" element={<MutualFunds />} />
                       <Route path="/transactions" element={<Transactions />} />
+                      <Route path="/watchlist" element={<Watchlist />} />
+                      <Route path="/alerts" element={<Alerts />} />
+                      <Route path="/stock/:symbol" element={<StockDetail />} />
                       <Route path="/reports" element={<Reports />} />
                       <Route path="/settings" element={<Settings />} />
                       <Route path="*" element={<Navigate to="/portfolio" replace />} />
@@ -63,7 +72,9 @@ function AppContent() {
 function App() {
   return (
     <SessionProvider>
-      <AppContent />
+      <PortfolioProvider>
+        <AppContent />
+      </PortfolioProvider>
     </SessionProvider>
   );
 }
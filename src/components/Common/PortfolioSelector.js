@@ -0,0 +1,43 @@
+import React from 'react';
+import { usePortfolio } from '../../context/PortfolioContext';
+import './PortfolioSelector.css';
+
+export const ACCOUNT_TYPE_LABELS = {
+  INDIVIDUAL: 'Individual',
+  HUF: 'HUF',
+  JOINT: 'Joint',
+  OTHER: 'Other'
+};
+
+/**
+ * PortfolioSelector Component
+ * Chooses the account the page shows, or all accounts combined. Hidden until
+ * the user has more than one portfolio.
+ */
+const PortfolioSelector = ({ label = 'Account:' }) => {
+  const { portfolios, selectedPortfolioId, setSelectedPortfolioId } = usePortfolio();
+
+  if (portfolios.length <= 1) {
+    return null;
+  }
+
+  return (
+    <div className="portfolio-selector">
+      <label htmlFor="portfolio-select">{label}</label>
+      <select
+        id="portfolio-select"
+        value={selectedPortfolioId || ''}
+        onChange={(e) => setSelectedPortfolioId(e.target.value || null)}
+      >
+        <option value="">All accounts</option>
+        {portfolios.map(portfolio => (
+          <option key={portfolio.id} value={portfolio.id}>
+            {portfolio.name} ({ACCOUNT_TYPE_LABELS[portfolio.account_type] || portfolio.account_type})
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default PortfolioSelector;
@@ -56,6 +56,14 @@ const Layout = ({ user, onLogout, children }) => {
               <span className="nav-label">Portfolio</span>
             </Link>
 
+            <Link 
+              to="/mutual-funds" 
+              className={`nav-item ${isActive('/mutual-funds') ? 'active' : ''}`}
+            >
+              <span className="nav-icon">🏦</span>
+              <span className="nav-label">Mutual Funds</span>
+            </Link>
+
             <Link 
               to="/transactions" 
               className={`nav-item ${isActive('/transactions') ? 'active' : ''}`}
@@ -64,6 +72,22 @@ const Layout = ({ user, onLogout, children }) => {
               <span className="nav-label">Transactions</span>
             </Link>
 
+            <Link 
+              to="/watchlist" 
+              className={`nav-item ${isActive('/watchlist') ? 'active' : ''}`}
+            >
+              <span className="nav-icon">👀</span>
+              <span className="nav-label">Watchlist</span>
+            </Link>
+
+            <Link 
+              to="/alerts" 
+              className={`nav-item ${isActive('/alerts') ? 'active' : ''}`}
+            >
+              <span className="nav-icon">🔔</span>
+              <span className="nav-label">Alerts</span>
+            </Link>
+
             <Link 
               to="/reports" 
               className={`nav-item ${isActive('/reports') ? 'active' : ''}`}
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { useSession } from '../../context/SessionContext';
+import { validateAllocationCSV } from '../../utils/api/mutualFundAPI';
+import './AllocationEditor.css';
+
+/**
+ * AllocationEditor Component
+ * Edits a fund's stock allocations by hand or replaces them from a CSV file,
+ * listing every row the validator rejected
+ */
+const AllocationEditor = ({ allocations, onChange, disabled = false }) => {
+  const { sessionToken } = useSession();
+  const [report, setReport] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const updateRow = (index, field, value) => {
+    onChange(allocations.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const addRow = () => {
+    onChange([...allocations, { stockSymbol: '', stockName: '', allocationPercent: '' }]);
+  };
+
+  const removeRow = (index) => {
+    onChange(allocations.filter((row, i) => i !== index));
+  };
+
+  const handleImportCSV = async () => {
+    const selection = await window.electronAPI.openFileDialog({
+      title: 'Import Fund Allocations',
+      filters: [
+        { name: 'CSV Files', extensions: ['csv'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
+
+    if (selection.canceled || !selection.filePaths || selection.filePaths.length === 0) {
+      return;
+    }
+
+    try {
+      setIsImporting(true);
+      setReport(null);
+      const result = await validateAllocationCSV(sessionToken, selection.filePaths[0]);
+
+      if (result.success) {
+        onChange(result.data.map(row => ({
+          stockSymbol: row.stockSymbol,
+          stockName: row.stockName || '',
+          allocationPercent: row.allocationPercent
+        })));
+      }
+
+      setReport(result);
+    } catch (err) {
+      setReport({ success: false, errors: [{ message: err.message || 'Failed to read CSV file' }], warnings: [] });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const total = allocations.reduce((sum, row) => sum + (parseFloat(row.allocationPercent) || 0), 0);
+
+  return (
+    <div className="allocation-editor">
+      <div className="allocation-editor-header">
+        <h4>Stock Allocations</h4>
+        <span className={`allocation-total ${Math.abs(total - 100) > 5 ? 'off' : ''}`}>
+          Total {total.toFixed(2)}%
+        </span>
+        <button className="mf-btn small" onClick={handleImportCSV} disabled={disabled || isImporting}>
+          {isImporting ? 'Reading...' : '📄 Import CSV'}
+        </button>
+        <button className="mf-btn small" onClick={addRow} disabled={disabled}>+ Row</button>
+      </div>
+
+      {report && report.success && (
+        <div className="mf-message success">
+          ✓ Loaded {report.data.length} allocations from CSV
+          {report.warnings.map((warning, i) => <div key={i}>⚠️ {warning.message}</div>)}
+        </div>
+      )}
+
+      {report && !report.success && (
+        <div className="mf-message error">
+          <strong>CSV rejected with {report.errors.length} {report.errors.length === 1 ? 'error' : 'errors'}:</strong>
+          <ul className="allocation-errors">
+            {report.errors.map((err, i) => <li key={i}>{err.message}</li>)}
+          </ul>
+          <div className="mf-meta">
+            The file needs a symbol (BSE scrip code or short name) and a percent column.
+          </div>
+        </div>
+      )}
+
+      {allocations.length === 0 ? (
+        <p className="mf-note">No allocations yet. Add rows or import a CSV.</p>
+      ) : (
+        <table className="mf-table">
+          <thead>
+            <tr>
+              <th>Symbol</th>
+              <th>Stock Name</th>
+              <th className="numeric">Allocation %</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {allocations.map((row, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    type="text"
+                    value={row.stockSymbol}
+                    onChange={(e) => updateRow(index, 'stockSymbol', e.target.value.toUpperCase())}
+                    placeholder="500325"
+                    disabled={disabled}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="text"
+                    value={row.stockName}
+                    onChange={(e) => updateRow(index, 'stockName', e.target.value)}
+                    placeholder="Reliance Industries Ltd"
+                    disabled={disabled}
+                  />
+                </td>
+                <td className="numeric">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    value={row.allocationPercent}
+                    onChange={(e) => updateRow(index, 'allocationPercent', e.target.value)}
+                    disabled={disabled}
+                  />
+                </td>
+                <td className="mf-actions">
+                  <button className="mf-btn small" onClick={() => removeRow(index)} disabled={disabled}>✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default AllocationEditor;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import { getConsolidatedHoldings } from '../../utils/api/mutualFundAPI';
+import './ConsolidatedHoldings.css';
+
+/**
+ * ConsolidatedHoldings Component
+ * Stocks held directly and through mutual funds, combined per stock
+ */
+const ConsolidatedHoldings = () => {
+  const { sessionToken } = useSession();
+  const [holdings, setHoldings] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [expandedSymbol, setExpandedSymbol] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadHoldings = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const result = await getConsolidatedHoldings(sessionToken);
+        setHoldings(result.holdings || []);
+        setSummary(result.summary || null);
+      } catch (err) {
+        setError(err.message || 'Failed to load consolidated holdings');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadHoldings();
+  }, [sessionToken]);
+
+  if (isLoading) {
+    return <div className="mf-card"><p className="mf-note">Loading consolidated holdings...</p></div>;
+  }
+
+  if (error) {
+    return <div className="mf-message error">{error}</div>;
+  }
+
+  const term = filter.trim().toLowerCase();
+  const visible = term
+    ? holdings.filter(holding =>
+      holding.stockSymbol.toLowerCase().includes(term) ||
+      (holding.stockName || '').toLowerCase().includes(term))
+    : holdings;
+
+  return (
+    <div className="consolidated-holdings">
+      {summary && (
+        <div className="consolidated-summary">
+          <div className="consolidated-summary-card">
+            <span className="consolidated-summary-label">Total Value</span>
+            <CurrencyDisplay value={summary.totalValue} />
+          </div>
+          <div className="consolidated-summary-card">
+            <span className="consolidated-summary-label">Direct Stocks</span>
+            <CurrencyDisplay value={summary.directValue} />
+            <span className="mf-meta">{(summary.directPercent || 0).toFixed(1)}% of total</span>
+          </div>
+          <div className="consolidated-summary-card">
+            <span className="consolidated-summary-label">Mutual Funds</span>
+            <CurrencyDisplay value={summary.mutualFundValue} />
+            <span className="mf-meta">{(summary.mutualFundPercent || 0).toFixed(1)}% of total</span>
+          </div>
+          <div className="consolidated-summary-card">
+            <span className="consolidated-summary-label">Stocks via Funds</span>
+            <CurrencyDisplay value={summary.indirectValue} />
+          </div>
+        </div>
+      )}
+
+      <div className="mf-card">
+        <div className="consolidated-toolbar">
+          <h3>Holdings by Stock</h3>
+          <input
+            type="text"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter by symbol or name..."
+          />
+        </div>
+
+        {holdings.length === 0 ? (
+          <p className="mf-note">No stocks held directly or through funds with allocations.</p>
+        ) : (
+          <table className="mf-table">
+            <thead>
+              <tr>
+                <th>Stock</th>
+                <th className="numeric">Price</th>
+                <th className="numeric">Direct</th>
+                <th className="numeric">Via Funds</th>
+                <th className="numeric">Total Value</th>
+                <th className="numeric">Allocation</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(holding => {
+                const breakdown = holding.indirectHoldings.breakdown || [];
+                const isExpanded = expandedSymbol === holding.stockSymbol;
+
+                return (
+                  <React.Fragment key={holding.stockSymbol}>
+                    <tr
+                      className={breakdown.length > 0 ? 'consolidated-expandable' : ''}
+                      onClick={() => breakdown.length > 0 && setExpandedSymbol(isExpanded ? null : holding.stockSymbol)}
+                    >
+                      <td>
+                        <strong>{holding.stockName || holding.stockSymbol}</strong>
+                        <div className="mf-meta">
+                          {holding.stockSymbol}
+                          {breakdown.length > 0 && ` · ${breakdown.length} ${breakdown.length === 1 ? 'fund' : 'funds'} ${isExpanded ? '▴' : '▾'}`}
+                        </div>
+                      </td>
+                      <td className="numeric"><CurrencyDisplay value={holding.currentPrice} /></td>
+                      <td className="numeric">
+                        {holding.directHoldings.value > 0 ? (
+                          <>
+                            <CurrencyDisplay value={holding.directHoldings.value} />
+                            <div className="mf-meta">{holding.directHoldings.shares} shares</div>
+                          </>
+                        ) : '-'}
+                      </td>
+                      <td className="numeric">
+                        {holding.indirectHoldings.totalValue > 0 ? (
+                          <>
+                            <CurrencyDisplay value={holding.indirectHoldings.totalValue} />
+                            <div className="mf-meta">{holding.indirectHoldings.totalShares.toFixed(2)} shares</div>
+                          </>
+                        ) : '-'}
+                      </td>
+                      <td className="numeric"><CurrencyDisplay value={holding.totalHoldings.value} /></td>
+                      <td className="numeric">{(holding.allocationPercent || 0).toFixed(2)}%</td>
+                    </tr>
+                    {isExpanded && breakdown.map(fund => (
+                      <tr key={`${holding.stockSymbol}-${fund.mutualFundId}`} className="consolidated-breakdown">
+                        <td colSpan="3">↳ {fund.mutualFundName}</td>
+                        <td className="numeric">
+                          <CurrencyDisplay value={fund.shares * holding.currentPrice} />
+                          <div className="mf-meta">{fund.shares.toFixed(2)} shares</div>
+                        </td>
+                        <td colSpan="2"></td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConsolidatedHoldings;
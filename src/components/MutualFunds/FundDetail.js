@@ -0,0 +1,26 @@
+import React from 'react';
+import FundTransactions from './FundTransactions';
+import FundDisclosures from './FundDisclosures';
+import './FundDetail.css';
+
+/**
+ * FundDetail Component
+ * Transactions of a fund and, for AMFI schemes, its portfolio disclosures
+ */
+const FundDetail = ({ fund, onChange }) => {
+  return (
+    <div className="mf-card fund-detail">
+      <h3>{fund.schemeName}</h3>
+      <FundTransactions fund={fund} onChange={onChange} />
+      {fund.schemeCode ? (
+        <FundDisclosures fund={fund} onChange={onChange} />
+      ) : (
+        <p className="mf-note">
+          Link this fund to an AMFI scheme (add it by scheme) to import the AMC&apos;s portfolio disclosures.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default FundDetail;
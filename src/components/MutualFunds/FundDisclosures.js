@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import DateDisplay from '../Common/DateDisplay';
+import {
+  listDisclosureSheets,
+  importMutualFundDisclosure,
+  getMutualFundDisclosures,
+  deleteMutualFundDisclosure
+} from '../../utils/api/mutualFundAPI';
+
+const formatPercent = (value) => `${(value || 0).toFixed(2)}%`;
+
+/**
+ * FundDisclosures Component
+ * Imports the AMC's monthly portfolio disclosure for a scheme and lists the
+ * dated snapshots used for its look-through holdings
+ */
+const FundDisclosures = ({ fund, onChange }) => {
+  const { sessionToken } = useSession();
+  const [disclosures, setDisclosures] = useState([]);
+  const [pending, setPending] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadDisclosures = async () => {
+    try {
+      setDisclosures(await getMutualFundDisclosures(sessionToken, fund.schemeCode));
+    } catch (err) {
+      setError(err.message || 'Failed to load disclosures');
+    }
+  };
+
+  useEffect(() => {
+    loadDisclosures();
+  }, [fund.schemeCode, sessionToken]);
+
+  const handleChooseFile = async () => {
+    const selection = await window.electronAPI.openFileDialog({
+      title: 'Import Portfolio Disclosure',
+      filters: [
+        { name: 'Excel Files', extensions: ['xlsx', 'xls'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
+
+    if (selection.canceled || !selection.filePaths || selection.filePaths.length === 0) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      setResult(null);
+      const filePath = selection.filePaths[0];
+      const sheets = await listDisclosureSheets(sessionToken, filePath);
+
+      if (sheets.length === 0) {
+        throw new Error('No portfolio sheets found in this file');
+      }
+
+      // Preselect the sheet whose scheme name matches this fund
+      const fundName = fund.schemeName.toLowerCase();
+      const match = sheets.find(sheet => sheet.schemeName && fundName.includes(sheet.schemeName.toLowerCase())) || sheets[0];
+      setPending({ filePath, sheets, sheetName: match.sheetName, asOfDate: match.asOfDate || '' });
+    } catch (err) {
+      setError(err.message || 'Failed to read disclosure file');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSheetChange = (sheetName) => {
+    const sheet = pending.sheets.find(candidate => candidate.sheetName === sheetName);
+    setPending(prev => ({ ...prev, sheetName, asOfDate: (sheet && sheet.asOfDate) || prev.asOfDate }));
+  };
+
+  const handleImport = async () => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      const imported = await importMutualFundDisclosure(sessionToken, pending.filePath, fund.schemeCode, {
+        sheetName: pending.sheetName,
+        asOfDate: pending.asOfDate || null
+      });
+      setResult(imported);
+      setPending(null);
+      await loadDisclosures();
+      onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to import disclosure');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (disclosure) => {
+    if (!window.confirm(`Delete the disclosure as on ${disclosure.as_of_date}?`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      await deleteMutualFundDisclosure(sessionToken, disclosure.id);
+      await loadDisclosures();
+      onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to delete disclosure');
+    }
+  };
+
+  return (
+    <div className="fund-detail-section">
+      <div className="fund-detail-heading">
+        <h4>Portfolio Disclosures</h4>
+        <button className="mf-btn small" onClick={handleChooseFile} disabled={isSaving}>
+          📥 Import Disclosure
+        </button>
+      </div>
+
+      {pending && (
+        <div className="fund-detail-form">
+          <select value={pending.sheetName} onChange={(e) => handleSheetChange(e.target.value)}>
+            {pending.sheets.map(sheet => (
+              <option key={sheet.sheetName} value={sheet.sheetName}>
+                {sheet.sheetName}{sheet.schemeName ? ` – ${sheet.schemeName}` : ''} ({sheet.lineCount} lines)
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={pending.asOfDate}
+            onChange={(e) => setPending(prev => ({ ...prev, asOfDate: e.target.value }))}
+            title="Portfolio date, read from the sheet when present"
+          />
+          <button className="mf-btn primary" onClick={handleImport} disabled={isSaving}>
+            {isSaving ? 'Importing...' : 'Import'}
+          </button>
+          <button className="mf-btn" onClick={() => setPending(null)} disabled={isSaving}>Cancel</button>
+        </div>
+      )}
+
+      {result && (
+        <div className={`mf-message ${result.unmapped.length > 0 ? 'warning' : 'success'}`}>
+          ✓ Imported {result.lineCount} lines as on {result.asOfDate}: equity {formatPercent(result.totals.equity)},
+          debt {formatPercent(result.totals.debt)}, cash {formatPercent(result.totals.cash)}
+          {result.unmapped.length > 0 && (
+            <>
+              <div>⚠️ {result.unmapped.length} equity lines could not be matched to a BSE stock:</div>
+              <ul className="fund-detail-unmapped">
+                {result.unmapped.map(line => (
+                  <li key={line.isin || line.name}>{line.name} ({line.isin || 'no ISIN'}) – {formatPercent(line.percent)}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      {disclosures.length === 0 ? (
+        <p className="mf-note">No disclosures imported. Look-through uses the fund&apos;s own allocations.</p>
+      ) : (
+        <table className="mf-table">
+          <thead>
+            <tr>
+              <th>As On</th>
+              <th>File</th>
+              <th className="numeric">Equity</th>
+              <th className="numeric">Debt</th>
+              <th className="numeric">Cash</th>
+              <th className="numeric">Unmapped</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {disclosures.map(disclosure => (
+              <tr key={disclosure.id}>
+                <td><DateDisplay date={disclosure.as_of_date} /></td>
+                <td>
+                  {disclosure.file_name}
+                  <div className="mf-meta">{disclosure.sheet_name}</div>
+                </td>
+                <td className="numeric">{formatPercent(disclosure.equity_percent)}</td>
+                <td className="numeric">{formatPercent(disclosure.debt_percent)}</td>
+                <td className="numeric">{formatPercent(disclosure.cash_percent)}</td>
+                <td className="numeric">{formatPercent(disclosure.unmapped_percent)}</td>
+                <td className="mf-actions">
+                  <button className="mf-btn small" onClick={() => handleDelete(disclosure)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {error && <div className="mf-message error">{error}</div>}
+    </div>
+  );
+};
+
+export default FundDisclosures;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import DateDisplay from '../Common/DateDisplay';
+import {
+  getMutualFundTransactions,
+  addMutualFundTransaction,
+  deleteMutualFundTransaction
+} from '../../utils/api/mutualFundAPI';
+
+const TYPE_LABELS = {
+  PURCHASE: 'Lump sum',
+  SIP: 'SIP',
+  REDEMPTION: 'Redemption'
+};
+
+const emptyTransaction = () => ({
+  type: 'SIP',
+  date: new Date().toISOString().split('T')[0],
+  units: '',
+  nav: '',
+  amount: '',
+  stampDuty: ''
+});
+
+/**
+ * FundTransactions Component
+ * Purchases, SIP instalments and redemptions of one fund
+ */
+const FundTransactions = ({ fund, onChange }) => {
+  const { sessionToken } = useSession();
+  const [transactions, setTransactions] = useState([]);
+  const [draft, setDraft] = useState(emptyTransaction);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadTransactions = async () => {
+    try {
+      setTransactions(await getMutualFundTransactions(sessionToken, fund.id));
+    } catch (err) {
+      setError(err.message || 'Failed to load transactions');
+    }
+  };
+
+  useEffect(() => {
+    loadTransactions();
+  }, [fund.id, sessionToken]);
+
+  const updateDraft = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const runAction = async (action) => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      await action();
+      await loadTransactions();
+      onChange();
+    } catch (err) {
+      setError(err.message || 'Transaction update failed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await addMutualFundTransaction(sessionToken, fund.id, draft);
+      setDraft(emptyTransaction());
+    });
+  };
+
+  const handleDelete = (transaction) => {
+    if (!window.confirm(`Delete the ${TYPE_LABELS[transaction.transaction_type].toLowerCase()} of ${transaction.transaction_date}?`)) {
+      return;
+    }
+
+    runAction(() => deleteMutualFundTransaction(sessionToken, transaction.id));
+  };
+
+  return (
+    <div className="fund-detail-section">
+      <h4>Transactions</h4>
+
+      {transactions.length === 0 ? (
+        <p className="mf-note">
+          No transactions. Funds without transactions are tracked by the value you entered.
+        </p>
+      ) : (
+        <table className="mf-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Type</th>
+              <th className="numeric">Units</th>
+              <th className="numeric">NAV</th>
+              <th className="numeric">Amount</th>
+              <th className="numeric">Stamp Duty</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {transactions.map(transaction => (
+              <tr key={transaction.id}>
+                <td><DateDisplay date={transaction.transaction_date} /></td>
+                <td>{TYPE_LABELS[transaction.transaction_type]}</td>
+                <td className="numeric">{transaction.units.toFixed(3)}</td>
+                <td className="numeric"><CurrencyDisplay value={transaction.nav} decimals={4} /></td>
+                <td className="numeric"><CurrencyDisplay value={transaction.amount} /></td>
+                <td className="numeric">
+                  {transaction.stamp_duty > 0 ? <CurrencyDisplay value={transaction.stamp_duty} /> : '-'}
+                </td>
+                <td className="mf-actions">
+                  <button className="mf-btn small" onClick={() => handleDelete(transaction)} disabled={isSaving}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form className="fund-detail-form" onSubmit={handleAdd}>
+        <select value={draft.type} onChange={(e) => updateDraft('type', e.target.value)}>
+          {Object.entries(TYPE_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          max={new Date().toISOString().split('T')[0]}
+          value={draft.date}
+          onChange={(e) => updateDraft('date', e.target.value)}
+          required
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.001"
+          placeholder="Units"
+          value={draft.units}
+          onChange={(e) => updateDraft('units', e.target.value)}
+          required
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.0001"
+          placeholder="NAV"
+          value={draft.nav}
+          onChange={(e) => updateDraft('nav', e.target.value)}
+          required
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder="Amount"
+          value={draft.amount}
+          onChange={(e) => updateDraft('amount', e.target.value)}
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder="Stamp duty"
+          value={draft.stampDuty}
+          onChange={(e) => updateDraft('stampDuty', e.target.value)}
+        />
+        <button type="submit" className="mf-btn primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Add'}
+        </button>
+      </form>
+
+      {error && <div className="mf-message error">{error}</div>}
+    </div>
+  );
+};
+
+export default FundTransactions;
@@ -0,0 +1,379 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import AllocationEditor from './AllocationEditor';
+import SchemeSearch from './SchemeSearch';
+import {
+  getMutualFund,
+  addMutualFund,
+  addMutualFundHolding,
+  updateMutualFund,
+  updateMutualFundAllocations
+} from '../../utils/api/mutualFundAPI';
+import './MutualFundForm.css';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const EMPTY_PURCHASE = {
+  type: 'PURCHASE',
+  date: today(),
+  units: '',
+  nav: '',
+  amount: '',
+  stampDuty: ''
+};
+
+/**
+ * Convert editor rows to the service's allocation shape, dropping blank rows
+ * @param {Array} rows - [{ stockSymbol, stockName, allocationPercent }] as typed
+ * @returns {Array} - Allocations with numeric percents
+ */
+const toAllocations = (rows) => rows
+  .filter(row => row.stockSymbol && row.stockSymbol.trim())
+  .map(row => ({
+    stockSymbol: row.stockSymbol.trim(),
+    stockName: (row.stockName || '').trim() || row.stockSymbol.trim(),
+    allocationPercent: parseFloat(row.allocationPercent) || 0
+  }));
+
+/**
+ * MutualFundForm Component
+ * Adds a fund by AMFI scheme and first purchase, or by value and allocations,
+ * and edits an existing fund's details and allocations
+ */
+const MutualFundForm = ({ fundId = null, portfolioId = null, onSaved, onCancel }) => {
+  const { sessionToken } = useSession();
+  const isEdit = fundId !== null;
+  const [mode, setMode] = useState('units');
+  const [scheme, setScheme] = useState(null);
+  const [fields, setFields] = useState({
+    schemeName: '',
+    currentValue: '',
+    investmentDate: today(),
+    folioNumber: '',
+    taxCategory: ''
+  });
+  const [purchase, setPurchase] = useState(EMPTY_PURCHASE);
+  const [allocations, setAllocations] = useState([]);
+  const [allocationsChanged, setAllocationsChanged] = useState(false);
+  const [isLoading, setIsLoading] = useState(isEdit);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isEdit) {
+      return;
+    }
+
+    const loadFund = async () => {
+      try {
+        const fund = await getMutualFund(sessionToken, fundId);
+        setMode(fund.scheme_code ? 'units' : 'value');
+        setScheme(fund.scheme_code ? { scheme_code: fund.scheme_code, scheme_name: fund.scheme_name } : null);
+        setFields({
+          schemeName: fund.scheme_name,
+          currentValue: fund.current_value,
+          investmentDate: fund.investment_date,
+          folioNumber: fund.folio_number || '',
+          taxCategory: fund.tax_category || ''
+        });
+        setAllocations((fund.allocations || []).map(allocation => ({
+          stockSymbol: allocation.stock_symbol,
+          stockName: allocation.stock_name,
+          allocationPercent: allocation.allocation_percent
+        })));
+      } catch (err) {
+        setError(err.message || 'Failed to load mutual fund');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadFund();
+  }, [fundId, isEdit, sessionToken]);
+
+  const updateField = (field, value) => {
+    setFields(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updatePurchase = (field, value) => {
+    setPurchase(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleAllocationsChange = (rows) => {
+    setAllocations(rows);
+    setAllocationsChanged(true);
+  };
+
+  const handleSchemeSelect = (selected) => {
+    setScheme(selected);
+    updateField('schemeName', selected.scheme_name);
+    if (selected.nav && !purchase.nav) {
+      updatePurchase('nav', selected.nav);
+    }
+  };
+
+  const saveNew = async () => {
+    const rows = toAllocations(allocations);
+
+    if (mode === 'units') {
+      if (!scheme) {
+        throw new Error('Select a scheme from the AMFI list');
+      }
+
+      const id = await addMutualFundHolding(
+        sessionToken,
+        {
+          schemeCode: scheme.scheme_code,
+          folioNumber: fields.folioNumber || null,
+          portfolioId,
+          taxCategory: fields.taxCategory || null
+        },
+        purchase
+      );
+
+      if (rows.length > 0) {
+        await updateMutualFundAllocations(sessionToken, id, rows);
+      }
+
+      return `✓ Added ${scheme.scheme_name}`;
+    }
+
+    if (rows.length === 0) {
+      throw new Error('At least one stock allocation is required');
+    }
+
+    await addMutualFund(
+      sessionToken,
+      {
+        schemeName: fields.schemeName.trim(),
+        currentValue: parseFloat(fields.currentValue),
+        investmentDate: fields.investmentDate,
+        portfolioId
+      },
+      rows
+    );
+
+    return `✓ Added ${fields.schemeName.trim()}`;
+  };
+
+  const saveExisting = async () => {
+    const updates = {
+      schemeName: fields.schemeName.trim(),
+      investmentDate: fields.investmentDate,
+      folioNumber: fields.folioNumber,
+      taxCategory: fields.taxCategory
+    };
+
+    // Funds held in units are valued from the latest NAV
+    if (mode === 'value') {
+      updates.currentValue = parseFloat(fields.currentValue);
+    }
+
+    await updateMutualFund(sessionToken, fundId, updates);
+
+    if (allocationsChanged) {
+      await updateMutualFundAllocations(sessionToken, fundId, toAllocations(allocations));
+    }
+
+    return `✓ Updated ${updates.schemeName}`;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      onSaved(isEdit ? await saveExisting() : await saveNew());
+    } catch (err) {
+      setError(err.message || 'Failed to save mutual fund');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="mf-card"><p className="mf-note">Loading fund...</p></div>;
+  }
+
+  return (
+    <form className="mf-card mutual-fund-form" onSubmit={handleSubmit}>
+      <h3>{isEdit ? `Edit ${fields.schemeName}` : 'Add Mutual Fund'}</h3>
+
+      {!isEdit && (
+        <div className="mutual-fund-form-modes">
+          <label>
+            <input type="radio" checked={mode === 'units'} onChange={() => setMode('units')} />
+            AMFI scheme with units
+          </label>
+          <label>
+            <input type="radio" checked={mode === 'value'} onChange={() => setMode('value')} />
+            Current value only
+          </label>
+        </div>
+      )}
+
+      {mode === 'units' && !isEdit && (
+        <div className="mf-field">
+          Scheme
+          <SchemeSearch onSelect={handleSchemeSelect} disabled={isSaving} />
+          {scheme ? (
+            <span className="mutual-fund-form-scheme">
+              {scheme.scheme_name} <span className="mf-meta">({scheme.scheme_code})</span>
+            </span>
+          ) : (
+            <span className="mf-meta">Import an AMFI NAV file first if your scheme is not found.</span>
+          )}
+        </div>
+      )}
+
+      <div className="mf-fields">
+        {(mode === 'value' || isEdit) && (
+          <label className="mf-field">
+            Scheme Name
+            <input
+              type="text"
+              value={fields.schemeName}
+              onChange={(e) => updateField('schemeName', e.target.value)}
+              required
+            />
+          </label>
+        )}
+
+        {mode === 'value' && (
+          <>
+            <label className="mf-field">
+              Current Value (₹)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={fields.currentValue}
+                onChange={(e) => updateField('currentValue', e.target.value)}
+                required
+              />
+            </label>
+            <label className="mf-field">
+              Investment Date
+              <input
+                type="date"
+                max={today()}
+                value={fields.investmentDate}
+                onChange={(e) => updateField('investmentDate', e.target.value)}
+                required
+              />
+            </label>
+          </>
+        )}
+
+        {mode === 'units' && (
+          <>
+            <label className="mf-field">
+              Folio Number
+              <input
+                type="text"
+                value={fields.folioNumber}
+                onChange={(e) => updateField('folioNumber', e.target.value)}
+              />
+            </label>
+            <label className="mf-field">
+              Tax Category
+              <select value={fields.taxCategory} onChange={(e) => updateField('taxCategory', e.target.value)}>
+                <option value="">From AMFI category</option>
+                <option value="EQUITY">Equity-oriented</option>
+                <option value="DEBT">Debt / other</option>
+              </select>
+            </label>
+          </>
+        )}
+      </div>
+
+      {mode === 'units' && !isEdit && (
+        <fieldset className="mutual-fund-form-purchase">
+          <legend>First Purchase</legend>
+          <div className="mf-fields">
+            <label className="mf-field">
+              Type
+              <select value={purchase.type} onChange={(e) => updatePurchase('type', e.target.value)}>
+                <option value="PURCHASE">Lump sum</option>
+                <option value="SIP">SIP</option>
+              </select>
+            </label>
+            <label className="mf-field">
+              Date
+              <input
+                type="date"
+                max={today()}
+                value={purchase.date}
+                onChange={(e) => updatePurchase('date', e.target.value)}
+                required
+              />
+            </label>
+            <label className="mf-field">
+              Units
+              <input
+                type="number"
+                min="0"
+                step="0.001"
+                value={purchase.units}
+                onChange={(e) => updatePurchase('units', e.target.value)}
+                required
+              />
+            </label>
+            <label className="mf-field">
+              NAV (₹)
+              <input
+                type="number"
+                min="0"
+                step="0.0001"
+                value={purchase.nav}
+                onChange={(e) => updatePurchase('nav', e.target.value)}
+                required
+              />
+            </label>
+            <label className="mf-field">
+              Amount (₹)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={purchase.amount}
+                onChange={(e) => updatePurchase('amount', e.target.value)}
+                placeholder="Units × NAV"
+              />
+            </label>
+            <label className="mf-field">
+              Stamp Duty (₹)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={purchase.stampDuty}
+                onChange={(e) => updatePurchase('stampDuty', e.target.value)}
+              />
+            </label>
+          </div>
+        </fieldset>
+      )}
+
+      <AllocationEditor allocations={allocations} onChange={handleAllocationsChange} disabled={isSaving} />
+
+      {mode === 'units' && allocations.length === 0 && (
+        <p className="mf-note">
+          Allocations are optional for AMFI schemes; an imported portfolio disclosure is used when present.
+        </p>
+      )}
+
+      {error && <div className="mf-message error">{error}</div>}
+
+      <div className="mf-buttons">
+        <button type="button" className="mf-btn" onClick={onCancel} disabled={isSaving}>Cancel</button>
+        <button type="submit" className="mf-btn primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : isEdit ? 'Save Changes' : 'Add Fund'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MutualFundForm;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import DateDisplay from '../Common/DateDisplay';
+import { getMutualFundCapitalGains } from '../../utils/api/mutualFundAPI';
+import './MutualFundGains.css';
+
+const CLASSIFICATION_LABELS = {
+  STCG: 'Short term',
+  LTCG: 'Long term'
+};
+
+/**
+ * Current and past five financial years, newest first
+ * @returns {Array} - [{ label, value }] with values like "2024-25"
+ */
+const buildFinancialYears = () => {
+  const now = new Date();
+  const currentFY = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+
+  const years = [];
+  for (let i = 0; i < 6; i++) {
+    const fy = currentFY - i;
+    years.push({ label: `FY ${fy}-${fy + 1}`, value: `${fy}-${String(fy + 1).slice(-2)}` });
+  }
+  return years;
+};
+
+/**
+ * MutualFundGains Component
+ * Gains realised on fund redemptions in a financial year, matched FIFO
+ */
+const MutualFundGains = ({ portfolioId = null }) => {
+  const { sessionToken } = useSession();
+  const [years] = useState(buildFinancialYears);
+  const [financialYear, setFinancialYear] = useState(years[0].value);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadGains = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        setReport(await getMutualFundCapitalGains(sessionToken, financialYear, portfolioId));
+      } catch (err) {
+        setError(err.message || 'Failed to load mutual fund gains');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadGains();
+  }, [sessionToken, financialYear, portfolioId]);
+
+  const fundsWithGains = report ? report.funds.filter(fund => fund.gains.length > 0) : [];
+
+  return (
+    <div className="mf-card mutual-fund-gains">
+      <div className="mutual-fund-gains-header">
+        <h3>Capital Gains on Redemptions</h3>
+        <select value={financialYear} onChange={(e) => setFinancialYear(e.target.value)}>
+          {years.map(year => <option key={year.value} value={year.value}>{year.label}</option>)}
+        </select>
+      </div>
+
+      {error && <div className="mf-message error">{error}</div>}
+      {isLoading && <p className="mf-note">Loading gains...</p>}
+
+      {report && !isLoading && (
+        <>
+          <div className="mutual-fund-gains-totals">
+            {['equity', 'debt'].map(category => (
+              <div key={category} className="mutual-fund-gains-total">
+                <span className="mutual-fund-gains-label">{category === 'equity' ? 'Equity funds' : 'Debt and other funds'}</span>
+                <div>STCG <CurrencyDisplay value={report.totals[category].stcg} showSign /></div>
+                <div>LTCG <CurrencyDisplay value={report.totals[category].ltcg} showSign /></div>
+                {report.totals[category].slab !== 0 && (
+                  <div className="mf-meta">
+                    of which at slab rate <CurrencyDisplay value={report.totals[category].slab} showSign />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {fundsWithGains.length === 0 ? (
+            <p className="mf-note">No redemptions in this financial year.</p>
+          ) : fundsWithGains.map(fund => (
+            <div key={fund.id} className="mutual-fund-gains-fund">
+              <h4>
+                {fund.schemeName}
+                <span className="mf-meta">
+                  {' '}{fund.taxCategory === 'EQUITY' ? 'Equity' : 'Debt'}{fund.categoryAssumed ? ' (assumed)' : ''}
+                </span>
+              </h4>
+              <table className="mf-table">
+                <thead>
+                  <tr>
+                    <th>Bought</th>
+                    <th>Sold</th>
+                    <th className="numeric">Units</th>
+                    <th className="numeric">Cost</th>
+                    <th className="numeric">Proceeds</th>
+                    <th className="numeric">Gain / Loss</th>
+                    <th>Type</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fund.gains.map((gain, i) => (
+                    <tr key={i}>
+                      <td><DateDisplay date={gain.buyDate} /></td>
+                      <td><DateDisplay date={gain.sellDate} /></td>
+                      <td className="numeric">{gain.units.toFixed(3)}</td>
+                      <td className="numeric"><CurrencyDisplay value={gain.cost} /></td>
+                      <td className="numeric"><CurrencyDisplay value={gain.proceeds} /></td>
+                      <td className="numeric"><CurrencyDisplay value={gain.gainLoss} showSign /></td>
+                      <td>
+                        {CLASSIFICATION_LABELS[gain.classification]}{gain.slabRate ? ' (slab rate)' : ''}
+                        <div className="mf-meta">{gain.holdingPeriod} days</div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MutualFundGains;
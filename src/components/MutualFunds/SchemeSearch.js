@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import { searchMutualFundSchemes } from '../../utils/api/mutualFundAPI';
+import './SchemeSearch.css';
+
+/**
+ * SchemeSearch Component
+ * Finds an AMFI scheme by name, scheme code or ISIN from the imported NAV master
+ */
+const SchemeSearch = ({ onSelect, disabled = false }) => {
+  const { sessionToken } = useSession();
+  const [term, setTerm] = useState('');
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    if (term.trim().length < 2) {
+      setResults([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setResults(await searchMutualFundSchemes(sessionToken, term));
+      } catch (err) {
+        setResults([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [term, sessionToken]);
+
+  const handleSelect = (scheme) => {
+    setTerm('');
+    setResults([]);
+    onSelect(scheme);
+  };
+
+  return (
+    <div className="scheme-search">
+      <input
+        type="text"
+        value={term}
+        onChange={(e) => setTerm(e.target.value)}
+        placeholder="Search scheme name, code or ISIN..."
+        disabled={disabled}
+      />
+      {results.length > 0 && (
+        <div className="scheme-search-dropdown">
+          {results.map(scheme => (
+            <div key={scheme.scheme_code} className="scheme-search-option" onClick={() => handleSelect(scheme)}>
+              <strong>{scheme.scheme_name}</strong>
+              <div className="mf-meta">
+                {scheme.scheme_code}
+                {scheme.fund_house && ` · ${scheme.fund_house}`}
+                {scheme.nav && ` · NAV ${scheme.nav} on ${scheme.nav_date}`}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SchemeSearch;
@@ -0,0 +1,374 @@
+import React, { useState, useEffect } from 'react';
+import jsPDF from 'jspdf';
+import { useSession } from '../../context/SessionContext';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import {
+  getAllocationRules,
+  createAllocationRule,
+  setAllocationRuleActive,
+  deleteAllocationRule,
+  getComplianceReport
+} from '../../utils/api/allocationRuleAPI';
+import './AllocationRules.css';
+
+const EMPTY_RULE = { ruleType: 'STOCK', target: '', maxPercent: '', lookThrough: false };
+
+const STATUS_LABELS = {
+  BREACH: 'Breach',
+  PASS: 'Within limit',
+  NOT_HELD: 'Not held'
+};
+
+const formatPercent = (value) => `${value.toFixed(2)}%`;
+
+/**
+ * AllocationRules Component
+ * Caps on the weight of a stock or sector, the stocks and sectors over them
+ * and a compliance report that can be saved as a PDF
+ */
+const AllocationRules = ({ refreshTrigger }) => {
+  const { sessionToken } = useSession();
+  const [rules, setRules] = useState([]);
+  const [report, setReport] = useState(null);
+  const [form, setForm] = useState(EMPTY_RULE);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadRules = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      // The report checks the rules afresh, so load it first for current breach counts
+      const complianceReport = await getComplianceReport(sessionToken);
+      setReport(complianceReport);
+      setRules(await getAllocationRules(sessionToken));
+    } catch (err) {
+      setError(err.message || 'Failed to load allocation rules');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!sessionToken) {
+      return;
+    }
+
+    loadRules();
+  }, [sessionToken, refreshTrigger]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      await createAllocationRule(sessionToken, form);
+      setForm(EMPTY_RULE);
+      await loadRules();
+    } catch (err) {
+      setError(err.message || 'Failed to create allocation rule');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      setError(null);
+      await setAllocationRuleActive(sessionToken, rule.id, !rule.is_active);
+      await loadRules();
+    } catch (err) {
+      setError(err.message || 'Failed to update allocation rule');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.label}"?`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      await deleteAllocationRule(sessionToken, rule.id);
+      await loadRules();
+    } catch (err) {
+      setError(err.message || 'Failed to delete allocation rule');
+    }
+  };
+
+  const exportToPDF = async () => {
+    if (!report) return;
+
+    try {
+      const generatedAt = new Date(report.generatedAt);
+      const result = await window.electronAPI.saveFileDialog({
+        title: 'Save Compliance Report as PDF',
+        defaultPath: `Allocation_Compliance_${generatedAt.toISOString().slice(0, 10)}.pdf`,
+        filters: [
+          { name: 'PDF Files', extensions: ['pdf'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (result.canceled) return;
+
+      const doc = new jsPDF();
+      const pageWidth = doc.internal.pageSize.getWidth();
+      const pageHeight = doc.internal.pageSize.getHeight();
+      let yPosition = 20;
+
+      // Title
+      doc.setFontSize(16);
+      doc.text('Allocation Compliance Report', pageWidth / 2, yPosition, { align: 'center' });
+      yPosition += 10;
+
+      doc.setFontSize(11);
+      doc.text(`Generated: ${generatedAt.toLocaleString('en-IN')}`, 20, yPosition);
+      yPosition += 10;
+
+      // Summary Section
+      doc.setFontSize(12);
+      doc.text('Summary', 20, yPosition);
+      yPosition += 7;
+
+      doc.setFontSize(10);
+      doc.text(`Stock holdings (all accounts): ₹${report.directValue.toLocaleString('en-IN')}`, 25, yPosition);
+      yPosition += 6;
+      if (report.lookThroughValue !== null) {
+        doc.text(`Including mutual funds: ₹${report.lookThroughValue.toLocaleString('en-IN')}`, 25, yPosition);
+        yPosition += 6;
+      }
+      doc.text(`Active rules: ${report.ruleCount}`, 25, yPosition);
+      yPosition += 6;
+      doc.text(`Breaches: ${report.breachCount}`, 25, yPosition);
+      yPosition += 12;
+
+      // Rules
+      doc.setFontSize(12);
+      doc.text('Rules', 20, yPosition);
+      yPosition += 8;
+
+      doc.autoTable({
+        head: [['Rule', 'Largest', 'Weight', 'Status']],
+        body: report.rules.map(rule => [
+          rule.label,
+          rule.largest ? rule.largest.name : '—',
+          rule.largest ? formatPercent(rule.largest.percent) : '—',
+          STATUS_LABELS[rule.status]
+        ]),
+        startY: yPosition,
+        margin: { left: 20, right: 20 },
+        styles: { fontSize: 9 },
+        headStyles: { fillColor: [41, 128, 185] }
+      });
+
+      yPosition = doc.lastAutoTable.finalY + 10;
+
+      // Breach Details
+      const breaches = report.rules.flatMap(rule => rule.breaches.map(breach => ({ ...breach, label: rule.label })));
+      if (breaches.length > 0) {
+        if (yPosition > pageHeight - 40) {
+          doc.addPage();
+          yPosition = 20;
+        }
+
+        doc.setFontSize(12);
+        doc.text('Breach Details', 20, yPosition);
+        yPosition += 8;
+
+        doc.autoTable({
+          head: [['Rule', 'Stock / Sector', 'Weight', 'Limit', 'Over By', 'Breached Since']],
+          body: breaches.map(breach => [
+            breach.label,
+            breach.subjectName,
+            formatPercent(breach.actualPercent),
+            formatPercent(breach.maxPercent),
+            formatPercent(breach.actualPercent - breach.maxPercent),
+            new Date(breach.firstBreachedAt).toLocaleDateString('en-IN')
+          ]),
+          startY: yPosition,
+          margin: { left: 20, right: 20 },
+          styles: { fontSize: 9 },
+          headStyles: { fillColor: [192, 57, 43] }
+        });
+      }
+
+      doc.save(result.filePath);
+    } catch (err) {
+      console.error('Failed to export PDF:', err);
+      alert('Failed to export PDF: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="allocation-rules">
+      <div className="allocation-rules-header">
+        <div>
+          <h2>📏 Allocation Rules</h2>
+          <p className="allocation-rules-note">
+            Limits on the weight of a stock or sector across all accounts. Rules are checked after every
+            price update and transaction.
+          </p>
+        </div>
+        <button
+          className="allocation-rules-btn"
+          onClick={exportToPDF}
+          disabled={!report || report.ruleCount === 0}
+        >
+          📄 Save as PDF
+        </button>
+      </div>
+
+      {error && <div className="allocation-rules-error">{error}</div>}
+
+      <form className="allocation-rule-form" onSubmit={handleSubmit}>
+        <label>
+          Limit
+          <select value={form.ruleType} onChange={(e) => handleChange('ruleType', e.target.value)}>
+            <option value="STOCK">Stock</option>
+            <option value="SECTOR">Sector</option>
+          </select>
+        </label>
+        <label>
+          {form.ruleType === 'STOCK' ? 'Symbol' : 'Sector'}
+          <input
+            type="text"
+            value={form.target}
+            onChange={(e) => handleChange('target', e.target.value)}
+            placeholder={form.ruleType === 'STOCK' ? 'Any stock' : 'Any sector'}
+          />
+        </label>
+        <label>
+          Max %
+          <input
+            type="number"
+            min="0.01"
+            max="100"
+            step="0.01"
+            value={form.maxPercent}
+            onChange={(e) => handleChange('maxPercent', e.target.value)}
+            required
+          />
+        </label>
+        <label className="allocation-rule-checkbox">
+          <input
+            type="checkbox"
+            checked={form.lookThrough}
+            onChange={(e) => handleChange('lookThrough', e.target.checked)}
+          />
+          Include mutual fund holdings
+        </label>
+        <button type="submit" className="allocation-rules-btn primary" disabled={isSaving}>
+          {isSaving ? 'Adding...' : 'Add Rule'}
+        </button>
+      </form>
+
+      {isLoading && !report && <div className="allocation-rules-loading">Loading allocation rules...</div>}
+
+      {!isLoading && rules.length === 0 && (
+        <p className="allocation-rules-note">
+          No rules yet. Leave the symbol or sector empty to limit every stock or sector, e.g. no stock above 10%.
+        </p>
+      )}
+
+      {rules.length > 0 && (
+        <section>
+          <h3>Rules</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Rule</th>
+                <th className="numeric">Breaches</th>
+                <th>Active</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id} className={rule.is_active ? '' : 'inactive'}>
+                  <td>{rule.label}</td>
+                  <td className="numeric">
+                    {rule.breach_count > 0
+                      ? <span className="allocation-status breach">{rule.breach_count}</span>
+                      : '—'}
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={!!rule.is_active}
+                      onChange={() => handleToggle(rule)}
+                    />
+                  </td>
+                  <td>
+                    <button className="allocation-rules-btn small" onClick={() => handleDelete(rule)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {report && report.ruleCount > 0 && (
+        <section>
+          <h3>Compliance Report</h3>
+          <p className="allocation-rules-note">
+            Checked {new Date(report.generatedAt).toLocaleString()} against <CurrencyDisplay value={report.directValue} /> in
+            stocks
+            {report.lookThroughValue !== null && (
+              <> and <CurrencyDisplay value={report.lookThroughValue} /> including mutual funds</>
+            )}
+            .
+          </p>
+          <table>
+            <thead>
+              <tr>
+                <th>Rule</th>
+                <th>Largest</th>
+                <th className="numeric">Weight</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rules.map(rule => (
+                <React.Fragment key={rule.id}>
+                  <tr>
+                    <td>{rule.label}</td>
+                    <td>{rule.largest ? rule.largest.name : '—'}</td>
+                    <td className="numeric">{rule.largest ? formatPercent(rule.largest.percent) : '—'}</td>
+                    <td>
+                      <span className={`allocation-status ${rule.status.toLowerCase().replace('_', '-')}`}>
+                        {STATUS_LABELS[rule.status]}
+                      </span>
+                    </td>
+                  </tr>
+                  {rule.breaches.map(breach => (
+                    <tr key={`${rule.id}-${breach.subjectKey}`} className="allocation-breach-row">
+                      <td></td>
+                      <td>{breach.subjectName}</td>
+                      <td className="numeric">{formatPercent(breach.actualPercent)}</td>
+                      <td>
+                        +{formatPercent(breach.actualPercent - breach.maxPercent)} since{' '}
+                        {new Date(breach.firstBreachedAt).toLocaleDateString()}
+                      </td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default AllocationRules;
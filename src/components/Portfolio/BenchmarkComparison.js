@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import PercentageDisplay from '../Common/PercentageDisplay';
+import { compareWithBenchmark } from '../../utils/api/benchmarkAPI';
+import './BenchmarkComparison.css';
+
+const BENCHMARK_OPTIONS = [
+  { key: 'SENSEX', label: 'BSE Sensex' },
+  { key: 'NIFTY', label: 'Nifty 50' },
+  { key: 'CUSTOM', label: 'Custom ticker' }
+];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+/**
+ * BenchmarkComparison Component
+ * Compares the portfolio with the same cash flows invested in an index
+ */
+const BenchmarkComparison = ({ portfolioId, refreshTrigger }) => {
+  const { sessionToken } = useSession();
+  const [benchmarkKey, setBenchmarkKey] = useState('SENSEX');
+  const [customCode, setCustomCode] = useState('');
+  const [customExchange, setCustomExchange] = useState('BSE');
+  const [comparison, setComparison] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (benchmarkKey !== 'CUSTOM') {
+      fetchComparison({ key: benchmarkKey });
+    }
+  }, [sessionToken, portfolioId, refreshTrigger, benchmarkKey]);
+
+  const fetchComparison = async (benchmark) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const data = await compareWithBenchmark(sessionToken, benchmark, portfolioId);
+      setComparison(data);
+    } catch (err) {
+      console.error('Failed to compare with benchmark:', err);
+      setComparison(null);
+      setError(err.message || 'Failed to compare with benchmark');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleBenchmarkChange = (e) => {
+    setBenchmarkKey(e.target.value);
+    setComparison(null);
+    setError(null);
+  };
+
+  const handleCustomSubmit = (e) => {
+    e.preventDefault();
+    if (!customCode.trim()) {
+      setError('Enter a Breeze stock code, e.g. BANKEX');
+      return;
+    }
+    fetchComparison({ key: 'CUSTOM', code: customCode, exchange: customExchange });
+  };
+
+  const beatIndex = comparison && comparison.pmeRatio !== null && comparison.pmeRatio >= 1;
+
+  return (
+    <div className="analysis-section benchmark-comparison">
+      <div className="benchmark-header">
+        <div>
+          <h2>Benchmark Comparison</h2>
+          <p className="section-description">
+            Every buy, sale and dividend is mirrored in the index on the same day
+          </p>
+        </div>
+        <select
+          className="benchmark-select"
+          value={benchmarkKey}
+          onChange={handleBenchmarkChange}
+          disabled={isLoading}
+        >
+          {BENCHMARK_OPTIONS.map(option => (
+            <option key={option.key} value={option.key}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {benchmarkKey === 'CUSTOM' && (
+        <form className="benchmark-custom" onSubmit={handleCustomSubmit}>
+          <input
+            type="text"
+            value={customCode}
+            onChange={(e) => setCustomCode(e.target.value)}
+            placeholder="Breeze stock code"
+            disabled={isLoading}
+          />
+          <select
+            value={customExchange}
+            onChange={(e) => setCustomExchange(e.target.value)}
+            disabled={isLoading}
+          >
+            <option value="BSE">BSE</option>
+            <option value="NSE">NSE</option>
+          </select>
+          <button type="submit" className="benchmark-compare-btn" disabled={isLoading}>
+            Compare
+          </button>
+        </form>
+      )}
+
+      {isLoading && <p className="benchmark-status">Loading index closes...</p>}
+
+      {!isLoading && error && (
+        <div className="benchmark-error">⚠️ {error}</div>
+      )}
+
+      {!isLoading && comparison && (
+        <>
+          <div className="benchmark-grid">
+            <div className="benchmark-card">
+              <span className="benchmark-label">Portfolio Value</span>
+              <span className="benchmark-value">
+                <CurrencyDisplay value={comparison.portfolioValue} />
+              </span>
+              <span className="benchmark-meta">
+                If in {comparison.benchmark.label}: <CurrencyDisplay value={comparison.indexValue} />
+              </span>
+            </div>
+            <div className="benchmark-card">
+              <span className="benchmark-label">Portfolio XIRR</span>
+              <span className="benchmark-value">
+                <PercentageDisplay value={comparison.portfolioXirr} decimals={2} showSign={true} showArrow={false} />
+              </span>
+              <span className="benchmark-meta">
+                {comparison.benchmark.label}:{' '}
+                <PercentageDisplay value={comparison.indexXirr} decimals={2} showSign={true} showArrow={false} />
+              </span>
+            </div>
+            <div className="benchmark-card">
+              <span className="benchmark-label">Excess Return</span>
+              <span className="benchmark-value">
+                <PercentageDisplay value={comparison.excessReturn} decimals={2} showSign={true} showArrow={true} />
+              </span>
+              <span className="benchmark-meta">Annualised, portfolio minus index</span>
+            </div>
+            <div className="benchmark-card">
+              <span className="benchmark-label">PME Ratio</span>
+              <span className={`benchmark-value ${beatIndex ? 'positive' : 'negative'}`}>
+                {comparison.pmeRatio !== null ? comparison.pmeRatio.toFixed(2) : '-'}
+              </span>
+              <span className="benchmark-meta">
+                {beatIndex ? 'Above 1: beat the index' : 'Below 1: trailed the index'}
+              </span>
+            </div>
+          </div>
+          <p className="benchmark-footnote">
+            Invested <CurrencyDisplay value={comparison.contributions} />, taken out{' '}
+            <CurrencyDisplay value={comparison.withdrawals} />. Index close as of{' '}
+            {formatDate(comparison.indexAsOf)}.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkComparison;
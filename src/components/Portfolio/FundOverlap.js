@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import { getHoldingOverlap } from '../../utils/api/holdingOverlapAPI';
+import './FundOverlap.css';
+
+const THRESHOLDS = [2, 3, 5, 7.5, 10, 15];
+
+/**
+ * Shade an overlap cell by how much two portfolios have in common
+ */
+const overlapLevel = (percent) => {
+  if (percent === null) {
+    return 'none';
+  }
+  if (percent >= 50) {
+    return 'high';
+  }
+  return percent >= 25 ? 'medium' : 'low';
+};
+
+const formatPercent = (value) => `${value.toFixed(2)}%`;
+
+/**
+ * FundOverlap Component
+ * Pairwise overlap of mutual funds and of each fund with the stocks held
+ * directly, and the stocks whose combined weight passes a chosen threshold
+ */
+const FundOverlap = ({ refreshTrigger }) => {
+  const { sessionToken } = useSession();
+  const [threshold, setThreshold] = useState(5);
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!sessionToken) {
+      return;
+    }
+
+    const loadOverlap = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        setData(await getHoldingOverlap(sessionToken, threshold));
+      } catch (err) {
+        setError(err.message || 'Failed to load fund overlap');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadOverlap();
+  }, [sessionToken, refreshTrigger, threshold]);
+
+  const directOverlapOf = (fundId) => data.directOverlap.find(entry => entry.mutualFundId === fundId);
+
+  return (
+    <div className="fund-overlap">
+      <div className="fund-overlap-header">
+        <div>
+          <h2>🔀 Fund Overlap</h2>
+          <p className="fund-overlap-note">
+            Across all accounts. Overlap is the weight two portfolios hold in common.
+          </p>
+        </div>
+        <label className="fund-overlap-threshold">
+          Flag stocks above
+          <select value={threshold} onChange={(e) => setThreshold(Number(e.target.value))}>
+            {THRESHOLDS.map(value => (
+              <option key={value} value={value}>{value}%</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <div className="fund-overlap-error">{error}</div>}
+
+      {isLoading && !data && <div className="fund-overlap-loading">Loading fund overlap...</div>}
+
+      {data && data.funds.length === 0 && (
+        <p className="fund-overlap-note">
+          Add mutual funds with their stock allocations to see where they overlap with each other and with your stocks.
+        </p>
+      )}
+
+      {data && data.funds.length > 0 && (
+        <>
+          <section>
+            <h3>Overlap Matrix</h3>
+            <div className="fund-overlap-matrix-wrapper">
+              <table className="fund-overlap-matrix">
+                <thead>
+                  <tr>
+                    <th>Fund</th>
+                    {data.funds.map((fund, index) => (
+                      <th key={fund.id} title={fund.name}>#{index + 1}</th>
+                    ))}
+                    <th>Your stocks</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.funds.map((fund, row) => {
+                    const direct = directOverlapOf(fund.id);
+                    return (
+                      <tr key={fund.id}>
+                        <th className="fund-overlap-fund">
+                          <span className="fund-overlap-index">#{row + 1}</span> {fund.name}
+                          <div className="fund-overlap-meta">
+                            <CurrencyDisplay value={fund.value} /> · {fund.stockCount} stocks
+                          </div>
+                        </th>
+                        {data.fundOverlap[row].map((percent, column) => (
+                          <td
+                            key={data.funds[column].id}
+                            className={`overlap-${row === column ? 'self' : overlapLevel(percent)}`}
+                          >
+                            {row === column ? '—' : formatPercent(percent)}
+                          </td>
+                        ))}
+                        <td
+                          className={`overlap-${overlapLevel(direct ? direct.overlapPercent : null)} fund-overlap-direct`}
+                          title={direct && direct.commonStocks.length > 0
+                            ? direct.commonStocks.map(stock => stock.stockName).join(', ')
+                            : 'No stocks in common'}
+                        >
+                          {direct ? formatPercent(direct.overlapPercent) : '-'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section>
+            <h3>Hidden Concentration</h3>
+            {data.concentration.length === 0 ? (
+              <p className="fund-overlap-note">
+                No stock reached through your funds is above {threshold}% of your stocks and funds combined.
+              </p>
+            ) : (
+              <table className="fund-overlap-concentration">
+                <thead>
+                  <tr>
+                    <th>Stock</th>
+                    <th className="numeric">Direct</th>
+                    <th className="numeric">Via funds</th>
+                    <th className="numeric">Combined</th>
+                    <th>Held through</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.concentration.map(stock => (
+                    <tr key={stock.stockSymbol}>
+                      <td>
+                        <strong>{stock.stockName}</strong>
+                        {stock.hiddenOnly && (
+                          <span className="fund-overlap-hidden" title={`Your direct holding alone is within ${threshold}%`}>
+                            Hidden
+                          </span>
+                        )}
+                        <div className="fund-overlap-meta">{stock.stockSymbol}</div>
+                      </td>
+                      <td className="numeric">{formatPercent(stock.directPercent)}</td>
+                      <td className="numeric">{formatPercent(stock.indirectPercent)}</td>
+                      <td className="numeric fund-overlap-combined">{formatPercent(stock.combinedPercent)}</td>
+                      <td className="fund-overlap-breakdown">
+                        {stock.funds.map(fund => (
+                          <div key={fund.mutualFundId}>
+                            {fund.mutualFundName} <span className="fund-overlap-meta">{formatPercent(fund.percent)}</span>
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FundOverlap;
@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import PercentageDisplay from '../Common/PercentageDisplay';
+import { getLevelBreaches } from '../../utils/api/holdingLevelAPI';
+import './LevelBreaches.css';
+
+/**
+ * LevelBreaches Component
+ * Dashboard widget listing positions whose latest cached quote is at or past
+ * their target price or stop-loss. Hidden until a level is set.
+ */
+const LevelBreaches = ({ refreshTrigger, portfolioId }) => {
+  const { sessionToken } = useSession();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadBreaches = async () => {
+    try {
+      setError(null);
+      setData(await getLevelBreaches(sessionToken, portfolioId));
+    } catch (err) {
+      setError(err.message || 'Failed to load level breaches');
+    }
+  };
+
+  useEffect(() => {
+    if (!sessionToken) {
+      return undefined;
+    }
+
+    loadBreaches();
+
+    if (!window.electronAPI || !window.electronAPI.onPriceUpdateSuccess) {
+      return undefined;
+    }
+
+    window.electronAPI.onPriceUpdateSuccess(() => loadBreaches());
+
+    return () => {
+      window.electronAPI.removeAllListeners('price-update-success');
+    };
+  }, [sessionToken, refreshTrigger, portfolioId]);
+
+  if (error) {
+    return <div className="level-breaches"><div className="level-breaches-error">{error}</div></div>;
+  }
+
+  if (!data || data.levelCount === 0) {
+    return null;
+  }
+
+  return (
+    <div className="level-breaches">
+      <div className="level-breaches-header">
+        <h2>🎯 Targets &amp; Stop-Losses</h2>
+        {data.pricesAsOf && (
+          <span className="level-breaches-asof">
+            Prices as of {new Date(data.pricesAsOf).toLocaleString('en-IN')}
+          </span>
+        )}
+      </div>
+
+      {data.breaches.length === 0 ? (
+        <p className="level-breaches-note">
+          All {data.levelCount} position{data.levelCount === 1 ? ' is' : 's are'} within their levels.
+        </p>
+      ) : (
+        <ul className="level-breaches-list">
+          {data.breaches.map(breach => (
+            <li key={breach.stockId} className={breach.levelStatus === 'TARGET_HIT' ? 'target' : 'stop'}>
+              <div className="level-breaches-stock">
+                <strong>{breach.symbol}</strong>
+                {breach.isNew && <span className="level-breaches-new">New today</span>}
+                <div className="level-breaches-name">{breach.name}</div>
+              </div>
+              <div className="level-breaches-status">
+                {breach.levelStatus === 'TARGET_HIT' ? 'Target' : 'Stop-loss'}{' '}
+                <CurrencyDisplay value={breach.level} />
+              </div>
+              <div className="level-breaches-price">
+                <CurrencyDisplay value={breach.price} />
+                <div><PercentageDisplay value={breach.changePercent} /></div>
+              </div>
+              <div className="level-breaches-qty">{breach.quantity} shares</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LevelBreaches;
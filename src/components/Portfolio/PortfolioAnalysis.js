@@ -1,17 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { useSession } from '../../context/SessionContext';
+import { portfolioArgs } from '../../context/PortfolioContext';
 import CurrencyDisplay from '../Common/CurrencyDisplay';
 import PercentageDisplay from '../Common/PercentageDisplay';
 import GainLossIndicator from '../Common/GainLossIndicator';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import BenchmarkComparison from './BenchmarkComparison';
 import { PieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip } from 'recharts';
 import './PortfolioAnalysis.css';
 
 /**
  * PortfolioAnalysis Component
- * Displays sector breakdown and portfolio analysis
+ * Displays sector breakdown, benchmark comparison and portfolio analysis
+ * for one account, or all accounts when portfolioId is not set
  */
-const PortfolioAnalysis = ({ refreshTrigger }) => {
+const PortfolioAnalysis = ({ refreshTrigger, portfolioId }) => {
   const { sessionToken } = useSession();
   const [sectorData, setSectorData] = useState(null);
   const [allocation, setAllocation] = useState(null);
@@ -35,16 +38,16 @@ const PortfolioAnalysis = ({ refreshTrigger }) => {
     return () => {
       window.electronAPI.removeAllListeners('price-update');
     };
-  }, [sessionToken, refreshTrigger]);
+  }, [sessionToken, refreshTrigger, portfolioId]);
 
   const fetchAnalysisData = async () => {
     try {
       setError(null);
       const [sectorBreakdown, portfolioAllocation, gainers, losers] = await Promise.all([
-        window.electronAPI.getSectorBreakdown(sessionToken),
-        window.electronAPI.getPortfolioAllocation(sessionToken),
-        window.electronAPI.getTopGainers(sessionToken, 5),
-        window.electronAPI.getTopLosers(sessionToken, 5)
+        window.electronAPI.getSectorBreakdown(sessionToken, ...portfolioArgs(portfolioId)),
+        window.electronAPI.getPortfolioAllocation(sessionToken, ...portfolioArgs(portfolioId)),
+        window.electronAPI.getTopGainers(sessionToken, 5, ...portfolioArgs(portfolioId)),
+        window.electronAPI.getTopLosers(sessionToken, 5, ...portfolioArgs(portfolioId))
       ]);
 
       setSectorData(sectorBreakdown);
@@ -147,6 +150,9 @@ const PortfolioAnalysis = ({ refreshTrigger }) => {
         </div>
       )}
 
+      {/* Benchmark Comparison */}
+      <BenchmarkComparison portfolioId={portfolioId} refreshTrigger={refreshTrigger} />
+
       {/* Top Gainers and Losers */}
       <div className="analysis-section">
         <div className="gainers-losers-grid">
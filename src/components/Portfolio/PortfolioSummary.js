@@ -1,17 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { useSession } from '../../context/SessionContext';
+import { portfolioArgs } from '../../context/PortfolioContext';
 import CurrencyDisplay from '../Common/CurrencyDisplay';
 import PercentageDisplay from '../Common/PercentageDisplay';
 import GainLossIndicator from '../Common/GainLossIndicator';
 import LoadingSpinner from '../Common/LoadingSpinner';
 import StockAgeHistogram from './StockAgeHistogram';
+import { setHoldingLevels } from '../../utils/api/holdingLevelAPI';
 import './PortfolioSummary.css';
 
+const hasValue = (value) => value !== null && value !== undefined;
+
 /**
  * PortfolioSummary Component
  * Displays portfolio overview with total investment, current value, and gains
+ * for one account, or all accounts when portfolioId is not set. Each holding
+ * can carry a target price and stop-loss; onLevelsChange is called after
+ * they are saved.
  */
-const PortfolioSummary = ({ refreshTrigger }) => {
+const PortfolioSummary = ({ refreshTrigger, portfolioId, onLevelsChange }) => {
   const { sessionToken } = useSession();
   const [portfolio, setPortfolio] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -19,6 +26,8 @@ const PortfolioSummary = ({ refreshTrigger }) => {
   const [bseDataCache, setBseDataCache] = useState({});
   const [selectedStockForHistogram, setSelectedStockForHistogram] = useState(null);
   const [isHistogramModalOpen, setIsHistogramModalOpen] = useState(false);
+  const [editingLevels, setEditingLevels] = useState(null);
+  const [levelError, setLevelError] = useState(null);
 
   useEffect(() => {
     fetchPortfolioData();
@@ -29,16 +38,20 @@ const PortfolioSummary = ({ refreshTrigger }) => {
     };
 
     window.electronAPI.onPriceUpdate(handlePriceUpdate);
+    // Allocation rules are checked after prices are saved, so breaches can
+    // change after the price-update refresh
+    window.electronAPI.onAllocationRulesEvaluated(handlePriceUpdate);
 
     return () => {
       window.electronAPI.removeAllListeners('price-update');
+      window.electronAPI.removeAllListeners('allocation-rules-evaluated');
     };
-  }, [sessionToken, refreshTrigger]);
+  }, [sessionToken, refreshTrigger, portfolioId]);
 
   const fetchPortfolioData = async () => {
     try {
       setError(null);
-      const data = await window.electronAPI.getPortfolioWithGains(sessionToken);
+      const data = await window.electronAPI.getPortfolioWithGains(sessionToken, ...portfolioArgs(portfolioId));
       setPortfolio(data);
       
       // Fetch BSE data for all stocks
@@ -91,6 +104,11 @@ const PortfolioSummary = ({ refreshTrigger }) => {
     setBseDataCache(newBseCache);
   };
 
+  // Navigate by hash so the table does not need a router around it
+  const handleOpenChart = (symbol) => {
+    window.location.hash = `#/stock/${encodeURIComponent(symbol)}`;
+  };
+
   const handleOpenHistogram = (symbol) => {
     setSelectedStockForHistogram(symbol);
     setIsHistogramModalOpen(true);
@@ -101,6 +119,33 @@ const PortfolioSummary = ({ refreshTrigger }) => {
     setSelectedStockForHistogram(null);
   };
 
+  const handleEditLevels = (holding) => {
+    setLevelError(null);
+    setEditingLevels({
+      stockId: holding.id,
+      targetPrice: holding.targetPrice || '',
+      stopLoss: holding.stopLoss || ''
+    });
+  };
+
+  const handleSaveLevels = async () => {
+    try {
+      setLevelError(null);
+      await setHoldingLevels(sessionToken, editingLevels.stockId, {
+        targetPrice: editingLevels.targetPrice === '' ? null : parseFloat(editingLevels.targetPrice),
+        stopLoss: editingLevels.stopLoss === '' ? null : parseFloat(editingLevels.stopLoss)
+      });
+      setEditingLevels(null);
+      if (onLevelsChange) {
+        onLevelsChange();
+      } else {
+        await fetchPortfolioData();
+      }
+    } catch (err) {
+      setLevelError(err.message || 'Failed to save levels');
+    }
+  };
+
   if (isLoading) {
     return <LoadingSpinner message="Loading portfolio..." />;
   }
@@ -190,6 +235,25 @@ const PortfolioSummary = ({ refreshTrigger }) => {
           </div>
         </div>
 
+        {/* Money-weighted return */}
+        <div className="summary-card">
+          <div className="card-header">
+            <h3>XIRR</h3>
+            <span className="card-icon">⏱️</span>
+          </div>
+          <div className="card-value">
+            <PercentageDisplay
+              value={portfolio.xirr}
+              decimals={2}
+              showSign={true}
+              showArrow={true}
+            />
+          </div>
+          <div className="card-meta">
+            Annualised, incl. sold positions
+          </div>
+        </div>
+
         {/* Gain/Loss Breakdown */}
         <div className="summary-card">
           <div className="card-header">
@@ -213,10 +277,29 @@ const PortfolioSummary = ({ refreshTrigger }) => {
         </div>
       </div>
 
+      {/* Allocation rule breaches */}
+      {portfolio.allocationBreaches && portfolio.allocationBreaches.length > 0 && (
+        <div className="allocation-breaches">
+          <div className="allocation-breaches-header">
+            ⚠️ {portfolio.allocationBreaches.length} allocation limit{portfolio.allocationBreaches.length === 1 ? '' : 's'} breached
+            <small>Across all accounts, as of {new Date(portfolio.allocationBreaches[0].evaluatedAt).toLocaleString()}</small>
+          </div>
+          <div className="allocation-breach-list">
+            {portfolio.allocationBreaches.map(breach => (
+              <span key={breach.id} className="allocation-breach-chip" title={breach.label}>
+                <strong>{breach.subjectName}</strong> {breach.actualPercent.toFixed(2)}% / {breach.maxPercent}%
+                {breach.lookThrough ? ' incl. MFs' : ''}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Holdings Table */}
       {portfolio.holdings && portfolio.holdings.length > 0 && (
         <div className="holdings-section">
           <h2>Holdings</h2>
+          {levelError && <div className="level-error">{levelError}</div>}
           <div className="holdings-table-wrapper">
             <table className="holdings-table">
               <thead>
@@ -230,7 +313,10 @@ const PortfolioSummary = ({ refreshTrigger }) => {
                   <th>Allocation %</th>
                   <th>Gain/Loss</th>
                   <th>Return %</th>
+                  <th>XIRR</th>
                   <th>52W Range</th>
+                  <th>Target / Stop</th>
+                  <th>To Target / Stop</th>
                   <th>Actions</th>
                 </tr>
               </thead>
@@ -243,9 +329,13 @@ const PortfolioSummary = ({ refreshTrigger }) => {
                   const allocationPercent = portfolio.currentValue > 0 
                     ? (holding.currentValue / portfolio.currentValue) * 100 
                     : 0;
+                  const isEditingLevels = editingLevels && editingLevels.stockId === holding.id;
                   
                   return (
-                    <tr key={idx} className="holding-row">
+                    <tr
+                      key={idx}
+                      className={`holding-row ${holding.levelStatus === 'TARGET_HIT' ? 'target-hit' : holding.levelStatus === 'STOP_HIT' ? 'stop-hit' : ''}`}
+                    >
                       <td className="symbol">
                         {hasValidBseData ? (
                           <>
@@ -286,6 +376,14 @@ const PortfolioSummary = ({ refreshTrigger }) => {
                           decimals={2}
                           showSign={false}
                         />
+                        {holding.ruleBreaches && holding.ruleBreaches.length > 0 && (
+                          <span
+                            className="rule-breach-badge"
+                            title={holding.ruleBreaches.map(breach => `${breach.label}: ${breach.actualPercent.toFixed(2)}%`).join('\n')}
+                          >
+                            Over limit
+                          </span>
+                        )}
                       </td>
                       <td className="gain-loss">
                         <GainLossIndicator
@@ -303,6 +401,14 @@ const PortfolioSummary = ({ refreshTrigger }) => {
                           showArrow={true}
                         />
                       </td>
+                      <td className="percent">
+                        <PercentageDisplay
+                          value={holding.xirr}
+                          decimals={2}
+                          showSign={true}
+                          showArrow={false}
+                        />
+                      </td>
                       <td className="week-52-range">
                         {hasValidBseData && (bseData['52WeeksHigh'] || bseData['52WeeksLow']) ? (
                           <div className="range-container">
@@ -323,7 +429,84 @@ const PortfolioSummary = ({ refreshTrigger }) => {
                           <span className="no-data">—</span>
                         )}
                       </td>
+                      <td className="levels">
+                        {isEditingLevels ? (
+                          <div className="level-inputs">
+                            <input
+                              type="number"
+                              step="0.01"
+                              min="0.01"
+                              placeholder="Target"
+                              value={editingLevels.targetPrice}
+                              onChange={(e) => setEditingLevels({ ...editingLevels, targetPrice: e.target.value })}
+                            />
+                            <input
+                              type="number"
+                              step="0.01"
+                              min="0.01"
+                              placeholder="Stop-loss"
+                              value={editingLevels.stopLoss}
+                              onChange={(e) => setEditingLevels({ ...editingLevels, stopLoss: e.target.value })}
+                            />
+                            <div className="level-buttons">
+                              <button onClick={handleSaveLevels}>Save</button>
+                              <button onClick={() => setEditingLevels(null)}>Cancel</button>
+                            </div>
+                          </div>
+                        ) : holding.targetPrice || holding.stopLoss ? (
+                          <div className="range-container">
+                            <div className="range-high">
+                              <span className="range-label">T:</span>
+                              {holding.targetPrice ? <CurrencyDisplay value={holding.targetPrice} decimals={2} /> : '—'}
+                            </div>
+                            <div className="range-low">
+                              <span className="range-label">SL:</span>
+                              {holding.stopLoss ? <CurrencyDisplay value={holding.stopLoss} decimals={2} /> : '—'}
+                            </div>
+                          </div>
+                        ) : (
+                          <span className="no-data">—</span>
+                        )}
+                      </td>
+                      <td className="levels">
+                        {holding.levelStatus ? (
+                          <span className={`level-badge ${holding.levelStatus === 'TARGET_HIT' ? 'target' : 'stop'}`}>
+                            {holding.levelStatus === 'TARGET_HIT' ? 'Target hit' : 'Stop hit'}
+                          </span>
+                        ) : hasValue(holding.distanceToTarget) || hasValue(holding.distanceToStop) ? (
+                          <div className="range-container">
+                            {hasValue(holding.distanceToTarget) && (
+                              <div className="range-high" title="Rise needed to reach the target">
+                                <span className="range-label">T:</span>
+                                {holding.distanceToTarget.toFixed(2)}%
+                              </div>
+                            )}
+                            {hasValue(holding.distanceToStop) && (
+                              <div className="range-low" title="Fall before the stop-loss is hit">
+                                <span className="range-label">SL:</span>
+                                {holding.distanceToStop.toFixed(2)}%
+                              </div>
+                            )}
+                          </div>
+                        ) : (
+                          <span className="no-data">—</span>
+                        )}
+                      </td>
                       <td className="actions">
+                        <button
+                          className="histogram-btn"
+                          onClick={() => handleEditLevels(holding)}
+                          title="Set target and stop-loss"
+                        >
+                          🎯
+                        </button>
+                        <button
+                          className="histogram-btn"
+                          onClick={() => handleOpenChart(holding.symbol)}
+                          title="View price chart with your trades"
+                        >
+                          📈
+                        </button>
                         <button
                           className="histogram-btn"
                           onClick={() => handleOpenHistogram(holding.symbol)}
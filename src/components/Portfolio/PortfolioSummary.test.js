@@ -15,6 +15,7 @@ const mockElectronAPI = {
   lookupStockByCode: jest.fn(),
   lookupStockByShortName: jest.fn(),
   onPriceUpdate: jest.fn(),
+  onAllocationRulesEvaluated: jest.fn(),
   removeAllListeners: jest.fn()
 };
 
@@ -260,4 +261,56 @@ describe('PortfolioSummary - BSE Integration', () => {
     expect(mockElectronAPI.lookupStockByCode).toHaveBeenCalledWith('532454');
     expect(mockElectronAPI.lookupStockByCode).toHaveBeenCalledWith('UNKNOWN');
   });
+
+  test('displays portfolio and per-holding XIRR', async () => {
+    const mockPortfolio = {
+      totalInvestment: 150000,
+      currentValue: 170000,
+      totalGainLoss: 20000,
+      totalGainLossPercent: 13.33,
+      holdingCount: 2,
+      gainCount: 2,
+      lossCount: 0,
+      breakevenCount: 0,
+      xirr: 14.25,
+      lastUpdated: new Date().toISOString(),
+      holdings: [
+        {
+          symbol: 'TCS',
+          quantity: 100,
+          avgCost: 500,
+          currentPrice: 600,
+          totalCost: 50000,
+          currentValue: 60000,
+          gainLoss: 10000,
+          gainLossPercent: 20,
+          xirr: 18.5
+        },
+        {
+          symbol: 'INFY',
+          quantity: 100,
+          avgCost: 1000,
+          currentPrice: 1100,
+          totalCost: 100000,
+          currentValue: 110000,
+          gainLoss: 10000,
+          gainLossPercent: 10,
+          xirr: null
+        }
+      ]
+    };
+
+    mockElectronAPI.getPortfolioWithGains.mockResolvedValue(mockPortfolio);
+    mockElectronAPI.lookupStockByCode.mockResolvedValue({ success: false, data: null });
+    mockElectronAPI.lookupStockByShortName.mockResolvedValue({ success: false, data: null });
+
+    render(<PortfolioSummary />);
+
+    await waitFor(() => {
+      expect(screen.getByText('XIRR', { selector: 'h3' })).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('+14.25% ↑')).toBeInTheDocument();
+    expect(screen.getByText('+18.50%')).toBeInTheDocument();
+  });
 });
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { useSession } from '../../context/SessionContext';
+import PercentageDisplay from '../Common/PercentageDisplay';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { getPortfolioHistory, backfillPortfolioHistory } from '../../utils/api/portfolioHistoryAPI';
+import './PortfolioValueChart.css';
+
+// Time-weighted return periods, in display order
+const RETURN_PERIODS = [
+  { key: '1M', label: '1 Month' },
+  { key: '3M', label: '3 Months' },
+  { key: 'YTD', label: 'Year to Date' },
+  { key: '1Y', label: '1 Year' },
+  { key: 'INCEPTION', label: 'Since Inception' }
+];
+
+const MARKET_VALUE_COLOR = '#667eea';
+const INVESTED_COLOR = '#adb5bd';
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0
+}).format(value);
+
+const formatCompact = (value) => `₹${new Intl.NumberFormat('en-IN', {
+  notation: 'compact',
+  maximumFractionDigits: 1
+}).format(value)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: '2-digit'
+});
+
+/**
+ * PortfolioValueChart Component
+ * Displays market value against invested amount over time, with
+ * time-weighted returns for standard periods
+ */
+const PortfolioValueChart = ({ portfolioId, refreshTrigger }) => {
+  const { sessionToken } = useSession();
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isBackfilling, setIsBackfilling] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [sessionToken, portfolioId, refreshTrigger]);
+
+  const fetchHistory = async () => {
+    try {
+      setError(null);
+      const data = await getPortfolioHistory(sessionToken, portfolioId);
+      setHistory(data);
+    } catch (err) {
+      console.error('Failed to fetch portfolio history:', err);
+      setError(err.message || 'Failed to load portfolio history');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleBackfill = async () => {
+    try {
+      setIsBackfilling(true);
+      setMessage(null);
+
+      const result = await backfillPortfolioHistory(sessionToken, {}, portfolioId);
+      const missing = result.missingPrices.length > 0
+        ? ` No prices found for ${result.missingPrices.join(', ')}; those holdings are shown at cost.`
+        : '';
+
+      setMessage({
+        type: result.missingPrices.length > 0 ? 'warning' : 'success',
+        text: `✓ Rebuilt ${result.snapshotCount} days from ${formatDate(result.fromDate)} to ${formatDate(result.toDate)}.${missing}`
+      });
+      await fetchHistory();
+    } catch (err) {
+      console.error('Failed to backfill portfolio history:', err);
+      setMessage({ type: 'error', text: `✗ ${err.message}` });
+    } finally {
+      setIsBackfilling(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner message="Loading portfolio history..." />;
+  }
+
+  if (error) {
+    return (
+      <div className="value-history error">
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          <p>{error}</p>
+          <button onClick={fetchHistory} className="retry-btn">
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const snapshots = history ? history.snapshots : [];
+  const chartData = snapshots.map(snapshot => ({
+    date: snapshot.snapshot_date,
+    marketValue: snapshot.market_value,
+    invested: snapshot.invested_amount
+  }));
+
+  return (
+    <div className="value-history">
+      <div className="value-history-header">
+        <div>
+          <h2>Portfolio Value</h2>
+          <p className="section-description">
+            Time-weighted returns exclude the effect of money added or withdrawn
+          </p>
+        </div>
+        <button
+          className="backfill-btn"
+          onClick={handleBackfill}
+          disabled={isBackfilling}
+          title="Rebuild past daily values from Breeze historical closes"
+        >
+          {isBackfilling ? 'Rebuilding...' : '⏪ Rebuild History'}
+        </button>
+      </div>
+
+      {message && (
+        <div className={`value-history-message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="twr-grid">
+        {RETURN_PERIODS.map(period => (
+          <div key={period.key} className="twr-card">
+            <span className="twr-label">{period.label}</span>
+            <span className="twr-value">
+              <PercentageDisplay
+                value={history ? history.returns[period.key] : null}
+                decimals={2}
+                showSign={true}
+                showArrow={false}
+              />
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {chartData.length > 1 ? (
+        <div className="value-history-chart">
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" tickFormatter={formatDate} minTickGap={40} tick={{ fontSize: 12 }} />
+              <YAxis tickFormatter={formatCompact} width={70} tick={{ fontSize: 12 }} />
+              <Tooltip formatter={(value) => formatCurrency(value)} labelFormatter={formatDate} />
+              <Legend verticalAlign="top" height={36} />
+              <Line
+                type="monotone"
+                dataKey="marketValue"
+                name="Market Value"
+                stroke={MARKET_VALUE_COLOR}
+                strokeWidth={2}
+                dot={false}
+              />
+              <Line
+                type="stepAfter"
+                dataKey="invested"
+                name="Invested"
+                stroke={INVESTED_COLOR}
+                strokeDasharray="5 5"
+                dot={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      ) : (
+        <div className="value-history-empty">
+          <p>
+            Daily values are recorded from today. Use Rebuild History to fill in
+            earlier days from historical prices.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioValueChart;
@@ -4,20 +4,45 @@ import * as XLSX from 'xlsx';
 import CurrencyDisplay from '../Common/CurrencyDisplay';
 import DateDisplay from '../Common/DateDisplay';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import { exportSchedule112A } from '../../utils/api/taxAPI';
+import { portfolioArgs } from '../../context/PortfolioContext';
 import './CapitalGainsReport.css';
 
+/**
+ * Format a tax rate, e.g. 0.125 -> "12.5%"
+ */
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(2))}%`;
+
+/**
+ * Format the rate(s) applied in a financial year, e.g. "15% / 20%" when the
+ * year spans a Budget change
+ */
+const formatRegimeRates = (regimes, rateKey, fallbackRate) => {
+  if (!regimes || regimes.length === 0) {
+    return formatRate(fallbackRate);
+  }
+  return regimes.map(regime => formatRate(regime[rateKey])).join(' / ');
+};
+
+/**
+ * Charges on a realized gain: buy charges (part of the cost) plus the sell
+ * side charges deducted from the proceeds
+ */
+const gainCharges = (gain) => (gain.buy_charges || 0) + (gain.transfer_expenses || 0);
+
 /**
  * CapitalGainsReport Component
- * Displays STCG/LTCG breakdown with tax calculations
+ * Displays STCG/LTCG breakdown with tax calculations for one account, or all
+ * accounts when portfolioId is not set
  */
-const CapitalGainsReport = ({ financialYear, sessionToken }) => {
+const CapitalGainsReport = ({ financialYear, sessionToken, portfolioId }) => {
   const [report, setReport] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     fetchReport();
-  }, [financialYear, sessionToken]);
+  }, [financialYear, sessionToken, portfolioId]);
 
   const fetchReport = async () => {
     try {
@@ -26,7 +51,8 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
 
       const data = await window.electronAPI.getRealizedGains(
         sessionToken,
-        financialYear
+        financialYear,
+        ...portfolioArgs(portfolioId)
       );
       setReport(data);
     } catch (err) {
@@ -96,14 +122,15 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
           gain.quantity,
           `₹${gain.buy_price.toFixed(2)}`,
           `₹${gain.sell_price.toFixed(2)}`,
+          `₹${gainCharges(gain).toFixed(2)}`,
           gain.buy_date,
           gain.sell_date,
-          `${gain.holding_period_days}d`,
-          `₹${gain.gain_loss.toLocaleString('en-IN')}`
+          `${gain.holding_period}d`,
+          `₹${gain.gain_amount.toLocaleString('en-IN')}`
         ]);
 
         doc.autoTable({
-          head: [['Symbol', 'Qty', 'Buy Price', 'Sell Price', 'Buy Date', 'Sell Date', 'Period', 'Gain/Loss']],
+          head: [['Symbol', 'Qty', 'Buy Price', 'Sell Price', 'Charges', 'Buy Date', 'Sell Date', 'Period', 'Gain/Loss']],
           body: stcgData,
           startY: yPosition,
           margin: { left: 20, right: 20 },
@@ -129,15 +156,17 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
           gain.symbol,
           gain.quantity,
           `₹${gain.buy_price.toFixed(2)}`,
+          `₹${(gain.grandfathered_cost || gain.buy_price).toFixed(2)}`,
           `₹${gain.sell_price.toFixed(2)}`,
+          `₹${gainCharges(gain).toFixed(2)}`,
           gain.buy_date,
           gain.sell_date,
-          `${gain.holding_period_days}d`,
-          `₹${gain.gain_loss.toLocaleString('en-IN')}`
+          `${gain.holding_period}d`,
+          `₹${gain.gain_amount.toLocaleString('en-IN')}`
         ]);
 
         doc.autoTable({
-          head: [['Symbol', 'Qty', 'Buy Price', 'Sell Price', 'Buy Date', 'Sell Date', 'Period', 'Gain/Loss']],
+          head: [['Symbol', 'Qty', 'Buy Price', 'Tax Cost', 'Sell Price', 'Charges', 'Buy Date', 'Sell Date', 'Period', 'Gain/Loss']],
           body: ltcgData,
           startY: yPosition,
           margin: { left: 20, right: 20 },
@@ -181,8 +210,8 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
         ['Long-Term Capital Gains', ltcg.total],
         ['LTCG Exemption', ltcg.exemption],
         ['Taxable LTCG', ltcg.taxable],
-        ['STCG Tax Rate', `${(stcg.taxRate * 100).toFixed(0)}%`],
-        ['LTCG Tax Rate', `${(ltcg.taxRate * 100).toFixed(0)}%`],
+        ['STCG Tax Rate', formatRegimeRates(report.regimes, 'stcgRate', stcg.taxRate)],
+        ['LTCG Tax Rate', formatRegimeRates(report.regimes, 'ltcgRate', ltcg.taxRate)],
         ['Total Tax', summary.totalTax],
         ['Net Gains', summary.netGains]
       ];
@@ -193,7 +222,7 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
       // STCG Details Sheet
       if (stcg.gains && stcg.gains.length > 0) {
         const stcgData = [
-          ['Symbol', 'Quantity', 'Buy Price', 'Sell Price', 'Buy Date', 'Sell Date', 'Holding Period (Days)', 'Gain/Loss']
+          ['Symbol', 'Quantity', 'Buy Price', 'Sell Price', 'Charges', 'Buy Date', 'Sell Date', 'Holding Period (Days)', 'Gain/Loss']
         ];
         stcg.gains.forEach(gain => {
           stcgData.push([
@@ -201,10 +230,11 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
             gain.quantity,
             gain.buy_price,
             gain.sell_price,
+            gainCharges(gain),
             gain.buy_date,
             gain.sell_date,
-            gain.holding_period_days,
-            gain.gain_loss
+            gain.holding_period,
+            gain.gain_amount
           ]);
         });
         const stcgSheet = XLSX.utils.aoa_to_sheet(stcgData);
@@ -214,18 +244,21 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
       // LTCG Details Sheet
       if (ltcg.gains && ltcg.gains.length > 0) {
         const ltcgData = [
-          ['Symbol', 'Quantity', 'Buy Price', 'Sell Price', 'Buy Date', 'Sell Date', 'Holding Period (Days)', 'Gain/Loss']
+          ['Symbol', 'Quantity', 'Buy Price', 'FMV (31-Jan-2018)', 'Tax Cost', 'Sell Price', 'Charges', 'Buy Date', 'Sell Date', 'Holding Period (Days)', 'Gain/Loss']
         ];
         ltcg.gains.forEach(gain => {
           ltcgData.push([
             gain.symbol,
             gain.quantity,
             gain.buy_price,
+            gain.fmv_31jan2018 || '',
+            gain.grandfathered_cost || gain.buy_price,
             gain.sell_price,
+            gainCharges(gain),
             gain.buy_date,
             gain.sell_date,
-            gain.holding_period_days,
-            gain.gain_loss
+            gain.holding_period,
+            gain.gain_amount
           ]);
         });
         const ltcgSheet = XLSX.utils.aoa_to_sheet(ltcgData);
@@ -270,9 +303,9 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
       // STCG Details
       if (stcg.gains && stcg.gains.length > 0) {
         csvContent += 'Short-Term Capital Gains Details\n';
-        csvContent += 'Symbol,ISIN,Quantity,Buy Price,Sell Price,Buy Date,Sell Date,Holding Period (Days),Gain/Loss\n';
+        csvContent += 'Symbol,ISIN,Quantity,Buy Price,Sell Price,Charges,Buy Date,Sell Date,Holding Period (Days),Gain/Loss\n';
         stcg.gains.forEach(gain => {
-          csvContent += `${gain.symbol},${gain.isin || ''},${gain.quantity},${gain.buy_price},${gain.sell_price},${gain.buy_date},${gain.sell_date},${gain.holding_period},${gain.gain_amount}\n`;
+          csvContent += `${gain.symbol},${gain.isin || ''},${gain.quantity},${gain.buy_price},${gain.sell_price},${gainCharges(gain)},${gain.buy_date},${gain.sell_date},${gain.holding_period},${gain.gain_amount}\n`;
         });
         csvContent += '\n';
       }
@@ -280,9 +313,9 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
       // LTCG Details
       if (ltcg.gains && ltcg.gains.length > 0) {
         csvContent += 'Long-Term Capital Gains Details\n';
-        csvContent += 'Symbol,ISIN,Quantity,Buy Price,Sell Price,Buy Date,Sell Date,Holding Period (Days),Gain/Loss\n';
+        csvContent += 'Symbol,ISIN,Quantity,Buy Price,FMV (31-Jan-2018),Tax Cost,Sell Price,Charges,Buy Date,Sell Date,Holding Period (Days),Gain/Loss\n';
         ltcg.gains.forEach(gain => {
-          csvContent += `${gain.symbol},${gain.isin || ''},${gain.quantity},${gain.buy_price},${gain.sell_price},${gain.buy_date},${gain.sell_date},${gain.holding_period},${gain.gain_amount}\n`;
+          csvContent += `${gain.symbol},${gain.isin || ''},${gain.quantity},${gain.buy_price},${gain.fmv_31jan2018 || ''},${gain.grandfathered_cost || gain.buy_price},${gain.sell_price},${gainCharges(gain)},${gain.buy_date},${gain.sell_date},${gain.holding_period},${gain.gain_amount}\n`;
         });
       }
 
@@ -326,6 +359,35 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
 
   const { stcg, ltcg, summary } = report;
 
+  const exportToSchedule112A = async () => {
+    if (!report) return;
+
+    try {
+      const result = await window.electronAPI.saveFileDialog({
+        title: 'Save Schedule 112A CSV',
+        defaultPath: `Schedule_112A_${financialYear}.csv`,
+        filters: [
+          { name: 'CSV Files', extensions: ['csv'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (result.canceled) return;
+
+      const exportResult = await exportSchedule112A(sessionToken, financialYear, result.filePath, portfolioId || null);
+
+      let message = `Schedule 112A exported with ${exportResult.rowCount} rows.`;
+      if (exportResult.missingIsin.length > 0) {
+        message += `\n\nISIN missing for: ${exportResult.missingIsin.join(', ')}. ` +
+          'Add the ISIN to these stocks before filing.';
+      }
+      alert(message);
+    } catch (err) {
+      console.error('Failed to export Schedule 112A:', err);
+      alert('Failed to export Schedule 112A: ' + err.message);
+    }
+  };
+
   return (
     <div className="capital-gains-report">
       {/* Summary Cards */}
@@ -342,7 +404,9 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
             </div>
             <div className="details">
               <span className="label">Tax Rate:</span>
-              <span className="value">{(stcg.taxRate * 100).toFixed(0)}%</span>
+              <span className="value">
+                {formatRegimeRates(report.regimes, 'stcgRate', stcg.taxRate)}
+              </span>
             </div>
             <div className="details">
               <span className="label">Estimated Tax:</span>
@@ -375,6 +439,12 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
                 <CurrencyDisplay value={ltcg.taxable} />
               </span>
             </div>
+            <div className="details">
+              <span className="label">Tax Rate:</span>
+              <span className="value">
+                {formatRegimeRates(report.regimes, 'ltcgRate', ltcg.taxRate)}
+              </span>
+            </div>
             <div className="details">
               <span className="label">Estimated Tax:</span>
               <span className="value">
@@ -406,6 +476,43 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
         </div>
       </div>
 
+      {/* Tax Rule Split - shown when the year spans a Budget change */}
+      {report.regimes && report.regimes.length > 1 && (
+        <div className="gains-section">
+          <h2>Tax Rules Applied</h2>
+          <div className="table-wrapper">
+            <table className="gains-table">
+              <thead>
+                <tr>
+                  <th>Sell Date</th>
+                  <th>STCG</th>
+                  <th>STCG Rate</th>
+                  <th>LTCG</th>
+                  <th>Losses Set Off</th>
+                  <th>Exemption Used</th>
+                  <th>LTCG Rate</th>
+                  <th>Estimated Tax</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.regimes.map(regime => (
+                  <tr key={regime.id}>
+                    <td>{regime.label}</td>
+                    <td><CurrencyDisplay value={regime.stcg} /></td>
+                    <td>{formatRate(regime.stcgRate)}</td>
+                    <td><CurrencyDisplay value={regime.ltcg} /></td>
+                    <td><CurrencyDisplay value={regime.lossSetOff} /></td>
+                    <td><CurrencyDisplay value={regime.exemptionUsed} /></td>
+                    <td>{formatRate(regime.ltcgRate)}</td>
+                    <td><CurrencyDisplay value={regime.stcgTax + regime.ltcgTax} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* STCG Details */}
       {stcg.gains && stcg.gains.length > 0 && (
         <div className="gains-section">
@@ -418,6 +525,7 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
                   <th>Quantity</th>
                   <th>Buy Price</th>
                   <th>Sell Price</th>
+                  <th>Charges</th>
                   <th>Buy Date</th>
                   <th>Sell Date</th>
                   <th>Holding Period</th>
@@ -437,6 +545,9 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
                     <td className="price">
                       <CurrencyDisplay value={gain.sell_price} decimals={2} />
                     </td>
+                    <td className="price">
+                      <CurrencyDisplay value={gainCharges(gain)} decimals={2} />
+                    </td>
                     <td className="date">
                       <DateDisplay date={gain.buy_date} />
                     </td>
@@ -444,10 +555,10 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
                       <DateDisplay date={gain.sell_date} />
                     </td>
                     <td className="period">
-                      {gain.holding_period_days} days
+                      {gain.holding_period} days
                     </td>
                     <td className="gain-loss">
-                      <CurrencyDisplay value={gain.gain_loss} />
+                      <CurrencyDisplay value={gain.gain_amount} />
                     </td>
                   </tr>
                 ))}
@@ -468,7 +579,10 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
                   <th>Symbol</th>
                   <th>Quantity</th>
                   <th>Buy Price</th>
+                  <th>FMV (31-Jan-2018)</th>
+                  <th>Tax Cost</th>
                   <th>Sell Price</th>
+                  <th>Charges</th>
                   <th>Buy Date</th>
                   <th>Sell Date</th>
                   <th>Holding Period</th>
@@ -485,9 +599,23 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
                     <td className="price">
                       <CurrencyDisplay value={gain.buy_price} decimals={2} />
                     </td>
+                    <td className="price">
+                      {gain.fmv_31jan2018 ? (
+                        <CurrencyDisplay value={gain.fmv_31jan2018} decimals={2} />
+                      ) : '-'}
+                    </td>
+                    <td className="price">
+                      <CurrencyDisplay
+                        value={gain.grandfathered_cost || gain.buy_price}
+                        decimals={2}
+                      />
+                    </td>
                     <td className="price">
                       <CurrencyDisplay value={gain.sell_price} decimals={2} />
                     </td>
+                    <td className="price">
+                      <CurrencyDisplay value={gainCharges(gain)} decimals={2} />
+                    </td>
                     <td className="date">
                       <DateDisplay date={gain.buy_date} />
                     </td>
@@ -495,10 +623,10 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
                       <DateDisplay date={gain.sell_date} />
                     </td>
                     <td className="period">
-                      {gain.holding_period_days} days
+                      {gain.holding_period} days
                     </td>
                     <td className="gain-loss">
-                      <CurrencyDisplay value={gain.gain_loss} />
+                      <CurrencyDisplay value={gain.gain_amount} />
                     </td>
                   </tr>
                 ))}
@@ -528,6 +656,14 @@ const CapitalGainsReport = ({ financialYear, sessionToken }) => {
         <button className="export-btn csv" onClick={exportToCSV}>
           📋 Export as CSV
         </button>
+        <button
+          className="export-btn schedule"
+          onClick={exportToSchedule112A}
+          disabled={!ltcg.gains || ltcg.gains.length === 0}
+          title="Scrip-wise LTCG rows for ITR-2 Schedule 112A"
+        >
+          🧾 Schedule 112A (CSV)
+        </button>
       </div>
     </div>
   );
@@ -0,0 +1,348 @@
+import React, { useState, useEffect } from 'react';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import {
+  addDividend,
+  deleteDividend,
+  getDividendIncomeSummary,
+  getDividendEligibleQuantity
+} from '../../utils/api/dividendAPI';
+import './DividendIncomeReport.css';
+
+const EMPTY_FORM = {
+  stockId: '',
+  recordDate: '',
+  paymentDate: '',
+  amountPerShare: '',
+  quantity: '',
+  tdsAmount: '',
+  notes: ''
+};
+
+/**
+ * DividendIncomeReport Component
+ * Dividend ledger and "Income from other sources" summary for a financial year
+ */
+const DividendIncomeReport = ({ financialYear, sessionToken }) => {
+  const [summary, setSummary] = useState(null);
+  const [stocks, setStocks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    loadSummary();
+  }, [financialYear, sessionToken]);
+
+  useEffect(() => {
+    loadStocks();
+  }, [sessionToken]);
+
+  // Prefill the quantity with the shares held on the record date
+  useEffect(() => {
+    if (!formData.stockId || !formData.recordDate) return;
+
+    getDividendEligibleQuantity(sessionToken, parseInt(formData.stockId, 10), formData.recordDate)
+      .then(quantity => setFormData(prev => ({ ...prev, quantity: quantity ? String(quantity) : '' })))
+      .catch(err => console.error('Failed to get eligible quantity:', err));
+  }, [formData.stockId, formData.recordDate]);
+
+  const loadSummary = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const data = await getDividendIncomeSummary(sessionToken, financialYear);
+      setSummary(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load dividend income');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadStocks = async () => {
+    try {
+      // Dividends can be received on stocks that have since been sold,
+      // so offer every stock that appears in the transaction history
+      const transactions = await window.electronAPI.getAllTransactions(sessionToken, {});
+      const stockMap = new Map();
+      (transactions || []).forEach(tx => {
+        if (!stockMap.has(tx.stock_id)) {
+          stockMap.set(tx.stock_id, { id: tx.stock_id, symbol: tx.symbol, name: tx.company_name });
+        }
+      });
+      setStocks([...stockMap.values()].sort((a, b) => a.symbol.localeCompare(b.symbol)));
+    } catch (err) {
+      console.error('Failed to load stocks:', err);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      setMessage(null);
+
+      const result = await addDividend(sessionToken, {
+        stockId: parseInt(formData.stockId, 10),
+        recordDate: formData.recordDate,
+        paymentDate: formData.paymentDate || null,
+        amountPerShare: parseFloat(formData.amountPerShare),
+        quantity: parseInt(formData.quantity, 10),
+        tdsAmount: parseFloat(formData.tdsAmount) || 0,
+        notes: formData.notes.trim() || null
+      });
+
+      const stock = stocks.find(s => s.id === parseInt(formData.stockId, 10));
+      setMessage(`✓ Dividend of ₹${result.grossAmount.toFixed(2)} recorded${stock ? ` for ${stock.symbol}` : ''}`);
+      setFormData(EMPTY_FORM);
+
+      await loadSummary();
+    } catch (err) {
+      setError(err.message || 'Failed to record dividend');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (dividend) => {
+    if (!window.confirm(`Remove the ${dividend.symbol} dividend with record date ${dividend.record_date}?`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      setMessage(null);
+
+      await deleteDividend(sessionToken, dividend.id);
+      await loadSummary();
+    } catch (err) {
+      setError(err.message || 'Failed to delete dividend');
+    }
+  };
+
+  if (isLoading && !summary) {
+    return <div className="loading">Loading dividend income...</div>;
+  }
+
+  const totals = summary ? summary.totals : { count: 0, gross: 0, tds: 0, net: 0 };
+
+  return (
+    <div className="dividend-income">
+      {/* Summary Cards */}
+      <div className="summary-cards">
+        <div className="summary-card">
+          <h3>Gross Dividends</h3>
+          <div className="card-content">
+            <div className="amount">
+              <CurrencyDisplay value={totals.gross} />
+            </div>
+            <div className="details">
+              <span className="label">Payouts:</span>
+              <span className="value">{totals.count}</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="summary-card">
+          <h3>TDS Deducted</h3>
+          <div className="card-content">
+            <div className="amount">
+              <CurrencyDisplay value={totals.tds} />
+            </div>
+            <div className="details">
+              <span className="label">Claim against:</span>
+              <span className="value">Form 26AS / AIS</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="summary-card total">
+          <h3>Net Received</h3>
+          <div className="card-content">
+            <div className="amount">
+              <CurrencyDisplay value={totals.net} />
+            </div>
+            <div className="details">
+              <span className="label">Taxable (gross):</span>
+              <span className="value">
+                <CurrencyDisplay value={totals.gross} />
+              </span>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="dividend-section">
+        <div className="dividend-header">
+          <div>
+            <h2>Income from Other Sources</h2>
+            <p className="section-description">
+              Dividends are taxed at slab rates in the year they are paid. Report the gross
+              amount and claim the TDS deducted.
+            </p>
+          </div>
+          <button className="dividend-btn" onClick={() => setIsFormOpen(!isFormOpen)}>
+            {isFormOpen ? 'Cancel' : '+ Record Dividend'}
+          </button>
+        </div>
+
+        {message && <div className="dividend-message success">{message}</div>}
+        {error && <div className="dividend-message error">{error}</div>}
+
+        {isFormOpen && (
+          <form className="dividend-form" onSubmit={handleSave}>
+            <select name="stockId" value={formData.stockId} onChange={handleChange} required>
+              <option value="">Select stock</option>
+              {stocks.map(stock => (
+                <option key={stock.id} value={stock.id}>
+                  {stock.symbol} - {stock.name}
+                </option>
+              ))}
+            </select>
+            <label>
+              Record date
+              <input type="date" name="recordDate" value={formData.recordDate} onChange={handleChange} required />
+            </label>
+            <label>
+              Payment date
+              <input type="date" name="paymentDate" value={formData.paymentDate} onChange={handleChange} />
+            </label>
+            <input
+              type="number"
+              name="amountPerShare"
+              placeholder="Dividend per share"
+              value={formData.amountPerShare}
+              onChange={handleChange}
+              step="0.01"
+              min="0.01"
+              required
+            />
+            <input
+              type="number"
+              name="quantity"
+              placeholder="Shares held"
+              value={formData.quantity}
+              onChange={handleChange}
+              step="1"
+              min="1"
+              required
+            />
+            <input
+              type="number"
+              name="tdsAmount"
+              placeholder="TDS deducted"
+              value={formData.tdsAmount}
+              onChange={handleChange}
+              step="0.01"
+              min="0"
+            />
+            <input
+              type="text"
+              name="notes"
+              placeholder="Notes (optional)"
+              value={formData.notes}
+              onChange={handleChange}
+            />
+            <button type="submit" className="dividend-btn primary" disabled={isSaving}>
+              Save
+            </button>
+          </form>
+        )}
+
+        {summary && summary.byStock.length > 0 && (
+          <>
+            <h3>By Stock</h3>
+            <div className="table-wrapper">
+              <table className="gains-table">
+                <thead>
+                  <tr>
+                    <th>Symbol</th>
+                    <th>Company</th>
+                    <th>Payouts</th>
+                    <th>Gross</th>
+                    <th>TDS</th>
+                    <th>Net</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.byStock.map(row => (
+                    <tr key={row.stockId}>
+                      <td className="symbol">{row.symbol}</td>
+                      <td>{row.companyName}</td>
+                      <td>{row.count}</td>
+                      <td className="price"><CurrencyDisplay value={row.gross} /></td>
+                      <td className="price"><CurrencyDisplay value={row.tds} /></td>
+                      <td className="price"><CurrencyDisplay value={row.net} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {summary && summary.dividends.length > 0 ? (
+          <>
+            <h3>Dividend Ledger</h3>
+            <div className="table-wrapper">
+              <table className="gains-table">
+                <thead>
+                  <tr>
+                    <th>Symbol</th>
+                    <th>Record Date</th>
+                    <th>Payment Date</th>
+                    <th>Shares</th>
+                    <th>Per Share</th>
+                    <th>Gross</th>
+                    <th>TDS</th>
+                    <th>Net</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.dividends.map(dividend => (
+                    <tr key={dividend.id}>
+                      <td className="symbol">{dividend.symbol}</td>
+                      <td>{dividend.record_date}</td>
+                      <td>{dividend.payment_date || '-'}</td>
+                      <td>{dividend.quantity}</td>
+                      <td className="price">
+                        <CurrencyDisplay value={dividend.amount_per_share} decimals={2} />
+                      </td>
+                      <td className="price"><CurrencyDisplay value={dividend.gross_amount} /></td>
+                      <td className="price"><CurrencyDisplay value={dividend.tds_amount} /></td>
+                      <td className="price"><CurrencyDisplay value={dividend.net_amount} /></td>
+                      <td>
+                        <button
+                          className="dividend-delete-btn"
+                          onClick={() => handleDelete(dividend)}
+                          title="Remove dividend"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        ) : (
+          <p className="no-gains">No dividends recorded for FY {financialYear}.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DividendIncomeReport;
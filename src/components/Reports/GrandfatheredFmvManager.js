@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import {
+  getGrandfatheredFmv,
+  saveGrandfatheredFmv,
+  deleteGrandfatheredFmv,
+  importGrandfatheredFmv
+} from '../../utils/api/taxAPI';
+import './GrandfatheredFmvManager.css';
+
+/**
+ * GrandfatheredFmvManager Component
+ * Manages 31-Jan-2018 FMV per ISIN used for Section 112A grandfathering
+ */
+const GrandfatheredFmvManager = ({ sessionToken, onChange }) => {
+  const [records, setRecords] = useState([]);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState({ isin: '', companyName: '', fmv: '' });
+
+  useEffect(() => {
+    loadRecords();
+  }, [sessionToken]);
+
+  const loadRecords = async () => {
+    try {
+      const data = await getGrandfatheredFmv(sessionToken);
+      setRecords(data || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load FMV records');
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setError(null);
+      setMessage(null);
+
+      const result = await window.electronAPI.openFileDialog({
+        title: 'Import 31-Jan-2018 FMV',
+        filters: [
+          { name: 'CSV Files', extensions: ['csv'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile']
+      });
+
+      if (result.canceled || !result.filePaths || result.filePaths.length === 0) return;
+
+      setIsLoading(true);
+      const importResult = await importGrandfatheredFmv(sessionToken, result.filePaths[0]);
+
+      const skipped = importResult.errors.length > 0
+        ? ` (${importResult.errors.length} rows skipped)`
+        : '';
+      setMessage(`✓ Imported ${importResult.imported} FMV records${skipped}`);
+
+      await loadRecords();
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to import FMV CSV');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      setMessage(null);
+
+      await saveGrandfatheredFmv(
+        sessionToken,
+        formData.isin.trim().toUpperCase(),
+        parseFloat(formData.fmv),
+        formData.companyName.trim() || null
+      );
+
+      setMessage(`✓ Saved FMV for ${formData.isin.trim().toUpperCase()}`);
+      setFormData({ isin: '', companyName: '', fmv: '' });
+
+      await loadRecords();
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to save FMV');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (isin) => {
+    if (!window.confirm(`Remove the 31-Jan-2018 FMV for ${isin}?`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      setMessage(null);
+
+      await deleteGrandfatheredFmv(sessionToken, isin);
+
+      await loadRecords();
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to delete FMV');
+    }
+  };
+
+  return (
+    <div className="grandfathered-fmv">
+      <div className="fmv-header">
+        <div>
+          <h2>Grandfathering (31-Jan-2018 FMV)</h2>
+          <p className="section-description">
+            LTCG on shares bought on or before 31-Jan-2018 uses the higher of the actual
+            cost and the lower of the 31-Jan-2018 FMV and the sale price.
+            {' '}{records.length} ISINs on record.
+          </p>
+        </div>
+        <div className="fmv-actions">
+          <button className="fmv-btn" onClick={handleImport} disabled={isLoading}>
+            📥 Import CSV
+          </button>
+          <button className="fmv-btn" onClick={() => setIsExpanded(!isExpanded)}>
+            {isExpanded ? 'Hide' : 'Manage'}
+          </button>
+        </div>
+      </div>
+
+      {message && <div className="fmv-message success">{message}</div>}
+      {error && <div className="fmv-message error">{error}</div>}
+
+      {isExpanded && (
+        <>
+          <form className="fmv-form" onSubmit={handleSave}>
+            <input
+              type="text"
+              placeholder="ISIN"
+              value={formData.isin}
+              onChange={(e) => setFormData({ ...formData, isin: e.target.value })}
+              required
+            />
+            <input
+              type="text"
+              placeholder="Company name (optional)"
+              value={formData.companyName}
+              onChange={(e) => setFormData({ ...formData, companyName: e.target.value })}
+            />
+            <input
+              type="number"
+              placeholder="FMV per share"
+              value={formData.fmv}
+              onChange={(e) => setFormData({ ...formData, fmv: e.target.value })}
+              step="0.01"
+              min="0.01"
+              required
+            />
+            <button type="submit" className="fmv-btn primary" disabled={isLoading}>
+              Save
+            </button>
+          </form>
+
+          {records.length > 0 ? (
+            <div className="table-wrapper">
+              <table className="gains-table">
+                <thead>
+                  <tr>
+                    <th>ISIN</th>
+                    <th>Company</th>
+                    <th>FMV (31-Jan-2018)</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {records.map(record => (
+                    <tr key={record.isin}>
+                      <td>{record.isin}</td>
+                      <td>{record.company_name || '-'}</td>
+                      <td className="price">
+                        <CurrencyDisplay value={record.fmv} decimals={2} />
+                      </td>
+                      <td>
+                        <button
+                          className="fmv-delete-btn"
+                          onClick={() => handleDelete(record.isin)}
+                          title="Remove FMV"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="no-gains">
+              No FMV records yet. Import a CSV with ISIN and FMV columns.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GrandfatheredFmvManager;
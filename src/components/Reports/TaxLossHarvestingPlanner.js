@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import DateDisplay from '../Common/DateDisplay';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { getTaxHarvestingPlan } from '../../utils/api/taxAPI';
+import './TaxLossHarvestingPlanner.css';
+
+/**
+ * Format a tax rate, e.g. 0.125 -> "12.5%"
+ */
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(2))}%`;
+
+/**
+ * TaxLossHarvestingPlanner Component
+ * Proposes FIFO sells of loss-making lots to offset realized gains for the current FY
+ * in one account
+ */
+const TaxLossHarvestingPlanner = ({ sessionToken, portfolioId }) => {
+  const [plan, setPlan] = useState(null);
+  const [brokeragePercent, setBrokeragePercent] = useState('0');
+  const [expandedStock, setExpandedStock] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchPlan();
+  }, [sessionToken, portfolioId]);
+
+  const fetchPlan = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const brokerageRate = (parseFloat(brokeragePercent) || 0) / 100;
+      const data = await getTaxHarvestingPlan(sessionToken, { brokerageRate, portfolioId });
+      setPlan(data);
+    } catch (err) {
+      console.error('Failed to fetch harvesting plan:', err);
+      setError(err.message || 'Failed to build harvesting plan');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="report loading">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="report error">
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          <p>{error}</p>
+          <button onClick={fetchPlan} className="retry-btn">
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!plan) {
+    return null;
+  }
+
+  const { realized, rates, proposals, summary } = plan;
+
+  return (
+    <div className="harvesting-planner">
+      {/* Starting point */}
+      <div className="summary-cards">
+        <div className="summary-card">
+          <h3>Realized in FY {plan.financialYear}</h3>
+          <div className="card-content">
+            <div className="details">
+              <span className="label">Net STCG:</span>
+              <span className="value"><CurrencyDisplay value={realized.stcg} /></span>
+            </div>
+            <div className="details">
+              <span className="label">Net LTCG:</span>
+              <span className="value"><CurrencyDisplay value={realized.ltcg} /></span>
+            </div>
+            <div className="details">
+              <span className="label">LTCG Exemption:</span>
+              <span className="value"><CurrencyDisplay value={rates.ltcgExemption} /></span>
+            </div>
+            <div className="details">
+              <span className="label">Rates (STCG / LTCG):</span>
+              <span className="value">
+                {formatRate(rates.stcgRate)} / {formatRate(rates.ltcgRate)}
+              </span>
+            </div>
+          </div>
+        </div>
+
+        <div className="summary-card">
+          <h3>Estimated Tax</h3>
+          <div className="card-content">
+            <div className="details">
+              <span className="label">Before Harvesting:</span>
+              <span className="value"><CurrencyDisplay value={summary.taxBefore} /></span>
+            </div>
+            <div className="details">
+              <span className="label">After Harvesting:</span>
+              <span className="value"><CurrencyDisplay value={summary.taxAfter} /></span>
+            </div>
+            <div className="details">
+              <span className="label">Losses Booked:</span>
+              <span className="value"><CurrencyDisplay value={summary.harvestedLoss} /></span>
+            </div>
+          </div>
+        </div>
+
+        <div className="summary-card total">
+          <h3>Net Benefit</h3>
+          <div className="card-content">
+            <div className="amount">
+              <CurrencyDisplay value={summary.netBenefit} />
+            </div>
+            <div className="details">
+              <span className="label">Tax Saved:</span>
+              <span className="value"><CurrencyDisplay value={summary.taxSaved} /></span>
+            </div>
+            <div className="details">
+              <span className="label">Wash-out Cost:</span>
+              <span className="value"><CurrencyDisplay value={summary.washOutCost} /></span>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Assumptions */}
+      <div className="planner-controls">
+        <label htmlFor="brokerage-input">Brokerage per side (%):</label>
+        <input
+          id="brokerage-input"
+          type="number"
+          min="0"
+          step="0.01"
+          value={brokeragePercent}
+          onChange={(e) => setBrokeragePercent(e.target.value)}
+        />
+        <button className="retry-btn" onClick={fetchPlan}>
+          Recalculate
+        </button>
+        <span className="planner-note">
+          Wash-out cost covers STT, exchange charges, stamp duty, GST and brokerage for
+          selling and buying back. Buy back on a later trading day - a same-day
+          buy-back is treated as intraday trading.
+        </span>
+      </div>
+
+      {/* Proposals */}
+      <div className="gains-section">
+        <h2>Proposed Sells</h2>
+        {proposals.length === 0 ? (
+          <p className="planner-empty">
+            {summary.taxBefore <= 0
+              ? 'No tax is due on realized gains this year - nothing to harvest.'
+              : `None of the ${plan.lossPositions} loss-making positions saves more tax than it costs to wash out.`}
+          </p>
+        ) : (
+          <div className="table-wrapper">
+            <table className="gains-table">
+              <thead>
+                <tr>
+                  <th>Stock</th>
+                  <th>Sell Qty</th>
+                  <th>Price</th>
+                  <th>Short-Term</th>
+                  <th>Long-Term</th>
+                  <th>Tax Saved</th>
+                  <th>Wash-out Cost</th>
+                  <th>Net Benefit</th>
+                </tr>
+              </thead>
+              <tbody>
+                {proposals.map(proposal => (
+                  <React.Fragment key={proposal.stockId}>
+                    <tr
+                      className="proposal-row"
+                      onClick={() => setExpandedStock(
+                        expandedStock === proposal.stockId ? null : proposal.stockId
+                      )}
+                    >
+                      <td className="symbol">
+                        <strong>{proposal.symbol}</strong>
+                        <span className="lot-count">{proposal.matchedLots.length} lots (FIFO)</span>
+                      </td>
+                      <td className="quantity">{proposal.quantity}</td>
+                      <td className="price">
+                        <CurrencyDisplay value={proposal.currentPrice} decimals={2} />
+                      </td>
+                      <td className="gain-loss"><CurrencyDisplay value={proposal.shortTerm} /></td>
+                      <td className="gain-loss"><CurrencyDisplay value={proposal.longTerm} /></td>
+                      <td className="gain-loss"><CurrencyDisplay value={proposal.taxSaved} /></td>
+                      <td className="gain-loss"><CurrencyDisplay value={proposal.washOutCost} /></td>
+                      <td className="gain-loss"><CurrencyDisplay value={proposal.netBenefit} /></td>
+                    </tr>
+                    {expandedStock === proposal.stockId && proposal.matchedLots.map((lot, idx) => (
+                      <tr key={`${proposal.stockId}-${idx}`} className="lot-row">
+                        <td>
+                          Bought <DateDisplay date={lot.buyDate} />
+                        </td>
+                        <td className="quantity">{lot.quantity}</td>
+                        <td className="price">
+                          <CurrencyDisplay value={lot.buyPrice} decimals={2} />
+                        </td>
+                        <td colSpan="2">
+                          {lot.classification} · {lot.holdingPeriod} days
+                        </td>
+                        <td className="gain-loss" colSpan="3">
+                          <CurrencyDisplay value={lot.gainLoss} />
+                        </td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {plan.unpriced && plan.unpriced.length > 0 && (
+        <p className="planner-note">
+          Skipped (no cached price): {plan.unpriced.join(', ')}. Refresh prices to include them.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TaxLossHarvestingPlanner;
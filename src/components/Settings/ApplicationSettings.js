@@ -1,14 +1,33 @@
 import React, { useState } from 'react';
+import { setNotificationsEnabled } from '../../utils/api/alertAPI';
 import './ApplicationSettings.css';
 
+const PREFERENCES_KEY = 'appPreferences';
+
+/**
+ * Read the saved preferences, falling back to the defaults
+ */
+const loadPreferences = () => {
+  try {
+    return {
+      autoRefreshInterval: 30,
+      theme: 'light',
+      showNotifications: true,
+      ...JSON.parse(localStorage.getItem(PREFERENCES_KEY))
+    };
+  } catch (err) {
+    return { autoRefreshInterval: 30, theme: 'light', showNotifications: true };
+  }
+};
+
 /**
  * ApplicationSettings Component
  * Manages application preferences and database operations
  */
-const ApplicationSettings = () => {
-  const [autoRefreshInterval, setAutoRefreshInterval] = useState(30);
-  const [theme, setTheme] = useState('light');
-  const [showNotifications, setShowNotifications] = useState(true);
+const ApplicationSettings = ({ sessionToken }) => {
+  const [autoRefreshInterval, setAutoRefreshInterval] = useState(() => loadPreferences().autoRefreshInterval);
+  const [theme, setTheme] = useState(() => loadPreferences().theme);
+  const [showNotifications, setShowNotifications] = useState(() => loadPreferences().showNotifications);
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState(null);
   const [error, setError] = useState(null);
@@ -21,11 +40,14 @@ const ApplicationSettings = () => {
     try {
       setIsLoading(true);
       // Save preferences to localStorage for now
-      localStorage.setItem('appPreferences', JSON.stringify({
+      localStorage.setItem(PREFERENCES_KEY, JSON.stringify({
         autoRefreshInterval,
         theme,
         showNotifications
       }));
+      // Price alerts are checked in the main process, which reads the toggle
+      // from the database
+      await setNotificationsEnabled(sessionToken, showNotifications);
       setMessage('Preferences saved successfully');
     } catch (err) {
       console.error('Failed to save preferences:', err);
@@ -123,7 +145,7 @@ const ApplicationSettings = () => {
               onChange={(e) => setShowNotifications(e.target.checked)}
               disabled={isLoading}
             />
-            <label htmlFor="notifications">Show notifications for price updates</label>
+            <label htmlFor="notifications">Show desktop notifications for price alerts</label>
           </div>
 
           {error && (
@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import DateDisplay from '../Common/DateDisplay';
+import {
+  getBrokeragePlans,
+  saveBrokeragePlan,
+  deleteBrokeragePlan
+} from '../../utils/api/tradeChargesAPI';
+import './BrokeragePlans.css';
+
+const PLAN_TYPE_LABELS = {
+  FLAT: 'Flat fee per order',
+  PERCENTAGE: 'Percentage of trade value',
+  CAPPED: 'Percentage, capped per order'
+};
+
+const emptyPlan = () => ({
+  name: '',
+  planType: 'FLAT',
+  flatFee: '',
+  ratePercent: '',
+  minimum: '',
+  maximum: '',
+  effectiveFrom: new Date().toISOString().split('T')[0]
+});
+
+/**
+ * Describe a plan's brokerage in one line
+ */
+const describePlan = (plan) => {
+  if (plan.planType === 'FLAT') {
+    return <>Flat <CurrencyDisplay value={plan.flatFee} /> per order</>;
+  }
+
+  return (
+    <>
+      {(plan.rate * 100).toFixed(4).replace(/\.?0+$/, '')}% of trade value
+      {plan.minimum ? <>, minimum <CurrencyDisplay value={plan.minimum} /></> : null}
+      {plan.planType === 'CAPPED' && <>, up to <CurrencyDisplay value={plan.maximum} /></>}
+    </>
+  );
+};
+
+/**
+ * BrokeragePlans Component
+ * Manages the brokerage plans used to fill in the charges on new trades.
+ * Each plan applies from its effective date until the next one starts.
+ */
+const BrokeragePlans = ({ sessionToken }) => {
+  const [plans, setPlans] = useState([]);
+  const [form, setForm] = useState(emptyPlan);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadPlans = async () => {
+    try {
+      setPlans(await getBrokeragePlans(sessionToken));
+    } catch (err) {
+      setError(err.message || 'Failed to load brokerage plans');
+    }
+  };
+
+  useEffect(() => {
+    if (sessionToken) {
+      loadPlans();
+    }
+  }, [sessionToken]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleEdit = (plan) => {
+    setMessage(null);
+    setError(null);
+    setForm({
+      id: plan.id,
+      name: plan.name,
+      planType: plan.planType,
+      flatFee: plan.flatFee !== null ? String(plan.flatFee) : '',
+      ratePercent: plan.rate !== null ? String(plan.rate * 100) : '',
+      minimum: plan.minimum !== null ? String(plan.minimum) : '',
+      maximum: plan.maximum !== null ? String(plan.maximum) : '',
+      effectiveFrom: plan.effectiveFrom
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+    setError(null);
+
+    try {
+      setIsLoading(true);
+      await saveBrokeragePlan(sessionToken, {
+        id: form.id,
+        name: form.name,
+        planType: form.planType,
+        flatFee: form.flatFee === '' ? null : parseFloat(form.flatFee),
+        rate: form.ratePercent === '' ? null : parseFloat(form.ratePercent) / 100,
+        minimum: form.minimum === '' ? null : parseFloat(form.minimum),
+        maximum: form.maximum === '' ? null : parseFloat(form.maximum),
+        effectiveFrom: form.effectiveFrom
+      });
+      setMessage(`Brokerage plan "${form.name}" saved`);
+      setForm(emptyPlan());
+      await loadPlans();
+    } catch (err) {
+      setError(err.message || 'Failed to save brokerage plan');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete the brokerage plan "${plan.name}"? Charges already recorded on trades are not changed.`)) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setMessage(null);
+      setError(null);
+      await deleteBrokeragePlan(sessionToken, plan.id);
+      await loadPlans();
+    } catch (err) {
+      setError(err.message || 'Failed to delete brokerage plan');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="brokerage-plans">
+      <div className="settings-section">
+        <h2>Brokerage Plans</h2>
+        <p className="brokerage-plans-description">
+          Charges on new trades are filled in from the plan in force on the trade date, plus
+          STT, exchange transaction charges, SEBI fees, stamp duty and GST at the rates in force
+          on that date. You can still override them with the figure on your contract note.
+        </p>
+
+        {plans.length === 0 ? (
+          <p className="brokerage-plans-empty">
+            No brokerage plan yet, so only statutory charges are filled in.
+          </p>
+        ) : (
+          <table className="brokerage-plans-table">
+            <thead>
+              <tr>
+                <th>From</th>
+                <th>Plan</th>
+                <th>Brokerage</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {plans.map(plan => (
+                <tr key={plan.id}>
+                  <td><DateDisplay date={plan.effectiveFrom} /></td>
+                  <td>{plan.name}</td>
+                  <td>{describePlan(plan)}</td>
+                  <td className="brokerage-plans-actions">
+                    <button className="btn btn-secondary" onClick={() => handleEdit(plan)} disabled={isLoading}>
+                      Edit
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => handleDelete(plan)} disabled={isLoading}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="settings-section">
+        <h2>{form.id ? 'Edit Brokerage Plan' : 'Add Brokerage Plan'}</h2>
+
+        <form onSubmit={handleSave} className="brokerage-plans-form">
+          <div className="form-group">
+            <label htmlFor="plan-name">Name</label>
+            <input
+              id="plan-name"
+              type="text"
+              value={form.name}
+              placeholder="e.g. ICICI Direct Prime"
+              onChange={(e) => handleChange('name', e.target.value)}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="plan-type">Plan Type</label>
+            <select
+              id="plan-type"
+              value={form.planType}
+              onChange={(e) => handleChange('planType', e.target.value)}
+              disabled={isLoading}
+            >
+              {Object.entries(PLAN_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.planType === 'FLAT' ? (
+            <div className="form-group">
+              <label htmlFor="plan-flat-fee">Fee per Order (₹)</label>
+              <input
+                id="plan-flat-fee"
+                type="number"
+                step="0.01"
+                min="0"
+                value={form.flatFee}
+                onChange={(e) => handleChange('flatFee', e.target.value)}
+                disabled={isLoading}
+              />
+            </div>
+          ) : (
+            <>
+              <div className="form-group">
+                <label htmlFor="plan-rate">Rate (% of trade value)</label>
+                <input
+                  id="plan-rate"
+                  type="number"
+                  step="0.0001"
+                  min="0"
+                  value={form.ratePercent}
+                  onChange={(e) => handleChange('ratePercent', e.target.value)}
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="plan-minimum">Minimum per Order (₹, optional)</label>
+                <input
+                  id="plan-minimum"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={form.minimum}
+                  onChange={(e) => handleChange('minimum', e.target.value)}
+                  disabled={isLoading}
+                />
+              </div>
+              {form.planType === 'CAPPED' && (
+                <div className="form-group">
+                  <label htmlFor="plan-maximum">Maximum per Order (₹)</label>
+                  <input
+                    id="plan-maximum"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={form.maximum}
+                    onChange={(e) => handleChange('maximum', e.target.value)}
+                    disabled={isLoading}
+                  />
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="plan-effective-from">Effective From</label>
+            <input
+              id="plan-effective-from"
+              type="date"
+              value={form.effectiveFrom}
+              onChange={(e) => handleChange('effectiveFrom', e.target.value)}
+              disabled={isLoading}
+            />
+            <small>Trades on or after this date use this plan until the next plan starts</small>
+          </div>
+
+          {error && <div className="alert alert-error">{error}</div>}
+          {message && <div className="alert alert-success">{message}</div>}
+
+          <div className="brokerage-plans-actions">
+            <button type="submit" className="btn btn-primary" disabled={isLoading}>
+              {isLoading ? 'Saving...' : 'Save Plan'}
+            </button>
+            {form.id && (
+              <button type="button" className="btn btn-secondary" onClick={() => setForm(emptyPlan())} disabled={isLoading}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BrokeragePlans;
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { usePortfolio } from '../../context/PortfolioContext';
+import { ACCOUNT_TYPE_LABELS } from '../Common/PortfolioSelector';
+import {
+  createPortfolio,
+  updatePortfolio,
+  deletePortfolio
+} from '../../utils/api/portfolioAPI';
+import './PortfolioAccounts.css';
+
+const emptyAccount = () => ({
+  name: '',
+  accountType: 'INDIVIDUAL',
+  dematAccount: ''
+});
+
+/**
+ * PortfolioAccounts Component
+ * Manages the portfolios that keep a person's individual, HUF and joint demat
+ * accounts apart. Holdings and capital gains are worked out per account.
+ */
+const PortfolioAccounts = ({ sessionToken }) => {
+  const { portfolios, refreshPortfolios } = usePortfolio();
+  const [form, setForm] = useState(emptyAccount);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleEdit = (portfolio) => {
+    setMessage(null);
+    setError(null);
+    setForm({
+      id: portfolio.id,
+      name: portfolio.name,
+      accountType: portfolio.account_type,
+      dematAccount: portfolio.demat_account || ''
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+    setError(null);
+
+    const account = {
+      name: form.name,
+      accountType: form.accountType,
+      dematAccount: form.dematAccount
+    };
+
+    try {
+      setIsLoading(true);
+      if (form.id) {
+        await updatePortfolio(sessionToken, form.id, account);
+      } else {
+        await createPortfolio(sessionToken, account);
+      }
+      setMessage(`Account "${form.name}" saved`);
+      setForm(emptyAccount());
+      await refreshPortfolios();
+    } catch (err) {
+      setError(err.message || 'Failed to save account');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (portfolio) => {
+    if (!window.confirm(`Delete the account "${portfolio.name}"?`)) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setMessage(null);
+      setError(null);
+      await deletePortfolio(sessionToken, portfolio.id);
+      await refreshPortfolios();
+    } catch (err) {
+      setError(err.message || 'Failed to delete account');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="portfolio-accounts">
+      <div className="settings-section">
+        <h2>Accounts</h2>
+        <p className="portfolio-accounts-description">
+          Keep each demat account in its own portfolio. FIFO lots and capital gains are worked
+          out per account, and the Portfolio, Transactions and Reports pages can show one
+          account or all of them together.
+        </p>
+
+        <table className="portfolio-accounts-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Type</th>
+              <th>Demat Account</th>
+              <th>Transactions</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {portfolios.map(portfolio => (
+              <tr key={portfolio.id}>
+                <td>
+                  {portfolio.name}
+                  {portfolio.is_default ? <span className="portfolio-accounts-default">Default</span> : null}
+                </td>
+                <td>{ACCOUNT_TYPE_LABELS[portfolio.account_type] || portfolio.account_type}</td>
+                <td>{portfolio.demat_account || '-'}</td>
+                <td>{portfolio.transaction_count}</td>
+                <td className="portfolio-accounts-actions">
+                  <button className="btn btn-secondary" onClick={() => handleEdit(portfolio)} disabled={isLoading}>
+                    Edit
+                  </button>
+                  {!portfolio.is_default && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleDelete(portfolio)}
+                      disabled={isLoading || portfolio.transaction_count > 0}
+                      title={portfolio.transaction_count > 0 ? 'Delete its transactions first' : undefined}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="settings-section">
+        <h2>{form.id ? 'Edit Account' : 'Add Account'}</h2>
+
+        <form onSubmit={handleSave} className="portfolio-accounts-form">
+          <div className="form-group">
+            <label htmlFor="account-name">Name</label>
+            <input
+              id="account-name"
+              type="text"
+              value={form.name}
+              placeholder="e.g. Family HUF"
+              onChange={(e) => handleChange('name', e.target.value)}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="account-type">Account Type</label>
+            <select
+              id="account-type"
+              value={form.accountType}
+              onChange={(e) => handleChange('accountType', e.target.value)}
+              disabled={isLoading}
+            >
+              {Object.entries(ACCOUNT_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="account-demat">Demat Account (optional)</label>
+            <input
+              id="account-demat"
+              type="text"
+              value={form.dematAccount}
+              placeholder="DP ID / Client ID"
+              onChange={(e) => handleChange('dematAccount', e.target.value)}
+              disabled={isLoading}
+            />
+          </div>
+
+          {error && <div className="alert alert-error">{error}</div>}
+          {message && <div className="alert alert-success">{message}</div>}
+
+          <div className="portfolio-accounts-actions">
+            <button type="submit" className="btn btn-primary" disabled={isLoading}>
+              {isLoading ? 'Saving...' : 'Save Account'}
+            </button>
+            {form.id && (
+              <button type="button" className="btn btn-secondary" onClick={() => setForm(emptyAccount())} disabled={isLoading}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PortfolioAccounts;
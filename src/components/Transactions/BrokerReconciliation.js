@@ -0,0 +1,274 @@
+import React, { useState } from 'react';
+import { useSession } from '../../context/SessionContext';
+import { usePortfolio } from '../../context/PortfolioContext';
+import { ACCOUNT_TYPE_LABELS } from '../Common/PortfolioSelector';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import DateDisplay from '../Common/DateDisplay';
+import {
+  reconcileBrokerHoldings,
+  createReconciliationTransactions
+} from '../../utils/api/brokerSyncAPI';
+import './BrokerReconciliation.css';
+
+const STATUS_LABELS = {
+  MATCHED: 'Matched',
+  MISMATCH: 'Mismatch',
+  UNMAPPED: 'Unknown stock'
+};
+
+const defaultTradesFrom = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - 30);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * BrokerReconciliation Component
+ * Compares Breeze holdings with the local ledger and creates the missing
+ * transactions the user confirms
+ */
+const BrokerReconciliation = ({ onChange }) => {
+  const { sessionToken } = useSession();
+  const { portfolios, selectedPortfolioId } = usePortfolio();
+  const [portfolioId, setPortfolioId] = useState(selectedPortfolioId);
+  const defaultPortfolio = portfolios.find(portfolio => portfolio.is_default);
+  const accountId = portfolioId || (defaultPortfolio ? defaultPortfolio.id : null);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [tradesFrom, setTradesFrom] = useState(defaultTradesFrom);
+  const [result, setResult] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleReconcile = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      setMessage(null);
+
+      const data = await reconcileBrokerHoldings(sessionToken, { tradesFrom }, accountId);
+      setResult(data);
+
+      // Broker trades are selected up front; balancing entries need a look first
+      const initial = {};
+      for (const row of data.rows) {
+        for (const suggestion of row.suggestions) {
+          initial[suggestion.key] = {
+            selected: suggestion.source === 'TRADE',
+            price: suggestion.price !== null ? String(suggestion.price) : '',
+            date: suggestion.date
+          };
+        }
+      }
+      setEdits(initial);
+    } catch (err) {
+      setResult(null);
+      setError(err.message || 'Failed to reconcile holdings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleEdit = (key, field, value) => {
+    setEdits(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const selectedTransactions = result
+    ? result.rows.flatMap(row => row.suggestions
+      .filter(suggestion => edits[suggestion.key] && edits[suggestion.key].selected)
+      .map(suggestion => ({
+        ...suggestion,
+        stockId: row.stockId,
+        symbol: row.symbol,
+        companyName: row.companyName,
+        isin: row.isin,
+        price: parseFloat(edits[suggestion.key].price),
+        date: edits[suggestion.key].date
+      })))
+    : [];
+
+  const handleCreate = async () => {
+    const missingPrice = selectedTransactions.find(t => !(t.price > 0));
+    if (missingPrice) {
+      setError(`Enter a price for the ${missingPrice.symbol} ${missingPrice.type.toLowerCase()}`);
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const created = await createReconciliationTransactions(sessionToken, selectedTransactions, result.portfolioId);
+
+      if (onChange) onChange();
+      await handleReconcile();
+
+      if (created.failed.length > 0) {
+        setError(
+          `${created.failed.length} failed: ` +
+          created.failed.map(f => `${f.symbol} (${f.message})`).join(', ')
+        );
+      }
+      setMessage(`✓ Created ${created.imported} transaction${created.imported === 1 ? '' : 's'}`);
+    } catch (err) {
+      setError(err.message || 'Failed to create transactions');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="broker-reconciliation">
+      <div className="broker-reconciliation-header">
+        <div>
+          <h2>Broker Reconciliation</h2>
+          <p className="section-description">
+            Compare your ICICI Direct holdings from the Breeze API with the holdings
+            built from your transactions
+          </p>
+        </div>
+        <button className="broker-reconciliation-btn" onClick={() => setIsExpanded(!isExpanded)}>
+          {isExpanded ? 'Hide' : 'Reconcile'}
+        </button>
+      </div>
+
+      {isExpanded && (
+        <>
+          <div className="broker-reconciliation-controls">
+            {portfolios.length > 1 && (
+              <label>
+                Demat account
+                <select
+                  value={accountId || ''}
+                  onChange={(e) => {
+                    setPortfolioId(Number(e.target.value));
+                    setResult(null);
+                  }}
+                  disabled={isLoading}
+                >
+                  {portfolios.map(portfolio => (
+                    <option key={portfolio.id} value={portfolio.id}>
+                      {portfolio.name} ({ACCOUNT_TYPE_LABELS[portfolio.account_type] || portfolio.account_type})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <label>
+              Use broker trades since
+              <input
+                type="date"
+                value={tradesFrom}
+                max={new Date().toISOString().split('T')[0]}
+                onChange={(e) => setTradesFrom(e.target.value)}
+                disabled={isLoading}
+              />
+            </label>
+            <button className="broker-reconciliation-btn" onClick={handleReconcile} disabled={isLoading}>
+              {isLoading ? 'Checking...' : '🔄 Compare Holdings'}
+            </button>
+          </div>
+
+          {message && <div className="broker-reconciliation-message success">{message}</div>}
+          {error && <div className="broker-reconciliation-message error">{error}</div>}
+
+          {result && (
+            <>
+              <p className="broker-reconciliation-summary">
+                {result.summary.matched} matched, {result.summary.mismatch} mismatched,
+                {' '}{result.summary.unmapped} not found in the BSE scrip master.
+                {!result.tradesAvailable && ' The trade list was unavailable, so only balancing entries are suggested.'}
+              </p>
+
+              <table className="broker-reconciliation-table">
+                <thead>
+                  <tr>
+                    <th>Stock</th>
+                    <th>Broker Qty</th>
+                    <th>Local Qty</th>
+                    <th>Difference</th>
+                    <th>Status</th>
+                    <th>Missing Transactions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.rows.map(row => (
+                    <tr key={row.stockCode} className={`status-${row.status.toLowerCase()}`}>
+                      <td>
+                        <strong>{row.symbol}</strong>
+                        {row.symbol !== row.stockCode && <span className="broker-code">{row.stockCode}</span>}
+                      </td>
+                      <td>{row.brokerQuantity}</td>
+                      <td>{row.localQuantity}</td>
+                      <td className={row.difference > 0 ? 'positive' : row.difference < 0 ? 'negative' : ''}>
+                        {row.difference > 0 ? `+${row.difference}` : row.difference}
+                      </td>
+                      <td><span className="broker-status">{STATUS_LABELS[row.status]}</span></td>
+                      <td>
+                        {row.suggestions.map(suggestion => {
+                          const edit = edits[suggestion.key] || {};
+                          return (
+                            <div key={suggestion.key} className="broker-suggestion">
+                              <input
+                                type="checkbox"
+                                checked={Boolean(edit.selected)}
+                                onChange={(e) => handleEdit(suggestion.key, 'selected', e.target.checked)}
+                                disabled={isLoading}
+                              />
+                              <span className={`broker-suggestion-type ${suggestion.type.toLowerCase()}`}>
+                                {suggestion.type}
+                              </span>
+                              <span>{suggestion.quantity} @</span>
+                              {suggestion.source === 'TRADE' ? (
+                                <>
+                                  <CurrencyDisplay value={suggestion.price} />
+                                  <span>on <DateDisplay date={suggestion.date} /></span>
+                                </>
+                              ) : (
+                                <>
+                                  <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0.01"
+                                    placeholder="Price"
+                                    value={edit.price || ''}
+                                    onChange={(e) => handleEdit(suggestion.key, 'price', e.target.value)}
+                                    disabled={isLoading}
+                                  />
+                                  <input
+                                    type="date"
+                                    value={edit.date || ''}
+                                    onChange={(e) => handleEdit(suggestion.key, 'date', e.target.value)}
+                                    disabled={isLoading}
+                                  />
+                                  <span className="broker-suggestion-note">Balancing entry</span>
+                                </>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="broker-reconciliation-controls">
+                <button
+                  className="broker-reconciliation-btn primary"
+                  onClick={handleCreate}
+                  disabled={selectedTransactions.length === 0 || isLoading}
+                >
+                  ✓ Create {selectedTransactions.length} transaction{selectedTransactions.length === 1 ? '' : 's'}
+                </button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BrokerReconciliation;
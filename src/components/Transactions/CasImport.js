@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import { usePortfolio } from '../../context/PortfolioContext';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import DateDisplay from '../Common/DateDisplay';
+import { previewCasImport, importCasMutualFunds } from '../../utils/api/casImportAPI';
+import './CasImport.css';
+
+const HOLDING_STATUS_LABELS = {
+  MATCHED: 'Matched',
+  DRIFT: 'Drift',
+  UNMAPPED: 'Unknown ISIN'
+};
+
+const FUND_STATUS_LABELS = {
+  NEW: 'New',
+  UPDATE: 'Update',
+  MATCHED: 'Up to date',
+  SKIPPED: 'Skipped'
+};
+
+/**
+ * CasImport Component
+ * Checks a CDSL/NSDL Consolidated Account Statement against the holdings
+ * built from transactions and records its mutual fund folios. With an account
+ * selected the statement is compared with that account alone.
+ */
+const CasImport = () => {
+  const { sessionToken } = useSession();
+  const { selectedPortfolioId, selectedPortfolio } = usePortfolio();
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [filePath, setFilePath] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  // A preview is only valid for the account it was compared with
+  useEffect(() => {
+    setPreview(null);
+    setSelected(new Set());
+  }, [selectedPortfolioId]);
+
+  const loadPreview = async (path) => {
+    const data = await previewCasImport(sessionToken, path, selectedPortfolioId);
+    setPreview(data);
+    setSelected(new Set(
+      data.mutualFunds.filter(fund => fund.status === 'NEW' || fund.status === 'UPDATE').map(fund => fund.key)
+    ));
+  };
+
+  const handleChooseFile = async () => {
+    try {
+      setError(null);
+      setMessage(null);
+
+      const result = await window.electronAPI.openFileDialog({
+        title: 'Import Consolidated Account Statement',
+        filters: [
+          { name: 'Statement Text', extensions: ['txt'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile']
+      });
+
+      if (result.canceled || !result.filePaths || result.filePaths.length === 0) return;
+
+      setIsLoading(true);
+      setFilePath(result.filePaths[0]);
+      await loadPreview(result.filePaths[0]);
+    } catch (err) {
+      setPreview(null);
+      setError(err.message || 'Failed to read statement');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggle = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const result = await importCasMutualFunds(sessionToken, filePath, Array.from(selected), selectedPortfolioId);
+      await loadPreview(filePath);
+
+      if (result.failed.length > 0) {
+        setError(
+          `${result.failed.length} failed: ` +
+          result.failed.map(f => `${f.schemeName} (${f.message})`).join(', ')
+        );
+      }
+      setMessage(`✓ Recorded ${result.created} new and ${result.updated} updated mutual funds`);
+    } catch (err) {
+      setError(err.message || 'Failed to import mutual funds');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="cas-import">
+      <div className="cas-import-header">
+        <div>
+          <h2>Consolidated Account Statement</h2>
+          <p className="section-description">
+            Check your holdings against the monthly CDSL/NSDL statement. Import the text
+            extracted from the PDF (for example with pdftotext -layout).
+          </p>
+        </div>
+        <button className="cas-import-btn" onClick={() => setIsExpanded(!isExpanded)}>
+          {isExpanded ? 'Hide' : 'Check Statement'}
+        </button>
+      </div>
+
+      {isExpanded && (
+        <>
+          <div className="cas-import-controls">
+            <button className="cas-import-btn" onClick={handleChooseFile} disabled={isLoading}>
+              {isLoading && !preview ? 'Reading...' : '📂 Choose Statement'}
+            </button>
+            {preview && (
+              <span className="cas-import-file">
+                {preview.fileName} as on <DateDisplay date={preview.statementDate} />
+                {selectedPortfolio && `, compared with ${selectedPortfolio.name}`}
+              </span>
+            )}
+          </div>
+
+          {message && <div className="cas-import-message success">{message}</div>}
+          {error && <div className="cas-import-message error">{error}</div>}
+
+          {preview && (
+            <>
+              <p className="cas-import-summary">
+                {preview.summary.matched} matched, {preview.summary.drift} with drift,
+                {' '}{preview.summary.unmapped} with an unknown ISIN
+                {preview.errors.length > 0 && `, ${preview.errors.length} unreadable`}
+              </p>
+
+              <table className="cas-import-table">
+                <thead>
+                  <tr>
+                    <th>Stock</th>
+                    <th>ISIN</th>
+                    <th>Statement Qty</th>
+                    <th>Local Qty</th>
+                    <th>Drift</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.holdings.map(holding => (
+                    <tr key={`${holding.isin}-${holding.stockId}`} className={`status-${holding.status.toLowerCase()}`}>
+                      <td>
+                        <strong>{holding.symbol || holding.name}</strong>
+                        {holding.symbol && <span className="cas-import-name">{holding.name}</span>}
+                      </td>
+                      <td>{holding.isin || '-'}</td>
+                      <td>{holding.casQuantity}</td>
+                      <td>{holding.localQuantity}</td>
+                      <td className={holding.difference > 0 ? 'positive' : holding.difference < 0 ? 'negative' : ''}>
+                        {holding.difference > 0 ? `+${holding.difference}` : holding.difference}
+                      </td>
+                      <td><span className="cas-import-status">{HOLDING_STATUS_LABELS[holding.status]}</span></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {preview.errors.length > 0 && (
+                <ul className="cas-import-errors">
+                  {preview.errors.map(err => (
+                    <li key={err.line}>Line {err.line} ({err.isin}): {err.message}</li>
+                  ))}
+                </ul>
+              )}
+
+              {preview.mutualFunds.length > 0 && (
+                <>
+                  <h3>Mutual Fund Folios</h3>
+                  <table className="cas-import-table">
+                    <thead>
+                      <tr>
+                        <th></th>
+                        <th>Scheme</th>
+                        <th>Folio</th>
+                        <th>Units</th>
+                        <th>NAV</th>
+                        <th>Value</th>
+                        <th>Recorded Value</th>
+                        <th>Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.mutualFunds.map(fund => (
+                        <tr key={fund.key} className={`status-${fund.status.toLowerCase()}`}>
+                          <td>
+                            <input
+                              type="checkbox"
+                              checked={selected.has(fund.key)}
+                              disabled={(fund.status !== 'NEW' && fund.status !== 'UPDATE') || isLoading}
+                              onChange={() => handleToggle(fund.key)}
+                            />
+                          </td>
+                          <td>{fund.schemeName}</td>
+                          <td>{fund.folioNumber || '-'}</td>
+                          <td>{fund.units}</td>
+                          <td><CurrencyDisplay value={fund.nav} /></td>
+                          <td><CurrencyDisplay value={fund.value} /></td>
+                          <td>{fund.recordedValue !== null ? <CurrencyDisplay value={fund.recordedValue} /> : '-'}</td>
+                          <td><span className="cas-import-status">{FUND_STATUS_LABELS[fund.status]}</span></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <div className="cas-import-controls">
+                    <button
+                      className="cas-import-btn primary"
+                      onClick={handleImport}
+                      disabled={selected.size === 0 || isLoading}
+                    >
+                      {isLoading ? 'Saving...' : `✓ Record ${selected.size} mutual fund${selected.size === 1 ? '' : 's'}`}
+                    </button>
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CasImport;
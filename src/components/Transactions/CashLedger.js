@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import { usePortfolio } from '../../context/PortfolioContext';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import DateDisplay from '../Common/DateDisplay';
+import { getCashLedger, addCashEntry, deleteCashEntry } from '../../utils/api/cashLedgerAPI';
+import './CashLedger.css';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyEntry = () => ({
+  entryType: 'DEPOSIT',
+  amount: '',
+  entryDate: today(),
+  notes: ''
+});
+
+/**
+ * CashLedger Component
+ * Shows the running cash balance of the selected account, fed by trades,
+ * charges and dividends, and records deposits and withdrawals. Debits the
+ * account had no cash for are flagged.
+ */
+const CashLedger = ({ refreshTrigger }) => {
+  const { sessionToken } = useSession();
+  const { portfolios, selectedPortfolioId } = usePortfolio();
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [ledger, setLedger] = useState(null);
+  const [form, setForm] = useState(emptyEntry);
+  const [portfolioId, setPortfolioId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const defaultPortfolio = portfolios.find(portfolio => portfolio.is_default);
+  const accountId = selectedPortfolioId || portfolioId || (defaultPortfolio ? defaultPortfolio.id : null);
+  const showAccounts = !selectedPortfolioId && portfolios.length > 1;
+  const portfolioNames = new Map(portfolios.map(portfolio => [portfolio.id, portfolio.name]));
+
+  const loadLedger = async () => {
+    try {
+      setLedger(await getCashLedger(sessionToken, selectedPortfolioId));
+    } catch (err) {
+      setError(err.message || 'Failed to load cash ledger');
+    }
+  };
+
+  useEffect(() => {
+    if (isExpanded && sessionToken) {
+      loadLedger();
+    }
+  }, [isExpanded, sessionToken, selectedPortfolioId, refreshTrigger]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+    setError(null);
+
+    try {
+      setIsLoading(true);
+      await addCashEntry(sessionToken, {
+        portfolioId: accountId,
+        entryType: form.entryType,
+        amount: parseFloat(form.amount),
+        entryDate: form.entryDate,
+        notes: form.notes.trim() || null
+      });
+      setMessage(`✓ ${form.entryType === 'DEPOSIT' ? 'Deposit' : 'Withdrawal'} recorded`);
+      setForm(emptyEntry());
+      await loadLedger();
+    } catch (err) {
+      setError(err.message || 'Failed to record cash entry');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete this ${entry.type.toLowerCase()}?`)) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setMessage(null);
+      setError(null);
+      await deleteCashEntry(sessionToken, entry.cashEntryId);
+      await loadLedger();
+    } catch (err) {
+      setError(err.message || 'Failed to delete cash entry');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="cash-ledger">
+      <div className="cash-ledger-header">
+        <div>
+          <h2>Cash Ledger</h2>
+          <p className="section-description">
+            Running cash balance from deposits, withdrawals, trades, charges and dividends
+          </p>
+        </div>
+        <button className="cash-ledger-btn" onClick={() => setIsExpanded(!isExpanded)}>
+          {isExpanded ? 'Hide' : 'Show Ledger'}
+        </button>
+      </div>
+
+      {isExpanded && (
+        <>
+          <form className="cash-ledger-controls" onSubmit={handleAdd}>
+            {showAccounts && (
+              <select
+                value={accountId || ''}
+                onChange={(e) => setPortfolioId(Number(e.target.value))}
+                disabled={isLoading}
+                aria-label="Account"
+              >
+                {portfolios.map(portfolio => (
+                  <option key={portfolio.id} value={portfolio.id}>{portfolio.name}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={form.entryType}
+              onChange={(e) => handleChange('entryType', e.target.value)}
+              disabled={isLoading}
+              aria-label="Entry type"
+            >
+              <option value="DEPOSIT">Deposit</option>
+              <option value="WITHDRAWAL">Withdrawal</option>
+            </select>
+            <input
+              type="number"
+              step="0.01"
+              min="0.01"
+              placeholder="Amount"
+              value={form.amount}
+              onChange={(e) => handleChange('amount', e.target.value)}
+              disabled={isLoading}
+            />
+            <input
+              type="date"
+              value={form.entryDate}
+              max={today()}
+              onChange={(e) => handleChange('entryDate', e.target.value)}
+              disabled={isLoading}
+            />
+            <input
+              type="text"
+              placeholder="Notes (optional)"
+              value={form.notes}
+              onChange={(e) => handleChange('notes', e.target.value)}
+              disabled={isLoading}
+            />
+            <button type="submit" className="cash-ledger-btn primary" disabled={isLoading || !form.amount}>
+              + Record
+            </button>
+          </form>
+
+          {message && <div className="cash-ledger-message success">{message}</div>}
+          {error && <div className="cash-ledger-message error">{error}</div>}
+
+          {ledger && (
+            <>
+              <div className="cash-ledger-summary">
+                <div>
+                  <span className="cash-ledger-label">Balance</span>
+                  <span className={`cash-ledger-value ${ledger.balance < 0 ? 'negative' : ''}`}>
+                    <CurrencyDisplay value={ledger.balance} />
+                  </span>
+                </div>
+                <div>
+                  <span className="cash-ledger-label">Deposited</span>
+                  <CurrencyDisplay value={ledger.totals.deposits - ledger.totals.withdrawals} />
+                </div>
+                <div>
+                  <span className="cash-ledger-label">Dividends</span>
+                  <CurrencyDisplay value={ledger.totals.dividends} />
+                </div>
+                <div>
+                  <span className="cash-ledger-label">Charges</span>
+                  <CurrencyDisplay value={ledger.totals.charges} />
+                </div>
+              </div>
+
+              {!ledger.hasCashEntries && ledger.entries.length > 0 && (
+                <p className="cash-ledger-note">
+                  No deposits recorded yet, so every buy shows as a shortfall. Record the money
+                  you added to the account to start tracking its balance.
+                </p>
+              )}
+
+              {ledger.hasCashEntries && ledger.negativeTrades.length > 0 && (
+                <div className="cash-ledger-message error">
+                  ⚠ {ledger.negativeTrades.length} trade{ledger.negativeTrades.length === 1 ? ' was' : 's were'} paid
+                  with more cash than the account held. Record the missing deposits or check the trades.
+                </div>
+              )}
+
+              {ledger.entries.length === 0 ? (
+                <p className="cash-ledger-note">No cash movements yet.</p>
+              ) : (
+                <table className="cash-ledger-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      {showAccounts && <th>Account</th>}
+                      <th>Description</th>
+                      <th>Debit</th>
+                      <th>Credit</th>
+                      <th>Balance</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ledger.entries.map(entry => (
+                      <tr key={`${entry.portfolioId}-${entry.key}`} className={entry.negative ? 'cash-ledger-negative' : ''}>
+                        <td><DateDisplay date={entry.date} /></td>
+                        {showAccounts && <td>{portfolioNames.get(entry.portfolioId) || '-'}</td>}
+                        <td>
+                          {entry.description}
+                          {entry.negative && (
+                            <span className="cash-ledger-flag" title={`Account balance ₹${entry.accountBalance}`}>
+                              Insufficient cash
+                            </span>
+                          )}
+                        </td>
+                        <td>{entry.amount < 0 ? <CurrencyDisplay value={-entry.amount} /> : ''}</td>
+                        <td>{entry.amount > 0 ? <CurrencyDisplay value={entry.amount} /> : ''}</td>
+                        <td className={entry.balance < 0 ? 'negative' : ''}>
+                          <CurrencyDisplay value={entry.balance} />
+                        </td>
+                        <td>
+                          {entry.cashEntryId && (
+                            <button
+                              className="cash-ledger-btn"
+                              onClick={() => handleDelete(entry)}
+                              disabled={isLoading}
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CashLedger;
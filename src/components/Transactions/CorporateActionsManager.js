@@ -0,0 +1,492 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import DateDisplay from '../Common/DateDisplay';
+import {
+  getCorporateActions,
+  addCorporateAction,
+  deleteCorporateAction,
+  getRightsEntitlement,
+  subscribeRights
+} from '../../utils/api/corporateActionAPI';
+import { findOrCreateBseStock } from '../../utils/api/stockAPI';
+import './CorporateActionsManager.css';
+
+const ACTION_LABELS = {
+  SPLIT: 'Split',
+  BONUS: 'Bonus',
+  CONSOLIDATION: 'Consolidation',
+  DEMERGER: 'Demerger',
+  RIGHTS: 'Rights issue'
+};
+
+const RATIO_HINTS = {
+  SPLIT: 'new shares for every',
+  BONUS: 'bonus shares for every',
+  CONSOLIDATION: 'new shares for every',
+  DEMERGER: 'shares of the resulting company for every',
+  RIGHTS: 'rights shares for every'
+};
+
+const EMPTY_FORM = {
+  stockId: '',
+  actionType: 'SPLIT',
+  oldShares: '1',
+  newShares: '',
+  exDate: '',
+  resultingStockId: '',
+  costPercent: '',
+  issuePrice: '',
+  notes: ''
+};
+
+/**
+ * Describe a ratio, e.g. "1 → 5" for a split, "1:2 bonus" for a bonus or
+ * "1:1 → ABC (27% of cost)" for a demerger
+ */
+const formatRatio = (action) => {
+  if (action.action_type === 'BONUS') {
+    return `${action.new_shares}:${action.old_shares} bonus`;
+  }
+  if (action.action_type === 'DEMERGER') {
+    const costPercent = Math.round(action.cost_ratio * 10000) / 100;
+    return `${action.new_shares}:${action.old_shares} → ${action.resulting_symbol} (${costPercent}% of cost)`;
+  }
+  if (action.action_type === 'RIGHTS') {
+    return `${action.new_shares}:${action.old_shares} @ ₹${action.issue_price}`;
+  }
+  return `${action.old_shares} → ${action.new_shares}`;
+};
+
+/**
+ * CorporateActionsManager Component
+ * Records splits, bonuses, consolidations, demergers and rights issues so
+ * lots, average cost and FIFO matching stay correct
+ */
+const CorporateActionsManager = ({ onChange }) => {
+  const { sessionToken } = useSession();
+  const [actions, setActions] = useState([]);
+  const [stocks, setStocks] = useState([]);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [resultingSearch, setResultingSearch] = useState('');
+  const [resultingResults, setResultingResults] = useState([]);
+  const [resultingStock, setResultingStock] = useState(null);
+  const [rightsForm, setRightsForm] = useState(null);
+
+  useEffect(() => {
+    loadActions();
+  }, [sessionToken]);
+
+  useEffect(() => {
+    if (isExpanded) {
+      loadStocks();
+    }
+  }, [isExpanded, sessionToken]);
+
+  // Search BSE Scrip Master for the resulting company of a demerger
+  useEffect(() => {
+    if (resultingSearch.length < 2) {
+      setResultingResults([]);
+      return undefined;
+    }
+
+    const timeoutId = setTimeout(async () => {
+      try {
+        const result = await window.electronAPI.searchStocksByName(resultingSearch, 10);
+        setResultingResults(result.success ? result.data || [] : []);
+      } catch (err) {
+        console.error('Failed to search BSE stocks:', err);
+        setResultingResults([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [resultingSearch]);
+
+  const loadActions = async () => {
+    try {
+      const data = await getCorporateActions(sessionToken);
+      setActions(data || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load corporate actions');
+    }
+  };
+
+  const loadStocks = async () => {
+    try {
+      const portfolio = await window.electronAPI.getPortfolioSummary(sessionToken);
+      setStocks(portfolio.holdings || []);
+    } catch (err) {
+      console.error('Failed to load holdings:', err);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleResultingSelect = async (bseStock) => {
+    try {
+      const dbStock = await findOrCreateBseStock(sessionToken, bseStock);
+      setResultingStock({ id: dbStock.id, symbol: dbStock.symbol });
+      setFormData(prev => ({ ...prev, resultingStockId: String(dbStock.id) }));
+      setResultingSearch('');
+    } catch (err) {
+      setError('Failed to select resulting company: ' + err.message);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (formData.actionType === 'DEMERGER' && !formData.resultingStockId) {
+      setError('Select the resulting company of the demerger');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      setMessage(null);
+
+      await addCorporateAction(sessionToken, {
+        stockId: parseInt(formData.stockId, 10),
+        actionType: formData.actionType,
+        oldShares: parseInt(formData.oldShares, 10),
+        newShares: parseInt(formData.newShares, 10),
+        exDate: formData.exDate,
+        resultingStockId: formData.actionType === 'DEMERGER' ? parseInt(formData.resultingStockId, 10) : null,
+        costRatio: formData.actionType === 'DEMERGER' ? parseFloat(formData.costPercent) / 100 : null,
+        issuePrice: formData.actionType === 'RIGHTS' ? parseFloat(formData.issuePrice) : null,
+        notes: formData.notes.trim() || null
+      });
+
+      const stock = stocks.find(s => s.id === parseInt(formData.stockId, 10));
+      const followUp = formData.actionType === 'RIGHTS'
+        ? 'Use Subscribe to record the rights shares you were allotted.'
+        : 'Lots and realized gains were recalculated.';
+      setMessage(`✓ ${ACTION_LABELS[formData.actionType]} recorded${stock ? ` for ${stock.symbol}` : ''}. ${followUp}`);
+      setFormData(EMPTY_FORM);
+      setResultingStock(null);
+
+      await loadActions();
+      await loadStocks();
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to record corporate action');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = async (action) => {
+    if (!window.confirm(`Remove the ${ACTION_LABELS[action.action_type].toLowerCase()} for ${action.symbol}? Realized gains from the ex-date will be recalculated.`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      setMessage(null);
+
+      await deleteCorporateAction(sessionToken, action.id);
+
+      await loadActions();
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to delete corporate action');
+    }
+  };
+
+  const openRightsForm = async (action) => {
+    try {
+      setError(null);
+      setMessage(null);
+
+      const entitlement = await getRightsEntitlement(sessionToken, action.id);
+      setRightsForm({
+        action,
+        entitlement,
+        quantity: String(entitlement.remaining),
+        allotmentDate: ''
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to get rights entitlement');
+    }
+  };
+
+  const handleSubscribe = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      setMessage(null);
+
+      await subscribeRights(sessionToken, rightsForm.action.id, {
+        quantity: parseInt(rightsForm.quantity, 10),
+        allotmentDate: rightsForm.allotmentDate
+      });
+
+      setMessage(`✓ ${rightsForm.quantity} rights shares of ${rightsForm.action.symbol} recorded as a buy at ₹${rightsForm.action.issue_price}`);
+      setRightsForm(null);
+
+      await loadStocks();
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to subscribe to rights issue');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="corporate-actions">
+      <div className="corporate-actions-header">
+        <div>
+          <h2>Corporate Actions</h2>
+          <p className="section-description">
+            Splits and consolidations keep the original purchase date and cost. Bonus shares
+            are a separate lot at nil cost, acquired on the ex-date. Demerged shares keep the
+            parent&apos;s purchase date and take the declared share of its cost. Rights shares
+            are bought at the issue price on the allotment date.
+            {' '}{actions.length} actions on record.
+          </p>
+        </div>
+        <button className="corporate-actions-btn" onClick={() => setIsExpanded(!isExpanded)}>
+          {isExpanded ? 'Hide' : 'Manage'}
+        </button>
+      </div>
+
+      {message && <div className="corporate-actions-message success">{message}</div>}
+      {error && <div className="corporate-actions-message error">{error}</div>}
+
+      {isExpanded && (
+        <>
+          <form className="corporate-actions-form" onSubmit={handleSave}>
+            <select name="stockId" value={formData.stockId} onChange={handleChange} required>
+              <option value="">Select stock</option>
+              {stocks.map(stock => (
+                <option key={stock.id} value={stock.id}>
+                  {stock.symbol} ({stock.quantity} shares)
+                </option>
+              ))}
+            </select>
+            <select name="actionType" value={formData.actionType} onChange={handleChange}>
+              {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <div className="ratio-inputs">
+              <input
+                type="number"
+                name="newShares"
+                placeholder="New"
+                value={formData.newShares}
+                onChange={handleChange}
+                min="1"
+                step="1"
+                required
+              />
+              <span>{RATIO_HINTS[formData.actionType]}</span>
+              <input
+                type="number"
+                name="oldShares"
+                placeholder="Held"
+                value={formData.oldShares}
+                onChange={handleChange}
+                min="1"
+                step="1"
+                required
+              />
+              <span>held</span>
+            </div>
+            {formData.actionType === 'DEMERGER' && (
+              <div className="resulting-stock-input">
+                {resultingStock ? (
+                  <span className="resulting-stock-selected">
+                    → <strong>{resultingStock.symbol}</strong>
+                    <button
+                      type="button"
+                      className="action-btn"
+                      onClick={() => {
+                        setResultingStock(null);
+                        setFormData(prev => ({ ...prev, resultingStockId: '' }));
+                      }}
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ) : (
+                  <input
+                    type="text"
+                    placeholder="Resulting company"
+                    value={resultingSearch}
+                    onChange={(e) => setResultingSearch(e.target.value)}
+                  />
+                )}
+                {!resultingStock && resultingResults.length > 0 && (
+                  <div className="resulting-stock-dropdown">
+                    {resultingResults.map((stock, index) => (
+                      <div
+                        key={`${stock.ScripCode}-${index}`}
+                        className="resulting-stock-option"
+                        onClick={() => handleResultingSelect(stock)}
+                      >
+                        <strong>{stock.ShortName}</strong> {stock.ScripName}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <input
+                  type="number"
+                  name="costPercent"
+                  placeholder="% of cost"
+                  value={formData.costPercent}
+                  onChange={handleChange}
+                  min="0.01"
+                  max="99.99"
+                  step="0.01"
+                  required
+                />
+              </div>
+            )}
+            {formData.actionType === 'RIGHTS' && (
+              <input
+                type="number"
+                name="issuePrice"
+                placeholder="Issue price"
+                value={formData.issuePrice}
+                onChange={handleChange}
+                min="0.01"
+                step="0.01"
+                required
+              />
+            )}
+            <label className="ex-date-input">
+              {formData.actionType === 'RIGHTS' ? 'Record date' : 'Ex-date'}
+              <input
+                type="date"
+                name="exDate"
+                value={formData.exDate}
+                onChange={handleChange}
+                max={new Date().toISOString().split('T')[0]}
+                required
+              />
+            </label>
+            <input
+              type="text"
+              name="notes"
+              placeholder="Notes (optional)"
+              value={formData.notes}
+              onChange={handleChange}
+            />
+            <button type="submit" className="corporate-actions-btn primary" disabled={isLoading}>
+              {isLoading ? 'Recalculating...' : 'Save'}
+            </button>
+          </form>
+
+          {rightsForm && (
+            <form className="corporate-actions-form rights-subscription" onSubmit={handleSubscribe}>
+              <span>
+                <strong>{rightsForm.action.symbol}</strong> rights: {rightsForm.entitlement.sharesHeld} shares
+                held → entitled to {rightsForm.entitlement.entitled}
+                {rightsForm.entitlement.subscribed > 0 && `, ${rightsForm.entitlement.subscribed} already subscribed`}
+              </span>
+              <input
+                type="number"
+                placeholder="Shares allotted"
+                value={rightsForm.quantity}
+                onChange={(e) => setRightsForm({ ...rightsForm, quantity: e.target.value })}
+                min="1"
+                max={rightsForm.entitlement.remaining}
+                step="1"
+                required
+              />
+              <label className="ex-date-input">
+                Allotment date
+                <input
+                  type="date"
+                  value={rightsForm.allotmentDate}
+                  onChange={(e) => setRightsForm({ ...rightsForm, allotmentDate: e.target.value })}
+                  min={rightsForm.action.ex_date}
+                  max={new Date().toISOString().split('T')[0]}
+                  required
+                />
+              </label>
+              <button
+                type="submit"
+                className="corporate-actions-btn primary"
+                disabled={isLoading || rightsForm.entitlement.remaining <= 0}
+              >
+                Subscribe
+              </button>
+              <button type="button" className="corporate-actions-btn" onClick={() => setRightsForm(null)}>
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {actions.length > 0 ? (
+            <div className="table-wrapper">
+              <table className="transactions-table">
+                <thead>
+                  <tr>
+                    <th>Ex-Date</th>
+                    <th>Stock</th>
+                    <th>Action</th>
+                    <th>Ratio</th>
+                    <th>Notes</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {actions.map(action => (
+                    <tr key={action.id}>
+                      <td><DateDisplay date={action.ex_date} /></td>
+                      <td className="symbol">{action.symbol}</td>
+                      <td>
+                        <span className={`action-badge ${action.action_type.toLowerCase()}`}>
+                          {ACTION_LABELS[action.action_type]}
+                        </span>
+                      </td>
+                      <td>{formatRatio(action)}</td>
+                      <td className="notes">{action.notes || '-'}</td>
+                      <td>
+                        {action.action_type === 'RIGHTS' && (
+                          <button
+                            className="action-btn"
+                            onClick={() => openRightsForm(action)}
+                            title="Record subscribed rights shares"
+                          >
+                            ➕
+                          </button>
+                        )}
+                        <button
+                          className="action-btn delete-btn"
+                          onClick={() => handleDelete(action)}
+                          title="Remove corporate action"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="section-description">
+              No corporate actions recorded yet.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CorporateActionsManager;
@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../../context/SessionContext';
+import { usePortfolio } from '../../context/PortfolioContext';
+import { ACCOUNT_TYPE_LABELS } from '../Common/PortfolioSelector';
+import CurrencyDisplay from '../Common/CurrencyDisplay';
+import DateDisplay from '../Common/DateDisplay';
+import {
+  getTradebookProfiles,
+  getTradebookHeaders,
+  previewTradebookImport,
+  importTradebook
+} from '../../utils/api/tradebookImportAPI';
+import './TradebookImport.css';
+
+// Fields of a generic column mapping, required ones first
+const MAPPING_FIELDS = [
+  { key: 'date', label: 'Trade date', required: true },
+  { key: 'symbol', label: 'Symbol', required: true },
+  { key: 'type', label: 'Buy / Sell', required: true },
+  { key: 'quantity', label: 'Quantity', required: true },
+  { key: 'price', label: 'Price', required: true },
+  { key: 'isin', label: 'ISIN' },
+  { key: 'exchange', label: 'Exchange' },
+  { key: 'orderId', label: 'Order ID' },
+  { key: 'stt', label: 'STT' }
+];
+
+const MAPPING_STORAGE_KEY = 'tradebookMapping';
+
+const STATUS_LABELS = {
+  READY: 'Ready',
+  DUPLICATE: 'Duplicate',
+  ERROR: 'Error',
+  SKIPPED: 'Skipped'
+};
+
+const loadSavedMapping = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY)) || { charges: [] };
+  } catch (error) {
+    return { charges: [] };
+  }
+};
+
+/**
+ * TradebookImport Component
+ * Imports a broker tradebook CSV: choose the broker and file, review the
+ * dry run, then confirm the trades to record in one account
+ */
+const TradebookImport = ({ onSuccess, onCancel }) => {
+  const { sessionToken } = useSession();
+  const { portfolios, selectedPortfolioId } = usePortfolio();
+  const [portfolioId, setPortfolioId] = useState(selectedPortfolioId);
+  const defaultPortfolio = portfolios.find(portfolio => portfolio.is_default);
+  const accountId = portfolioId || (defaultPortfolio ? defaultPortfolio.id : null);
+  const [profiles, setProfiles] = useState([]);
+  const [profile, setProfile] = useState('ZERODHA');
+  const [filePath, setFilePath] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState(loadSavedMapping);
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getTradebookProfiles(sessionToken)
+      .then(setProfiles)
+      .catch(err => setError(err.message || 'Failed to load broker profiles'));
+  }, [sessionToken]);
+
+  const isGeneric = profile === 'GENERIC';
+
+  const handleProfileChange = (e) => {
+    setProfile(e.target.value);
+    setPreview(null);
+    setError(null);
+  };
+
+  const handleChooseFile = async () => {
+    try {
+      setError(null);
+
+      const result = await window.electronAPI.openFileDialog({
+        title: 'Import Tradebook',
+        filters: [
+          { name: 'CSV Files', extensions: ['csv'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile']
+      });
+
+      if (result.canceled || !result.filePaths || result.filePaths.length === 0) return;
+
+      setFilePath(result.filePaths[0]);
+      setPreview(null);
+      setHeaders(await getTradebookHeaders(sessionToken, result.filePaths[0]));
+    } catch (err) {
+      setError(err.message || 'Failed to read tradebook');
+    }
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleChargeToggle = (header) => {
+    setMapping(prev => {
+      const charges = prev.charges || [];
+      return {
+        ...prev,
+        charges: charges.includes(header) ? charges.filter(h => h !== header) : [...charges, header]
+      };
+    });
+  };
+
+  const handlePreview = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      if (isGeneric) {
+        localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(mapping));
+      }
+
+      const data = await previewTradebookImport(sessionToken, filePath, profile, isGeneric ? mapping : {}, accountId);
+      setPreview(data);
+      setSelected(new Set(data.trades.filter(trade => trade.status === 'READY').map(trade => trade.key)));
+    } catch (err) {
+      setPreview(null);
+      setError(err.message || 'Failed to preview tradebook');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggle = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const result = await importTradebook(
+        sessionToken,
+        filePath,
+        profile,
+        isGeneric ? mapping : {},
+        Array.from(selected),
+        accountId
+      );
+
+      if (result.failed.length > 0) {
+        setError(
+          `Imported ${result.imported} trades; ${result.failed.length} failed: ` +
+          result.failed.map(f => `${f.symbol} (${f.message})`).join(', ')
+        );
+        await handlePreview();
+        return;
+      }
+
+      if (onSuccess) onSuccess(result);
+    } catch (err) {
+      setError(err.message || 'Failed to import tradebook');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const canPreview = filePath && (!isGeneric || MAPPING_FIELDS.every(f => !f.required || mapping[f.key]));
+
+  return (
+    <div className="tradebook-import">
+      <div className="tradebook-header">
+        <div>
+          <h2>Import Tradebook</h2>
+          <p className="section-description">
+            Nothing is recorded until you confirm the trades below. Trades already
+            recorded are marked as duplicates.
+          </p>
+        </div>
+      </div>
+
+      {error && <div className="tradebook-message error">{error}</div>}
+
+      <div className="tradebook-source">
+        <label>
+          Broker
+          <select value={profile} onChange={handleProfileChange} disabled={isLoading}>
+            {profiles.map(p => (
+              <option key={p.key} value={p.key}>{p.label}</option>
+            ))}
+          </select>
+        </label>
+        {portfolios.length > 1 && (
+          <label>
+            Account
+            <select
+              value={accountId || ''}
+              onChange={(e) => {
+                setPortfolioId(Number(e.target.value));
+                setPreview(null);
+              }}
+              disabled={isLoading}
+            >
+              {portfolios.map(portfolio => (
+                <option key={portfolio.id} value={portfolio.id}>
+                  {portfolio.name} ({ACCOUNT_TYPE_LABELS[portfolio.account_type] || portfolio.account_type})
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <button className="tradebook-btn" onClick={handleChooseFile} disabled={isLoading}>
+          📂 Choose CSV
+        </button>
+        {filePath && <span className="tradebook-file">{filePath.split(/[\\/]/).pop()}</span>}
+      </div>
+
+      {isGeneric && headers.length > 0 && (
+        <div className="tradebook-mapping">
+          {MAPPING_FIELDS.map(field => (
+            <label key={field.key}>
+              {field.label}{field.required ? ' *' : ''}
+              <select
+                value={mapping[field.key] || ''}
+                onChange={(e) => handleMappingChange(field.key, e.target.value)}
+              >
+                <option value="">—</option>
+                {headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <div className="tradebook-charges">
+            <span>Charge columns (summed)</span>
+            <div className="tradebook-charge-options">
+              {headers.map(header => (
+                <label key={header}>
+                  <input
+                    type="checkbox"
+                    checked={(mapping.charges || []).includes(header)}
+                    onChange={() => handleChargeToggle(header)}
+                  />
+                  {header}
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="tradebook-actions">
+        <button className="tradebook-btn" onClick={handlePreview} disabled={!canPreview || isLoading}>
+          {isLoading && !preview ? 'Checking...' : '🔍 Preview'}
+        </button>
+        <button className="tradebook-btn" onClick={onCancel} disabled={isLoading}>
+          Cancel
+        </button>
+      </div>
+
+      {preview && (
+        <>
+          <p className="tradebook-summary">
+            {preview.fileName}: {preview.summary.ready} ready, {preview.summary.duplicate} duplicate,
+            {' '}{preview.summary.error} with errors, {preview.summary.skipped} skipped
+          </p>
+
+          <div className="tradebook-table-wrapper">
+            <table className="tradebook-table">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Row</th>
+                  <th>Date</th>
+                  <th>Stock</th>
+                  <th>Type</th>
+                  <th>Qty</th>
+                  <th>Price</th>
+                  <th>Charges</th>
+                  <th>STT</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.trades.map(trade => (
+                  <tr key={trade.key} className={`status-${trade.status.toLowerCase()}`}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selected.has(trade.key)}
+                        disabled={trade.status !== 'READY' || isLoading}
+                        onChange={() => handleToggle(trade.key)}
+                      />
+                    </td>
+                    <td>{trade.rows.join(', ')}</td>
+                    <td>{trade.date ? <DateDisplay date={trade.date} /> : '-'}</td>
+                    <td>
+                      {trade.symbol || trade.isin}
+                      {trade.newStock && <span className="tradebook-badge">new</span>}
+                    </td>
+                    <td>{trade.type || '-'}</td>
+                    <td>{trade.quantity !== undefined ? trade.quantity : '-'}</td>
+                    <td>{trade.price !== undefined ? <CurrencyDisplay value={trade.price} /> : '-'}</td>
+                    <td>{trade.charges ? <CurrencyDisplay value={trade.charges} /> : '-'}</td>
+                    <td>{trade.stt ? <CurrencyDisplay value={trade.stt} /> : '-'}</td>
+                    <td>
+                      <span className="tradebook-status">{STATUS_LABELS[trade.status]}</span>
+                      {trade.message && <span className="tradebook-status-message">{trade.message}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="tradebook-actions">
+            <button
+              className="tradebook-btn primary"
+              onClick={handleImport}
+              disabled={selected.size === 0 || isLoading}
+            >
+              {isLoading ? 'Importing...' : `✓ Import ${selected.size} trade${selected.size === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TradebookImport;
@@ -37,6 +37,7 @@ const TransactionEditor = ({ transactionId, onSave, onCancel }) => {
         quantity: transaction.quantity,
         price: transaction.price,
         charges: transaction.charges || 0,
+        stt: transaction.stt || 0,
         notes: transaction.notes || ''
       });
     } catch (err) {
@@ -276,6 +277,22 @@ const TransactionEditor = ({ transactionId, onSave, onCancel }) => {
           />
         </div>
 
+        {/* STT */}
+        <div className={`form-group ${isFieldChanged('stt') ? 'changed' : ''}`}>
+          <label htmlFor="stt">
+            STT (₹)
+            {isFieldChanged('stt') && <span className="changed-indicator">*</span>}
+          </label>
+          <input
+            type="number"
+            id="stt"
+            value={editedTransaction.stt || 0}
+            onChange={(e) => handleFieldChange('stt', parseFloat(e.target.value) || 0)}
+            min="0"
+            step="1"
+          />
+        </div>
+
         {/* Notes */}
         <div className={`form-group ${isFieldChanged('notes') ? 'changed' : ''}`}>
           <label htmlFor="notes">
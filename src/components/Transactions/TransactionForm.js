@@ -1,20 +1,40 @@
 import React, { useState, useEffect } from 'react';
 import { useSession } from '../../context/SessionContext';
+import { usePortfolio, portfolioArgs } from '../../context/PortfolioContext';
+import { ACCOUNT_TYPE_LABELS } from '../Common/PortfolioSelector';
 import CurrencyDisplay from '../Common/CurrencyDisplay';
+import { calculateTradeCharges } from '../../utils/api/tradeChargesAPI';
+import { findOrCreateBseStock } from '../../utils/api/stockAPI';
 import './TransactionForm.css';
 
+const CHARGE_LABELS = [
+  ['brokerage', 'Brokerage'],
+  ['stt', 'STT (not deductible)'],
+  ['exchangeCharges', 'Exchange Charges'],
+  ['sebiFees', 'SEBI Fees'],
+  ['stampDuty', 'Stamp Duty'],
+  ['gst', 'GST']
+];
+
 /**
  * TransactionForm Component
- * Form for adding buy/sell transactions with validation
+ * Form for adding buy/sell transactions with validation. Transactions go to
+ * the account selected on the page, or the default account.
  */
 const TransactionForm = ({ onSuccess, onCancel }) => {
   const { sessionToken } = useSession();
+  const { portfolios, selectedPortfolioId } = usePortfolio();
+  const defaultPortfolio = portfolios.find(portfolio => portfolio.is_default);
+  const [portfolioId, setPortfolioId] = useState(selectedPortfolioId);
+  const accountId = portfolioId || (defaultPortfolio ? defaultPortfolio.id : null);
   const [transactionType, setTransactionType] = useState('buy');
   const [formData, setFormData] = useState({
     stockId: '',
     quantity: '',
     price: '',
     transactionDate: new Date().toISOString().split('T')[0],
+    charges: '',
+    stt: '',
     notes: ''
   });
   const [errors, setErrors] = useState({});
@@ -26,6 +46,8 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
   const [showStockDropdown, setShowStockDropdown] = useState(false);
   const [selectedStock, setSelectedStock] = useState(null);
   const [availableQuantity, setAvailableQuantity] = useState(0);
+  const [chargeBreakdown, setChargeBreakdown] = useState(null);
+  const [chargesEdited, setChargesEdited] = useState(false);
 
   // Search BSE Scrip Master when search term changes (with debounce)
   useEffect(() => {
@@ -46,7 +68,40 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
     if (transactionType === 'sell' && formData.stockId) {
       fetchAvailableQuantity();
     }
-  }, [transactionType, formData.stockId, sessionToken]);
+  }, [transactionType, formData.stockId, sessionToken, accountId]);
+
+  // Work out the charges from the brokerage plan and statutory rates (with
+  // debounce) unless the user has entered them from the contract note
+  useEffect(() => {
+    const quantity = parseFloat(formData.quantity);
+    const price = parseFloat(formData.price);
+
+    if (!(quantity > 0) || !(price > 0) || !formData.transactionDate) {
+      setChargeBreakdown(null);
+      return;
+    }
+
+    const timeoutId = setTimeout(async () => {
+      try {
+        const breakdown = await calculateTradeCharges(sessionToken, {
+          type: transactionType.toUpperCase(),
+          quantity,
+          price,
+          date: formData.transactionDate,
+          stockId: formData.stockId ? parseInt(formData.stockId) : null
+        });
+        setChargeBreakdown(breakdown);
+        if (!chargesEdited) {
+          setFormData(prev => ({ ...prev, charges: String(breakdown.deductible), stt: String(breakdown.stt) }));
+        }
+      } catch (error) {
+        console.error('Failed to calculate charges:', error);
+        setChargeBreakdown(null);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [transactionType, formData.stockId, formData.quantity, formData.price, formData.transactionDate, chargesEdited, sessionToken]);
 
   const searchBseStocks = async (term) => {
     try {
@@ -68,7 +123,8 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
 
   const fetchAvailableQuantity = async () => {
     try {
-      const portfolio = await window.electronAPI.getPortfolioSummary(sessionToken);
+      // Only shares held in the same account can be sold
+      const portfolio = await window.electronAPI.getPortfolioSummary(sessionToken, ...portfolioArgs(accountId));
       const holding = portfolio.holdings.find(h => h.id === parseInt(formData.stockId));
       setAvailableQuantity(holding ? holding.quantity : 0);
     } catch (error) {
@@ -99,6 +155,14 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
       newErrors.transactionDate = 'Transaction date is required';
     }
 
+    if (formData.charges !== '' && !(parseFloat(formData.charges) >= 0)) {
+      newErrors.charges = 'Charges cannot be negative';
+    }
+
+    if (formData.stt !== '' && !(parseFloat(formData.stt) >= 0)) {
+      newErrors.stt = 'STT cannot be negative';
+    }
+
     const txDate = new Date(formData.transactionDate);
     if (txDate > new Date()) {
       newErrors.transactionDate = 'Transaction date cannot be in the future';
@@ -110,6 +174,9 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
+    if (name === 'charges' || name === 'stt') {
+      setChargesEdited(true);
+    }
     setFormData(prev => ({
       ...prev,
       [name]: value
@@ -124,47 +191,13 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
 
   const handleStockSelect = async (bseStock) => {
     try {
-      // First, check if this stock already exists in the database
-      let dbStock = null;
-      
-      try {
-        dbStock = await window.electronAPI.getStockBySymbol(sessionToken, bseStock.ShortName, 'BSE');
-      } catch (error) {
-        // Stock not found in database - this is expected for new stocks
-        console.log('Stock not in database, will create:', bseStock.ShortName);
-      }
-      
-      // If not found, create it
-      if (!dbStock) {
-        // Call createStock with individual parameters, not an object
-        const createResult = await window.electronAPI.createStock(
-          sessionToken,
-          {
-            symbol: bseStock.ShortName,
-            name: bseStock.ScripName,
-            exchange: 'BSE',
-            sector: bseStock.Group || 'Others',
-            isin: bseStock.ISINCode || null
-          }
-        );
-        
-        if (createResult.id) {
-          dbStock = {
-            id: createResult.id,
-            symbol: createResult.symbol,
-            company_name: createResult.name,
-            exchange: createResult.exchange
-          };
-        } else {
-          throw new Error('Failed to create stock in database');
-        }
-      }
-      
+      const dbStock = await findOrCreateBseStock(sessionToken, bseStock);
+
       // Set the selected stock with database ID
       setSelectedStock({
         id: dbStock.id,
-        symbol: dbStock.symbol || bseStock.ShortName,
-        name: dbStock.company_name || bseStock.ScripName,
+        symbol: dbStock.symbol,
+        name: dbStock.name,
         isin: bseStock.ISINCode
       });
       
@@ -198,6 +231,9 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
         quantity: parseFloat(formData.quantity),
         price: parseFloat(formData.price),
         transactionDate: formData.transactionDate,
+        charges: parseFloat(formData.charges) || 0,
+        stt: parseFloat(formData.stt) || 0,
+        portfolioId: accountId,
         notes: formData.notes || null
       };
 
@@ -210,9 +246,13 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
           quantity: '',
           price: '',
           transactionDate: new Date().toISOString().split('T')[0],
+          charges: '',
+          stt: '',
           notes: ''
         });
         setSelectedStock(null);
+        setChargeBreakdown(null);
+        setChargesEdited(false);
         setErrors({});
 
         if (onSuccess) {
@@ -232,6 +272,10 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
   const totalAmount = formData.quantity && formData.price
     ? parseFloat(formData.quantity) * parseFloat(formData.price)
     : 0;
+  // Charges and STT add to the cash paid on a buy and come out of the
+  // proceeds of a sell
+  const charges = (parseFloat(formData.charges) || 0) + (parseFloat(formData.stt) || 0);
+  const netAmount = transactionType === 'buy' ? totalAmount + charges : totalAmount - charges;
 
   return (
     <div className="transaction-form-container">
@@ -267,6 +311,25 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
       )}
 
       <form onSubmit={handleSubmit} className="transaction-form">
+        {/* Account */}
+        {portfolios.length > 1 && (
+          <div className="form-group">
+            <label htmlFor="portfolio">Account *</label>
+            <select
+              id="portfolio"
+              value={accountId || ''}
+              onChange={(e) => setPortfolioId(Number(e.target.value))}
+              disabled={isLoading}
+            >
+              {portfolios.map(portfolio => (
+                <option key={portfolio.id} value={portfolio.id}>
+                  {portfolio.name} ({ACCOUNT_TYPE_LABELS[portfolio.account_type] || portfolio.account_type})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         {/* Stock Selection */}
         <div className="form-group">
           <label htmlFor="stock">Stock *</label>
@@ -415,6 +478,58 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
           )}
         </div>
 
+        {/* Charges */}
+        <div className="form-group">
+          <label htmlFor="charges">
+            Charges (₹)
+            {chargesEdited && chargeBreakdown && (
+              <button
+                type="button"
+                className="recalculate-charges-btn"
+                onClick={() => setChargesEdited(false)}
+                disabled={isLoading}
+              >
+                Use calculated
+              </button>
+            )}
+          </label>
+          <input
+            type="number"
+            id="charges"
+            name="charges"
+            value={formData.charges}
+            onChange={handleInputChange}
+            placeholder="Calculated from your brokerage plan"
+            step="0.01"
+            min="0"
+            disabled={isLoading}
+            className={errors.charges ? 'input-error' : ''}
+          />
+          {errors.charges && (
+            <span className="field-error">{errors.charges}</span>
+          )}
+        </div>
+
+        {/* STT */}
+        <div className="form-group">
+          <label htmlFor="stt">STT (₹)</label>
+          <input
+            type="number"
+            id="stt"
+            name="stt"
+            value={formData.stt}
+            onChange={handleInputChange}
+            placeholder="Securities transaction tax"
+            step="1"
+            min="0"
+            disabled={isLoading}
+            className={errors.stt ? 'input-error' : ''}
+          />
+          {errors.stt && (
+            <span className="field-error">{errors.stt}</span>
+          )}
+        </div>
+
         {/* Notes */}
         <div className="form-group">
           <label htmlFor="notes">Notes (Optional)</label>
@@ -438,6 +553,26 @@ const TransactionForm = ({ onSuccess, onCancel }) => {
                 <CurrencyDisplay value={totalAmount} />
               </strong>
             </div>
+            {chargeBreakdown && !chargesEdited && CHARGE_LABELS.map(([key, label]) => (
+              <div key={key} className="summary-row charge-row">
+                <span>{label}:</span>
+                <CurrencyDisplay value={chargeBreakdown[key]} />
+              </div>
+            ))}
+            {chargeBreakdown && !chargesEdited && (
+              <div className="summary-row charge-row">
+                <span>
+                  {chargeBreakdown.plan ? chargeBreakdown.plan.name : 'No brokerage plan'}; statutory rates
+                  {' '}{chargeBreakdown.rates.label.toLowerCase()}
+                </span>
+              </div>
+            )}
+            <div className="summary-row">
+              <span>{transactionType === 'buy' ? 'Net Cost' : 'Net Proceeds'}:</span>
+              <strong>
+                <CurrencyDisplay value={netAmount} />
+              </strong>
+            </div>
             {transactionType === 'sell' && (
               <div className="summary-row">
                 <span>Remaining Quantity:</span>
@@ -8,9 +8,10 @@ import './TransactionList.css';
 
 /**
  * TransactionList Component
- * Displays, filters, and manages transactions
+ * Displays, filters, and manages transactions of one account, or of all
+ * accounts when portfolioId is not set
  */
-const TransactionList = () => {
+const TransactionList = ({ portfolioId }) => {
   const { sessionToken } = useSession();
   const [transactions, setTransactions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -26,7 +27,7 @@ const TransactionList = () => {
 
   useEffect(() => {
     fetchTransactions();
-  }, [sessionToken]);
+  }, [sessionToken, portfolioId]);
 
   const fetchTransactions = async () => {
     try {
@@ -34,6 +35,9 @@ const TransactionList = () => {
       setError(null);
 
       const filterObj = filters.type !== 'all' ? { type: filters.type } : {};
+      if (portfolioId) {
+        filterObj.portfolioId = portfolioId;
+      }
       const data = await window.electronAPI.getAllTransactions(sessionToken, filterObj);
       setTransactions(data || []);
     } catch (err) {
@@ -96,6 +100,9 @@ const TransactionList = () => {
 
   const sortedTransactions = getSortedTransactions();
 
+  // Name the account when the list spans several
+  const showAccount = !portfolioId && new Set(transactions.map(t => t.portfolio_id)).size > 1;
+
   // Pagination
   const totalPages = Math.ceil(sortedTransactions.length / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage;
@@ -179,6 +186,7 @@ const TransactionList = () => {
                   <th>Date</th>
                   <th>Type</th>
                   <th>Symbol</th>
+                  {showAccount && <th>Account</th>}
                   <th>Quantity</th>
                   <th>Price</th>
                   <th>Amount</th>
@@ -200,6 +208,9 @@ const TransactionList = () => {
                     <td className="symbol">
                       <strong>{transaction.symbol}</strong>
                     </td>
+                    {showAccount && (
+                      <td className="account">{transaction.portfolio_name || '-'}</td>
+                    )}
                     <td className="quantity">
                       {transaction.quantity}
                     </td>
@@ -0,0 +1,87 @@
+import React, { createContext, useState, useCallback, useEffect } from 'react';
+import { useSession } from './SessionContext';
+import { getPortfolios } from '../utils/api/portfolioAPI';
+
+const STORAGE_KEY = 'selectedPortfolioId';
+
+// Outside a provider components see the consolidated view of all accounts
+export const PortfolioContext = createContext({
+  portfolios: [],
+  selectedPortfolioId: null,
+  selectedPortfolio: null,
+  setSelectedPortfolioId: () => {},
+  refreshPortfolios: async () => {}
+});
+
+/**
+ * Extra IPC arguments for the selected portfolio
+ * Nothing is passed for the all-accounts view, so calls stay as they were
+ * before portfolios existed
+ * @param {number|null} portfolioId - Selected portfolio
+ * @returns {Array}
+ */
+export const portfolioArgs = (portfolioId) => (portfolioId ? [portfolioId] : []);
+
+export const PortfolioProvider = ({ children }) => {
+  const { sessionToken } = useSession();
+  const [portfolios, setPortfolios] = useState([]);
+  const [selectedPortfolioId, setSelectedId] = useState(() => {
+    const stored = parseInt(localStorage.getItem(STORAGE_KEY), 10);
+    return Number.isInteger(stored) ? stored : null;
+  });
+
+  const setSelectedPortfolioId = useCallback((portfolioId) => {
+    const id = portfolioId ? Number(portfolioId) : null;
+    setSelectedId(id);
+
+    if (id) {
+      localStorage.setItem(STORAGE_KEY, String(id));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  }, []);
+
+  const refreshPortfolios = useCallback(async () => {
+    if (!sessionToken) {
+      setPortfolios([]);
+      return;
+    }
+
+    try {
+      const data = await getPortfolios(sessionToken);
+      setPortfolios(data);
+
+      // Fall back to all accounts when the stored portfolio is gone
+      setSelectedId(current => {
+        if (current && !data.some(portfolio => portfolio.id === current)) {
+          localStorage.removeItem(STORAGE_KEY);
+          return null;
+        }
+        return current;
+      });
+    } catch (err) {
+      console.error('Failed to load portfolios:', err);
+    }
+  }, [sessionToken]);
+
+  useEffect(() => {
+    refreshPortfolios();
+  }, [refreshPortfolios]);
+
+  const value = {
+    portfolios,
+    selectedPortfolioId,
+    selectedPortfolio: portfolios.find(portfolio => portfolio.id === selectedPortfolioId) || null,
+    setSelectedPortfolioId,
+    refreshPortfolios
+  };
+
+  return (
+    <PortfolioContext.Provider value={value}>
+      {children}
+    </PortfolioContext.Provider>
+  );
+};
+
+// Custom hook to use portfolio context
+export const usePortfolio = () => React.useContext(PortfolioContext);
@@ -1,9 +1,16 @@
+const { app } = require('electron');
 const axios = require('axios');
 const crypto = require('crypto');
 
+const BREEZE_API_BASE_URL = 'https://api.icicidirect.com/breezeapi/api/v1';
+
 class BreezeClient {
   constructor() {
-    this.baseURL = 'https://api.icicidirect.com/breezeapi/api/v1';
+    // In development BREEZE_API_BASE_URL points the client at another server,
+    // e.g. scripts/mockBreezeServer.js. Packaged builds ignore it so the
+    // credentials only ever go to ICICI Direct.
+    const allowOverride = Boolean(app) && !app.isPackaged;
+    this.baseURL = (allowOverride && process.env.BREEZE_API_BASE_URL) || BREEZE_API_BASE_URL;
     this.appKey = null;
     this.secretKey = null;
     this.sessionToken = null;
@@ -186,6 +193,75 @@ class BreezeClient {
     }
   }
 
+  /**
+   * Get daily candles over a date range using the historical charts v2 API
+   * Long ranges are requested a year at a time
+   * @param {string} stockCode - Breeze stock code (BSE ShortName or index code)
+   * @param {string} exchangeCode - Exchange code
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array>} [{ date, open, high, low, close, volume }] sorted by date
+   */
+  async getDailyCandles(stockCode, exchangeCode = 'BSE', fromDate, toDate) {
+    const addDays = (dateKey, days) => {
+      const date = new Date(`${dateKey}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() + days);
+      return date.toISOString().split('T')[0];
+    };
+    const toNumber = (value) => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    };
+
+    const days = new Map();
+    let chunkStart = fromDate;
+
+    while (chunkStart <= toDate) {
+      const chunkLimit = addDays(chunkStart, 364);
+      const chunkEnd = chunkLimit < toDate ? chunkLimit : toDate;
+
+      const candles = await this.getHistoricalChartsV2(
+        stockCode,
+        exchangeCode,
+        '1day',
+        `${chunkStart}T00:00:00.000Z`,
+        `${chunkEnd}T23:59:59.000Z`
+      );
+
+      for (const candle of candles || []) {
+        const close = parseFloat(candle.close);
+        if (candle.datetime && close > 0) {
+          const date = String(candle.datetime).substring(0, 10);
+          days.set(date, {
+            date,
+            open: toNumber(candle.open),
+            high: toNumber(candle.high),
+            low: toNumber(candle.low),
+            close,
+            volume: toNumber(candle.volume)
+          });
+        }
+      }
+
+      chunkStart = addDays(chunkEnd, 1);
+    }
+
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Get daily closes over a date range using the historical charts v2 API
+   * @param {string} stockCode - Breeze stock code (BSE ShortName or index code)
+   * @param {string} exchangeCode - Exchange code
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array>} [{ date, close }] sorted by date
+   */
+  async getDailyCloses(stockCode, exchangeCode = 'BSE', fromDate, toDate) {
+    const candles = await this.getDailyCandles(stockCode, exchangeCode, fromDate, toDate);
+    return candles.map(({ date, close }) => ({ date, close }));
+  }
+
   /**
    * Get single stock quote using historical charts v2 API
    */
@@ -411,6 +487,33 @@ class BreezeClient {
     }
   }
 
+  /**
+   * Get the trade list for a date range
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @param {string} exchangeCode - 'BSE' or 'NSE'
+   * @returns {Promise<Array>} - Trades as returned by Breeze, with stock_code,
+   *   action, quantity, average_cost, trade_date, order_id, brokerage_amount
+   *   and total_taxes
+   */
+  async getTradeList(fromDate, toDate, exchangeCode = 'BSE') {
+    try {
+      const data = {
+        from_date: `${fromDate}T00:00:00.000Z`,
+        to_date: `${toDate}T23:59:59.000Z`,
+        exchange_code: exchangeCode,
+        product_type: '',
+        action: '',
+        stock_code: ''
+      };
+
+      return (await this.makeRequest('GET', '/trades', data)) || [];
+    } catch (error) {
+      console.error('Get trade list error:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get funds information
    */
@@ -13,6 +13,8 @@ class PriceManager extends EventEmitter {
     this.failureCount = 0;
     this.maxFailures = 5;
     this.stockLookupService = stockLookupService;
+    this.symbols = [];
+    this.watchedSymbols = new Map(); // Source (e.g. 'watchlists') -> symbols
   }
 
   /**
@@ -77,6 +79,33 @@ class PriceManager extends EventEmitter {
     return { mapped, unmapped };
   }
 
+  /**
+   * Add symbols from another source to every scheduled update
+   * Replaces the symbols the source registered before, so watchlists can
+   * join the schedule whether or not updates are running yet
+   * @param {string} source - Source name, e.g. 'watchlists'
+   * @param {Array<string>} symbols - Stock codes to keep updated
+   */
+  watchSymbols(source, symbols) {
+    if (symbols && symbols.length > 0) {
+      this.watchedSymbols.set(source, [...symbols]);
+    } else {
+      this.watchedSymbols.delete(source);
+    }
+  }
+
+  /**
+   * Get every symbol the scheduled updates cover
+   * @returns {Array<string>} Symbols passed to startAutoUpdate plus watched symbols
+   */
+  getTrackedSymbols() {
+    const tracked = new Set(this.symbols);
+    for (const symbols of this.watchedSymbols.values()) {
+      symbols.forEach(symbol => tracked.add(symbol));
+    }
+    return [...tracked];
+  }
+
   /**
    * Start automatic price updates
    */
@@ -87,7 +116,10 @@ class PriceManager extends EventEmitter {
         return;
       }
 
-      if (!symbols || symbols.length === 0) {
+      this.symbols = symbols || [];
+      const tracked = this.getTrackedSymbols();
+
+      if (tracked.length === 0) {
         throw new Error('At least one symbol is required');
       }
 
@@ -95,12 +127,12 @@ class PriceManager extends EventEmitter {
       this.failureCount = 0;
 
       // Initial update
-      this.updatePrices(symbols);
+      this.updatePrices(tracked);
 
       // Schedule periodic updates
-      this.scheduleNextUpdate(symbols);
+      this.scheduleNextUpdate();
 
-      console.log(`Price manager started for ${symbols.length} symbols`);
+      console.log(`Price manager started for ${tracked.length} symbols`);
       this.emit('started');
     } catch (error) {
       console.error('Failed to start price manager:', error);
@@ -111,8 +143,10 @@ class PriceManager extends EventEmitter {
 
   /**
    * Schedule next price update based on market hours
+   * Each update reads the tracked symbols afresh, so watchlist changes apply
+   * from the next update
    */
-  scheduleNextUpdate(symbols) {
+  scheduleNextUpdate() {
     try {
       if (!this.isRunning) {
         return;
@@ -147,8 +181,8 @@ class PriceManager extends EventEmitter {
       console.log(`Scheduling next price update in ${interval / 1000} seconds (market status: ${marketInfo.status})`);
 
       this.refreshInterval = setTimeout(() => {
-        this.updatePrices(symbols);
-        this.scheduleNextUpdate(symbols);
+        this.updatePrices(this.getTrackedSymbols());
+        this.scheduleNextUpdate();
       }, interval);
     } catch (error) {
       console.error('Failed to schedule price update:', error);
@@ -185,6 +219,7 @@ class PriceManager extends EventEmitter {
       const quotes = await breezeClient.getMultipleQuotes(bseShortNames, 'BSE');
 
       // Process and cache quotes
+      const updated = [];
       for (const quote of quotes) {
         if (quote.error) {
           console.warn(`Failed to get price for ${quote.symbol}: ${quote.error}`);
@@ -202,12 +237,21 @@ class PriceManager extends EventEmitter {
           exchange: 'BSE'
         });
 
-        // Emit price update event with user code
-        this.emit('priceUpdate', {
+        const update = {
           ...quote,
           symbol: userCode,
           exchange: 'BSE'
-        });
+        };
+        updated.push(update);
+
+        // Emit price update event with user code
+        this.emit('priceUpdate', update);
+      }
+
+      // One event for the whole batch, for listeners that compare prices
+      // across symbols (price alerts)
+      if (updated.length > 0) {
+        this.emit('pricesUpdated', updated);
       }
 
       // Reset failure count on success
@@ -358,6 +402,7 @@ class PriceManager extends EventEmitter {
           symbol: symbol, // Use original user code for cache key
           exchange: exchange
         });
+        this.emit('pricesUpdated', [{ ...quote, symbol, exchange }]);
         
         return {
           ...quote,
@@ -424,6 +469,7 @@ class PriceManager extends EventEmitter {
       isRunning: this.isRunning,
       failureCount: this.failureCount,
       maxFailures: this.maxFailures,
+      trackedSymbols: this.getTrackedSymbols().length,
       marketHoursInterval: this.marketHoursRefreshInterval,
       offHoursInterval: this.offHoursRefreshInterval,
       marketInfo: breezeClient.getMarketTimeInfo(),
@@ -158,4 +158,25 @@ describe('PriceManager - BSE Integration', () => {
       );
     });
   });
+
+  describe('watchSymbols', () => {
+    afterEach(() => {
+      priceManager.symbols = [];
+      priceManager.watchedSymbols.clear();
+    });
+
+    it('should add watched symbols to the scheduled updates', () => {
+      priceManager.symbols = ['RELIANCE', 'TCS'];
+      priceManager.watchSymbols('watchlists', ['TCS', 'INFY']);
+
+      expect(priceManager.getTrackedSymbols()).toEqual(['RELIANCE', 'TCS', 'INFY']);
+    });
+
+    it('should drop a source when it has no symbols left', () => {
+      priceManager.watchSymbols('watchlists', ['INFY']);
+      priceManager.watchSymbols('watchlists', []);
+
+      expect(priceManager.getTrackedSymbols()).toEqual([]);
+    });
+  });
 });
@@ -381,6 +381,25 @@ class AuthenticationService {
     }
   }
 
+  /**
+   * Get the user signed in to the app window
+   * The window's session is the one it used last; an older session left by a
+   * sign-in without a sign-out is ignored
+   * @returns {number|null} - User ID, or null when nobody is signed in
+   */
+  getSessionUserId() {
+    const now = Date.now();
+    let current = null;
+
+    for (const session of this.activeSessions.values()) {
+      if (now <= session.expiresAt && (!current || session.lastActivity > current.lastActivity)) {
+        current = session;
+      }
+    }
+
+    return current ? current.userId : null;
+  }
+
   /**
    * Get active sessions count
    */
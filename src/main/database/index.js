@@ -153,11 +153,82 @@ class DatabaseManager {
       console.log('Running transaction audit migration...');
       await addTransactionAudit(this);
       console.log('Transaction audit migration completed');
-      
-      // Run mutual funds tables migration (disabled for v1.0.0)
-      // TODO: Uncomment when mutual fund feature is ready
-      // const { addMutualFundsTables } = require('./migrations/add-mutual-funds');
-      // await addMutualFundsTables(this);
+
+      // Run grandfathered FMV migration (Section 112A)
+      const { addGrandfatheredFmv } = require('./migrations/add-grandfathered-fmv');
+      await addGrandfatheredFmv(this);
+
+      // Run corporate actions migration (splits, bonuses, consolidations)
+      const { addCorporateActions } = require('./migrations/add-corporate-actions');
+      await addCorporateActions(this);
+
+      // Run dividends migration
+      const { addDividends } = require('./migrations/add-dividends');
+      await addDividends(this);
+
+      // Run demergers and rights issues migration
+      const { addDemergersAndRights } = require('./migrations/add-demergers-and-rights');
+      await addDemergersAndRights(this);
+
+      // Run portfolio snapshots migration (daily valuation history)
+      const { addPortfolioSnapshots } = require('./migrations/add-portfolio-snapshots');
+      await addPortfolioSnapshots(this);
+
+      // Run index closes migration (benchmark comparison)
+      const { addIndexCloses } = require('./migrations/add-index-closes');
+      await addIndexCloses(this);
+
+      // Run mutual funds tables migration (funds and their stock allocations)
+      const { addMutualFundsTables } = require('./migrations/add-mutual-funds');
+      await addMutualFundsTables(this);
+
+      // Run mutual fund folios migration (CAS statement import)
+      const { addMutualFundFolios } = require('./migrations/add-mutual-fund-folios');
+      await addMutualFundFolios(this);
+
+      // Run trade charges migration (brokerage plans, charges on realized gains)
+      const { addTradeCharges } = require('./migrations/add-trade-charges');
+      await addTradeCharges(this);
+
+      // Run portfolios migration (separate demat accounts per user)
+      const { addPortfolios } = require('./migrations/add-portfolios');
+      await addPortfolios(this);
+
+      // Run cash ledger migration (deposits and withdrawals per portfolio)
+      const { addCashLedger } = require('./migrations/add-cash-ledger');
+      await addCashLedger(this);
+
+      // Run watchlists migration (stocks followed with live quotes)
+      const { addWatchlists } = require('./migrations/add-watchlists');
+      await addWatchlists(this);
+
+      // Run price alerts migration (alert definitions and history)
+      const { addPriceAlerts } = require('./migrations/add-price-alerts');
+      await addPriceAlerts(this);
+
+      // Run holding levels migration (target and stop-loss per holding)
+      const { addHoldingLevels } = require('./migrations/add-holding-levels');
+      await addHoldingLevels(this);
+
+      // Run price history migration (daily OHLCV per symbol)
+      const { addPriceHistory } = require('./migrations/add-price-history');
+      await addPriceHistory(this);
+
+      // Run mutual fund transactions migration (units, NAVs and scheme codes)
+      const { addMutualFundTransactions } = require('./migrations/add-mutual-fund-transactions');
+      await addMutualFundTransactions(this);
+
+      // Run mutual fund disclosures migration (dated AMC portfolio snapshots)
+      const { addMutualFundDisclosures } = require('./migrations/add-mutual-fund-disclosures');
+      await addMutualFundDisclosures(this);
+
+      // Run allocation rules migration (weight limits and their breaches)
+      const { addAllocationRules } = require('./migrations/add-allocation-rules');
+      await addAllocationRules(this);
+
+      // Run activity audit migration (who changed shared records)
+      const { addActivityAudit } = require('./migrations/add-activity-audit');
+      await addActivityAudit(this);
     } catch (error) {
       console.error('Migration failed:', error);
       console.error('Stack trace:', error.stack);
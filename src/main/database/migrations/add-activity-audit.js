@@ -0,0 +1,33 @@
+// Migration to add activity_audit table
+// Records changes a user makes to records that are not theirs alone, such as
+// claiming a shared fund or editing a corporate action every holder shares
+
+async function addActivityAudit(databaseManager) {
+  try {
+    console.log('Running migration: Add activity_audit table');
+
+    const db = databaseManager.db;
+
+    // details holds the changed values as JSON
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS activity_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        details TEXT,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_activity_audit_entity ON activity_audit(entity_type, entity_id)');
+
+    console.log('✓ activity_audit table ready');
+  } catch (error) {
+    console.error('Activity audit migration failed:', error);
+  }
+}
+
+module.exports = { addActivityAudit };
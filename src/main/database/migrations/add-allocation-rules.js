@@ -0,0 +1,54 @@
+// Migration to add allocation rules and their current breaches
+// A rule caps the weight of one stock or sector, or of every stock or
+// sector when it has no target. Breaches are rewritten on each evaluation;
+// first_breached_at survives while the breach lasts
+
+async function addAllocationRules(databaseManager) {
+  try {
+    console.log('Running migration: Add allocation rules tables');
+
+    const db = databaseManager.db;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS allocation_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        rule_type TEXT NOT NULL CHECK (rule_type IN ('STOCK', 'SECTOR')),
+        target TEXT,
+        max_percent REAL NOT NULL CHECK (max_percent > 0 AND max_percent <= 100),
+        look_through INTEGER NOT NULL DEFAULT 0,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS allocation_rule_breaches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        subject_key TEXT NOT NULL,
+        subject_name TEXT,
+        stock_id INTEGER,
+        actual_percent REAL NOT NULL,
+        max_percent REAL NOT NULL,
+        first_breached_at DATETIME NOT NULL,
+        evaluated_at DATETIME NOT NULL,
+        FOREIGN KEY (rule_id) REFERENCES allocation_rules(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        UNIQUE(rule_id, subject_key)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_allocation_rules_user_id ON allocation_rules(user_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_allocation_rule_breaches_user_id ON allocation_rule_breaches(user_id)');
+
+    console.log('✓ Allocation rules tables ready');
+  } catch (error) {
+    console.error('Allocation rules migration failed:', error);
+  }
+}
+
+module.exports = { addAllocationRules };
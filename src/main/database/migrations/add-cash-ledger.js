@@ -0,0 +1,35 @@
+// Migration to add cash_entries for the per-portfolio cash ledger
+// Only deposits and withdrawals are stored; trades, charges and dividends are
+// read from their own tables so the ledger follows edits to them
+
+async function addCashLedger(databaseManager) {
+  try {
+    console.log('Running migration: Add cash_entries table');
+
+    const db = databaseManager.db;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS cash_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        portfolio_id INTEGER NOT NULL,
+        entry_type TEXT NOT NULL CHECK (entry_type IN ('DEPOSIT', 'WITHDRAWAL')),
+        amount REAL NOT NULL CHECK (amount > 0),
+        entry_date DATE NOT NULL,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (portfolio_id) REFERENCES portfolios(id)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_cash_entries_portfolio_date ON cash_entries(portfolio_id, entry_date)');
+
+    console.log('✓ cash_entries table ready');
+  } catch (error) {
+    console.error('Cash ledger migration failed:', error);
+  }
+}
+
+module.exports = { addCashLedger };
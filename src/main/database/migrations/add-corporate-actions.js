@@ -0,0 +1,54 @@
+// Migration to add corporate_actions table and bonus lot tracking on realized_gains
+
+async function addCorporateActions(databaseManager) {
+  try {
+    console.log('Running migration: Add corporate_actions table');
+
+    const db = databaseManager.db;
+
+    // Check if table already exists
+    const tableInfo = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='corporate_actions'").get();
+
+    if (tableInfo) {
+      console.log('✓ corporate_actions table already exists');
+    } else {
+      // Splits and consolidations turn every old_shares into new_shares;
+      // a bonus credits new_shares for every old_shares held
+      db.exec(`
+        CREATE TABLE corporate_actions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          stock_id INTEGER NOT NULL,
+          action_type TEXT NOT NULL CHECK (action_type IN ('SPLIT', 'BONUS', 'CONSOLIDATION')),
+          old_shares INTEGER NOT NULL CHECK (old_shares > 0),
+          new_shares INTEGER NOT NULL CHECK (new_shares > 0),
+          ex_date DATE NOT NULL,
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (stock_id) REFERENCES stocks(id),
+          UNIQUE(stock_id, action_type, ex_date)
+        )
+      `);
+
+      db.exec('CREATE INDEX IF NOT EXISTS idx_corporate_actions_stock_id ON corporate_actions(stock_id)');
+
+      console.log('✓ corporate_actions table created');
+    }
+
+    // Bonus lots are derived from a buy transaction, so realized gains
+    // matched against them also record the corporate action
+    const gainColumns = db.prepare("PRAGMA table_info(realized_gains)").all();
+    const existingColumns = gainColumns.map(col => col.name);
+
+    if (!existingColumns.includes('corporate_action_id')) {
+      db.exec('ALTER TABLE realized_gains ADD COLUMN corporate_action_id INTEGER REFERENCES corporate_actions(id)');
+      console.log('✓ corporate_action_id column added');
+    } else {
+      console.log('✓ corporate_action_id column already exists');
+    }
+
+  } catch (error) {
+    console.error('Corporate actions migration failed:', error);
+  }
+}
+
+module.exports = { addCorporateActions };
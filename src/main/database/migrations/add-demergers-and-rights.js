@@ -0,0 +1,88 @@
+// Migration to allow demergers and rights issues in corporate_actions
+// SQLite cannot alter a CHECK constraint, so the table is rebuilt
+
+async function addDemergersAndRights(databaseManager) {
+  try {
+    console.log('Running migration: Add demergers and rights issues to corporate_actions');
+
+    const db = databaseManager.db;
+
+    const tableInfo = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='corporate_actions'").get();
+
+    if (!tableInfo) {
+      console.log('✓ corporate_actions table not found, skipping');
+      return;
+    }
+
+    if (tableInfo.sql.includes('DEMERGER')) {
+      console.log('✓ corporate_actions already supports demergers and rights');
+    } else {
+      // realized_gains references corporate_actions, so foreign keys are off
+      // while the table is swapped
+      db.pragma('foreign_keys = OFF');
+
+      try {
+        db.transaction(() => {
+          // A demerger credits new_shares of the resulting company for every
+          // old_shares held and moves cost_ratio of the parent's cost to them.
+          // A rights issue offers new_shares for every old_shares at issue_price.
+          // A company can demerge into several resulting companies on one
+          // ex-date, so the resulting company is part of the key.
+          db.exec(`
+            CREATE TABLE corporate_actions_new (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              stock_id INTEGER NOT NULL,
+              action_type TEXT NOT NULL CHECK (action_type IN ('SPLIT', 'BONUS', 'CONSOLIDATION', 'DEMERGER', 'RIGHTS')),
+              old_shares INTEGER NOT NULL CHECK (old_shares > 0),
+              new_shares INTEGER NOT NULL CHECK (new_shares > 0),
+              ex_date DATE NOT NULL,
+              resulting_stock_id INTEGER,
+              cost_ratio REAL CHECK (cost_ratio IS NULL OR (cost_ratio > 0 AND cost_ratio < 1)),
+              issue_price REAL CHECK (issue_price IS NULL OR issue_price > 0),
+              notes TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (stock_id) REFERENCES stocks(id),
+              FOREIGN KEY (resulting_stock_id) REFERENCES stocks(id),
+              CHECK (action_type != 'DEMERGER' OR (resulting_stock_id IS NOT NULL AND cost_ratio IS NOT NULL)),
+              CHECK (action_type != 'RIGHTS' OR issue_price IS NOT NULL),
+              UNIQUE(stock_id, action_type, ex_date, resulting_stock_id)
+            )
+          `);
+
+          db.exec(`
+            INSERT INTO corporate_actions_new
+              (id, stock_id, action_type, old_shares, new_shares, ex_date, notes, created_at)
+            SELECT id, stock_id, action_type, old_shares, new_shares, ex_date, notes, created_at
+            FROM corporate_actions
+          `);
+
+          db.exec('DROP TABLE corporate_actions');
+          db.exec('ALTER TABLE corporate_actions_new RENAME TO corporate_actions');
+          db.exec('CREATE INDEX IF NOT EXISTS idx_corporate_actions_stock_id ON corporate_actions(stock_id)');
+          db.exec('CREATE INDEX IF NOT EXISTS idx_corporate_actions_resulting_stock_id ON corporate_actions(resulting_stock_id)');
+        })();
+      } finally {
+        db.pragma('foreign_keys = ON');
+      }
+
+      console.log('✓ corporate_actions rebuilt with demerger and rights columns');
+    }
+
+    // Rights shares are bought at the issue price; the buy records the
+    // rights issue it was subscribed under
+    const transactionColumns = db.prepare("PRAGMA table_info(transactions)").all();
+    const existingColumns = transactionColumns.map(col => col.name);
+
+    if (!existingColumns.includes('corporate_action_id')) {
+      db.exec('ALTER TABLE transactions ADD COLUMN corporate_action_id INTEGER REFERENCES corporate_actions(id)');
+      console.log('✓ transactions.corporate_action_id column added');
+    } else {
+      console.log('✓ transactions.corporate_action_id column already exists');
+    }
+
+  } catch (error) {
+    console.error('Demergers and rights migration failed:', error);
+  }
+}
+
+module.exports = { addDemergersAndRights };
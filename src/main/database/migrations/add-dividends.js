@@ -0,0 +1,48 @@
+// Migration to add dividends table for dividend income and TDS
+
+async function addDividends(databaseManager) {
+  try {
+    console.log('Running migration: Add dividends table');
+
+    const db = databaseManager.db;
+
+    // Check if table already exists
+    const tableInfo = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='dividends'").get();
+
+    if (tableInfo) {
+      console.log('✓ dividends table already exists');
+      return;
+    }
+
+    // One row per dividend received; gross_amount is quantity x amount_per_share
+    // and tds_amount is the tax deducted at source under Section 194
+    db.exec(`
+      CREATE TABLE dividends (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        stock_id INTEGER NOT NULL,
+        record_date DATE NOT NULL,
+        payment_date DATE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        amount_per_share REAL NOT NULL CHECK (amount_per_share > 0),
+        gross_amount REAL NOT NULL CHECK (gross_amount > 0),
+        tds_amount REAL NOT NULL DEFAULT 0 CHECK (tds_amount >= 0),
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (stock_id) REFERENCES stocks(id),
+        UNIQUE(user_id, stock_id, record_date)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_dividends_user_id ON dividends(user_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_dividends_stock_id ON dividends(stock_id)');
+
+    console.log('✓ dividends table created');
+  } catch (error) {
+    console.error('Dividends migration failed:', error);
+  }
+}
+
+module.exports = { addDividends };
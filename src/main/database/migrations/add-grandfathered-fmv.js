@@ -0,0 +1,53 @@
+// Migration to add grandfathered_fmv table and grandfathering columns on realized_gains
+
+async function addGrandfatheredFmv(databaseManager) {
+  try {
+    console.log('Running migration: Add grandfathered_fmv table');
+
+    const db = databaseManager.db;
+
+    // Check if table already exists
+    const tableInfo = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='grandfathered_fmv'").get();
+
+    if (tableInfo) {
+      console.log('✓ grandfathered_fmv table already exists');
+    } else {
+      // 31-Jan-2018 fair market value per ISIN (Section 112A)
+      db.exec(`
+        CREATE TABLE grandfathered_fmv (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          isin TEXT NOT NULL UNIQUE,
+          company_name TEXT,
+          fmv REAL NOT NULL CHECK (fmv > 0),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      console.log('✓ grandfathered_fmv table created');
+    }
+
+    // Add grandfathering columns to realized_gains table
+    const gainColumns = db.prepare("PRAGMA table_info(realized_gains)").all();
+    const existingColumns = gainColumns.map(col => col.name);
+
+    if (!existingColumns.includes('fmv_31jan2018')) {
+      db.exec('ALTER TABLE realized_gains ADD COLUMN fmv_31jan2018 REAL');
+      console.log('✓ fmv_31jan2018 column added');
+    } else {
+      console.log('✓ fmv_31jan2018 column already exists');
+    }
+
+    if (!existingColumns.includes('grandfathered_cost')) {
+      db.exec('ALTER TABLE realized_gains ADD COLUMN grandfathered_cost REAL');
+      console.log('✓ grandfathered_cost column added');
+    } else {
+      console.log('✓ grandfathered_cost column already exists');
+    }
+
+  } catch (error) {
+    console.error('Grandfathered FMV migration failed:', error);
+  }
+}
+
+module.exports = { addGrandfatheredFmv };
@@ -0,0 +1,48 @@
+// Migration to add price targets and stop-losses per holding
+// Levels are kept per stock for the user, so every account holding the stock
+// shares them. Each row also keeps the price and status the levels were last
+// checked at, so a breach is new only when the status changed.
+
+async function addHoldingLevels(databaseManager) {
+  try {
+    console.log('Running migration: Add holding levels table');
+
+    const db = databaseManager.db;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS holding_levels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        stock_id INTEGER NOT NULL,
+        target_price REAL CHECK (target_price IS NULL OR target_price > 0),
+        stop_loss REAL CHECK (stop_loss IS NULL OR stop_loss > 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (stock_id) REFERENCES stocks(id),
+        UNIQUE(user_id, stock_id)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_holding_levels_user_id ON holding_levels(user_id)');
+
+    const existingColumns = db.prepare('PRAGMA table_info(holding_levels)').all().map(col => col.name);
+    const checkColumns = {
+      last_price: 'REAL',
+      last_status: "TEXT CHECK (last_status IS NULL OR last_status IN ('TARGET_HIT', 'STOP_HIT'))",
+      status_changed_at: 'DATETIME'
+    };
+
+    for (const [column, definition] of Object.entries(checkColumns)) {
+      if (!existingColumns.includes(column)) {
+        db.exec(`ALTER TABLE holding_levels ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    console.log('✓ Holding levels table ready');
+  } catch (error) {
+    console.error('Holding levels migration failed:', error);
+  }
+}
+
+module.exports = { addHoldingLevels };
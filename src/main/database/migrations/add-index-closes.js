@@ -0,0 +1,40 @@
+// Migration to add index_closes table caching daily benchmark index closes
+
+async function addIndexCloses(databaseManager) {
+  try {
+    console.log('Running migration: Add index_closes table');
+
+    const db = databaseManager.db;
+
+    // Check if table already exists
+    const tableInfo = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='index_closes'").get();
+
+    if (tableInfo) {
+      console.log('✓ index_closes table already exists');
+      return;
+    }
+
+    // One close per index (or custom benchmark ticker) per trading day, keyed
+    // by its Breeze stock code and exchange
+    db.exec(`
+      CREATE TABLE index_closes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        index_code TEXT NOT NULL,
+        exchange TEXT NOT NULL DEFAULT 'BSE',
+        close_date DATE NOT NULL,
+        close REAL NOT NULL CHECK (close > 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(index_code, exchange, close_date)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_index_closes_code_date ON index_closes(index_code, exchange, close_date)');
+
+    console.log('✓ index_closes table created');
+  } catch (error) {
+    console.error('Index closes migration failed:', error);
+  }
+}
+
+module.exports = { addIndexCloses };
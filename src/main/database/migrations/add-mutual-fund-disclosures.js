@@ -0,0 +1,53 @@
+// Migration to keep AMC monthly portfolio disclosures
+// Each import is a dated snapshot of one scheme's holdings, with every line
+// bucketed as mapped equity, debt, cash or unmapped
+
+async function addMutualFundDisclosures(databaseManager) {
+  try {
+    console.log('Running migration: Add mutual fund disclosure snapshots');
+
+    const db = databaseManager.db;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS mutual_fund_disclosures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scheme_code TEXT NOT NULL,
+        as_of_date DATE NOT NULL,
+        scheme_name TEXT,
+        file_name TEXT,
+        sheet_name TEXT,
+        equity_percent REAL NOT NULL DEFAULT 0,
+        debt_percent REAL NOT NULL DEFAULT 0,
+        cash_percent REAL NOT NULL DEFAULT 0,
+        unmapped_percent REAL NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(scheme_code, as_of_date)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS mutual_fund_disclosure_lines (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        disclosure_id INTEGER NOT NULL,
+        bucket TEXT NOT NULL CHECK (bucket IN ('EQUITY', 'DEBT', 'CASH', 'UNMAPPED')),
+        isin TEXT,
+        instrument_name TEXT NOT NULL,
+        stock_symbol TEXT,
+        stock_name TEXT,
+        percent_of_nav REAL NOT NULL,
+        market_value REAL,
+        FOREIGN KEY (disclosure_id) REFERENCES mutual_fund_disclosures(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_mf_disclosures_scheme_date ON mutual_fund_disclosures(scheme_code, as_of_date)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_mf_disclosure_lines_disclosure ON mutual_fund_disclosure_lines(disclosure_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_mf_disclosure_lines_stock ON mutual_fund_disclosure_lines(stock_symbol)');
+
+    console.log('✓ Mutual fund disclosure tables ready');
+  } catch (error) {
+    console.error('Mutual fund disclosures migration failed:', error);
+  }
+}
+
+module.exports = { addMutualFundDisclosures };
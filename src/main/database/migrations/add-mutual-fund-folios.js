@@ -0,0 +1,37 @@
+// Migration to add folio details to mutual_funds so CAS statement folios can
+// be matched on later imports
+
+async function addMutualFundFolios(databaseManager) {
+  try {
+    console.log('Running migration: Add folio columns to mutual_funds table');
+
+    const db = databaseManager.db;
+
+    const tableInfo = db.prepare('PRAGMA table_info(mutual_funds)').all();
+
+    if (tableInfo.length === 0) {
+      console.log('✓ mutual_funds table not present, skipping folio columns');
+      return;
+    }
+
+    const columns = new Set(tableInfo.map(col => col.name));
+
+    if (!columns.has('isin')) {
+      db.exec('ALTER TABLE mutual_funds ADD COLUMN isin TEXT');
+    }
+    if (!columns.has('folio_number')) {
+      db.exec('ALTER TABLE mutual_funds ADD COLUMN folio_number TEXT');
+    }
+    if (!columns.has('units')) {
+      db.exec('ALTER TABLE mutual_funds ADD COLUMN units REAL');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_mutual_funds_isin_folio ON mutual_funds(isin, folio_number)');
+
+    console.log('✓ Folio columns added to mutual_funds');
+  } catch (error) {
+    console.error('Mutual fund folios migration failed:', error);
+  }
+}
+
+module.exports = { addMutualFundFolios };
@@ -0,0 +1,85 @@
+// Migration to track mutual fund holdings by units
+// Adds the AMFI scheme master, daily NAVs, and purchase/SIP/redemption
+// transactions per fund, so units and current value can be derived instead
+// of typed in
+
+async function addMutualFundTransactions(databaseManager) {
+  try {
+    console.log('Running migration: Add mutual fund transactions and NAV tables');
+
+    const db = databaseManager.db;
+
+    const tableInfo = db.prepare('PRAGMA table_info(mutual_funds)').all();
+
+    if (tableInfo.length === 0) {
+      console.log('✓ mutual_funds table not present, skipping mutual fund transactions');
+      return;
+    }
+
+    const columns = new Set(tableInfo.map(col => col.name));
+
+    // AMFI scheme code the NAVs are published under
+    if (!columns.has('scheme_code')) {
+      db.exec('ALTER TABLE mutual_funds ADD COLUMN scheme_code TEXT');
+    }
+    // EQUITY or DEBT for capital gains; NULL follows the scheme category
+    if (!columns.has('tax_category')) {
+      db.exec("ALTER TABLE mutual_funds ADD COLUMN tax_category TEXT CHECK (tax_category IS NULL OR tax_category IN ('EQUITY', 'DEBT'))");
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_mutual_funds_scheme_code ON mutual_funds(scheme_code)');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS mutual_fund_schemes (
+        scheme_code TEXT PRIMARY KEY,
+        scheme_name TEXT NOT NULL,
+        isin_growth TEXT,
+        isin_reinvest TEXT,
+        category TEXT,
+        fund_house TEXT,
+        nav REAL,
+        nav_date DATE,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_mf_schemes_isin_growth ON mutual_fund_schemes(isin_growth)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_mf_schemes_isin_reinvest ON mutual_fund_schemes(isin_reinvest)');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS mutual_fund_navs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scheme_code TEXT NOT NULL,
+        nav_date DATE NOT NULL,
+        nav REAL NOT NULL CHECK (nav > 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(scheme_code, nav_date)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS mutual_fund_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        mutual_fund_id INTEGER NOT NULL,
+        transaction_type TEXT NOT NULL CHECK (transaction_type IN ('PURCHASE', 'SIP', 'REDEMPTION')),
+        transaction_date DATE NOT NULL,
+        units REAL NOT NULL CHECK (units > 0),
+        nav REAL NOT NULL CHECK (nav > 0),
+        amount REAL NOT NULL CHECK (amount > 0),
+        stamp_duty REAL NOT NULL DEFAULT 0,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (mutual_fund_id) REFERENCES mutual_funds(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_mf_transactions_fund ON mutual_fund_transactions(mutual_fund_id, transaction_date)');
+
+    console.log('✓ Mutual fund transactions and NAV tables ready');
+  } catch (error) {
+    console.error('Mutual fund transactions migration failed:', error);
+  }
+}
+
+module.exports = { addMutualFundTransactions };
@@ -0,0 +1,54 @@
+// Migration to add portfolio_snapshots table for daily valuation history
+
+async function addPortfolioSnapshots(databaseManager) {
+  try {
+    console.log('Running migration: Add portfolio_snapshots table');
+
+    const db = databaseManager.db;
+
+    // Check if table already exists
+    const tableInfo = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='portfolio_snapshots'").get();
+
+    if (tableInfo) {
+      console.log('✓ portfolio_snapshots table already exists');
+      return;
+    }
+
+    // One row per portfolio per day, and one per user per day without a
+    // portfolio_id for all of the user's portfolios combined. market_value and
+    // invested_amount are end of day figures; cash_in is spent on buys,
+    // cash_out received from sells (both net of charges) and dividend_income
+    // paid out that day. BACKFILL rows are valued at historical closes, LIVE
+    // rows at cached prices.
+    db.exec(`
+      CREATE TABLE portfolio_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        portfolio_id INTEGER,
+        snapshot_date DATE NOT NULL,
+        market_value REAL NOT NULL DEFAULT 0,
+        invested_amount REAL NOT NULL DEFAULT 0,
+        cash_in REAL NOT NULL DEFAULT 0,
+        cash_out REAL NOT NULL DEFAULT 0,
+        dividend_income REAL NOT NULL DEFAULT 0,
+        holding_count INTEGER NOT NULL DEFAULT 0,
+        source TEXT NOT NULL DEFAULT 'LIVE' CHECK (source IN ('LIVE', 'BACKFILL')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (portfolio_id) REFERENCES portfolios(id),
+        UNIQUE(user_id, portfolio_id, snapshot_date)
+      )
+    `);
+
+    // UNIQUE does not compare NULLs, so the combined rows get their own key
+    db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_portfolio_snapshots_combined
+             ON portfolio_snapshots(user_id, snapshot_date) WHERE portfolio_id IS NULL`);
+
+    console.log('✓ portfolio_snapshots table created');
+  } catch (error) {
+    console.error('Portfolio snapshots migration failed:', error);
+  }
+}
+
+module.exports = { addPortfolioSnapshots };
@@ -0,0 +1,78 @@
+// Migration to add portfolios (demat accounts held by a user, e.g. individual,
+// HUF and joint) and scope transactions, realized gains and mutual funds to one
+
+async function addPortfolios(databaseManager) {
+  try {
+    console.log('Running migration: Add portfolios table');
+
+    const db = databaseManager.db;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS portfolios (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        account_type TEXT NOT NULL DEFAULT 'INDIVIDUAL'
+          CHECK (account_type IN ('INDIVIDUAL', 'HUF', 'JOINT', 'OTHER')),
+        demat_account TEXT,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        UNIQUE(user_id, name)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_portfolios_user_id ON portfolios(user_id)');
+
+    const addPortfolioColumn = (table) => {
+      const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+      if (columns.length === 0) {
+        return false;
+      }
+      if (!columns.some(col => col.name === 'portfolio_id')) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN portfolio_id INTEGER REFERENCES portfolios(id)`);
+      }
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_portfolio_id ON ${table}(portfolio_id)`);
+      return true;
+    };
+
+    addPortfolioColumn('transactions');
+    addPortfolioColumn('realized_gains');
+    const hasMutualFunds = addPortfolioColumn('mutual_funds');
+
+    // Every existing user gets a default portfolio holding their records
+    const users = db.prepare('SELECT id FROM users').all();
+    const findDefault = db.prepare('SELECT id FROM portfolios WHERE user_id = ? AND is_default = 1');
+    const createDefault = db.prepare(
+      "INSERT INTO portfolios (user_id, name, account_type, is_default) VALUES (?, 'Individual', 'INDIVIDUAL', 1)"
+    );
+
+    const backfill = db.transaction(() => {
+      for (const user of users) {
+        const existing = findDefault.get(user.id);
+        const portfolioId = existing ? existing.id : createDefault.run(user.id).lastInsertRowid;
+
+        db.prepare('UPDATE transactions SET portfolio_id = ? WHERE user_id = ? AND portfolio_id IS NULL')
+          .run(portfolioId, user.id);
+        db.prepare('UPDATE realized_gains SET portfolio_id = ? WHERE user_id = ? AND portfolio_id IS NULL')
+          .run(portfolioId, user.id);
+      }
+    });
+    backfill();
+
+    // Mutual funds were recorded without a user. With one user they are that
+    // user's; otherwise they stay unassigned until their owner claims them on
+    // the Mutual Funds page
+    if (hasMutualFunds && users.length === 1) {
+      const only = findDefault.get(users[0].id);
+      db.prepare('UPDATE mutual_funds SET portfolio_id = ? WHERE portfolio_id IS NULL').run(only.id);
+    }
+
+    console.log('✓ Portfolios table ready and existing records assigned');
+  } catch (error) {
+    console.error('Portfolios migration failed:', error);
+  }
+}
+
+module.exports = { addPortfolios };
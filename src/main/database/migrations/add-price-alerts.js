@@ -0,0 +1,58 @@
+// Migration to add user-defined price alerts and the history of alerts fired
+// Alerts are re-armed once their condition clears; LTCG alerts fire once per
+// lot, so the history keeps the lot key they fired for
+
+async function addPriceAlerts(databaseManager) {
+  try {
+    console.log('Running migration: Add price alerts tables');
+
+    const db = databaseManager.db;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS price_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        alert_type TEXT NOT NULL CHECK (alert_type IN (
+          'PRICE_ABOVE', 'PRICE_BELOW', 'DAY_MOVE', 'HOLDING_GAIN', 'HOLDING_LOSS', 'LTCG_ELIGIBLE'
+        )),
+        symbol TEXT,
+        threshold REAL,
+        notes TEXT,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        is_triggered INTEGER NOT NULL DEFAULT 0,
+        last_triggered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        alert_id INTEGER,
+        alert_type TEXT NOT NULL,
+        symbol TEXT,
+        lot_key TEXT,
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        price REAL,
+        is_read INTEGER NOT NULL DEFAULT 0,
+        triggered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (alert_id) REFERENCES price_alerts(id) ON DELETE SET NULL
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_price_alerts_user_id ON price_alerts(user_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_alert_history_user_id ON alert_history(user_id, triggered_at)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_alert_history_alert_lot ON alert_history(alert_id, lot_key)');
+
+    console.log('✓ Price alerts tables ready');
+  } catch (error) {
+    console.error('Price alerts migration failed:', error);
+  }
+}
+
+module.exports = { addPriceAlerts };
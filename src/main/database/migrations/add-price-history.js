@@ -0,0 +1,37 @@
+// Migration to add the daily price history table
+// One OHLCV row per symbol and trading day, downloaded from the Breeze
+// historical charts API or imported from BSE bhavcopy files
+
+async function addPriceHistory(databaseManager) {
+  try {
+    console.log('Running migration: Add price history table');
+
+    const db = databaseManager.db;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS price_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        symbol TEXT NOT NULL,
+        exchange TEXT NOT NULL DEFAULT 'BSE',
+        trade_date DATE NOT NULL,
+        open REAL,
+        high REAL,
+        low REAL,
+        close REAL NOT NULL CHECK (close > 0),
+        volume INTEGER,
+        source TEXT NOT NULL DEFAULT 'BREEZE' CHECK (source IN ('BREEZE', 'BHAVCOPY')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(symbol, exchange, trade_date)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_price_history_symbol_date ON price_history(symbol, trade_date)');
+
+    console.log('✓ Price history table ready');
+  } catch (error) {
+    console.error('Price history migration failed:', error);
+  }
+}
+
+module.exports = { addPriceHistory };
@@ -0,0 +1,56 @@
+// Migration to add brokerage_plans, record the STT paid on each transaction
+// apart from its deductible charges, and split the charges recorded on
+// realized gains into buy charges (part of the cost) and transfer expenses
+// (the sell side charges deducted from proceeds)
+
+async function addTradeCharges(databaseManager) {
+  try {
+    console.log('Running migration: Add brokerage_plans table and realized gain charges');
+
+    const db = databaseManager.db;
+
+    // A plan applies from its effective date until the next plan starts, so
+    // charges on older trades keep using the plan in force at the time
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS brokerage_plans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        plan_type TEXT NOT NULL CHECK (plan_type IN ('FLAT', 'PERCENTAGE', 'CAPPED')),
+        flat_fee REAL,
+        rate REAL,
+        minimum REAL,
+        maximum REAL,
+        effective_from DATE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        UNIQUE(user_id, effective_from)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_brokerage_plans_user_date ON brokerage_plans(user_id, effective_from)');
+
+    // STT is cash paid but not part of the cost or proceeds for capital gains
+    const transactionColumns = new Set(db.prepare('PRAGMA table_info(transactions)').all().map(col => col.name));
+
+    if (!transactionColumns.has('stt')) {
+      db.exec('ALTER TABLE transactions ADD COLUMN stt REAL DEFAULT 0');
+    }
+
+    const columns = new Set(db.prepare('PRAGMA table_info(realized_gains)').all().map(col => col.name));
+
+    if (!columns.has('buy_charges')) {
+      db.exec('ALTER TABLE realized_gains ADD COLUMN buy_charges REAL DEFAULT 0');
+    }
+    if (!columns.has('transfer_expenses')) {
+      db.exec('ALTER TABLE realized_gains ADD COLUMN transfer_expenses REAL DEFAULT 0');
+    }
+
+    console.log('✓ Trade charges tables and columns ready');
+  } catch (error) {
+    console.error('Trade charges migration failed:', error);
+  }
+}
+
+module.exports = { addTradeCharges };
@@ -0,0 +1,52 @@
+// Migration to add watchlists of stocks followed but not necessarily held
+// Items are keyed by the BSE short name used for price_cache, and keep the
+// 52-week range worked out from price history highs and lows
+
+async function addWatchlists(databaseManager) {
+  try {
+    console.log('Running migration: Add watchlists tables');
+
+    const db = databaseManager.db;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS watchlists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        UNIQUE(user_id, name)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS watchlist_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        watchlist_id INTEGER NOT NULL,
+        symbol TEXT NOT NULL,
+        company_name TEXT,
+        scrip_code TEXT,
+        isin TEXT,
+        target_price REAL CHECK (target_price IS NULL OR target_price > 0),
+        notes TEXT,
+        week52_high REAL,
+        week52_low REAL,
+        range_updated_at DATE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE CASCADE,
+        UNIQUE(watchlist_id, symbol)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_watchlists_user_id ON watchlists(user_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_watchlist_items_watchlist_id ON watchlist_items(watchlist_id)');
+
+    console.log('✓ Watchlists tables ready');
+  } catch (error) {
+    console.error('Watchlists migration failed:', error);
+  }
+}
+
+module.exports = { addWatchlists };
@@ -247,8 +247,8 @@ class DatabaseQueries {
         s.exchange,
         s.sector,
         SUM(CASE WHEN t.transaction_type = 'BUY' THEN t.quantity ELSE -t.quantity END) as total_quantity,
-        SUM(CASE WHEN t.transaction_type = 'BUY' THEN t.quantity * t.price + t.charges ELSE 0 END) as total_investment,
-        SUM(CASE WHEN t.transaction_type = 'SELL' THEN t.quantity * t.price - t.charges ELSE 0 END) as total_sales,
+        SUM(CASE WHEN t.transaction_type = 'BUY' THEN t.quantity * t.price + t.charges + COALESCE(t.stt, 0) ELSE 0 END) as total_investment,
+        SUM(CASE WHEN t.transaction_type = 'SELL' THEN t.quantity * t.price - t.charges - COALESCE(t.stt, 0) ELSE 0 END) as total_sales,
         COUNT(t.id) as transaction_count
       FROM stocks s
       JOIN transactions t ON s.id = t.stock_id
@@ -268,8 +268,8 @@ class DatabaseQueries {
     const sql = `
       SELECT 
         COUNT(DISTINCT s.id) as total_stocks,
-        SUM(CASE WHEN t.transaction_type = 'BUY' THEN t.quantity * t.price + t.charges ELSE 0 END) as total_investment,
-        SUM(CASE WHEN t.transaction_type = 'SELL' THEN t.quantity * t.price - t.charges ELSE 0 END) as total_sales,
+        SUM(CASE WHEN t.transaction_type = 'BUY' THEN t.quantity * t.price + t.charges + COALESCE(t.stt, 0) ELSE 0 END) as total_investment,
+        SUM(CASE WHEN t.transaction_type = 'SELL' THEN t.quantity * t.price - t.charges - COALESCE(t.stt, 0) ELSE 0 END) as total_sales,
         COUNT(t.id) as total_transactions
       FROM transactions t
       JOIN stocks s ON t.stock_id = s.id
@@ -0,0 +1,216 @@
+// IPC Handlers for price alerts
+// Alert definitions, the history of alerts fired and the desktop
+// notification setting
+
+const { ipcMain } = require('electron');
+const alertService = require('../services/alertService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all alert IPC handlers
+ */
+function registerAlertHandlers() {
+  // Get the user's alerts
+  ipcMain.handle('alerts:get-all', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: alertService.getAlerts(validation.userId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get alerts:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Add an alert
+  ipcMain.handle('alerts:create', async (event, sessionToken, alert) => {
+    try {
+      console.log(`[IPC] Creating ${alert && alert.alertType} alert`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await alertService.createAlert(validation.userId, alert || {})
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to create alert:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Switch an alert on or off
+  ipcMain.handle('alerts:set-active', async (event, sessionToken, alertId, isActive) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await alertService.setAlertActive(validation.userId, alertId, isActive);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to update alert:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete an alert
+  ipcMain.handle('alerts:delete', async (event, sessionToken, alertId) => {
+    try {
+      console.log(`[IPC] Deleting alert ${alertId}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await alertService.deleteAlert(validation.userId, alertId);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to delete alert:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Get the alerts fired
+  ipcMain.handle('alerts:get-history', async (event, sessionToken, limit) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: alertService.getHistory(validation.userId, limit || 100)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get alert history:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Mark fired alerts as read
+  ipcMain.handle('alerts:mark-read', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await alertService.markHistoryRead(validation.userId);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to mark alert history read:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete the alert history
+  ipcMain.handle('alerts:clear-history', async (event, sessionToken) => {
+    try {
+      console.log('[IPC] Clearing alert history');
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await alertService.clearHistory(validation.userId);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to clear alert history:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Get the desktop notification setting
+  ipcMain.handle('alerts:get-notifications', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: alertService.getNotificationsEnabled(validation.userId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get notification setting:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Turn desktop notifications on or off
+  ipcMain.handle('alerts:set-notifications', async (event, sessionToken, enabled) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await alertService.setNotificationsEnabled(validation.userId, Boolean(enabled));
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to save notification setting:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Alert handlers registered');
+}
+
+module.exports = { registerAlertHandlers };
@@ -0,0 +1,126 @@
+// IPC Handlers for allocation rules
+// Caps on stock and sector weights, their breaches and the compliance report
+
+const { ipcMain } = require('electron');
+const allocationRuleService = require('../services/allocationRuleService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all allocation rule IPC handlers
+ */
+function registerAllocationRuleHandlers() {
+  // Get the user's rules
+  ipcMain.handle('allocation-rules:get-all', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: allocationRuleService.getRules(validation.userId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get allocation rules:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Add a rule
+  ipcMain.handle('allocation-rules:create', async (event, sessionToken, rule) => {
+    try {
+      console.log(`[IPC] Creating ${rule && rule.ruleType} allocation rule`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await allocationRuleService.createRule(validation.userId, rule || {})
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to create allocation rule:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Switch a rule on or off
+  ipcMain.handle('allocation-rules:set-active', async (event, sessionToken, ruleId, isActive) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await allocationRuleService.setRuleActive(validation.userId, ruleId, isActive);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to update allocation rule:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete a rule
+  ipcMain.handle('allocation-rules:delete', async (event, sessionToken, ruleId) => {
+    try {
+      console.log(`[IPC] Deleting allocation rule ${ruleId}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await allocationRuleService.deleteRule(validation.userId, ruleId);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to delete allocation rule:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Check the rules now and report on each
+  ipcMain.handle('allocation-rules:get-report', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await allocationRuleService.getComplianceReport(validation.userId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to build compliance report:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Allocation rule handlers registered');
+}
+
+module.exports = { registerAllocationRuleHandlers };
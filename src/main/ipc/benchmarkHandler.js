@@ -0,0 +1,36 @@
+// IPC Handlers for benchmark comparison
+// Compares the portfolio with the same cash flows invested in an index
+
+const { ipcMain } = require('electron');
+const benchmarkService = require('../services/benchmarkService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all benchmark IPC handlers
+ */
+function registerBenchmarkHandlers() {
+  // Compare with a built-in index or a custom ticker
+  ipcMain.handle('benchmark:compare', async (event, sessionToken, benchmark, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await benchmarkService.getComparison(validation.userId, benchmark || {}, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to compare with benchmark:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Benchmark handlers registered');
+}
+
+module.exports = { registerBenchmarkHandlers };
@@ -0,0 +1,59 @@
+// IPC Handlers for broker reconciliation
+// Compares Breeze holdings with the local ledger and creates missing transactions
+
+const { ipcMain } = require('electron');
+const brokerReconciliationService = require('../services/brokerReconciliationService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all broker sync IPC handlers
+ */
+function registerBrokerSyncHandlers() {
+  // Reconcile broker holdings with local transactions
+  ipcMain.handle('broker-sync:reconcile', async (event, sessionToken, options, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await brokerReconciliationService.reconcile(validation.userId, options || {}, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to reconcile broker holdings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Create the transactions confirmed from a reconciliation
+  ipcMain.handle('broker-sync:create-transactions', async (event, sessionToken, transactions, portfolioId) => {
+    try {
+      console.log(`[IPC] Creating ${Array.isArray(transactions) ? transactions.length : 0} transactions from broker reconciliation`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await brokerReconciliationService.createTransactions(validation.userId, transactions, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to create reconciliation transactions:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Broker sync handlers registered');
+}
+
+module.exports = { registerBrokerSyncHandlers };
@@ -0,0 +1,60 @@
+// IPC Handlers for CDSL/NSDL Consolidated Account Statement import
+// Reports drift between the statement and local holdings and records
+// mutual fund folios
+
+const { ipcMain } = require('electron');
+const casImportService = require('../services/casImportService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all CAS import IPC handlers
+ */
+function registerCasImportHandlers() {
+  // Compare a statement with the local holdings
+  ipcMain.handle('cas:preview', async (event, sessionToken, filePath, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: casImportService.previewImport(validation.userId, filePath, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to preview CAS import:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Record the selected mutual fund folios
+  ipcMain.handle('cas:import-mutual-funds', async (event, sessionToken, filePath, keys, portfolioId) => {
+    try {
+      console.log(`[IPC] Importing ${Array.isArray(keys) ? keys.length : 0} mutual fund folios from CAS`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await casImportService.importMutualFunds(validation.userId, filePath, keys, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to import CAS mutual funds:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] CAS import handlers registered');
+}
+
+module.exports = { registerCasImportHandlers };
@@ -0,0 +1,89 @@
+// IPC Handlers for the cash ledger
+// Deposits and withdrawals per portfolio, and the running balance fed by
+// trades, charges and dividends
+
+const { ipcMain } = require('electron');
+const cashLedgerService = require('../services/cashLedgerService');
+const transactionManager = require('../transactions/transactionManager');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all cash ledger IPC handlers
+ */
+function registerCashLedgerHandlers() {
+  // Get the ledger of one portfolio or all of them
+  ipcMain.handle('cash:get-ledger', async (event, sessionToken, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: cashLedgerService.getLedger(validation.userId, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get cash ledger:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Record a deposit or withdrawal
+  ipcMain.handle('cash:add-entry', async (event, sessionToken, entry) => {
+    try {
+      console.log(`[IPC] Adding cash ${entry && entry.entryType}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const id = await cashLedgerService.addCashEntry(validation.userId, entry || {});
+      transactionManager.emitPortfolioUpdate(validation.userId);
+
+      return {
+        success: true,
+        data: id
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to add cash entry:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete a deposit or withdrawal
+  ipcMain.handle('cash:delete-entry', async (event, sessionToken, entryId) => {
+    try {
+      console.log(`[IPC] Deleting cash entry ${entryId}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await cashLedgerService.deleteCashEntry(validation.userId, entryId);
+      transactionManager.emitPortfolioUpdate(validation.userId);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to delete cash entry:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Cash ledger handlers registered');
+}
+
+module.exports = { registerCashLedgerHandlers };
@@ -0,0 +1,135 @@
+// IPC Handlers for corporate actions
+// Handles recording and removing corporate actions and subscribing to rights issues
+
+const { ipcMain } = require('electron');
+const corporateActionService = require('../services/corporateActionService');
+const transactionManager = require('../transactions/transactionManager');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all corporate action IPC handlers
+ */
+function registerCorporateActionHandlers() {
+  // Get all corporate actions
+  ipcMain.handle('corporate-actions:get-all', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: corporateActionService.getAllActions()
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get corporate actions:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Record a split, bonus or consolidation
+  ipcMain.handle('corporate-actions:add', async (event, sessionToken, action) => {
+    try {
+      console.log(`[IPC] Adding corporate action for stock ${action && action.stockId}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const result = await corporateActionService.addAction(validation.userId, action || {});
+      transactionManager.emitPortfolioUpdate(validation.userId);
+
+      return {
+        success: true,
+        data: result
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to add corporate action:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete a corporate action
+  ipcMain.handle('corporate-actions:delete', async (event, sessionToken, actionId) => {
+    try {
+      console.log(`[IPC] Deleting corporate action ${actionId}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const result = await corporateActionService.deleteAction(validation.userId, actionId);
+      transactionManager.emitPortfolioUpdate(validation.userId);
+
+      return {
+        success: true,
+        data: result
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to delete corporate action:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Get the user's entitlement under a rights issue
+  ipcMain.handle('corporate-actions:get-rights-entitlement', async (event, sessionToken, actionId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: corporateActionService.getRightsEntitlement(validation.userId, actionId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get rights entitlement:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Subscribe to a rights issue
+  ipcMain.handle('corporate-actions:subscribe-rights', async (event, sessionToken, actionId, subscription) => {
+    try {
+      console.log(`[IPC] Subscribing to rights issue ${actionId}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const result = await corporateActionService.subscribeRights(validation.userId, actionId, subscription || {});
+
+      return {
+        success: true,
+        data: result
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to subscribe to rights issue:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Corporate action handlers registered');
+}
+
+module.exports = { registerCorporateActionHandlers };
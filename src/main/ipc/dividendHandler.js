@@ -0,0 +1,130 @@
+// IPC Handlers for dividend income
+// Handles the dividend ledger and the FY "Income from other sources" summary
+
+const { ipcMain } = require('electron');
+const dividendService = require('../services/dividendService');
+const transactionManager = require('../transactions/transactionManager');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all dividend IPC handlers
+ */
+function registerDividendHandlers() {
+  // Get dividends, optionally filtered by stock or financial year
+  ipcMain.handle('dividends:get-all', async (event, sessionToken, filters) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: dividendService.getDividends(validation.userId, filters || {})
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get dividends:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Record a dividend
+  ipcMain.handle('dividends:add', async (event, sessionToken, dividend) => {
+    try {
+      console.log(`[IPC] Adding dividend for stock ${dividend && dividend.stockId}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const result = await dividendService.addDividend(validation.userId, dividend || {});
+      transactionManager.emitPortfolioUpdate(validation.userId);
+
+      return {
+        success: true,
+        data: result
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to add dividend:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete a dividend
+  ipcMain.handle('dividends:delete', async (event, sessionToken, dividendId) => {
+    try {
+      console.log(`[IPC] Deleting dividend ${dividendId}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await dividendService.deleteDividend(validation.userId, dividendId);
+      transactionManager.emitPortfolioUpdate(validation.userId);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to delete dividend:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Get the "Income from other sources" summary for a financial year
+  ipcMain.handle('dividends:get-income-summary', async (event, sessionToken, financialYear) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: dividendService.getIncomeSummary(validation.userId, financialYear)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get income summary:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Get the shares held on a record date, to prefill the dividend quantity
+  ipcMain.handle('dividends:get-eligible-quantity', async (event, sessionToken, stockId, recordDate) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: transactionManager.getQuantityHeldOn(validation.userId, stockId, recordDate)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get eligible quantity:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Dividend handlers registered');
+}
+
+module.exports = { registerDividendHandlers };
@@ -0,0 +1,60 @@
+// IPC Handlers for holding levels
+// Price targets and stop-losses per holding, and the positions past them
+
+const { ipcMain } = require('electron');
+const holdingLevelService = require('../services/holdingLevelService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all holding level IPC handlers
+ */
+function registerHoldingLevelHandlers() {
+  // Set or clear a holding's target and stop-loss
+  ipcMain.handle('holdings:set-levels', async (event, sessionToken, stockId, levels) => {
+    try {
+      console.log(`[IPC] Setting levels for stock ${stockId}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await holdingLevelService.setLevels(validation.userId, stockId, levels || {});
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to set holding levels:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Get the positions past their target or stop-loss
+  ipcMain.handle('holdings:get-breaches', async (event, sessionToken, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: holdingLevelService.getBreaches(validation.userId, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get level breaches:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Holding level handlers registered');
+}
+
+module.exports = { registerHoldingLevelHandlers };
@@ -0,0 +1,37 @@
+// IPC Handlers for holding overlap
+// Overlap between mutual funds and direct holdings, and the stocks they
+// concentrate on together
+
+const { ipcMain } = require('electron');
+const consolidatedHoldingsService = require('../services/consolidatedHoldingsService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all holding overlap IPC handlers
+ */
+function registerHoldingOverlapHandlers() {
+  // Get the fund overlap matrix and hidden concentrations
+  ipcMain.handle('holdings:get-overlap', async (event, sessionToken, threshold) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await consolidatedHoldingsService.getOverlapAnalysis(validation.userId, Number(threshold) || 5)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get holding overlap:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Holding overlap handlers registered');
+}
+
+module.exports = { registerHoldingOverlapHandlers };
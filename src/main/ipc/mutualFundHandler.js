@@ -1,8 +1,11 @@
 // IPC handlers for mutual fund management
 const { ipcMain } = require('electron');
 const mutualFundService = require('../services/mutualFundService');
+const mutualFundNavService = require('../services/mutualFundNavService');
+const mutualFundDisclosureService = require('../services/mutualFundDisclosureService');
 const csvImportValidator = require('../services/csvImportValidator');
 const consolidatedHoldingsService = require('../services/consolidatedHoldingsService');
+const portfolioService = require('../services/portfolioService');
 const authenticationService = require('../auth/authenticationService');
 
 // Create CSV validator instance
@@ -20,7 +23,10 @@ function registerMutualFundHandlers() {
         throw new Error('Invalid session');
       }
 
-      const mutualFundId = await mutualFundService.addMutualFund(mutualFund, allocations);
+      const mutualFundId = await mutualFundService.addMutualFund({
+        ...mutualFund,
+        portfolioId: portfolioService.resolvePortfolioId(validation.userId, mutualFund && mutualFund.portfolioId)
+      }, allocations);
       return { success: true, mutualFundId };
     } catch (error) {
       console.error('Failed to add mutual fund:', error);
@@ -36,7 +42,7 @@ function registerMutualFundHandlers() {
         throw new Error('Invalid session');
       }
 
-      const mutualFunds = await mutualFundService.getAllMutualFunds();
+      const mutualFunds = await mutualFundService.getAllMutualFunds(validation.userId);
       return { success: true, mutualFunds };
     } catch (error) {
       console.error('Failed to get mutual funds:', error);
@@ -44,6 +50,54 @@ function registerMutualFundHandlers() {
     }
   });
 
+  // Get funds recorded before portfolios that nobody has claimed
+  ipcMain.handle('mutual-fund:get-unclaimed', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const mutualFunds = mutualFundService.getUnclaimedFunds();
+      return { success: true, mutualFunds };
+    } catch (error) {
+      console.error('Failed to get unclaimed mutual funds:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Claim unassigned funds into one of the user's portfolios
+  ipcMain.handle('mutual-fund:claim', async (event, sessionToken, fundIds, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const claimed = await mutualFundService.claimFunds(validation.userId, fundIds, portfolioId || null);
+      return { success: true, claimed };
+    } catch (error) {
+      console.error('Failed to claim mutual funds:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Release funds the user claimed back to the unassigned pool
+  ipcMain.handle('mutual-fund:release', async (event, sessionToken, fundIds) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const released = await mutualFundService.releaseFunds(validation.userId, fundIds);
+      return { success: true, released };
+    } catch (error) {
+      console.error('Failed to release mutual funds:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Get mutual fund by ID
   ipcMain.handle('mutual-fund:get', async (event, sessionToken, id) => {
     try {
@@ -52,10 +106,7 @@ function registerMutualFundHandlers() {
         throw new Error('Invalid session');
       }
 
-      const mutualFund = await mutualFundService.getMutualFundById(id);
-      if (!mutualFund) {
-        return { success: false, error: 'Mutual fund not found' };
-      }
+      const mutualFund = await mutualFundService.getOwnedFund(validation.userId, id);
       return { success: true, mutualFund };
     } catch (error) {
       console.error('Failed to get mutual fund:', error);
@@ -71,6 +122,7 @@ function registerMutualFundHandlers() {
         throw new Error('Invalid session');
       }
 
+      await mutualFundService.getOwnedFund(validation.userId, id);
       await mutualFundService.updateMutualFund(id, updates);
       return { success: true };
     } catch (error) {
@@ -79,6 +131,23 @@ function registerMutualFundHandlers() {
     }
   });
 
+  // Replace a fund's stock allocations
+  ipcMain.handle('mutual-fund:update-allocations', async (event, sessionToken, id, allocations) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await mutualFundService.getOwnedFund(validation.userId, id);
+      await mutualFundService.updateAllocations(id, allocations);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to update mutual fund allocations:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Delete mutual fund
   ipcMain.handle('mutual-fund:delete', async (event, sessionToken, id) => {
     try {
@@ -87,6 +156,7 @@ function registerMutualFundHandlers() {
         throw new Error('Invalid session');
       }
 
+      await mutualFundService.getOwnedFund(validation.userId, id);
       await mutualFundService.deleteMutualFund(id);
       return { success: true };
     } catch (error) {
@@ -127,6 +197,239 @@ function registerMutualFundHandlers() {
     }
   });
 
+  // Get funds held with units, cost and NAV-based value
+  ipcMain.handle('mutual-fund:get-holdings', async (event, sessionToken, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const holdings = await mutualFundService.getFundHoldings(validation.userId, portfolioId || null);
+      return { success: true, holdings };
+    } catch (error) {
+      console.error('Failed to get mutual fund holdings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Start holding a scheme with its first purchase
+  ipcMain.handle('mutual-fund:add-holding', async (event, sessionToken, holding, transaction) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const mutualFundId = await mutualFundService.addFundHolding({
+        ...holding,
+        portfolioId: portfolioService.resolvePortfolioId(validation.userId, holding && holding.portfolioId)
+      }, transaction);
+      return { success: true, mutualFundId };
+    } catch (error) {
+      console.error('Failed to add mutual fund holding:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get a fund's transactions
+  ipcMain.handle('mutual-fund:get-transactions', async (event, sessionToken, id) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await mutualFundService.getOwnedFund(validation.userId, id);
+      const transactions = mutualFundService.getTransactions(id);
+      return { success: true, transactions };
+    } catch (error) {
+      console.error('Failed to get mutual fund transactions:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Add a purchase, SIP instalment or redemption
+  ipcMain.handle('mutual-fund:add-transaction', async (event, sessionToken, id, transaction) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await mutualFundService.getOwnedFund(validation.userId, id);
+      const transactionId = await mutualFundService.addTransaction(id, transaction);
+      return { success: true, transactionId };
+    } catch (error) {
+      console.error('Failed to add mutual fund transaction:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete a fund transaction
+  ipcMain.handle('mutual-fund:delete-transaction', async (event, sessionToken, transactionId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      mutualFundService.getOwnedTransactionFundId(validation.userId, transactionId);
+      await mutualFundService.deleteTransaction(transactionId);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete mutual fund transaction:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get realised gains on redemptions in a financial year
+  ipcMain.handle('mutual-fund:get-capital-gains', async (event, sessionToken, financialYear, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const gains = await mutualFundService.getCapitalGains(validation.userId, financialYear, portfolioId || null);
+      return { success: true, gains };
+    } catch (error) {
+      console.error('Failed to get mutual fund capital gains:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Import an AMFI NAVAll.txt file
+  ipcMain.handle('mutual-fund:import-nav', async (event, sessionToken, filePath) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const result = await mutualFundNavService.importNavAll(filePath);
+      return { success: true, result };
+    } catch (error) {
+      console.error('Failed to import NAV file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Search the AMFI scheme master
+  ipcMain.handle('mutual-fund:search-schemes', async (event, sessionToken, term) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const schemes = mutualFundNavService.searchSchemes(term);
+      return { success: true, schemes };
+    } catch (error) {
+      console.error('Failed to search schemes:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get a scheme's stored NAVs
+  ipcMain.handle('mutual-fund:get-nav-history', async (event, sessionToken, schemeCode, fromDate) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const navs = mutualFundNavService.getNavHistory(schemeCode, fromDate || null);
+      return { success: true, navs };
+    } catch (error) {
+      console.error('Failed to get NAV history:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // List the scheme sheets of an AMC portfolio disclosure
+  ipcMain.handle('mutual-fund:list-disclosure-sheets', async (event, sessionToken, filePath) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const sheets = mutualFundDisclosureService.listSheets(filePath);
+      return { success: true, sheets };
+    } catch (error) {
+      console.error('Failed to read disclosure workbook:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Import a scheme's monthly portfolio disclosure as a dated snapshot
+  ipcMain.handle('mutual-fund:import-disclosure', async (event, sessionToken, filePath, schemeCode, options) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const result = await mutualFundDisclosureService.importDisclosure(filePath, schemeCode, options || {});
+      return { success: true, result };
+    } catch (error) {
+      console.error('Failed to import portfolio disclosure:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get a scheme's disclosure snapshots
+  ipcMain.handle('mutual-fund:get-disclosures', async (event, sessionToken, schemeCode) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const disclosures = mutualFundDisclosureService.getDisclosures(schemeCode);
+      return { success: true, disclosures };
+    } catch (error) {
+      console.error('Failed to get disclosures:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get a disclosure snapshot with its lines
+  ipcMain.handle('mutual-fund:get-disclosure', async (event, sessionToken, disclosureId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const disclosure = mutualFundDisclosureService.getDisclosure(disclosureId);
+      if (!disclosure) {
+        return { success: false, error: 'Disclosure not found' };
+      }
+      return { success: true, disclosure };
+    } catch (error) {
+      console.error('Failed to get disclosure:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete a disclosure snapshot
+  ipcMain.handle('mutual-fund:delete-disclosure', async (event, sessionToken, disclosureId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await mutualFundDisclosureService.deleteDisclosure(disclosureId);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete disclosure:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   console.log('Mutual fund IPC handlers registered successfully');
 }
 
@@ -0,0 +1,100 @@
+// IPC Handlers for portfolios (demat accounts)
+
+const { ipcMain } = require('electron');
+const portfolioService = require('../services/portfolioService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all portfolio IPC handlers
+ */
+function registerPortfolioHandlers() {
+  // Get the user's portfolios
+  ipcMain.handle('portfolios:get-all', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: portfolioService.getPortfolios(validation.userId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get portfolios:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Add a portfolio
+  ipcMain.handle('portfolios:create', async (event, sessionToken, portfolio) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await portfolioService.createPortfolio(validation.userId, portfolio)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to create portfolio:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Rename a portfolio or change its account details
+  ipcMain.handle('portfolios:update', async (event, sessionToken, id, portfolio) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await portfolioService.updatePortfolio(validation.userId, id, portfolio);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to update portfolio:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete an empty portfolio
+  ipcMain.handle('portfolios:delete', async (event, sessionToken, id) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await portfolioService.deletePortfolio(validation.userId, id);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to delete portfolio:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Portfolio handlers registered');
+}
+
+module.exports = { registerPortfolioHandlers };
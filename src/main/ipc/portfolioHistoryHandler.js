@@ -0,0 +1,81 @@
+// IPC Handlers for portfolio value history
+// Handles daily snapshots, backfilling from historical closes and
+// time-weighted returns
+
+const { ipcMain } = require('electron');
+const portfolioSnapshotService = require('../services/portfolioSnapshotService');
+const transactionManager = require('../transactions/transactionManager');
+const priceManager = require('../api/priceManager');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all portfolio history IPC handlers
+ */
+function registerPortfolioHistoryHandlers() {
+  // Get the value history and time-weighted returns
+  ipcMain.handle('portfolio-history:get', async (event, sessionToken, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await portfolioSnapshotService.getValueHistory(validation.userId, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get portfolio history:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Rebuild past snapshots from Breeze historical closes
+  ipcMain.handle('portfolio-history:backfill', async (event, sessionToken, options, portfolioId) => {
+    try {
+      console.log('[IPC] Backfilling portfolio history');
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await portfolioSnapshotService.backfillSnapshots(validation.userId, options || {}, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to backfill portfolio history:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Keep today's snapshot current as transactions and dividends change
+  transactionManager.on('portfolioUpdate', ({ userId }) => {
+    portfolioSnapshotService.recordSnapshots(userId).catch(error => {
+      console.error('[IPC] Failed to record portfolio snapshot:', error);
+    });
+  });
+
+  // Record a snapshot on days without transactions too
+  priceManager.on('pricesUpdated', () => {
+    const userId = authenticationService.getSessionUserId();
+    if (!userId) {
+      return;
+    }
+
+    portfolioSnapshotService.recordDailySnapshots(userId).catch(error => {
+      console.error('[IPC] Failed to record daily portfolio snapshot:', error);
+    });
+  });
+
+  console.log('[IPC] Portfolio history handlers registered');
+}
+
+module.exports = { registerPortfolioHistoryHandlers };
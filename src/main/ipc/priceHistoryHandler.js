@@ -0,0 +1,82 @@
+// IPC Handlers for price history
+// Daily prices from Breeze or BSE bhavcopies, and the per-stock chart
+
+const { ipcMain } = require('electron');
+const priceHistoryService = require('../services/priceHistoryService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all price history IPC handlers
+ */
+function registerPriceHistoryHandlers() {
+  // Get a stock's daily prices with the user's trades
+  ipcMain.handle('price-history:get-chart', async (event, sessionToken, symbol, fromDate, portfolioId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: priceHistoryService.getStockChart(validation.userId, symbol, fromDate || null, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get stock chart:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Download the days missing from a stock's history
+  ipcMain.handle('price-history:fill', async (event, sessionToken, symbol) => {
+    try {
+      console.log(`[IPC] Filling price history for ${symbol}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await priceHistoryService.fillFromBreeze(symbol)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to fill price history:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Import BSE bhavcopy files
+  ipcMain.handle('price-history:import-bhavcopy', async (event, sessionToken, filePaths) => {
+    try {
+      console.log(`[IPC] Importing ${(filePaths || []).length} bhavcopy files`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await priceHistoryService.importBhavcopies(validation.userId, filePaths || [])
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to import bhavcopy:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Price history handlers registered');
+}
+
+module.exports = { registerPriceHistoryHandlers };
@@ -0,0 +1,179 @@
+// IPC Handlers for capital gains tax data
+// Handles Section 112A grandfathered FMV records, Schedule 112A export
+// and tax-loss harvesting plans
+
+const { ipcMain } = require('electron');
+const grandfatheredFmvService = require('../services/grandfatheredFmvService');
+const schedule112AExporter = require('../services/schedule112AExporter');
+const TaxLossHarvestingService = require('../services/taxLossHarvestingService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all tax IPC handlers
+ */
+function registerTaxHandlers() {
+  // Get all grandfathered FMV records
+  ipcMain.handle('tax:get-grandfathered-fmv', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: grandfatheredFmvService.getAllFmv()
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get grandfathered FMV:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Add or update a grandfathered FMV record
+  ipcMain.handle('tax:save-grandfathered-fmv', async (event, sessionToken, isin, fmv, companyName) => {
+    try {
+      console.log(`[IPC] Saving grandfathered FMV for ${isin}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await grandfatheredFmvService.saveFmv(isin, parseFloat(fmv), companyName || null);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to save grandfathered FMV:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete a grandfathered FMV record
+  ipcMain.handle('tax:delete-grandfathered-fmv', async (event, sessionToken, isin) => {
+    try {
+      console.log(`[IPC] Deleting grandfathered FMV for ${isin}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await grandfatheredFmvService.deleteFmv(isin);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to delete grandfathered FMV:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Import grandfathered FMV records from CSV
+  ipcMain.handle('tax:import-grandfathered-fmv', async (event, sessionToken, filePath) => {
+    try {
+      console.log(`[IPC] Importing grandfathered FMV from ${filePath}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      if (!filePath) {
+        throw new Error('File path is required');
+      }
+
+      const result = await grandfatheredFmvService.importFromCSV(filePath);
+
+      return {
+        success: true,
+        data: result
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to import grandfathered FMV:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Export Schedule 112A (ITR-2) CSV for a financial year
+  ipcMain.handle('tax:export-schedule-112a', async (event, sessionToken, financialYear, filePath, portfolioId) => {
+    try {
+      console.log(`[IPC] Exporting Schedule 112A for FY ${financialYear}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      if (!financialYear) {
+        throw new Error('Financial year is required');
+      }
+
+      if (!filePath) {
+        throw new Error('File path is required');
+      }
+
+      const result = await schedule112AExporter.exportToFile(
+        validation.userId,
+        financialYear,
+        filePath,
+        portfolioId || null
+      );
+
+      return {
+        success: true,
+        data: result
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to export Schedule 112A:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Get tax-loss harvesting plan for the current financial year
+  ipcMain.handle('tax:get-harvesting-plan', async (event, sessionToken, options) => {
+    try {
+      console.log('[IPC] Building tax-loss harvesting plan');
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      const plan = TaxLossHarvestingService.getHarvestingPlan(validation.userId, options || {});
+
+      return {
+        success: true,
+        data: plan
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to build tax-loss harvesting plan:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Tax handlers registered');
+}
+
+module.exports = { registerTaxHandlers };
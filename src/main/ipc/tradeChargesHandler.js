@@ -0,0 +1,97 @@
+// IPC Handlers for brokerage plans and trade charges
+
+const { ipcMain } = require('electron');
+const tradeChargesService = require('../services/tradeChargesService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all trade charges IPC handlers
+ */
+function registerTradeChargesHandlers() {
+  // Get the user's brokerage plans
+  ipcMain.handle('charges:get-plans', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: tradeChargesService.getPlans(validation.userId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get brokerage plans:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Add or update a brokerage plan
+  ipcMain.handle('charges:save-plan', async (event, sessionToken, plan) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await tradeChargesService.savePlan(validation.userId, plan)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to save brokerage plan:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete a brokerage plan
+  ipcMain.handle('charges:delete-plan', async (event, sessionToken, id) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await tradeChargesService.deletePlan(validation.userId, id);
+
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Failed to delete brokerage plan:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Calculate the charges on a trade
+  ipcMain.handle('charges:calculate', async (event, sessionToken, trade) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: tradeChargesService.calculateCharges(validation.userId, trade)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to calculate trade charges:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Trade charges handlers registered');
+}
+
+module.exports = { registerTradeChargesHandlers };
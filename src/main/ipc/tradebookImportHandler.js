@@ -0,0 +1,124 @@
+// IPC Handlers for broker tradebook import
+// Previews a tradebook CSV as a dry run, then imports the confirmed trades
+
+const { ipcMain } = require('electron');
+const tradebookImportService = require('../services/tradebookImportService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all tradebook import IPC handlers
+ */
+function registerTradebookImportHandlers() {
+  // Get the broker profiles
+  ipcMain.handle('tradebook:get-profiles', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: tradebookImportService.getProfiles()
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get tradebook profiles:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Get the column headers of a tradebook, for a generic mapping
+  ipcMain.handle('tradebook:get-headers', async (event, sessionToken, filePath) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      if (!filePath) {
+        throw new Error('File path is required');
+      }
+
+      return {
+        success: true,
+        data: tradebookImportService.getHeaders(filePath)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to read tradebook headers:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Dry-run a tradebook import
+  ipcMain.handle('tradebook:preview', async (event, sessionToken, filePath, profile, mapping, portfolioId) => {
+    try {
+      console.log(`[IPC] Previewing tradebook import from ${filePath}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      if (!filePath) {
+        throw new Error('File path is required');
+      }
+
+      return {
+        success: true,
+        data: tradebookImportService.previewImport(validation.userId, filePath, profile, mapping || {}, portfolioId || null)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to preview tradebook import:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Import the trades confirmed in the preview
+  ipcMain.handle('tradebook:import', async (event, sessionToken, filePath, profile, mapping, keys, portfolioId) => {
+    try {
+      console.log(`[IPC] Importing tradebook from ${filePath}`);
+
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      if (!filePath) {
+        throw new Error('File path is required');
+      }
+
+      const result = await tradebookImportService.importTrades(
+        validation.userId,
+        filePath,
+        profile,
+        mapping || {},
+        Array.isArray(keys) ? keys : null,
+        portfolioId || null
+      );
+
+      return {
+        success: true,
+        data: result
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to import tradebook:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Tradebook import handlers registered');
+}
+
+module.exports = { registerTradebookImportHandlers };
@@ -0,0 +1,214 @@
+// IPC Handlers for watchlists
+// Named lists of stocks followed with live quotes, 52-week ranges and
+// target buy prices
+
+const { ipcMain } = require('electron');
+const watchlistService = require('../services/watchlistService');
+const authenticationService = require('../auth/authenticationService');
+
+/**
+ * Register all watchlist IPC handlers
+ */
+function registerWatchlistHandlers() {
+  // List the user's watchlists
+  ipcMain.handle('watchlists:get-all', async (event, sessionToken) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: watchlistService.getWatchlists(validation.userId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get watchlists:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Create a watchlist
+  ipcMain.handle('watchlists:create', async (event, sessionToken, name) => {
+    try {
+      console.log(`[IPC] Creating watchlist ${name}`);
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await watchlistService.createWatchlist(validation.userId, name)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to create watchlist:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Rename a watchlist
+  ipcMain.handle('watchlists:rename', async (event, sessionToken, watchlistId, name) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await watchlistService.renameWatchlist(validation.userId, watchlistId, name);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to rename watchlist:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Delete a watchlist and its stocks
+  ipcMain.handle('watchlists:delete', async (event, sessionToken, watchlistId) => {
+    try {
+      console.log(`[IPC] Deleting watchlist ${watchlistId}`);
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await watchlistService.deleteWatchlist(validation.userId, watchlistId);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to delete watchlist:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Get a watchlist with cached quotes
+  ipcMain.handle('watchlists:get-quotes', async (event, sessionToken, watchlistId) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: watchlistService.getWatchlistQuotes(validation.userId, watchlistId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to get watchlist quotes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Fetch fresh quotes and 52-week ranges from Breeze
+  ipcMain.handle('watchlists:refresh', async (event, sessionToken, watchlistId) => {
+    try {
+      console.log(`[IPC] Refreshing watchlist ${watchlistId}`);
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await watchlistService.refreshWatchlist(validation.userId, watchlistId)
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to refresh watchlist:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Add a stock to a watchlist
+  ipcMain.handle('watchlists:add-item', async (event, sessionToken, watchlistId, stock) => {
+    try {
+      console.log(`[IPC] Adding ${stock && stock.symbol} to watchlist ${watchlistId}`);
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      return {
+        success: true,
+        data: await watchlistService.addItem(validation.userId, watchlistId, stock || {})
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to add watchlist item:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Update a stock's target buy price and notes
+  ipcMain.handle('watchlists:update-item', async (event, sessionToken, itemId, updates) => {
+    try {
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await watchlistService.updateItem(validation.userId, itemId, updates || {});
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to update watchlist item:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // Remove a stock from its watchlist
+  ipcMain.handle('watchlists:remove-item', async (event, sessionToken, itemId) => {
+    try {
+      console.log(`[IPC] Removing watchlist item ${itemId}`);
+      const validation = authenticationService.validateSession(sessionToken);
+      if (!validation.valid) {
+        throw new Error('Invalid session');
+      }
+
+      await watchlistService.removeItem(validation.userId, itemId);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Failed to remove watchlist item:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  console.log('[IPC] Watchlist handlers registered');
+}
+
+module.exports = { registerWatchlistHandlers };
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, Menu, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, dialog, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs');
 
@@ -39,8 +39,65 @@ const { registerTransactionEditingHandlers } = require('./ipc/transactionEditing
 // Import stock age histogram components
 const { registerStockAgeHistogramHandlers } = require('./ipc/stockAgeHistogramHandler');
 
-// Import mutual fund components (disabled for v1.0.0)
-// const { registerMutualFundHandlers } = require('./ipc/mutualFundHandler');
+// Import tax components
+const { registerTaxHandlers } = require('./ipc/taxHandler');
+
+// Import corporate action components
+const { registerCorporateActionHandlers } = require('./ipc/corporateActionHandler');
+
+// Import dividend components
+const { registerDividendHandlers } = require('./ipc/dividendHandler');
+
+// Import portfolio history components
+const { registerPortfolioHistoryHandlers } = require('./ipc/portfolioHistoryHandler');
+
+// Import benchmark components
+const { registerBenchmarkHandlers } = require('./ipc/benchmarkHandler');
+
+// Import tradebook import components
+const tradebookImportService = require('./services/tradebookImportService');
+const mutualFundDisclosureService = require('./services/mutualFundDisclosureService');
+const { registerTradebookImportHandlers } = require('./ipc/tradebookImportHandler');
+
+// Import broker sync components
+const { registerBrokerSyncHandlers } = require('./ipc/brokerSyncHandler');
+
+// Import CAS import components
+const { registerCasImportHandlers } = require('./ipc/casImportHandler');
+
+// Import trade charges components
+const { registerTradeChargesHandlers } = require('./ipc/tradeChargesHandler');
+
+// Import portfolio components
+const { registerPortfolioHandlers } = require('./ipc/portfolioHandler');
+
+// Import cash ledger components
+const { registerCashLedgerHandlers } = require('./ipc/cashLedgerHandler');
+
+// Import watchlist components
+const { registerWatchlistHandlers } = require('./ipc/watchlistHandler');
+const watchlistService = require('./services/watchlistService');
+
+// Import price alert components
+const { registerAlertHandlers } = require('./ipc/alertHandler');
+const alertService = require('./services/alertService');
+
+// Import holding level components
+const { registerHoldingLevelHandlers } = require('./ipc/holdingLevelHandler');
+const holdingLevelService = require('./services/holdingLevelService');
+
+// Import price history components
+const { registerPriceHistoryHandlers } = require('./ipc/priceHistoryHandler');
+
+// Import holding overlap components
+const { registerHoldingOverlapHandlers } = require('./ipc/holdingOverlapHandler');
+
+// Import mutual fund components
+const { registerMutualFundHandlers } = require('./ipc/mutualFundHandler');
+
+// Import allocation rule components
+const { registerAllocationRuleHandlers } = require('./ipc/allocationRuleHandler');
+const allocationRuleService = require('./services/allocationRuleService');
 
 // Initialize Stock Lookup Service (singleton)
 const stockLookupService = new StockLookupService();
@@ -77,6 +134,22 @@ async function createWindow() {
     console.error('Failed to initialize price manager:', error);
   }
 
+  // Add watchlist symbols to the price auto-update schedule
+  try {
+    const watchedSymbols = watchlistService.syncPriceManager();
+    console.log(`Watching ${watchedSymbols.length} watchlist symbols`);
+  } catch (error) {
+    console.error('Failed to load watchlist symbols:', error);
+  }
+
+  // Add price alert symbols to the price auto-update schedule
+  try {
+    const alertSymbols = alertService.syncPriceManager();
+    console.log(`Watching ${alertSymbols.length} price alert symbols`);
+  } catch (error) {
+    console.error('Failed to load price alert symbols:', error);
+  }
+
   // Load BSE Scrip Master data
   try {
     console.log('Loading BSE Scrip Master data...');
@@ -102,6 +175,14 @@ async function createWindow() {
       stockImporter.setStockLookupService(stockLookupService);
       console.log('✓ Stock lookup service injected into stock importer');
 
+      // Inject stock lookup service into tradebook importer
+      tradebookImportService.setStockLookupService(stockLookupService);
+      console.log('✓ Stock lookup service injected into tradebook importer');
+
+      // Inject stock lookup service into the mutual fund disclosure importer
+      mutualFundDisclosureService.setStockLookupService(stockLookupService);
+      console.log('✓ Stock lookup service injected into disclosure importer');
+
       // Run BSE database migration to add fields and populate data
       try {
         await databaseManager.runBseMigration(stockLookupService);
@@ -126,9 +207,59 @@ async function createWindow() {
   // Register stock age histogram IPC handlers
   registerStockAgeHistogramHandlers();
 
+  // Register tax IPC handlers
+  registerTaxHandlers();
+
+  // Register corporate action IPC handlers
+  registerCorporateActionHandlers();
+
+  // Register dividend IPC handlers
+  registerDividendHandlers();
+
+  // Register portfolio history IPC handlers
+  registerPortfolioHistoryHandlers();
+
+  // Register benchmark IPC handlers
+  registerBenchmarkHandlers();
+
+  // Register tradebook import IPC handlers
+  registerTradebookImportHandlers();
+
+  // Register broker sync IPC handlers
+  registerBrokerSyncHandlers();
+
+  // Register CAS import IPC handlers
+  registerCasImportHandlers();
+
+  // Register trade charges IPC handlers
+  registerTradeChargesHandlers();
+
+  // Register portfolio IPC handlers
+  registerPortfolioHandlers();
+
+  // Register cash ledger IPC handlers
+  registerCashLedgerHandlers();
+
+  // Register watchlist IPC handlers
+  registerWatchlistHandlers();
+
+  // Register price alert IPC handlers
+  registerAlertHandlers();
+
+  // Register holding level IPC handlers
+  registerHoldingLevelHandlers();
+
+  // Register price history IPC handlers
+  registerPriceHistoryHandlers();
+
+  // Register holding overlap IPC handlers
+  registerHoldingOverlapHandlers();
+
   // Register mutual fund IPC handlers
-  // TODO: Uncomment when mutual fund UI is ready
-  // registerMutualFundHandlers();
+  registerMutualFundHandlers();
+
+  // Register allocation rule IPC handlers
+  registerAllocationRuleHandlers();
 
   // Load and initialize Breeze API credentials if available
   try {
@@ -459,7 +590,15 @@ ipcMain.handle('auth:create-user', async (event, username, password) => {
 
 ipcMain.handle('auth:login', async (event, username, password) => {
   try {
-    return await authenticationService.login(username, password);
+    const result = await authenticationService.login(username, password);
+
+    // Rules are only re-checked for the signed-in user, so catch up on the
+    // breaches that started while this user was signed out
+    allocationRuleService.evaluateAll([result.user.id])
+      .then(broadcastAllocationBreaches)
+      .catch(error => console.error('Failed to broadcast allocation rule breaches:', error));
+
+    return result;
   } catch (error) {
     console.error('Failed to login:', error);
     throw error;
@@ -640,7 +779,8 @@ ipcMain.handle('transactions:add', async (event, sessionToken, transaction) => {
         transaction.quantity,
         transaction.price,
         transaction.transactionDate,
-        transaction.notes
+        transaction.notes,
+        { charges: transaction.charges, stt: transaction.stt, portfolioId: transaction.portfolioId }
       );
     } else if (transaction.type === 'sell') {
       return await transactionManager.addSellTransaction(
@@ -649,7 +789,8 @@ ipcMain.handle('transactions:add', async (event, sessionToken, transaction) => {
         transaction.quantity,
         transaction.price,
         transaction.transactionDate,
-        transaction.notes
+        transaction.notes,
+        { charges: transaction.charges, stt: transaction.stt, portfolioId: transaction.portfolioId }
       );
     } else {
       throw new Error('Invalid transaction type');
@@ -716,14 +857,14 @@ ipcMain.handle('transactions:get-by-id', async (event, sessionToken, transaction
   }
 });
 
-ipcMain.handle('transactions:get-portfolio-summary', async (event, sessionToken) => {
+ipcMain.handle('transactions:get-portfolio-summary', async (event, sessionToken, portfolioId) => {
   try {
     const validation = authenticationService.validateSession(sessionToken);
     if (!validation.valid) {
       throw new Error('Invalid session');
     }
 
-    return transactionManager.getPortfolioSummary(validation.userId);
+    return transactionManager.getPortfolioSummary(validation.userId, portfolioId || null);
   } catch (error) {
     console.error('Failed to get portfolio summary:', error);
     throw error;
@@ -1021,112 +1162,112 @@ ipcMain.handle('prices:get-market-hours', async (event, sessionToken) => {
 });
 
 // Portfolio IPC handlers
-ipcMain.handle('portfolio:get-with-gains', async (event, sessionToken) => {
+ipcMain.handle('portfolio:get-with-gains', async (event, sessionToken, portfolioId) => {
   try {
     const validation = authenticationService.validateSession(sessionToken);
     if (!validation.valid) {
       throw new Error('Invalid session');
     }
 
-    return portfolioCalculator.getPortfolioWithGains(validation.userId);
+    return portfolioCalculator.getPortfolioWithGains(validation.userId, portfolioId || null);
   } catch (error) {
     console.error('Failed to get portfolio with gains:', error);
     throw error;
   }
 });
 
-ipcMain.handle('portfolio:get-sector-breakdown', async (event, sessionToken) => {
+ipcMain.handle('portfolio:get-sector-breakdown', async (event, sessionToken, portfolioId) => {
   try {
     const validation = authenticationService.validateSession(sessionToken);
     if (!validation.valid) {
       throw new Error('Invalid session');
     }
 
-    return portfolioCalculator.getSectorBreakdown(validation.userId);
+    return portfolioCalculator.getSectorBreakdown(validation.userId, portfolioId || null);
   } catch (error) {
     console.error('Failed to get sector breakdown:', error);
     throw error;
   }
 });
 
-ipcMain.handle('portfolio:get-allocation', async (event, sessionToken) => {
+ipcMain.handle('portfolio:get-allocation', async (event, sessionToken, portfolioId) => {
   try {
     const validation = authenticationService.validateSession(sessionToken);
     if (!validation.valid) {
       throw new Error('Invalid session');
     }
 
-    return portfolioCalculator.getPortfolioAllocation(validation.userId);
+    return portfolioCalculator.getPortfolioAllocation(validation.userId, portfolioId || null);
   } catch (error) {
     console.error('Failed to get portfolio allocation:', error);
     throw error;
   }
 });
 
-ipcMain.handle('portfolio:get-top-gainers', async (event, sessionToken, limit) => {
+ipcMain.handle('portfolio:get-top-gainers', async (event, sessionToken, limit, portfolioId) => {
   try {
     const validation = authenticationService.validateSession(sessionToken);
     if (!validation.valid) {
       throw new Error('Invalid session');
     }
 
-    return portfolioCalculator.getTopGainers(validation.userId, limit || 5);
+    return portfolioCalculator.getTopGainers(validation.userId, limit || 5, portfolioId || null);
   } catch (error) {
     console.error('Failed to get top gainers:', error);
     throw error;
   }
 });
 
-ipcMain.handle('portfolio:get-top-losers', async (event, sessionToken, limit) => {
+ipcMain.handle('portfolio:get-top-losers', async (event, sessionToken, limit, portfolioId) => {
   try {
     const validation = authenticationService.validateSession(sessionToken);
     if (!validation.valid) {
       throw new Error('Invalid session');
     }
 
-    return portfolioCalculator.getTopLosers(validation.userId, limit || 5);
+    return portfolioCalculator.getTopLosers(validation.userId, limit || 5, portfolioId || null);
   } catch (error) {
     console.error('Failed to get top losers:', error);
     throw error;
   }
 });
 
-ipcMain.handle('portfolio:get-realized-gains', async (event, sessionToken, financialYear) => {
+ipcMain.handle('portfolio:get-realized-gains', async (event, sessionToken, financialYear, portfolioId) => {
   try {
     const validation = authenticationService.validateSession(sessionToken);
     if (!validation.valid) {
       throw new Error('Invalid session');
     }
 
-    return portfolioCalculator.getRealizedGainsByYear(validation.userId, financialYear);
+    return portfolioCalculator.getRealizedGainsByYear(validation.userId, financialYear, portfolioId || null);
   } catch (error) {
     console.error('Failed to get realized gains:', error);
     throw error;
   }
 });
 
-ipcMain.handle('portfolio:get-performance-metrics', async (event, sessionToken) => {
+ipcMain.handle('portfolio:get-performance-metrics', async (event, sessionToken, portfolioId) => {
   try {
     const validation = authenticationService.validateSession(sessionToken);
     if (!validation.valid) {
       throw new Error('Invalid session');
     }
 
-    return portfolioCalculator.getPerformanceMetrics(validation.userId);
+    return portfolioCalculator.getPerformanceMetrics(validation.userId, portfolioId || null);
   } catch (error) {
     console.error('Failed to get performance metrics:', error);
     throw error;
   }
 });
 
-ipcMain.handle('portfolio:get-dashboard-summary', async (event, sessionToken) => {
+ipcMain.handle('portfolio:get-dashboard-summary', async (event, sessionToken, portfolioId) => {
   try {
     const validation = authenticationService.validateSession(sessionToken);
     if (!validation.valid) {
       throw new Error('Invalid session');
     }
 
-    return portfolioCalculator.getDashboardSummary(validation.userId);
+    return portfolioCalculator.getDashboardSummary(validation.userId, portfolioId || null);
   } catch (error) {
     console.error('Failed to get dashboard summary:', error);
     throw error;
@@ -1183,6 +1324,82 @@ priceManager.on('updateError', (error) => {
   }
 });
 
+// Check the signed-in user's price alerts against each batch of new prices
+priceManager.on('pricesUpdated', async (quotes) => {
+  try {
+    const userId = authenticationService.getSessionUserId();
+    if (!userId) {
+      return;
+    }
+
+    const fired = await alertService.evaluateAlerts(userId, quotes);
+    if (fired.length === 0) {
+      return;
+    }
+
+    if (alertService.getNotificationsEnabled(userId) && Notification.isSupported()) {
+      for (const alert of fired) {
+        new Notification({ title: alert.title, body: alert.message }).show();
+      }
+    }
+
+    if (mainWindow && mainWindow.webContents) {
+      mainWindow.webContents.send('alert-triggered', fired);
+    }
+  } catch (error) {
+    console.error('Failed to check price alerts:', error);
+  }
+});
+
+// Check every user's holding levels against each batch of new prices, so a
+// breach is dated when it happens rather than when its owner next looks
+priceManager.on('pricesUpdated', async () => {
+  try {
+    await holdingLevelService.checkAllLevels();
+  } catch (error) {
+    console.error('Failed to check holding levels:', error);
+  }
+});
+
+/**
+ * Tell the renderer about the signed-in user's re-checked allocation rules
+ * and notify their new breaches
+ * @param {Array} evaluated - [{ userId, breachCount, newBreaches }]
+ */
+function broadcastAllocationBreaches(evaluated) {
+  const userId = authenticationService.getSessionUserId();
+  const own = evaluated.filter(result => result.userId === userId);
+  const newBreaches = [].concat(...own.map(result => result.newBreaches));
+
+  if (newBreaches.length > 0 && alertService.getNotificationsEnabled(userId) && Notification.isSupported()) {
+    for (const breach of newBreaches) {
+      new Notification({
+        title: `Allocation rule breached: ${breach.label}`,
+        body: `${breach.subjectName} is ${breach.actualPercent.toFixed(2)}% of the portfolio`
+      }).show();
+    }
+  }
+
+  if (own.length > 0 && mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send('allocation-rules-evaluated', own);
+  }
+}
+
+// Re-check the signed-in user's allocation rules against each batch of new
+// prices; other users' rules are checked when they sign in
+priceManager.on('pricesUpdated', async () => {
+  try {
+    const userId = authenticationService.getSessionUserId();
+    if (!userId) {
+      return;
+    }
+
+    broadcastAllocationBreaches(await allocationRuleService.evaluateAll([userId]));
+  } catch (error) {
+    console.error('Failed to broadcast allocation rule breaches:', error);
+  }
+});
+
 // Portfolio update event broadcasting
 transactionManager.on('portfolioUpdate', (data) => {
   if (mainWindow && mainWindow.webContents) {
@@ -1190,6 +1407,15 @@ transactionManager.on('portfolioUpdate', (data) => {
   }
 });
 
+// Re-check the user's allocation rules after each transaction
+transactionManager.on('portfolioUpdate', async (data) => {
+  try {
+    broadcastAllocationBreaches(await allocationRuleService.evaluateAll([data.userId]));
+  } catch (error) {
+    console.error('Failed to broadcast allocation rule breaches:', error);
+  }
+});
+
 // BSE Data Status IPC handler
 ipcMain.handle('bse:get-status', async (event) => {
   try {
@@ -6,16 +6,29 @@
 const databaseManager = require('../database/index');
 const transactionManager = require('../transactions/transactionManager');
 const priceManager = require('../api/priceManager');
+const dividendService = require('../services/dividendService');
+const cashLedgerService = require('../services/cashLedgerService');
+const holdingLevelService = require('../services/holdingLevelService');
+const allocationRuleService = require('../services/allocationRuleService');
 const UnrealizedGainsCalculator = require('../../utils/calculations/unrealizedGains');
+const XirrCalculator = require('../../utils/calculations/xirr');
+const {
+  calculateTaxByRegime,
+  isGrandfatheringEligible,
+  calculateGrandfatheredCost
+} = require('../../utils/calculations/taxRules');
+const { describeLevels } = holdingLevelService;
 
 class PortfolioCalculator {
   /**
    * Get complete portfolio with unrealized gains
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
    */
-  static getPortfolioWithGains(userId) {
+  static getPortfolioWithGains(userId, portfolioId = null) {
     try {
       // Get portfolio summary from transaction manager
-      const summary = transactionManager.getPortfolioSummary(userId);
+      const summary = transactionManager.getPortfolioSummary(userId, portfolioId);
 
       if (summary.holdings.length === 0) {
         return {
@@ -28,6 +41,8 @@ class PortfolioCalculator {
           lossCount: 0,
           breakevenCount: 0,
           holdingCount: 0,
+          // Fully sold portfolios still have a realised return
+          xirr: this.calculateXirr(userId, [], portfolioId).portfolio,
           lastUpdated: new Date().toISOString()
         };
       }
@@ -63,9 +78,22 @@ class PortfolioCalculator {
 
       // Calculate unrealized gains
       const gains = UnrealizedGainsCalculator.calculatePortfolioGains(enrichedHoldings);
+      const xirr = this.calculateXirr(userId, gains.holdings, portfolioId);
+      const levels = holdingLevelService.getLevels(userId);
+      // Rules are checked across all accounts, as of the last evaluation
+      const allocationBreaches = allocationRuleService.getBreaches(userId);
 
       return {
         ...gains,
+        holdings: gains.holdings.map(h => ({
+          ...h,
+          xirr: xirr.byStock.has(h.id) ? xirr.byStock.get(h.id) : null,
+          // Distances only mean something against a real quote
+          ...describeLevels(priceMap[h.symbol] || null, levels.get(h.id) || null),
+          ruleBreaches: allocationBreaches.filter(breach => breach.stockId === h.id)
+        })),
+        allocationBreaches,
+        xirr: xirr.portfolio,
         lastUpdated: new Date().toISOString(),
         pricesAsOf: oldestPriceDate ? oldestPriceDate.toISOString() : null
       };
@@ -75,12 +103,100 @@ class PortfolioCalculator {
     }
   }
 
+  /**
+   * Calculate XIRR per stock and for the whole portfolio
+   * Buys are outflows and sells and dividends inflows on their dates, net of
+   * charges and STT; the current value of what is still held is the final
+   * inflow today. A demerger moves cost_ratio of the cost of the parent's
+   * open lots, and so of their buy outflows, to the resulting stock. Sold
+   * stocks stay in the portfolio figure. When the cash ledger paid for every
+   * trade, the portfolio figure uses deposits and withdrawals instead, with
+   * uninvested cash counted in the final value.
+   * @param {number} userId - User ID
+   * @param {Array} holdings - Current holdings with id and currentValue
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
+   * @returns {Object} { portfolio, byStock } with annual return percentages
+   */
+  static calculateXirr(userId, holdings, portfolioId = null) {
+    const transactions = databaseManager.getAll(
+      `SELECT stock_id, transaction_type, quantity, price, COALESCE(charges, 0) + COALESCE(stt, 0) as charges,
+              transaction_date
+       FROM transactions
+       WHERE user_id = ? ${portfolioId ? 'AND portfolio_id = ?' : ''}`,
+      portfolioId ? [userId, portfolioId] : [userId]
+    );
+
+    const flowsByStock = new Map();
+    const addFlow = (stockId, date, amount) => {
+      if (!flowsByStock.has(stockId)) {
+        flowsByStock.set(stockId, []);
+      }
+      flowsByStock.get(stockId).push({ date, amount });
+    };
+
+    transactions.forEach(t => {
+      const value = t.quantity * t.price;
+      addFlow(
+        t.stock_id,
+        t.transaction_date,
+        t.transaction_type === 'BUY' ? -(value + t.charges) : value - t.charges
+      );
+    });
+
+    const demergers = databaseManager.getAll(
+      `SELECT stock_id, resulting_stock_id, cost_ratio, ex_date
+       FROM corporate_actions
+       WHERE action_type = 'DEMERGER'
+       ORDER BY ex_date ASC, id ASC`
+    );
+
+    demergers
+      .filter(demerger => flowsByStock.has(demerger.stock_id))
+      .forEach(demerger => {
+        transactionManager.getLotsBefore(userId, demerger.stock_id, demerger.ex_date, portfolioId).forEach(lot => {
+          const moved = (lot.price + (lot.chargePerShare || 0)) * lot.availableQuantity * demerger.cost_ratio;
+          if (moved > 0) {
+            addFlow(demerger.stock_id, lot.date, moved);
+            addFlow(demerger.resulting_stock_id, lot.date, -moved);
+          }
+        });
+      });
+
+    const dividends = portfolioId
+      ? cashLedgerService.getPortfolioDividends(userId, portfolioId)
+      : dividendService.getDividends(userId);
+    dividends.forEach(d => {
+      addFlow(d.stock_id, d.payment_date || d.record_date, d.gross_amount);
+    });
+
+    const today = new Date().toISOString().split('T')[0];
+    holdings.forEach(h => addFlow(h.id, today, h.currentValue));
+
+    const byStock = new Map();
+    holdings.forEach(h => {
+      byStock.set(h.id, XirrCalculator.calculateXIRR(flowsByStock.get(h.id)));
+    });
+
+    const cash = cashLedgerService.getExternalFlows(userId, portfolioId);
+    const allFlows = cash.funded
+      ? [
+        ...cash.flows,
+        { date: today, amount: holdings.reduce((sum, h) => sum + h.currentValue, 0) + cash.balance }
+      ]
+      : [].concat(...flowsByStock.values());
+
+    return {
+      portfolio: XirrCalculator.calculateXIRR(allFlows),
+      byStock
+    };
+  }
+
   /**
    * Get sector-wise portfolio breakdown
    */
-  static getSectorBreakdown(userId) {
+  static getSectorBreakdown(userId, portfolioId = null) {
     try {
-      const portfolio = this.getPortfolioWithGains(userId);
+      const portfolio = this.getPortfolioWithGains(userId, portfolioId);
 
       if (portfolio.holdings.length === 0) {
         return [];
@@ -96,9 +212,9 @@ class PortfolioCalculator {
   /**
    * Get portfolio allocation
    */
-  static getPortfolioAllocation(userId) {
+  static getPortfolioAllocation(userId, portfolioId = null) {
     try {
-      const portfolio = this.getPortfolioWithGains(userId);
+      const portfolio = this.getPortfolioWithGains(userId, portfolioId);
 
       if (portfolio.holdings.length === 0) {
         return [];
@@ -114,9 +230,9 @@ class PortfolioCalculator {
   /**
    * Get top gainers
    */
-  static getTopGainers(userId, limit = 5) {
+  static getTopGainers(userId, limit = 5, portfolioId = null) {
     try {
-      const portfolio = this.getPortfolioWithGains(userId);
+      const portfolio = this.getPortfolioWithGains(userId, portfolioId);
       return UnrealizedGainsCalculator.getTopGainers(portfolio.holdings, limit);
     } catch (error) {
       console.error('Failed to get top gainers:', error);
@@ -127,9 +243,9 @@ class PortfolioCalculator {
   /**
    * Get top losers
    */
-  static getTopLosers(userId, limit = 5) {
+  static getTopLosers(userId, limit = 5, portfolioId = null) {
     try {
-      const portfolio = this.getPortfolioWithGains(userId);
+      const portfolio = this.getPortfolioWithGains(userId, portfolioId);
       return UnrealizedGainsCalculator.getTopLosers(portfolio.holdings, limit);
     } catch (error) {
       console.error('Failed to get top losers:', error);
@@ -139,8 +255,11 @@ class PortfolioCalculator {
 
   /**
    * Get realized gains for a financial year
+   * @param {number} userId - User ID
+   * @param {string} financialYear - e.g. "2024-25" or "FY 2024-25"
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
    */
-  static getRealizedGainsByYear(userId, financialYear) {
+  static getRealizedGainsByYear(userId, financialYear, portfolioId = null) {
     try {
       if (!financialYear) {
         throw new Error('Financial year is required');
@@ -161,14 +280,17 @@ class PortfolioCalculator {
 
       // Get realized gains for the period
       const gains = databaseManager.getAll(
-        `SELECT rg.*
+        `SELECT rg.*, COALESCE(s.isin, s.isin_code) as isin, s.company_name, gf.fmv as isin_fmv
          FROM realized_gains rg
+         LEFT JOIN stocks s ON s.symbol = rg.symbol
+         LEFT JOIN grandfathered_fmv gf ON gf.isin = COALESCE(s.isin, s.isin_code)
          WHERE rg.user_id = ? 
          AND rg.sell_date >= ? 
          AND rg.sell_date <= ?
+         ${portfolioId ? 'AND rg.portfolio_id = ?' : ''}
          ORDER BY rg.sell_date DESC`,
-        [userId, startDate.toISOString(), endDate.toISOString()]
-      );
+        [userId, startDate.toISOString(), endDate.toISOString(), ...(portfolioId ? [portfolioId] : [])]
+      ).map(gain => this.applyGrandfatheringToGain(gain));
 
       // Group by classification
       const stcg = gains.filter(g => g.gain_type === 'STCG');
@@ -178,11 +300,16 @@ class PortfolioCalculator {
       const stcgTotal = stcg.reduce((sum, g) => sum + (g.gain_amount || 0), 0);
       const ltcgTotal = ltcg.reduce((sum, g) => sum + (g.gain_amount || 0), 0);
 
-      // Calculate tax
-      const stcgTax = stcgTotal > 0 ? stcgTotal * 0.20 : 0; // 20% tax
-      const ltcgExemption = 100000; // ₹1 lakh exemption
-      const ltcgTaxable = Math.max(0, ltcgTotal - ltcgExemption);
-      const ltcgTax = ltcgTaxable > 0 ? ltcgTaxable * 0.10 : 0; // 10% tax
+      // Calculate tax using the rules in force on each sell date
+      const { regimes, totals } = calculateTaxByRegime(
+        gains.map(g => ({
+          sellDate: g.sell_date,
+          classification: g.gain_type,
+          amount: g.gain_amount || 0
+        })),
+        financialYear
+      );
+      const currentRegime = regimes[regimes.length - 1];
 
       return {
         financialYear,
@@ -194,22 +321,23 @@ class PortfolioCalculator {
           gains: stcg,
           total: stcgTotal,
           count: stcg.length,
-          taxRate: 0.20,
-          estimatedTax: stcgTax
+          taxRate: currentRegime.stcgRate,
+          estimatedTax: totals.stcgTax
         },
         ltcg: {
           gains: ltcg,
           total: ltcgTotal,
           count: ltcg.length,
-          exemption: ltcgExemption,
-          taxable: ltcgTaxable,
-          taxRate: 0.10,
-          estimatedTax: ltcgTax
+          exemption: totals.ltcgExemption,
+          taxable: totals.taxableLTCG,
+          taxRate: currentRegime.ltcgRate,
+          estimatedTax: totals.ltcgTax
         },
+        regimes,
         summary: {
           totalGains: stcgTotal + ltcgTotal,
-          totalTax: stcgTax + ltcgTax,
-          netGains: (stcgTotal + ltcgTotal) - (stcgTax + ltcgTax)
+          totalTax: totals.estimatedTax,
+          netGains: (stcgTotal + ltcgTotal) - totals.estimatedTax
         }
       };
     } catch (error) {
@@ -218,53 +346,94 @@ class PortfolioCalculator {
     }
   }
 
+  /**
+   * Apply Section 112A grandfathering to a realized gain row
+   * Rows recorded before the FMV was on file are adjusted using the current FMV table
+   */
+  static applyGrandfatheringToGain(gain) {
+    if (gain.grandfathered_cost != null) {
+      return gain;
+    }
+
+    const eligible = gain.gain_type === 'LTCG' &&
+      gain.isin_fmv > 0 &&
+      isGrandfatheringEligible(gain.buy_date);
+
+    if (!eligible) {
+      return gain;
+    }
+
+    const actualCostPrice = gain.buy_price + (gain.buy_charges || 0) / gain.quantity;
+    const grandfatheredCost = calculateGrandfatheredCost(actualCostPrice, gain.isin_fmv, gain.sell_price);
+
+    return {
+      ...gain,
+      fmv_31jan2018: gain.isin_fmv,
+      grandfathered_cost: grandfatheredCost,
+      gain_amount: gain.gain_amount - (grandfatheredCost - actualCostPrice) * gain.quantity
+    };
+  }
+
   /**
    * Get portfolio performance metrics
+   * Total return includes dividends received on current holdings; XIRR is
+   * the money-weighted annual return from dated cash flows. A single
+   * account's dividends are its share of each one by shares held.
    */
-  static getPerformanceMetrics(userId) {
+  static getPerformanceMetrics(userId, portfolioId = null) {
     try {
-      const portfolio = this.getPortfolioWithGains(userId);
+      const portfolio = this.getPortfolioWithGains(userId, portfolioId);
 
       if (portfolio.holdings.length === 0) {
         return {
           totalReturn: 0,
           totalReturnPercent: 0,
-          averageReturn: 0,
-          volatility: 0,
-          sharpeRatio: 0,
-          holdingCount: 0
+          dividendIncome: 0,
+          xirr: portfolio.xirr,
+          holdingCount: 0,
+          holdings: []
         };
       }
 
-      // Calculate average return
-      const averageReturn = portfolio.holdings.length > 0
-        ? portfolio.holdings.reduce((sum, h) => sum + (h.gainLossPercent || 0), 0) / portfolio.holdings.length
-        : 0;
-
-      // Calculate volatility (standard deviation of returns)
-      const variance = portfolio.holdings.length > 0
-        ? portfolio.holdings.reduce((sum, h) => {
-            const diff = (h.gainLossPercent || 0) - averageReturn;
-            return sum + (diff * diff);
-          }, 0) / portfolio.holdings.length
-        : 0;
-      const volatility = Math.sqrt(variance);
-
-      // Simplified Sharpe Ratio (assuming 6% risk-free rate)
-      const riskFreeRate = 6;
-      const sharpeRatio = volatility > 0
-        ? (averageReturn - riskFreeRate) / volatility
-        : 0;
+      // Per-holding total return: unrealized gain plus gross dividends received
+      const dividendTotals = portfolioId
+        ? cashLedgerService.getPortfolioDividends(userId, portfolioId).reduce((totals, d) => {
+          const gross = totals[d.stock_id] ? totals[d.stock_id].gross : 0;
+          totals[d.stock_id] = { gross: gross + d.gross_amount };
+          return totals;
+        }, {})
+        : dividendService.getTotalsByStock(userId);
+      const holdings = portfolio.holdings.map(h => {
+        const dividendIncome = dividendTotals[h.id] ? dividendTotals[h.id].gross : 0;
+        const totalReturn = h.gainLoss + dividendIncome;
+
+        return {
+          symbol: h.symbol,
+          name: h.name,
+          totalCost: h.totalCost,
+          currentValue: h.currentValue,
+          gainLoss: h.gainLoss,
+          dividendIncome,
+          totalReturn,
+          totalReturnPercent: h.totalCost > 0 ? (totalReturn / h.totalCost) * 100 : 0,
+          xirr: h.xirr
+        };
+      });
+
+      const dividendIncome = holdings.reduce((sum, h) => sum + h.dividendIncome, 0);
+      const totalReturn = portfolio.totalGainLoss + dividendIncome;
 
       return {
-        totalReturn: portfolio.totalGainLoss,
-        totalReturnPercent: portfolio.totalGainLossPercent,
-        averageReturn,
-        volatility,
-        sharpeRatio,
+        totalReturn,
+        totalReturnPercent: portfolio.totalInvestment > 0
+          ? (totalReturn / portfolio.totalInvestment) * 100
+          : 0,
+        dividendIncome,
+        xirr: portfolio.xirr,
         holdingCount: portfolio.holdingCount,
         gainCount: portfolio.gainCount,
-        lossCount: portfolio.lossCount
+        lossCount: portfolio.lossCount,
+        holdings
       };
     } catch (error) {
       console.error('Failed to calculate performance metrics:', error);
@@ -275,13 +444,13 @@ class PortfolioCalculator {
   /**
    * Get portfolio summary for dashboard
    */
-  static getDashboardSummary(userId) {
+  static getDashboardSummary(userId, portfolioId = null) {
     try {
-      const portfolio = this.getPortfolioWithGains(userId);
-      const topGainers = this.getTopGainers(userId, 3);
-      const topLosers = this.getTopLosers(userId, 3);
-      const sectorBreakdown = this.getSectorBreakdown(userId);
-      const metrics = this.getPerformanceMetrics(userId);
+      const portfolio = this.getPortfolioWithGains(userId, portfolioId);
+      const topGainers = this.getTopGainers(userId, 3, portfolioId);
+      const topLosers = this.getTopLosers(userId, 3, portfolioId);
+      const sectorBreakdown = this.getSectorBreakdown(userId, portfolioId);
+      const metrics = this.getPerformanceMetrics(userId, portfolioId);
 
       return {
         portfolio: {
@@ -30,15 +30,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.invoke('credentials:initialize-breeze', sessionToken, masterPassword),
   
   // Portfolio
-  getPortfolioSummary: (sessionToken) => ipcRenderer.invoke('transactions:get-portfolio-summary', sessionToken),
-  getPortfolioWithGains: (sessionToken) => ipcRenderer.invoke('portfolio:get-with-gains', sessionToken),
-  getSectorBreakdown: (sessionToken) => ipcRenderer.invoke('portfolio:get-sector-breakdown', sessionToken),
-  getPortfolioAllocation: (sessionToken) => ipcRenderer.invoke('portfolio:get-allocation', sessionToken),
-  getTopGainers: (sessionToken, limit) => ipcRenderer.invoke('portfolio:get-top-gainers', sessionToken, limit),
-  getTopLosers: (sessionToken, limit) => ipcRenderer.invoke('portfolio:get-top-losers', sessionToken, limit),
-  getRealizedGains: (sessionToken, financialYear) => ipcRenderer.invoke('portfolio:get-realized-gains', sessionToken, financialYear),
-  getPerformanceMetrics: (sessionToken) => ipcRenderer.invoke('portfolio:get-performance-metrics', sessionToken),
-  getDashboardSummary: (sessionToken) => ipcRenderer.invoke('portfolio:get-dashboard-summary', sessionToken),
+  getPortfolioSummary: (sessionToken, portfolioId) => ipcRenderer.invoke('transactions:get-portfolio-summary', sessionToken, portfolioId),
+  getPortfolioWithGains: (sessionToken, portfolioId) => ipcRenderer.invoke('portfolio:get-with-gains', sessionToken, portfolioId),
+  getSectorBreakdown: (sessionToken, portfolioId) => ipcRenderer.invoke('portfolio:get-sector-breakdown', sessionToken, portfolioId),
+  getPortfolioAllocation: (sessionToken, portfolioId) => ipcRenderer.invoke('portfolio:get-allocation', sessionToken, portfolioId),
+  getTopGainers: (sessionToken, limit, portfolioId) => ipcRenderer.invoke('portfolio:get-top-gainers', sessionToken, limit, portfolioId),
+  getTopLosers: (sessionToken, limit, portfolioId) => ipcRenderer.invoke('portfolio:get-top-losers', sessionToken, limit, portfolioId),
+  getRealizedGains: (sessionToken, financialYear, portfolioId) => ipcRenderer.invoke('portfolio:get-realized-gains', sessionToken, financialYear, portfolioId),
+  getPerformanceMetrics: (sessionToken, portfolioId) => ipcRenderer.invoke('portfolio:get-performance-metrics', sessionToken, portfolioId),
+  getDashboardSummary: (sessionToken, portfolioId) => ipcRenderer.invoke('portfolio:get-dashboard-summary', sessionToken, portfolioId),
   getHoldings: () => ipcRenderer.invoke('portfolio:get-holdings'),
   refreshPrices: () => ipcRenderer.invoke('portfolio:refresh-prices'),
   
@@ -61,15 +61,133 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getPortfolioAgeDistribution: (sessionToken) => ipcRenderer.invoke('stock-age:get-portfolio-distribution', sessionToken),
   getBucketDetails: (sessionToken, stockSymbol, bucketName, currentPrice) => ipcRenderer.invoke('stock-age:get-bucket-details', sessionToken, stockSymbol, bucketName, currentPrice),
   
-  // Mutual Funds (disabled for v1.0.0)
-  // TODO: Uncomment when mutual fund UI is ready
-  // addMutualFund: (sessionToken, mutualFund, allocations) => ipcRenderer.invoke('mutual-fund:add', sessionToken, mutualFund, allocations),
-  // getAllMutualFunds: (sessionToken) => ipcRenderer.invoke('mutual-fund:get-all', sessionToken),
-  // getMutualFund: (sessionToken, id) => ipcRenderer.invoke('mutual-fund:get', sessionToken, id),
-  // updateMutualFund: (sessionToken, id, updates) => ipcRenderer.invoke('mutual-fund:update', sessionToken, id, updates),
-  // deleteMutualFund: (sessionToken, id) => ipcRenderer.invoke('mutual-fund:delete', sessionToken, id),
-  // importMutualFundCSV: (sessionToken, filePath) => ipcRenderer.invoke('mutual-fund:import-csv', sessionToken, filePath),
-  // getConsolidatedHoldings: (sessionToken) => ipcRenderer.invoke('mutual-fund:get-consolidated-holdings', sessionToken),
+  // Tax (Section 112A, loss harvesting)
+  getGrandfatheredFmv: (sessionToken) => ipcRenderer.invoke('tax:get-grandfathered-fmv', sessionToken),
+  saveGrandfatheredFmv: (sessionToken, isin, fmv, companyName) => ipcRenderer.invoke('tax:save-grandfathered-fmv', sessionToken, isin, fmv, companyName),
+  deleteGrandfatheredFmv: (sessionToken, isin) => ipcRenderer.invoke('tax:delete-grandfathered-fmv', sessionToken, isin),
+  importGrandfatheredFmv: (sessionToken, filePath) => ipcRenderer.invoke('tax:import-grandfathered-fmv', sessionToken, filePath),
+  exportSchedule112A: (sessionToken, financialYear, filePath, portfolioId) => ipcRenderer.invoke('tax:export-schedule-112a', sessionToken, financialYear, filePath, portfolioId),
+  getTaxHarvestingPlan: (sessionToken, options) => ipcRenderer.invoke('tax:get-harvesting-plan', sessionToken, options),
+  
+  // Corporate actions (splits, bonuses, consolidations, demergers, rights)
+  getCorporateActions: (sessionToken) => ipcRenderer.invoke('corporate-actions:get-all', sessionToken),
+  addCorporateAction: (sessionToken, action) => ipcRenderer.invoke('corporate-actions:add', sessionToken, action),
+  deleteCorporateAction: (sessionToken, actionId) => ipcRenderer.invoke('corporate-actions:delete', sessionToken, actionId),
+  getRightsEntitlement: (sessionToken, actionId) => ipcRenderer.invoke('corporate-actions:get-rights-entitlement', sessionToken, actionId),
+  subscribeRights: (sessionToken, actionId, subscription) => ipcRenderer.invoke('corporate-actions:subscribe-rights', sessionToken, actionId, subscription),
+  
+  // Dividends
+  getDividends: (sessionToken, filters) => ipcRenderer.invoke('dividends:get-all', sessionToken, filters),
+  addDividend: (sessionToken, dividend) => ipcRenderer.invoke('dividends:add', sessionToken, dividend),
+  deleteDividend: (sessionToken, dividendId) => ipcRenderer.invoke('dividends:delete', sessionToken, dividendId),
+  getDividendIncomeSummary: (sessionToken, financialYear) => ipcRenderer.invoke('dividends:get-income-summary', sessionToken, financialYear),
+  getDividendEligibleQuantity: (sessionToken, stockId, recordDate) => ipcRenderer.invoke('dividends:get-eligible-quantity', sessionToken, stockId, recordDate),
+  
+  // Portfolio History
+  getPortfolioHistory: (sessionToken, portfolioId) => ipcRenderer.invoke('portfolio-history:get', sessionToken, portfolioId),
+  backfillPortfolioHistory: (sessionToken, options, portfolioId) => ipcRenderer.invoke('portfolio-history:backfill', sessionToken, options, portfolioId),
+  
+  // Benchmarks
+  compareWithBenchmark: (sessionToken, benchmark, portfolioId) => ipcRenderer.invoke('benchmark:compare', sessionToken, benchmark, portfolioId),
+  
+  // Tradebook Import
+  getTradebookProfiles: (sessionToken) => ipcRenderer.invoke('tradebook:get-profiles', sessionToken),
+  getTradebookHeaders: (sessionToken, filePath) => ipcRenderer.invoke('tradebook:get-headers', sessionToken, filePath),
+  previewTradebookImport: (sessionToken, filePath, profile, mapping, portfolioId) => ipcRenderer.invoke('tradebook:preview', sessionToken, filePath, profile, mapping, portfolioId),
+  importTradebook: (sessionToken, filePath, profile, mapping, keys, portfolioId) => ipcRenderer.invoke('tradebook:import', sessionToken, filePath, profile, mapping, keys, portfolioId),
+  
+  // Broker Sync
+  reconcileBrokerHoldings: (sessionToken, options, portfolioId) => ipcRenderer.invoke('broker-sync:reconcile', sessionToken, options, portfolioId),
+  createReconciliationTransactions: (sessionToken, transactions, portfolioId) => ipcRenderer.invoke('broker-sync:create-transactions', sessionToken, transactions, portfolioId),
+  
+  // CAS Import
+  previewCasImport: (sessionToken, filePath, portfolioId) => ipcRenderer.invoke('cas:preview', sessionToken, filePath, portfolioId),
+  importCasMutualFunds: (sessionToken, filePath, keys, portfolioId) => ipcRenderer.invoke('cas:import-mutual-funds', sessionToken, filePath, keys, portfolioId),
+  
+  // Trade Charges
+  getBrokeragePlans: (sessionToken) => ipcRenderer.invoke('charges:get-plans', sessionToken),
+  saveBrokeragePlan: (sessionToken, plan) => ipcRenderer.invoke('charges:save-plan', sessionToken, plan),
+  deleteBrokeragePlan: (sessionToken, id) => ipcRenderer.invoke('charges:delete-plan', sessionToken, id),
+  calculateTradeCharges: (sessionToken, trade) => ipcRenderer.invoke('charges:calculate', sessionToken, trade),
+  
+  // Portfolios (demat accounts)
+  getPortfolios: (sessionToken) => ipcRenderer.invoke('portfolios:get-all', sessionToken),
+  createPortfolio: (sessionToken, portfolio) => ipcRenderer.invoke('portfolios:create', sessionToken, portfolio),
+  updatePortfolio: (sessionToken, id, portfolio) => ipcRenderer.invoke('portfolios:update', sessionToken, id, portfolio),
+  deletePortfolio: (sessionToken, id) => ipcRenderer.invoke('portfolios:delete', sessionToken, id),
+  
+  // Cash Ledger
+  getCashLedger: (sessionToken, portfolioId) => ipcRenderer.invoke('cash:get-ledger', sessionToken, portfolioId),
+  addCashEntry: (sessionToken, entry) => ipcRenderer.invoke('cash:add-entry', sessionToken, entry),
+  deleteCashEntry: (sessionToken, entryId) => ipcRenderer.invoke('cash:delete-entry', sessionToken, entryId),
+  
+  // Watchlists
+  getWatchlists: (sessionToken) => ipcRenderer.invoke('watchlists:get-all', sessionToken),
+  createWatchlist: (sessionToken, name) => ipcRenderer.invoke('watchlists:create', sessionToken, name),
+  renameWatchlist: (sessionToken, watchlistId, name) => ipcRenderer.invoke('watchlists:rename', sessionToken, watchlistId, name),
+  deleteWatchlist: (sessionToken, watchlistId) => ipcRenderer.invoke('watchlists:delete', sessionToken, watchlistId),
+  getWatchlistQuotes: (sessionToken, watchlistId) => ipcRenderer.invoke('watchlists:get-quotes', sessionToken, watchlistId),
+  refreshWatchlist: (sessionToken, watchlistId) => ipcRenderer.invoke('watchlists:refresh', sessionToken, watchlistId),
+  addWatchlistItem: (sessionToken, watchlistId, stock) => ipcRenderer.invoke('watchlists:add-item', sessionToken, watchlistId, stock),
+  updateWatchlistItem: (sessionToken, itemId, updates) => ipcRenderer.invoke('watchlists:update-item', sessionToken, itemId, updates),
+  removeWatchlistItem: (sessionToken, itemId) => ipcRenderer.invoke('watchlists:remove-item', sessionToken, itemId),
+  
+  // Price Alerts
+  getAlerts: (sessionToken) => ipcRenderer.invoke('alerts:get-all', sessionToken),
+  createAlert: (sessionToken, alert) => ipcRenderer.invoke('alerts:create', sessionToken, alert),
+  setAlertActive: (sessionToken, alertId, isActive) => ipcRenderer.invoke('alerts:set-active', sessionToken, alertId, isActive),
+  deleteAlert: (sessionToken, alertId) => ipcRenderer.invoke('alerts:delete', sessionToken, alertId),
+  getAlertHistory: (sessionToken, limit) => ipcRenderer.invoke('alerts:get-history', sessionToken, limit),
+  markAlertHistoryRead: (sessionToken) => ipcRenderer.invoke('alerts:mark-read', sessionToken),
+  clearAlertHistory: (sessionToken) => ipcRenderer.invoke('alerts:clear-history', sessionToken),
+  getNotificationsEnabled: (sessionToken) => ipcRenderer.invoke('alerts:get-notifications', sessionToken),
+  setNotificationsEnabled: (sessionToken, enabled) => ipcRenderer.invoke('alerts:set-notifications', sessionToken, enabled),
+  
+  // Holding Levels
+  setHoldingLevels: (sessionToken, stockId, levels) => ipcRenderer.invoke('holdings:set-levels', sessionToken, stockId, levels),
+  getLevelBreaches: (sessionToken, portfolioId) => ipcRenderer.invoke('holdings:get-breaches', sessionToken, portfolioId),
+  
+  // Price History
+  getStockChart: (sessionToken, symbol, fromDate, portfolioId) => ipcRenderer.invoke('price-history:get-chart', sessionToken, symbol, fromDate, portfolioId),
+  fillPriceHistory: (sessionToken, symbol) => ipcRenderer.invoke('price-history:fill', sessionToken, symbol),
+  importBhavcopy: (sessionToken, filePaths) => ipcRenderer.invoke('price-history:import-bhavcopy', sessionToken, filePaths),
+  
+  // Holding Overlap
+  getHoldingOverlap: (sessionToken, threshold) => ipcRenderer.invoke('holdings:get-overlap', sessionToken, threshold),
+  
+  // Allocation Rules
+  getAllocationRules: (sessionToken) => ipcRenderer.invoke('allocation-rules:get-all', sessionToken),
+  createAllocationRule: (sessionToken, rule) => ipcRenderer.invoke('allocation-rules:create', sessionToken, rule),
+  setAllocationRuleActive: (sessionToken, ruleId, isActive) => ipcRenderer.invoke('allocation-rules:set-active', sessionToken, ruleId, isActive),
+  deleteAllocationRule: (sessionToken, ruleId) => ipcRenderer.invoke('allocation-rules:delete', sessionToken, ruleId),
+  getComplianceReport: (sessionToken) => ipcRenderer.invoke('allocation-rules:get-report', sessionToken),
+  
+  // Mutual Funds
+  addMutualFund: (sessionToken, mutualFund, allocations) => ipcRenderer.invoke('mutual-fund:add', sessionToken, mutualFund, allocations),
+  getAllMutualFunds: (sessionToken) => ipcRenderer.invoke('mutual-fund:get-all', sessionToken),
+  getUnclaimedMutualFunds: (sessionToken) => ipcRenderer.invoke('mutual-fund:get-unclaimed', sessionToken),
+  claimMutualFunds: (sessionToken, fundIds, portfolioId) => ipcRenderer.invoke('mutual-fund:claim', sessionToken, fundIds, portfolioId),
+  releaseMutualFunds: (sessionToken, fundIds) => ipcRenderer.invoke('mutual-fund:release', sessionToken, fundIds),
+  getMutualFund: (sessionToken, id) => ipcRenderer.invoke('mutual-fund:get', sessionToken, id),
+  updateMutualFund: (sessionToken, id, updates) => ipcRenderer.invoke('mutual-fund:update', sessionToken, id, updates),
+  updateMutualFundAllocations: (sessionToken, id, allocations) => ipcRenderer.invoke('mutual-fund:update-allocations', sessionToken, id, allocations),
+  deleteMutualFund: (sessionToken, id) => ipcRenderer.invoke('mutual-fund:delete', sessionToken, id),
+  importMutualFundCSV: (sessionToken, filePath) => ipcRenderer.invoke('mutual-fund:import-csv', sessionToken, filePath),
+  getConsolidatedHoldings: (sessionToken) => ipcRenderer.invoke('mutual-fund:get-consolidated-holdings', sessionToken),
+  getMutualFundHoldings: (sessionToken, portfolioId) => ipcRenderer.invoke('mutual-fund:get-holdings', sessionToken, portfolioId),
+  addMutualFundHolding: (sessionToken, holding, transaction) => ipcRenderer.invoke('mutual-fund:add-holding', sessionToken, holding, transaction),
+  getMutualFundTransactions: (sessionToken, id) => ipcRenderer.invoke('mutual-fund:get-transactions', sessionToken, id),
+  addMutualFundTransaction: (sessionToken, id, transaction) => ipcRenderer.invoke('mutual-fund:add-transaction', sessionToken, id, transaction),
+  deleteMutualFundTransaction: (sessionToken, transactionId) => ipcRenderer.invoke('mutual-fund:delete-transaction', sessionToken, transactionId),
+  getMutualFundCapitalGains: (sessionToken, financialYear, portfolioId) => ipcRenderer.invoke('mutual-fund:get-capital-gains', sessionToken, financialYear, portfolioId),
+  importMutualFundNavs: (sessionToken, filePath) => ipcRenderer.invoke('mutual-fund:import-nav', sessionToken, filePath),
+  searchMutualFundSchemes: (sessionToken, term) => ipcRenderer.invoke('mutual-fund:search-schemes', sessionToken, term),
+  getMutualFundNavHistory: (sessionToken, schemeCode, fromDate) => ipcRenderer.invoke('mutual-fund:get-nav-history', sessionToken, schemeCode, fromDate),
+  listDisclosureSheets: (sessionToken, filePath) => ipcRenderer.invoke('mutual-fund:list-disclosure-sheets', sessionToken, filePath),
+  importMutualFundDisclosure: (sessionToken, filePath, schemeCode, options) => ipcRenderer.invoke('mutual-fund:import-disclosure', sessionToken, filePath, schemeCode, options),
+  getMutualFundDisclosures: (sessionToken, schemeCode) => ipcRenderer.invoke('mutual-fund:get-disclosures', sessionToken, schemeCode),
+  getMutualFundDisclosure: (sessionToken, disclosureId) => ipcRenderer.invoke('mutual-fund:get-disclosure', sessionToken, disclosureId),
+  deleteMutualFundDisclosure: (sessionToken, disclosureId) => ipcRenderer.invoke('mutual-fund:delete-disclosure', sessionToken, disclosureId),
   
   // Stocks
   createStock: (sessionToken, stock) => ipcRenderer.invoke('stocks:create', sessionToken, stock),
@@ -133,6 +251,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onPriceUpdateSuccess: (callback) => ipcRenderer.on('price-update-success', (event, data) => callback(data)),
   onPriceUpdateError: (callback) => ipcRenderer.on('price-update-error', (event, data) => callback(data)),
   onPortfolioUpdate: (callback) => ipcRenderer.on('portfolio-update', (event, data) => callback(data)),
+  onAlertTriggered: (callback) => ipcRenderer.on('alert-triggered', (event, data) => callback(data)),
+  onAllocationRulesEvaluated: (callback) => ipcRenderer.on('allocation-rules-evaluated', (event, data) => callback(data)),
   
   // Remove listeners
   removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
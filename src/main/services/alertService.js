@@ -0,0 +1,526 @@
+// Alert Service
+// User-defined price alerts, checked each time PriceManager emits
+// 'pricesUpdated'. Price and holding alerts fire when their condition starts
+// to hold and re-arm once it clears; LTCG alerts fire once per lot on the day
+// it turns long-term. Every alert fired is kept in alert_history.
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const priceManager = require('../api/priceManager');
+const { getLotKey } = require('../../utils/calculations/corporateActions');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+const { formatCurrency, formatDate } = require('../../utils/formatting/indian');
+
+const ALERT_TYPES = ['PRICE_ABOVE', 'PRICE_BELOW', 'DAY_MOVE', 'HOLDING_GAIN', 'HOLDING_LOSS', 'LTCG_ELIGIBLE'];
+
+// Alert types checked against a quote, and those that need a holding
+const QUOTE_ALERT_TYPES = ['PRICE_ABOVE', 'PRICE_BELOW', 'DAY_MOVE', 'HOLDING_GAIN', 'HOLDING_LOSS'];
+const HOLDING_ALERT_TYPES = ['HOLDING_GAIN', 'HOLDING_LOSS'];
+
+// PriceManager source name for alert symbols
+const PRICE_SOURCE = 'alerts';
+
+// app_settings key of the desktop notification toggle; each user's toggle is
+// stored under it with the user ID appended
+const NOTIFICATIONS_SETTING = 'show_notifications';
+
+/**
+ * app_settings key of a user's desktop notification toggle
+ */
+function notificationsSettingKey(userId) {
+  return `${NOTIFICATIONS_SETTING}:${userId}`;
+}
+
+// Holding period after which listed equity is long-term (more than 12 months,
+// as in FIFOCalculator.classifyGain)
+const LTCG_DAYS = 366;
+
+/**
+ * Get the date a lot bought on buyDate becomes long-term
+ * @param {string} buyDate - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function getLongTermDate(buyDate) {
+  const date = new Date(`${toDateKey(buyDate)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + LTCG_DAYS);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Check a quote-based alert
+ * @param {Object} alert - price_alerts row
+ * @param {Object} quote - { symbol, price, changePercent }
+ * @param {Object|null} holding - { quantity, avgCost } of the symbol, if held
+ * @returns {Object} - { met, title, message }
+ */
+function checkCondition(alert, quote, holding = null) {
+  const price = quote.price;
+  const threshold = alert.threshold;
+
+  switch (alert.alert_type) {
+    case 'PRICE_ABOVE':
+      return {
+        met: price >= threshold,
+        title: `${alert.symbol} above ${formatCurrency(threshold)}`,
+        message: `${alert.symbol} is trading at ${formatCurrency(price)}`
+      };
+
+    case 'PRICE_BELOW':
+      return {
+        met: price <= threshold,
+        title: `${alert.symbol} below ${formatCurrency(threshold)}`,
+        message: `${alert.symbol} is trading at ${formatCurrency(price)}`
+      };
+
+    case 'DAY_MOVE': {
+      const changePercent = quote.changePercent || 0;
+      return {
+        met: Math.abs(changePercent) >= threshold,
+        title: `${alert.symbol} ${changePercent >= 0 ? 'up' : 'down'} ${Math.abs(changePercent).toFixed(2)}% today`,
+        message: `${alert.symbol} moved more than ${threshold}% today and is at ${formatCurrency(price)}`
+      };
+    }
+
+    case 'HOLDING_GAIN':
+    case 'HOLDING_LOSS': {
+      if (!holding || !(holding.avgCost > 0)) {
+        return { met: false };
+      }
+
+      const gainPercent = ((price - holding.avgCost) / holding.avgCost) * 100;
+      const gain = (price - holding.avgCost) * holding.quantity;
+      const isGain = alert.alert_type === 'HOLDING_GAIN';
+
+      return {
+        met: isGain ? gainPercent >= threshold : gainPercent <= -threshold,
+        title: `${alert.symbol} holding ${isGain ? 'up' : 'down'} ${Math.abs(gainPercent).toFixed(2)}%`,
+        message: `Unrealised ${gain >= 0 ? 'gain' : 'loss'} of ${formatCurrency(Math.abs(gain))} on ${holding.quantity} shares at ${formatCurrency(price)}`
+      };
+    }
+
+    default:
+      return { met: false };
+  }
+}
+
+class AlertService {
+  /**
+   * Get a user's alerts
+   * @param {number} userId - User ID
+   * @returns {Array} - price_alerts rows, newest first
+   */
+  getAlerts(userId) {
+    try {
+      return databaseManager.getAll(
+        `SELECT id, alert_type, symbol, threshold, notes, is_active, is_triggered,
+                last_triggered_at, created_at
+         FROM price_alerts
+         WHERE user_id = ?
+         ORDER BY created_at DESC, id DESC`,
+        [userId]
+      );
+    } catch (error) {
+      console.error('Failed to get alerts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an alert the user owns
+   * @throws {Error} When the alert is not the user's
+   */
+  getOwnedAlert(userId, alertId) {
+    const alert = databaseManager.getOne(
+      'SELECT * FROM price_alerts WHERE id = ? AND user_id = ?',
+      [alertId, userId]
+    );
+
+    if (!alert) {
+      throw new Error(`Alert ${alertId} not found`);
+    }
+
+    return alert;
+  }
+
+  /**
+   * Validate an alert definition
+   * @param {Object} alert - { alertType, symbol, threshold }
+   * @returns {Object} - { alertType, symbol, threshold } normalised
+   */
+  validateAlert(alert) {
+    const alertType = alert && alert.alertType;
+    if (!ALERT_TYPES.includes(alertType)) {
+      throw new Error(`Alert type must be one of ${ALERT_TYPES.join(', ')}`);
+    }
+
+    const symbol = String(alert.symbol || '').trim().toUpperCase() || null;
+    if (!symbol && alertType !== 'LTCG_ELIGIBLE') {
+      throw new Error('Stock symbol is required');
+    }
+
+    if (alertType === 'LTCG_ELIGIBLE') {
+      return { alertType, symbol, threshold: null };
+    }
+
+    const threshold = parseFloat(alert.threshold);
+    if (!(threshold > 0)) {
+      throw new Error(alertType.startsWith('PRICE_') ? 'Price must be greater than 0' : 'Percentage must be greater than 0');
+    }
+
+    return { alertType, symbol, threshold };
+  }
+
+  /**
+   * Add an alert
+   * @param {number} userId - User ID
+   * @param {Object} alert - { alertType, symbol, threshold, notes }
+   *   threshold is a price for PRICE_ABOVE/PRICE_BELOW, a percentage for
+   *   DAY_MOVE/HOLDING_GAIN/HOLDING_LOSS and unused for LTCG_ELIGIBLE, whose
+   *   symbol is optional (all holdings)
+   * @returns {Promise<number>} - Alert ID
+   */
+  async createAlert(userId, alert) {
+    const { alertType, symbol, threshold } = this.validateAlert(alert);
+
+    try {
+      const now = new Date().toISOString();
+      const id = await databaseManager.insert(
+        `INSERT INTO price_alerts (user_id, alert_type, symbol, threshold, notes, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, alertType, symbol, threshold, alert.notes || null, now, now]
+      );
+
+      this.syncPriceManager();
+      console.log(`Created ${alertType} alert ${id}`);
+      return id;
+    } catch (error) {
+      console.error('Failed to create alert:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Switch an alert on or off
+   * Switching it on re-arms it
+   * @param {number} userId - User ID
+   * @param {number} alertId - Alert ID
+   * @param {boolean} isActive - New state
+   * @returns {Promise<void>}
+   */
+  async setAlertActive(userId, alertId, isActive) {
+    try {
+      this.getOwnedAlert(userId, alertId);
+      await databaseManager.update(
+        'UPDATE price_alerts SET is_active = ?, is_triggered = 0, updated_at = ? WHERE id = ?',
+        [isActive ? 1 : 0, new Date().toISOString(), alertId]
+      );
+      this.syncPriceManager();
+    } catch (error) {
+      console.error(`Failed to update alert ${alertId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an alert
+   * Its history is kept
+   * @param {number} userId - User ID
+   * @param {number} alertId - Alert ID
+   * @returns {Promise<void>}
+   */
+  async deleteAlert(userId, alertId) {
+    try {
+      this.getOwnedAlert(userId, alertId);
+      await databaseManager.delete('DELETE FROM price_alerts WHERE id = ?', [alertId]);
+      this.syncPriceManager();
+    } catch (error) {
+      console.error(`Failed to delete alert ${alertId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the alerts fired for a user
+   * @param {number} userId - User ID
+   * @param {number} limit - Most recent entries to return
+   * @returns {Object} - { entries, unread }
+   */
+  getHistory(userId, limit = 100) {
+    try {
+      const entries = databaseManager.getAll(
+        `SELECT id, alert_id, alert_type, symbol, title, message, price, is_read, triggered_at
+         FROM alert_history
+         WHERE user_id = ?
+         ORDER BY triggered_at DESC, id DESC
+         LIMIT ?`,
+        [userId, limit]
+      );
+      const { unread } = databaseManager.getOne(
+        'SELECT COUNT(*) as unread FROM alert_history WHERE user_id = ? AND is_read = 0',
+        [userId]
+      );
+
+      return { entries, unread };
+    } catch (error) {
+      console.error('Failed to get alert history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark all of a user's fired alerts as read
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async markHistoryRead(userId) {
+    try {
+      await databaseManager.update(
+        'UPDATE alert_history SET is_read = 1 WHERE user_id = ? AND is_read = 0',
+        [userId]
+      );
+    } catch (error) {
+      console.error('Failed to mark alert history read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user's alert history
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async clearHistory(userId) {
+    try {
+      await databaseManager.delete('DELETE FROM alert_history WHERE user_id = ?', [userId]);
+    } catch (error) {
+      console.error('Failed to clear alert history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user's fired alerts are shown as desktop notifications
+   * Users who have not saved the toggle yet keep the app-wide setting it
+   * replaced
+   * @param {number} userId - User ID
+   * @returns {boolean}
+   */
+  getNotificationsEnabled(userId) {
+    try {
+      const setting = databaseManager.getOne(
+        'SELECT value FROM app_settings WHERE key IN (?, ?) ORDER BY key = ? DESC LIMIT 1',
+        [notificationsSettingKey(userId), NOTIFICATIONS_SETTING, notificationsSettingKey(userId)]
+      );
+      return !setting || setting.value !== 'false';
+    } catch (error) {
+      console.error('Failed to read notification setting:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Turn a user's desktop notifications on or off
+   * @param {number} userId - User ID
+   * @param {boolean} enabled - New state
+   * @returns {Promise<void>}
+   */
+  async setNotificationsEnabled(userId, enabled) {
+    try {
+      await databaseManager.insert(
+        `INSERT INTO app_settings (key, value)
+         VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET
+           value = excluded.value,
+           updated_at = CURRENT_TIMESTAMP`,
+        [notificationsSettingKey(userId), enabled ? 'true' : 'false']
+      );
+    } catch (error) {
+      console.error('Failed to save notification setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register the symbols of active quote alerts with the PriceManager
+   * schedule, so stocks neither held nor watched still get prices
+   * @returns {Array<string>} Symbols registered
+   */
+  syncPriceManager() {
+    const symbols = databaseManager.getAll(
+      `SELECT DISTINCT symbol FROM price_alerts
+       WHERE is_active = 1 AND symbol IS NOT NULL AND alert_type != 'LTCG_ELIGIBLE'
+       ORDER BY symbol`
+    ).map(row => row.symbol);
+
+    priceManager.watchSymbols(PRICE_SOURCE, symbols);
+    return symbols;
+  }
+
+  /**
+   * Check a user's active alerts against a batch of updated prices
+   * @param {number} userId - User ID
+   * @param {Array} quotes - [{ symbol, price, change, changePercent }] as
+   *   emitted with 'pricesUpdated'
+   * @param {Date} asOf - Date LTCG alerts are checked on
+   * @returns {Promise<Array>} Alerts fired: [{ id, userId, alertId, alertType,
+   *   symbol, title, message, price }]
+   */
+  async evaluateAlerts(userId, quotes, asOf = new Date()) {
+    try {
+      const alerts = databaseManager.getAll(
+        'SELECT * FROM price_alerts WHERE user_id = ? AND is_active = 1',
+        [userId]
+      );
+      if (alerts.length === 0) {
+        return [];
+      }
+
+      const quoteMap = new Map((quotes || []).filter(quote => quote.price > 0).map(quote => [quote.symbol, quote]));
+      let holdingMap = null;
+      const getHoldings = () => {
+        if (!holdingMap) {
+          const { holdings } = transactionManager.getPortfolioSummary(userId);
+          holdingMap = new Map(holdings.map(holding => [holding.symbol, holding]));
+        }
+        return holdingMap;
+      };
+
+      const fired = [];
+
+      for (const alert of alerts) {
+        try {
+          if (alert.alert_type === 'LTCG_ELIGIBLE') {
+            fired.push(...await this.evaluateLongTermAlert(alert, getHoldings(), asOf));
+            continue;
+          }
+
+          const quote = QUOTE_ALERT_TYPES.includes(alert.alert_type) ? quoteMap.get(alert.symbol) : null;
+          if (!quote) {
+            continue;
+          }
+
+          const holding = HOLDING_ALERT_TYPES.includes(alert.alert_type)
+            ? getHoldings().get(alert.symbol) || null
+            : null;
+          const result = checkCondition(alert, quote, holding);
+
+          if (result.met && !alert.is_triggered) {
+            fired.push(await this.recordAlert(alert, {
+              title: result.title,
+              message: result.message,
+              price: quote.price
+            }));
+          } else if (!result.met && alert.is_triggered) {
+            // Condition cleared, so the alert can fire again
+            await databaseManager.update(
+              'UPDATE price_alerts SET is_triggered = 0 WHERE id = ?',
+              [alert.id]
+            );
+          }
+        } catch (error) {
+          console.error(`Failed to evaluate alert ${alert.id}:`, error);
+        }
+      }
+
+      return fired;
+    } catch (error) {
+      console.error('Failed to evaluate alerts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Fire an LTCG alert for each lot that turned long-term since the alert
+   * was set up
+   * @param {Object} alert - price_alerts row
+   * @param {Map} holdings - symbol → holding of the alert's user
+   * @param {Date} asOf - Date to check
+   * @returns {Promise<Array>} Alerts fired
+   */
+  async evaluateLongTermAlert(alert, holdings, asOf) {
+    const today = toDateKey(asOf);
+    const since = toDateKey(alert.created_at);
+    const stocks = alert.symbol
+      ? [holdings.get(alert.symbol)].filter(Boolean)
+      : [...holdings.values()];
+
+    const fired = [];
+
+    for (const stock of stocks) {
+      for (const lot of transactionManager.getBuyLots(alert.user_id, stock.id)) {
+        const longTermDate = getLongTermDate(lot.date);
+        if (lot.availableQuantity <= 0 || longTermDate > today || longTermDate < since) {
+          continue;
+        }
+
+        const lotKey = getLotKey(lot.id, lot.corporateActionId);
+        const existing = databaseManager.getOne(
+          'SELECT id FROM alert_history WHERE alert_id = ? AND lot_key = ?',
+          [alert.id, lotKey]
+        );
+        if (existing) {
+          continue;
+        }
+
+        fired.push(await this.recordAlert(alert, {
+          symbol: stock.symbol,
+          lotKey,
+          title: `${stock.symbol} lot is now long-term`,
+          message: `${lot.availableQuantity} shares bought on ${formatDate(lot.date)} qualify for LTCG from ${formatDate(longTermDate)}`
+        }));
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Save a fired alert to the history and mark the alert triggered
+   * @param {Object} alert - price_alerts row
+   * @param {Object} details - { title, message, price, symbol, lotKey }
+   * @returns {Promise<Object>} The fired alert
+   */
+  async recordAlert(alert, details) {
+    const now = new Date().toISOString();
+    const symbol = details.symbol || alert.symbol;
+
+    const id = await databaseManager.insert(
+      `INSERT INTO alert_history
+       (user_id, alert_id, alert_type, symbol, lot_key, title, message, price, triggered_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        alert.user_id,
+        alert.id,
+        alert.alert_type,
+        symbol,
+        details.lotKey || null,
+        details.title,
+        details.message,
+        details.price || null,
+        now
+      ]
+    );
+
+    await databaseManager.update(
+      'UPDATE price_alerts SET is_triggered = 1, last_triggered_at = ? WHERE id = ?',
+      [now, alert.id]
+    );
+
+    console.log(`Alert ${alert.id} fired: ${details.title}`);
+
+    return {
+      id,
+      userId: alert.user_id,
+      alertId: alert.id,
+      alertType: alert.alert_type,
+      symbol,
+      title: details.title,
+      message: details.message,
+      price: details.price || null
+    };
+  }
+}
+
+module.exports = new AlertService();
+module.exports.ALERT_TYPES = ALERT_TYPES;
+module.exports.checkCondition = checkCondition;
+module.exports.getLongTermDate = getLongTermDate;
@@ -0,0 +1,211 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn()
+}));
+
+jest.mock('../transactions/transactionManager', () => ({
+  getPortfolioSummary: jest.fn(),
+  getBuyLots: jest.fn()
+}));
+
+jest.mock('../api/priceManager', () => ({
+  watchSymbols: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const priceManager = require('../api/priceManager');
+const alertService = require('./alertService');
+const { checkCondition, getLongTermDate } = alertService;
+
+describe('AlertService', () => {
+  let alerts;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    alerts = [];
+    databaseManager.getAll.mockImplementation((query) => (
+      query.includes('FROM price_alerts') ? alerts : []
+    ));
+    databaseManager.getOne.mockReturnValue(undefined);
+    databaseManager.insert.mockResolvedValue(50);
+    transactionManager.getPortfolioSummary.mockReturnValue({
+      holdings: [{ id: 7, symbol: 'INFY', quantity: 10, avgCost: 1500 }]
+    });
+    transactionManager.getBuyLots.mockReturnValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkCondition', () => {
+    test('compares the price with price alert thresholds', () => {
+      expect(checkCondition({ alert_type: 'PRICE_ABOVE', symbol: 'INFY', threshold: 1600 }, { price: 1600 }).met).toBe(true);
+      expect(checkCondition({ alert_type: 'PRICE_BELOW', symbol: 'INFY', threshold: 1400 }, { price: 1450 }).met).toBe(false);
+    });
+
+    test('fires day move alerts in either direction', () => {
+      const alert = { alert_type: 'DAY_MOVE', symbol: 'INFY', threshold: 3 };
+
+      expect(checkCondition(alert, { price: 1450, changePercent: -3.2 })).toEqual(expect.objectContaining({
+        met: true,
+        title: 'INFY down 3.20% today'
+      }));
+      expect(checkCondition(alert, { price: 1450, changePercent: 2.9 }).met).toBe(false);
+    });
+
+    test('measures holding gain and loss from the average cost', () => {
+      const holding = { quantity: 10, avgCost: 1500 };
+
+      expect(checkCondition({ alert_type: 'HOLDING_GAIN', symbol: 'INFY', threshold: 10 }, { price: 1650 }, holding).met).toBe(true);
+      expect(checkCondition({ alert_type: 'HOLDING_LOSS', symbol: 'INFY', threshold: 10 }, { price: 1380 }, holding).met).toBe(false);
+      expect(checkCondition({ alert_type: 'HOLDING_LOSS', symbol: 'INFY', threshold: 10 }, { price: 1350 }, holding).met).toBe(true);
+      expect(checkCondition({ alert_type: 'HOLDING_GAIN', symbol: 'INFY', threshold: 10 }, { price: 1650 }, null).met).toBe(false);
+    });
+  });
+
+  describe('getLongTermDate', () => {
+    test('is the day the holding period passes twelve months', () => {
+      expect(getLongTermDate('2024-03-15')).toBe('2025-03-16');
+      expect(getLongTermDate('2023-03-15')).toBe('2024-03-15');
+    });
+  });
+
+  describe('createAlert', () => {
+    test('stores the alert and adds its symbol to the price schedule', async () => {
+      alerts = [{ symbol: 'TCS' }];
+
+      const id = await alertService.createAlert(1, { alertType: 'PRICE_BELOW', symbol: ' tcs ', threshold: '3500' });
+
+      expect(id).toBe(50);
+      expect(databaseManager.insert.mock.calls[0][1].slice(0, 5)).toEqual([1, 'PRICE_BELOW', 'TCS', 3500, null]);
+      expect(priceManager.watchSymbols).toHaveBeenCalledWith('alerts', ['TCS']);
+    });
+
+    test('rejects unknown types, missing symbols and thresholds', async () => {
+      await expect(alertService.createAlert(1, { alertType: 'VOLUME', symbol: 'TCS', threshold: 1 }))
+        .rejects.toThrow('Alert type must be one of');
+      await expect(alertService.createAlert(1, { alertType: 'DAY_MOVE', threshold: 5 }))
+        .rejects.toThrow('Stock symbol is required');
+      await expect(alertService.createAlert(1, { alertType: 'PRICE_ABOVE', symbol: 'TCS', threshold: 0 }))
+        .rejects.toThrow('Price must be greater than 0');
+      expect(databaseManager.insert).not.toHaveBeenCalled();
+    });
+
+    test('allows LTCG alerts across all holdings', async () => {
+      await alertService.createAlert(1, { alertType: 'LTCG_ELIGIBLE', threshold: 5 });
+
+      expect(databaseManager.insert.mock.calls[0][1].slice(0, 4)).toEqual([1, 'LTCG_ELIGIBLE', null, null]);
+    });
+  });
+
+  describe('evaluateAlerts', () => {
+    test('checks only the given user\'s alerts', async () => {
+      await alertService.evaluateAlerts(2, [{ symbol: 'INFY', price: 1612.5 }]);
+
+      expect(databaseManager.getAll).toHaveBeenCalledWith(
+        'SELECT * FROM price_alerts WHERE user_id = ? AND is_active = 1',
+        [2]
+      );
+    });
+
+    test('fires an alert once and records it in the history', async () => {
+      alerts = [{ id: 3, user_id: 1, alert_type: 'PRICE_ABOVE', symbol: 'INFY', threshold: 1600, is_triggered: 0 }];
+
+      const fired = await alertService.evaluateAlerts(1, [{ symbol: 'INFY', price: 1612.5, changePercent: 1.2 }]);
+
+      expect(fired).toEqual([expect.objectContaining({
+        id: 50,
+        userId: 1,
+        alertId: 3,
+        title: 'INFY above ₹1,600.00',
+        price: 1612.5
+      })]);
+      expect(databaseManager.insert.mock.calls[0][0]).toContain('INSERT INTO alert_history');
+      expect(databaseManager.update).toHaveBeenCalledWith(
+        'UPDATE price_alerts SET is_triggered = 1, last_triggered_at = ? WHERE id = ?',
+        [expect.any(String), 3]
+      );
+    });
+
+    test('does not fire again until the condition clears', async () => {
+      alerts = [{ id: 3, user_id: 1, alert_type: 'PRICE_ABOVE', symbol: 'INFY', threshold: 1600, is_triggered: 1 }];
+
+      expect(await alertService.evaluateAlerts(1, [{ symbol: 'INFY', price: 1620 }])).toEqual([]);
+      expect(databaseManager.insert).not.toHaveBeenCalled();
+
+      await alertService.evaluateAlerts(1, [{ symbol: 'INFY', price: 1580 }]);
+
+      expect(databaseManager.update).toHaveBeenCalledWith('UPDATE price_alerts SET is_triggered = 0 WHERE id = ?', [3]);
+    });
+
+    test('skips alerts on symbols missing from the batch', async () => {
+      alerts = [{ id: 3, user_id: 1, alert_type: 'PRICE_BELOW', symbol: 'TCS', threshold: 3500, is_triggered: 1 }];
+
+      await alertService.evaluateAlerts(1, [{ symbol: 'INFY', price: 1620 }]);
+
+      expect(databaseManager.update).not.toHaveBeenCalled();
+    });
+
+    test('checks holding alerts against the user\'s average cost', async () => {
+      alerts = [{ id: 4, user_id: 1, alert_type: 'HOLDING_GAIN', symbol: 'INFY', threshold: 20, is_triggered: 0 }];
+
+      const fired = await alertService.evaluateAlerts(1, [{ symbol: 'INFY', price: 1800 }]);
+
+      expect(transactionManager.getPortfolioSummary).toHaveBeenCalledWith(1);
+      expect(fired[0].message).toBe('Unrealised gain of ₹3,000.00 on 10 shares at ₹1,800.00');
+    });
+
+    test('fires LTCG alerts once per lot that turned long-term since the alert was set', async () => {
+      alerts = [{ id: 5, user_id: 1, alert_type: 'LTCG_ELIGIBLE', symbol: null, created_at: '2025-03-01T10:00:00.000Z' }];
+      transactionManager.getBuyLots.mockReturnValue([
+        { id: 21, corporateActionId: null, date: '2024-03-10', availableQuantity: 4 },
+        { id: 22, corporateActionId: null, date: '2024-01-10', availableQuantity: 6 },
+        { id: 23, corporateActionId: null, date: '2024-06-10', availableQuantity: 2 }
+      ]);
+
+      const fired = await alertService.evaluateAlerts(1, [], new Date('2025-03-20T12:00:00'));
+
+      expect(fired).toHaveLength(1);
+      expect(fired[0]).toEqual(expect.objectContaining({
+        symbol: 'INFY',
+        title: 'INFY lot is now long-term',
+        message: '4 shares bought on 10-Mar-2024 qualify for LTCG from 11-Mar-2025'
+      }));
+      expect(databaseManager.insert.mock.calls[0][1][4]).toBe('21');
+    });
+
+    test('skips lots it already fired for', async () => {
+      alerts = [{ id: 5, user_id: 1, alert_type: 'LTCG_ELIGIBLE', symbol: 'INFY', created_at: '2025-03-01T10:00:00.000Z' }];
+      transactionManager.getBuyLots.mockReturnValue([
+        { id: 21, corporateActionId: null, date: '2024-03-10', availableQuantity: 4 }
+      ]);
+      databaseManager.getOne.mockReturnValue({ id: 40 });
+
+      expect(await alertService.evaluateAlerts(1, [], new Date('2025-03-20T12:00:00'))).toEqual([]);
+    });
+  });
+
+  describe('getNotificationsEnabled', () => {
+    test('defaults to on until the toggle is saved', () => {
+      expect(alertService.getNotificationsEnabled(1)).toBe(true);
+
+      databaseManager.getOne.mockReturnValue({ value: 'false' });
+      expect(alertService.getNotificationsEnabled(1)).toBe(false);
+    });
+
+    test('keeps each user\'s toggle apart', async () => {
+      alertService.getNotificationsEnabled(2);
+      expect(databaseManager.getOne.mock.calls[0][1][0]).toBe('show_notifications:2');
+
+      await alertService.setNotificationsEnabled(2, false);
+      expect(databaseManager.insert.mock.calls[0][1]).toEqual(['show_notifications:2', 'false']);
+    });
+  });
+});
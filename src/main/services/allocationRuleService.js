@@ -0,0 +1,421 @@
+// Allocation Rule Service
+// User-defined caps on stock and sector weights, e.g. "no stock above 10%,
+// no sector above 25%". Direct rules weigh the stocks held across all
+// accounts; look-through rules weigh the consolidated holdings, so a stock
+// held through mutual funds counts too. Rules are checked after each batch
+// of new prices and each transaction, and the breaches found are kept in
+// allocation_rule_breaches for the portfolio view.
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const priceManager = require('../api/priceManager');
+const consolidatedHoldingsService = require('./consolidatedHoldingsService');
+const { weighExposure, evaluateRule, describeRule } = require('../../utils/calculations/allocationRules');
+
+const RULE_TYPES = ['STOCK', 'SECTOR'];
+
+/**
+ * Key of a breach, unique per rule
+ */
+function breachKey(ruleId, subjectKey) {
+  return `${ruleId}:${subjectKey}`;
+}
+
+class AllocationRuleService {
+  /**
+   * Get a user's rules
+   * @param {number} userId - User ID
+   * @returns {Array} - allocation_rules rows with label and breach_count,
+   *   oldest first
+   */
+  getRules(userId) {
+    try {
+      const rules = databaseManager.getAll(
+        `SELECT r.id, r.rule_type, r.target, r.max_percent, r.look_through, r.is_active, r.created_at,
+                COUNT(b.id) as breach_count
+         FROM allocation_rules r
+         LEFT JOIN allocation_rule_breaches b ON b.rule_id = r.id
+         WHERE r.user_id = ?
+         GROUP BY r.id
+         ORDER BY r.created_at, r.id`,
+        [userId]
+      );
+
+      return rules.map(rule => ({ ...rule, label: describeRule(rule) }));
+    } catch (error) {
+      console.error('Failed to get allocation rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a rule the user owns
+   * @throws {Error} When the rule is not the user's
+   */
+  getOwnedRule(userId, ruleId) {
+    const rule = databaseManager.getOne(
+      'SELECT * FROM allocation_rules WHERE id = ? AND user_id = ?',
+      [ruleId, userId]
+    );
+
+    if (!rule) {
+      throw new Error(`Allocation rule ${ruleId} not found`);
+    }
+
+    return rule;
+  }
+
+  /**
+   * Validate a rule definition
+   * @param {Object} rule - { ruleType, target, maxPercent, lookThrough }
+   * @returns {Object} - { ruleType, target, maxPercent, lookThrough } normalised
+   */
+  validateRule(rule) {
+    const ruleType = rule && rule.ruleType;
+    if (!RULE_TYPES.includes(ruleType)) {
+      throw new Error(`Rule type must be one of ${RULE_TYPES.join(', ')}`);
+    }
+
+    const maxPercent = parseFloat(rule.maxPercent);
+    if (!(maxPercent > 0 && maxPercent <= 100)) {
+      throw new Error('Limit must be more than 0% and at most 100%');
+    }
+
+    // Stock symbols are stored upper-case; sector names as the stocks carry them
+    const text = String(rule.target || '').trim();
+    const target = text ? (ruleType === 'STOCK' ? text.toUpperCase() : text) : null;
+
+    return { ruleType, target, maxPercent, lookThrough: Boolean(rule.lookThrough) };
+  }
+
+  /**
+   * Add a rule and check it straight away
+   * @param {number} userId - User ID
+   * @param {Object} rule - { ruleType, target, maxPercent, lookThrough } where
+   *   target is a stock symbol or sector name, or empty for every stock or
+   *   sector, and lookThrough includes stocks held through mutual funds
+   * @returns {Promise<number>} - Rule ID
+   */
+  async createRule(userId, rule) {
+    const { ruleType, target, maxPercent, lookThrough } = this.validateRule(rule);
+
+    try {
+      const now = new Date().toISOString();
+      const id = await databaseManager.insert(
+        `INSERT INTO allocation_rules (user_id, rule_type, target, max_percent, look_through, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, ruleType, target, maxPercent, lookThrough ? 1 : 0, now, now]
+      );
+
+      console.log(`Created ${ruleType} allocation rule ${id}`);
+      await this.evaluate(userId);
+      return id;
+    } catch (error) {
+      console.error('Failed to create allocation rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Switch a rule on or off
+   * @param {number} userId - User ID
+   * @param {number} ruleId - Rule ID
+   * @param {boolean} isActive - New state
+   * @returns {Promise<void>}
+   */
+  async setRuleActive(userId, ruleId, isActive) {
+    try {
+      this.getOwnedRule(userId, ruleId);
+      await databaseManager.update(
+        'UPDATE allocation_rules SET is_active = ?, updated_at = ? WHERE id = ?',
+        [isActive ? 1 : 0, new Date().toISOString(), ruleId]
+      );
+      await this.evaluate(userId);
+    } catch (error) {
+      console.error(`Failed to update allocation rule ${ruleId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a rule with its breaches
+   * @param {number} userId - User ID
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<void>}
+   */
+  async deleteRule(userId, ruleId) {
+    try {
+      this.getOwnedRule(userId, ruleId);
+      await databaseManager.delete('DELETE FROM allocation_rules WHERE id = ?', [ruleId]);
+    } catch (error) {
+      console.error(`Failed to delete allocation rule ${ruleId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Value the stocks held directly, across all accounts
+   * Stocks without a cached price are valued at cost, as in the portfolio view
+   * @param {number} userId - User ID
+   * @returns {Object} - { positions, totalValue } for weighExposure
+   */
+  getDirectPositions(userId) {
+    const { holdings } = transactionManager.getPortfolioSummary(userId);
+    if (holdings.length === 0) {
+      return { positions: [], totalValue: 0 };
+    }
+
+    const prices = new Map(
+      priceManager.getCachedPrices(holdings.map(holding => holding.symbol)).map(quote => [quote.symbol, quote.price])
+    );
+
+    const positions = holdings.map(holding => ({
+      key: holding.symbol,
+      name: holding.name,
+      stockId: holding.id,
+      sector: holding.sector,
+      value: holding.quantity * (prices.get(holding.symbol) || holding.avgCost)
+    }));
+
+    return {
+      positions,
+      totalValue: positions.reduce((sum, position) => sum + position.value, 0)
+    };
+  }
+
+  /**
+   * Value stocks held directly and through mutual funds
+   * Weights are of the stocks plus the whole value of the funds, so a fund's
+   * debt and cash dilute them as they do in the consolidated view
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} - { positions, totalValue } for weighExposure
+   */
+  async getLookThroughPositions(userId) {
+    const { holdings, summary } = await consolidatedHoldingsService.getConsolidatedHoldings(userId);
+    if (holdings.length === 0) {
+      return { positions: [], totalValue: 0 };
+    }
+
+    // Fund allocations name stocks by symbol; the stocks table adds the sector
+    const symbols = holdings.map(holding => holding.stockSymbol);
+    const stocks = new Map(
+      databaseManager.getAll(
+        `SELECT id, symbol, sector FROM stocks WHERE symbol IN (${symbols.map(() => '?').join(',')})`,
+        symbols
+      ).map(stock => [stock.symbol, stock])
+    );
+
+    const positions = holdings.map(holding => {
+      const stock = stocks.get(holding.stockSymbol);
+      return {
+        key: holding.stockSymbol,
+        name: holding.stockName,
+        stockId: stock ? stock.id : null,
+        sector: stock ? stock.sector : null,
+        value: holding.totalHoldings.value
+      };
+    });
+
+    return { positions, totalValue: summary.totalValue };
+  }
+
+  /**
+   * Check a user's active rules and store the breaches found
+   * @param {number} userId - User ID
+   * @param {Date} asOf - Evaluation time
+   * @returns {Promise<Object>} - { evaluatedAt, directValue, lookThroughValue,
+   *   results, newBreaches } where results are [{ rule, largest, breaches }]
+   *   per active rule and newBreaches the breaches not present before
+   */
+  async evaluate(userId, asOf = new Date()) {
+    try {
+      const evaluatedAt = asOf.toISOString();
+      const rules = databaseManager.getAll(
+        'SELECT * FROM allocation_rules WHERE user_id = ? AND is_active = 1 ORDER BY created_at, id',
+        [userId]
+      );
+
+      const direct = rules.some(rule => !rule.look_through)
+        ? this.getDirectPositions(userId)
+        : null;
+      const lookThrough = rules.some(rule => rule.look_through)
+        ? await this.getLookThroughPositions(userId)
+        : null;
+
+      const directExposure = direct ? weighExposure(direct.positions, direct.totalValue) : null;
+      const lookThroughExposure = lookThrough ? weighExposure(lookThrough.positions, lookThrough.totalValue) : null;
+
+      const results = rules.map(rule => ({
+        rule: { ...rule, label: describeRule(rule) },
+        ...evaluateRule(rule, rule.look_through ? lookThroughExposure : directExposure)
+      }));
+
+      const previous = new Map(
+        databaseManager.getAll(
+          'SELECT rule_id, subject_key, first_breached_at FROM allocation_rule_breaches WHERE user_id = ?',
+          [userId]
+        ).map(row => [breachKey(row.rule_id, row.subject_key), row.first_breached_at])
+      );
+      const newBreaches = [];
+
+      await databaseManager.withTransaction(async (tx) => {
+        tx.delete('DELETE FROM allocation_rule_breaches WHERE user_id = ?', [userId]);
+
+        for (const result of results) {
+          for (const breach of result.breaches) {
+            const firstBreachedAt = previous.get(breachKey(result.rule.id, breach.subjectKey));
+            if (!firstBreachedAt) {
+              newBreaches.push({ ...breach, ruleId: result.rule.id, label: result.rule.label });
+            }
+
+            tx.insert(
+              `INSERT INTO allocation_rule_breaches
+                 (rule_id, user_id, subject_key, subject_name, stock_id, actual_percent, max_percent,
+                  first_breached_at, evaluated_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+              [
+                result.rule.id,
+                userId,
+                breach.subjectKey,
+                breach.subjectName,
+                breach.stockId,
+                breach.actualPercent,
+                breach.maxPercent,
+                firstBreachedAt || evaluatedAt,
+                evaluatedAt
+              ]
+            );
+          }
+        }
+      });
+
+      return {
+        evaluatedAt,
+        directValue: direct ? direct.totalValue : null,
+        lookThroughValue: lookThrough ? lookThrough.totalValue : null,
+        results,
+        newBreaches
+      };
+    } catch (error) {
+      console.error(`Failed to evaluate allocation rules of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the rules of every user who has active ones
+   * Used after each batch of new prices and each transaction; a failure for
+   * one user does not stop the others
+   * @param {Array|null} userIds - Only these users, or null for all
+   * @returns {Promise<Array>} - [{ userId, breachCount, newBreaches }]
+   */
+  async evaluateAll(userIds = null) {
+    try {
+      const users = databaseManager.getAll(
+        'SELECT DISTINCT user_id FROM allocation_rules WHERE is_active = 1'
+      ).filter(row => !userIds || userIds.includes(row.user_id));
+
+      const evaluated = [];
+      for (const { user_id: userId } of users) {
+        try {
+          const { results, newBreaches } = await this.evaluate(userId);
+          evaluated.push({
+            userId,
+            breachCount: results.reduce((sum, result) => sum + result.breaches.length, 0),
+            newBreaches
+          });
+        } catch (error) {
+          // Logged by evaluate
+        }
+      }
+
+      return evaluated;
+    } catch (error) {
+      console.error('Failed to evaluate allocation rules:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the breaches found by the last evaluation
+   * @param {number} userId - User ID
+   * @returns {Array} - [{ id, ruleId, label, ruleType, lookThrough, subjectKey,
+   *   subjectName, stockId, actualPercent, maxPercent, firstBreachedAt,
+   *   evaluatedAt }], furthest over the limit first
+   */
+  getBreaches(userId) {
+    try {
+      const rows = databaseManager.getAll(
+        `SELECT b.*, r.rule_type, r.target, r.look_through
+         FROM allocation_rule_breaches b
+         JOIN allocation_rules r ON b.rule_id = r.id
+         WHERE b.user_id = ?
+         ORDER BY b.actual_percent - b.max_percent DESC`,
+        [userId]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        ruleId: row.rule_id,
+        label: describeRule(row),
+        ruleType: row.rule_type,
+        lookThrough: Boolean(row.look_through),
+        subjectKey: row.subject_key,
+        subjectName: row.subject_name,
+        stockId: row.stock_id,
+        actualPercent: row.actual_percent,
+        maxPercent: row.max_percent,
+        firstBreachedAt: row.first_breached_at,
+        evaluatedAt: row.evaluated_at
+      }));
+    } catch (error) {
+      console.error('Failed to get allocation rule breaches:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the rules now and report on each
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} - { generatedAt, directValue, lookThroughValue,
+   *   ruleCount, breachCount, rules } where rules are [{ id, label, ruleType,
+   *   target, maxPercent, lookThrough, status, largest, breaches }] and status
+   *   is BREACH, PASS, or NOT_HELD when nothing the rule covers is held
+   */
+  async getComplianceReport(userId) {
+    try {
+      const { evaluatedAt, directValue, lookThroughValue, results } = await this.evaluate(userId);
+      const firstBreached = new Map(
+        this.getBreaches(userId).map(breach => [breachKey(breach.ruleId, breach.subjectKey), breach.firstBreachedAt])
+      );
+
+      const rules = results.map(({ rule, largest, breaches }) => ({
+        id: rule.id,
+        label: rule.label,
+        ruleType: rule.rule_type,
+        target: rule.target,
+        maxPercent: rule.max_percent,
+        lookThrough: Boolean(rule.look_through),
+        status: breaches.length > 0 ? 'BREACH' : largest ? 'PASS' : 'NOT_HELD',
+        largest,
+        breaches: breaches.map(breach => ({
+          ...breach,
+          firstBreachedAt: firstBreached.get(breachKey(rule.id, breach.subjectKey)) || evaluatedAt
+        }))
+      }));
+
+      return {
+        generatedAt: evaluatedAt,
+        directValue,
+        lookThroughValue,
+        ruleCount: rules.length,
+        breachCount: rules.reduce((sum, rule) => sum + rule.breaches.length, 0),
+        rules
+      };
+    } catch (error) {
+      console.error('Failed to build compliance report:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AllocationRuleService();
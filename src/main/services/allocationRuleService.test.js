@@ -0,0 +1,157 @@
+jest.mock('../database/index', () => ({
+  getAll: jest.fn(),
+  getOne: jest.fn(),
+  insert: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+jest.mock('../transactions/transactionManager', () => ({
+  getPortfolioSummary: jest.fn()
+}));
+
+jest.mock('../api/priceManager', () => ({
+  getCachedPrices: jest.fn()
+}));
+
+jest.mock('./consolidatedHoldingsService', () => ({
+  getConsolidatedHoldings: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const priceManager = require('../api/priceManager');
+const consolidatedHoldingsService = require('./consolidatedHoldingsService');
+const allocationRuleService = require('./allocationRuleService');
+
+const STOCK_RULE = { id: 1, rule_type: 'STOCK', target: null, max_percent: 30, look_through: 0 };
+const SECTOR_RULE = { id: 2, rule_type: 'SECTOR', target: null, max_percent: 50, look_through: 1 };
+
+describe('AllocationRuleService', () => {
+  let rules;
+  let previousBreaches;
+  let inserted;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    rules = [STOCK_RULE];
+    previousBreaches = [];
+    inserted = [];
+
+    databaseManager.getAll.mockImplementation((sql) => {
+      if (sql.includes('FROM allocation_rules WHERE user_id')) {
+        return rules;
+      }
+      if (sql.includes('first_breached_at FROM allocation_rule_breaches')) {
+        return previousBreaches;
+      }
+      if (sql.includes('FROM stocks')) {
+        return [{ id: 7, symbol: 'INFY', sector: 'IT' }, { id: 8, symbol: 'TCS', sector: 'IT' }];
+      }
+      return [];
+    });
+    databaseManager.withTransaction.mockImplementation(async (callback) => callback({
+      delete: jest.fn(),
+      insert: (sql, params) => inserted.push(params)
+    }));
+
+    transactionManager.getPortfolioSummary.mockReturnValue({
+      holdings: [
+        { id: 7, symbol: 'INFY', name: 'Infosys', sector: 'IT', quantity: 10, avgCost: 1500 },
+        { id: 9, symbol: 'ITC', name: 'ITC', sector: 'FMCG', quantity: 50, avgCost: 400 }
+      ]
+    });
+    priceManager.getCachedPrices.mockReturnValue([{ symbol: 'INFY', price: 1600 }]);
+    consolidatedHoldingsService.getConsolidatedHoldings.mockResolvedValue({
+      holdings: [
+        { stockSymbol: 'INFY', stockName: 'Infosys', totalHoldings: { value: 30000 } },
+        { stockSymbol: 'TCS', stockName: 'TCS', totalHoldings: { value: 25000 } },
+        { stockSymbol: 'ITC', stockName: 'ITC', totalHoldings: { value: 20000 } }
+      ],
+      summary: { totalValue: 100000 }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateRule', () => {
+    test('normalises the target and rejects bad limits', () => {
+      expect(allocationRuleService.validateRule({ ruleType: 'STOCK', target: ' infy ', maxPercent: '8' }))
+        .toEqual({ ruleType: 'STOCK', target: 'INFY', maxPercent: 8, lookThrough: false });
+      expect(allocationRuleService.validateRule({ ruleType: 'SECTOR', target: '', maxPercent: 25, lookThrough: true }))
+        .toEqual({ ruleType: 'SECTOR', target: null, maxPercent: 25, lookThrough: true });
+
+      expect(() => allocationRuleService.validateRule({ ruleType: 'FUND', maxPercent: 10 })).toThrow('Rule type');
+      expect(() => allocationRuleService.validateRule({ ruleType: 'STOCK', maxPercent: 0 })).toThrow('Limit');
+      expect(() => allocationRuleService.validateRule({ ruleType: 'STOCK', maxPercent: 120 })).toThrow('Limit');
+    });
+  });
+
+  describe('evaluate', () => {
+    test('weighs direct holdings at the cached price, or cost without one', async () => {
+      // INFY 10 × 1600 = 16000, ITC 50 × 400 = 20000 of 36000
+      const { results, newBreaches, directValue, lookThroughValue } = await allocationRuleService.evaluate(3);
+
+      expect(directValue).toBe(36000);
+      expect(lookThroughValue).toBeNull();
+      expect(consolidatedHoldingsService.getConsolidatedHoldings).not.toHaveBeenCalled();
+      expect(results[0].breaches.map(breach => [breach.subjectKey, breach.actualPercent])).toEqual([
+        ['ITC', 55.56],
+        ['INFY', 44.44]
+      ]);
+      expect(newBreaches.map(breach => breach.label)).toEqual(['No stock above 30%', 'No stock above 30%']);
+    });
+
+    test('keeps the first breach time of a breach that continues', async () => {
+      previousBreaches = [{ rule_id: 1, subject_key: 'ITC', first_breached_at: '2026-10-01T10:00:00.000Z' }];
+
+      const { newBreaches } = await allocationRuleService.evaluate(3, new Date('2026-10-19T10:00:00.000Z'));
+
+      expect(newBreaches.map(breach => breach.subjectKey)).toEqual(['INFY']);
+      expect(inserted.map(params => [params[2], params[7], params[8]])).toEqual([
+        ['ITC', '2026-10-01T10:00:00.000Z', '2026-10-19T10:00:00.000Z'],
+        ['INFY', '2026-10-19T10:00:00.000Z', '2026-10-19T10:00:00.000Z']
+      ]);
+    });
+
+    test('looks through mutual funds with sectors from the stocks table', async () => {
+      rules = [SECTOR_RULE];
+
+      const { results, lookThroughValue } = await allocationRuleService.evaluate(3);
+
+      // IT is INFY 30000 + TCS 25000 of 100000 including fund debt and cash;
+      // ITC is not in the stocks table, so has no sector
+      expect(lookThroughValue).toBe(100000);
+      expect(transactionManager.getPortfolioSummary).not.toHaveBeenCalled();
+      expect(results[0].breaches).toEqual([
+        { subjectKey: 'IT', subjectName: 'IT', stockId: null, actualPercent: 55, maxPercent: 50 }
+      ]);
+    });
+  });
+
+  describe('getComplianceReport', () => {
+    test('reports each active rule with its status', async () => {
+      rules = [
+        STOCK_RULE,
+        { id: 3, rule_type: 'STOCK', target: 'HDFCBANK', max_percent: 10, look_through: 0 },
+        { id: 4, rule_type: 'SECTOR', target: 'IT', max_percent: 60, look_through: 1 }
+      ];
+
+      const report = await allocationRuleService.getComplianceReport(3);
+
+      expect(report.ruleCount).toBe(3);
+      expect(report.breachCount).toBe(2);
+      expect(report.rules.map(rule => [rule.label, rule.status])).toEqual([
+        ['No stock above 30%', 'BREACH'],
+        ['HDFCBANK at most 10%', 'NOT_HELD'],
+        ['IT at most 60% (incl. mutual funds)', 'PASS']
+      ]);
+      expect(report.rules[2].largest).toEqual({ key: 'IT', name: 'IT', percent: 55 });
+    });
+  });
+});
@@ -1,5 +1,6 @@
 // AuditLogger service for tracking transaction modifications
-// Part of transaction editing feature
+// Part of transaction editing feature. Also records who changed records
+// shared between users, such as claimed funds and corporate actions.
 
 class AuditLogger {
   constructor(databaseManager) {
@@ -63,6 +64,7 @@ class AuditLogger {
       'quantity',
       'price',
       'charges',
+      'stt',
       'notes'
     ];
 
@@ -193,6 +195,49 @@ class AuditLogger {
     }
   }
 
+  /**
+   * Log a change a user made to a shared record
+   * @param {number} userId - Acting user
+   * @param {string} entityType - Kind of record, e.g. 'MUTUAL_FUND'
+   * @param {number} entityId - Record ID
+   * @param {string} action - What was done, e.g. 'CLAIM'
+   * @param {Object|null} details - Values involved, stored as JSON
+   * @param {Date} timestamp - When it was done
+   */
+  async logActivity(userId, entityType, entityId, action, details = null, timestamp = new Date()) {
+    try {
+      return await this.db.insert(
+        `INSERT INTO activity_audit (user_id, entity_type, entity_id, action, details, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, entityType, entityId, action, details ? JSON.stringify(details) : null, timestamp.toISOString()]
+      );
+    } catch (error) {
+      console.error('Failed to log activity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the logged activity on a shared record
+   * @param {string} entityType - Kind of record
+   * @param {number} entityId - Record ID
+   * @returns {Array} Entries in chronological order with details parsed
+   */
+  getActivity(entityType, entityId) {
+    try {
+      return this.db.getAll(
+        `SELECT id, user_id, action, details, created_at
+         FROM activity_audit
+         WHERE entity_type = ? AND entity_id = ?
+         ORDER BY created_at ASC, id ASC`,
+        [entityType, entityId]
+      ).map(entry => ({ ...entry, details: this.parseValue(entry.details) }));
+    } catch (error) {
+      console.error('Failed to retrieve activity:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete audit history for a transaction (when transaction is deleted)
    * @param {number} transactionId - Transaction ID
@@ -0,0 +1,191 @@
+// Benchmark Service
+// Caches daily index closes from Breeze and compares the portfolio with the
+// same cash flows invested in an index (public market equivalent)
+const databaseManager = require('../database/index');
+const breezeClient = require('../api/breezeClient');
+const portfolioSnapshotService = require('./portfolioSnapshotService');
+const portfolioService = require('./portfolioService');
+const PortfolioCalculator = require('../portfolio/portfolioCalculator');
+const BenchmarkCalculator = require('../../utils/calculations/benchmarkComparison');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+// Built-in benchmarks with their Breeze stock codes
+const BENCHMARKS = {
+  SENSEX: { label: 'BSE Sensex', indexCode: 'BSESEN', exchange: 'BSE' },
+  NIFTY: { label: 'Nifty 50', indexCode: 'NIFTY', exchange: 'NSE' }
+};
+
+const EXCHANGES = ['BSE', 'NSE'];
+
+/**
+ * Add days to a YYYY-MM-DD date key
+ */
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+class BenchmarkService {
+  /**
+   * Resolve a benchmark selection
+   * @param {Object} benchmark - { key } for a built-in index, or
+   *   { key: 'CUSTOM', code, exchange } for any Breeze stock code
+   * @returns {Object} - { key, label, indexCode, exchange }
+   */
+  resolveBenchmark(benchmark = {}) {
+    const key = String(benchmark.key || 'SENSEX').toUpperCase();
+
+    if (BENCHMARKS[key]) {
+      return { key, ...BENCHMARKS[key] };
+    }
+
+    if (key !== 'CUSTOM') {
+      throw new Error(`Unknown benchmark: ${benchmark.key}`);
+    }
+
+    const indexCode = String(benchmark.code || '').trim().toUpperCase();
+    if (!indexCode) {
+      throw new Error('A ticker is required for a custom benchmark');
+    }
+
+    const exchange = String(benchmark.exchange || 'BSE').toUpperCase();
+    if (!EXCHANGES.includes(exchange)) {
+      throw new Error(`Exchange must be one of ${EXCHANGES.join(', ')}`);
+    }
+
+    return { key, label: indexCode, indexCode, exchange };
+  }
+
+  /**
+   * Get cached closes for a benchmark
+   * @param {Object} benchmark - Resolved benchmark
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @returns {Array} - [{ date, close }] sorted by date
+   */
+  getCachedCloses(benchmark, fromDate, toDate) {
+    return databaseManager.getAll(
+      `SELECT close_date as date, close
+       FROM index_closes
+       WHERE index_code = ? AND exchange = ? AND close_date BETWEEN ? AND ?
+       ORDER BY close_date`,
+      [benchmark.indexCode, benchmark.exchange, fromDate, toDate]
+    );
+  }
+
+  /**
+   * Get closes for a benchmark, downloading days missing from the cache
+   * Without a Breeze connection the cache is used as it stands
+   * @param {Object} benchmark - Resolved benchmark
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array>} - [{ date, close }] sorted by date
+   */
+  async getIndexCloses(benchmark, fromDate, toDate) {
+    try {
+      if (breezeClient.getStatus().connected) {
+        const range = databaseManager.getOne(
+          `SELECT MIN(close_date) as earliest, MAX(close_date) as latest
+           FROM index_closes
+           WHERE index_code = ? AND exchange = ?`,
+          [benchmark.indexCode, benchmark.exchange]
+        );
+
+        const missing = [];
+        if (!range || !range.earliest) {
+          missing.push([fromDate, toDate]);
+        } else {
+          if (fromDate < range.earliest) {
+            missing.push([fromDate, addDays(range.earliest, -1)]);
+          }
+          if (range.latest < toDate) {
+            missing.push([addDays(range.latest, 1), toDate]);
+          }
+        }
+
+        for (const [from, to] of missing) {
+          try {
+            const closes = await breezeClient.getDailyCloses(benchmark.indexCode, benchmark.exchange, from, to);
+            await this.saveCloses(benchmark, closes);
+          } catch (error) {
+            console.warn(`Failed to download ${benchmark.label} closes from ${from} to ${to}:`, error.message);
+          }
+        }
+      }
+
+      const closes = this.getCachedCloses(benchmark, fromDate, toDate);
+
+      if (closes.length === 0) {
+        throw new Error(`No ${benchmark.label} closes available. Connect the Breeze API in Settings → API Configuration to download them.`);
+      }
+
+      return closes;
+    } catch (error) {
+      console.error('Failed to get index closes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save downloaded closes to the cache
+   * @param {Object} benchmark - Resolved benchmark
+   * @param {Array} closes - [{ date, close }]
+   */
+  async saveCloses(benchmark, closes) {
+    if (closes.length === 0) {
+      return;
+    }
+
+    await databaseManager.withTransaction(async (tx) => {
+      for (const close of closes) {
+        tx.insert(
+          `INSERT INTO index_closes (index_code, exchange, close_date, close)
+           VALUES (?, ?, ?, ?)
+           ON CONFLICT(index_code, exchange, close_date) DO UPDATE SET
+             close = excluded.close,
+             updated_at = CURRENT_TIMESTAMP`,
+          [benchmark.indexCode, benchmark.exchange, close.date, close.close]
+        );
+      }
+    });
+
+    console.log(`✓ Cached ${closes.length} ${benchmark.label} closes`);
+  }
+
+  /**
+   * Compare the portfolio with the same cash flows invested in a benchmark
+   * @param {number} userId - User ID
+   * @param {Object} benchmark - Benchmark selection (see resolveBenchmark)
+   * @param {number|null} portfolioId - One portfolio, or null for all of the
+   *   user's portfolios combined
+   * @returns {Promise<Object>} - { benchmark, ...BenchmarkCalculator.calculatePME result }
+   */
+  async getComparison(userId, benchmark, portfolioId = null) {
+    try {
+      const resolved = this.resolveBenchmark(benchmark);
+      const accountId = portfolioId ? portfolioService.resolvePortfolioId(userId, portfolioId) : null;
+
+      const flows = portfolioSnapshotService.getDailyFlows(userId, accountId);
+      if (flows.length === 0) {
+        throw new Error('No transactions to compare');
+      }
+
+      const today = toDateKey(new Date());
+      const portfolio = PortfolioCalculator.getPortfolioWithGains(userId, accountId);
+
+      // Start a week early so the first buy has a close on or before it
+      const closes = await this.getIndexCloses(resolved, addDays(flows[0].date, -7), today);
+
+      return {
+        benchmark: resolved,
+        ...BenchmarkCalculator.calculatePME(flows, closes, portfolio.currentValue, today)
+      };
+    } catch (error) {
+      console.error('Failed to compare with benchmark:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new BenchmarkService();
@@ -0,0 +1,135 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+jest.mock('../api/breezeClient', () => ({
+  getStatus: jest.fn(),
+  getDailyCloses: jest.fn()
+}));
+
+jest.mock('./portfolioSnapshotService', () => ({
+  getDailyFlows: jest.fn()
+}));
+
+jest.mock('../portfolio/portfolioCalculator', () => ({
+  getPortfolioWithGains: jest.fn()
+}));
+
+jest.mock('./portfolioService', () => ({
+  resolvePortfolioId: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const breezeClient = require('../api/breezeClient');
+const portfolioSnapshotService = require('./portfolioSnapshotService');
+const PortfolioCalculator = require('../portfolio/portfolioCalculator');
+const portfolioService = require('./portfolioService');
+const benchmarkService = require('./benchmarkService');
+
+describe('BenchmarkService', () => {
+  const sensex = { key: 'SENSEX', label: 'BSE Sensex', indexCode: 'BSESEN', exchange: 'BSE' };
+  let saved;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    saved = [];
+    databaseManager.withTransaction.mockImplementation(async (callback) => (
+      callback({ insert: (sql, params) => saved.push(params) })
+    ));
+    databaseManager.getAll.mockReturnValue([{ date: '2024-01-02', close: 71000 }]);
+    breezeClient.getStatus.mockReturnValue({ connected: true });
+    breezeClient.getDailyCloses.mockResolvedValue([{ date: '2024-03-01', close: 73000 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveBenchmark', () => {
+    test('resolves built-in indices', () => {
+      expect(benchmarkService.resolveBenchmark({ key: 'nifty' }))
+        .toEqual({ key: 'NIFTY', label: 'Nifty 50', indexCode: 'NIFTY', exchange: 'NSE' });
+    });
+
+    test('accepts a custom ticker', () => {
+      expect(benchmarkService.resolveBenchmark({ key: 'CUSTOM', code: ' bankex ', exchange: 'bse' }))
+        .toEqual({ key: 'CUSTOM', label: 'BANKEX', indexCode: 'BANKEX', exchange: 'BSE' });
+    });
+
+    test('requires a ticker for a custom benchmark', () => {
+      expect(() => benchmarkService.resolveBenchmark({ key: 'CUSTOM' }))
+        .toThrow('A ticker is required for a custom benchmark');
+    });
+  });
+
+  describe('getIndexCloses', () => {
+    test('downloads only the days missing from the cache', async () => {
+      databaseManager.getOne.mockReturnValue({ earliest: '2024-01-02', latest: '2024-02-29' });
+
+      await benchmarkService.getIndexCloses(sensex, '2023-12-25', '2024-03-01');
+
+      expect(breezeClient.getDailyCloses.mock.calls).toEqual([
+        ['BSESEN', 'BSE', '2023-12-25', '2024-01-01'],
+        ['BSESEN', 'BSE', '2024-03-01', '2024-03-01']
+      ]);
+      expect(saved).toContainEqual(['BSESEN', 'BSE', '2024-03-01', 73000]);
+    });
+
+    test('uses the cache when Breeze is not connected', async () => {
+      breezeClient.getStatus.mockReturnValue({ connected: false });
+
+      const closes = await benchmarkService.getIndexCloses(sensex, '2024-01-01', '2024-03-01');
+
+      expect(closes).toEqual([{ date: '2024-01-02', close: 71000 }]);
+      expect(breezeClient.getDailyCloses).not.toHaveBeenCalled();
+    });
+
+    test('explains how to get closes when none are cached', async () => {
+      breezeClient.getStatus.mockReturnValue({ connected: false });
+      databaseManager.getAll.mockReturnValue([]);
+
+      await expect(benchmarkService.getIndexCloses(sensex, '2024-01-01', '2024-03-01'))
+        .rejects.toThrow('No BSE Sensex closes available');
+    });
+  });
+
+  describe('getComparison', () => {
+    beforeEach(() => {
+      portfolioSnapshotService.getDailyFlows.mockReturnValue([
+        { date: '2024-01-02', cashIn: 71000, cashOut: 0, dividends: 0 }
+      ]);
+      PortfolioCalculator.getPortfolioWithGains.mockReturnValue({ currentValue: 73000 });
+      portfolioService.resolvePortfolioId.mockImplementation((userId, portfolioId) => {
+        if (portfolioId !== 3) {
+          throw new Error(`Portfolio ${portfolioId} not found`);
+        }
+        return portfolioId;
+      });
+    });
+
+    test('compares one of the user\'s portfolios', async () => {
+      const comparison = await benchmarkService.getComparison(1, { key: 'SENSEX' }, 3);
+
+      expect(comparison.benchmark.key).toBe('SENSEX');
+      expect(portfolioSnapshotService.getDailyFlows).toHaveBeenCalledWith(1, 3);
+      expect(PortfolioCalculator.getPortfolioWithGains).toHaveBeenCalledWith(1, 3);
+    });
+
+    test('compares all accounts without a portfolio', async () => {
+      await benchmarkService.getComparison(1, { key: 'SENSEX' });
+
+      expect(portfolioService.resolvePortfolioId).not.toHaveBeenCalled();
+      expect(portfolioSnapshotService.getDailyFlows).toHaveBeenCalledWith(1, null);
+    });
+
+    test('rejects another user\'s portfolio', async () => {
+      await expect(benchmarkService.getComparison(1, { key: 'SENSEX' }, 9)).rejects.toThrow('Portfolio 9 not found');
+      expect(portfolioSnapshotService.getDailyFlows).not.toHaveBeenCalled();
+    });
+  });
+});
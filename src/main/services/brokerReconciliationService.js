@@ -0,0 +1,307 @@
+// Broker Reconciliation Service
+// Compares Breeze holdings with the holdings built from local transactions
+// and proposes the transactions that would bring the ledger in line: the
+// broker's own trades when they explain the difference, otherwise a single
+// balancing entry for the user to check
+const databaseManager = require('../database/index');
+const breezeClient = require('../api/breezeClient');
+const transactionManager = require('../transactions/transactionManager');
+const tradebookImportService = require('./tradebookImportService');
+const portfolioService = require('./portfolioService');
+const { parseAmount, parseTradeDate, parseTradeType } = require('./importParsers');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+const TradeChargesCalculator = require('../../utils/calculations/tradeCharges');
+
+// Breeze returns trades per exchange
+const TRADE_EXCHANGES = ['NSE', 'BSE'];
+
+// Derivative trades never become holdings
+const DERIVATIVE_PRODUCTS = /^(futures|options)/i;
+
+const DEFAULT_TRADE_DAYS = 30;
+
+/**
+ * Add days to a YYYY-MM-DD date key
+ */
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+class BrokerReconciliationService {
+  /**
+   * Get the broker's holdings, one entry per stock code
+   * @returns {Promise<Array>} - [{ stockCode, quantity, averagePrice, marketPrice }]
+   */
+  async getBrokerHoldings() {
+    const holdings = new Map();
+
+    for (const row of (await breezeClient.getPortfolioHoldings()) || []) {
+      const stockCode = String(row.stock_code || '').trim().toUpperCase();
+      const quantity = parseAmount(row.quantity);
+
+      if (!stockCode || isNaN(quantity) || quantity <= 0) {
+        continue;
+      }
+
+      const holding = holdings.get(stockCode) || { stockCode, quantity: 0, cost: 0, marketPrice: null };
+      const averagePrice = parseAmount(row.average_price);
+      const marketPrice = parseAmount(row.current_market_price);
+
+      holding.quantity += quantity;
+      holding.cost += quantity * (isNaN(averagePrice) ? 0 : averagePrice);
+      if (!isNaN(marketPrice) && marketPrice > 0) {
+        holding.marketPrice = marketPrice;
+      }
+      holdings.set(stockCode, holding);
+    }
+
+    return [...holdings.values()].map(({ cost, ...holding }) => ({
+      ...holding,
+      averagePrice: cost > 0 ? Math.round((cost / holding.quantity) * 100) / 100 : null
+    }));
+  }
+
+  /**
+   * Get the broker's delivery trades for a date range
+   * Breeze reports STT inside total_taxes, so the STT on the trade is taken
+   * out of the charges at the statutory rate and kept apart
+   * @returns {Promise<Array>} - [{ stockCode, type, quantity, price, charges, stt, date, orderId }]
+   */
+  async getBrokerTrades(fromDate, toDate) {
+    const trades = [];
+
+    for (const exchange of TRADE_EXCHANGES) {
+      for (const row of await breezeClient.getTradeList(fromDate, toDate, exchange)) {
+        if (DERIVATIVE_PRODUCTS.test(row.product_type || '')) {
+          continue;
+        }
+
+        const trade = {
+          stockCode: String(row.stock_code || '').trim().toUpperCase(),
+          type: parseTradeType(row.action),
+          quantity: Math.abs(parseAmount(row.quantity)),
+          price: parseAmount(row.average_cost),
+          charges: ['brokerage_amount', 'total_taxes'].reduce((sum, field) => {
+            const charge = parseAmount(row[field]);
+            return sum + (isNaN(charge) ? 0 : charge);
+          }, 0),
+          stt: 0,
+          date: parseTradeDate(row.trade_date),
+          orderId: row.order_id || null
+        };
+
+        if (trade.stockCode && trade.type && trade.date && trade.quantity > 0 && trade.price > 0) {
+          const taxes = parseAmount(row.total_taxes);
+          trade.stt = Math.min(TradeChargesCalculator.calculateStt(trade), isNaN(taxes) ? 0 : taxes);
+          trade.charges -= trade.stt;
+          trades.push(trade);
+        }
+      }
+    }
+
+    return trades.sort((a, b) => a.date.localeCompare(b.date) || (a.type === b.type ? 0 : a.type === 'BUY' ? -1 : 1));
+  }
+
+  /**
+   * Reconcile broker holdings with the local ledger
+   * Local quantities come from the open FIFO lots of the account the demat
+   * belongs to, so splits, bonuses and demergers are accounted for
+   * @param {number} userId - User ID
+   * @param {Object} options - { tradesFrom } first day of broker trades to
+   *   consider (defaults to 30 days ago)
+   * @param {number|null} portfolioId - Account to compare with (defaults to
+   *   the user's default portfolio)
+   * @returns {Promise<Object>} - { asOf, tradesFrom, tradesAvailable, portfolioId, rows, summary }
+   *   where each row has stockCode, symbol, stockId, brokerQuantity,
+   *   localQuantity, difference, status (MATCHED, MISMATCH or UNMAPPED) and
+   *   suggestions [{ key, type, quantity, price, charges, stt, date, source, notes }]
+   */
+  async reconcile(userId, options = {}, portfolioId = null) {
+    try {
+      if (!breezeClient.getStatus().connected) {
+        throw new Error('Connect the Breeze API in Settings → API Configuration to reconcile holdings');
+      }
+
+      const accountId = portfolioService.resolvePortfolioId(userId, portfolioId);
+      const today = toDateKey(new Date());
+      const tradesFrom = options.tradesFrom || addDays(today, -DEFAULT_TRADE_DAYS);
+
+      const brokerHoldings = await this.getBrokerHoldings();
+
+      let brokerTrades = [];
+      let tradesAvailable = true;
+      try {
+        brokerTrades = await this.getBrokerTrades(tradesFrom, today);
+      } catch (error) {
+        console.warn('Trade list unavailable, suggesting balancing entries only:', error.message);
+        tradesAvailable = false;
+      }
+
+      const local = new Map(
+        transactionManager.getPortfolioSummary(userId, accountId).holdings.map(holding => [holding.id, holding])
+      );
+
+      // Recorded transactions, consumed as broker trades are matched to them
+      const recorded = new Map();
+      for (const transaction of databaseManager.getAll(
+        `SELECT stock_id, transaction_type, quantity, price, transaction_date
+         FROM transactions
+         WHERE user_id = ? AND portfolio_id = ? AND transaction_date >= ?`,
+        [userId, accountId, tradesFrom]
+      )) {
+        const key = [transaction.stock_id, transaction.transaction_type, toDateKey(transaction.transaction_date), transaction.quantity].join('|');
+        if (!recorded.has(key)) {
+          recorded.set(key, []);
+        }
+        recorded.get(key).push(transaction.price);
+      }
+
+      const rows = [];
+      const seen = new Set();
+
+      const buildRow = (stockCode, stock, brokerHolding) => {
+        const localHolding = stock && stock.id ? local.get(stock.id) : null;
+        const brokerQuantity = brokerHolding ? brokerHolding.quantity : 0;
+        const localQuantity = localHolding ? localHolding.quantity : 0;
+        const difference = brokerQuantity - localQuantity;
+
+        const row = {
+          stockCode,
+          stockId: stock ? stock.id : null,
+          symbol: stock ? stock.symbol : stockCode,
+          companyName: stock ? stock.companyName : null,
+          isin: stock ? stock.isin : null,
+          brokerQuantity,
+          localQuantity,
+          difference,
+          status: !stock ? 'UNMAPPED' : difference === 0 ? 'MATCHED' : 'MISMATCH',
+          suggestions: []
+        };
+
+        if (row.status === 'MISMATCH') {
+          row.suggestions = this.suggestTransactions(row, brokerHolding, brokerTrades, recorded, today);
+        }
+
+        return row;
+      };
+
+      for (const holding of brokerHoldings) {
+        const stock = tradebookImportService.resolveStock({ symbol: holding.stockCode, isin: null });
+        if (stock && stock.id) {
+          seen.add(stock.id);
+        }
+        rows.push(buildRow(holding.stockCode, stock, holding));
+      }
+
+      // Held locally but not at the broker
+      for (const holding of local.values()) {
+        if (!seen.has(holding.id)) {
+          rows.push(buildRow(holding.symbol, { id: holding.id, symbol: holding.symbol, companyName: holding.name, isin: null }, null));
+        }
+      }
+
+      rows.sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+      const summary = { matched: 0, mismatch: 0, unmapped: 0 };
+      for (const row of rows) {
+        summary[row.status.toLowerCase()]++;
+      }
+
+      return { asOf: today, tradesFrom, tradesAvailable, portfolioId: accountId, rows, summary };
+    } catch (error) {
+      console.error('Failed to reconcile broker holdings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Suggest the transactions that close a row's difference
+   * Unrecorded broker trades are used when their net quantity equals the
+   * difference exactly; otherwise one balancing entry dated today, at the
+   * broker's average price for a buy or the market price for a sell
+   */
+  suggestTransactions(row, brokerHolding, brokerTrades, recorded, today) {
+    const unrecorded = brokerTrades.filter(trade => {
+      if (trade.stockCode !== row.stockCode && trade.stockCode !== row.symbol) {
+        return false;
+      }
+      if (!row.stockId) {
+        return true;
+      }
+
+      const prices = recorded.get([row.stockId, trade.type, trade.date, trade.quantity].join('|')) || [];
+      const match = prices.findIndex(price => Math.abs(price - trade.price) < 0.01);
+      if (match !== -1) {
+        prices.splice(match, 1);
+        return false;
+      }
+      return true;
+    });
+
+    const net = unrecorded.reduce((sum, trade) => sum + (trade.type === 'BUY' ? trade.quantity : -trade.quantity), 0);
+
+    if (unrecorded.length > 0 && net === row.difference) {
+      return unrecorded.map((trade, index) => ({
+        key: `${row.stockCode}-${index}`,
+        type: trade.type,
+        quantity: trade.quantity,
+        price: trade.price,
+        charges: Math.round(trade.charges * 100) / 100,
+        stt: trade.stt,
+        date: trade.date,
+        source: 'TRADE',
+        notes: `Synced from Breeze${trade.orderId ? ` (order ${trade.orderId})` : ''}`
+      }));
+    }
+
+    const isBuy = row.difference > 0;
+    const price = brokerHolding
+      ? (isBuy ? brokerHolding.averagePrice : brokerHolding.marketPrice)
+      : null;
+
+    return [{
+      key: `${row.stockCode}-balance`,
+      type: isBuy ? 'BUY' : 'SELL',
+      quantity: Math.abs(row.difference),
+      price,
+      charges: 0,
+      stt: 0,
+      date: today,
+      source: 'BALANCE',
+      notes: 'Balancing entry from Breeze reconciliation'
+    }];
+  }
+
+  /**
+   * Create the transactions confirmed from a reconciliation
+   * @param {number} userId - User ID
+   * @param {Array} transactions - [{ key, stockId, symbol, companyName, isin,
+   *   type, quantity, price, charges, stt, date, notes }]
+   * @param {number|null} portfolioId - Account the transactions go into
+   * @returns {Promise<Object>} - { imported, failed: [{ key, symbol, message }] }
+   */
+  async createTransactions(userId, transactions, portfolioId = null) {
+    try {
+      if (!Array.isArray(transactions) || transactions.length === 0) {
+        throw new Error('No transactions to create');
+      }
+
+      const ordered = [...transactions].sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.type === b.type ? 0 : a.type === 'BUY' ? -1 : 1)
+      );
+
+      const result = await tradebookImportService.recordTrades(userId, ordered, portfolioService.resolvePortfolioId(userId, portfolioId));
+
+      console.log(`Created ${result.imported} transactions from Breeze reconciliation (${result.failed.length} failed)`);
+
+      return result;
+    } catch (error) {
+      console.error('Failed to create reconciliation transactions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new BrokerReconciliationService();
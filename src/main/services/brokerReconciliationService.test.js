@@ -0,0 +1,174 @@
+/**
+ * @jest-environment node
+ */
+
+jest.mock('electron', () => ({
+  app: { isPackaged: false }
+}));
+
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn()
+}));
+
+jest.mock('../transactions/transactionManager', () => ({
+  getPortfolioSummary: jest.fn(),
+  addBuyTransaction: jest.fn(),
+  addSellTransaction: jest.fn(),
+  emitPortfolioUpdate: jest.fn()
+}));
+
+jest.mock('../stocks/stockManager', () => ({
+  createStock: jest.fn()
+}));
+
+jest.mock('./portfolioService', () => ({
+  resolvePortfolioId: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const portfolioService = require('./portfolioService');
+const breezeClient = require('../api/breezeClient');
+const { createMockBreezeServer } = require('../../../scripts/mockBreezeServer');
+const brokerReconciliationService = require('./brokerReconciliationService');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+const STOCKS = {
+  RELIANCE: { id: 1, symbol: 'RELIANCE', company_name: 'Reliance Industries Ltd', isin: 'INE002A01018' },
+  INFY: { id: 2, symbol: 'INFY', company_name: 'Infosys Ltd', isin: 'INE009A01021' },
+  TCS: { id: 3, symbol: 'TCS', company_name: 'Tata Consultancy Services', isin: 'INE467B01029' }
+};
+
+// Trade dates relative to today so they fall in the default 30-day window
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date;
+};
+const breezeDate = (date) => date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }).replace(/ /g, '-');
+
+describe('BrokerReconciliationService', () => {
+  const buyDate = daysAgo(10);
+  const sellDate = daysAgo(3);
+  let server;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    server = createMockBreezeServer({
+      holdings: [
+        { stock_code: 'RELIANCE', quantity: '10', average_price: '2450.00', current_market_price: '2900.00' },
+        { stock_code: 'INFY', quantity: '25', average_price: '1400.00', current_market_price: '1550.00' },
+        { stock_code: 'UNKNOWNCO', quantity: '4', average_price: '10.00', current_market_price: '12.00' }
+      ],
+      trades: [
+        { stock_code: 'INFY', exchange_code: 'NSE', product_type: 'Cash', action: 'Buy', quantity: '5', average_cost: '1500.00', trade_date: breezeDate(buyDate), order_id: 'A1', brokerage_amount: '7.50', total_taxes: '9.18' },
+        { stock_code: 'TCS', exchange_code: 'BSE', product_type: 'Cash', action: 'Sell', quantity: '8', average_cost: '3900.00', trade_date: breezeDate(sellDate), order_id: 'A2', brokerage_amount: '15.60', total_taxes: '40.00' },
+        { stock_code: 'INFY', exchange_code: 'NSE', product_type: 'Options', action: 'Buy', quantity: '300', average_cost: '12.00', trade_date: breezeDate(sellDate), order_id: 'A3' }
+      ]
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    breezeClient.baseURL = `http://127.0.0.1:${server.address().port}`;
+    breezeClient.initialize('mock-app-key', 'mock-secret', 'mock-api-session');
+    await breezeClient.getCustomerDetails();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    databaseManager.getOne.mockImplementation((sql, params) => STOCKS[params[0]] || null);
+    databaseManager.getAll.mockReturnValue([]);
+    transactionManager.getPortfolioSummary.mockReturnValue({
+      holdings: [
+        { id: 1, symbol: 'RELIANCE', name: 'Reliance Industries Ltd', quantity: 10 },
+        { id: 2, symbol: 'INFY', name: 'Infosys Ltd', quantity: 20 },
+        { id: 3, symbol: 'TCS', name: 'Tata Consultancy Services', quantity: 8 }
+      ]
+    });
+    portfolioService.resolvePortfolioId.mockImplementation((userId, portfolioId) => portfolioId || 4);
+    transactionManager.addBuyTransaction.mockResolvedValue({});
+    transactionManager.addSellTransaction.mockResolvedValue({});
+  });
+
+  test('flags mismatched and unmapped holdings from the broker', async () => {
+    const result = await brokerReconciliationService.reconcile(7);
+
+    expect(result.tradesAvailable).toBe(true);
+    expect(result.summary).toEqual({ matched: 1, mismatch: 2, unmapped: 1 });
+    expect(result.rows.map(row => [row.symbol, row.brokerQuantity, row.localQuantity, row.status])).toEqual([
+      ['INFY', 25, 20, 'MISMATCH'],
+      ['RELIANCE', 10, 10, 'MATCHED'],
+      ['TCS', 0, 8, 'MISMATCH'],
+      ['UNKNOWNCO', 4, 0, 'UNMAPPED']
+    ]);
+  });
+
+  test('compares the broker with one account only', async () => {
+    const result = await brokerReconciliationService.reconcile(7, {}, 6);
+
+    expect(result.portfolioId).toBe(6);
+    expect(portfolioService.resolvePortfolioId).toHaveBeenCalledWith(7, 6);
+    expect(transactionManager.getPortfolioSummary).toHaveBeenCalledWith(7, 6);
+    const [sql, params] = databaseManager.getAll.mock.calls[0];
+    expect(sql).toContain('portfolio_id = ?');
+    expect(params.slice(0, 2)).toEqual([7, 6]);
+  });
+
+  test('suggests the unrecorded broker trades that explain a difference', async () => {
+    const result = await brokerReconciliationService.reconcile(7);
+    const infy = result.rows.find(row => row.symbol === 'INFY');
+    const tcs = result.rows.find(row => row.symbol === 'TCS');
+
+    expect(infy.suggestions).toEqual([expect.objectContaining({
+      type: 'BUY',
+      quantity: 5,
+      price: 1500,
+      charges: 8.68,
+      stt: 8,
+      date: toDateKey(buyDate),
+      source: 'TRADE',
+      notes: 'Synced from Breeze (order A1)'
+    })]);
+    expect(tcs.suggestions).toEqual([expect.objectContaining({ type: 'SELL', quantity: 8, price: 3900, source: 'TRADE' })]);
+  });
+
+  test('falls back to a balancing entry when the trades are already recorded', async () => {
+    databaseManager.getAll.mockReturnValue([
+      { stock_id: 2, transaction_type: 'BUY', quantity: 5, price: 1500, transaction_date: toDateKey(buyDate) }
+    ]);
+
+    const result = await brokerReconciliationService.reconcile(7);
+    const infy = result.rows.find(row => row.symbol === 'INFY');
+
+    expect(infy.suggestions).toEqual([expect.objectContaining({
+      type: 'BUY',
+      quantity: 5,
+      price: 1400,
+      date: toDateKey(new Date()),
+      source: 'BALANCE'
+    })]);
+  });
+
+  test('creates confirmed transactions buys first and emits one update', async () => {
+    const result = await brokerReconciliationService.createTransactions(7, [
+      { key: 'TCS-0', stockId: 3, symbol: 'TCS', type: 'SELL', quantity: 8, price: 3900, charges: 24.6, stt: 31, date: '2024-01-10', notes: 'Synced from Breeze' },
+      { key: 'INFY-0', stockId: 2, symbol: 'INFY', type: 'BUY', quantity: 5, price: 1500, charges: 8.68, stt: 8, date: '2024-01-10', notes: 'Synced from Breeze' }
+    ]);
+
+    expect(result).toEqual({ imported: 2, failed: [] });
+    expect(transactionManager.addBuyTransaction.mock.invocationCallOrder[0])
+      .toBeLessThan(transactionManager.addSellTransaction.mock.invocationCallOrder[0]);
+    expect(transactionManager.addSellTransaction).toHaveBeenCalledWith(
+      7, 3, 8, 3900, '2024-01-10', 'Synced from Breeze', { charges: 24.6, stt: 31, deferUpdate: true, portfolioId: 4 }
+    );
+    expect(transactionManager.emitPortfolioUpdate).toHaveBeenCalledTimes(1);
+  });
+});
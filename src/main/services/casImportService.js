@@ -0,0 +1,364 @@
+// CAS Import Service
+// Reads the holdings sections of a CDSL/NSDL Consolidated Account Statement
+// (the text extracted from the PDF, e.g. with `pdftotext -layout`) and
+// compares the demat holdings with the holdings built from local
+// transactions. Mutual fund folios in the statement are recorded in
+// mutual_funds.
+const fs = require('fs');
+const path = require('path');
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const mutualFundService = require('./mutualFundService');
+const portfolioService = require('./portfolioService');
+const tradebookImportService = require('./tradebookImportService');
+const { parseAmount, parseTradeDate } = require('./importParsers');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+// Every holding line starts with its 12-character ISIN
+const ISIN_LINE = /^\s*(IN[A-Z0-9]{10})\s+(.*)$/;
+
+// Section headings. Folio statements list one scheme per folio; everything
+// else with an ISIN is held in a demat account
+const MUTUAL_FUND_SECTION = /mutual fund folios|mf folios|folio no/i;
+const DEMAT_SECTION = /demat account|^\s*equities|^\s*equity shares|\b(dp|bo) id\b/i;
+
+const STATEMENT_DATE = /\b(?:as on|to)\s+(\d{1,2}[-/ ][A-Za-z]{3}[A-Za-z]*[-/ ,]+\d{4})/i;
+
+// A holding's name can wrap onto the next lines of the PDF text
+const MAX_CONTINUATION_LINES = 2;
+
+// Tolerance when checking quantity x price against the value column
+const VALUE_TOLERANCE = 0.005;
+
+/**
+ * Check whether a token is a number column, treating dashes as zero
+ */
+function isNumberToken(token) {
+  return /^-+$/.test(token) || /^-?₹?[\d,]+(\.\d+)?$/.test(token);
+}
+
+/**
+ * Find the quantity and price in a holding's number columns
+ * The quantity is the first number that, multiplied by a later number (the
+ * price or NAV), gives a value further along. When it does so more than once
+ * (units x average cost = cost, units x NAV = value), the last product wins.
+ * @param {Array<number>} numbers - Number columns in statement order
+ * @returns {Object|null} - { index, quantity, price, value }
+ */
+function findQuantity(numbers) {
+  for (let i = 0; i < numbers.length; i++) {
+    let found = null;
+
+    for (let j = i + 1; j < numbers.length; j++) {
+      for (let k = j + 1; k < numbers.length; k++) {
+        const [quantity, price, value] = [numbers[i], numbers[j], numbers[k]];
+        if (quantity > 0 && price > 0 && value > 0 &&
+            Math.abs(quantity * price - value) <= Math.max(1, value * VALUE_TOLERANCE)) {
+          found = { index: i, quantity, price, value };
+        }
+      }
+    }
+
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+class CASImportService {
+  /**
+   * Read a statement's text
+   * @param {string} filePath - Path to the extracted text
+   * @returns {string}
+   */
+  readStatement(filePath) {
+    if (path.extname(filePath).toLowerCase() === '.pdf') {
+      throw new Error('Extract the statement text first (for example `pdftotext -layout cas.pdf`) and import the .txt file');
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (!text.trim()) {
+      throw new Error('Statement file is empty');
+    }
+
+    return text;
+  }
+
+  /**
+   * Parse the holdings in a statement
+   * @param {string} text - Statement text
+   * @returns {Object} - { statementDate, equities, mutualFunds, errors } where
+   *   equities are [{ isin, name, quantity, price, value, lines }] (one per
+   *   ISIN across demat accounts) and mutualFunds are
+   *   [{ isin, folioNumber, schemeName, units, nav, value, line }]
+   */
+  parseStatement(text) {
+    const lines = text.split(/\r?\n/);
+    const dateMatch = text.match(STATEMENT_DATE);
+    const statementDate = (dateMatch && parseTradeDate(dateMatch[1])) || toDateKey(new Date());
+
+    const records = [];
+    let section = 'DEMAT';
+    let current = null;
+
+    lines.forEach((line, index) => {
+      const isinMatch = line.match(ISIN_LINE);
+
+      if (isinMatch) {
+        current = { section, isin: isinMatch[1], text: isinMatch[2], line: index + 1, continuations: 0 };
+        records.push(current);
+        return;
+      }
+
+      if (MUTUAL_FUND_SECTION.test(line)) {
+        section = 'MUTUAL_FUND';
+        current = null;
+      } else if (DEMAT_SECTION.test(line)) {
+        section = 'DEMAT';
+        current = null;
+      } else if (current && line.trim() && current.continuations < MAX_CONTINUATION_LINES &&
+                 !findQuantity(this.splitColumns(current.text).numbers)) {
+        current.text += ` ${line.trim()}`;
+        current.continuations++;
+      }
+    });
+
+    const equities = new Map();
+    const mutualFunds = [];
+    const errors = [];
+
+    for (const record of records) {
+      const { tokens, numbers, tailStart } = this.splitColumns(record.text);
+      const match = findQuantity(numbers);
+
+      if (!match) {
+        errors.push({ line: record.line, isin: record.isin, message: 'Could not read the quantity and value' });
+        continue;
+      }
+
+      if (record.section === 'MUTUAL_FUND') {
+        // The folio is the column before the units; a plain-number folio
+        // lands among the number columns
+        let nameEnd = tailStart;
+        let folioNumber = null;
+        if (match.index > 0) {
+          folioNumber = tokens.slice(tailStart, tailStart + match.index).join(' ');
+        } else if (tailStart > 0 && /\d/.test(tokens[tailStart - 1])) {
+          folioNumber = tokens[tailStart - 1];
+          nameEnd = tailStart - 1;
+        }
+
+        // Drop the UCC scheme code some statements print before the name
+        const nameTokens = tokens.slice(0, nameEnd);
+        if (nameTokens.length > 1 && /^[A-Z]+\d[A-Z0-9]*$/.test(nameTokens[0])) {
+          nameTokens.shift();
+        }
+
+        mutualFunds.push({
+          isin: record.isin,
+          folioNumber,
+          schemeName: nameTokens.join(' '),
+          units: match.quantity,
+          nav: match.price,
+          value: Math.round(match.value * 100) / 100,
+          line: record.line
+        });
+        continue;
+      }
+
+      if (!Number.isInteger(match.quantity)) {
+        errors.push({ line: record.line, isin: record.isin, message: `Fractional quantity ${match.quantity}` });
+        continue;
+      }
+
+      const equity = equities.get(record.isin) || {
+        isin: record.isin,
+        name: tokens.slice(0, tailStart).join(' '),
+        quantity: 0,
+        price: match.price,
+        value: 0,
+        lines: []
+      };
+      equity.quantity += match.quantity;
+      equity.value += match.value;
+      equity.lines.push(record.line);
+      equities.set(record.isin, equity);
+    }
+
+    return { statementDate, equities: [...equities.values()], mutualFunds, errors };
+  }
+
+  /**
+   * Split a holding line into its text and trailing number columns
+   * @returns {Object} - { tokens, numbers, tailStart }
+   */
+  splitColumns(text) {
+    const tokens = text.trim().split(/\s+/);
+    let tailStart = tokens.length;
+
+    while (tailStart > 0 && isNumberToken(tokens[tailStart - 1])) {
+      tailStart--;
+    }
+
+    const numbers = tokens.slice(tailStart).map(token => {
+      const value = parseAmount(token.replace(/^-+$/, '0'));
+      return isNaN(value) ? 0 : value;
+    });
+
+    return { tokens, numbers, tailStart };
+  }
+
+  /**
+   * Compare a statement with the local ledger
+   * @param {number} userId - User ID
+   * @param {string} filePath - Path to the statement text
+   * @param {number|null} portfolioId - Account the statement covers (null for all)
+   * @returns {Object} - { fileName, statementDate, holdings, mutualFunds,
+   *   errors, summary } where holdings carry casQuantity, localQuantity,
+   *   difference and status (MATCHED, DRIFT or UNMAPPED), and mutual funds a
+   *   key and status (NEW, UPDATE, MATCHED or SKIPPED)
+   */
+  previewImport(userId, filePath, portfolioId = null) {
+    try {
+      const { statementDate, equities, mutualFunds, errors } = this.parseStatement(this.readStatement(filePath));
+
+      const local = new Map(
+        transactionManager.getPortfolioSummary(userId, portfolioId).holdings.map(holding => [holding.id, holding])
+      );
+
+      const holdings = [];
+      const seen = new Set();
+
+      for (const equity of equities) {
+        const stock = tradebookImportService.resolveStock({ isin: equity.isin, symbol: null });
+        const localHolding = stock && stock.id ? local.get(stock.id) : null;
+        const localQuantity = localHolding ? localHolding.quantity : 0;
+
+        if (stock && stock.id) {
+          seen.add(stock.id);
+        }
+
+        holdings.push({
+          isin: equity.isin,
+          name: stock ? stock.companyName || equity.name : equity.name,
+          symbol: stock ? stock.symbol : null,
+          stockId: stock ? stock.id : null,
+          casQuantity: equity.quantity,
+          localQuantity,
+          difference: equity.quantity - localQuantity,
+          value: Math.round(equity.value * 100) / 100,
+          status: !stock ? 'UNMAPPED' : equity.quantity === localQuantity ? 'MATCHED' : 'DRIFT'
+        });
+      }
+
+      // Held locally but missing from the statement
+      for (const holding of local.values()) {
+        if (seen.has(holding.id)) {
+          continue;
+        }
+
+        const stock = databaseManager.getOne('SELECT isin, isin_code FROM stocks WHERE id = ?', [holding.id]);
+        holdings.push({
+          isin: stock ? stock.isin || stock.isin_code || null : null,
+          name: holding.name,
+          symbol: holding.symbol,
+          stockId: holding.id,
+          casQuantity: 0,
+          localQuantity: holding.quantity,
+          difference: -holding.quantity,
+          value: 0,
+          status: 'DRIFT'
+        });
+      }
+
+      holdings.sort((a, b) => (a.symbol || a.name).localeCompare(b.symbol || b.name));
+
+      const funds = mutualFunds.map(folio => {
+        const key = `${folio.isin}-${folio.folioNumber || folio.line}`;
+
+        if (!(folio.value > 0)) {
+          return { ...folio, key, mutualFundId: null, recordedValue: null, status: 'SKIPPED' };
+        }
+
+        const existing = mutualFundService.findStatementFolio(userId, folio);
+        const unchanged = existing &&
+          Math.abs(existing.current_value - folio.value) < 1 &&
+          existing.units === folio.units &&
+          existing.folio_number === folio.folioNumber;
+
+        return {
+          ...folio,
+          key,
+          mutualFundId: existing ? existing.id : null,
+          recordedValue: existing ? existing.current_value : null,
+          status: !existing ? 'NEW' : unchanged ? 'MATCHED' : 'UPDATE'
+        };
+      });
+
+      const summary = { matched: 0, drift: 0, unmapped: 0, newFunds: 0, updatedFunds: 0 };
+      for (const holding of holdings) {
+        summary[holding.status.toLowerCase()]++;
+      }
+      summary.newFunds = funds.filter(fund => fund.status === 'NEW').length;
+      summary.updatedFunds = funds.filter(fund => fund.status === 'UPDATE').length;
+
+      return {
+        fileName: path.basename(filePath),
+        statementDate,
+        holdings,
+        mutualFunds: funds,
+        errors,
+        summary
+      };
+    } catch (error) {
+      console.error('Failed to preview CAS import:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the statement's mutual fund folios
+   * The statement is read again so that only what was previewed is written
+   * @param {number} userId - User ID
+   * @param {string} filePath - Path to the statement text
+   * @param {Array<string>} keys - Keys of the folios to record
+   * @param {number|null} portfolioId - Account new folios go in (default portfolio when null)
+   * @returns {Promise<Object>} - { created, updated, failed: [{ key, schemeName, message }] }
+   */
+  async importMutualFunds(userId, filePath, keys, portfolioId = null) {
+    try {
+      const accountId = portfolioService.resolvePortfolioId(userId, portfolioId);
+      const preview = this.previewImport(userId, filePath, portfolioId);
+      const selected = new Set(keys || []);
+      const result = { created: 0, updated: 0, failed: [] };
+
+      for (const folio of preview.mutualFunds) {
+        if (!selected.has(folio.key) || (folio.status !== 'NEW' && folio.status !== 'UPDATE')) {
+          continue;
+        }
+
+        try {
+          const { created } = await mutualFundService.recordStatementFolio(userId, {
+            ...folio,
+            statementDate: preview.statementDate,
+            portfolioId: accountId
+          });
+          result[created ? 'created' : 'updated']++;
+        } catch (error) {
+          result.failed.push({ key: folio.key, schemeName: folio.schemeName, message: error.message });
+        }
+      }
+
+      console.log(`CAS import recorded ${result.created} new and ${result.updated} updated folios (${result.failed.length} failed)`);
+
+      return result;
+    } catch (error) {
+      console.error('Failed to import CAS mutual funds:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CASImportService();
@@ -0,0 +1,185 @@
+jest.mock('fs', () => ({
+  readFileSync: jest.fn()
+}));
+
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn()
+}));
+
+jest.mock('../transactions/transactionManager', () => ({
+  getPortfolioSummary: jest.fn()
+}));
+
+jest.mock('./mutualFundService', () => ({
+  findStatementFolio: jest.fn(),
+  recordStatementFolio: jest.fn()
+}));
+
+jest.mock('./tradebookImportService', () => ({
+  resolveStock: jest.fn()
+}));
+
+jest.mock('./portfolioService', () => ({
+  resolvePortfolioId: jest.fn()
+}));
+
+const fs = require('fs');
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const mutualFundService = require('./mutualFundService');
+const tradebookImportService = require('./tradebookImportService');
+const portfolioService = require('./portfolioService');
+const casImportService = require('./casImportService');
+
+// Holdings sections as extracted with pdftotext -layout
+const STATEMENT = [
+  'Consolidated Account Statement',
+  'Statement for the period from 01-Jan-2024 to 31-Jan-2024',
+  '',
+  'NSDL Demat Account',
+  'DP Name: ICICI BANK LIMITED   DP ID: IN300183   Client ID: 12345678',
+  'Equities (E)',
+  'ISIN           Stock Symbol   Company Name                 Face Value   No. of Shares   Market Price   Value',
+  'INE002A01018   RELIANCE.NSE   RELIANCE INDUSTRIES LIMITED      10.00              12       2,900.00     34,800.00',
+  'INE009A01021   INFY.NSE       INFOSYS LIMITED                   5.00              25       1,550.00     38,750.00',
+  '',
+  'CDSL Demat Account',
+  'BO ID: 1208160000001234',
+  'ISIN           Security                          Current Bal   Frozen Bal   Pledge Bal   Free Bal   Market Price   Value',
+  'INE009A01021   INFOSYS LIMITED#EQUITY SHARES          5.000        --           --          5.000     1,550.00     7,750.00',
+  'INE999Z01011   OBSCURE HOLDINGS LIMITED#EQUITY',
+  '               SHARES                                  4.000        --           --          4.000        12.00        48.00',
+  '',
+  'Mutual Fund Folios (F)',
+  'ISIN           UCC          Description                                   Folio No.     No. of Units   Average Cost   Total Cost    NAV        Current Value   Unrealised P/L',
+  'INF179K01BB8   MFHDFC0001   HDFC Top 100 Fund - Direct Plan - Growth      1234567/89    123.456        700.0000       86,419.20     1,050.25   1,29,659.66     43,240.46',
+  'INF209K01YY7   MFABSL0002   Aditya Birla SL Liquid Fund - Growth          91234567      10.000         350.0000       3,500.00      380.00     3,800.00        300.00'
+].join('\n');
+
+describe('CASImportService', () => {
+  const reliance = { id: 1, symbol: 'RELIANCE', companyName: 'Reliance Industries Ltd', isin: 'INE002A01018' };
+  const infy = { id: 2, symbol: 'INFY', companyName: 'Infosys Ltd', isin: 'INE009A01021' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    fs.readFileSync.mockReturnValue(STATEMENT);
+    tradebookImportService.resolveStock.mockImplementation(({ isin }) => ({
+      INE002A01018: reliance,
+      INE009A01021: infy
+    })[isin] || null);
+    transactionManager.getPortfolioSummary.mockReturnValue({
+      holdings: [
+        { id: 1, symbol: 'RELIANCE', name: 'Reliance Industries Ltd', quantity: 10 },
+        { id: 2, symbol: 'INFY', name: 'Infosys Ltd', quantity: 30 },
+        { id: 3, symbol: 'TCS', name: 'Tata Consultancy Services', quantity: 8 }
+      ]
+    });
+    databaseManager.getOne.mockReturnValue({ isin: 'INE467B01029', isin_code: null });
+    mutualFundService.findStatementFolio.mockReturnValue(null);
+    mutualFundService.recordStatementFolio.mockResolvedValue({ id: 5, created: true });
+    portfolioService.resolvePortfolioId.mockImplementation((userId, portfolioId) => portfolioId || 3);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseStatement', () => {
+    test('reads demat quantities across NSDL and CDSL layouts', () => {
+      const { statementDate, equities, errors } = casImportService.parseStatement(STATEMENT);
+
+      expect(statementDate).toBe('2024-01-31');
+      expect(errors).toEqual([]);
+      expect(equities.map(e => [e.isin, e.quantity])).toEqual([
+        ['INE002A01018', 12],
+        ['INE009A01021', 30],
+        ['INE999Z01011', 4]
+      ]);
+    });
+
+    test('reads folio, units and current value of mutual fund folios', () => {
+      const { mutualFunds } = casImportService.parseStatement(STATEMENT);
+
+      expect(mutualFunds).toEqual([
+        expect.objectContaining({
+          isin: 'INF179K01BB8',
+          folioNumber: '1234567/89',
+          schemeName: 'HDFC Top 100 Fund - Direct Plan - Growth',
+          units: 123.456,
+          nav: 1050.25,
+          value: 129659.66
+        }),
+        expect.objectContaining({
+          isin: 'INF209K01YY7',
+          folioNumber: '91234567',
+          schemeName: 'Aditya Birla SL Liquid Fund - Growth',
+          units: 10,
+          value: 3800
+        })
+      ]);
+    });
+
+    test('reports holdings whose quantity cannot be read', () => {
+      const { errors } = casImportService.parseStatement('INE002A01018   RELIANCE INDUSTRIES LIMITED   12');
+
+      expect(errors).toEqual([expect.objectContaining({ isin: 'INE002A01018', line: 1 })]);
+    });
+  });
+
+  describe('previewImport', () => {
+    test('reports drift against the computed holdings', () => {
+      const preview = casImportService.previewImport(1, '/tmp/cas.txt');
+
+      expect(preview.holdings.map(h => [h.symbol || h.isin, h.casQuantity, h.localQuantity, h.status])).toEqual([
+        ['INFY', 30, 30, 'MATCHED'],
+        ['INE999Z01011', 4, 0, 'UNMAPPED'],
+        ['RELIANCE', 12, 10, 'DRIFT'],
+        ['TCS', 0, 8, 'DRIFT']
+      ]);
+      expect(preview.summary).toEqual({ matched: 1, drift: 2, unmapped: 1, newFunds: 2, updatedFunds: 0 });
+    });
+
+    test('marks folios already recorded with the same value as matched', () => {
+      mutualFundService.findStatementFolio.mockImplementation((userId, folio) => folio.folioNumber === '91234567'
+        ? { id: 4, current_value: 3800, units: 10, folio_number: '91234567' }
+        : { id: 3, current_value: 120000, units: 123.456, folio_number: null });
+
+      const { mutualFunds } = casImportService.previewImport(1, '/tmp/cas.txt');
+
+      expect(mutualFunds.map(f => [f.mutualFundId, f.status])).toEqual([[3, 'UPDATE'], [4, 'MATCHED']]);
+    });
+
+    test('asks for extracted text instead of a PDF', () => {
+      expect(() => casImportService.previewImport(1, '/tmp/cas.pdf')).toThrow('pdftotext');
+    });
+  });
+
+  describe('importMutualFunds', () => {
+    test('records only the selected folios with the statement date', async () => {
+      const result = await casImportService.importMutualFunds(1, '/tmp/cas.txt', ['INF179K01BB8-1234567/89']);
+
+      expect(result).toEqual({ created: 1, updated: 0, failed: [] });
+      expect(mutualFundService.recordStatementFolio).toHaveBeenCalledTimes(1);
+      expect(mutualFundService.recordStatementFolio).toHaveBeenCalledWith(1, expect.objectContaining({
+        folioNumber: '1234567/89',
+        units: 123.456,
+        value: 129659.66,
+        statementDate: '2024-01-31',
+        portfolioId: 3
+      }));
+    });
+
+    test('compares with and records into the chosen account', async () => {
+      await casImportService.importMutualFunds(1, '/tmp/cas.txt', ['INF179K01BB8-1234567/89'], 6);
+
+      expect(transactionManager.getPortfolioSummary).toHaveBeenCalledWith(1, 6);
+      expect(mutualFundService.recordStatementFolio).toHaveBeenCalledWith(1, expect.objectContaining({
+        folioNumber: '1234567/89',
+        portfolioId: 6
+      }));
+    });
+  });
+});
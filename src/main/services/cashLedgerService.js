@@ -0,0 +1,351 @@
+// Cash Ledger Service
+// Keeps the cash balance of each portfolio. Deposits and withdrawals are
+// entered by hand; buys, sells, their charges and dividends are read from
+// their own records, so edits to a trade show up in the ledger straight away.
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const dividendService = require('./dividendService');
+const portfolioService = require('./portfolioService');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+const CASH_ENTRY_TYPES = ['DEPOSIT', 'WITHDRAWAL'];
+
+// Balances within half a paisa of zero are not a shortfall
+const BALANCE_TOLERANCE = 0.005;
+
+/**
+ * Round to paise
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Order ledger entries by date, with a day's credits before its debits so
+ * that a sale funds a buy made the same day
+ */
+function compareEntries(a, b) {
+  if (a.date !== b.date) {
+    return a.date < b.date ? -1 : 1;
+  }
+  return (a.amount < 0) - (b.amount < 0);
+}
+
+class CashLedgerService {
+  /**
+   * Get the deposits and withdrawals recorded for a portfolio
+   * @param {number} userId - User ID
+   * @param {number} portfolioId - Portfolio ID
+   * @returns {Array} - [{ id, portfolio_id, entry_type, amount, entry_date, notes }]
+   */
+  getCashEntries(userId, portfolioId) {
+    try {
+      return databaseManager.getAll(
+        `SELECT id, portfolio_id, entry_type, amount, entry_date, notes, created_at
+         FROM cash_entries
+         WHERE user_id = ? AND portfolio_id = ?
+         ORDER BY entry_date, id`,
+        [userId, portfolioId]
+      );
+    } catch (error) {
+      console.error('Failed to get cash entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a deposit or withdrawal
+   * @param {number} userId - User ID
+   * @param {Object} entry - { portfolioId, entryType, amount, entryDate, notes }
+   * @returns {Promise<number>} - Cash entry ID
+   */
+  async addCashEntry(userId, entry) {
+    try {
+      if (!entry || !CASH_ENTRY_TYPES.includes(entry.entryType)) {
+        throw new Error(`Entry type must be one of ${CASH_ENTRY_TYPES.join(', ')}`);
+      }
+
+      const amount = parseFloat(entry.amount);
+      if (!(amount > 0)) {
+        throw new Error('Amount must be greater than 0');
+      }
+
+      if (!entry.entryDate || isNaN(new Date(entry.entryDate).getTime())) {
+        throw new Error('A valid date is required');
+      }
+
+      const entryDate = toDateKey(entry.entryDate);
+      if (entryDate > toDateKey(new Date())) {
+        throw new Error('Date cannot be in the future');
+      }
+
+      const portfolioId = portfolioService.resolvePortfolioId(userId, entry.portfolioId || null);
+      const now = new Date().toISOString();
+
+      const id = await databaseManager.insert(
+        `INSERT INTO cash_entries (user_id, portfolio_id, entry_type, amount, entry_date, notes, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, portfolioId, entry.entryType, roundAmount(amount), entryDate, entry.notes || null, now, now]
+      );
+
+      console.log(`Cash ${entry.entryType.toLowerCase()} of ₹${amount} recorded in portfolio ${portfolioId}`);
+      return id;
+    } catch (error) {
+      console.error('Failed to add cash entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a deposit or withdrawal
+   * @param {number} userId - User ID
+   * @param {number} entryId - Cash entry ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteCashEntry(userId, entryId) {
+    try {
+      const changes = await databaseManager.delete(
+        'DELETE FROM cash_entries WHERE id = ? AND user_id = ?',
+        [entryId, userId]
+      );
+
+      if (!changes) {
+        throw new Error(`Cash entry ${entryId} not found`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Failed to delete cash entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a portfolio's share of the user's dividends
+   * Dividends are recorded per user, so each one is split across portfolios
+   * by the shares each held on the record date. A dividend on shares no
+   * portfolio held goes to the default portfolio.
+   * @param {number} userId - User ID
+   * @param {number} portfolioId - Portfolio ID
+   * @returns {Array} - Dividend rows with quantity, gross_amount, tds_amount
+   *   and net_amount restated for the portfolio
+   */
+  getPortfolioDividends(userId, portfolioId) {
+    try {
+      const portfolioIds = portfolioService.getPortfolioIds(userId);
+      const dividends = dividendService.getDividends(userId);
+
+      if (portfolioIds.length <= 1) {
+        return portfolioIds.includes(portfolioId) ? dividends : [];
+      }
+
+      const defaultPortfolioId = portfolioService.getDefaultPortfolioId(userId);
+      const allocated = [];
+
+      for (const dividend of dividends) {
+        const held = portfolioIds.map(id => ({
+          id,
+          quantity: transactionManager.getQuantityHeldOn(userId, dividend.stock_id, dividend.record_date, id)
+        }));
+        const total = held.reduce((sum, h) => sum + h.quantity, 0);
+        const share = total > 0
+          ? (held.find(h => h.id === portfolioId) || { quantity: 0 }).quantity / total
+          : (portfolioId === defaultPortfolioId ? 1 : 0);
+
+        if (share <= 0) {
+          continue;
+        }
+
+        const grossAmount = roundAmount(dividend.gross_amount * share);
+        const tdsAmount = roundAmount(dividend.tds_amount * share);
+
+        allocated.push({
+          ...dividend,
+          quantity: total > 0 ? Math.round(dividend.quantity * share) : dividend.quantity,
+          gross_amount: grossAmount,
+          tds_amount: tdsAmount,
+          net_amount: roundAmount(grossAmount - tdsAmount)
+        });
+      }
+
+      return allocated;
+    } catch (error) {
+      console.error('Failed to allocate dividends:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build one portfolio's ledger with its running balance
+   * @param {number} userId - User ID
+   * @param {number} portfolioId - Portfolio ID
+   * @returns {Array} - Ledger entries in date order
+   */
+  buildPortfolioEntries(userId, portfolioId) {
+    const entries = [];
+
+    for (const cash of this.getCashEntries(userId, portfolioId)) {
+      entries.push({
+        key: `cash-${cash.id}`,
+        date: cash.entry_date,
+        type: cash.entry_type,
+        description: cash.notes || (cash.entry_type === 'DEPOSIT' ? 'Deposit' : 'Withdrawal'),
+        amount: cash.entry_type === 'DEPOSIT' ? cash.amount : -cash.amount,
+        cashEntryId: cash.id
+      });
+    }
+
+    const transactions = databaseManager.getAll(
+      `SELECT t.id, t.stock_id, s.symbol, t.transaction_type, t.quantity, t.price,
+              COALESCE(t.charges, 0) + COALESCE(t.stt, 0) as charges, t.transaction_date
+       FROM transactions t
+       JOIN stocks s ON t.stock_id = s.id
+       WHERE t.user_id = ? AND t.portfolio_id = ?
+       ORDER BY t.transaction_date, t.id`,
+      [userId, portfolioId]
+    );
+
+    for (const t of transactions) {
+      const value = roundAmount(t.quantity * t.price);
+      const isBuy = t.transaction_type === 'BUY';
+
+      entries.push({
+        key: `trade-${t.id}`,
+        date: toDateKey(t.transaction_date),
+        type: t.transaction_type,
+        description: `${isBuy ? 'Bought' : 'Sold'} ${t.quantity} ${t.symbol} @ ₹${t.price}`,
+        amount: isBuy ? -value : value,
+        transactionId: t.id,
+        stockId: t.stock_id,
+        symbol: t.symbol
+      });
+
+      if (t.charges > 0) {
+        entries.push({
+          key: `charges-${t.id}`,
+          date: toDateKey(t.transaction_date),
+          type: 'CHARGES',
+          description: `Charges and STT on ${t.symbol} ${isBuy ? 'buy' : 'sell'}`,
+          amount: -roundAmount(t.charges),
+          transactionId: t.id,
+          stockId: t.stock_id,
+          symbol: t.symbol
+        });
+      }
+    }
+
+    for (const dividend of this.getPortfolioDividends(userId, portfolioId)) {
+      entries.push({
+        key: `dividend-${dividend.id}`,
+        date: dividend.payment_date || dividend.record_date,
+        type: 'DIVIDEND',
+        description: `Dividend on ${dividend.quantity} ${dividend.symbol}` +
+          (dividend.tds_amount > 0 ? ` (₹${dividend.tds_amount} TDS)` : ''),
+        amount: dividend.net_amount,
+        dividendId: dividend.id,
+        stockId: dividend.stock_id,
+        symbol: dividend.symbol
+      });
+    }
+
+    entries.sort(compareEntries);
+
+    let balance = 0;
+    return entries.map(entry => {
+      balance = roundAmount(balance + entry.amount);
+      return {
+        ...entry,
+        portfolioId,
+        accountBalance: balance,
+        // A debit that takes the account below zero was paid with cash it did not have
+        negative: entry.amount < 0 && balance < -BALANCE_TOLERANCE
+      };
+    });
+  }
+
+  /**
+   * Get the cash ledger of one portfolio or all of them
+   * Negative balances are checked per account, since one account's cash
+   * cannot pay for another's trades
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
+   * @returns {Object} - { entries, balance, totals, negativeTrades, hasCashEntries }
+   *   where entries carry a signed amount, the running balance of the view,
+   *   the accountBalance of their own portfolio and a negative flag
+   */
+  getLedger(userId, portfolioId = null) {
+    try {
+      const portfolioIds = portfolioId
+        ? [portfolioService.resolvePortfolioId(userId, portfolioId)]
+        : portfolioService.getPortfolioIds(userId);
+
+      const entries = portfolioIds
+        .flatMap(id => this.buildPortfolioEntries(userId, id))
+        .sort(compareEntries);
+
+      const totals = { deposits: 0, withdrawals: 0, purchases: 0, sales: 0, charges: 0, dividends: 0 };
+      const totalKeys = {
+        DEPOSIT: 'deposits',
+        WITHDRAWAL: 'withdrawals',
+        BUY: 'purchases',
+        SELL: 'sales',
+        CHARGES: 'charges',
+        DIVIDEND: 'dividends'
+      };
+
+      let balance = 0;
+      const negativeTrades = new Map();
+
+      for (const entry of entries) {
+        balance = roundAmount(balance + entry.amount);
+        entry.balance = balance;
+        totals[totalKeys[entry.type]] = roundAmount(totals[totalKeys[entry.type]] + Math.abs(entry.amount));
+
+        if (entry.negative && entry.transactionId && !negativeTrades.has(entry.transactionId)) {
+          negativeTrades.set(entry.transactionId, {
+            transactionId: entry.transactionId,
+            portfolioId: entry.portfolioId,
+            date: entry.date,
+            symbol: entry.symbol,
+            shortfall: roundAmount(-entry.accountBalance)
+          });
+        }
+      }
+
+      return {
+        entries,
+        balance,
+        totals,
+        negativeTrades: [...negativeTrades.values()],
+        hasCashEntries: entries.some(entry => entry.cashEntryId)
+      };
+    } catch (error) {
+      console.error('Failed to get cash ledger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the money that went into and came out of the portfolio
+   * Deposits are outflows and withdrawals inflows for the investor. The flows
+   * only describe the portfolio when every trade was paid from recorded cash,
+   * which `funded` reports.
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
+   * @returns {Object} - { flows: [{ date, amount }], balance, funded }
+   */
+  getExternalFlows(userId, portfolioId = null) {
+    const ledger = this.getLedger(userId, portfolioId);
+
+    return {
+      flows: ledger.entries
+        .filter(entry => entry.cashEntryId)
+        .map(entry => ({ date: entry.date, amount: -entry.amount })),
+      balance: ledger.balance,
+      funded: ledger.hasCashEntries && !ledger.entries.some(entry => entry.accountBalance < -BALANCE_TOLERANCE)
+    };
+  }
+}
+
+module.exports = new CashLedgerService();
+module.exports.CASH_ENTRY_TYPES = CASH_ENTRY_TYPES;
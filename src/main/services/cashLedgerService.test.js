@@ -0,0 +1,185 @@
+jest.mock('../database/index', () => ({
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  delete: jest.fn()
+}));
+
+jest.mock('../transactions/transactionManager', () => ({
+  getQuantityHeldOn: jest.fn()
+}));
+
+jest.mock('./dividendService', () => ({
+  getDividends: jest.fn()
+}));
+
+jest.mock('./portfolioService', () => ({
+  getPortfolioIds: jest.fn(),
+  getDefaultPortfolioId: jest.fn(),
+  resolvePortfolioId: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const dividendService = require('./dividendService');
+const portfolioService = require('./portfolioService');
+const cashLedgerService = require('./cashLedgerService');
+
+describe('CashLedgerService', () => {
+  let cashEntries;
+  let transactions;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    cashEntries = {
+      1: [{ id: 11, portfolio_id: 1, entry_type: 'DEPOSIT', amount: 10000, entry_date: '2024-01-02', notes: null }],
+      2: []
+    };
+    transactions = {
+      1: [
+        { id: 21, stock_id: 7, symbol: 'INFY', transaction_type: 'BUY', quantity: 5, price: 1500, charges: 10, transaction_date: '2024-01-05' },
+        { id: 22, stock_id: 7, symbol: 'INFY', transaction_type: 'SELL', quantity: 5, price: 1600, charges: 12, transaction_date: '2024-02-01' },
+        { id: 23, stock_id: 8, symbol: 'TCS', transaction_type: 'BUY', quantity: 4, price: 4000, charges: 0, transaction_date: '2024-02-01' }
+      ],
+      2: [
+        { id: 31, stock_id: 7, symbol: 'INFY', transaction_type: 'BUY', quantity: 2, price: 1500, charges: 0, transaction_date: '2024-01-10' }
+      ]
+    };
+
+    databaseManager.getAll.mockImplementation((query, params) => {
+      if (query.includes('FROM cash_entries')) {
+        return cashEntries[params[1]] || [];
+      }
+      return transactions[params[1]] || [];
+    });
+    portfolioService.getPortfolioIds.mockReturnValue([1]);
+    portfolioService.getDefaultPortfolioId.mockReturnValue(1);
+    portfolioService.resolvePortfolioId.mockImplementation((userId, portfolioId) => portfolioId || 1);
+    dividendService.getDividends.mockReturnValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getLedger', () => {
+    test('keeps a running balance with charges as separate debits', () => {
+      const ledger = cashLedgerService.getLedger(1, 1);
+
+      expect(ledger.entries.map(entry => [entry.type, entry.amount, entry.balance])).toEqual([
+        ['DEPOSIT', 10000, 10000],
+        ['BUY', -7500, 2500],
+        ['CHARGES', -10, 2490],
+        // The day's sale is credited before the buy it pays for
+        ['SELL', 8000, 10490],
+        ['CHARGES', -12, 10478],
+        ['BUY', -16000, -5522]
+      ]);
+      expect(ledger.balance).toBe(-5522);
+      expect(ledger.totals).toEqual({
+        deposits: 10000,
+        withdrawals: 0,
+        purchases: 23500,
+        sales: 8000,
+        charges: 22,
+        dividends: 0
+      });
+    });
+
+    test('flags trades the account had no cash for', () => {
+      const ledger = cashLedgerService.getLedger(1, 1);
+
+      expect(ledger.entries.filter(entry => entry.negative).map(entry => entry.key)).toEqual(['trade-23']);
+      expect(ledger.negativeTrades).toEqual([
+        { transactionId: 23, portfolioId: 1, date: '2024-02-01', symbol: 'TCS', shortfall: 5522 }
+      ]);
+    });
+
+    test('checks each account\'s own cash in the all-accounts view', () => {
+      portfolioService.getPortfolioIds.mockReturnValue([1, 2]);
+      transactions[1] = transactions[1].slice(0, 1);
+      transactionManager.getQuantityHeldOn.mockReturnValue(0);
+
+      const ledger = cashLedgerService.getLedger(1);
+
+      // Account 1's deposit covers the combined balance but not account 2's buy
+      expect(ledger.balance).toBe(-510);
+      expect(ledger.negativeTrades.map(trade => trade.transactionId)).toEqual([31]);
+      expect(ledger.entries.find(entry => entry.key === 'trade-31').accountBalance).toBe(-3000);
+    });
+  });
+
+  describe('getPortfolioDividends', () => {
+    test('splits a dividend by the shares each account held on the record date', () => {
+      portfolioService.getPortfolioIds.mockReturnValue([1, 2]);
+      dividendService.getDividends.mockReturnValue([{
+        id: 41, stock_id: 7, symbol: 'INFY', record_date: '2024-01-20', payment_date: '2024-02-10',
+        quantity: 10, gross_amount: 200, tds_amount: 20, net_amount: 180
+      }]);
+      transactionManager.getQuantityHeldOn.mockImplementation((userId, stockId, recordDate, portfolioId) => (
+        portfolioId === 1 ? 6 : 4
+      ));
+
+      const [dividend] = cashLedgerService.getPortfolioDividends(1, 2);
+
+      expect(transactionManager.getQuantityHeldOn).toHaveBeenCalledWith(1, 7, '2024-01-20', 2);
+      expect(dividend).toEqual(expect.objectContaining({
+        quantity: 4,
+        gross_amount: 80,
+        tds_amount: 8,
+        net_amount: 72
+      }));
+    });
+
+    test('credits dividends on shares no account held to the default account', () => {
+      portfolioService.getPortfolioIds.mockReturnValue([1, 2]);
+      dividendService.getDividends.mockReturnValue([{
+        id: 41, stock_id: 9, symbol: 'ITC', record_date: '2024-01-20', payment_date: null,
+        quantity: 10, gross_amount: 60, tds_amount: 0, net_amount: 60
+      }]);
+      transactionManager.getQuantityHeldOn.mockReturnValue(0);
+
+      expect(cashLedgerService.getPortfolioDividends(1, 1)).toHaveLength(1);
+      expect(cashLedgerService.getPortfolioDividends(1, 2)).toHaveLength(0);
+    });
+  });
+
+  describe('addCashEntry', () => {
+    test('records a deposit in the resolved portfolio', async () => {
+      databaseManager.insert.mockResolvedValue(12);
+
+      const id = await cashLedgerService.addCashEntry(1, {
+        portfolioId: 2, entryType: 'DEPOSIT', amount: '2500.256', entryDate: '2024-03-01'
+      });
+
+      expect(id).toBe(12);
+      expect(portfolioService.resolvePortfolioId).toHaveBeenCalledWith(1, 2);
+      expect(databaseManager.insert.mock.calls[0][1].slice(0, 6)).toEqual([1, 2, 'DEPOSIT', 2500.26, '2024-03-01', null]);
+    });
+
+    test('rejects unknown entry types and future dates', async () => {
+      await expect(cashLedgerService.addCashEntry(1, { entryType: 'FEE', amount: 10, entryDate: '2024-03-01' }))
+        .rejects.toThrow('Entry type must be one of');
+      await expect(cashLedgerService.addCashEntry(1, { entryType: 'WITHDRAWAL', amount: 10, entryDate: '2999-01-01' }))
+        .rejects.toThrow('future');
+      expect(databaseManager.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getExternalFlows', () => {
+    test('uses deposits and withdrawals once the ledger paid for every trade', () => {
+      cashEntries[1].push({ id: 12, portfolio_id: 1, entry_type: 'DEPOSIT', amount: 6000, entry_date: '2024-01-31', notes: null });
+
+      expect(cashLedgerService.getExternalFlows(1, 1)).toEqual({
+        flows: [{ date: '2024-01-02', amount: -10000 }, { date: '2024-01-31', amount: -6000 }],
+        balance: 478,
+        funded: true
+      });
+    });
+
+    test('reports a ledger that went below zero as unfunded', () => {
+      expect(cashLedgerService.getExternalFlows(1, 1).funded).toBe(false);
+    });
+  });
+});
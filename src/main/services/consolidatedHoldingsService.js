@@ -3,6 +3,7 @@ const databaseManager = require('../database/index');
 const priceManager = require('../api/priceManager');
 const stockExposureCalculator = require('./stockExposureCalculator');
 const mutualFundService = require('./mutualFundService');
+const { calculateOverlap, buildOverlapMatrix, findHiddenConcentration } = require('../../utils/calculations/fundOverlap');
 
 class ConsolidatedHoldingsService {
   /**
@@ -56,7 +57,7 @@ class ConsolidatedHoldingsService {
       const directHoldingsMap = await this.getDirectHoldings(userId);
 
       // Get indirect holdings
-      const indirectHoldings = await stockExposureCalculator.calculateAllIndirectHoldings();
+      const indirectHoldings = await stockExposureCalculator.calculateAllIndirectHoldings(userId);
       const aggregatedIndirect = stockExposureCalculator.aggregateIndirectHoldings(indirectHoldings);
 
       // Collect all unique stock symbols
@@ -152,8 +153,10 @@ class ConsolidatedHoldingsService {
       }
 
       // Get total mutual fund value
-      const mutualFunds = await mutualFundService.getAllMutualFunds();
-      const mutualFundValue = mutualFunds.reduce((sum, mf) => sum + mf.current_value, 0);
+      const mutualFunds = await mutualFundService.getAllMutualFunds(userId);
+      const mutualFundValue = mutualFunds
+        .filter(mf => mf.units !== 0)
+        .reduce((sum, mf) => sum + mf.current_value, 0);
 
       const totalValue = directValue + mutualFundValue;
 
@@ -170,6 +173,100 @@ class ConsolidatedHoldingsService {
       throw error;
     }
   }
+
+  /**
+   * Find where funds and direct holdings double up
+   * @param {number} userId - User ID
+   * @param {number} threshold - Combined weight (%) above which a stock is a
+   *   hidden concentration
+   * @returns {Promise<Object>} - { threshold, totalValue, funds, fundOverlap,
+   *   directOverlap, concentration } where fundOverlap is the pairwise overlap
+   *   matrix in the order of funds
+   */
+  async getOverlapAnalysis(userId, threshold = 5) {
+    try {
+      if (!(threshold > 0 && threshold < 100)) {
+        throw new Error('Threshold must be between 0 and 100');
+      }
+
+      const { holdings, summary } = await this.getConsolidatedHoldings(userId);
+
+      // Fully redeemed funds hold nothing
+      const mutualFunds = (await mutualFundService.getAllMutualFunds(userId)).filter(mf => mf.units !== 0);
+
+      const funds = mutualFunds.map(mf => {
+        const weights = new Map();
+        for (const allocation of stockExposureCalculator.getFundAllocations(mf)) {
+          const existing = weights.get(allocation.stock_symbol);
+          weights.set(allocation.stock_symbol, {
+            weight: (existing ? existing.weight : 0) + allocation.allocation_percent,
+            name: allocation.stock_name
+          });
+        }
+        return { id: mf.id, name: mf.scheme_name, value: mf.current_value, weights };
+      });
+
+      // Direct holdings weighted within the stocks held directly
+      const directWeights = new Map();
+      if (summary.directValue > 0) {
+        for (const holding of holdings) {
+          if (holding.directHoldings.value > 0) {
+            directWeights.set(holding.stockSymbol, {
+              weight: (holding.directHoldings.value / summary.directValue) * 100,
+              name: holding.stockName
+            });
+          }
+        }
+      }
+
+      const directOverlap = funds.map(fund => {
+        const { overlapPercent, commonStocks } = calculateOverlap(fund.weights, directWeights);
+        return {
+          mutualFundId: fund.id,
+          overlapPercent,
+          commonStocks: commonStocks.slice(0, 5).map(stock => ({
+            stockSymbol: stock.stockSymbol,
+            stockName: stock.stockName,
+            fundWeight: stock.weightA,
+            directWeight: stock.weightB
+          }))
+        };
+      });
+
+      const concentration = findHiddenConcentration(
+        holdings.map(holding => ({
+          stockSymbol: holding.stockSymbol,
+          stockName: holding.stockName,
+          directValue: holding.directHoldings.value,
+          indirectValue: holding.indirectHoldings.totalValue,
+          breakdown: holding.indirectHoldings.breakdown.map(fund => ({
+            mutualFundId: fund.mutualFundId,
+            mutualFundName: fund.mutualFundName,
+            value: fund.shares * holding.currentPrice
+          }))
+        })),
+        summary.totalValue,
+        threshold
+      );
+
+      return {
+        threshold,
+        totalValue: summary.totalValue,
+        funds: funds.map(fund => ({
+          id: fund.id,
+          name: fund.name,
+          value: fund.value,
+          stockCount: fund.weights.size
+        })),
+        fundOverlap: buildOverlapMatrix(funds),
+        directOverlap,
+        concentration
+      };
+    } catch (error) {
+      console.error('Failed to get overlap analysis:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new ConsolidatedHoldingsService();
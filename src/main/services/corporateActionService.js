@@ -0,0 +1,391 @@
+// Corporate Action Service
+// Records splits, bonuses, consolidations, demergers and rights issues per
+// stock and rebuilds FIFO matches from the ex-date so realized gains use the
+// adjusted lots. Actions are shared by every holder of the stock, so each
+// change is recorded in the activity audit with the user who made it
+const databaseManager = require('../database/index');
+const stockManager = require('../stocks/stockManager');
+const transactionManager = require('../transactions/transactionManager');
+const TransactionService = require('./transactionService');
+const AuditLogger = require('./auditLogger');
+const { validateCorporateAction } = require('../../utils/calculations/corporateActions');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+class CorporateActionService {
+  constructor() {
+    this.transactionService = new TransactionService(databaseManager);
+    this.auditLogger = new AuditLogger(databaseManager);
+  }
+
+  /**
+   * Get all corporate actions with stock details
+   * @returns {Array} - [{ id, stock_id, symbol, company_name, action_type, old_shares, new_shares, ex_date,
+   *   resulting_stock_id, resulting_symbol, cost_ratio, issue_price, notes }]
+   */
+  getAllActions() {
+    try {
+      return databaseManager.getAll(
+        `SELECT ca.id, ca.stock_id, s.symbol, s.company_name, ca.action_type,
+                ca.old_shares, ca.new_shares, ca.ex_date, ca.resulting_stock_id,
+                rs.symbol as resulting_symbol, ca.cost_ratio, ca.issue_price,
+                ca.notes, ca.created_at
+         FROM corporate_actions ca
+         JOIN stocks s ON ca.stock_id = s.id
+         LEFT JOIN stocks rs ON ca.resulting_stock_id = rs.id
+         ORDER BY ca.ex_date DESC, s.symbol`
+      );
+    } catch (error) {
+      console.error('Failed to get corporate actions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get users holding a stock, directly or through a company it was
+   * demerged from
+   * @param {number} stockId - Stock ID
+   * @returns {Array<number>} - User IDs
+   */
+  getAffectedUsers(stockId) {
+    return databaseManager.getAll(
+      `WITH RECURSIVE sources(stock_id) AS (
+         SELECT ?
+         UNION
+         SELECT ca.stock_id
+         FROM corporate_actions ca
+         JOIN sources src ON ca.resulting_stock_id = src.stock_id
+         WHERE ca.action_type = 'DEMERGER'
+       )
+       SELECT DISTINCT user_id FROM transactions
+       WHERE stock_id IN (SELECT stock_id FROM sources)`,
+      [stockId]
+    ).map(row => row.user_id);
+  }
+
+  /**
+   * Record a corporate action and rebuild FIFO matches from its ex-date
+   * @param {number} userId - User recording the action
+   * @param {Object} action - { stockId, actionType, oldShares, newShares, exDate, notes }
+   *   plus resultingStockId and costRatio (0-1) for a demerger, issuePrice for rights
+   * @returns {Promise<Object>} - { id, affectedUsers }
+   */
+  async addAction(userId, action) {
+    const normalized = {
+      actionType: String(action.actionType || '').toUpperCase(),
+      oldShares: parseInt(action.oldShares, 10),
+      newShares: parseInt(action.newShares, 10),
+      exDate: action.exDate,
+      costRatio: action.costRatio !== undefined && action.costRatio !== null
+        ? parseFloat(action.costRatio)
+        : null,
+      issuePrice: action.issuePrice !== undefined && action.issuePrice !== null
+        ? parseFloat(action.issuePrice)
+        : null
+    };
+
+    validateCorporateAction(normalized);
+
+    const exDate = toDateKey(normalized.exDate);
+    if (exDate > toDateKey(new Date())) {
+      throw new Error('Ex-date cannot be in the future');
+    }
+
+    const stock = stockManager.getStockById(action.stockId);
+    let resultingStock = null;
+
+    if (normalized.actionType === 'DEMERGER') {
+      resultingStock = stockManager.getStockById(action.resultingStockId);
+      if (resultingStock.id === stock.id) {
+        throw new Error('The resulting company must differ from the demerged company');
+      }
+
+      // Cost ratios of a multi-way demerger are shares of the same cost
+      const { total } = databaseManager.getOne(
+        `SELECT COALESCE(SUM(cost_ratio), 0) as total FROM corporate_actions
+         WHERE stock_id = ? AND action_type = 'DEMERGER' AND ex_date = ?`,
+        [stock.id, exDate]
+      );
+      if (total + normalized.costRatio >= 1) {
+        throw new Error(`The demergers on ${exDate} would move all of ${stock.symbol}'s cost to the resulting companies`);
+      }
+    }
+
+    // resulting_stock_id is NULL outside demergers, which the table's UNIQUE
+    // key does not compare
+    const duplicate = databaseManager.getOne(
+      `SELECT id FROM corporate_actions
+       WHERE stock_id = ? AND action_type = ? AND ex_date = ? AND resulting_stock_id IS ?`,
+      [stock.id, normalized.actionType, exDate, resultingStock ? resultingStock.id : null]
+    );
+    if (duplicate) {
+      throw new Error(`A ${normalized.actionType.toLowerCase()} on ${exDate} is already recorded for ${stock.symbol}`);
+    }
+
+    const affectedUsers = this.getAffectedUsers(stock.id);
+    const transactionContext = await databaseManager.beginTransaction();
+    let actionId;
+
+    try {
+      const result = databaseManager.executeInTransaction(
+        transactionContext,
+        `INSERT INTO corporate_actions
+         (stock_id, action_type, old_shares, new_shares, ex_date, resulting_stock_id,
+          cost_ratio, issue_price, notes, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          stock.id,
+          normalized.actionType,
+          normalized.oldShares,
+          normalized.newShares,
+          exDate,
+          resultingStock ? resultingStock.id : null,
+          normalized.actionType === 'DEMERGER' ? normalized.costRatio : null,
+          normalized.actionType === 'RIGHTS' ? normalized.issuePrice : null,
+          action.notes || null,
+          new Date().toISOString()
+        ]
+      );
+
+      // Rights shares are recorded as buys when subscribed, so existing
+      // lots are unaffected. Demerged lots are rebuilt with the parent.
+      const usersToRecalculate = normalized.actionType === 'RIGHTS' ? [] : affectedUsers;
+
+      for (const holderId of usersToRecalculate) {
+        await this.transactionService.recalculateFIFO(
+          transactionContext,
+          holderId,
+          stock.id,
+          new Date(exDate)
+        );
+      }
+
+      await databaseManager.commitTransaction(transactionContext);
+
+      actionId = result.lastInsertRowid;
+      console.log(`Corporate action recorded: ${stock.symbol} ${normalized.actionType} ` +
+        `${normalized.oldShares}:${normalized.newShares} ex ${exDate}`);
+    } catch (error) {
+      await databaseManager.rollbackTransaction(transactionContext);
+      console.error('Failed to add corporate action:', error);
+      if (error.message && error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(`A ${normalized.actionType.toLowerCase()} on ${exDate} is already recorded for ${stock.symbol}`);
+      }
+      throw error;
+    }
+
+    // Logged once committed, the audit is written on its own connection
+    await this.auditLogger.logActivity(userId, 'CORPORATE_ACTION', actionId, 'ADD', {
+      symbol: stock.symbol,
+      actionType: normalized.actionType,
+      oldShares: normalized.oldShares,
+      newShares: normalized.newShares,
+      exDate,
+      resultingSymbol: resultingStock ? resultingStock.symbol : null,
+      affectedUsers: affectedUsers.length
+    });
+
+    return {
+      id: actionId,
+      affectedUsers
+    };
+  }
+
+  /**
+   * Delete a corporate action and rebuild FIFO matches from its ex-date
+   * @param {number} userId - User deleting the action
+   * @param {number} actionId - Corporate action ID
+   * @returns {Promise<Object>} - { affectedUsers }
+   */
+  async deleteAction(userId, actionId) {
+    const action = databaseManager.getOne(
+      `SELECT ca.id, ca.stock_id, s.symbol, ca.action_type, ca.old_shares, ca.new_shares,
+              ca.resulting_stock_id, rs.symbol as resulting_symbol, ca.ex_date
+       FROM corporate_actions ca
+       JOIN stocks s ON ca.stock_id = s.id
+       LEFT JOIN stocks rs ON ca.resulting_stock_id = rs.id
+       WHERE ca.id = ?`,
+      [actionId]
+    );
+
+    if (!action) {
+      throw new Error(`Corporate action ${actionId} not found`);
+    }
+
+    if (action.action_type === 'RIGHTS') {
+      const subscriptions = databaseManager.getOne(
+        'SELECT COUNT(*) as count FROM transactions WHERE corporate_action_id = ?',
+        [actionId]
+      );
+
+      if (subscriptions.count > 0) {
+        throw new Error('Delete the rights subscription transactions before removing this rights issue');
+      }
+    }
+
+    const affectedUsers = this.getAffectedUsers(action.stock_id);
+    const transactionContext = await databaseManager.beginTransaction();
+
+    try {
+      // Sells matched against its bonus or demerged lots go first, they are
+      // re-matched below
+      databaseManager.executeInTransaction(
+        transactionContext,
+        'DELETE FROM realized_gains WHERE corporate_action_id = ?',
+        [actionId]
+      );
+
+      databaseManager.executeInTransaction(
+        transactionContext,
+        'DELETE FROM corporate_actions WHERE id = ?',
+        [actionId]
+      );
+
+      for (const holderId of affectedUsers) {
+        await this.transactionService.recalculateFIFO(
+          transactionContext,
+          holderId,
+          action.stock_id,
+          new Date(action.ex_date)
+        );
+
+        // The resulting company no longer receives demerged lots
+        if (action.action_type === 'DEMERGER') {
+          await this.transactionService.recalculateFIFO(
+            transactionContext,
+            holderId,
+            action.resulting_stock_id,
+            new Date(action.ex_date)
+          );
+        }
+      }
+
+      await databaseManager.commitTransaction(transactionContext);
+
+      console.log(`Corporate action deleted: ${actionId}`);
+    } catch (error) {
+      await databaseManager.rollbackTransaction(transactionContext);
+      console.error('Failed to delete corporate action:', error);
+      throw error;
+    }
+
+    await this.auditLogger.logActivity(userId, 'CORPORATE_ACTION', action.id, 'DELETE', {
+      symbol: action.symbol,
+      actionType: action.action_type,
+      oldShares: action.old_shares,
+      newShares: action.new_shares,
+      exDate: action.ex_date,
+      resultingSymbol: action.resulting_symbol,
+      affectedUsers: affectedUsers.length
+    });
+
+    return { affectedUsers };
+  }
+
+  /**
+   * Get a rights issue with stock details
+   * @param {number} actionId - Corporate action ID
+   * @returns {Object} - Rights issue row
+   */
+  getRightsIssue(actionId) {
+    const action = databaseManager.getOne(
+      `SELECT ca.id, ca.stock_id, s.symbol, ca.old_shares, ca.new_shares, ca.ex_date, ca.issue_price
+       FROM corporate_actions ca
+       JOIN stocks s ON ca.stock_id = s.id
+       WHERE ca.id = ? AND ca.action_type = 'RIGHTS'`,
+      [actionId]
+    );
+
+    if (!action) {
+      throw new Error(`Rights issue ${actionId} not found`);
+    }
+
+    return action;
+  }
+
+  /**
+   * Get a user's rights entitlement
+   * Entitlement is based on shares held on the record date, which is the
+   * ex-date under T+1 settlement
+   * @param {number} userId - User ID
+   * @param {number} actionId - Rights issue ID
+   * @returns {Object} - { actionId, symbol, issuePrice, sharesHeld, entitled, subscribed, remaining }
+   */
+  getRightsEntitlement(userId, actionId) {
+    try {
+      const action = this.getRightsIssue(actionId);
+      const sharesHeld = transactionManager.getQuantityHeldOn(userId, action.stock_id, action.ex_date);
+      const entitled = Math.floor(sharesHeld * action.new_shares / action.old_shares + 1e-9);
+
+      const subscribed = databaseManager.getOne(
+        `SELECT COALESCE(SUM(quantity), 0) as quantity
+         FROM transactions
+         WHERE user_id = ? AND corporate_action_id = ? AND transaction_type = 'BUY'`,
+        [userId, actionId]
+      ).quantity;
+
+      return {
+        actionId: action.id,
+        symbol: action.symbol,
+        issuePrice: action.issue_price,
+        sharesHeld,
+        entitled,
+        subscribed,
+        remaining: Math.max(entitled - subscribed, 0)
+      };
+    } catch (error) {
+      console.error('Failed to get rights entitlement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to a rights issue
+   * Rights shares are acquired on the allotment date at the issue price, so
+   * they are recorded as a buy linked to the rights issue
+   * @param {number} userId - User ID
+   * @param {number} actionId - Rights issue ID
+   * @param {Object} subscription - { quantity, allotmentDate }
+   * @returns {Promise<Object>} - The buy transaction
+   */
+  async subscribeRights(userId, actionId, subscription) {
+    try {
+      const action = this.getRightsIssue(actionId);
+      const quantity = parseInt(subscription.quantity, 10);
+      const allotmentDate = subscription.allotmentDate;
+
+      if (!quantity || quantity <= 0) {
+        throw new Error('Quantity must be greater than 0');
+      }
+
+      if (!allotmentDate || toDateKey(allotmentDate) < toDateKey(action.ex_date)) {
+        throw new Error('Allotment date cannot be before the ex-date');
+      }
+
+      const entitlement = this.getRightsEntitlement(userId, actionId);
+      if (quantity > entitlement.remaining) {
+        throw new Error(`Only ${entitlement.remaining} rights shares of ${action.symbol} remain unsubscribed`);
+      }
+
+      const transaction = await transactionManager.addBuyTransaction(
+        userId,
+        action.stock_id,
+        quantity,
+        action.issue_price,
+        allotmentDate,
+        `Rights issue ${action.new_shares}:${action.old_shares} @ ₹${action.issue_price}`
+      );
+
+      await databaseManager.update(
+        'UPDATE transactions SET corporate_action_id = ? WHERE id = ?',
+        [actionId, transaction.id]
+      );
+
+      return transaction;
+    } catch (error) {
+      console.error('Failed to subscribe to rights issue:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CorporateActionService();
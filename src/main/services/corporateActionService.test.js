@@ -0,0 +1,76 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  beginTransaction: jest.fn(),
+  executeInTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  rollbackTransaction: jest.fn()
+}));
+
+jest.mock('../stocks/stockManager', () => ({
+  getStockById: jest.fn()
+}));
+
+jest.mock('../transactions/transactionManager', () => ({}));
+jest.mock('./transactionService');
+
+const databaseManager = require('../database/index');
+const stockManager = require('../stocks/stockManager');
+const corporateActionService = require('./corporateActionService');
+
+describe('CorporateActionService audit', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    stockManager.getStockById.mockReturnValue({ id: 7, symbol: 'INFY' });
+    databaseManager.getAll.mockReturnValue([{ user_id: 1 }, { user_id: 2 }]);
+    databaseManager.beginTransaction.mockResolvedValue({ id: 1 });
+    databaseManager.executeInTransaction.mockReturnValue({ lastInsertRowid: 12, changes: 1 });
+    databaseManager.insert.mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records who added an action once it is committed', async () => {
+    databaseManager.getOne.mockReturnValue(undefined);
+
+    await expect(corporateActionService.addAction(3, {
+      stockId: 7, actionType: 'split', oldShares: 1, newShares: 2, exDate: '2024-06-03'
+    })).resolves.toEqual({ id: 12, affectedUsers: [1, 2] });
+
+    expect(databaseManager.commitTransaction).toHaveBeenCalled();
+    const [sql, params] = databaseManager.insert.mock.calls[0];
+    expect(sql).toContain('INSERT INTO activity_audit');
+    expect(params.slice(0, 4)).toEqual([3, 'CORPORATE_ACTION', 12, 'ADD']);
+    expect(JSON.parse(params[4])).toMatchObject({ symbol: 'INFY', actionType: 'SPLIT', exDate: '2024-06-03', affectedUsers: 2 });
+  });
+
+  test('records who deleted an action with what it was', async () => {
+    databaseManager.getOne.mockReturnValue({
+      id: 12, stock_id: 7, symbol: 'INFY', action_type: 'BONUS', old_shares: 1, new_shares: 1,
+      resulting_stock_id: null, resulting_symbol: null, ex_date: '2024-06-03'
+    });
+
+    await corporateActionService.deleteAction(3, 12);
+
+    const params = databaseManager.insert.mock.calls[0][1];
+    expect(params.slice(0, 4)).toEqual([3, 'CORPORATE_ACTION', 12, 'DELETE']);
+    expect(JSON.parse(params[4])).toMatchObject({ symbol: 'INFY', actionType: 'BONUS', oldShares: 1, newShares: 1 });
+  });
+
+  test('records nothing when the change is rolled back', async () => {
+    databaseManager.getOne.mockReturnValue(undefined);
+    databaseManager.commitTransaction.mockRejectedValue(new Error('disk I/O error'));
+
+    await expect(corporateActionService.addAction(3, {
+      stockId: 7, actionType: 'SPLIT', oldShares: 1, newShares: 2, exDate: '2024-06-03'
+    })).rejects.toThrow('disk I/O error');
+
+    expect(databaseManager.rollbackTransaction).toHaveBeenCalled();
+    expect(databaseManager.insert).not.toHaveBeenCalled();
+  });
+});
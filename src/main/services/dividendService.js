@@ -0,0 +1,251 @@
+// Dividend Service
+// Records dividends received per stock with TDS, and totals them by financial
+// year for "Income from other sources"
+const databaseManager = require('../database/index');
+const stockManager = require('../stocks/stockManager');
+
+/**
+ * Get the date range of a financial year, e.g. "2024-25" -> 2024-04-01 to 2025-03-31
+ * @param {string} financialYear - "2024-25", "FY 2024-25" or "2024-2025"
+ * @returns {Object} - { startDate, endDate }
+ */
+function getFinancialYearDates(financialYear) {
+  const match = String(financialYear || '').match(/(\d{4})/);
+  if (!match) {
+    throw new Error('Invalid financial year format');
+  }
+
+  const startYear = parseInt(match[1], 10);
+  return {
+    startDate: `${startYear}-04-01`,
+    endDate: `${startYear + 1}-03-31`
+  };
+}
+
+/**
+ * Round to paise
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class DividendService {
+  /**
+   * Get dividends for a user
+   * Dividends are taxed in the year they are paid, so the financial year filter
+   * uses the payment date and falls back to the record date
+   * @param {number} userId - User ID
+   * @param {Object} filters - { stockId, financialYear }
+   * @returns {Array} - Dividend rows with symbol, company_name and net_amount
+   */
+  getDividends(userId, filters = {}) {
+    try {
+      let query = `SELECT d.id, d.stock_id, s.symbol, s.company_name, d.record_date,
+                          d.payment_date, d.quantity, d.amount_per_share, d.gross_amount,
+                          d.tds_amount, d.gross_amount - d.tds_amount as net_amount,
+                          d.notes, d.created_at
+                   FROM dividends d
+                   JOIN stocks s ON d.stock_id = s.id
+                   WHERE d.user_id = ?`;
+      const params = [userId];
+
+      if (filters.stockId) {
+        query += ' AND d.stock_id = ?';
+        params.push(filters.stockId);
+      }
+
+      if (filters.financialYear) {
+        const { startDate, endDate } = getFinancialYearDates(filters.financialYear);
+        query += ' AND COALESCE(d.payment_date, d.record_date) BETWEEN ? AND ?';
+        params.push(startDate, endDate);
+      }
+
+      query += ' ORDER BY COALESCE(d.payment_date, d.record_date) DESC, s.symbol';
+
+      return databaseManager.getAll(query, params);
+    } catch (error) {
+      console.error('Failed to get dividends:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get lifetime dividend totals per stock
+   * @param {number} userId - User ID
+   * @returns {Object} - stockId -> { gross, tds, count }
+   */
+  getTotalsByStock(userId) {
+    try {
+      const rows = databaseManager.getAll(
+        `SELECT stock_id, SUM(gross_amount) as gross, SUM(tds_amount) as tds, COUNT(*) as count
+         FROM dividends
+         WHERE user_id = ?
+         GROUP BY stock_id`,
+        [userId]
+      );
+
+      const totals = {};
+      rows.forEach(row => {
+        totals[row.stock_id] = {
+          gross: row.gross,
+          tds: row.tds,
+          count: row.count
+        };
+      });
+
+      return totals;
+    } catch (error) {
+      console.error('Failed to get dividend totals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a dividend
+   * @param {number} userId - User ID
+   * @param {Object} dividend - { stockId, recordDate, paymentDate, amountPerShare, quantity, tdsAmount, notes }
+   * @returns {Promise<Object>} - { id, grossAmount }
+   */
+  async addDividend(userId, dividend) {
+    try {
+      const stock = stockManager.getStockById(dividend.stockId);
+      const amountPerShare = parseFloat(dividend.amountPerShare);
+      const quantity = parseInt(dividend.quantity, 10);
+      const tdsAmount = parseFloat(dividend.tdsAmount) || 0;
+
+      if (!dividend.recordDate || isNaN(new Date(dividend.recordDate).getTime())) {
+        throw new Error('A valid record date is required');
+      }
+
+      if (new Date(dividend.recordDate) > new Date()) {
+        throw new Error('Record date cannot be in the future');
+      }
+
+      if (dividend.paymentDate && dividend.paymentDate < dividend.recordDate) {
+        throw new Error('Payment date cannot be before the record date');
+      }
+
+      if (!amountPerShare || amountPerShare <= 0) {
+        throw new Error('Dividend per share must be greater than 0');
+      }
+
+      if (!quantity || quantity <= 0) {
+        throw new Error('Quantity must be greater than 0');
+      }
+
+      const grossAmount = roundAmount(amountPerShare * quantity);
+
+      if (tdsAmount < 0 || tdsAmount > grossAmount) {
+        throw new Error('TDS must be between 0 and the gross amount');
+      }
+
+      const id = await databaseManager.insert(
+        `INSERT INTO dividends
+         (user_id, stock_id, record_date, payment_date, quantity, amount_per_share,
+          gross_amount, tds_amount, notes, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          stock.id,
+          dividend.recordDate,
+          dividend.paymentDate || null,
+          quantity,
+          amountPerShare,
+          grossAmount,
+          roundAmount(tdsAmount),
+          dividend.notes || null,
+          new Date().toISOString(),
+          new Date().toISOString()
+        ]
+      );
+
+      console.log(`Dividend recorded: ${stock.symbol} x${quantity} @ ₹${amountPerShare}`);
+
+      return { id, grossAmount };
+    } catch (error) {
+      console.error('Failed to add dividend:', error);
+      if (error.message && error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(`A dividend with record date ${dividend.recordDate} is already recorded for this stock`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a dividend
+   * @param {number} userId - User ID
+   * @param {number} dividendId - Dividend ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteDividend(userId, dividendId) {
+    try {
+      const changes = await databaseManager.delete(
+        'DELETE FROM dividends WHERE id = ? AND user_id = ?',
+        [dividendId, userId]
+      );
+
+      if (!changes) {
+        throw new Error(`Dividend ${dividendId} not found`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Failed to delete dividend:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the "Income from other sources" summary for a financial year
+   * @param {number} userId - User ID
+   * @param {string} financialYear - e.g. "2024-25"
+   * @returns {Object} - { financialYear, period, dividends, byStock, totals }
+   */
+  getIncomeSummary(userId, financialYear) {
+    try {
+      const period = getFinancialYearDates(financialYear);
+      const dividends = this.getDividends(userId, { financialYear });
+
+      const stockMap = new Map();
+      const totals = { count: 0, gross: 0, tds: 0, net: 0 };
+
+      for (const dividend of dividends) {
+        if (!stockMap.has(dividend.stock_id)) {
+          stockMap.set(dividend.stock_id, {
+            stockId: dividend.stock_id,
+            symbol: dividend.symbol,
+            companyName: dividend.company_name,
+            count: 0,
+            gross: 0,
+            tds: 0,
+            net: 0
+          });
+        }
+
+        const entry = stockMap.get(dividend.stock_id);
+        entry.count += 1;
+        entry.gross += dividend.gross_amount;
+        entry.tds += dividend.tds_amount;
+        entry.net += dividend.net_amount;
+
+        totals.count += 1;
+        totals.gross += dividend.gross_amount;
+        totals.tds += dividend.tds_amount;
+        totals.net += dividend.net_amount;
+      }
+
+      return {
+        financialYear,
+        period,
+        dividends,
+        byStock: [...stockMap.values()].sort((a, b) => b.gross - a.gross),
+        totals
+      };
+    } catch (error) {
+      console.error('Failed to get income summary:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DividendService();
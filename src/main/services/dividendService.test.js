@@ -0,0 +1,93 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  delete: jest.fn()
+}));
+
+jest.mock('../stocks/stockManager', () => ({
+  getStockById: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const stockManager = require('../stocks/stockManager');
+const dividendService = require('./dividendService');
+
+describe('DividendService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    stockManager.getStockById.mockReturnValue({ id: 7, symbol: 'ITC' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('addDividend', () => {
+    const dividend = {
+      stockId: 7,
+      recordDate: '2024-06-04',
+      paymentDate: '2024-07-24',
+      amountPerShare: 7.5,
+      quantity: 200,
+      tdsAmount: 150
+    };
+
+    test('computes the gross amount from shares held', async () => {
+      databaseManager.insert.mockResolvedValue(42);
+
+      const result = await dividendService.addDividend(1, dividend);
+
+      expect(result).toEqual({ id: 42, grossAmount: 1500 });
+      const params = databaseManager.insert.mock.calls[0][1];
+      expect(params.slice(0, 8)).toEqual([1, 7, '2024-06-04', '2024-07-24', 200, 7.5, 1500, 150]);
+    });
+
+    test('rejects TDS above the gross amount', async () => {
+      await expect(dividendService.addDividend(1, { ...dividend, tdsAmount: 2000 }))
+        .rejects.toThrow('TDS must be between 0 and the gross amount');
+      expect(databaseManager.insert).not.toHaveBeenCalled();
+    });
+
+    test('rejects a payment date before the record date', async () => {
+      await expect(dividendService.addDividend(1, { ...dividend, paymentDate: '2024-06-01' }))
+        .rejects.toThrow('Payment date cannot be before the record date');
+    });
+
+    test('reports a duplicate record date clearly', async () => {
+      databaseManager.insert.mockRejectedValue(new Error('UNIQUE constraint failed: dividends.user_id'));
+
+      await expect(dividendService.addDividend(1, dividend))
+        .rejects.toThrow('A dividend with record date 2024-06-04 is already recorded for this stock');
+    });
+  });
+
+  describe('getIncomeSummary', () => {
+    test('filters by payment year and totals per stock', () => {
+      databaseManager.getAll.mockReturnValue([
+        { id: 1, stock_id: 7, symbol: 'ITC', company_name: 'ITC Ltd', gross_amount: 1500, tds_amount: 150, net_amount: 1350 },
+        { id: 2, stock_id: 9, symbol: 'INFY', company_name: 'Infosys', gross_amount: 2000, tds_amount: 0, net_amount: 2000 },
+        { id: 3, stock_id: 7, symbol: 'ITC', company_name: 'ITC Ltd', gross_amount: 1250, tds_amount: 125, net_amount: 1125 }
+      ]);
+
+      const summary = dividendService.getIncomeSummary(1, '2024-25');
+
+      const [query, params] = databaseManager.getAll.mock.calls[0];
+      expect(query).toContain('COALESCE(d.payment_date, d.record_date) BETWEEN ? AND ?');
+      expect(params).toEqual([1, '2024-04-01', '2025-03-31']);
+
+      expect(summary.period).toEqual({ startDate: '2024-04-01', endDate: '2025-03-31' });
+      expect(summary.totals).toEqual({ count: 3, gross: 4750, tds: 275, net: 4475 });
+      expect(summary.byStock.map(s => [s.symbol, s.count, s.gross, s.tds])).toEqual([
+        ['ITC', 2, 2750, 275],
+        ['INFY', 1, 2000, 0]
+      ]);
+    });
+
+    test('rejects an unparseable financial year', () => {
+      expect(() => dividendService.getIncomeSummary(1, 'current')).toThrow('Invalid financial year format');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+// Grandfathered FMV Service for Section 112A cost of acquisition
+// Stores the 31-Jan-2018 fair market value per ISIN and imports it from CSV
+const fs = require('fs');
+const databaseManager = require('../database/index');
+const { splitCSVLine } = require('./importParsers');
+
+const ISIN_PATTERN = /^IN[A-Z0-9]{9}[0-9]$/;
+
+class GrandfatheredFmvService {
+  /**
+   * Get all FMV records
+   * @returns {Array} - [{ id, isin, company_name, fmv, updated_at }]
+   */
+  getAllFmv() {
+    try {
+      return databaseManager.getAll(
+        `SELECT id, isin, company_name, fmv, created_at, updated_at
+         FROM grandfathered_fmv
+         ORDER BY company_name, isin`
+      );
+    } catch (error) {
+      console.error('Failed to get grandfathered FMV records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get FMV for an ISIN
+   * @param {string} isin - ISIN code
+   * @returns {number|null} - FMV per share, or null if not on record
+   */
+  getFmvByIsin(isin) {
+    try {
+      if (!isin) {
+        return null;
+      }
+
+      const record = databaseManager.getOne(
+        'SELECT fmv FROM grandfathered_fmv WHERE isin = ?',
+        [isin.trim().toUpperCase()]
+      );
+
+      return record ? record.fmv : null;
+    } catch (error) {
+      console.error(`Failed to get FMV for ${isin}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get FMV for a stock via its ISIN
+   * @param {number} stockId - Stock ID
+   * @returns {number|null} - FMV per share, or null if not on record
+   */
+  getFmvForStock(stockId) {
+    try {
+      const record = databaseManager.getOne(
+        `SELECT gf.fmv
+         FROM stocks s
+         JOIN grandfathered_fmv gf ON gf.isin = COALESCE(s.isin, s.isin_code)
+         WHERE s.id = ?`,
+        [stockId]
+      );
+
+      return record ? record.fmv : null;
+    } catch (error) {
+      console.error(`Failed to get FMV for stock ${stockId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add or update the FMV for an ISIN
+   * @param {string} isin - ISIN code
+   * @param {number} fmv - FMV per share on 31-Jan-2018
+   * @param {string} companyName - Company name (optional)
+   * @returns {Promise<void>}
+   */
+  async saveFmv(isin, fmv, companyName = null) {
+    const normalizedIsin = (isin || '').trim().toUpperCase();
+
+    if (!ISIN_PATTERN.test(normalizedIsin)) {
+      throw new Error(`Invalid ISIN: ${isin}`);
+    }
+
+    if (!fmv || isNaN(fmv) || fmv <= 0) {
+      throw new Error('FMV must be greater than zero');
+    }
+
+    try {
+      await databaseManager.insert(
+        `INSERT INTO grandfathered_fmv (isin, company_name, fmv, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(isin) DO UPDATE SET
+           company_name = COALESCE(excluded.company_name, grandfathered_fmv.company_name),
+           fmv = excluded.fmv,
+           updated_at = excluded.updated_at`,
+        [normalizedIsin, companyName, fmv, new Date().toISOString(), new Date().toISOString()]
+      );
+    } catch (error) {
+      console.error(`Failed to save FMV for ${isin}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the FMV for an ISIN
+   * @param {string} isin - ISIN code
+   * @returns {Promise<void>}
+   */
+  async deleteFmv(isin) {
+    try {
+      const changes = await databaseManager.delete(
+        'DELETE FROM grandfathered_fmv WHERE isin = ?',
+        [(isin || '').trim().toUpperCase()]
+      );
+
+      if (changes === 0) {
+        throw new Error(`FMV for ${isin} not found`);
+      }
+    } catch (error) {
+      console.error(`Failed to delete FMV for ${isin}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse FMV CSV content
+   * Expects an ISIN column and an FMV column; a company name column is optional
+   * @param {string} csvContent - Raw CSV content
+   * @returns {Object} - { records: [{ isin, companyName, fmv, row }], errors: [{ row, message }] }
+   */
+  parseCSVContent(csvContent) {
+    const lines = csvContent.trim().split(/\r?\n/);
+
+    if (lines.length < 2) {
+      throw new Error('CSV file is empty or has no data rows');
+    }
+
+    const header = splitCSVLine(lines[0]).map(h => h.toLowerCase());
+
+    const isinIndex = header.findIndex(h => h.includes('isin'));
+    const fmvIndex = header.findIndex(h =>
+      h.includes('fmv') || h.includes('fair market') || h.includes('price') || h.includes('close')
+    );
+    const nameIndex = header.findIndex(h => h.includes('name'));
+
+    if (isinIndex === -1 || fmvIndex === -1) {
+      throw new Error('CSV must contain ISIN and FMV columns');
+    }
+
+    const records = [];
+    const errors = [];
+
+    for (let i = 1; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue; // Skip empty lines
+
+      const values = splitCSVLine(line);
+      const isin = (values[isinIndex] || '').toUpperCase();
+      const fmv = parseFloat((values[fmvIndex] || '').replace(/[₹,]/g, ''));
+
+      if (!ISIN_PATTERN.test(isin)) {
+        errors.push({ row: i + 1, message: `Invalid ISIN "${values[isinIndex] || ''}"` });
+        continue;
+      }
+
+      if (isNaN(fmv) || fmv <= 0) {
+        errors.push({ row: i + 1, message: `Invalid FMV for ${isin}` });
+        continue;
+      }
+
+      records.push({
+        isin,
+        companyName: nameIndex !== -1 ? values[nameIndex] || null : null,
+        fmv,
+        row: i + 1
+      });
+    }
+
+    return { records, errors };
+  }
+
+  /**
+   * Import FMV records from a CSV file
+   * Existing ISINs are updated; invalid rows are skipped and reported
+   * @param {string} filePath - Path to CSV file
+   * @returns {Promise<Object>} - { imported, errors }
+   */
+  async importFromCSV(filePath) {
+    try {
+      const csvContent = fs.readFileSync(filePath, 'utf8');
+      const { records, errors } = this.parseCSVContent(csvContent);
+
+      if (records.length === 0) {
+        throw new Error('No valid FMV rows found in CSV');
+      }
+
+      await databaseManager.withTransaction(async (tx) => {
+        const now = new Date().toISOString();
+
+        for (const record of records) {
+          tx.insert(
+            `INSERT INTO grandfathered_fmv (isin, company_name, fmv, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT(isin) DO UPDATE SET
+               company_name = COALESCE(excluded.company_name, grandfathered_fmv.company_name),
+               fmv = excluded.fmv,
+               updated_at = excluded.updated_at`,
+            [record.isin, record.companyName, record.fmv, now, now]
+          );
+        }
+      });
+
+      console.log(`Imported ${records.length} grandfathered FMV records (${errors.length} skipped)`);
+
+      return {
+        imported: records.length,
+        errors
+      };
+    } catch (error) {
+      console.error('Failed to import grandfathered FMV CSV:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new GrandfatheredFmvService();
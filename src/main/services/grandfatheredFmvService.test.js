@@ -0,0 +1,55 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  delete: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+const grandfatheredFmvService = require('./grandfatheredFmvService');
+
+describe('GrandfatheredFmvService', () => {
+  describe('parseCSVContent', () => {
+    test('parses ISIN, name and FMV columns', () => {
+      const csv = [
+        'ISIN,Company Name,FMV on 31-Jan-2018',
+        'INE002A01018,"Reliance Industries, Ltd",955.20',
+        'INE467B01029,Tata Consultancy Services,"3,031.90"'
+      ].join('\n');
+
+      const { records, errors } = grandfatheredFmvService.parseCSVContent(csv);
+
+      expect(errors).toHaveLength(0);
+      expect(records).toEqual([
+        { isin: 'INE002A01018', companyName: 'Reliance Industries, Ltd', fmv: 955.2, row: 2 },
+        { isin: 'INE467B01029', companyName: 'Tata Consultancy Services', fmv: 3031.9, row: 3 }
+      ]);
+    });
+
+    test('reports invalid rows and keeps valid ones', () => {
+      const csv = 'isin,fmv\nNOTANISIN,100\nINE002A01018,abc\nine009a01021,1150\n';
+
+      const { records, errors } = grandfatheredFmvService.parseCSVContent(csv);
+
+      expect(records).toHaveLength(1);
+      expect(records[0].isin).toBe('INE009A01021');
+      expect(errors.map(e => e.row)).toEqual([2, 3]);
+    });
+
+    test('requires ISIN and FMV columns', () => {
+      expect(() => grandfatheredFmvService.parseCSVContent('Symbol,Price\nRELIANCE,955'))
+        .toThrow('CSV must contain ISIN and FMV columns');
+    });
+  });
+
+  describe('saveFmv', () => {
+    test('rejects an invalid ISIN', async () => {
+      await expect(grandfatheredFmvService.saveFmv('XYZ', 100)).rejects.toThrow('Invalid ISIN');
+    });
+
+    test('rejects a non-positive FMV', async () => {
+      await expect(grandfatheredFmvService.saveFmv('INE002A01018', 0))
+        .rejects.toThrow('FMV must be greater than zero');
+    });
+  });
+});
@@ -0,0 +1,292 @@
+// Holding Level Service
+// Price targets and stop-losses set per holding, the distance of the current
+// price to each, and the positions whose latest cached quote is past one
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const priceManager = require('../api/priceManager');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+/**
+ * Round to two decimals
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Work out where a price stands against a holding's levels
+ * @param {number|null} price - Current price, or null when no quote is cached
+ * @param {Object|null} levels - { targetPrice, stopLoss }
+ * @returns {Object} - { targetPrice, stopLoss, distanceToTarget, distanceToStop,
+ *   levelStatus } with distances as a percentage of the price; levelStatus is
+ *   'TARGET_HIT', 'STOP_HIT' or null
+ */
+function describeLevels(price, levels) {
+  const targetPrice = levels ? levels.targetPrice : null;
+  const stopLoss = levels ? levels.stopLoss : null;
+  const hasPrice = price > 0;
+
+  let levelStatus = null;
+  if (hasPrice && targetPrice && price >= targetPrice) {
+    levelStatus = 'TARGET_HIT';
+  } else if (hasPrice && stopLoss && price <= stopLoss) {
+    levelStatus = 'STOP_HIT';
+  }
+
+  return {
+    targetPrice,
+    stopLoss,
+    // Positive while the target is still above the price
+    distanceToTarget: hasPrice && targetPrice ? round2(((targetPrice - price) / price) * 100) : null,
+    // Positive while the price is still above the stop
+    distanceToStop: hasPrice && stopLoss ? round2(((price - stopLoss) / price) * 100) : null,
+    levelStatus
+  };
+}
+
+class HoldingLevelService {
+  /**
+   * Get the levels a user has set
+   * @param {number} userId - User ID
+   * @returns {Map} - stock ID → { targetPrice, stopLoss, lastPrice,
+   *   lastStatus, statusChangedAt } where the last three are from the last
+   *   check against a quote
+   */
+  getLevels(userId) {
+    try {
+      const rows = databaseManager.getAll(
+        `SELECT stock_id, target_price, stop_loss, last_price, last_status, status_changed_at
+         FROM holding_levels WHERE user_id = ?`,
+        [userId]
+      );
+
+      return new Map(rows.map(row => [row.stock_id, {
+        targetPrice: row.target_price,
+        stopLoss: row.stop_loss,
+        lastPrice: row.last_price || null,
+        lastStatus: row.last_status || null,
+        statusChangedAt: row.status_changed_at || null
+      }]));
+    } catch (error) {
+      console.error('Failed to get holding levels:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate an optional level
+   * @returns {number|null}
+   */
+  validateLevel(value, label) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const level = parseFloat(value);
+    if (!(level > 0)) {
+      throw new Error(`${label} must be greater than 0`);
+    }
+    return level;
+  }
+
+  /**
+   * Set or clear the target and stop-loss of a holding
+   * Clearing both removes the levels. New levels are checked afresh, so a
+   * quote already past them counts as a new breach.
+   * @param {number} userId - User ID
+   * @param {number} stockId - Stock ID
+   * @param {Object} levels - { targetPrice, stopLoss }
+   * @returns {Promise<void>}
+   */
+  async setLevels(userId, stockId, levels) {
+    const targetPrice = this.validateLevel(levels && levels.targetPrice, 'Target price');
+    const stopLoss = this.validateLevel(levels && levels.stopLoss, 'Stop-loss');
+
+    if (targetPrice && stopLoss && stopLoss >= targetPrice) {
+      throw new Error('Stop-loss must be below the target price');
+    }
+
+    try {
+      if (!targetPrice && !stopLoss) {
+        await databaseManager.delete(
+          'DELETE FROM holding_levels WHERE user_id = ? AND stock_id = ?',
+          [userId, stockId]
+        );
+        return;
+      }
+
+      const now = new Date().toISOString();
+      await databaseManager.insert(
+        `INSERT INTO holding_levels (user_id, stock_id, target_price, stop_loss, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(user_id, stock_id) DO UPDATE SET
+           target_price = excluded.target_price,
+           stop_loss = excluded.stop_loss,
+           last_price = NULL,
+           last_status = NULL,
+           status_changed_at = NULL,
+           updated_at = excluded.updated_at`,
+        [userId, stockId, targetPrice, stopLoss, now, now]
+      );
+    } catch (error) {
+      console.error(`Failed to set levels for stock ${stockId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the held positions that have levels
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
+   * @param {Map} levels - Result of getLevels
+   * @returns {Array}
+   */
+  getLevelHoldings(userId, portfolioId, levels) {
+    return transactionManager.getPortfolioSummary(userId, portfolioId).holdings
+      .filter(holding => levels.has(holding.id));
+  }
+
+  /**
+   * Pair holdings with their cached quotes
+   * @param {Array} holdings - Holdings with symbol
+   * @returns {Array} - [{ holding, quote }] for the holdings with a usable quote
+   */
+  quoteHoldings(holdings) {
+    if (holdings.length === 0) {
+      return [];
+    }
+
+    const prices = priceManager.getCachedPrices(holdings.map(holding => holding.symbol));
+    const priceMap = new Map(prices.map(p => [p.symbol, p]));
+
+    return holdings
+      .map(holding => ({ holding, quote: priceMap.get(holding.symbol) }))
+      .filter(({ quote }) => quote && quote.price > 0);
+  }
+
+  /**
+   * Check a user's levels against the latest cached quotes
+   * Records the price and status each level was checked at, dating a change
+   * of status when it is first seen
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Number of levels whose status changed
+   */
+  async checkLevels(userId) {
+    try {
+      const levels = this.getLevels(userId);
+      if (levels.size === 0) {
+        return 0;
+      }
+
+      const now = new Date().toISOString();
+      let changed = 0;
+
+      for (const { holding, quote } of this.quoteHoldings(this.getLevelHoldings(userId, null, levels))) {
+        const holdingLevels = levels.get(holding.id);
+        const { levelStatus } = describeLevels(quote.price, holdingLevels);
+        const statusChanged = levelStatus !== holdingLevels.lastStatus;
+
+        if (!statusChanged && quote.price === holdingLevels.lastPrice) {
+          continue;
+        }
+
+        await databaseManager.update(
+          `UPDATE holding_levels SET last_price = ?, last_status = ?, status_changed_at = ?
+           WHERE user_id = ? AND stock_id = ?`,
+          [quote.price, levelStatus, statusChanged ? now : holdingLevels.statusChangedAt, userId, holding.id]
+        );
+
+        if (statusChanged) {
+          changed++;
+        }
+      }
+
+      return changed;
+    } catch (error) {
+      console.error('Failed to check holding levels:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the levels of every user who has set any
+   * @returns {Promise<void>}
+   */
+  async checkAllLevels() {
+    const users = databaseManager.getAll('SELECT DISTINCT user_id FROM holding_levels');
+
+    for (const { user_id: userId } of users) {
+      try {
+        await this.checkLevels(userId);
+      } catch (error) {
+        // Logged by checkLevels
+      }
+    }
+  }
+
+  /**
+   * Get the positions whose latest cached quote is at or past their target
+   * or stop-loss
+   * A breach is new when checkLevels saw its status change today, or when it
+   * has not been checked yet
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
+   * @returns {Object} - { breaches, levelCount, pricesAsOf }
+   */
+  getBreaches(userId, portfolioId = null) {
+    try {
+      const levels = this.getLevels(userId);
+      if (levels.size === 0) {
+        return { breaches: [], levelCount: 0, pricesAsOf: null };
+      }
+
+      const holdings = this.getLevelHoldings(userId, portfolioId, levels);
+      if (holdings.length === 0) {
+        return { breaches: [], levelCount: 0, pricesAsOf: null };
+      }
+
+      const breaches = [];
+      let pricesAsOf = null;
+      const today = toDateKey(new Date());
+
+      for (const { holding, quote } of this.quoteHoldings(holdings)) {
+        if (!pricesAsOf || quote.updated_at > pricesAsOf) {
+          pricesAsOf = quote.updated_at;
+        }
+
+        const holdingLevels = levels.get(holding.id);
+        const current = describeLevels(quote.price, holdingLevels);
+        if (!current.levelStatus) {
+          continue;
+        }
+
+        const checked = current.levelStatus === holdingLevels.lastStatus;
+        const breachedAt = checked ? holdingLevels.statusChangedAt : quote.updated_at;
+
+        breaches.push({
+          stockId: holding.id,
+          symbol: holding.symbol,
+          name: holding.name,
+          quantity: holding.quantity,
+          avgCost: holding.avgCost,
+          price: quote.price,
+          lastPrice: holdingLevels.lastPrice,
+          changePercent: quote.change_percent,
+          level: current.levelStatus === 'TARGET_HIT' ? current.targetPrice : current.stopLoss,
+          levelStatus: current.levelStatus,
+          isNew: !checked || (Boolean(breachedAt) && toDateKey(breachedAt) === today),
+          breachedAt,
+          priceUpdatedAt: quote.updated_at
+        });
+      }
+
+      return { breaches, levelCount: holdings.length, pricesAsOf };
+    } catch (error) {
+      console.error('Failed to get level breaches:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new HoldingLevelService();
+module.exports.describeLevels = describeLevels;
@@ -0,0 +1,205 @@
+jest.mock('../database/index', () => ({
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn()
+}));
+
+jest.mock('../transactions/transactionManager', () => ({
+  getPortfolioSummary: jest.fn()
+}));
+
+jest.mock('../api/priceManager', () => ({
+  getCachedPrices: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const priceManager = require('../api/priceManager');
+const holdingLevelService = require('./holdingLevelService');
+const { describeLevels } = holdingLevelService;
+
+describe('HoldingLevelService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    databaseManager.getAll.mockReturnValue([
+      { stock_id: 7, target_price: 1800, stop_loss: 1400 },
+      { stock_id: 8, target_price: 4200, stop_loss: null }
+    ]);
+    transactionManager.getPortfolioSummary.mockReturnValue({
+      holdings: [
+        { id: 7, symbol: 'INFY', name: 'Infosys', quantity: 10, avgCost: 1500 },
+        { id: 8, symbol: 'TCS', name: 'TCS', quantity: 4, avgCost: 3800 },
+        { id: 9, symbol: 'ITC', name: 'ITC', quantity: 50, avgCost: 400 }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('describeLevels', () => {
+    test('measures the distance to the target and stop as a share of the price', () => {
+      expect(describeLevels(1600, { targetPrice: 1800, stopLoss: 1400 })).toEqual({
+        targetPrice: 1800,
+        stopLoss: 1400,
+        distanceToTarget: 12.5,
+        distanceToStop: 12.5,
+        levelStatus: null
+      });
+    });
+
+    test('reports a breached level', () => {
+      expect(describeLevels(1810, { targetPrice: 1800, stopLoss: 1400 }).levelStatus).toBe('TARGET_HIT');
+      expect(describeLevels(1400, { targetPrice: 1800, stopLoss: 1400 }).levelStatus).toBe('STOP_HIT');
+    });
+
+    test('leaves distances empty without a quote or levels', () => {
+      expect(describeLevels(null, { targetPrice: 1800, stopLoss: null })).toEqual(expect.objectContaining({
+        distanceToTarget: null,
+        levelStatus: null
+      }));
+      expect(describeLevels(1600, null)).toEqual(expect.objectContaining({ targetPrice: null, stopLoss: null }));
+    });
+  });
+
+  describe('setLevels', () => {
+    test('saves the target and stop-loss of a holding', async () => {
+      await holdingLevelService.setLevels(1, 7, { targetPrice: '1800', stopLoss: 1400 });
+
+      expect(databaseManager.insert.mock.calls[0][1].slice(0, 4)).toEqual([1, 7, 1800, 1400]);
+    });
+
+    test('removes the levels when both are cleared', async () => {
+      await holdingLevelService.setLevels(1, 7, { targetPrice: '', stopLoss: null });
+
+      expect(databaseManager.delete).toHaveBeenCalledWith(
+        'DELETE FROM holding_levels WHERE user_id = ? AND stock_id = ?',
+        [1, 7]
+      );
+      expect(databaseManager.insert).not.toHaveBeenCalled();
+    });
+
+    test('rejects a stop-loss at or above the target', async () => {
+      await expect(holdingLevelService.setLevels(1, 7, { targetPrice: 1500, stopLoss: 1500 }))
+        .rejects.toThrow('Stop-loss must be below the target price');
+      await expect(holdingLevelService.setLevels(1, 7, { targetPrice: -1 }))
+        .rejects.toThrow('Target price must be greater than 0');
+    });
+  });
+
+  describe('getBreaches', () => {
+    beforeEach(() => {
+      // INFY was last checked inside its levels; TCS was already past its
+      // target when checked two days ago
+      databaseManager.getAll.mockReturnValue([
+        { stock_id: 7, target_price: 1800, stop_loss: 1400, last_price: 1420, last_status: null, status_changed_at: null },
+        {
+          stock_id: 8,
+          target_price: 4200,
+          stop_loss: null,
+          last_price: 4230,
+          last_status: 'TARGET_HIT',
+          status_changed_at: '2024-06-01T09:30:00.000Z'
+        }
+      ]);
+    });
+
+    test('lists positions past their levels in the cached quotes', () => {
+      priceManager.getCachedPrices.mockReturnValue([
+        { symbol: 'INFY', price: 1390, change: -30, change_percent: -2.1, updated_at: '2024-06-03T10:00:00.000Z' },
+        { symbol: 'TCS', price: 4250, change: 10, change_percent: 0.24, updated_at: '2024-06-03T10:05:00.000Z' }
+      ]);
+
+      const result = holdingLevelService.getBreaches(1);
+
+      expect(priceManager.getCachedPrices).toHaveBeenCalledWith(['INFY', 'TCS']);
+      expect(result.levelCount).toBe(2);
+      expect(result.pricesAsOf).toBe('2024-06-03T10:05:00.000Z');
+      expect(result.breaches.map(b => [b.symbol, b.levelStatus, b.level, b.isNew])).toEqual([
+        ['INFY', 'STOP_HIT', 1400, true],
+        ['TCS', 'TARGET_HIT', 4200, false]
+      ]);
+      expect(result.breaches[0].breachedAt).toBe('2024-06-03T10:00:00.000Z');
+      expect(result.breaches[1].breachedAt).toBe('2024-06-01T09:30:00.000Z');
+    });
+
+    test('does not record the check', () => {
+      priceManager.getCachedPrices.mockReturnValue([
+        { symbol: 'INFY', price: 1390, change: -30, change_percent: -2.1, updated_at: '2024-06-03T10:00:00.000Z' }
+      ]);
+
+      holdingLevelService.getBreaches(1);
+
+      expect(databaseManager.update).not.toHaveBeenCalled();
+    });
+
+    test('skips holdings without a cached quote', () => {
+      priceManager.getCachedPrices.mockReturnValue([]);
+
+      expect(holdingLevelService.getBreaches(1, 2).breaches).toEqual([]);
+      expect(transactionManager.getPortfolioSummary).toHaveBeenCalledWith(1, 2);
+    });
+  });
+
+  describe('checkLevels', () => {
+    test('dates a change of status when it is first seen', async () => {
+      databaseManager.getAll.mockReturnValue([
+        { stock_id: 7, target_price: 1800, stop_loss: 1400, last_price: 1420, last_status: null, status_changed_at: null }
+      ]);
+      priceManager.getCachedPrices.mockReturnValue([
+        { symbol: 'INFY', price: 1390, change: -30, change_percent: -2.1, updated_at: '2024-06-03T10:00:00.000Z' }
+      ]);
+
+      await expect(holdingLevelService.checkLevels(1)).resolves.toBe(1);
+
+      expect(transactionManager.getPortfolioSummary).toHaveBeenCalledWith(1, null);
+      const [sql, params] = databaseManager.update.mock.calls[0];
+      expect(sql).toContain('UPDATE holding_levels SET last_price = ?, last_status = ?, status_changed_at = ?');
+      expect(params).toEqual([1390, 'STOP_HIT', expect.any(String), 1, 7]);
+    });
+
+    test('compares with the last check rather than the previous close', async () => {
+      // The quote's change puts the previous close above the stop, but the
+      // stop was already hit at the last check
+      databaseManager.getAll.mockReturnValue([
+        { stock_id: 7, target_price: 1800, stop_loss: 1400, last_price: 1395, last_status: 'STOP_HIT', status_changed_at: '2024-06-01T09:30:00.000Z' }
+      ]);
+      priceManager.getCachedPrices.mockReturnValue([
+        { symbol: 'INFY', price: 1390, change: -30, change_percent: -2.1, updated_at: '2024-06-03T10:00:00.000Z' }
+      ]);
+
+      await expect(holdingLevelService.checkLevels(1)).resolves.toBe(0);
+
+      expect(databaseManager.update).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE holding_levels SET last_price = ?, last_status = ?, status_changed_at = ?'),
+        [1390, 'STOP_HIT', '2024-06-01T09:30:00.000Z', 1, 7]
+      );
+    });
+
+    test('records a level that is no longer breached', async () => {
+      databaseManager.getAll.mockReturnValue([
+        { stock_id: 8, target_price: 4200, stop_loss: null, last_price: 4230, last_status: 'TARGET_HIT', status_changed_at: '2024-06-01T09:30:00.000Z' }
+      ]);
+      priceManager.getCachedPrices.mockReturnValue([
+        { symbol: 'TCS', price: 4150, change: -80, change_percent: -1.9, updated_at: '2024-06-03T10:05:00.000Z' }
+      ]);
+
+      await holdingLevelService.checkLevels(1);
+
+      expect(databaseManager.update.mock.calls[0][1].slice(0, 2)).toEqual([4150, null]);
+    });
+
+    test('checks every user who has levels', async () => {
+      databaseManager.getAll
+        .mockReturnValueOnce([{ user_id: 1 }, { user_id: 2 }])
+        .mockReturnValue([]);
+
+      await holdingLevelService.checkAllLevels();
+
+      expect(databaseManager.getAll.mock.calls.slice(1).map(([, params]) => params)).toEqual([[1], [2]]);
+    });
+  });
+});
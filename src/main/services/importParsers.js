@@ -0,0 +1,104 @@
+// Parsing helpers shared by the CSV and broker importers
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Split a CSV line, honouring double-quoted values
+ * @param {string} line - Raw CSV line
+ * @returns {Array<string>}
+ */
+function splitCSVLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+
+  return values;
+}
+
+/**
+ * Parse a number, ignoring rupee signs and thousands separators
+ * @returns {number} - NaN when the value is not a number
+ */
+function parseAmount(value) {
+  const cleaned = String(value || '').replace(/[₹,\s]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+/**
+ * Build a date key, rejecting impossible dates such as 31-Feb
+ */
+function toValidDateKey(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a tradebook date
+ * Accepts YYYY-MM-DD, DD-MM-YYYY, DD/MM/YYYY and DD-Mon-YYYY, with or
+ * without a trailing time
+ * @param {string} value - Raw date
+ * @returns {string|null} - Date key (YYYY-MM-DD) or null when unparseable
+ */
+function parseTradeDate(value) {
+  const text = String(value || '').trim();
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return toValidDateKey(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (match) {
+    return toValidDateKey(Number(match[3]), Number(match[2]), Number(match[1]));
+  }
+
+  match = text.match(/^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ,]+(\d{2,4})/);
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toLowerCase());
+    return month === -1 ? null : toValidDateKey(Number(match[3]), month + 1, Number(match[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Parse a trade direction
+ * @returns {string|null} - 'BUY', 'SELL' or null
+ */
+function parseTradeType(value) {
+  const text = String(value || '').trim().toLowerCase();
+
+  if (/^(b|buy|bought|purchase)$/.test(text)) {
+    return 'BUY';
+  }
+  if (/^(s|sell|sold|sale)$/.test(text)) {
+    return 'SELL';
+  }
+
+  return null;
+}
+
+module.exports = {
+  splitCSVLine,
+  parseAmount,
+  parseTradeDate,
+  parseTradeType
+};
@@ -2,6 +2,7 @@
 // Retrieves detailed information about stock lots in specific age buckets
 
 const StockAgeCalculator = require('./stockAgeCalculator');
+const { getLotKey } = require('../../utils/calculations/corporateActions');
 const { format } = require('date-fns');
 
 class LotDetailService {
@@ -32,6 +33,7 @@ class LotDetailService {
         if (bucket === bucketName) {
           lotsInBucket.push({
             transactionId: lot.transactionId,
+            corporateActionId: lot.corporateActionId,
             purchaseDate: lot.purchaseDate,
             quantity: lot.quantity,
             price: lot.price,
@@ -60,7 +62,10 @@ class LotDetailService {
       const lots = await this.getLotsInBucket(userId, stockSymbol, bucketName);
 
       return lots.map(lot => ({
+        lotKey: getLotKey(lot.transactionId, lot.corporateActionId),
         transactionId: lot.transactionId,
+        corporateActionId: lot.corporateActionId,
+        isDerived: Boolean(lot.corporateActionId),
         purchaseDate: this.formatDate(lot.purchaseDate),
         quantity: lot.quantity,
         price: this.formatCurrency(lot.price),
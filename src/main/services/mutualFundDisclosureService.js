@@ -0,0 +1,477 @@
+// Mutual Fund Disclosure Service
+// Imports the monthly portfolio disclosures AMCs publish as XLSX. Each sheet
+// lists a scheme's instruments with ISIN and % to NAV; equity lines are
+// matched to BSE scrips by ISIN and the rest are bucketed as debt, cash or
+// unmapped. Every import is kept as a dated snapshot of the scheme, so the
+// hand-entered mutual_fund_allocations stay untouched.
+const path = require('path');
+const XLSX = require('xlsx');
+const databaseManager = require('../database/index');
+const { parseAmount, parseTradeDate } = require('./importParsers');
+
+const BUCKETS = ['EQUITY', 'DEBT', 'CASH', 'UNMAPPED'];
+
+const ISIN_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}\d$/;
+
+// Indian equity shares: INE + issuer code + security type 01
+const EQUITY_ISIN = /^INE[A-Z0-9]{4}01[A-Z0-9]{2}\d$/;
+
+const CASH_INSTRUMENT = /treps|tri-?party repo|reverse repo|\bcblo\b|net current assets|net receivables|cash (and|&) cash equivalent|^cash\b|cash margin/i;
+
+// Section headings between the lines, checked in this order
+const SECTIONS = [
+  { section: 'CASH', pattern: /cash|treps|repo|net (current )?(assets|receivables)/i },
+  { section: 'DEBT', pattern: /debt|bond|debenture|money market|treasury|t-bill|government|g-sec|commercial paper|certificate of deposit|securiti[sz]ed/i },
+  { section: 'EQUITY', pattern: /equity|shares/i },
+  { section: null, pattern: /derivative|futures|options/i }
+];
+
+const TOTAL_ROW = /^(sub[\s-]*)?total\b|^grand total/i;
+
+/**
+ * Normalise a header cell for matching
+ */
+function normaliseHeader(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find the header row and its columns
+ * @param {Array} rows - Sheet rows as arrays of cells
+ * @returns {Object|null} - { index, isin, name, percent, value } column indexes
+ */
+function findHeader(rows) {
+  for (let index = 0; index < rows.length; index++) {
+    const headers = (rows[index] || []).map(normaliseHeader);
+    const isin = headers.findIndex(h => /^isin/.test(h));
+    const percent = headers.findIndex(h => /%|percent/.test(h) && /nav|net asset|aum/.test(h));
+
+    if (isin === -1 || percent === -1) {
+      continue;
+    }
+
+    const name = headers.findIndex((h, i) => i !== isin && /instrument|security|company|issuer|name/.test(h));
+    const value = headers.findIndex((h, i) => i !== percent && /market|fair value/.test(h));
+
+    return { index, isin, name: name === -1 ? 0 : name, percent, value };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a disclosure date such as "31-May-2024", "31/05/2024" or "May 31, 2024"
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function parseDisclosureDate(value) {
+  if (typeof value === 'number') {
+    // Excel date serial
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? parseTradeDate(`${parsed.y}-${parsed.m}-${parsed.d}`) : null;
+  }
+
+  const text = String(value || '').trim();
+  const monthFirst = text.match(/([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s*(\d{4})/);
+  if (monthFirst) {
+    return parseTradeDate(`${monthFirst[2]}-${monthFirst[1]}-${monthFirst[3]}`);
+  }
+
+  return parseTradeDate(text);
+}
+
+/**
+ * Read the scheme name and portfolio date from the title rows
+ * @param {Array} rows - Rows above the header
+ * @returns {Object} - { schemeName, asOfDate }
+ */
+function readTitle(rows) {
+  let schemeName = null;
+  let asOfDate = null;
+
+  for (const row of rows) {
+    const cells = row || [];
+    for (let i = 0; i < cells.length; i++) {
+      const text = typeof cells[i] === 'string' ? cells[i].trim() : '';
+      if (!text) {
+        continue;
+      }
+
+      const asOf = text.match(/as (?:on|at)\b\s*:?\s*(.*)$/i);
+      if (asOf && !asOfDate) {
+        // The date may be in the same cell or the next one
+        asOfDate = parseDisclosureDate(asOf[1]) || parseDisclosureDate(cells[i + 1]);
+        continue;
+      }
+
+      if (!schemeName && /fund|scheme|plan/i.test(text)) {
+        schemeName = text;
+      }
+    }
+  }
+
+  return { schemeName, asOfDate };
+}
+
+/**
+ * Parse a percentage cell
+ */
+function parsePercent(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return parseAmount(String(value || '').replace('%', ''));
+}
+
+/**
+ * Parse one disclosure sheet
+ * Section headings ("Equity & Equity related", "Money Market Instruments")
+ * are rows without a percentage; the section they start is kept on each line
+ * @param {Array} rows - Sheet rows as arrays of cells
+ * @returns {Object|null} - { schemeName, asOfDate, lines } where lines are
+ *   [{ isin, name, percent, marketValue, section }], or null when the sheet
+ *   has no ISIN and % to NAV columns
+ */
+function parseDisclosureSheet(rows) {
+  const header = findHeader(rows);
+  if (!header) {
+    return null;
+  }
+
+  const { schemeName, asOfDate } = readTitle(rows.slice(0, header.index));
+  const lines = [];
+  let section = null;
+
+  for (const row of rows.slice(header.index + 1)) {
+    const cells = row || [];
+    const name = String(cells[header.name] ?? '').trim();
+    if (!name || TOTAL_ROW.test(name)) {
+      continue;
+    }
+
+    const percent = parsePercent(cells[header.percent]);
+    if (isNaN(percent)) {
+      const heading = SECTIONS.find(s => s.pattern.test(name));
+      if (heading) {
+        section = heading.section;
+      }
+      continue;
+    }
+
+    const isin = String(cells[header.isin] ?? '').trim().toUpperCase();
+    const marketValue = header.value === -1 ? NaN : parsePercent(cells[header.value]);
+
+    lines.push({
+      isin: ISIN_PATTERN.test(isin) ? isin : null,
+      name,
+      percent,
+      marketValue: isNaN(marketValue) ? null : marketValue,
+      section
+    });
+  }
+
+  // Sheets formatted as percentages hold fractions (0.0523 for 5.23%)
+  const gross = lines.reduce((sum, line) => sum + Math.max(line.percent, 0), 0);
+  const scale = gross > 0 && gross <= 1.5 ? 100 : 1;
+
+  for (const line of lines) {
+    line.percent = Math.round(line.percent * scale * 10000) / 10000;
+  }
+
+  return { schemeName, asOfDate, lines };
+}
+
+/**
+ * Put a disclosure line in a bucket
+ * @param {Object} line - Parsed line
+ * @param {Function|null} lookupByIsin - ISIN -> BSE scrip record or null
+ * @returns {Object} - { bucket, stockSymbol, stockName }
+ */
+function bucketLine(line, lookupByIsin) {
+  const stock = line.isin && lookupByIsin ? lookupByIsin(line.isin) : null;
+  if (stock) {
+    return { bucket: 'EQUITY', stockSymbol: stock.ScripCode, stockName: stock.CompanyName || stock.ScripName || line.name };
+  }
+
+  if (line.section === 'CASH' || CASH_INSTRUMENT.test(line.name)) {
+    return { bucket: 'CASH', stockSymbol: null, stockName: null };
+  }
+  if (line.section === 'EQUITY' || (line.isin && EQUITY_ISIN.test(line.isin))) {
+    // Shares that are not on the BSE master: NSE-only, unlisted or foreign
+    return { bucket: 'UNMAPPED', stockSymbol: null, stockName: null };
+  }
+  if (line.section === 'DEBT' || line.isin) {
+    return { bucket: 'DEBT', stockSymbol: null, stockName: null };
+  }
+
+  return { bucket: 'UNMAPPED', stockSymbol: null, stockName: null };
+}
+
+/**
+ * Round a percentage to four decimals
+ */
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+class MutualFundDisclosureService {
+  constructor() {
+    this.stockLookupService = null;
+  }
+
+  /**
+   * Set the stock lookup service for BSE data integration
+   */
+  setStockLookupService(service) {
+    this.stockLookupService = service;
+    console.log('Stock lookup service injected into MutualFundDisclosureService');
+  }
+
+  /**
+   * Read a workbook's sheets as rows
+   * @param {string} filePath - Path to the XLSX file
+   * @returns {Array} - [{ sheetName, rows }]
+   */
+  readWorkbook(filePath) {
+    const workbook = XLSX.readFile(filePath);
+    return workbook.SheetNames.map(sheetName => ({
+      sheetName,
+      rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: null })
+    }));
+  }
+
+  /**
+   * List the disclosure sheets of a workbook, one per scheme in most AMC files
+   * @param {string} filePath - Path to the XLSX file
+   * @returns {Array} - [{ sheetName, schemeName, asOfDate, lineCount }]
+   */
+  listSheets(filePath) {
+    try {
+      const sheets = [];
+
+      for (const { sheetName, rows } of this.readWorkbook(filePath)) {
+        const parsed = parseDisclosureSheet(rows);
+        if (parsed && parsed.lines.length > 0) {
+          sheets.push({
+            sheetName,
+            schemeName: parsed.schemeName,
+            asOfDate: parsed.asOfDate,
+            lineCount: parsed.lines.length
+          });
+        }
+      }
+
+      return sheets;
+    } catch (error) {
+      console.error('Failed to read disclosure workbook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import one scheme's portfolio disclosure as a dated snapshot
+   * Importing the same scheme and date again replaces that snapshot
+   * @param {string} filePath - Path to the XLSX file
+   * @param {string} schemeCode - AMFI scheme code the sheet belongs to
+   * @param {Object} options - { sheetName, asOfDate } to override the first
+   *   disclosure sheet and the date read from its title
+   * @returns {Promise<Object>} - { disclosureId, fileName, sheetName,
+   *   schemeCode, schemeName, asOfDate, lineCount, totals, totalPercent,
+   *   unmapped }
+   */
+  async importDisclosure(filePath, schemeCode, options = {}) {
+    try {
+      const scheme = databaseManager.getOne(
+        'SELECT scheme_code, scheme_name FROM mutual_fund_schemes WHERE scheme_code = ?',
+        [schemeCode]
+      );
+      if (!scheme) {
+        throw new Error(`Scheme code ${schemeCode} not found. Import an AMFI NAV file first.`);
+      }
+
+      if (!this.stockLookupService || !this.stockLookupService.isReady()) {
+        throw new Error('BSE scrip master is not loaded, so ISINs cannot be matched to stocks');
+      }
+
+      const sheets = this.readWorkbook(filePath);
+      let sheet;
+      let parsed = null;
+
+      if (options.sheetName) {
+        sheet = sheets.find(s => s.sheetName === options.sheetName);
+        if (!sheet) {
+          throw new Error(`Sheet "${options.sheetName}" not found`);
+        }
+        parsed = parseDisclosureSheet(sheet.rows);
+      } else {
+        for (const candidate of sheets) {
+          parsed = parseDisclosureSheet(candidate.rows);
+          if (parsed && parsed.lines.length > 0) {
+            sheet = candidate;
+            break;
+          }
+        }
+      }
+
+      if (!parsed || parsed.lines.length === 0) {
+        throw new Error('No holdings found. Expected a sheet with ISIN and % to NAV columns.');
+      }
+
+      const asOfDate = options.asOfDate || parsed.asOfDate;
+      if (!asOfDate) {
+        throw new Error('Portfolio date not found in the sheet; enter the date the disclosure is as of');
+      }
+
+      const lookupByIsin = (isin) => this.stockLookupService.lookupByIsin(isin);
+      const lines = parsed.lines.map(line => ({ ...line, ...bucketLine(line, lookupByIsin) }));
+
+      const totals = { equity: 0, debt: 0, cash: 0, unmapped: 0 };
+      for (const line of lines) {
+        totals[line.bucket.toLowerCase()] += line.percent;
+      }
+      for (const key of Object.keys(totals)) {
+        totals[key] = round4(totals[key]);
+      }
+
+      const schemeName = parsed.schemeName || scheme.scheme_name;
+      const fileName = path.basename(filePath);
+
+      const disclosureId = await databaseManager.withTransaction(async (tx) => {
+        tx.delete(
+          'DELETE FROM mutual_fund_disclosures WHERE scheme_code = ? AND as_of_date = ?',
+          [schemeCode, asOfDate]
+        );
+
+        const id = tx.insert(
+          `INSERT INTO mutual_fund_disclosures
+             (scheme_code, as_of_date, scheme_name, file_name, sheet_name,
+              equity_percent, debt_percent, cash_percent, unmapped_percent)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [schemeCode, asOfDate, schemeName, fileName, sheet.sheetName,
+            totals.equity, totals.debt, totals.cash, totals.unmapped]
+        );
+
+        for (const line of lines) {
+          tx.insert(
+            `INSERT INTO mutual_fund_disclosure_lines
+               (disclosure_id, bucket, isin, instrument_name, stock_symbol, stock_name, percent_of_nav, market_value)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, line.bucket, line.isin, line.name, line.stockSymbol, line.stockName, line.percent, line.marketValue]
+          );
+        }
+
+        return id;
+      });
+
+      console.log(`✓ Imported ${lines.length} disclosure lines for scheme ${schemeCode} as on ${asOfDate}`);
+
+      return {
+        disclosureId,
+        fileName,
+        sheetName: sheet.sheetName,
+        schemeCode,
+        schemeName,
+        asOfDate,
+        lineCount: lines.length,
+        totals,
+        totalPercent: round4(totals.equity + totals.debt + totals.cash + totals.unmapped),
+        unmapped: lines
+          .filter(line => line.bucket === 'UNMAPPED')
+          .map(line => ({ isin: line.isin, name: line.name, percent: line.percent }))
+      };
+    } catch (error) {
+      console.error('Failed to import portfolio disclosure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the snapshots kept for a scheme, newest first
+   * @param {string} schemeCode - AMFI scheme code
+   * @returns {Array} - mutual_fund_disclosures rows
+   */
+  getDisclosures(schemeCode) {
+    return databaseManager.getAll(
+      `SELECT id, scheme_code, as_of_date, scheme_name, file_name, sheet_name,
+              equity_percent, debt_percent, cash_percent, unmapped_percent, created_at
+       FROM mutual_fund_disclosures
+       WHERE scheme_code = ?
+       ORDER BY as_of_date DESC`,
+      [schemeCode]
+    );
+  }
+
+  /**
+   * Get a snapshot with its lines
+   * @param {number} disclosureId - Snapshot ID
+   * @returns {Object|null} - Snapshot row with lines, largest first per bucket
+   */
+  getDisclosure(disclosureId) {
+    const disclosure = databaseManager.getOne(
+      'SELECT * FROM mutual_fund_disclosures WHERE id = ?',
+      [disclosureId]
+    );
+    if (!disclosure) {
+      return null;
+    }
+
+    const lines = databaseManager.getAll(
+      `SELECT id, bucket, isin, instrument_name, stock_symbol, stock_name, percent_of_nav, market_value
+       FROM mutual_fund_disclosure_lines
+       WHERE disclosure_id = ?
+       ORDER BY percent_of_nav DESC`,
+      [disclosureId]
+    );
+
+    lines.sort((a, b) => BUCKETS.indexOf(a.bucket) - BUCKETS.indexOf(b.bucket));
+
+    return { ...disclosure, lines };
+  }
+
+  /**
+   * Get a scheme's stock allocations from its latest snapshot
+   * @param {string} schemeCode - AMFI scheme code
+   * @param {string|null} asOfDate - Latest snapshot on or before this date
+   *   (YYYY-MM-DD), or null for the newest
+   * @returns {Array|null} - [{ stock_symbol, stock_name, allocation_percent }]
+   *   in the shape of mutual_fund_allocations rows, or null without a snapshot
+   */
+  getLatestAllocations(schemeCode, asOfDate = null) {
+    const disclosure = databaseManager.getOne(
+      `SELECT id FROM mutual_fund_disclosures
+       WHERE scheme_code = ? AND as_of_date <= ?
+       ORDER BY as_of_date DESC
+       LIMIT 1`,
+      [schemeCode, asOfDate || '9999-12-31']
+    );
+    if (!disclosure) {
+      return null;
+    }
+
+    return databaseManager.getAll(
+      `SELECT stock_symbol, MAX(stock_name) as stock_name, SUM(percent_of_nav) as allocation_percent
+       FROM mutual_fund_disclosure_lines
+       WHERE disclosure_id = ? AND bucket = 'EQUITY'
+       GROUP BY stock_symbol
+       ORDER BY allocation_percent DESC`,
+      [disclosure.id]
+    );
+  }
+
+  /**
+   * Delete a snapshot and its lines
+   * @param {number} disclosureId - Snapshot ID
+   */
+  async deleteDisclosure(disclosureId) {
+    const changes = await databaseManager.delete(
+      'DELETE FROM mutual_fund_disclosures WHERE id = ?',
+      [disclosureId]
+    );
+    if (changes === 0) {
+      throw new Error(`Disclosure with ID ${disclosureId} not found`);
+    }
+  }
+}
+
+module.exports = new MutualFundDisclosureService();
+module.exports.parseDisclosureSheet = parseDisclosureSheet;
+module.exports.bucketLine = bucketLine;
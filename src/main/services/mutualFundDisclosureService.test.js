@@ -0,0 +1,171 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+const XLSX = require('xlsx');
+const databaseManager = require('../database/index');
+const mutualFundDisclosureService = require('./mutualFundDisclosureService');
+const { parseDisclosureSheet } = mutualFundDisclosureService;
+
+const DISCLOSURE_ROWS = [
+  ['HDFC Top 100 Fund (An open ended equity scheme predominantly investing in large cap stocks)'],
+  ['Monthly Portfolio Statement as on May 31,2024'],
+  [],
+  ['Name of the Instrument', 'ISIN', 'Industry / Rating', 'Quantity', 'Market/Fair Value (Rs. in Lacs)', '% to NAV'],
+  ['Equity & Equity Related'],
+  ['(a) Listed / awaiting listing on Stock Exchanges'],
+  ['Infosys Limited', 'INE009A01021', 'IT - Software', 100000, '1,528.30', 0.0512],
+  ['Reliance Industries Ltd.', 'INE002A01018', 'Petroleum Products', 50000, '1,465.28', 0.0491],
+  ['Vedant Fashions Ltd', 'INE825V01034', 'Retailing', 1000, 10.5, 0.0004],
+  ['Sub Total', null, null, null, '3,004.08', 0.1007],
+  ['Debt Instruments'],
+  ['7.18% GOI 2033', 'IN0020230085', 'Sovereign', 500000, '2,010.00', 0.6735],
+  ['Money Market Instruments'],
+  ['TREPS - Tri-party Repo', null, null, null, '610.00', 0.2044],
+  ['Net Current Assets', null, null, null, '6.42', 0.0214],
+  ['Grand Total', null, null, null, '5,630.50', 1]
+];
+
+function workbookOf(sheets) {
+  const workbook = XLSX.utils.book_new();
+  for (const [name, rows] of Object.entries(sheets)) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  }
+  return workbook;
+}
+
+describe('MutualFundDisclosureService', () => {
+  let saved;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    saved = [];
+    databaseManager.withTransaction.mockImplementation(async (callback) => (
+      callback({
+        delete: jest.fn(),
+        insert: (sql, params) => {
+          saved.push({ sql, params });
+          return saved.length;
+        }
+      })
+    ));
+    databaseManager.getOne.mockReturnValue({ scheme_code: '119018', scheme_name: 'HDFC Top 100 Fund - Growth Option - Direct Plan' });
+
+    mutualFundDisclosureService.setStockLookupService({
+      isReady: () => true,
+      lookupByIsin: (isin) => ({
+        INE009A01021: { ScripCode: '500209', CompanyName: 'Infosys Ltd' },
+        INE002A01018: { ScripCode: '500325', CompanyName: 'Reliance Industries Ltd' }
+      }[isin] || null)
+    });
+
+    jest.spyOn(XLSX, 'readFile').mockReturnValue(workbookOf({
+      Index: [['Scheme', 'Sheet'], ['HDFC Top 100 Fund', 'TOP100']],
+      TOP100: DISCLOSURE_ROWS
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseDisclosureSheet', () => {
+    test('reads the title, skips totals and keeps each line with its section', () => {
+      const parsed = parseDisclosureSheet(DISCLOSURE_ROWS);
+
+      expect(parsed.schemeName).toMatch(/^HDFC Top 100 Fund/);
+      expect(parsed.asOfDate).toBe('2024-05-31');
+      expect(parsed.lines.map(line => line.name)).toEqual([
+        'Infosys Limited',
+        'Reliance Industries Ltd.',
+        'Vedant Fashions Ltd',
+        '7.18% GOI 2033',
+        'TREPS - Tri-party Repo',
+        'Net Current Assets'
+      ]);
+      // Fractions from percent-formatted cells become percentages
+      expect(parsed.lines[0]).toEqual({
+        isin: 'INE009A01021',
+        name: 'Infosys Limited',
+        percent: 5.12,
+        marketValue: 1528.3,
+        section: 'EQUITY'
+      });
+      expect(parsed.lines[3].section).toBe('DEBT');
+    });
+
+    test('returns null for sheets without ISIN and % to NAV columns', () => {
+      expect(parseDisclosureSheet([['Scheme', 'Sheet'], ['HDFC Top 100 Fund', 'TOP100']])).toBeNull();
+    });
+  });
+
+  describe('importDisclosure', () => {
+    test('saves a dated snapshot with lines bucketed by ISIN', async () => {
+      const result = await mutualFundDisclosureService.importDisclosure('/tmp/HDFC_May_2024.xlsx', '119018');
+
+      expect(result).toEqual(expect.objectContaining({
+        disclosureId: 1,
+        fileName: 'HDFC_May_2024.xlsx',
+        sheetName: 'TOP100',
+        asOfDate: '2024-05-31',
+        lineCount: 6,
+        totals: { equity: 10.03, debt: 67.35, cash: 22.58, unmapped: 0.04 },
+        totalPercent: 100,
+        unmapped: [{ isin: 'INE825V01034', name: 'Vedant Fashions Ltd', percent: 0.04 }]
+      }));
+
+      const lines = saved.slice(1).map(row => [row.params[1], row.params[4], row.params[6]]);
+      expect(lines).toEqual([
+        ['EQUITY', '500209', 5.12],
+        ['EQUITY', '500325', 4.91],
+        ['UNMAPPED', null, 0.04],
+        ['DEBT', null, 67.35],
+        ['CASH', null, 20.44],
+        ['CASH', null, 2.14]
+      ]);
+      expect(saved[0].params.slice(0, 2)).toEqual(['119018', '2024-05-31']);
+    });
+
+    test('uses the date given when the sheet has none', async () => {
+      XLSX.readFile.mockReturnValue(workbookOf({ TOP100: DISCLOSURE_ROWS.slice(2) }));
+
+      await expect(mutualFundDisclosureService.importDisclosure('/tmp/top100.xlsx', '119018'))
+        .rejects.toThrow('Portfolio date not found');
+
+      const result = await mutualFundDisclosureService.importDisclosure('/tmp/top100.xlsx', '119018', { asOfDate: '2024-06-30' });
+      expect(result.asOfDate).toBe('2024-06-30');
+    });
+
+    test('requires the scheme to be on the scheme master', async () => {
+      databaseManager.getOne.mockReturnValue(undefined);
+
+      await expect(mutualFundDisclosureService.importDisclosure('/tmp/top100.xlsx', '999999'))
+        .rejects.toThrow('Scheme code 999999 not found');
+      expect(databaseManager.withTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getLatestAllocations', () => {
+    test('returns null for schemes without a snapshot', () => {
+      databaseManager.getOne.mockReturnValue(undefined);
+
+      expect(mutualFundDisclosureService.getLatestAllocations('119018')).toBeNull();
+      expect(databaseManager.getAll).not.toHaveBeenCalled();
+    });
+
+    test('reads the equity lines of the latest snapshot', () => {
+      databaseManager.getOne.mockReturnValue({ id: 4 });
+      databaseManager.getAll.mockReturnValue([{ stock_symbol: '500209', stock_name: 'Infosys Ltd', allocation_percent: 5.12 }]);
+
+      const allocations = mutualFundDisclosureService.getLatestAllocations('119018', '2024-06-15');
+
+      expect(databaseManager.getOne.mock.calls[0][1]).toEqual(['119018', '2024-06-15']);
+      expect(databaseManager.getAll.mock.calls[0][1]).toEqual([4]);
+      expect(allocations).toHaveLength(1);
+    });
+  });
+});
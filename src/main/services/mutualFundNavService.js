@@ -0,0 +1,231 @@
+// Mutual Fund NAV Service
+// Imports the AMFI NAVAll.txt file: every scheme goes on the scheme master
+// with its latest NAV, and the NAVs of schemes held are kept as history.
+// Funds recorded with an ISIN are linked to their scheme code on import.
+const fs = require('fs');
+const path = require('path');
+const databaseManager = require('../database/index');
+const mutualFundService = require('./mutualFundService');
+const { parseTradeDate } = require('./importParsers');
+
+// Lines without separators are headings: scheme categories such as
+// "Open Ended Schemes(Equity Scheme - Large Cap Fund)" or a fund house name
+const CATEGORY_HEADING = /schemes?\s*\(.*\)\s*$/i;
+
+/**
+ * Treat AMFI placeholders ("-", "N.A.") as missing
+ */
+function cleanValue(value) {
+  const text = String(value || '').trim();
+  return text === '' || text === '-' || /^n\.?a\.?$/i.test(text) ? null : text;
+}
+
+/**
+ * Parse the AMFI NAVAll.txt format
+ * Rows are "Scheme Code;ISIN Div Payout/ ISIN Growth;ISIN Div Reinvestment;
+ * Scheme Name;Net Asset Value;Date", grouped under category and fund house
+ * headings
+ * @param {string} content - File contents
+ * @returns {Array} - [{ schemeCode, schemeName, isinGrowth, isinReinvest,
+ *   category, fundHouse, nav, navDate }]; nav is null when not published
+ */
+function parseNavAll(content) {
+  const schemes = [];
+  let category = null;
+  let fundHouse = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+
+    if (!line.includes(';')) {
+      if (CATEGORY_HEADING.test(line)) {
+        category = line;
+        fundHouse = null;
+      } else {
+        fundHouse = line;
+      }
+      continue;
+    }
+
+    const fields = line.split(';');
+    if (fields.length < 6 || !/^\d+$/.test(fields[0].trim())) {
+      // Column header row
+      continue;
+    }
+
+    const nav = parseFloat(cleanValue(fields[4]));
+    schemes.push({
+      schemeCode: fields[0].trim(),
+      isinGrowth: cleanValue(fields[1]),
+      isinReinvest: cleanValue(fields[2]),
+      schemeName: fields[3].trim(),
+      category,
+      fundHouse,
+      nav: nav > 0 ? nav : null,
+      navDate: parseTradeDate(fields[5])
+    });
+  }
+
+  return schemes;
+}
+
+class MutualFundNavService {
+  /**
+   * Import an AMFI NAVAll.txt file
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Object>} - { fileName, schemeCount, navDate, linked,
+   *   navsSaved, fundsValued }
+   */
+  async importNavAll(filePath) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+      const schemes = parseNavAll(content);
+
+      if (schemes.length === 0) {
+        throw new Error('No schemes found. Expected the AMFI NAVAll.txt format.');
+      }
+
+      await databaseManager.withTransaction(async (tx) => {
+        for (const scheme of schemes) {
+          tx.insert(
+            `INSERT INTO mutual_fund_schemes
+               (scheme_code, scheme_name, isin_growth, isin_reinvest, category, fund_house, nav, nav_date)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(scheme_code) DO UPDATE SET
+               scheme_name = excluded.scheme_name,
+               isin_growth = excluded.isin_growth,
+               isin_reinvest = excluded.isin_reinvest,
+               category = COALESCE(excluded.category, category),
+               fund_house = COALESCE(excluded.fund_house, fund_house),
+               nav = CASE WHEN nav_date IS NULL OR excluded.nav_date >= nav_date THEN excluded.nav ELSE nav END,
+               nav_date = CASE WHEN nav_date IS NULL OR excluded.nav_date >= nav_date THEN excluded.nav_date ELSE nav_date END,
+               updated_at = CURRENT_TIMESTAMP`,
+            [
+              scheme.schemeCode,
+              scheme.schemeName,
+              scheme.isinGrowth,
+              scheme.isinReinvest,
+              scheme.category,
+              scheme.fundHouse,
+              scheme.nav,
+              scheme.navDate
+            ]
+          );
+        }
+      });
+
+      const linked = await this.linkSchemeCodes();
+
+      const held = new Set(databaseManager.getAll(
+        'SELECT DISTINCT scheme_code FROM mutual_funds WHERE scheme_code IS NOT NULL'
+      ).map(row => row.scheme_code));
+      const navs = schemes.filter(scheme => held.has(scheme.schemeCode) && scheme.nav && scheme.navDate);
+
+      await this.saveNavs(navs);
+      const fundsValued = await mutualFundService.refreshFundValues();
+
+      const navDates = schemes.map(scheme => scheme.navDate).filter(Boolean).sort();
+
+      console.log(`✓ Imported ${schemes.length} schemes and ${navs.length} NAVs of held funds`);
+
+      return {
+        fileName: path.basename(filePath),
+        schemeCount: schemes.length,
+        navDate: navDates.length > 0 ? navDates[navDates.length - 1] : null,
+        linked,
+        navsSaved: navs.length,
+        fundsValued
+      };
+    } catch (error) {
+      console.error('Failed to import AMFI NAV file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save NAVs to the history
+   * @param {Array} navs - [{ schemeCode, navDate, nav }]
+   */
+  async saveNavs(navs) {
+    if (navs.length === 0) {
+      return;
+    }
+
+    await databaseManager.withTransaction(async (tx) => {
+      for (const nav of navs) {
+        tx.insert(
+          `INSERT INTO mutual_fund_navs (scheme_code, nav_date, nav)
+           VALUES (?, ?, ?)
+           ON CONFLICT(scheme_code, nav_date) DO UPDATE SET nav = excluded.nav`,
+          [nav.schemeCode, nav.navDate, nav.nav]
+        );
+      }
+    });
+  }
+
+  /**
+   * Give funds recorded with an ISIN (e.g. from a CAS statement) the scheme
+   * code of the scheme carrying that ISIN
+   * @returns {Promise<number>} - Number of funds linked
+   */
+  async linkSchemeCodes() {
+    return databaseManager.update(
+      `UPDATE mutual_funds
+       SET scheme_code = (
+         SELECT scheme_code FROM mutual_fund_schemes
+         WHERE isin_growth = mutual_funds.isin OR isin_reinvest = mutual_funds.isin
+         LIMIT 1
+       )
+       WHERE scheme_code IS NULL
+         AND isin IS NOT NULL
+         AND EXISTS (
+           SELECT 1 FROM mutual_fund_schemes
+           WHERE isin_growth = mutual_funds.isin OR isin_reinvest = mutual_funds.isin
+         )`
+    );
+  }
+
+  /**
+   * Search the scheme master by name, scheme code or ISIN
+   * @param {string} term - Search text
+   * @param {number} limit - Maximum results
+   * @returns {Array} - mutual_fund_schemes rows
+   */
+  searchSchemes(term, limit = 20) {
+    const text = String(term || '').trim();
+    if (text.length < 2) {
+      return [];
+    }
+
+    return databaseManager.getAll(
+      `SELECT scheme_code, scheme_name, isin_growth, isin_reinvest, category, fund_house, nav, nav_date
+       FROM mutual_fund_schemes
+       WHERE scheme_code = ? OR isin_growth = ? OR isin_reinvest = ? OR scheme_name LIKE ?
+       ORDER BY scheme_name
+       LIMIT ?`,
+      [text, text.toUpperCase(), text.toUpperCase(), `%${text}%`, limit]
+    );
+  }
+
+  /**
+   * Get the stored NAVs of a scheme
+   * @param {string} schemeCode - AMFI scheme code
+   * @param {string|null} fromDate - First day (YYYY-MM-DD), or null for all
+   * @returns {Array} - [{ date, nav }] sorted by date
+   */
+  getNavHistory(schemeCode, fromDate = null) {
+    return databaseManager.getAll(
+      `SELECT nav_date as date, nav
+       FROM mutual_fund_navs
+       WHERE scheme_code = ? AND nav_date >= ?
+       ORDER BY nav_date`,
+      [schemeCode, fromDate || '0000-01-01']
+    );
+  }
+}
+
+module.exports = new MutualFundNavService();
+module.exports.parseNavAll = parseNavAll;
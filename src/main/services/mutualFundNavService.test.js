@@ -0,0 +1,105 @@
+jest.mock('fs', () => ({
+  readFileSync: jest.fn()
+}));
+
+jest.mock('../database/index', () => ({
+  getAll: jest.fn(),
+  update: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+jest.mock('./mutualFundService', () => ({
+  refreshFundValues: jest.fn()
+}));
+
+const fs = require('fs');
+const databaseManager = require('../database/index');
+const mutualFundService = require('./mutualFundService');
+const mutualFundNavService = require('./mutualFundNavService');
+const { parseNavAll } = mutualFundNavService;
+
+const NAV_ALL = [
+  'Scheme Code;ISIN Div Payout/ ISIN Growth;ISIN Div Reinvestment;Scheme Name;Net Asset Value;Date',
+  '',
+  'Open Ended Schemes(Debt Scheme - Liquid Fund)',
+  '',
+  'Axis Mutual Fund',
+  '',
+  '112210;INF846K01CH7;-;Axis Liquid Fund - Regular Plan - Growth Option;2745.1234;14-Jun-2024',
+  '',
+  'Open Ended Schemes(Equity Scheme - Large Cap Fund)',
+  '',
+  'HDFC Mutual Fund',
+  '',
+  '119018;INF179K01YV8;-;HDFC Top 100 Fund - Growth Option - Direct Plan;1123.456;14-Jun-2024',
+  '119019;-;INF179K01YW6;HDFC Top 100 Fund - IDCW - Direct Plan;N.A.;14-Jun-2024'
+].join('\r\n');
+
+describe('MutualFundNavService', () => {
+  let saved;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    saved = [];
+    databaseManager.withTransaction.mockImplementation(async (callback) => (
+      callback({ insert: (sql, params) => saved.push({ sql, params }) })
+    ));
+    databaseManager.getAll.mockReturnValue([{ scheme_code: '119018' }]);
+    databaseManager.update.mockResolvedValue(1);
+    mutualFundService.refreshFundValues.mockResolvedValue(2);
+    fs.readFileSync.mockReturnValue(NAV_ALL);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseNavAll', () => {
+    test('reads schemes with their category and fund house', () => {
+      const schemes = parseNavAll(NAV_ALL);
+
+      expect(schemes).toHaveLength(3);
+      expect(schemes[0]).toEqual({
+        schemeCode: '112210',
+        isinGrowth: 'INF846K01CH7',
+        isinReinvest: null,
+        schemeName: 'Axis Liquid Fund - Regular Plan - Growth Option',
+        category: 'Open Ended Schemes(Debt Scheme - Liquid Fund)',
+        fundHouse: 'Axis Mutual Fund',
+        nav: 2745.1234,
+        navDate: '2024-06-14'
+      });
+      expect(schemes[1].category).toBe('Open Ended Schemes(Equity Scheme - Large Cap Fund)');
+      expect(schemes[2]).toEqual(expect.objectContaining({ isinGrowth: null, isinReinvest: 'INF179K01YW6', nav: null }));
+    });
+  });
+
+  describe('importNavAll', () => {
+    test('updates the scheme master and keeps NAV history for held schemes only', async () => {
+      const result = await mutualFundNavService.importNavAll('/tmp/NAVAll.txt');
+
+      expect(result).toEqual({
+        fileName: 'NAVAll.txt',
+        schemeCount: 3,
+        navDate: '2024-06-14',
+        linked: 1,
+        navsSaved: 1,
+        fundsValued: 2
+      });
+
+      const navRows = saved.filter(row => row.sql.includes('INTO mutual_fund_navs'));
+      expect(navRows.map(row => row.params)).toEqual([['119018', '2024-06-14', 1123.456]]);
+      expect(saved.filter(row => row.sql.includes('INTO mutual_fund_schemes'))).toHaveLength(3);
+      expect(databaseManager.update.mock.calls[0][0]).toContain('SET scheme_code');
+    });
+
+    test('rejects files that are not in the NAVAll format', async () => {
+      fs.readFileSync.mockReturnValue('Date,Symbol,Price\n2024-06-14,INFY,1528');
+
+      await expect(mutualFundNavService.importNavAll('/tmp/prices.csv')).rejects.toThrow('No schemes found');
+      expect(mutualFundService.refreshFundValues).not.toHaveBeenCalled();
+    });
+  });
+});
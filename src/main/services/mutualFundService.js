@@ -1,10 +1,40 @@
 // Mutual Fund Service for managing mutual fund records and allocations
+// A fund with purchase/SIP/redemption transactions derives its units from
+// them; its current value is units × the latest stored NAV
 const databaseManager = require('../database/index');
+const portfolioService = require('./portfolioService');
+const AuditLogger = require('./auditLogger');
+const { classifyScheme, matchRedemptions } = require('../../utils/calculations/mutualFundGains');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+const { getFinancialYearStart } = require('../../utils/calculations/financialYear');
+
+const TRANSACTION_TYPES = ['PURCHASE', 'SIP', 'REDEMPTION'];
+
+const FUND_COLUMNS = `id, scheme_name, current_value, investment_date, portfolio_id, isin, folio_number,
+         units, scheme_code, tax_category, created_at, updated_at`;
+
+/**
+ * Round units to the three decimals registrars report
+ */
+function roundUnits(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Round to two decimals
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
 
 class MutualFundService {
+  constructor() {
+    this.auditLogger = new AuditLogger(databaseManager);
+  }
+
   /**
    * Add a new mutual fund with stock allocations
-   * @param {Object} mutualFund - { schemeName, currentValue, investmentDate }
+   * @param {Object} mutualFund - { schemeName, currentValue, investmentDate, portfolioId? }
    * @param {Array} allocations - [{ stockSymbol, stockName, allocationPercent }]
    * @returns {Promise<number>} - Mutual fund ID
    */
@@ -32,12 +62,13 @@ class MutualFundService {
       const mutualFundId = await databaseManager.withTransaction(async (tx) => {
         // Insert mutual fund record
         const mfId = tx.insert(
-          `INSERT INTO mutual_funds (scheme_name, current_value, investment_date, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?)`,
+          `INSERT INTO mutual_funds (scheme_name, current_value, investment_date, portfolio_id, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
           [
             mutualFund.schemeName,
             mutualFund.currentValue,
             mutualFund.investmentDate,
+            mutualFund.portfolioId || null,
             new Date().toISOString(),
             new Date().toISOString()
           ]
@@ -70,16 +101,38 @@ class MutualFundService {
   }
 
   /**
-   * Get all mutual funds with their allocations
+   * Get the portfolios a fund query covers
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
+   * @returns {Array<number>}
+   * @throws {Error} When the portfolio is not the user's
+   */
+  getPortfolioScope(userId, portfolioId = null) {
+    return portfolioId
+      ? [portfolioService.resolvePortfolioId(userId, portfolioId)]
+      : portfolioService.getPortfolioIds(userId);
+  }
+
+  /**
+   * Get a user's mutual funds with their allocations
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - Only this portfolio's funds (null for all accounts)
    * @returns {Promise<Array>} - Array of mutual fund objects
    */
-  async getAllMutualFunds() {
+  async getAllMutualFunds(userId, portfolioId = null) {
     try {
-      // Get all mutual funds sorted by investment date
+      const portfolioIds = this.getPortfolioScope(userId, portfolioId);
+      if (portfolioIds.length === 0) {
+        return [];
+      }
+
+      // Get the funds sorted by investment date
       const mutualFunds = databaseManager.getAll(
-        `SELECT id, scheme_name, current_value, investment_date, created_at, updated_at
+        `SELECT ${FUND_COLUMNS}
          FROM mutual_funds
-         ORDER BY investment_date ASC`
+         WHERE portfolio_id IN (${portfolioIds.map(() => '?').join(', ')})
+         ORDER BY investment_date ASC`,
+        portfolioIds
       );
 
       // Get allocations for each mutual fund
@@ -102,6 +155,189 @@ class MutualFundService {
     }
   }
 
+  /**
+   * Get the funds recorded before portfolios that no user has claimed yet
+   * @returns {Array} - [{ id, scheme_name, folio_number, current_value }]
+   */
+  getUnclaimedFunds() {
+    try {
+      return databaseManager.getAll(
+        `SELECT id, scheme_name, folio_number, current_value
+         FROM mutual_funds
+         WHERE portfolio_id IS NULL
+         ORDER BY scheme_name`
+      );
+    } catch (error) {
+      console.error('Failed to get unclaimed mutual funds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim unassigned funds into one of the user's portfolios
+   * Funds that already belong to a portfolio are left alone. Each claim is
+   * recorded in the activity audit so it can be traced and released.
+   * @param {number} userId - User ID
+   * @param {Array<number>} fundIds - Mutual fund IDs
+   * @param {number|null} portfolioId - Portfolio, or null for the default
+   * @returns {Promise<number>} - Number of funds claimed
+   */
+  async claimFunds(userId, fundIds, portfolioId = null) {
+    if (!Array.isArray(fundIds) || fundIds.length === 0) {
+      throw new Error('Select at least one fund to claim');
+    }
+
+    const targetId = portfolioService.resolvePortfolioId(userId, portfolioId);
+
+    try {
+      const unclaimedIds = databaseManager.getAll(
+        `SELECT id FROM mutual_funds
+         WHERE portfolio_id IS NULL AND id IN (${fundIds.map(() => '?').join(', ')})`,
+        fundIds
+      ).map(fund => fund.id);
+
+      if (unclaimedIds.length === 0) {
+        return 0;
+      }
+
+      const now = new Date();
+      const claimed = await databaseManager.update(
+        `UPDATE mutual_funds SET portfolio_id = ?, updated_at = ?
+         WHERE portfolio_id IS NULL AND id IN (${unclaimedIds.map(() => '?').join(', ')})`,
+        [targetId, now.toISOString(), ...unclaimedIds]
+      );
+
+      for (const fundId of unclaimedIds) {
+        await this.auditLogger.logActivity(userId, 'MUTUAL_FUND', fundId, 'CLAIM', { portfolioId: targetId }, now);
+      }
+
+      return claimed;
+    } catch (error) {
+      console.error('Failed to claim mutual funds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the funds the user claimed and has not released since
+   * @param {number} userId - User ID
+   * @returns {Array<number>} - Mutual fund IDs
+   */
+  getClaimedFundIds(userId) {
+    try {
+      return databaseManager.getAll(
+        `SELECT a.entity_id
+         FROM activity_audit a
+         WHERE a.entity_type = 'MUTUAL_FUND' AND a.action = 'CLAIM' AND a.user_id = ?
+           AND a.id = (
+             SELECT MAX(latest.id) FROM activity_audit latest
+             WHERE latest.entity_type = 'MUTUAL_FUND' AND latest.entity_id = a.entity_id
+           )`,
+        [userId]
+      ).map(entry => entry.entity_id);
+    } catch (error) {
+      console.error('Failed to get claimed mutual funds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release funds the user claimed back to the unassigned pool
+   * Only funds claimed by this user that are still in one of their
+   * portfolios are released
+   * @param {number} userId - User ID
+   * @param {Array<number>} fundIds - Mutual fund IDs
+   * @returns {Promise<number>} - Number of funds released
+   */
+  async releaseFunds(userId, fundIds) {
+    if (!Array.isArray(fundIds) || fundIds.length === 0) {
+      throw new Error('Select at least one fund to release');
+    }
+
+    const claimedIds = new Set(this.getClaimedFundIds(userId));
+    const releasableIds = fundIds.filter(id => claimedIds.has(id));
+    const portfolioIds = portfolioService.getPortfolioIds(userId);
+
+    if (releasableIds.length === 0 || portfolioIds.length === 0) {
+      return 0;
+    }
+
+    try {
+      const funds = databaseManager.getAll(
+        `SELECT id, portfolio_id FROM mutual_funds
+         WHERE id IN (${releasableIds.map(() => '?').join(', ')})
+           AND portfolio_id IN (${portfolioIds.map(() => '?').join(', ')})`,
+        [...releasableIds, ...portfolioIds]
+      );
+
+      if (funds.length === 0) {
+        return 0;
+      }
+
+      const now = new Date();
+      const released = await databaseManager.update(
+        `UPDATE mutual_funds SET portfolio_id = NULL, updated_at = ?
+         WHERE id IN (${funds.map(() => '?').join(', ')})`,
+        [now.toISOString(), ...funds.map(fund => fund.id)]
+      );
+
+      for (const fund of funds) {
+        await this.auditLogger.logActivity(userId, 'MUTUAL_FUND', fund.id, 'RELEASE', { portfolioId: fund.portfolio_id }, now);
+      }
+
+      return released;
+    } catch (error) {
+      console.error('Failed to release mutual funds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a fund the user owns
+   * Funds belong to a user through their portfolio
+   * @param {number} userId - User ID
+   * @param {number} id - Mutual fund ID
+   * @returns {Promise<Object>} - Mutual fund object with allocations
+   * @throws {Error} When the fund is not the user's
+   */
+  async getOwnedFund(userId, id) {
+    const owned = databaseManager.getOne(
+      `SELECT mf.id FROM mutual_funds mf
+       JOIN portfolios p ON p.id = mf.portfolio_id
+       WHERE mf.id = ? AND p.user_id = ?`,
+      [id, userId]
+    );
+
+    if (!owned) {
+      throw new Error(`Mutual fund with ID ${id} not found`);
+    }
+
+    return this.getMutualFundById(id);
+  }
+
+  /**
+   * Get the fund of a transaction the user owns
+   * @param {number} userId - User ID
+   * @param {number} transactionId - Transaction ID
+   * @returns {number} - Mutual fund ID
+   * @throws {Error} When the transaction is not the user's
+   */
+  getOwnedTransactionFundId(userId, transactionId) {
+    const owned = databaseManager.getOne(
+      `SELECT t.mutual_fund_id FROM mutual_fund_transactions t
+       JOIN mutual_funds mf ON mf.id = t.mutual_fund_id
+       JOIN portfolios p ON p.id = mf.portfolio_id
+       WHERE t.id = ? AND p.user_id = ?`,
+      [transactionId, userId]
+    );
+
+    if (!owned) {
+      throw new Error(`Mutual fund transaction ${transactionId} not found`);
+    }
+
+    return owned.mutual_fund_id;
+  }
+
   /**
    * Get single mutual fund by ID
    * @param {number} id - Mutual fund ID
@@ -110,7 +346,7 @@ class MutualFundService {
   async getMutualFundById(id) {
     try {
       const mutualFund = databaseManager.getOne(
-        `SELECT id, scheme_name, current_value, investment_date, created_at, updated_at
+        `SELECT ${FUND_COLUMNS}
          FROM mutual_funds
          WHERE id = ?`,
         [id]
@@ -141,7 +377,8 @@ class MutualFundService {
   /**
    * Update mutual fund details
    * @param {number} id - Mutual fund ID
-   * @param {Object} updates - { schemeName?, currentValue?, investmentDate? }
+   * @param {Object} updates - { schemeName?, currentValue?, investmentDate?,
+   *   schemeCode?, folioNumber?, taxCategory? }
    * @returns {Promise<void>}
    */
   async updateMutualFund(id, updates) {
@@ -150,6 +387,10 @@ class MutualFundService {
       throw new Error('Current value must be greater than zero');
     }
 
+    if (updates.taxCategory && !['EQUITY', 'DEBT'].includes(updates.taxCategory)) {
+      throw new Error('Tax category must be EQUITY or DEBT');
+    }
+
     if (updates.investmentDate) {
       const investmentDate = new Date(updates.investmentDate);
       const now = new Date();
@@ -177,6 +418,21 @@ class MutualFundService {
         updateValues.push(updates.investmentDate);
       }
 
+      if (updates.schemeCode !== undefined) {
+        updateFields.push('scheme_code = ?');
+        updateValues.push(updates.schemeCode || null);
+      }
+
+      if (updates.folioNumber !== undefined) {
+        updateFields.push('folio_number = ?');
+        updateValues.push(updates.folioNumber || null);
+      }
+
+      if (updates.taxCategory !== undefined) {
+        updateFields.push('tax_category = ?');
+        updateValues.push(updates.taxCategory || null);
+      }
+
       if (updateFields.length === 0) {
         throw new Error('No fields to update');
       }
@@ -195,6 +451,10 @@ class MutualFundService {
         throw new Error(`Mutual fund with ID ${id} not found`);
       }
 
+      if (updates.schemeCode !== undefined) {
+        await this.refreshFundValue(id);
+      }
+
       console.log(`Mutual fund ${id} updated successfully`);
     } catch (error) {
       console.error(`Failed to update mutual fund ${id}:`, error);
@@ -202,6 +462,581 @@ class MutualFundService {
     }
   }
 
+  /**
+   * Replace a fund's stock allocations
+   * @param {number} id - Mutual fund ID
+   * @param {Array} allocations - [{ stockSymbol, stockName, allocationPercent }]
+   * @returns {Promise<void>}
+   */
+  async updateAllocations(id, allocations) {
+    if (!allocations || allocations.length === 0) {
+      throw new Error('At least one stock allocation is required');
+    }
+
+    for (const allocation of allocations) {
+      if (!allocation.stockSymbol) {
+        throw new Error('Every allocation needs a stock symbol');
+      }
+      if (!(allocation.allocationPercent >= 0 && allocation.allocationPercent <= 100)) {
+        throw new Error(`Allocation for ${allocation.stockSymbol} must be between 0 and 100`);
+      }
+    }
+
+    const fund = await this.getMutualFundById(id);
+    if (!fund) {
+      throw new Error(`Mutual fund with ID ${id} not found`);
+    }
+
+    try {
+      await databaseManager.withTransaction(async (tx) => {
+        tx.delete('DELETE FROM mutual_fund_allocations WHERE mutual_fund_id = ?', [id]);
+
+        const now = new Date().toISOString();
+        for (const allocation of allocations) {
+          tx.insert(
+            `INSERT INTO mutual_fund_allocations (mutual_fund_id, stock_symbol, stock_name, allocation_percent, created_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [id, allocation.stockSymbol, allocation.stockName || allocation.stockSymbol, allocation.allocationPercent, now]
+          );
+        }
+
+        tx.update('UPDATE mutual_funds SET updated_at = ? WHERE id = ?', [now, id]);
+      });
+
+      console.log(`Replaced allocations of mutual fund ${id}`);
+    } catch (error) {
+      console.error(`Failed to update allocations of mutual fund ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the user's mutual fund a statement folio belongs to
+   * Folios recorded from an earlier statement match on ISIN and folio
+   * number; funds added by hand match on scheme name. Only funds in the
+   * user's own portfolios are considered.
+   * @param {number} userId - User ID
+   * @param {Object} folio - { isin, folioNumber, schemeName }
+   * @returns {Object|null} - Mutual fund row
+   */
+  findStatementFolio(userId, folio) {
+    try {
+      const portfolioIds = this.getPortfolioScope(userId);
+      if (portfolioIds.length === 0) {
+        return null;
+      }
+      const inPortfolios = `portfolio_id IN (${portfolioIds.map(() => '?').join(', ')})`;
+
+      if (folio.isin && folio.folioNumber) {
+        const recorded = databaseManager.getOne(
+          `SELECT id, scheme_name, current_value, units, isin, folio_number
+           FROM mutual_funds
+           WHERE isin = ? AND folio_number = ? AND ${inPortfolios}`,
+          [folio.isin, folio.folioNumber, ...portfolioIds]
+        );
+        if (recorded) {
+          return recorded;
+        }
+      }
+
+      return databaseManager.getOne(
+        `SELECT id, scheme_name, current_value, units, isin, folio_number
+         FROM mutual_funds
+         WHERE isin IS NULL AND LOWER(scheme_name) = LOWER(?) AND ${inPortfolios}`,
+        [folio.schemeName, ...portfolioIds]
+      ) || null;
+    } catch (error) {
+      console.error('Failed to find statement folio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a folio from a consolidated account statement
+   * Updates the matching fund's value and units, or adds the fund. A new
+   * fund takes the statement date as its investment date and has no stock
+   * allocations until they are imported. A fund keeps the portfolio it was
+   * first recorded in.
+   * @param {number} userId - User ID
+   * @param {Object} folio - { isin, folioNumber, schemeName, units, value, statementDate, portfolioId? }
+   * @returns {Promise<Object>} - { id, created }
+   */
+  async recordStatementFolio(userId, folio) {
+    if (!folio.schemeName || !(folio.value > 0)) {
+      throw new Error('Folio needs a scheme name and a value greater than zero');
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const existing = this.findStatementFolio(userId, folio);
+
+      if (existing) {
+        await databaseManager.update(
+          `UPDATE mutual_funds
+           SET current_value = ?, units = ?, isin = ?, folio_number = ?, updated_at = ?
+           WHERE id = ?`,
+          [folio.value, folio.units, folio.isin || null, folio.folioNumber || null, now, existing.id]
+        );
+        return { id: existing.id, created: false };
+      }
+
+      const id = await databaseManager.insert(
+        `INSERT INTO mutual_funds (scheme_name, current_value, investment_date, isin, folio_number, units, portfolio_id, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [folio.schemeName, folio.value, folio.statementDate, folio.isin || null, folio.folioNumber || null, folio.units,
+          portfolioService.resolvePortfolioId(userId, folio.portfolioId), now, now]
+      );
+      return { id, created: true };
+    } catch (error) {
+      console.error(`Failed to record folio ${folio.folioNumber || folio.schemeName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the tax category of a fund
+   * A category set on the fund wins over the one implied by its AMFI scheme
+   * category
+   * @param {Object} fund - mutual_funds row
+   * @returns {string|null} - 'EQUITY', 'DEBT' or null when unknown
+   */
+  getTaxCategory(fund) {
+    if (fund.tax_category) {
+      return fund.tax_category;
+    }
+
+    if (!fund.scheme_code) {
+      return null;
+    }
+
+    const scheme = databaseManager.getOne(
+      'SELECT category FROM mutual_fund_schemes WHERE scheme_code = ?',
+      [fund.scheme_code]
+    );
+    return classifyScheme(scheme ? scheme.category : null);
+  }
+
+  /**
+   * Get the latest NAV of a scheme
+   * Falls back to the NAV on the scheme master for schemes without history
+   * @param {string} schemeCode - AMFI scheme code
+   * @returns {Object|null} - { nav, navDate }
+   */
+  getLatestNav(schemeCode) {
+    if (!schemeCode) {
+      return null;
+    }
+
+    const latest = databaseManager.getOne(
+      `SELECT nav, nav_date
+       FROM mutual_fund_navs
+       WHERE scheme_code = ?
+       ORDER BY nav_date DESC
+       LIMIT 1`,
+      [schemeCode]
+    ) || databaseManager.getOne(
+      'SELECT nav, nav_date FROM mutual_fund_schemes WHERE scheme_code = ? AND nav IS NOT NULL',
+      [schemeCode]
+    );
+
+    return latest ? { nav: latest.nav, navDate: latest.nav_date } : null;
+  }
+
+  /**
+   * Get a fund's transactions, oldest first
+   * @param {number} mutualFundId - Mutual fund ID
+   * @returns {Array} - mutual_fund_transactions rows
+   */
+  getTransactions(mutualFundId) {
+    try {
+      return databaseManager.getAll(
+        `SELECT id, mutual_fund_id, transaction_type, transaction_date, units, nav, amount, stamp_duty, notes
+         FROM mutual_fund_transactions
+         WHERE mutual_fund_id = ?
+         ORDER BY transaction_date, id`,
+        [mutualFundId]
+      );
+    } catch (error) {
+      console.error(`Failed to get transactions of mutual fund ${mutualFundId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a fund transaction
+   * The amount defaults to units × NAV
+   * @param {Object} transaction - { type, date, units, nav, amount?, stampDuty?, notes? }
+   * @returns {Object} - Normalised transaction
+   */
+  validateTransaction(transaction) {
+    if (!transaction || !TRANSACTION_TYPES.includes(transaction.type)) {
+      throw new Error(`Transaction type must be one of ${TRANSACTION_TYPES.join(', ')}`);
+    }
+
+    if (!transaction.date) {
+      throw new Error('Transaction date is required');
+    }
+
+    const date = toDateKey(transaction.date);
+    if (date > toDateKey(new Date())) {
+      throw new Error('Transaction date cannot be in the future');
+    }
+
+    const units = parseFloat(transaction.units);
+    const nav = parseFloat(transaction.nav);
+    if (!(units > 0)) {
+      throw new Error('Units must be greater than 0');
+    }
+    if (!(nav > 0)) {
+      throw new Error('NAV must be greater than 0');
+    }
+
+    const hasAmount = transaction.amount !== undefined && transaction.amount !== null && transaction.amount !== '';
+    const amount = hasAmount ? parseFloat(transaction.amount) : round2(units * nav);
+    if (!(amount > 0)) {
+      throw new Error('Amount must be greater than 0');
+    }
+
+    const stampDuty = parseFloat(transaction.stampDuty) || 0;
+    if (stampDuty < 0) {
+      throw new Error('Stamp duty cannot be negative');
+    }
+
+    return {
+      type: transaction.type,
+      date,
+      units,
+      nav,
+      amount,
+      stampDuty,
+      notes: transaction.notes || null
+    };
+  }
+
+  /**
+   * Add a purchase, SIP instalment or redemption to a fund
+   * A redemption cannot take out more units than are held on its date
+   * @param {number} mutualFundId - Mutual fund ID
+   * @param {Object} transaction - See validateTransaction
+   * @returns {Promise<number>} - Transaction ID
+   */
+  async addTransaction(mutualFundId, transaction) {
+    const txn = this.validateTransaction(transaction);
+
+    const fund = await this.getMutualFundById(mutualFundId);
+    if (!fund) {
+      throw new Error(`Mutual fund with ID ${mutualFundId} not found`);
+    }
+
+    // Only the units matter for the check, not the tax category
+    if (txn.type === 'REDEMPTION') {
+      matchRedemptions([
+        ...this.getTransactions(mutualFundId),
+        { id: Number.MAX_SAFE_INTEGER, transaction_type: txn.type, transaction_date: txn.date, units: txn.units, amount: txn.amount }
+      ], 'EQUITY');
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const id = await databaseManager.insert(
+        `INSERT INTO mutual_fund_transactions
+           (mutual_fund_id, transaction_type, transaction_date, units, nav, amount, stamp_duty, notes, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [mutualFundId, txn.type, txn.date, txn.units, txn.nav, txn.amount, txn.stampDuty, txn.notes, now, now]
+      );
+
+      await this.refreshFundValue(mutualFundId);
+      return id;
+    } catch (error) {
+      console.error(`Failed to add transaction to mutual fund ${mutualFundId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a fund transaction
+   * A purchase that later redemptions were matched to cannot be deleted
+   * @param {number} transactionId - Transaction ID
+   * @returns {Promise<void>}
+   */
+  async deleteTransaction(transactionId) {
+    const txn = databaseManager.getOne(
+      'SELECT id, mutual_fund_id FROM mutual_fund_transactions WHERE id = ?',
+      [transactionId]
+    );
+    if (!txn) {
+      throw new Error(`Mutual fund transaction ${transactionId} not found`);
+    }
+
+    const remaining = this.getTransactions(txn.mutual_fund_id).filter(t => t.id !== transactionId);
+    try {
+      matchRedemptions(remaining, 'EQUITY');
+    } catch (error) {
+      throw new Error('Later redemptions use these units; delete the redemptions first');
+    }
+
+    try {
+      await databaseManager.delete('DELETE FROM mutual_fund_transactions WHERE id = ?', [transactionId]);
+      await this.refreshFundValue(txn.mutual_fund_id);
+    } catch (error) {
+      console.error(`Failed to delete mutual fund transaction ${transactionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start holding a scheme with its first purchase
+   * The scheme must be on the AMFI scheme master (see mutualFundNavService)
+   * @param {Object} holding - { schemeCode, folioNumber?, portfolioId?, taxCategory? }
+   * @param {Object} transaction - First PURCHASE or SIP, see validateTransaction
+   * @returns {Promise<number>} - Mutual fund ID
+   */
+  async addFundHolding(holding, transaction) {
+    const txn = this.validateTransaction(transaction);
+    if (txn.type === 'REDEMPTION') {
+      throw new Error('A holding must start with a purchase or SIP');
+    }
+
+    const scheme = databaseManager.getOne(
+      'SELECT scheme_code, scheme_name, isin_growth, isin_reinvest FROM mutual_fund_schemes WHERE scheme_code = ?',
+      [holding && holding.schemeCode]
+    );
+    if (!scheme) {
+      throw new Error(`Scheme code ${holding && holding.schemeCode} not found. Import an AMFI NAV file first.`);
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const mutualFundId = await databaseManager.withTransaction(async (tx) => {
+        const id = tx.insert(
+          `INSERT INTO mutual_funds
+             (scheme_name, current_value, investment_date, isin, folio_number, units, scheme_code, tax_category, portfolio_id, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            scheme.scheme_name,
+            txn.amount,
+            txn.date,
+            scheme.isin_growth || scheme.isin_reinvest || null,
+            holding.folioNumber || null,
+            txn.units,
+            scheme.scheme_code,
+            holding.taxCategory || null,
+            holding.portfolioId || null,
+            now,
+            now
+          ]
+        );
+
+        tx.insert(
+          `INSERT INTO mutual_fund_transactions
+             (mutual_fund_id, transaction_type, transaction_date, units, nav, amount, stamp_duty, notes, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [id, txn.type, txn.date, txn.units, txn.nav, txn.amount, txn.stampDuty, txn.notes, now, now]
+        );
+
+        return id;
+      });
+
+      await this.refreshFundValue(mutualFundId);
+      return mutualFundId;
+    } catch (error) {
+      console.error(`Failed to add holding of scheme ${scheme.scheme_code}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out a fund's units and value
+   * Units come from the transactions when there are any, otherwise from the
+   * last statement; the value is units × the latest NAV. Without a NAV the
+   * recorded value is left as it is.
+   * @param {Object} fund - mutual_funds row
+   * @returns {Object} - { units, nav, navDate, value, transactions, openLots }
+   */
+  describeFund(fund) {
+    const transactions = this.getTransactions(fund.id);
+    // Open lots are the same under either tax category
+    const { openLots } = transactions.length > 0
+      ? matchRedemptions(transactions, 'EQUITY')
+      : { openLots: [] };
+
+    const units = transactions.length > 0
+      ? roundUnits(openLots.reduce((sum, lot) => sum + lot.units, 0))
+      : fund.units;
+    const latest = this.getLatestNav(fund.scheme_code);
+
+    let value = fund.current_value;
+    if (units === 0) {
+      value = 0;
+    } else if (latest && units > 0) {
+      value = round2(units * latest.nav);
+    }
+
+    return {
+      units,
+      nav: latest ? latest.nav : null,
+      navDate: latest ? latest.navDate : null,
+      value,
+      transactions,
+      openLots
+    };
+  }
+
+  /**
+   * Store a fund's derived units and current value
+   * A fully redeemed fund keeps its last value; its units are 0
+   * @param {number} mutualFundId - Mutual fund ID
+   * @returns {Promise<Object>} - describeFund result
+   */
+  async refreshFundValue(mutualFundId) {
+    try {
+      const fund = await this.getMutualFundById(mutualFundId);
+      if (!fund) {
+        throw new Error(`Mutual fund with ID ${mutualFundId} not found`);
+      }
+
+      const described = this.describeFund(fund);
+
+      await databaseManager.update(
+        'UPDATE mutual_funds SET units = ?, current_value = ?, updated_at = ? WHERE id = ?',
+        [described.units, described.value > 0 ? described.value : fund.current_value, new Date().toISOString(), mutualFundId]
+      );
+
+      return described;
+    } catch (error) {
+      console.error(`Failed to refresh value of mutual fund ${mutualFundId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh the value of every fund with a scheme code or transactions
+   * @returns {Promise<number>} - Number of funds refreshed
+   */
+  async refreshFundValues() {
+    const funds = databaseManager.getAll(
+      `SELECT id FROM mutual_funds
+       WHERE scheme_code IS NOT NULL
+          OR id IN (SELECT mutual_fund_id FROM mutual_fund_transactions)`
+    );
+
+    for (const fund of funds) {
+      await this.refreshFundValue(fund.id);
+    }
+
+    return funds.length;
+  }
+
+  /**
+   * Get the funds held with their units, cost and value
+   * Cost is known only for funds with transactions
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - Only this portfolio's funds (null for all accounts)
+   * @returns {Promise<Array>} - [{ id, schemeName, schemeCode, folioNumber, isin,
+   *   portfolioId, taxCategory, units, invested, nav, navDate, currentValue,
+   *   gainLoss, transactionCount, claimed }] where claimed marks funds the
+   *   user claimed and can release
+   */
+  async getFundHoldings(userId, portfolioId = null) {
+    try {
+      const funds = await this.getAllMutualFunds(userId, portfolioId);
+      const claimedIds = new Set(this.getClaimedFundIds(userId));
+
+      return funds.map(fund => {
+        const described = this.describeFund(fund);
+        const invested = described.transactions.length > 0
+          ? round2(described.openLots.reduce((sum, lot) => sum + lot.units * lot.costPerUnit, 0))
+          : null;
+
+        return {
+          id: fund.id,
+          schemeName: fund.scheme_name,
+          schemeCode: fund.scheme_code,
+          folioNumber: fund.folio_number,
+          isin: fund.isin,
+          portfolioId: fund.portfolio_id,
+          taxCategory: this.getTaxCategory(fund),
+          units: described.units,
+          invested,
+          nav: described.nav,
+          navDate: described.navDate,
+          currentValue: described.value,
+          gainLoss: invested !== null ? round2(described.value - invested) : null,
+          transactionCount: described.transactions.length,
+          claimed: claimedIds.has(fund.id)
+        };
+      });
+    } catch (error) {
+      console.error('Failed to get mutual fund holdings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get realised gains on fund redemptions in a financial year
+   * Funds without a known tax category are treated as debt funds and flagged
+   * @param {number} userId - User ID
+   * @param {string} financialYear - e.g. "2024-25"
+   * @param {number|null} portfolioId - Only this portfolio's funds (null for all accounts)
+   * @returns {Promise<Object>} - { financialYear, funds, totals } where funds are
+   *   [{ id, schemeName, taxCategory, categoryAssumed, gains }] and totals
+   *   split equity and debt gains into stcg, ltcg and the slab-rate share of stcg
+   */
+  async getCapitalGains(userId, financialYear, portfolioId = null) {
+    try {
+      const fromDate = toDateKey(getFinancialYearStart(financialYear));
+      const toDate = `${Number(fromDate.substring(0, 4)) + 1}-03-31`;
+      const totals = {
+        equity: { stcg: 0, ltcg: 0, slab: 0 },
+        debt: { stcg: 0, ltcg: 0, slab: 0 }
+      };
+      const result = [];
+
+      for (const fund of await this.getAllMutualFunds(userId, portfolioId)) {
+        const transactions = this.getTransactions(fund.id);
+        if (!transactions.some(t => t.transaction_type === 'REDEMPTION')) {
+          continue;
+        }
+
+        const category = this.getTaxCategory(fund);
+        const taxCategory = category || 'DEBT';
+        const gains = matchRedemptions(transactions, taxCategory).realized
+          .filter(gain => gain.sellDate >= fromDate && gain.sellDate <= toDate);
+
+        if (gains.length === 0) {
+          continue;
+        }
+
+        const bucket = taxCategory === 'EQUITY' ? totals.equity : totals.debt;
+        for (const gain of gains) {
+          bucket[gain.classification === 'LTCG' ? 'ltcg' : 'stcg'] += gain.gainLoss;
+          if (gain.slabRate) {
+            bucket.slab += gain.gainLoss;
+          }
+        }
+
+        result.push({
+          id: fund.id,
+          schemeName: fund.scheme_name,
+          taxCategory,
+          categoryAssumed: !category,
+          gains
+        });
+      }
+
+      for (const bucket of Object.values(totals)) {
+        bucket.stcg = round2(bucket.stcg);
+        bucket.ltcg = round2(bucket.ltcg);
+        bucket.slab = round2(bucket.slab);
+      }
+
+      return { financialYear, funds: result, totals };
+    } catch (error) {
+      console.error(`Failed to get mutual fund gains for ${financialYear}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Delete mutual fund and cascade delete allocations
    * @param {number} id - Mutual fund ID
@@ -227,3 +1062,4 @@ class MutualFundService {
 }
 
 module.exports = new MutualFundService();
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
@@ -0,0 +1,213 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  update: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+jest.mock('./portfolioService', () => ({
+  getPortfolioIds: jest.fn(),
+  resolvePortfolioId: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const portfolioService = require('./portfolioService');
+const mutualFundService = require('./mutualFundService');
+
+describe('MutualFundService', () => {
+  describe('updateAllocations', () => {
+    let statements;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      statements = [];
+      const record = (sql, params) => statements.push({ sql, params });
+      databaseManager.withTransaction.mockImplementation(async (callback) => (
+        callback({ insert: record, update: record, delete: record })
+      ));
+      databaseManager.getOne.mockReturnValue({ id: 4, scheme_name: 'Flexi Cap Fund' });
+      databaseManager.getAll.mockReturnValue([]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('replaces the stored allocations in one transaction', async () => {
+      await mutualFundService.updateAllocations(4, [
+        { stockSymbol: '500325', stockName: 'Reliance Industries Ltd', allocationPercent: 60 },
+        { stockSymbol: '500209', stockName: '', allocationPercent: 40 }
+      ]);
+
+      expect(databaseManager.withTransaction).toHaveBeenCalledTimes(1);
+      expect(statements[0]).toEqual({
+        sql: 'DELETE FROM mutual_fund_allocations WHERE mutual_fund_id = ?',
+        params: [4]
+      });
+      expect(statements.slice(1, 3).map(statement => statement.params.slice(0, 4))).toEqual([
+        [4, '500325', 'Reliance Industries Ltd', 60],
+        [4, '500209', '500209', 40]
+      ]);
+      expect(statements[3].sql).toContain('UPDATE mutual_funds SET updated_at');
+    });
+
+    test('rejects empty lists and out-of-range percents before writing', async () => {
+      await expect(mutualFundService.updateAllocations(4, [])).rejects.toThrow('At least one stock allocation');
+      await expect(mutualFundService.updateAllocations(4, [{ stockSymbol: '500325', allocationPercent: 120 }]))
+        .rejects.toThrow('between 0 and 100');
+      await expect(mutualFundService.updateAllocations(4, [{ stockSymbol: '', allocationPercent: 10 }]))
+        .rejects.toThrow('needs a stock symbol');
+
+      expect(databaseManager.withTransaction).not.toHaveBeenCalled();
+    });
+
+    test('fails for an unknown fund', async () => {
+      databaseManager.getOne.mockReturnValue(null);
+
+      await expect(mutualFundService.updateAllocations(99, [{ stockSymbol: '500325', allocationPercent: 50 }]))
+        .rejects.toThrow('Mutual fund with ID 99 not found');
+    });
+  });
+
+  describe('user scoping', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      portfolioService.getPortfolioIds.mockReturnValue([3, 5]);
+      portfolioService.resolvePortfolioId.mockImplementation((userId, portfolioId) => {
+        if (portfolioId !== 5) {
+          throw new Error(`Portfolio ${portfolioId} not found`);
+        }
+        return portfolioId;
+      });
+      databaseManager.getAll.mockReturnValue([]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('lists only the funds in the user\'s portfolios', async () => {
+      await mutualFundService.getAllMutualFunds(1);
+
+      expect(portfolioService.getPortfolioIds).toHaveBeenCalledWith(1);
+      expect(databaseManager.getAll.mock.calls[0][0]).toContain('WHERE portfolio_id IN (?, ?)');
+      expect(databaseManager.getAll.mock.calls[0][1]).toEqual([3, 5]);
+    });
+
+    test('checks that a requested portfolio is the user\'s', async () => {
+      await mutualFundService.getFundHoldings(1, 5);
+      expect(databaseManager.getAll.mock.calls[0][1]).toEqual([5]);
+
+      await expect(mutualFundService.getCapitalGains(1, '2024-25', 9)).rejects.toThrow('Portfolio 9 not found');
+    });
+
+    test('lists nothing for a user without portfolios', async () => {
+      portfolioService.getPortfolioIds.mockReturnValue([]);
+
+      await expect(mutualFundService.getAllMutualFunds(2)).resolves.toEqual([]);
+      expect(databaseManager.getAll).not.toHaveBeenCalled();
+    });
+
+    test('does not hand out another user\'s fund', async () => {
+      databaseManager.getOne.mockReturnValue(undefined);
+
+      await expect(mutualFundService.getOwnedFund(2, 4)).rejects.toThrow('Mutual fund with ID 4 not found');
+      expect(databaseManager.getOne.mock.calls[0][1]).toEqual([4, 2]);
+    });
+
+    test('matches statement folios only within the user\'s portfolios', () => {
+      databaseManager.getOne.mockReturnValue(undefined);
+
+      expect(mutualFundService.findStatementFolio(1, {
+        isin: 'INF109K01Z48', folioNumber: '91234567', schemeName: 'Flexi Cap Fund'
+      })).toBeNull();
+
+      expect(portfolioService.getPortfolioIds).toHaveBeenCalledWith(1);
+      databaseManager.getOne.mock.calls.forEach(([sql, params]) => {
+        expect(sql).toContain('AND portfolio_id IN (?, ?)');
+        expect(params.slice(-2)).toEqual([3, 5]);
+      });
+      expect(databaseManager.getOne).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('claimFunds', () => {
+    beforeEach(() => {
+      portfolioService.resolvePortfolioId.mockReturnValue(3);
+      databaseManager.getAll.mockReturnValue([{ id: 4 }, { id: 6 }]);
+      databaseManager.update.mockResolvedValue(2);
+      databaseManager.insert.mockResolvedValue(1);
+    });
+
+    test('moves only unassigned funds into the user\'s portfolio', async () => {
+      await expect(mutualFundService.claimFunds(1, [4, 6, 8], null)).resolves.toBe(2);
+
+      expect(portfolioService.resolvePortfolioId).toHaveBeenCalledWith(1, null);
+      expect(databaseManager.getAll.mock.calls[0][1]).toEqual([4, 6, 8]);
+      const [sql, params] = databaseManager.update.mock.calls[0];
+      expect(sql).toContain('WHERE portfolio_id IS NULL AND id IN (?, ?)');
+      expect(params[0]).toBe(3);
+      expect(params.slice(2)).toEqual([4, 6]);
+    });
+
+    test('records who claimed each fund', async () => {
+      await mutualFundService.claimFunds(1, [4, 6], null);
+
+      expect(databaseManager.insert).toHaveBeenCalledTimes(2);
+      const [sql, params] = databaseManager.insert.mock.calls[0];
+      expect(sql).toContain('INSERT INTO activity_audit');
+      expect(params.slice(0, 5)).toEqual([1, 'MUTUAL_FUND', 4, 'CLAIM', JSON.stringify({ portfolioId: 3 })]);
+    });
+
+    test('claims nothing when every fund is taken', async () => {
+      databaseManager.getAll.mockReturnValue([]);
+
+      await expect(mutualFundService.claimFunds(1, [4], null)).resolves.toBe(0);
+      expect(databaseManager.update).not.toHaveBeenCalled();
+      expect(databaseManager.insert).not.toHaveBeenCalled();
+    });
+
+    test('needs at least one fund', async () => {
+      await expect(mutualFundService.claimFunds(1, [])).rejects.toThrow('at least one fund');
+    });
+  });
+
+  describe('releaseFunds', () => {
+    beforeEach(() => {
+      portfolioService.getPortfolioIds.mockReturnValue([3, 5]);
+      databaseManager.getAll.mockImplementation((sql) => (
+        sql.includes('FROM activity_audit') ? [{ entity_id: 4 }] : [{ id: 4, portfolio_id: 5 }]
+      ));
+      databaseManager.update.mockResolvedValue(1);
+      databaseManager.insert.mockResolvedValue(1);
+    });
+
+    test('releases only funds the user claimed from their own portfolios', async () => {
+      await expect(mutualFundService.releaseFunds(1, [4, 6])).resolves.toBe(1);
+
+      const [selectSql, selectParams] = databaseManager.getAll.mock.calls[1];
+      expect(selectSql).toContain('AND portfolio_id IN (?, ?)');
+      expect(selectParams).toEqual([4, 3, 5]);
+      const [sql, params] = databaseManager.update.mock.calls[0];
+      expect(sql).toContain('SET portfolio_id = NULL');
+      expect(params.slice(1)).toEqual([4]);
+    });
+
+    test('records the release with the portfolio the fund left', async () => {
+      await mutualFundService.releaseFunds(1, [4]);
+
+      const params = databaseManager.insert.mock.calls[0][1];
+      expect(params.slice(0, 5)).toEqual([1, 'MUTUAL_FUND', 4, 'RELEASE', JSON.stringify({ portfolioId: 5 })]);
+    });
+
+    test('leaves funds claimed by someone else alone', async () => {
+      databaseManager.getAll.mockReturnValue([]);
+
+      await expect(mutualFundService.releaseFunds(1, [4])).resolves.toBe(0);
+      expect(databaseManager.update).not.toHaveBeenCalled();
+    });
+  });
+});
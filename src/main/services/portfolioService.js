@@ -0,0 +1,222 @@
+// Portfolio Service
+// Manages the portfolios (demat accounts) a user holds, such as an individual,
+// HUF or joint account. Transactions, realized gains and mutual funds belong
+// to one portfolio, and FIFO lots are matched within it.
+const databaseManager = require('../database/index');
+
+const ACCOUNT_TYPES = ['INDIVIDUAL', 'HUF', 'JOINT', 'OTHER'];
+
+class PortfolioService {
+  /**
+   * Get a user's portfolios
+   * @param {number} userId - User ID
+   * @returns {Array} - [{ id, name, account_type, demat_account, is_default,
+   *   transaction_count }], default portfolio first
+   */
+  getPortfolios(userId) {
+    try {
+      this.getDefaultPortfolioId(userId);
+
+      return databaseManager.getAll(
+        `SELECT p.id, p.name, p.account_type, p.demat_account, p.is_default,
+                p.created_at, p.updated_at,
+                (SELECT COUNT(*) FROM transactions t WHERE t.portfolio_id = p.id) as transaction_count
+         FROM portfolios p
+         WHERE p.user_id = ?
+         ORDER BY p.is_default DESC, p.name`,
+        [userId]
+      );
+    } catch (error) {
+      console.error('Failed to get portfolios:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of a user's portfolios
+   * @param {number} userId - User ID
+   * @returns {Array<number>}
+   */
+  getPortfolioIds(userId) {
+    return databaseManager.getAll(
+      'SELECT id FROM portfolios WHERE user_id = ? ORDER BY id',
+      [userId]
+    ).map(row => row.id);
+  }
+
+  /**
+   * Get a user's default portfolio, creating it for users added after the
+   * portfolios migration
+   * @param {number} userId - User ID
+   * @returns {number} - Portfolio ID
+   */
+  getDefaultPortfolioId(userId) {
+    const existing = databaseManager.getOne(
+      'SELECT id FROM portfolios WHERE user_id = ? AND is_default = 1',
+      [userId]
+    );
+
+    if (existing) {
+      return existing.id;
+    }
+
+    const result = databaseManager.db.prepare(
+      "INSERT INTO portfolios (user_id, name, account_type, is_default) VALUES (?, 'Individual', 'INDIVIDUAL', 1)"
+    ).run(userId);
+
+    console.log(`Default portfolio created for user ${userId}`);
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Resolve the portfolio a record belongs to
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - Requested portfolio, or null for the default
+   * @returns {number} - Portfolio ID
+   * @throws {Error} When the portfolio is not the user's
+   */
+  resolvePortfolioId(userId, portfolioId = null) {
+    if (!portfolioId) {
+      return this.getDefaultPortfolioId(userId);
+    }
+
+    const portfolio = databaseManager.getOne(
+      'SELECT id FROM portfolios WHERE id = ? AND user_id = ?',
+      [portfolioId, userId]
+    );
+
+    if (!portfolio) {
+      throw new Error(`Portfolio ${portfolioId} not found`);
+    }
+
+    return portfolio.id;
+  }
+
+  /**
+   * Validate portfolio details
+   * @param {Object} portfolio - { name, accountType }
+   */
+  validatePortfolio(portfolio) {
+    if (!portfolio || !portfolio.name || !portfolio.name.trim()) {
+      throw new Error('Portfolio name is required');
+    }
+
+    if (portfolio.accountType && !ACCOUNT_TYPES.includes(portfolio.accountType)) {
+      throw new Error(`Account type must be one of ${ACCOUNT_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Add a portfolio
+   * @param {number} userId - User ID
+   * @param {Object} portfolio - { name, accountType, dematAccount }
+   * @returns {Promise<number>} - Portfolio ID
+   */
+  async createPortfolio(userId, portfolio) {
+    this.validatePortfolio(portfolio);
+    this.getDefaultPortfolioId(userId);
+
+    try {
+      const now = new Date().toISOString();
+      const id = await databaseManager.insert(
+        `INSERT INTO portfolios (user_id, name, account_type, demat_account, is_default, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 0, ?, ?)`,
+        [userId, portfolio.name.trim(), portfolio.accountType || 'INDIVIDUAL', portfolio.dematAccount || null, now, now]
+      );
+
+      console.log(`Portfolio created: ${portfolio.name} (${id})`);
+      return id;
+    } catch (error) {
+      if (String(error.message).includes('UNIQUE')) {
+        throw new Error(`A portfolio named "${portfolio.name.trim()}" already exists`);
+      }
+      console.error('Failed to create portfolio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a portfolio's details
+   * @param {number} userId - User ID
+   * @param {number} id - Portfolio ID
+   * @param {Object} portfolio - { name, accountType, dematAccount }
+   * @returns {Promise<void>}
+   */
+  async updatePortfolio(userId, id, portfolio) {
+    this.validatePortfolio(portfolio);
+    this.resolvePortfolioId(userId, id);
+
+    try {
+      await databaseManager.update(
+        `UPDATE portfolios
+         SET name = ?, account_type = ?, demat_account = ?, updated_at = ?
+         WHERE id = ? AND user_id = ?`,
+        [portfolio.name.trim(), portfolio.accountType || 'INDIVIDUAL', portfolio.dematAccount || null,
+          new Date().toISOString(), id, userId]
+      );
+    } catch (error) {
+      if (String(error.message).includes('UNIQUE')) {
+        throw new Error(`A portfolio named "${portfolio.name.trim()}" already exists`);
+      }
+      console.error(`Failed to update portfolio ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an empty portfolio
+   * The default portfolio and portfolios with records are kept
+   * @param {number} userId - User ID
+   * @param {number} id - Portfolio ID
+   * @returns {Promise<void>}
+   */
+  async deletePortfolio(userId, id) {
+    try {
+      const portfolio = databaseManager.getOne(
+        'SELECT id, is_default FROM portfolios WHERE id = ? AND user_id = ?',
+        [id, userId]
+      );
+
+      if (!portfolio) {
+        throw new Error(`Portfolio ${id} not found`);
+      }
+
+      if (portfolio.is_default) {
+        throw new Error('The default portfolio cannot be deleted');
+      }
+
+      const used = databaseManager.getOne(
+        'SELECT COUNT(*) as count FROM transactions WHERE portfolio_id = ?',
+        [id]
+      );
+      if (used.count > 0) {
+        throw new Error(`Portfolio has ${used.count} transactions; delete them first`);
+      }
+
+      const funds = databaseManager.getOne(
+        'SELECT COUNT(*) as count FROM mutual_funds WHERE portfolio_id = ?',
+        [id]
+      );
+      if (funds.count > 0) {
+        throw new Error(`Portfolio has ${funds.count} mutual funds; delete them first`);
+      }
+
+      const cash = databaseManager.getOne(
+        'SELECT COUNT(*) as count FROM cash_entries WHERE portfolio_id = ?',
+        [id]
+      );
+      if (cash.count > 0) {
+        throw new Error(`Portfolio has ${cash.count} cash entries; delete them first`);
+      }
+
+      await databaseManager.delete('DELETE FROM portfolios WHERE id = ?', [id]);
+      console.log(`Portfolio ${id} deleted`);
+    } catch (error) {
+      console.error(`Failed to delete portfolio ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PortfolioService();
+module.exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
@@ -0,0 +1,103 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn(),
+  db: { prepare: jest.fn() }
+}));
+
+const databaseManager = require('../database/index');
+const portfolioService = require('./portfolioService');
+
+describe('PortfolioService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolvePortfolioId', () => {
+    test('falls back to the default portfolio', () => {
+      databaseManager.getOne.mockReturnValue({ id: 4 });
+
+      expect(portfolioService.resolvePortfolioId(1)).toBe(4);
+      expect(databaseManager.getOne).toHaveBeenCalledWith(expect.stringContaining('is_default = 1'), [1]);
+    });
+
+    test('creates the default portfolio for a new user', () => {
+      const run = jest.fn().mockReturnValue({ lastInsertRowid: 9 });
+      databaseManager.getOne.mockReturnValue(null);
+      databaseManager.db.prepare.mockReturnValue({ run });
+
+      expect(portfolioService.resolvePortfolioId(2, null)).toBe(9);
+      expect(run).toHaveBeenCalledWith(2);
+    });
+
+    test('rejects another user\'s portfolio', () => {
+      databaseManager.getOne.mockReturnValue(null);
+
+      expect(() => portfolioService.resolvePortfolioId(1, 7)).toThrow('Portfolio 7 not found');
+      expect(databaseManager.getOne).toHaveBeenCalledWith(expect.stringContaining('user_id = ?'), [7, 1]);
+    });
+  });
+
+  describe('createPortfolio', () => {
+    beforeEach(() => {
+      databaseManager.getOne.mockReturnValue({ id: 4 });
+    });
+
+    test('adds a named account', async () => {
+      databaseManager.insert.mockResolvedValue(5);
+
+      const id = await portfolioService.createPortfolio(1, { name: ' Family HUF ', accountType: 'HUF' });
+
+      expect(id).toBe(5);
+      expect(databaseManager.insert.mock.calls[0][1].slice(0, 4)).toEqual([1, 'Family HUF', 'HUF', null]);
+    });
+
+    test('rejects an unknown account type', async () => {
+      await expect(portfolioService.createPortfolio(1, { name: 'Trust', accountType: 'TRUST' }))
+        .rejects.toThrow('Account type must be one of');
+      expect(databaseManager.insert).not.toHaveBeenCalled();
+    });
+
+    test('reports a duplicate name', async () => {
+      databaseManager.insert.mockRejectedValue(new Error('UNIQUE constraint failed: portfolios.user_id, portfolios.name'));
+
+      await expect(portfolioService.createPortfolio(1, { name: 'Joint' }))
+        .rejects.toThrow('A portfolio named "Joint" already exists');
+    });
+  });
+
+  describe('deletePortfolio', () => {
+    test('keeps the default portfolio', async () => {
+      databaseManager.getOne.mockReturnValue({ id: 4, is_default: 1 });
+
+      await expect(portfolioService.deletePortfolio(1, 4)).rejects.toThrow('cannot be deleted');
+      expect(databaseManager.delete).not.toHaveBeenCalled();
+    });
+
+    test('keeps a portfolio with transactions', async () => {
+      databaseManager.getOne.mockImplementation((query) => (
+        query.includes('FROM portfolios') ? { id: 5, is_default: 0 } : { count: 3 }
+      ));
+
+      await expect(portfolioService.deletePortfolio(1, 5)).rejects.toThrow('3 transactions');
+      expect(databaseManager.delete).not.toHaveBeenCalled();
+    });
+
+    test('deletes an empty portfolio', async () => {
+      databaseManager.getOne.mockImplementation((query) => (
+        query.includes('FROM portfolios') ? { id: 5, is_default: 0 } : { count: 0 }
+      ));
+
+      await portfolioService.deletePortfolio(1, 5);
+
+      expect(databaseManager.delete).toHaveBeenCalledWith('DELETE FROM portfolios WHERE id = ?', [5]);
+    });
+  });
+});
@@ -0,0 +1,461 @@
+// Portfolio Snapshot Service
+// Records the market value, invested amount and cash flows of each portfolio
+// and of all of a user's portfolios combined once a day, backfills past days
+// from Breeze historical closes, and measures time-weighted returns over the
+// recorded history
+const databaseManager = require('../database/index');
+const breezeClient = require('../api/breezeClient');
+const priceManager = require('../api/priceManager');
+const dividendService = require('./dividendService');
+const cashLedgerService = require('./cashLedgerService');
+const portfolioService = require('./portfolioService');
+const TransactionService = require('./transactionService');
+const PortfolioCalculator = require('../portfolio/portfolioCalculator');
+const TimeWeightedReturnCalculator = require('../../utils/calculations/timeWeightedReturn');
+const { buildOpenLots } = require('../../utils/calculations/corporateActions');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+/**
+ * Build the statement recording a snapshot
+ * Rows without a portfolio_id hold all of the user's portfolios combined and
+ * conflict on their own partial unique index
+ * @param {number|null} portfolioId - One portfolio, or null for all combined
+ * @returns {string}
+ */
+function upsertSnapshotSql(portfolioId) {
+  const conflictTarget = portfolioId
+    ? '(user_id, portfolio_id, snapshot_date)'
+    : '(user_id, snapshot_date) WHERE portfolio_id IS NULL';
+
+  return `
+    INSERT INTO portfolio_snapshots
+      (user_id, portfolio_id, snapshot_date, market_value, invested_amount, cash_in, cash_out,
+       dividend_income, holding_count, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT${conflictTarget} DO UPDATE SET
+      market_value = excluded.market_value,
+      invested_amount = excluded.invested_amount,
+      cash_in = excluded.cash_in,
+      cash_out = excluded.cash_out,
+      dividend_income = excluded.dividend_income,
+      holding_count = excluded.holding_count,
+      source = excluded.source,
+      updated_at = CURRENT_TIMESTAMP`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date key
+ */
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Round to paise
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class PortfolioSnapshotService {
+  constructor() {
+    this.transactionService = new TransactionService(databaseManager);
+    // Day each user's snapshots were last recorded from a price update
+    this.priceSnapshotDates = new Map();
+  }
+
+  /**
+   * Get the portfolio's cash flows grouped by day
+   * Buys and sells are net of charges; dividends are dated by payment date
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - One portfolio, or null for all of the
+   *   user's portfolios combined
+   * @returns {Array} - [{ date, cashIn, cashOut, dividends }] sorted by date
+   */
+  getDailyFlows(userId, portfolioId = null) {
+    try {
+      const flows = new Map();
+      const flowFor = (date) => {
+        const key = toDateKey(date);
+        if (!flows.has(key)) {
+          flows.set(key, { date: key, cashIn: 0, cashOut: 0, dividends: 0 });
+        }
+        return flows.get(key);
+      };
+
+      const transactions = databaseManager.getAll(
+        `SELECT transaction_type, quantity, price, COALESCE(charges, 0) + COALESCE(stt, 0) as charges,
+                transaction_date
+         FROM transactions
+         WHERE user_id = ? ${portfolioId ? 'AND portfolio_id = ?' : ''}`,
+        portfolioId ? [userId, portfolioId] : [userId]
+      );
+
+      for (const t of transactions) {
+        const value = t.quantity * t.price;
+        if (t.transaction_type === 'BUY') {
+          flowFor(t.transaction_date).cashIn += value + t.charges;
+        } else {
+          flowFor(t.transaction_date).cashOut += value - t.charges;
+        }
+      }
+
+      const dividends = portfolioId
+        ? cashLedgerService.getPortfolioDividends(userId, portfolioId)
+        : dividendService.getDividends(userId);
+
+      for (const dividend of dividends) {
+        flowFor(dividend.payment_date || dividend.record_date).dividends += dividend.gross_amount;
+      }
+
+      return [...flows.values()].sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      console.error('Failed to get daily cash flows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a requested portfolio to one of the user's, or null for all
+   * portfolios combined
+   */
+  resolveScope(userId, portfolioId) {
+    return portfolioId ? portfolioService.resolvePortfolioId(userId, portfolioId) : null;
+  }
+
+  /**
+   * Record today's snapshot from current cached prices
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - One of the user's portfolios, or null
+   *   for all of them combined
+   * @returns {Promise<Object|null>} - The snapshot, or null when there are no transactions
+   */
+  async recordSnapshot(userId, portfolioId = null) {
+    try {
+      const flows = this.getDailyFlows(userId, portfolioId);
+      if (flows.length === 0) {
+        return null;
+      }
+
+      const today = toDateKey(new Date());
+      const flow = flows.find(f => f.date === today) || { cashIn: 0, cashOut: 0, dividends: 0 };
+      const portfolio = PortfolioCalculator.getPortfolioWithGains(userId, portfolioId);
+
+      const snapshot = {
+        snapshotDate: today,
+        marketValue: roundAmount(portfolio.currentValue),
+        investedAmount: roundAmount(portfolio.totalInvestment),
+        cashIn: roundAmount(flow.cashIn),
+        cashOut: roundAmount(flow.cashOut),
+        dividendIncome: roundAmount(flow.dividends),
+        holdingCount: portfolio.holdingCount,
+        source: 'LIVE'
+      };
+
+      await databaseManager.insert(upsertSnapshotSql(portfolioId), [
+        userId,
+        portfolioId || null,
+        snapshot.snapshotDate,
+        snapshot.marketValue,
+        snapshot.investedAmount,
+        snapshot.cashIn,
+        snapshot.cashOut,
+        snapshot.dividendIncome,
+        snapshot.holdingCount,
+        snapshot.source
+      ]);
+
+      return snapshot;
+    } catch (error) {
+      console.error('Failed to record portfolio snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record today's snapshot of all of the user's portfolios combined and of
+   * each one
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} - The combined snapshot
+   */
+  async recordSnapshots(userId) {
+    const combined = await this.recordSnapshot(userId);
+
+    for (const portfolioId of portfolioService.getPortfolioIds(userId)) {
+      await this.recordSnapshot(userId, portfolioId);
+    }
+
+    return combined;
+  }
+
+  /**
+   * Record today's snapshots on the first price update of the day
+   * Keeps the history daily on days without transactions or a look at the
+   * chart; later updates that day are left to the portfolio update and chart
+   * refreshes
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} - The combined snapshot, or null when
+   *   today's snapshots were already recorded
+   */
+  async recordDailySnapshots(userId) {
+    const today = toDateKey(new Date());
+    if (this.priceSnapshotDates.get(userId) === today) {
+      return null;
+    }
+
+    this.priceSnapshotDates.set(userId, today);
+    try {
+      return await this.recordSnapshots(userId);
+    } catch (error) {
+      this.priceSnapshotDates.delete(userId);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch daily closes for a stock from Breeze
+   * @param {string} symbol - User stock code
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @returns {Promise<Map>} - Close price keyed by date
+   */
+  async fetchDailyCloses(symbol, fromDate, toDate) {
+    const { mapped } = priceManager.mapStockCodes([symbol]);
+    const stockCode = mapped.length > 0 ? mapped[0].bseShortName : symbol;
+    const closes = await breezeClient.getDailyCloses(stockCode, 'BSE', fromDate, toDate);
+
+    return new Map(closes.map(c => [c.date, c.close]));
+  }
+
+  /**
+   * Backfill daily snapshots from historical closes
+   * Holdings on each day are rebuilt from transactions and corporate actions,
+   * so closes must be as traded (not adjusted for later splits or bonuses).
+   * Today is left to the live snapshot.
+   * @param {number} userId - User ID
+   * @param {Object} options - { fromDate, toDate }, defaulting to the first
+   *   transaction and yesterday
+   * @param {number|null} portfolioId - One portfolio, or null for all of the
+   *   user's portfolios combined
+   * @returns {Promise<Object>} - { fromDate, toDate, snapshotCount, missingPrices }
+   */
+  async backfillSnapshots(userId, options = {}, portfolioId = null) {
+    try {
+      if (!breezeClient.getStatus().connected) {
+        throw new Error('Breeze API not initialized. Please go to Settings → API Configuration to connect before backfilling history.');
+      }
+
+      const accountId = this.resolveScope(userId, portfolioId);
+      const flows = this.getDailyFlows(userId, accountId);
+      if (flows.length === 0) {
+        throw new Error('No transactions to build history from');
+      }
+
+      const yesterday = addDays(toDateKey(new Date()), -1);
+      const fromDate = options.fromDate && toDateKey(options.fromDate) > flows[0].date
+        ? toDateKey(options.fromDate)
+        : flows[0].date;
+      const toDate = options.toDate && toDateKey(options.toDate) < yesterday
+        ? toDateKey(options.toDate)
+        : yesterday;
+
+      if (fromDate > toDate) {
+        throw new Error('Nothing to backfill before today');
+      }
+
+      console.log(`Backfilling portfolio snapshots for user ${userId} from ${fromDate} to ${toDate}`);
+
+      // Every stock the user has held, including shares received in demergers
+      const stocks = databaseManager.getAll(
+        `WITH RECURSIVE held(stock_id) AS (
+           SELECT stock_id FROM transactions WHERE user_id = ? ${accountId ? 'AND portfolio_id = ?' : ''}
+           UNION
+           SELECT ca.resulting_stock_id
+           FROM corporate_actions ca
+           JOIN held h ON ca.stock_id = h.stock_id
+           WHERE ca.action_type = 'DEMERGER'
+         )
+         SELECT s.id, s.symbol
+         FROM held h
+         JOIN stocks s ON h.stock_id = s.id`,
+        accountId ? [userId, accountId] : [userId]
+      );
+
+      const positions = [];
+      const missingPrices = [];
+
+      for (const stock of stocks) {
+        const history = this.transactionService.loadLotHistory(userId, stock.id, null, null, accountId);
+        const acquired = [
+          ...history.buys.map(buy => toDateKey(buy.date)),
+          ...history.actions.filter(action => action.derivedLots).map(action => toDateKey(action.exDate))
+        ].sort();
+
+        if (acquired.length === 0) {
+          continue;
+        }
+
+        // Only fetch prices for the days the stock was actually held
+        const stillHeld = buildOpenLots(history).length > 0;
+        const lastSold = history.consumptions.map(c => toDateKey(c.sellDate)).sort().pop();
+        const heldFrom = acquired[0] > fromDate ? acquired[0] : fromDate;
+        const heldTo = stillHeld || !lastSold || lastSold > toDate ? toDate : lastSold;
+
+        if (heldFrom > heldTo) {
+          continue;
+        }
+
+        let closes = new Map();
+        try {
+          closes = await this.fetchDailyCloses(stock.symbol, heldFrom, heldTo);
+        } catch (error) {
+          console.warn(`Failed to fetch historical closes for ${stock.symbol}:`, error.message);
+        }
+
+        if (closes.size === 0) {
+          missingPrices.push(stock.symbol);
+        }
+
+        positions.push({ symbol: stock.symbol, history, closes, lastClose: null });
+      }
+
+      // Value the portfolio on every trading day and every day with a flow
+      const days = new Set(flows.map(f => f.date).filter(date => date >= fromDate && date <= toDate));
+      positions.forEach(position => position.closes.forEach((close, date) => days.add(date)));
+
+      const flowsByDate = new Map(flows.map(f => [f.date, f]));
+      const snapshots = [];
+
+      for (const day of [...days].sort()) {
+        let marketValue = 0;
+        let investedAmount = 0;
+        let holdingCount = 0;
+
+        for (const position of positions) {
+          if (position.closes.has(day)) {
+            position.lastClose = position.closes.get(day);
+          }
+
+          const lots = buildOpenLots({
+            buys: position.history.buys.filter(buy => toDateKey(buy.date) <= day),
+            consumptions: position.history.consumptions.filter(c => toDateKey(c.sellDate) <= day),
+            actions: position.history.actions.filter(action => toDateKey(action.exDate) <= day)
+          });
+
+          const quantity = lots.reduce((sum, lot) => sum + lot.availableQuantity, 0);
+          if (quantity <= 0) {
+            continue;
+          }
+
+          const cost = lots.reduce((sum, lot) => sum + lot.availableQuantity * (lot.price + (lot.chargePerShare || 0)), 0);
+
+          // Without a close yet, hold the position at cost
+          marketValue += position.lastClose !== null ? quantity * position.lastClose : cost;
+          investedAmount += cost;
+          holdingCount++;
+        }
+
+        const flow = flowsByDate.get(day) || { cashIn: 0, cashOut: 0, dividends: 0 };
+
+        snapshots.push([
+          userId,
+          accountId || null,
+          day,
+          roundAmount(marketValue),
+          roundAmount(investedAmount),
+          roundAmount(flow.cashIn),
+          roundAmount(flow.cashOut),
+          roundAmount(flow.dividends),
+          holdingCount,
+          'BACKFILL'
+        ]);
+      }
+
+      const upsert = upsertSnapshotSql(accountId);
+      await databaseManager.withTransaction(async (tx) => {
+        for (const params of snapshots) {
+          tx.insert(upsert, params);
+        }
+      });
+
+      console.log(`✓ Backfilled ${snapshots.length} portfolio snapshots`);
+
+      return {
+        fromDate,
+        toDate,
+        snapshotCount: snapshots.length,
+        missingPrices
+      };
+    } catch (error) {
+      console.error('Failed to backfill portfolio snapshots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the recorded snapshots
+   * @param {number} userId - User ID
+   * @param {Object} filters - { portfolioId, fromDate, toDate }, all
+   *   portfolios combined without a portfolioId
+   * @returns {Array} - Snapshot rows ordered by date
+   */
+  getSnapshots(userId, filters = {}) {
+    try {
+      let query = `SELECT snapshot_date, market_value, invested_amount, cash_in, cash_out,
+                          dividend_income, holding_count, source
+                   FROM portfolio_snapshots
+                   WHERE user_id = ? AND portfolio_id IS ?`;
+      const params = [userId, filters.portfolioId || null];
+
+      if (filters.fromDate) {
+        query += ' AND snapshot_date >= ?';
+        params.push(toDateKey(filters.fromDate));
+      }
+
+      if (filters.toDate) {
+        query += ' AND snapshot_date <= ?';
+        params.push(toDateKey(filters.toDate));
+      }
+
+      query += ' ORDER BY snapshot_date';
+
+      return databaseManager.getAll(query, params);
+    } catch (error) {
+      console.error('Failed to get portfolio snapshots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the value history with time-weighted returns
+   * Today's snapshot is refreshed first so the latest point is current
+   * @param {number} userId - User ID
+   * @param {number|null} portfolioId - One portfolio, or null for all of the
+   *   user's portfolios combined
+   * @returns {Promise<Object>} - { asOf, snapshots, returns } with returns
+   *   keyed 1M, 3M, YTD, 1Y and INCEPTION
+   */
+  async getValueHistory(userId, portfolioId = null) {
+    try {
+      const accountId = this.resolveScope(userId, portfolioId);
+      await this.recordSnapshot(userId, accountId);
+
+      const asOf = toDateKey(new Date());
+      const snapshots = this.getSnapshots(userId, { portfolioId: accountId });
+      const returns = TimeWeightedReturnCalculator.calculatePeriodReturns(
+        snapshots.map(s => ({ date: s.snapshot_date, marketValue: s.market_value })),
+        this.getDailyFlows(userId, accountId),
+        asOf
+      );
+
+      return { asOf, snapshots, returns };
+    } catch (error) {
+      console.error('Failed to get portfolio value history:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PortfolioSnapshotService();
@@ -0,0 +1,189 @@
+jest.mock('../database/index', () => ({
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+jest.mock('../api/breezeClient', () => ({
+  getStatus: jest.fn(),
+  getDailyCloses: jest.fn()
+}));
+
+jest.mock('../api/priceManager', () => ({
+  mapStockCodes: jest.fn()
+}));
+
+jest.mock('./dividendService', () => ({
+  getDividends: jest.fn()
+}));
+
+jest.mock('./cashLedgerService', () => ({
+  getPortfolioDividends: jest.fn()
+}));
+
+jest.mock('./portfolioService', () => ({
+  getPortfolioIds: jest.fn(),
+  resolvePortfolioId: jest.fn()
+}));
+
+jest.mock('../portfolio/portfolioCalculator', () => ({
+  getPortfolioWithGains: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const breezeClient = require('../api/breezeClient');
+const priceManager = require('../api/priceManager');
+const dividendService = require('./dividendService');
+const cashLedgerService = require('./cashLedgerService');
+const portfolioService = require('./portfolioService');
+const PortfolioCalculator = require('../portfolio/portfolioCalculator');
+const portfolioSnapshotService = require('./portfolioSnapshotService');
+
+describe('PortfolioSnapshotService', () => {
+  // 10 shares bought on 2 Jan at 100, 5 sold on 4 Jan at 112
+  const tables = {
+    transactions: [
+      { transaction_type: 'BUY', quantity: 10, price: 100, charges: 0, transaction_date: '2024-01-02' },
+      { transaction_type: 'SELL', quantity: 5, price: 112, charges: 0, transaction_date: '2024-01-04' }
+    ],
+    buys: [{ id: 1, quantity: 10, price: 100, date: '2024-01-02' }],
+    consumptions: [{ buyTransactionId: 1, corporateActionId: null, quantity: 5, sellDate: '2024-01-04' }]
+  };
+
+  let written;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    written = [];
+    databaseManager.getAll.mockImplementation((sql) => {
+      if (sql.includes('WITH RECURSIVE')) return [{ id: 7, symbol: 'ITC' }];
+      if (sql.includes("transaction_type = 'BUY'")) return tables.buys;
+      if (sql.includes('FROM realized_gains')) return tables.consumptions;
+      if (sql.includes('FROM corporate_actions')) return [];
+      if (sql.includes('FROM transactions')) return tables.transactions;
+      return [];
+    });
+    databaseManager.withTransaction.mockImplementation(async (callback) => (
+      callback({ insert: (sql, params) => written.push(params) })
+    ));
+    dividendService.getDividends.mockReturnValue([]);
+    cashLedgerService.getPortfolioDividends.mockReturnValue([]);
+    priceManager.mapStockCodes.mockReturnValue({ mapped: [{ userCode: 'ITC', bseShortName: 'ITC' }], unmapped: [] });
+    breezeClient.getStatus.mockReturnValue({ connected: true });
+    breezeClient.getDailyCloses.mockResolvedValue([
+      { date: '2024-01-02', close: 105 },
+      { date: '2024-01-03', close: 110 }
+    ]);
+    portfolioService.getPortfolioIds.mockReturnValue([3, 4]);
+    portfolioService.resolvePortfolioId.mockImplementation((userId, portfolioId) => portfolioId);
+    PortfolioCalculator.getPortfolioWithGains.mockReturnValue({ currentValue: 600, totalInvestment: 500, holdingCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDailyFlows', () => {
+    test('nets charges and adds dividends by payment date', () => {
+      databaseManager.getAll.mockReturnValue([
+        { transaction_type: 'BUY', quantity: 10, price: 100, charges: 20, transaction_date: '2024-01-02' },
+        { transaction_type: 'SELL', quantity: 10, price: 120, charges: 25, transaction_date: '2024-03-01T00:00:00.000Z' }
+      ]);
+      dividendService.getDividends.mockReturnValue([
+        { payment_date: null, record_date: '2024-01-02', gross_amount: 50 }
+      ]);
+
+      expect(portfolioSnapshotService.getDailyFlows(1)).toEqual([
+        { date: '2024-01-02', cashIn: 1020, cashOut: 0, dividends: 50 },
+        { date: '2024-03-01', cashIn: 0, cashOut: 1175, dividends: 0 }
+      ]);
+    });
+
+    test('keeps to one portfolio\'s trades and its share of dividends', () => {
+      databaseManager.getAll.mockReturnValue([
+        { transaction_type: 'BUY', quantity: 10, price: 100, charges: 0, transaction_date: '2024-01-02' }
+      ]);
+      cashLedgerService.getPortfolioDividends.mockReturnValue([
+        { payment_date: '2024-01-02', record_date: '2024-01-01', gross_amount: 20 }
+      ]);
+
+      expect(portfolioSnapshotService.getDailyFlows(1, 3)).toEqual([
+        { date: '2024-01-02', cashIn: 1000, cashOut: 0, dividends: 20 }
+      ]);
+      expect(databaseManager.getAll.mock.calls[0][0]).toContain('AND portfolio_id = ?');
+      expect(databaseManager.getAll.mock.calls[0][1]).toEqual([1, 3]);
+      expect(cashLedgerService.getPortfolioDividends).toHaveBeenCalledWith(1, 3);
+      expect(dividendService.getDividends).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordSnapshots', () => {
+    beforeEach(() => {
+      portfolioSnapshotService.priceSnapshotDates.clear();
+    });
+
+    test('records all portfolios combined and each portfolio', async () => {
+      await portfolioSnapshotService.recordSnapshots(1);
+
+      expect(databaseManager.insert.mock.calls.map(([, params]) => params[1])).toEqual([null, 3, 4]);
+      expect(databaseManager.insert.mock.calls[0][0]).toContain('ON CONFLICT(user_id, snapshot_date) WHERE portfolio_id IS NULL');
+      expect(databaseManager.insert.mock.calls[1][0]).toContain('ON CONFLICT(user_id, portfolio_id, snapshot_date)');
+      expect(PortfolioCalculator.getPortfolioWithGains.mock.calls).toEqual([[1, null], [1, 3], [1, 4]]);
+    });
+
+    test('records from prices once a day', async () => {
+      await portfolioSnapshotService.recordDailySnapshots(1);
+      await expect(portfolioSnapshotService.recordDailySnapshots(1)).resolves.toBeNull();
+
+      expect(databaseManager.insert).toHaveBeenCalledTimes(3);
+    });
+
+    test('reads the selected portfolio\'s history', async () => {
+      await portfolioSnapshotService.getValueHistory(1, 3);
+
+      expect(portfolioService.resolvePortfolioId).toHaveBeenCalledWith(1, 3);
+      expect(databaseManager.insert.mock.calls[0][1][1]).toBe(3);
+      const [sql, params] = databaseManager.getAll.mock.calls.find(([query]) => query.includes('FROM portfolio_snapshots'));
+      expect(sql).toContain('portfolio_id IS ?');
+      expect(params).toEqual([1, 3]);
+    });
+  });
+
+  describe('backfillSnapshots', () => {
+    test('values each day at the close and carries it over days without one', async () => {
+      const result = await portfolioSnapshotService.backfillSnapshots(1, { toDate: '2024-01-04' });
+
+      expect(result).toEqual({ fromDate: '2024-01-02', toDate: '2024-01-04', snapshotCount: 3, missingPrices: [] });
+      expect(written).toEqual([
+        [1, null, '2024-01-02', 1050, 1000, 1000, 0, 0, 1, 'BACKFILL'],
+        [1, null, '2024-01-03', 1100, 1000, 0, 0, 0, 1, 'BACKFILL'],
+        [1, null, '2024-01-04', 550, 500, 0, 560, 0, 1, 'BACKFILL']
+      ]);
+
+      expect(breezeClient.getDailyCloses).toHaveBeenCalledWith('ITC', 'BSE', '2024-01-02', '2024-01-04');
+    });
+
+    test('holds a position at cost when no closes are available', async () => {
+      breezeClient.getDailyCloses.mockRejectedValue(new Error('No data'));
+
+      const result = await portfolioSnapshotService.backfillSnapshots(1, { toDate: '2024-01-04' });
+
+      expect(result.missingPrices).toEqual(['ITC']);
+      expect(written.map(params => [params[2], params[3]])).toEqual([
+        ['2024-01-02', 1000],
+        ['2024-01-04', 500]
+      ]);
+    });
+
+    test('requires a Breeze connection', async () => {
+      breezeClient.getStatus.mockReturnValue({ connected: false });
+
+      await expect(portfolioSnapshotService.backfillSnapshots(1))
+        .rejects.toThrow('Breeze API not initialized');
+      expect(databaseManager.withTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,412 @@
+// Price History Service
+// Daily OHLCV per symbol in price_history. Rows are downloaded from the Breeze
+// historical charts API, picking up from the last stored day, or imported from
+// BSE bhavcopy CSVs for the symbols the user holds or watches. The stock chart
+// overlays the user's buys and sells on the stored closes.
+const fs = require('fs');
+const path = require('path');
+const databaseManager = require('../database/index');
+const breezeClient = require('../api/breezeClient');
+const priceManager = require('../api/priceManager');
+const { splitCSVLine, parseAmount, parseTradeDate } = require('./importParsers');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+const EXCHANGE = 'BSE';
+
+// Days downloaded the first time a symbol is filled
+const HISTORY_DAYS = 730;
+
+// Bhavcopy headers, matched case-insensitively: the old EQ_ISINCODE format
+// first, then the UDiFF format BSE has published since July 2024
+const BHAVCOPY_COLUMNS = {
+  scripCode: ['sc_code', 'fininstrmid'],
+  name: ['sc_name', 'tckrsymb'],
+  isin: ['isin_code', 'isin'],
+  open: ['open', 'opnpric'],
+  high: ['high', 'hghpric'],
+  low: ['low', 'lwpric'],
+  close: ['close', 'clspric'],
+  volume: ['no_of_shrs', 'ttltradgvol'],
+  date: ['trading_date', 'traddt']
+};
+
+// Old bhavcopies without a date column are named EQddmmyy.CSV
+const BHAVCOPY_FILE_DATE = /^EQ(?:_ISINCODE_)?(\d{2})(\d{2})(\d{2})/i;
+
+/**
+ * Shift a date key by a number of days
+ */
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse an optional bhavcopy number
+ * @returns {number|null}
+ */
+function parseOptional(value) {
+  const number = parseAmount(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Place trades on the price series
+ * A trade on a day without a row (a holiday or a gap in the data) is shown on
+ * the next stored day; trades outside the series are left off the chart
+ * @param {Array} history - [{ date, open, high, low, close, volume }] sorted by date
+ * @param {Array} trades - [{ type, date, quantity, price }]
+ * @returns {Object} - { series, plotted, outsideRange } where each series point
+ *   carries buyQuantity/buyPrice and sellQuantity/sellPrice, the prices
+ *   averaged over that day's trades
+ */
+function buildChartSeries(history, trades) {
+  const series = history.map(day => ({
+    ...day,
+    buyQuantity: null,
+    buyPrice: null,
+    sellQuantity: null,
+    sellPrice: null
+  }));
+
+  let plotted = 0;
+  let outsideRange = 0;
+
+  for (const trade of trades) {
+    const point = series.find(day => day.date >= trade.date);
+    if (!point || trade.date < series[0].date) {
+      outsideRange++;
+      continue;
+    }
+
+    const side = trade.type === 'BUY' ? 'buy' : 'sell';
+    const quantity = point[`${side}Quantity`] || 0;
+    const amount = (point[`${side}Price`] || 0) * quantity;
+
+    point[`${side}Quantity`] = quantity + trade.quantity;
+    point[`${side}Price`] = Math.round(((amount + trade.price * trade.quantity) / (quantity + trade.quantity)) * 100) / 100;
+    plotted++;
+  }
+
+  return { series, plotted, outsideRange };
+}
+
+class PriceHistoryService {
+  /**
+   * Get the stored daily prices of a symbol
+   * @param {string} symbol - Stock symbol
+   * @param {string|null} fromDate - First day (YYYY-MM-DD), or null for all
+   * @param {string|null} toDate - Last day (YYYY-MM-DD), or null for all
+   * @returns {Array} - [{ date, open, high, low, close, volume }] sorted by date
+   */
+  getHistory(symbol, fromDate = null, toDate = null) {
+    return databaseManager.getAll(
+      `SELECT trade_date as date, open, high, low, close, volume
+       FROM price_history
+       WHERE symbol = ? AND exchange = ? AND trade_date BETWEEN ? AND ?
+       ORDER BY trade_date`,
+      [symbol, EXCHANGE, fromDate || '0000-01-01', toDate || '9999-12-31']
+    );
+  }
+
+  /**
+   * Get the highest high and lowest low of a symbol's stored days
+   * Days saved without a high or low fall back to their close
+   * @param {string} symbol - Stock symbol
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @returns {Object} - { high, low, days }, high and low null without days
+   */
+  getRange(symbol, fromDate, toDate) {
+    return databaseManager.getOne(
+      `SELECT MAX(COALESCE(high, close)) as high, MIN(COALESCE(low, close)) as low, COUNT(*) as days
+       FROM price_history
+       WHERE symbol = ? AND exchange = ? AND trade_date BETWEEN ? AND ?`,
+      [symbol, EXCHANGE, fromDate, toDate]
+    );
+  }
+
+  /**
+   * Save daily candles, replacing rows already stored for those days
+   * @param {string} symbol - Stock symbol
+   * @param {Array} candles - [{ date, open, high, low, close, volume }]
+   * @param {string} source - 'BREEZE' or 'BHAVCOPY'
+   */
+  async saveCandles(symbol, candles, source) {
+    if (candles.length === 0) {
+      return;
+    }
+
+    await databaseManager.withTransaction(async (tx) => {
+      for (const candle of candles) {
+        tx.insert(
+          `INSERT INTO price_history (symbol, exchange, trade_date, open, high, low, close, volume, source)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT(symbol, exchange, trade_date) DO UPDATE SET
+             open = excluded.open,
+             high = excluded.high,
+             low = excluded.low,
+             close = excluded.close,
+             volume = excluded.volume,
+             source = excluded.source,
+             updated_at = CURRENT_TIMESTAMP`,
+          [symbol, EXCHANGE, candle.date, candle.open, candle.high, candle.low, candle.close, candle.volume, source]
+        );
+      }
+    });
+  }
+
+  /**
+   * Download the days missing from a symbol's history from Breeze
+   * Starts again from the last stored day, which may have been saved before
+   * the close, or goes back HISTORY_DAYS for a symbol with no history
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} - { symbol, fromDate, toDate, saved }
+   */
+  async fillFromBreeze(symbol) {
+    try {
+      if (!breezeClient.getStatus().connected) {
+        throw new Error('Connect the Breeze API in Settings → API Configuration to download price history');
+      }
+
+      const today = toDateKey(new Date());
+      const latest = databaseManager.getOne(
+        'SELECT MAX(trade_date) as latest FROM price_history WHERE symbol = ? AND exchange = ?',
+        [symbol, EXCHANGE]
+      );
+      const fromDate = latest && latest.latest ? latest.latest : addDays(today, -HISTORY_DAYS);
+
+      const { mapped } = priceManager.mapStockCodes([symbol]);
+      const stockCode = mapped.length > 0 ? mapped[0].bseShortName : symbol;
+      const candles = await breezeClient.getDailyCandles(stockCode, EXCHANGE, fromDate, today);
+
+      await this.saveCandles(symbol, candles, 'BREEZE');
+      console.log(`✓ Saved ${candles.length} days of ${symbol} price history`);
+
+      return { symbol, fromDate, toDate: today, saved: candles.length };
+    } catch (error) {
+      console.error(`Failed to fill price history for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index the symbols a user holds or watches by every code a bhavcopy row
+   * might carry: the symbol itself, its BSE short name and its ISIN
+   * @param {number} userId - User ID
+   * @returns {Map} - upper-case code → Set of symbols
+   */
+  getTrackedCodes(userId) {
+    const stocks = databaseManager.getAll(
+      `SELECT DISTINCT s.symbol, s.bse_short_name, s.isin
+       FROM stocks s
+       JOIN transactions t ON t.stock_id = s.id
+       WHERE t.user_id = ?`,
+      [userId]
+    );
+    const watched = databaseManager.getAll(
+      `SELECT DISTINCT wi.symbol
+       FROM watchlist_items wi
+       JOIN watchlists w ON w.id = wi.watchlist_id
+       WHERE w.user_id = ?`,
+      [userId]
+    );
+
+    const codes = new Map();
+    const addCode = (code, symbol) => {
+      if (!code) {
+        return;
+      }
+      const key = String(code).trim().toUpperCase();
+      if (!codes.has(key)) {
+        codes.set(key, new Set());
+      }
+      codes.get(key).add(symbol);
+    };
+
+    for (const stock of [...stocks, ...watched]) {
+      addCode(stock.symbol, stock.symbol);
+      addCode(stock.bse_short_name, stock.symbol);
+      addCode(stock.isin, stock.symbol);
+
+      const { mapped } = priceManager.mapStockCodes([stock.symbol]);
+      if (mapped.length > 0) {
+        addCode(mapped[0].bseShortName, stock.symbol);
+      }
+    }
+
+    return codes;
+  }
+
+  /**
+   * Parse a BSE equity bhavcopy
+   * @param {string} filePath - Path to the CSV file
+   * @returns {Array} - [{ scripCode, name, isin, date, open, high, low, close, volume }]
+   */
+  parseBhavcopy(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) {
+      throw new Error('The bhavcopy has no rows');
+    }
+
+    const headers = splitCSVLine(lines[0]).map(header => header.toLowerCase());
+    const columns = {};
+    for (const [field, names] of Object.entries(BHAVCOPY_COLUMNS)) {
+      columns[field] = headers.findIndex(header => names.includes(header));
+    }
+
+    if (columns.scripCode === -1 || columns.close === -1) {
+      throw new Error('Not a BSE bhavcopy: expected SC_CODE and CLOSE, or FinInstrmId and ClsPric columns');
+    }
+
+    let fileDate = null;
+    const fileMatch = path.basename(filePath).match(BHAVCOPY_FILE_DATE);
+    if (fileMatch) {
+      fileDate = parseTradeDate(`${fileMatch[1]}-${fileMatch[2]}-${fileMatch[3]}`);
+    }
+    if (columns.date === -1 && !fileDate) {
+      throw new Error('The bhavcopy has no trading date column and its file name carries no date');
+    }
+
+    const value = (values, field) => (columns[field] === -1 ? '' : values[columns[field]]);
+
+    return lines.slice(1).map(line => {
+      const values = splitCSVLine(line);
+      return {
+        scripCode: value(values, 'scripCode'),
+        name: value(values, 'name'),
+        isin: value(values, 'isin'),
+        date: columns.date === -1 ? fileDate : parseTradeDate(value(values, 'date')),
+        open: parseOptional(value(values, 'open')),
+        high: parseOptional(value(values, 'high')),
+        low: parseOptional(value(values, 'low')),
+        close: parseOptional(value(values, 'close')),
+        volume: parseOptional(value(values, 'volume'))
+      };
+    }).filter(row => row.scripCode && row.date && row.close > 0);
+  }
+
+  /**
+   * Import the rows of a bhavcopy for the symbols a user holds or watches
+   * @param {number} userId - User ID
+   * @param {string} filePath - Path to the CSV file
+   * @returns {Promise<Object>} - { fileName, dates, rowCount, saved, symbols }
+   */
+  async importBhavcopy(userId, filePath) {
+    try {
+      const rows = this.parseBhavcopy(filePath);
+      const codes = this.getTrackedCodes(userId);
+
+      const candlesBySymbol = new Map();
+      for (const row of rows) {
+        const symbols = new Set();
+        for (const code of [row.scripCode, row.name, row.isin]) {
+          const matches = code ? codes.get(code.toUpperCase()) : null;
+          (matches || []).forEach(symbol => symbols.add(symbol));
+        }
+
+        for (const symbol of symbols) {
+          if (!candlesBySymbol.has(symbol)) {
+            candlesBySymbol.set(symbol, []);
+          }
+          candlesBySymbol.get(symbol).push({
+            date: row.date,
+            open: row.open,
+            high: row.high,
+            low: row.low,
+            close: row.close,
+            volume: row.volume
+          });
+        }
+      }
+
+      let saved = 0;
+      for (const [symbol, candles] of candlesBySymbol) {
+        await this.saveCandles(symbol, candles, 'BHAVCOPY');
+        saved += candles.length;
+      }
+
+      return {
+        fileName: path.basename(filePath),
+        dates: [...new Set(rows.map(row => row.date))].sort(),
+        rowCount: rows.length,
+        saved,
+        symbols: [...candlesBySymbol.keys()].sort()
+      };
+    } catch (error) {
+      console.error(`Failed to import bhavcopy ${filePath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import several bhavcopies, one result per file
+   * A file that cannot be read is reported without stopping the rest
+   * @param {number} userId - User ID
+   * @param {Array<string>} filePaths - Paths to the CSV files
+   * @returns {Promise<Array>} - importBhavcopy results, or { fileName, error }
+   */
+  async importBhavcopies(userId, filePaths) {
+    const results = [];
+
+    for (const filePath of filePaths) {
+      try {
+        results.push(await this.importBhavcopy(userId, filePath));
+      } catch (error) {
+        results.push({ fileName: path.basename(filePath), error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get a stock's stored prices with the user's trades placed on them
+   * Only market trades are shown; lots created by corporate actions are not
+   * @param {number} userId - User ID
+   * @param {string} symbol - Stock symbol
+   * @param {string|null} fromDate - First day (YYYY-MM-DD), or null for all
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
+   * @returns {Object} - { symbol, name, sector, series, trades, plotted, outsideRange }
+   */
+  getStockChart(userId, symbol, fromDate = null, portfolioId = null) {
+    try {
+      const stock = databaseManager.getOne(
+        'SELECT id, symbol, company_name, sector FROM stocks WHERE symbol = ?',
+        [symbol]
+      );
+
+      const trades = stock
+        ? databaseManager.getAll(
+          `SELECT id, transaction_type as type, transaction_date as date, quantity, price, portfolio_id as portfolioId
+           FROM transactions
+           WHERE user_id = ? AND stock_id = ? AND corporate_action_id IS NULL
+             ${portfolioId ? 'AND portfolio_id = ?' : ''}
+           ORDER BY transaction_date, id`,
+          portfolioId ? [userId, stock.id, portfolioId] : [userId, stock.id]
+        )
+        : [];
+
+      const history = this.getHistory(symbol, fromDate);
+      const { series, plotted, outsideRange } = buildChartSeries(history, trades);
+
+      return {
+        symbol,
+        name: stock ? stock.company_name : null,
+        sector: stock ? stock.sector : null,
+        series,
+        trades,
+        plotted,
+        outsideRange
+      };
+    } catch (error) {
+      console.error(`Failed to get chart for ${symbol}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PriceHistoryService();
+module.exports.buildChartSeries = buildChartSeries;
@@ -0,0 +1,216 @@
+jest.mock('fs', () => ({
+  readFileSync: jest.fn()
+}));
+
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+jest.mock('../api/breezeClient', () => ({
+  getStatus: jest.fn(),
+  getDailyCandles: jest.fn()
+}));
+
+jest.mock('../api/priceManager', () => ({
+  mapStockCodes: jest.fn()
+}));
+
+const fs = require('fs');
+const databaseManager = require('../database/index');
+const breezeClient = require('../api/breezeClient');
+const priceHistoryService = require('./priceHistoryService');
+const { buildChartSeries } = priceHistoryService;
+
+const OLD_BHAVCOPY = [
+  'SC_CODE,SC_NAME,SC_GROUP,SC_TYPE,OPEN,HIGH,LOW,CLOSE,LAST,PREVCLOSE,NO_TRADES,NO_OF_SHRS,NET_TURNOV,TDCLOINDI,ISIN_CODE,TRADING_DATE',
+  '500209,INFOSYS LTD ,A ,Q,1510.00,1532.40,1505.15,1528.30,1528.00,1509.95,21034,412345,630000000.00,,INE009A01021,14-Jun-24',
+  '500325,RELIANCE    ,A ,Q,2900.00,2935.00,2890.10,2930.55,2931.00,2899.00,40000,900000,2630000000.00,,INE002A01018,14-Jun-24'
+].join('\n');
+
+const UDIFF_BHAVCOPY = [
+  'TradDt,BizDt,Sgmt,Src,FinInstrmTp,FinInstrmId,ISIN,TckrSymb,SctySrs,OpnPric,HghPric,LwPric,ClsPric,LastPric,PrvsClsgPric,TtlTradgVol',
+  '2024-07-15,2024-07-15,CM,BSE,STK,500875,INE154A01025,ITC,A,468.00,472.50,466.20,471.85,471.90,467.10,1250000',
+  '2024-07-15,2024-07-15,CM,BSE,STK,500209,INE009A01021,INFY,A,1700.00,1712.00,1690.00,1705.40,1705.00,1698.20,350000'
+].join('\n');
+
+describe('PriceHistoryService', () => {
+  let saved;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    saved = [];
+    databaseManager.withTransaction.mockImplementation(async (callback) => (
+      callback({ insert: (sql, params) => saved.push(params) })
+    ));
+    databaseManager.getAll.mockReturnValue([]);
+    breezeClient.getStatus.mockReturnValue({ connected: true });
+    breezeClient.getDailyCandles.mockResolvedValue([
+      { date: '2024-06-13', open: 1500, high: 1512, low: 1495, close: 1509.95, volume: 300000 },
+      { date: '2024-06-14', open: 1510, high: 1532.4, low: 1505.15, close: 1528.3, volume: 412345 }
+    ]);
+    require('../api/priceManager').mapStockCodes.mockImplementation((codes) => ({
+      mapped: codes.map(code => ({ userCode: code, bseShortName: code === '500209' ? 'INFY' : code })),
+      unmapped: []
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildChartSeries', () => {
+    const history = [
+      { date: '2024-06-13', close: 1509.95 },
+      { date: '2024-06-14', close: 1528.3 },
+      { date: '2024-06-17', close: 1540 }
+    ];
+
+    test('averages the price of trades made on the same day', () => {
+      const { series, plotted } = buildChartSeries(history, [
+        { type: 'BUY', date: '2024-06-13', quantity: 10, price: 1500 },
+        { type: 'BUY', date: '2024-06-13', quantity: 30, price: 1510 },
+        { type: 'SELL', date: '2024-06-14', quantity: 5, price: 1530 }
+      ]);
+
+      expect(plotted).toBe(3);
+      expect(series[0]).toEqual(expect.objectContaining({ buyQuantity: 40, buyPrice: 1507.5, sellQuantity: null }));
+      expect(series[1]).toEqual(expect.objectContaining({ sellQuantity: 5, sellPrice: 1530 }));
+    });
+
+    test('moves trades on missing days to the next stored day and counts those outside', () => {
+      const { series, plotted, outsideRange } = buildChartSeries(history, [
+        { type: 'BUY', date: '2024-06-15', quantity: 2, price: 1535 },
+        { type: 'BUY', date: '2024-01-10', quantity: 4, price: 1400 },
+        { type: 'SELL', date: '2024-06-20', quantity: 1, price: 1550 }
+      ]);
+
+      expect(series[2].buyQuantity).toBe(2);
+      expect(plotted).toBe(1);
+      expect(outsideRange).toBe(2);
+    });
+  });
+
+  describe('fillFromBreeze', () => {
+    test('downloads from the last stored day under the BSE short name', async () => {
+      databaseManager.getOne.mockReturnValue({ latest: '2024-06-13' });
+
+      const result = await priceHistoryService.fillFromBreeze('500209');
+
+      expect(breezeClient.getDailyCandles).toHaveBeenCalledWith('INFY', 'BSE', '2024-06-13', result.toDate);
+      expect(result.saved).toBe(2);
+      expect(saved[1]).toEqual(['500209', 'BSE', '2024-06-14', 1510, 1532.4, 1505.15, 1528.3, 412345, 'BREEZE']);
+    });
+
+    test('goes back two years for a symbol without history', async () => {
+      databaseManager.getOne.mockReturnValue({ latest: null });
+
+      const result = await priceHistoryService.fillFromBreeze('INFY');
+
+      const days = (new Date(result.toDate) - new Date(result.fromDate)) / 86400000;
+      expect(days).toBe(730);
+    });
+
+    test('requires a Breeze connection', async () => {
+      breezeClient.getStatus.mockReturnValue({ connected: false });
+
+      await expect(priceHistoryService.fillFromBreeze('INFY')).rejects.toThrow('Connect the Breeze API');
+      expect(breezeClient.getDailyCandles).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importBhavcopy', () => {
+    beforeEach(() => {
+      databaseManager.getAll.mockImplementation((query) => {
+        if (query.includes('FROM stocks')) {
+          return [{ symbol: '500209', bse_short_name: 'INFY', isin: 'INE009A01021' }];
+        }
+        if (query.includes('FROM watchlist_items')) {
+          return [{ symbol: 'ITC' }];
+        }
+        return [];
+      });
+    });
+
+    test('imports the old format for held stocks only', async () => {
+      fs.readFileSync.mockReturnValue(OLD_BHAVCOPY);
+
+      const result = await priceHistoryService.importBhavcopy(1, '/tmp/EQ_ISINCODE_140624.CSV');
+
+      expect(result).toEqual({
+        fileName: 'EQ_ISINCODE_140624.CSV',
+        dates: ['2024-06-14'],
+        rowCount: 2,
+        saved: 1,
+        symbols: ['500209']
+      });
+      expect(saved[0]).toEqual(['500209', 'BSE', '2024-06-14', 1510, 1532.4, 1505.15, 1528.3, 412345, 'BHAVCOPY']);
+    });
+
+    test('imports the UDiFF format for held and watched stocks', async () => {
+      fs.readFileSync.mockReturnValue(UDIFF_BHAVCOPY);
+
+      const result = await priceHistoryService.importBhavcopy(1, '/tmp/BhavCopy_BSE_CM_0_0_0_20240715_F_0000.CSV');
+
+      expect(result.symbols).toEqual(['500209', 'ITC']);
+      expect(result.dates).toEqual(['2024-07-15']);
+      expect(saved.map(row => [row[0], row[6]])).toEqual(
+        expect.arrayContaining([['ITC', 471.85], ['500209', 1705.4]])
+      );
+    });
+
+    test('takes the date from the file name when the old format has no date column', async () => {
+      fs.readFileSync.mockReturnValue([
+        'SC_CODE,SC_NAME,OPEN,HIGH,LOW,CLOSE,NO_OF_SHRS',
+        '500209,INFOSYS LTD,1510,1532.4,1505.15,1528.3,412345'
+      ].join('\n'));
+
+      const result = await priceHistoryService.importBhavcopy(1, '/tmp/EQ140624.CSV');
+
+      expect(result.dates).toEqual(['2024-06-14']);
+    });
+
+    test('reports files that are not bhavcopies without stopping the rest', async () => {
+      fs.readFileSync
+        .mockReturnValueOnce('Date,Symbol,Price\n2024-06-14,INFY,1528')
+        .mockReturnValueOnce(OLD_BHAVCOPY);
+
+      const results = await priceHistoryService.importBhavcopies(1, ['/tmp/trades.csv', '/tmp/EQ_ISINCODE_140624.CSV']);
+
+      expect(results[0]).toEqual({ fileName: 'trades.csv', error: expect.stringContaining('Not a BSE bhavcopy') });
+      expect(results[1].saved).toBe(1);
+    });
+  });
+
+  describe('getStockChart', () => {
+    test('places market trades of the stock on its stored prices', () => {
+      databaseManager.getOne.mockReturnValue({ id: 7, symbol: 'INFY', company_name: 'Infosys', sector: 'IT' });
+      databaseManager.getAll.mockImplementation((query) => (
+        query.includes('FROM price_history')
+          ? [{ date: '2024-06-14', close: 1528.3 }]
+          : [{ id: 3, type: 'BUY', date: '2024-06-14', quantity: 10, price: 1520, portfolioId: 1 }]
+      ));
+
+      const chart = priceHistoryService.getStockChart(1, 'INFY', '2024-01-01', 2);
+
+      const tradeCall = databaseManager.getAll.mock.calls.find(([query]) => query.includes('FROM transactions'));
+      expect(tradeCall[0]).toContain('corporate_action_id IS NULL');
+      expect(tradeCall[1]).toEqual([1, 7, 2]);
+      expect(chart.name).toBe('Infosys');
+      expect(chart.series[0]).toEqual(expect.objectContaining({ buyQuantity: 10, buyPrice: 1520 }));
+    });
+
+    test('charts a watched stock without trades', () => {
+      databaseManager.getOne.mockReturnValue(undefined);
+      databaseManager.getAll.mockReturnValue([{ date: '2024-06-14', close: 471.85 }]);
+
+      const chart = priceHistoryService.getStockChart(1, 'ITC');
+
+      expect(chart.trades).toEqual([]);
+      expect(chart.series).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+// Schedule 112A Exporter for ITR-2
+// Builds scrip-wise LTCG rows (Section 112A) from realized gains in the
+// column layout of the ITR utility's Schedule 112A CSV template
+const fs = require('fs');
+const PortfolioCalculator = require('../portfolio/portfolioCalculator');
+const { isGrandfatheringEligible } = require('../../utils/calculations/taxRules');
+
+// Column headers as they appear in the ITR utility CSV template
+const SCHEDULE_112A_HEADERS = [
+  'Share/Unit acquired(1a)',
+  'ISIN Code(2)',
+  'Name of the Share/Unit(3)',
+  'No. of Shares/Units(4)',
+  'Sale-price per Share/Unit(5)',
+  'Full Value of Consideration(Total Sale Value)(4) * (5)',
+  'Cost of acquisition without indexation(7)',
+  'Cost of acquisition(8)',
+  'If the long term capital asset was acquired before 01.02.2018,Lower of 6 & 11(9)',
+  'Fair Market Value per share/unit as on 31st January,2018(10)',
+  'Total Fair Market Value of capital asset as per section 55(2)(ac)(4*10)(11)',
+  'Expenditure wholly and exclusively in connection with transfer(12)',
+  'Total deductions(7+12)(13)',
+  'Balance(6-13)(14)'
+];
+
+// Acquisition codes used by the ITR utility
+const ACQUIRED_BEFORE = 'BE'; // On or before 31-Jan-2018
+const ACQUIRED_AFTER = 'AE'; // On or after 1-Feb-2018
+
+/**
+ * Round to 2 decimals for ITR amounts
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Quote a CSV value when it contains a comma, quote or newline
+ */
+function escapeCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class Schedule112AExporter {
+  /**
+   * Build one Schedule 112A row from a realized LTCG record
+   * @param {Object} gain - realized_gains row with isin, company_name and grandfathering fields
+   * @returns {Object} - Row values keyed by column number
+   */
+  buildRow(gain) {
+    const quantity = gain.quantity;
+    const saleValue = round2(gain.sell_price * quantity);
+    const actualCost = round2(gain.buy_price * quantity + (gain.buy_charges || 0));
+    const grandfathered = isGrandfatheringEligible(gain.buy_date);
+
+    let fmvPerShare = null;
+    let totalFmv = null;
+    let lowerOfSaleAndFmv = null;
+    let costWithoutIndexation = actualCost;
+
+    if (grandfathered && gain.fmv_31jan2018) {
+      fmvPerShare = gain.fmv_31jan2018;
+      totalFmv = round2(fmvPerShare * quantity);
+      lowerOfSaleAndFmv = Math.min(saleValue, totalFmv);
+      costWithoutIndexation = Math.max(actualCost, lowerOfSaleAndFmv);
+    }
+
+    const transferExpenses = round2(gain.transfer_expenses || 0);
+    const totalDeductions = round2(costWithoutIndexation + transferExpenses);
+
+    return {
+      acquired: grandfathered ? ACQUIRED_BEFORE : ACQUIRED_AFTER,
+      isin: gain.isin || '',
+      name: gain.company_name || gain.symbol,
+      quantity,
+      salePrice: round2(gain.sell_price),
+      saleValue,
+      costWithoutIndexation,
+      actualCost,
+      lowerOfSaleAndFmv,
+      fmvPerShare,
+      totalFmv,
+      transferExpenses,
+      totalDeductions,
+      balance: round2(saleValue - totalDeductions)
+    };
+  }
+
+  /**
+   * Get Schedule 112A rows for a financial year
+   * @param {number} userId - User ID
+   * @param {string} financialYear - e.g. "2024-25"
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
+   * @returns {Object} - { rows, missingIsin: [symbols] }
+   */
+  getScheduleRows(userId, financialYear, portfolioId = null) {
+    try {
+      const report = PortfolioCalculator.getRealizedGainsByYear(userId, financialYear, portfolioId);
+
+      // Oldest sale first, matching the order trades appear in a broker statement
+      const gains = [...report.ltcg.gains].sort((a, b) =>
+        new Date(a.sell_date) - new Date(b.sell_date)
+      );
+
+      const rows = gains.map(gain => this.buildRow(gain));
+      const missingIsin = [...new Set(gains.filter(g => !g.isin).map(g => g.symbol))];
+
+      return { rows, missingIsin };
+    } catch (error) {
+      console.error('Failed to build Schedule 112A rows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert Schedule 112A rows to CSV
+   * @param {Array} rows - Rows from buildRow
+   * @returns {string} - CSV content
+   */
+  toCSV(rows) {
+    const lines = [SCHEDULE_112A_HEADERS.map(escapeCSV).join(',')];
+
+    for (const row of rows) {
+      lines.push([
+        row.acquired,
+        row.isin,
+        row.name,
+        row.quantity,
+        row.salePrice,
+        row.saleValue,
+        row.costWithoutIndexation,
+        row.actualCost,
+        row.lowerOfSaleAndFmv ?? '',
+        row.fmvPerShare ?? '',
+        row.totalFmv ?? '',
+        row.transferExpenses,
+        row.totalDeductions,
+        row.balance
+      ].map(escapeCSV).join(','));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Export Schedule 112A CSV for a financial year
+   * @param {number} userId - User ID
+   * @param {string} financialYear - e.g. "2024-25"
+   * @param {string} filePath - Destination file path
+   * @param {number|null} portfolioId - One portfolio, or null for all accounts
+   * @returns {Promise<Object>} - { filePath, rowCount, missingIsin }
+   */
+  async exportToFile(userId, financialYear, filePath, portfolioId = null) {
+    try {
+      const { rows, missingIsin } = this.getScheduleRows(userId, financialYear, portfolioId);
+
+      fs.writeFileSync(filePath, this.toCSV(rows), 'utf8');
+
+      console.log(`Schedule 112A exported: ${rows.length} rows to ${filePath}`);
+
+      return {
+        filePath,
+        rowCount: rows.length,
+        missingIsin
+      };
+    } catch (error) {
+      console.error('Failed to export Schedule 112A:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new Schedule112AExporter();
@@ -0,0 +1,82 @@
+jest.mock('../portfolio/portfolioCalculator', () => ({
+  getRealizedGainsByYear: jest.fn()
+}));
+
+const PortfolioCalculator = require('../portfolio/portfolioCalculator');
+const schedule112AExporter = require('./schedule112AExporter');
+
+describe('Schedule112AExporter', () => {
+  const grandfatheredGain = {
+    symbol: 'RELIANCE',
+    isin: 'INE002A01018',
+    company_name: 'Reliance Industries, Ltd',
+    quantity: 10,
+    buy_price: 500,
+    sell_price: 1200,
+    buy_date: '2016-04-01',
+    sell_date: '2024-09-10',
+    fmv_31jan2018: 950,
+    grandfathered_cost: 950
+  };
+
+  const recentGain = {
+    symbol: 'TCS',
+    isin: null,
+    company_name: 'Tata Consultancy Services',
+    quantity: 5,
+    buy_price: 3000,
+    sell_price: 3500,
+    buy_date: '2021-06-15',
+    sell_date: '2024-06-01',
+    fmv_31jan2018: null,
+    grandfathered_cost: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('builds a grandfathered row using the 31-Jan-2018 FMV', () => {
+    const row = schedule112AExporter.buildRow(grandfatheredGain);
+
+    expect(row.acquired).toBe('BE');
+    expect(row.saleValue).toBe(12000);
+    expect(row.actualCost).toBe(5000);
+    expect(row.totalFmv).toBe(9500);
+    expect(row.lowerOfSaleAndFmv).toBe(9500);
+    expect(row.costWithoutIndexation).toBe(9500);
+    expect(row.balance).toBe(2500);
+  });
+
+  test('builds a row for shares bought after 31-Jan-2018 without FMV columns', () => {
+    const row = schedule112AExporter.buildRow(recentGain);
+
+    expect(row.acquired).toBe('AE');
+    expect(row.fmvPerShare).toBeNull();
+    expect(row.costWithoutIndexation).toBe(15000);
+    expect(row.balance).toBe(2500);
+  });
+
+  test('lists LTCG rows oldest sale first and flags missing ISINs', () => {
+    PortfolioCalculator.getRealizedGainsByYear.mockReturnValue({
+      ltcg: { gains: [grandfatheredGain, recentGain] }
+    });
+
+    const { rows, missingIsin } = schedule112AExporter.getScheduleRows(1, '2024-25');
+
+    expect(PortfolioCalculator.getRealizedGainsByYear).toHaveBeenCalledWith(1, '2024-25', null);
+    expect(rows.map(r => r.name)).toEqual(['Tata Consultancy Services', 'Reliance Industries, Ltd']);
+    expect(missingIsin).toEqual(['TCS']);
+  });
+
+  test('writes CSV in the Schedule 112A column order', () => {
+    const csv = schedule112AExporter.toCSV([schedule112AExporter.buildRow(grandfatheredGain)]);
+    const lines = csv.trim().split('\n');
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0].startsWith('Share/Unit acquired(1a),ISIN Code(2)')).toBe(true);
+    expect(lines[1]).toBe(
+      'BE,INE002A01018,"Reliance Industries, Ltd",10,1200,12000,9500,5000,9500,950,9500,0,9500,2500'
+    );
+  });
+});
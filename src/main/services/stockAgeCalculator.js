@@ -2,6 +2,7 @@
 // Calculates the age of stock lots and categorizes them into age buckets for histogram visualization
 
 const databaseQueries = require('../database/queries');
+const transactionManager = require('../transactions/transactionManager');
 
 // Age bucket definitions (in days)
 const AGE_BUCKETS = {
@@ -68,66 +69,30 @@ class StockAgeCalculator {
 
   /**
    * Get unsold lots for a specific stock
-   * Queries buy transactions and subtracts matched quantities from realized_gains
+   * Uses the FIFO lots from the transaction manager, so splits and
+   * consolidations keep the original purchase date while bonus shares are
+   * aged from their ex-date
    * @param {number} userId - The user ID
    * @param {string} stockSymbol - The stock symbol
    * @returns {Promise<Array>} Array of unsold lots with purchase_date, quantity, price
    */
   static async getUnsoldLotsForStock(userId, stockSymbol) {
     try {
-      const db = require('../database/index');
-
       // Get stock ID
       const stock = await databaseQueries.getStockBySymbol(stockSymbol);
       if (!stock) {
         throw new Error(`Stock not found: ${stockSymbol}`);
       }
 
-      // Get all buy transactions for this stock
-      const buyTransactions = await db.getAll(
-        `SELECT id, transaction_date, quantity, price
-         FROM transactions
-         WHERE user_id = ? AND stock_id = ? AND transaction_type = 'BUY'
-         ORDER BY transaction_date ASC, created_at ASC`,
-        [userId, stock.id]
-      );
-
-      if (!buyTransactions || buyTransactions.length === 0) {
-        return [];
-      }
-
-      // Get matched quantities from realized_gains
-      const matchedQuantities = await db.getAll(
-        `SELECT buy_transaction_id, SUM(quantity) as matched_quantity
-         FROM realized_gains
-         WHERE user_id = ? AND symbol = ?
-         GROUP BY buy_transaction_id`,
-        [userId, stockSymbol]
-      );
-
-      // Create a map of matched quantities
-      const matchedMap = {};
-      matchedQuantities.forEach(row => {
-        matchedMap[row.buy_transaction_id] = row.matched_quantity;
-      });
+      const lots = transactionManager.getBuyLots(userId, stock.id);
 
-      // Calculate unsold lots
-      const unsoldLots = [];
-      for (const txn of buyTransactions) {
-        const matchedQty = matchedMap[txn.id] || 0;
-        const unsoldQty = txn.quantity - matchedQty;
-
-        if (unsoldQty > 0) {
-          unsoldLots.push({
-            transactionId: txn.id,
-            purchaseDate: txn.transaction_date,
-            quantity: unsoldQty,
-            price: txn.price
-          });
-        }
-      }
-
-      return unsoldLots;
+      return lots.map(lot => ({
+        transactionId: lot.id,
+        corporateActionId: lot.corporateActionId,
+        purchaseDate: lot.date,
+        quantity: lot.availableQuantity,
+        price: lot.price
+      }));
     } catch (error) {
       console.error('Failed to get unsold lots:', error);
       throw error;
@@ -200,7 +165,7 @@ class StockAgeCalculator {
   static async calculatePortfolioAgeDistribution(userId) {
     try {
       // Get all stocks with current holdings
-      const holdings = await databaseQueries.getPortfolioHoldings(userId);
+      const { holdings } = transactionManager.getPortfolioSummary(userId);
 
       if (!holdings || holdings.length === 0) {
         return {
@@ -2,6 +2,7 @@
 const databaseManager = require('../database/index');
 const priceManager = require('../api/priceManager');
 const mutualFundService = require('./mutualFundService');
+const mutualFundDisclosureService = require('./mutualFundDisclosureService');
 
 class StockExposureCalculator {
   /**
@@ -49,22 +50,41 @@ class StockExposureCalculator {
   }
 
   /**
-   * Calculate indirect holdings for all mutual funds
+   * Get the stock allocations used for a fund
+   * The latest imported disclosure of its scheme replaces the hand-entered allocations
+   * @param {Object} mutualFund - Fund with its allocations
+   * @returns {Array} - [{ stock_symbol, stock_name, allocation_percent }]
+   */
+  getFundAllocations(mutualFund) {
+    const disclosed = mutualFund.scheme_code
+      ? mutualFundDisclosureService.getLatestAllocations(mutualFund.scheme_code)
+      : null;
+    return disclosed || mutualFund.allocations;
+  }
+
+  /**
+   * Calculate indirect holdings for a user's mutual funds
+   * @param {number} userId - User ID
    * @returns {Promise<Array>} - Array of indirect holding objects
    */
-  async calculateAllIndirectHoldings() {
+  async calculateAllIndirectHoldings(userId) {
     try {
-      // Get all mutual funds with allocations
-      const mutualFunds = await mutualFundService.getAllMutualFunds();
+      // Get the user's mutual funds with allocations
+      const mutualFunds = await mutualFundService.getAllMutualFunds(userId);
 
       if (mutualFunds.length === 0) {
         return [];
       }
 
+      const fundAllocations = new Map();
+      for (const mf of mutualFunds) {
+        fundAllocations.set(mf.id, this.getFundAllocations(mf));
+      }
+
       // Collect all unique stock symbols
       const stockSymbols = new Set();
-      for (const mf of mutualFunds) {
-        for (const allocation of mf.allocations) {
+      for (const allocations of fundAllocations.values()) {
+        for (const allocation of allocations) {
           stockSymbols.add(allocation.stock_symbol);
         }
       }
@@ -75,13 +95,18 @@ class StockExposureCalculator {
       // Calculate indirect holdings for each mutual fund
       const allIndirectHoldings = [];
       for (const mf of mutualFunds) {
+        // Fully redeemed funds keep their last value but hold nothing
+        if (mf.units === 0) {
+          continue;
+        }
+
         const holdings = this.calculateIndirectHoldings(
           {
             id: mf.id,
             currentValue: mf.current_value,
             scheme_name: mf.scheme_name
           },
-          mf.allocations.map(a => ({
+          fundAllocations.get(mf.id).map(a => ({
             stockSymbol: a.stock_symbol,
             stockName: a.stock_name,
             allocationPercent: a.allocation_percent
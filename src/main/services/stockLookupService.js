@@ -7,6 +7,7 @@ class StockLookupService {
   constructor() {
     this.scripCodeIndex = new Map();
     this.shortNameIndex = new Map();
+    this.isinIndex = new Map();
     this.companyNameIndex = new Map();
     this.unmappedCodes = new Set();
     this.ready = false;
@@ -26,6 +27,7 @@ class StockLookupService {
     // Clear existing indexes
     this.scripCodeIndex.clear();
     this.shortNameIndex.clear();
+    this.isinIndex.clear();
     this.companyNameIndex.clear();
     this.unmappedCodes.clear();
 
@@ -41,6 +43,11 @@ class StockLookupService {
         this.shortNameIndex.set(record.ShortName.toUpperCase(), record);
       }
 
+      // Index by ISINCode
+      if (record.ISINCode) {
+        this.isinIndex.set(record.ISINCode.toUpperCase(), record);
+      }
+
       // Index by CompanyName (for search)
       if (record.CompanyName) {
         const normalizedName = record.CompanyName.toUpperCase();
@@ -98,6 +105,26 @@ class StockLookupService {
     return this.formatRecord(record);
   }
 
+  /**
+   * Lookup stock by ISIN
+   * @param {string} isin - The ISIN code
+   * @returns {Object|null} Stock record or null if not found
+   */
+  lookupByIsin(isin) {
+    if (!isin) {
+      return null;
+    }
+
+    const record = this.isinIndex.get(this.sanitizeInput(isin));
+
+    if (!record) {
+      this.unmappedCodes.add(isin);
+      return null;
+    }
+
+    return this.formatRecord(record);
+  }
+
   /**
    * Search stocks by company name (case-insensitive partial match)
    * @param {string} searchTerm - The search term
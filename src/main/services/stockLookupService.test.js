@@ -167,6 +167,24 @@ describe('StockLookupService', () => {
     });
   });
 
+  describe('lookupByIsin', () => {
+    beforeEach(() => {
+      service.initialize(sampleData);
+    });
+
+    test('should find stock by ISIN', () => {
+      const result = service.lookupByIsin(' ine040a01034 ');
+
+      expect(result).not.toBeNull();
+      expect(result.ShortName).toBe('HDFCBANK');
+    });
+
+    test('should return null for non-existent ISIN', () => {
+      expect(service.lookupByIsin('INE000X00000')).toBeNull();
+      expect(service.getUnmappedCodes()).toContain('INE000X00000');
+    });
+  });
+
   describe('searchByCompanyName', () => {
     beforeEach(() => {
       service.initialize(sampleData);
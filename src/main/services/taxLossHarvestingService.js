@@ -0,0 +1,100 @@
+// Tax-Loss Harvesting Service
+// Gathers realized gains, open FIFO lots and cached prices to build a harvesting plan
+
+const transactionManager = require('../transactions/transactionManager');
+const priceManager = require('../api/priceManager');
+const PortfolioCalculator = require('../portfolio/portfolioCalculator');
+const grandfatheredFmvService = require('./grandfatheredFmvService');
+const portfolioService = require('./portfolioService');
+const TaxLossHarvestingCalculator = require('../../utils/calculations/taxLossHarvesting');
+const { getFinancialYear } = require('../../utils/calculations/financialYear');
+
+class TaxLossHarvestingService {
+  /**
+   * Convert "2025-2026" to the "2025-26" format used by reports
+   * @param {string} financialYear - Financial year
+   * @returns {string}
+   */
+  static toShortFinancialYear(financialYear) {
+    const [start, end] = financialYear.split('-');
+    return `${start}-${end.slice(-2)}`;
+  }
+
+  /**
+   * Get a tax-loss harvesting plan for the current financial year
+   * A sale only consumes lots in its own account, so the plan is built for
+   * one portfolio; users with a single portfolio may leave it out
+   * @param {number} userId - The user ID
+   * @param {Object} options - { brokerageRate, portfolioId }
+   * @returns {Object} Plan with proposals, tax before/after and wash-out cost
+   */
+  static getHarvestingPlan(userId, options = {}) {
+    try {
+      const asOf = new Date();
+      const financialYear = this.toShortFinancialYear(getFinancialYear(asOf));
+
+      let portfolioId = options.portfolioId || null;
+      if (!portfolioId) {
+        const portfolioIds = portfolioService.getPortfolioIds(userId);
+        if (portfolioIds.length > 1) {
+          throw new Error('Select an account: tax-loss harvesting is planned per account');
+        }
+        portfolioId = portfolioIds[0] || null;
+      }
+
+      // Realized gains for the year are the starting point
+      const realized = PortfolioCalculator.getRealizedGainsByYear(userId, financialYear, portfolioId);
+
+      // Open lots in FIFO order with cached prices
+      const { holdings } = transactionManager.getPortfolioSummary(userId, portfolioId);
+
+      const prices = holdings.length > 0
+        ? priceManager.getCachedPrices(holdings.map(h => h.symbol))
+        : [];
+      const priceMap = {};
+      prices.forEach(p => {
+        priceMap[p.symbol] = p.price;
+      });
+
+      const unpriced = [];
+      const holdingLots = [];
+
+      for (const holding of holdings) {
+        const currentPrice = priceMap[holding.symbol];
+
+        if (!currentPrice) {
+          unpriced.push(holding.symbol);
+          continue;
+        }
+
+        holdingLots.push({
+          stockId: holding.id,
+          symbol: holding.symbol,
+          name: holding.name,
+          currentPrice,
+          fmv: grandfatheredFmvService.getFmvForStock(holding.id),
+          lots: transactionManager.getBuyLots(userId, holding.id, null, portfolioId)
+        });
+      }
+
+      const plan = TaxLossHarvestingCalculator.buildPlan({
+        financialYear,
+        realizedSTCG: realized.stcg.total,
+        realizedLTCG: realized.ltcg.total,
+        holdings: holdingLots,
+        asOf,
+        brokerageRate: options.brokerageRate || 0
+      });
+
+      return {
+        ...plan,
+        unpriced
+      };
+    } catch (error) {
+      console.error('Failed to build tax-loss harvesting plan:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TaxLossHarvestingService;
@@ -0,0 +1,175 @@
+// Trade Charges Service
+// Stores the user's brokerage plans and works out the charges on a trade
+// from the plan and the statutory rates in force on the trade date
+const databaseManager = require('../database/index');
+const TradeChargesCalculator = require('../../utils/calculations/tradeCharges');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+/**
+ * Convert a brokerage_plans row to the plan shape the calculator takes
+ */
+function toPlan(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    planType: row.plan_type,
+    flatFee: row.flat_fee,
+    rate: row.rate,
+    minimum: row.minimum,
+    maximum: row.maximum,
+    effectiveFrom: row.effective_from
+  };
+}
+
+class TradeChargesService {
+  /**
+   * Get a user's brokerage plans
+   * @param {number} userId - User ID
+   * @returns {Array} - Plans, newest effective date first
+   */
+  getPlans(userId) {
+    try {
+      return databaseManager.getAll(
+        `SELECT * FROM brokerage_plans
+         WHERE user_id = ?
+         ORDER BY effective_from DESC`,
+        [userId]
+      ).map(toPlan);
+    } catch (error) {
+      console.error('Failed to get brokerage plans:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the brokerage plan in force on a date
+   * @param {number} userId - User ID
+   * @param {string|Date} date - Trade date
+   * @returns {Object|null} - Plan, or null when none started on or before the date
+   */
+  getPlanForDate(userId, date) {
+    try {
+      const row = databaseManager.getOne(
+        `SELECT * FROM brokerage_plans
+         WHERE user_id = ? AND effective_from <= ?
+         ORDER BY effective_from DESC
+         LIMIT 1`,
+        [userId, toDateKey(date)]
+      );
+
+      return row ? toPlan(row) : null;
+    } catch (error) {
+      console.error(`Failed to get brokerage plan for ${date}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add or update a brokerage plan
+   * A plan replaces the one with the same effective date
+   * @param {number} userId - User ID
+   * @param {Object} plan - { id?, name, planType, flatFee, rate, minimum, maximum, effectiveFrom }
+   * @returns {Promise<number>} - Plan ID
+   */
+  async savePlan(userId, plan) {
+    TradeChargesCalculator.validateBrokeragePlan(plan);
+
+    if (!plan.name || !plan.name.trim()) {
+      throw new Error('Brokerage plan needs a name');
+    }
+
+    const effectiveFrom = toDateKey(plan.effectiveFrom);
+    const values = [
+      plan.name.trim(),
+      plan.planType,
+      plan.planType === 'FLAT' ? plan.flatFee : null,
+      plan.planType === 'FLAT' ? null : plan.rate,
+      plan.planType === 'FLAT' ? null : plan.minimum || null,
+      plan.planType === 'CAPPED' ? plan.maximum : null,
+      effectiveFrom
+    ];
+
+    try {
+      const now = new Date().toISOString();
+      const existing = plan.id
+        ? databaseManager.getOne('SELECT id FROM brokerage_plans WHERE id = ? AND user_id = ?', [plan.id, userId])
+        : databaseManager.getOne('SELECT id FROM brokerage_plans WHERE user_id = ? AND effective_from = ?', [userId, effectiveFrom]);
+
+      if (plan.id && !existing) {
+        throw new Error(`Brokerage plan ${plan.id} not found`);
+      }
+
+      if (existing) {
+        await databaseManager.update(
+          `UPDATE brokerage_plans
+           SET name = ?, plan_type = ?, flat_fee = ?, rate = ?, minimum = ?, maximum = ?, effective_from = ?, updated_at = ?
+           WHERE id = ?`,
+          [...values, now, existing.id]
+        );
+        console.log(`Brokerage plan ${existing.id} updated`);
+        return existing.id;
+      }
+
+      const id = await databaseManager.insert(
+        `INSERT INTO brokerage_plans (user_id, name, plan_type, flat_fee, rate, minimum, maximum, effective_from, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, ...values, now, now]
+      );
+      console.log(`Brokerage plan ${id} added from ${effectiveFrom}`);
+      return id;
+    } catch (error) {
+      console.error('Failed to save brokerage plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a brokerage plan
+   * @param {number} userId - User ID
+   * @param {number} id - Plan ID
+   * @returns {Promise<void>}
+   */
+  async deletePlan(userId, id) {
+    try {
+      const changes = await databaseManager.delete(
+        'DELETE FROM brokerage_plans WHERE id = ? AND user_id = ?',
+        [id, userId]
+      );
+
+      if (changes === 0) {
+        throw new Error(`Brokerage plan ${id} not found`);
+      }
+    } catch (error) {
+      console.error(`Failed to delete brokerage plan ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate the charges on a trade
+   * The exchange comes from the stock unless given
+   * @param {number} userId - User ID
+   * @param {Object} trade - { type, quantity, price, date, stockId?, exchange? }
+   * @returns {Object} - Charge breakdown with the plan used (or null)
+   */
+  calculateCharges(userId, trade) {
+    try {
+      let exchange = trade.exchange;
+      if (!exchange && trade.stockId) {
+        const stock = databaseManager.getOne('SELECT exchange FROM stocks WHERE id = ?', [trade.stockId]);
+        exchange = stock ? stock.exchange : undefined;
+      }
+
+      const date = trade.date || new Date();
+      const plan = this.getPlanForDate(userId, date);
+      const charges = TradeChargesCalculator.calculateCharges({ ...trade, date, exchange }, plan);
+
+      return { ...charges, plan: plan ? { id: plan.id, name: plan.name } : null };
+    } catch (error) {
+      console.error('Failed to calculate trade charges:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TradeChargesService();
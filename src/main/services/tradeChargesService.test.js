@@ -0,0 +1,91 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const tradeChargesService = require('./tradeChargesService');
+
+describe('TradeChargesService', () => {
+  const planRow = {
+    id: 3,
+    name: 'Prime',
+    plan_type: 'CAPPED',
+    flat_fee: null,
+    rate: 0.0025,
+    minimum: null,
+    maximum: 20,
+    effective_from: '2024-04-01'
+  };
+
+  describe('calculateCharges', () => {
+    beforeEach(() => {
+      databaseManager.getOne.mockImplementation((query) => {
+        if (query.includes('FROM stocks')) {
+          return { exchange: 'NSE' };
+        }
+        return planRow;
+      });
+    });
+
+    test('uses the plan in force on the trade date and the stock exchange', () => {
+      const charges = tradeChargesService.calculateCharges(1, {
+        type: 'BUY',
+        quantity: 100,
+        price: 1000,
+        date: '2025-01-15',
+        stockId: 7
+      });
+
+      expect(databaseManager.getOne).toHaveBeenCalledWith(expect.stringContaining('effective_from <= ?'), [1, '2025-01-15']);
+      expect(charges.brokerage).toBe(20);
+      expect(charges.exchangeCharges).toBe(2.97);
+      expect(charges.plan).toEqual({ id: 3, name: 'Prime' });
+    });
+
+    test('charges only statutory levies without a plan', () => {
+      databaseManager.getOne.mockReturnValue(null);
+
+      const charges = tradeChargesService.calculateCharges(1, {
+        type: 'SELL',
+        quantity: 10,
+        price: 500,
+        date: '2025-01-15'
+      });
+
+      expect(charges.brokerage).toBe(0);
+      expect(charges.stt).toBe(5);
+      expect(charges.plan).toBeNull();
+    });
+  });
+
+  describe('savePlan', () => {
+    test('rejects an invalid plan', async () => {
+      await expect(tradeChargesService.savePlan(1, { name: 'Prime', planType: 'CAPPED', rate: 0.0025, effectiveFrom: '2024-04-01' }))
+        .rejects.toThrow('maximum per order');
+      await expect(tradeChargesService.savePlan(1, { name: ' ', planType: 'FLAT', flatFee: 20, effectiveFrom: '2024-04-01' }))
+        .rejects.toThrow('needs a name');
+    });
+
+    test('replaces the plan with the same effective date', async () => {
+      databaseManager.getOne.mockReturnValue({ id: 3 });
+
+      const id = await tradeChargesService.savePlan(1, {
+        name: 'Flat',
+        planType: 'FLAT',
+        flatFee: 20,
+        effectiveFrom: '2024-04-01'
+      });
+
+      expect(id).toBe(3);
+      expect(databaseManager.insert).not.toHaveBeenCalled();
+      expect(databaseManager.update).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE brokerage_plans'),
+        ['Flat', 'FLAT', 20, null, null, null, '2024-04-01', expect.any(String), 3]
+      );
+    });
+  });
+});
@@ -0,0 +1,547 @@
+// Tradebook Import Service
+// Imports broker tradebook CSVs (ICICI Direct, Zerodha or a user-defined
+// column mapping) as BUY/SELL transactions. Every import is previewed as a
+// dry run first: rows are validated, matched to stocks and checked against
+// existing transactions before anything is written.
+const fs = require('fs');
+const path = require('path');
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const stockManager = require('../stocks/stockManager');
+const portfolioService = require('./portfolioService');
+const { splitCSVLine, parseAmount, parseTradeDate, parseTradeType } = require('./importParsers');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+// Column headers per broker, matched case-insensitively. Charges are the sum
+// of every charge column present in the file. STT columns are left out: STT
+// is not deductible from capital gains (Section 48).
+const TRADEBOOK_PROFILES = {
+  ICICI_DIRECT: {
+    label: 'ICICI Direct',
+    columns: {
+      date: ['trade date', 'date'],
+      symbol: ['stock', 'stock code', 'symbol'],
+      isin: ['isin', 'isin code'],
+      exchange: ['exchange'],
+      type: ['action', 'buy/sell', 'transaction type'],
+      quantity: ['quantity', 'qty'],
+      price: ['price', 'trade price', 'transaction price'],
+      orderId: ['order ref.', 'order ref', 'order reference'],
+      tradeId: ['trade id', 'trade ref.'],
+      segment: ['segment'],
+      // STT is recorded apart from the deductible charges
+      stt: ['stt', 'stt paid', 'securities transaction tax']
+    },
+    charges: [
+      'brokerage',
+      'brokerage + service tax',
+      'transaction charges',
+      'transaction and sebi turnover charges',
+      'sebi fee',
+      'stamp duty',
+      'service tax',
+      'gst'
+    ]
+  },
+  ZERODHA: {
+    label: 'Zerodha',
+    columns: {
+      date: ['trade_date'],
+      symbol: ['symbol', 'tradingsymbol'],
+      isin: ['isin'],
+      exchange: ['exchange'],
+      type: ['trade_type'],
+      quantity: ['quantity'],
+      price: ['price'],
+      orderId: ['order_id'],
+      tradeId: ['trade_id'],
+      segment: ['segment']
+    },
+    // Console tradebooks carry no charges; they are on the contract notes
+    charges: []
+  }
+};
+
+const GENERIC_PROFILE = 'GENERIC';
+
+// Fields a mapping must cover
+const REQUIRED_FIELDS = ['date', 'symbol', 'type', 'quantity', 'price'];
+
+// Derivative and commodity segments are not holdings
+const NON_EQUITY_SEGMENT = /^(FO|F&O|NFO|BFO|CDS|COM|MCX|FUT|OPT)/i;
+
+/**
+ * Normalise a header for matching
+ */
+function normaliseHeader(header) {
+  return header.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+class TradebookImportService {
+  constructor() {
+    this.stockLookupService = null;
+  }
+
+  /**
+   * Set the stock lookup service for BSE data integration
+   */
+  setStockLookupService(service) {
+    this.stockLookupService = service;
+    console.log('Stock lookup service injected into TradebookImportService');
+  }
+
+  /**
+   * Get the available broker profiles
+   * @returns {Array} - [{ key, label }], with the generic mapping last
+   */
+  getProfiles() {
+    return [
+      ...Object.entries(TRADEBOOK_PROFILES).map(([key, profile]) => ({ key, label: profile.label })),
+      { key: GENERIC_PROFILE, label: 'Other broker (map columns)' }
+    ];
+  }
+
+  /**
+   * Read a CSV file into its header and data lines
+   * @param {string} filePath - Path to CSV file
+   * @returns {Object} - { headers, lines }
+   */
+  readCSV(filePath) {
+    const csvContent = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const lines = csvContent.trim().split(/\r?\n/);
+
+    if (lines.length < 2) {
+      throw new Error('CSV file is empty or has no data rows');
+    }
+
+    return { headers: splitCSVLine(lines[0]), lines };
+  }
+
+  /**
+   * Get the column headers of a tradebook, for building a generic mapping
+   * @param {string} filePath - Path to CSV file
+   * @returns {Array<string>}
+   */
+  getHeaders(filePath) {
+    return this.readCSV(filePath).headers.filter(header => header);
+  }
+
+  /**
+   * Resolve column indexes for a profile
+   * @param {Array<string>} headers - CSV headers
+   * @param {string} profileKey - Profile key or 'GENERIC'
+   * @param {Object} mapping - Generic mapping: { date, symbol, isin, exchange,
+   *   type, quantity, price, orderId, tradeId, stt, charges: [] } of header names
+   * @returns {Object} - { label, indexes: { field: index }, chargeIndexes: [] }
+   */
+  resolveColumns(headers, profileKey, mapping = {}) {
+    const normalised = headers.map(normaliseHeader);
+    const indexOf = (names) => {
+      for (const name of names) {
+        const index = normalised.indexOf(normaliseHeader(name));
+        if (index !== -1) {
+          return index;
+        }
+      }
+      return -1;
+    };
+
+    let label;
+    let indexes = {};
+    let chargeIndexes;
+
+    if (profileKey === GENERIC_PROFILE) {
+      label = 'tradebook';
+      for (const field of [...REQUIRED_FIELDS, 'isin', 'exchange', 'orderId', 'tradeId', 'segment', 'stt']) {
+        indexes[field] = mapping[field] ? indexOf([mapping[field]]) : -1;
+      }
+      chargeIndexes = (mapping.charges || []).map(name => indexOf([name])).filter(index => index !== -1);
+    } else {
+      const profile = TRADEBOOK_PROFILES[profileKey];
+      if (!profile) {
+        throw new Error(`Unknown tradebook profile: ${profileKey}`);
+      }
+
+      label = `${profile.label} tradebook`;
+      indexes = Object.fromEntries(
+        Object.entries(profile.columns).map(([field, names]) => [field, indexOf(names)])
+      );
+      chargeIndexes = [...new Set(profile.charges.map(name => indexOf([name])).filter(index => index !== -1))];
+    }
+
+    const missing = REQUIRED_FIELDS.filter(field => indexes[field] === -1);
+    if (missing.length > 0) {
+      throw new Error(`Tradebook is missing the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}`);
+    }
+
+    return { label, indexes, chargeIndexes };
+  }
+
+  /**
+   * Parse tradebook lines into trades
+   * Fills of the same order are combined at their weighted average price,
+   * as on the contract note
+   * @param {Array<string>} lines - CSV lines, header first
+   * @param {Object} columns - Result of resolveColumns
+   * @returns {Object} - { trades, rejected } where rejected rows carry a message
+   */
+  parseTrades(lines, columns) {
+    const { indexes, chargeIndexes } = columns;
+    const trades = [];
+    const rejected = [];
+    const orders = new Map();
+
+    for (let i = 1; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue; // Skip empty lines
+
+      const values = splitCSVLine(line);
+      const value = (field) => (indexes[field] !== -1 ? values[indexes[field]] || '' : '');
+      const row = i + 1;
+
+      const symbol = value('symbol').toUpperCase();
+      const isin = value('isin').toUpperCase() || null;
+      const segment = value('segment');
+
+      if (segment && NON_EQUITY_SEGMENT.test(segment)) {
+        rejected.push({ row, rows: [row], symbol, status: 'SKIPPED', message: `${segment} segment is not an equity holding` });
+        continue;
+      }
+
+      const trade = {
+        row,
+        rows: [row],
+        date: parseTradeDate(value('date')),
+        symbol,
+        isin,
+        exchange: value('exchange').toUpperCase() || null,
+        type: parseTradeType(value('type')),
+        quantity: parseAmount(value('quantity')),
+        price: parseAmount(value('price')),
+        charges: chargeIndexes.reduce((sum, index) => {
+          const charge = parseAmount(values[index]);
+          return sum + (isNaN(charge) ? 0 : Math.abs(charge));
+        }, 0),
+        stt: Math.abs(parseAmount(value('stt'))) || 0,
+        orderId: value('orderId') || null,
+        tradeId: value('tradeId') || null
+      };
+
+      let message = null;
+      if (!trade.symbol && !trade.isin) {
+        message = 'Symbol is missing';
+      } else if (!trade.date) {
+        message = `Unrecognised date "${value('date')}"`;
+      } else if (!trade.type) {
+        message = `Unrecognised trade type "${value('type')}"`;
+      } else if (isNaN(trade.quantity) || isNaN(trade.price)) {
+        message = 'Quantity and price must be numbers';
+      }
+
+      if (message) {
+        rejected.push({ row, rows: [row], symbol: trade.symbol, status: 'ERROR', message });
+        continue;
+      }
+
+      // Zerodha reports sells with a positive quantity; some brokers sign them
+      trade.quantity = Math.abs(trade.quantity);
+
+      if (!trade.orderId) {
+        trades.push(trade);
+        continue;
+      }
+
+      const orderKey = [trade.orderId, trade.type, trade.date, trade.isin || trade.symbol].join('|');
+      const order = orders.get(orderKey);
+
+      if (!order) {
+        orders.set(orderKey, trade);
+        trades.push(trade);
+        continue;
+      }
+
+      const quantity = order.quantity + trade.quantity;
+      order.price = (order.quantity * order.price + trade.quantity * trade.price) / quantity;
+      order.quantity = quantity;
+      order.charges += trade.charges;
+      order.stt += trade.stt;
+      order.rows.push(row);
+    }
+
+    for (const trade of trades) {
+      trade.price = Math.round(trade.price * 10000) / 10000;
+      trade.charges = Math.round(trade.charges * 100) / 100;
+      trade.stt = Math.round(trade.stt * 100) / 100;
+    }
+
+    return { trades, rejected };
+  }
+
+  /**
+   * Match a trade to a stock
+   * Looks up the stocks table by ISIN and then symbol, then the BSE scrip
+   * master; a stock found only in the master is created on import
+   * @returns {Object|null} - { id, symbol, companyName, isin } with id null for new stocks
+   */
+  resolveStock(trade) {
+    if (trade.isin) {
+      const stock = databaseManager.getOne(
+        'SELECT id, symbol, company_name, isin FROM stocks WHERE isin = ? OR isin_code = ?',
+        [trade.isin, trade.isin]
+      );
+      if (stock) {
+        return { id: stock.id, symbol: stock.symbol, companyName: stock.company_name, isin: stock.isin || trade.isin };
+      }
+    }
+
+    if (trade.symbol) {
+      const stock = databaseManager.getOne(
+        'SELECT id, symbol, company_name, isin FROM stocks WHERE symbol = ? OR bse_short_name = ?',
+        [trade.symbol, trade.symbol]
+      );
+      if (stock) {
+        return { id: stock.id, symbol: stock.symbol, companyName: stock.company_name, isin: stock.isin || trade.isin };
+      }
+    }
+
+    if (this.stockLookupService && this.stockLookupService.isReady()) {
+      const bseData = this.stockLookupService.lookupByIsin(trade.isin) ||
+                      this.stockLookupService.lookupByShortName(trade.symbol) ||
+                      this.stockLookupService.lookupByScripCode(trade.symbol);
+
+      if (bseData) {
+        return {
+          id: null,
+          symbol: bseData.ShortName,
+          companyName: bseData.ScripName,
+          isin: bseData.ISINCode || trade.isin
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Dry-run a tradebook import
+   * Trades are checked in date order, buys before sells on the same day.
+   * Each gets a status: READY to import, DUPLICATE of an existing
+   * transaction, ERROR when it fails validation, or SKIPPED.
+   * @param {number} userId - User ID
+   * @param {string} filePath - Path to CSV file
+   * @param {string} profileKey - Profile key or 'GENERIC'
+   * @param {Object} mapping - Column mapping for the generic profile
+   * @param {number|null} portfolioId - Portfolio the trades are for, or the
+   *   user's default portfolio
+   * @returns {Object} - { fileName, source, portfolioId, trades, summary }
+   */
+  previewImport(userId, filePath, profileKey, mapping = {}, portfolioId = null) {
+    try {
+      const accountId = portfolioService.resolvePortfolioId(userId, portfolioId);
+      const { headers, lines } = this.readCSV(filePath);
+      const columns = this.resolveColumns(headers, profileKey, mapping);
+      const { trades, rejected } = this.parseTrades(lines, columns);
+
+      trades.sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.type === b.type ? a.row - b.row : a.type === 'BUY' ? -1 : 1)
+      );
+
+      // Existing transactions, consumed as they are matched so that two
+      // identical trades in the file only match two existing rows
+      const existing = new Map();
+      for (const transaction of databaseManager.getAll(
+        `SELECT stock_id, transaction_type, quantity, price, transaction_date
+         FROM transactions
+         WHERE user_id = ? AND portfolio_id = ?`,
+        [userId, accountId]
+      )) {
+        const key = [transaction.stock_id, transaction.transaction_type, toDateKey(transaction.transaction_date), transaction.quantity].join('|');
+        if (!existing.has(key)) {
+          existing.set(key, []);
+        }
+        existing.get(key).push(transaction.price);
+      }
+
+      const stocks = new Map();
+      const importedNet = new Map();
+      const checked = [];
+
+      for (const trade of trades) {
+        const stockKey = trade.isin || trade.symbol;
+        if (!stocks.has(stockKey)) {
+          stocks.set(stockKey, this.resolveStock(trade));
+        }
+        const stock = stocks.get(stockKey);
+
+        const result = {
+          ...trade,
+          key: trade.row,
+          stockId: stock ? stock.id : null,
+          symbol: stock ? stock.symbol : trade.symbol,
+          companyName: stock ? stock.companyName : null,
+          isin: stock ? stock.isin : trade.isin,
+          newStock: Boolean(stock && !stock.id),
+          status: 'READY',
+          message: null
+        };
+        checked.push(result);
+
+        try {
+          transactionManager.validateTransaction(trade.type.toLowerCase(), trade.quantity, trade.price, trade.date);
+        } catch (error) {
+          result.status = 'ERROR';
+          result.message = error.message;
+          continue;
+        }
+
+        if (!Number.isInteger(trade.quantity)) {
+          result.status = 'ERROR';
+          result.message = 'Fractional quantities are not supported';
+          continue;
+        }
+
+        if (!stock) {
+          result.status = 'ERROR';
+          result.message = `Stock ${trade.symbol || trade.isin} not found in the BSE scrip master`;
+          continue;
+        }
+
+        if (stock.id) {
+          const key = [stock.id, trade.type, trade.date, trade.quantity].join('|');
+          const prices = existing.get(key) || [];
+          const match = prices.findIndex(price => Math.abs(price - trade.price) < 0.01);
+
+          if (match !== -1) {
+            prices.splice(match, 1);
+            result.status = 'DUPLICATE';
+            result.message = 'Already recorded';
+            continue;
+          }
+        }
+
+        const net = importedNet.get(stock.symbol) || 0;
+
+        if (trade.type === 'SELL') {
+          const held = stock.id
+            ? transactionManager.getBuyLots(userId, stock.id, trade.date, accountId)
+              .filter(lot => toDateKey(lot.date) <= trade.date)
+              .reduce((sum, lot) => sum + lot.availableQuantity, 0)
+            : 0;
+
+          if (held + net < trade.quantity) {
+            result.status = 'ERROR';
+            result.message = `Only ${held + net} shares held on ${trade.date}`;
+            continue;
+          }
+        }
+
+        importedNet.set(stock.symbol, net + (trade.type === 'BUY' ? trade.quantity : -trade.quantity));
+      }
+
+      const all = [...checked, ...rejected.map(trade => ({ ...trade, key: trade.row }))];
+      const summary = { ready: 0, duplicate: 0, error: 0, skipped: 0 };
+      for (const trade of all) {
+        summary[trade.status.toLowerCase()]++;
+      }
+
+      return {
+        fileName: path.basename(filePath),
+        source: columns.label,
+        portfolioId: accountId,
+        trades: all,
+        summary
+      };
+    } catch (error) {
+      console.error('Failed to preview tradebook import:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import a tradebook
+   * The file is previewed again and only READY trades are written, so a
+   * second import of the same file finds everything already recorded
+   * @param {number} userId - User ID
+   * @param {string} filePath - Path to CSV file
+   * @param {string} profileKey - Profile key or 'GENERIC'
+   * @param {Object} mapping - Column mapping for the generic profile
+   * @param {Array<number>|null} keys - Trade keys confirmed in the preview;
+   *   null imports every READY trade
+   * @param {number|null} portfolioId - Portfolio to import into, or the
+   *   user's default portfolio
+   * @returns {Promise<Object>} - { imported, failed: [{ key, symbol, message }] }
+   */
+  async importTrades(userId, filePath, profileKey, mapping = {}, keys = null, portfolioId = null) {
+    try {
+      const preview = this.previewImport(userId, filePath, profileKey, mapping, portfolioId);
+      const selected = keys ? new Set(keys) : null;
+
+      const trades = preview.trades
+        .filter(trade => trade.status === 'READY' && (!selected || selected.has(trade.key)))
+        .map(trade => ({
+          ...trade,
+          notes: `Imported from ${preview.source}${trade.orderId ? ` (order ${trade.orderId})` : ''}`
+        }));
+
+      const result = await this.recordTrades(userId, trades, preview.portfolioId);
+
+      console.log(`Imported ${result.imported} trades from ${preview.fileName} (${result.failed.length} failed)`);
+
+      return result;
+    } catch (error) {
+      console.error('Failed to import tradebook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write trades as transactions, in the order given
+   * Stocks without an id are created first; the portfolio update event is
+   * emitted once for the whole batch
+   * @param {number} userId - User ID
+   * @param {Array} trades - [{ key, stockId, symbol, companyName, isin, type,
+   *   quantity, price, charges, stt, date, notes }]
+   * @param {number|null} portfolioId - Portfolio to record into, or the user's
+   *   default portfolio
+   * @returns {Promise<Object>} - { imported, failed: [{ key, symbol, message }] }
+   */
+  async recordTrades(userId, trades, portfolioId = null) {
+    const createdStocks = new Map();
+    const failed = [];
+    let imported = 0;
+
+    for (const trade of trades) {
+      try {
+        let stockId = trade.stockId || createdStocks.get(trade.symbol);
+
+        if (!stockId) {
+          const stock = await stockManager.createStock(trade.symbol, trade.companyName, 'BSE', null, trade.isin);
+          stockId = stock.id;
+          createdStocks.set(trade.symbol, stockId);
+        }
+
+        const options = { charges: trade.charges || 0, stt: trade.stt || 0, deferUpdate: true };
+        if (portfolioId) {
+          options.portfolioId = portfolioId;
+        }
+
+        if (trade.type === 'BUY') {
+          await transactionManager.addBuyTransaction(userId, stockId, trade.quantity, trade.price, trade.date, trade.notes, options);
+        } else {
+          await transactionManager.addSellTransaction(userId, stockId, trade.quantity, trade.price, trade.date, trade.notes, options);
+        }
+        imported++;
+      } catch (error) {
+        failed.push({ key: trade.key, symbol: trade.symbol, message: error.message });
+      }
+    }
+
+    if (imported > 0) {
+      transactionManager.emitPortfolioUpdate(userId);
+    }
+
+    return { imported, failed };
+  }
+}
+
+module.exports = new TradebookImportService();
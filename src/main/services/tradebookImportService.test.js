@@ -0,0 +1,183 @@
+jest.mock('fs', () => ({
+  readFileSync: jest.fn()
+}));
+
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn()
+}));
+
+jest.mock('../transactions/transactionManager', () => ({
+  validateTransaction: jest.fn(),
+  getBuyLots: jest.fn(),
+  addBuyTransaction: jest.fn(),
+  addSellTransaction: jest.fn(),
+  emitPortfolioUpdate: jest.fn()
+}));
+
+jest.mock('../stocks/stockManager', () => ({
+  createStock: jest.fn()
+}));
+
+jest.mock('./portfolioService', () => ({
+  resolvePortfolioId: jest.fn()
+}));
+
+const fs = require('fs');
+const databaseManager = require('../database/index');
+const transactionManager = require('../transactions/transactionManager');
+const stockManager = require('../stocks/stockManager');
+const portfolioService = require('./portfolioService');
+const tradebookImportService = require('./tradebookImportService');
+
+const ZERODHA_CSV = [
+  'symbol,isin,trade_date,exchange,segment,series,trade_type,auction,quantity,price,trade_id,order_id,order_execution_time',
+  'INFY,INE009A01021,2024-01-10,NSE,EQ,EQ,buy,false,6.000000,1500.00,101,9001,2024-01-10T10:00:00',
+  'INFY,INE009A01021,2024-01-10,NSE,EQ,EQ,buy,false,4.000000,1510.00,102,9001,2024-01-10T10:00:01',
+  'INFY,INE009A01021,2024-02-15,NSE,EQ,EQ,sell,false,5.000000,1700.00,103,9002,2024-02-15T11:00:00',
+  'NIFTY24FEBFUT,,2024-02-15,NFO,FO,,buy,false,50.000000,21800.00,104,9003,2024-02-15T11:05:00'
+].join('\n');
+
+const ICICI_CSV = [
+  'Date,Stock,Action,Qty,Price,Order Ref.,Exchange,Brokerage,STT,Stamp Duty',
+  '05-Mar-2024,RELIND,Buy,10,"2,950.50",A1,BSE,14.75,29.51,4.43',
+  '31-02-2024,RELIND,Buy,1,2950,A2,BSE,0,0,0'
+].join('\n');
+
+describe('TradebookImportService', () => {
+  const infy = { id: 7, symbol: 'INFY', company_name: 'Infosys Ltd', isin: 'INE009A01021' };
+  const reliance = { id: 9, symbol: 'RELIANCE', company_name: 'Reliance Industries Ltd', isin: 'INE002A01018' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    fs.readFileSync.mockReturnValue(ZERODHA_CSV);
+    databaseManager.getOne.mockImplementation((sql, params) => {
+      if (params.includes('INE009A01021')) return infy;
+      if (params.includes('RELIND')) return reliance;
+      return null;
+    });
+    databaseManager.getAll.mockReturnValue([]);
+    transactionManager.getBuyLots.mockReturnValue([]);
+    transactionManager.addBuyTransaction.mockResolvedValue({});
+    transactionManager.addSellTransaction.mockResolvedValue({});
+    portfolioService.resolvePortfolioId.mockImplementation((userId, portfolioId) => portfolioId || 3);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('previewImport', () => {
+    test('combines the fills of an order and skips derivatives', () => {
+      const preview = tradebookImportService.previewImport(1, '/tmp/tradebook.csv', 'ZERODHA');
+
+      expect(preview.source).toBe('Zerodha tradebook');
+      expect(preview.summary).toEqual({ ready: 2, duplicate: 0, error: 0, skipped: 1 });
+
+      const [buy, sell] = preview.trades;
+      expect(buy).toMatchObject({ type: 'BUY', date: '2024-01-10', quantity: 10, price: 1504, rows: [2, 3], stockId: 7 });
+      // The sell is covered by the buy earlier in the same file
+      expect(sell).toMatchObject({ type: 'SELL', quantity: 5, status: 'READY' });
+      expect(preview.trades[2]).toMatchObject({ symbol: 'NIFTY24FEBFUT', status: 'SKIPPED' });
+    });
+
+    test('reads ICICI Direct dates, quoted prices, charges and STT', () => {
+      fs.readFileSync.mockReturnValue(ICICI_CSV);
+
+      const preview = tradebookImportService.previewImport(1, '/tmp/icici.csv', 'ICICI_DIRECT');
+
+      expect(preview.trades[0]).toMatchObject({
+        symbol: 'RELIANCE',
+        date: '2024-03-05',
+        price: 2950.5,
+        charges: 19.18,
+        stt: 29.51,
+        status: 'READY'
+      });
+      expect(preview.trades[1]).toMatchObject({ status: 'ERROR', message: 'Unrecognised date "31-02-2024"' });
+    });
+
+    test('marks trades already recorded as duplicates', () => {
+      databaseManager.getAll.mockReturnValue([
+        { stock_id: 7, transaction_type: 'BUY', quantity: 10, price: 1504, transaction_date: '2024-01-10' }
+      ]);
+      transactionManager.getBuyLots.mockReturnValue([{ date: '2024-01-10', availableQuantity: 10 }]);
+
+      const preview = tradebookImportService.previewImport(1, '/tmp/tradebook.csv', 'ZERODHA');
+
+      expect(preview.trades[0].status).toBe('DUPLICATE');
+      expect(preview.trades[1].status).toBe('READY');
+    });
+
+    test('rejects sells larger than the holding on the trade date', () => {
+      fs.readFileSync.mockReturnValue(ZERODHA_CSV.split('\n').filter((line, i) => i === 0 || i === 3).join('\n'));
+      transactionManager.getBuyLots.mockReturnValue([
+        { date: '2024-01-02', availableQuantity: 3 },
+        { date: '2024-03-01', availableQuantity: 10 }
+      ]);
+
+      const preview = tradebookImportService.previewImport(1, '/tmp/tradebook.csv', 'ZERODHA');
+
+      expect(preview.trades[0]).toMatchObject({ status: 'ERROR', message: 'Only 3 shares held on 2024-02-15' });
+    });
+
+    test('uses the transaction validation rules', () => {
+      transactionManager.validateTransaction.mockImplementation(() => {
+        throw new Error('Transaction date cannot be in the future');
+      });
+
+      const preview = tradebookImportService.previewImport(1, '/tmp/tradebook.csv', 'ZERODHA');
+
+      expect(preview.summary.error).toBe(2);
+      expect(preview.trades[0].message).toBe('Transaction date cannot be in the future');
+    });
+
+    test('requires a generic mapping to cover the core columns', () => {
+      expect(() => tradebookImportService.previewImport(1, '/tmp/tradebook.csv', 'GENERIC', { date: 'trade_date', symbol: 'symbol' }))
+        .toThrow('Tradebook is missing the type, quantity, price columns');
+    });
+  });
+
+  describe('importTrades', () => {
+    test('writes confirmed trades with charges and emits one update', async () => {
+      const result = await tradebookImportService.importTrades(1, '/tmp/tradebook.csv', 'ZERODHA', {}, [2]);
+
+      expect(result).toEqual({ imported: 1, failed: [] });
+      expect(transactionManager.addBuyTransaction).toHaveBeenCalledWith(
+        1, 7, 10, 1504, '2024-01-10', 'Imported from Zerodha tradebook (order 9001)', { charges: 0, stt: 0, portfolioId: 3, deferUpdate: true }
+      );
+      expect(transactionManager.addSellTransaction).not.toHaveBeenCalled();
+      expect(transactionManager.emitPortfolioUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test('checks duplicates and holdings within the chosen portfolio', async () => {
+      await tradebookImportService.importTrades(1, '/tmp/tradebook.csv', 'ZERODHA', {}, [2], 5);
+
+      expect(databaseManager.getAll.mock.calls[0][1]).toEqual([1, 5]);
+      expect(transactionManager.getBuyLots).toHaveBeenCalledWith(1, 7, '2024-02-15', 5);
+      expect(transactionManager.addBuyTransaction.mock.calls[0][6].portfolioId).toBe(5);
+    });
+
+    test('creates stocks found only in the BSE scrip master', async () => {
+      databaseManager.getOne.mockReturnValue(null);
+      stockManager.createStock.mockResolvedValue({ id: 12 });
+      tradebookImportService.setStockLookupService({
+        isReady: () => true,
+        lookupByIsin: () => ({ ShortName: 'INFY', ScripName: 'INFOSYS LTD', ISINCode: 'INE009A01021' }),
+        lookupByShortName: () => null,
+        lookupByScripCode: () => null
+      });
+
+      const result = await tradebookImportService.importTrades(1, '/tmp/tradebook.csv', 'ZERODHA');
+
+      expect(result.imported).toBe(2);
+      expect(stockManager.createStock).toHaveBeenCalledTimes(1);
+      expect(stockManager.createStock).toHaveBeenCalledWith('INFY', 'INFOSYS LTD', 'BSE', null, 'INE009A01021');
+      expect(transactionManager.addSellTransaction.mock.calls[0][1]).toBe(12);
+
+      tradebookImportService.setStockLookupService(null);
+    });
+  });
+});
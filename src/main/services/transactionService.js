@@ -4,6 +4,15 @@
 const ValidationEngine = require('./validationEngine');
 const AuditLogger = require('./auditLogger');
 const FIFOCalculator = require('../../utils/calculations/fifoCalculator');
+const { getTaxRulesForDate, applyGrandfathering, toDateKey } = require('../../utils/calculations/taxRules');
+const {
+  DEMERGED_LOTS,
+  getLotKey,
+  applyCorporateAction,
+  buildOpenLots,
+  combineDemergers,
+  deriveDemergerLots
+} = require('../../utils/calculations/corporateActions');
 
 class TransactionService {
   constructor(databaseManager) {
@@ -186,6 +195,10 @@ class TransactionService {
         updateFields.push('charges = ?');
         updateValues.push(editedTransaction.charges);
       }
+      if (editedTransaction.stt !== undefined) {
+        updateFields.push('stt = ?');
+        updateValues.push(editedTransaction.stt);
+      }
       if (editedTransaction.notes !== undefined) {
         updateFields.push('notes = ?');
         updateValues.push(editedTransaction.notes);
@@ -217,10 +230,11 @@ class TransactionService {
         transactionContext,
         original.user_id,
         original.stock_id,
-        Math.min(
+        new Date(Math.min(
           new Date(original.transaction_date),
           new Date(editedTransaction.transaction_date || original.transaction_date)
-        )
+        )),
+        original.portfolio_id
       );
 
       // Commit transaction
@@ -247,22 +261,114 @@ class TransactionService {
     return this.db.executeInTransaction(transactionContext, sql, params);
   }
 
+  /**
+   * Load the inputs needed to rebuild a user's lots in a stock
+   * Lots credited by demergers into the stock are derived from the parent
+   * holding as it stood before the ex-date and returned as DEMERGED_LOTS actions
+   * @param {number} userId - User ID
+   * @param {number} stockId - Stock ID
+   * @param {Object|null} transactionContext - Read inside this transaction when given
+   * @param {string|null} before - Only load events before this date (YYYY-MM-DD)
+   * @param {number|null} portfolioId - Only load this portfolio's trades; FIFO
+   *   matches lots within one portfolio, so every caller that matches lots passes it
+   * @returns {Object} { buys, consumptions, actions } for buildOpenLots
+   */
+  loadLotHistory(userId, stockId, transactionContext = null, before = null, portfolioId = null) {
+    const query = (sql, params) => (
+      transactionContext
+        ? this.executeInTransaction(transactionContext, sql, params)
+        : this.db.getAll(sql, params)
+    );
+    const beforeKey = before || '9999-12-31';
+    const portfolioFilter = portfolioId ? 'AND t.portfolio_id = ?' : '';
+    const portfolioParams = portfolioId ? [portfolioId] : [];
+
+    const buys = query(
+      `SELECT id, quantity, price, COALESCE(charges, 0) as charges, transaction_date as date
+       FROM transactions t
+       WHERE user_id = ? AND stock_id = ? AND transaction_type = 'BUY'
+       AND transaction_date < ? ${portfolioFilter}
+       ORDER BY transaction_date ASC, id ASC`,
+      [userId, stockId, beforeKey, ...portfolioParams]
+    );
+
+    // Matches are found through the sell, as demerged lots point at a buy
+    // of the parent stock
+    const consumptions = query(
+      `SELECT rg.buy_transaction_id as buyTransactionId,
+              rg.corporate_action_id as corporateActionId,
+              rg.quantity, rg.sell_date as sellDate
+       FROM realized_gains rg
+       JOIN transactions t ON t.id = rg.sell_transaction_id
+       WHERE t.user_id = ? AND t.stock_id = ? AND rg.sell_date < ? ${portfolioFilter}`,
+      [userId, stockId, beforeKey, ...portfolioParams]
+    );
+
+    const actions = combineDemergers(query(
+      `SELECT id, action_type as actionType, old_shares as oldShares,
+              new_shares as newShares, ex_date as exDate, cost_ratio as costRatio
+       FROM corporate_actions
+       WHERE stock_id = ? AND ex_date < ?
+       ORDER BY ex_date ASC, id ASC`,
+      [stockId, beforeKey]
+    ));
+
+    const demergers = query(
+      `SELECT id, stock_id as parentStockId, old_shares as oldShares,
+              new_shares as newShares, ex_date as exDate, cost_ratio as costRatio
+       FROM corporate_actions
+       WHERE resulting_stock_id = ? AND action_type = 'DEMERGER' AND ex_date < ?
+       ORDER BY ex_date ASC, id ASC`,
+      [stockId, beforeKey]
+    );
+
+    for (const demerger of demergers) {
+      const exDate = toDateKey(demerger.exDate);
+      const parentLots = buildOpenLots(
+        this.loadLotHistory(userId, demerger.parentStockId, transactionContext, exDate, portfolioId)
+      );
+      const derivedLots = deriveDemergerLots(parentLots, demerger);
+
+      if (derivedLots.length > 0) {
+        actions.push({ id: demerger.id, actionType: DEMERGED_LOTS, exDate, derivedLots });
+      }
+    }
+
+    actions.sort((a, b) => toDateKey(a.exDate).localeCompare(toDateKey(b.exDate)));
+
+    return { buys, consumptions, actions };
+  }
+
   /**
    * Recalculate FIFO matches for a stock from a given date
    * @param {Object} transactionContext - Transaction context
    * @param {number} userId - User ID
    * @param {number} stockId - Stock ID
    * @param {Date} fromDate - Start date for recalculation
+   * @param {number|null} portfolioId - Portfolio to recalculate; every one of
+   *   the user's portfolios when omitted
    */
-  async recalculateFIFO(transactionContext, userId, stockId, fromDate) {
+  async recalculateFIFO(transactionContext, userId, stockId, fromDate, portfolioId = null) {
+    if (!portfolioId) {
+      const portfolios = this.executeInTransaction(
+        transactionContext,
+        'SELECT id FROM portfolios WHERE user_id = ? ORDER BY id',
+        [userId]
+      );
+      for (const portfolio of portfolios) {
+        await this.recalculateFIFO(transactionContext, userId, stockId, fromDate, portfolio.id);
+      }
+      return;
+    }
+
     try {
       // Delete existing realized gains from this date forward
       this.executeInTransaction(
         transactionContext,
         `DELETE FROM realized_gains 
          WHERE user_id = ? AND symbol IN (SELECT symbol FROM stocks WHERE id = ?)
-         AND sell_date >= ?`,
-        [userId, stockId, fromDate.toISOString().split('T')[0]]
+         AND sell_date >= ? AND portfolio_id = ?`,
+        [userId, stockId, fromDate.toISOString().split('T')[0], portfolioId]
       );
 
       // Get all transactions for this stock from the date forward
@@ -271,43 +377,49 @@ class TransactionService {
         `SELECT t.*, s.symbol
          FROM transactions t
          JOIN stocks s ON t.stock_id = s.id
-         WHERE t.user_id = ? AND t.stock_id = ? AND t.transaction_date >= ?
+         WHERE t.user_id = ? AND t.stock_id = ? AND t.transaction_date >= ? AND t.portfolio_id = ?
          ORDER BY t.transaction_date ASC, t.id ASC`,
-        [userId, stockId, fromDate.toISOString().split('T')[0]]
+        [userId, stockId, fromDate.toISOString().split('T')[0], portfolioId]
       );
 
-      // Get buy lots before this date (still available)
-      const priorBuyLots = this.executeInTransaction(
+      // Rebuild lots still open before this date, then replay corporate
+      // actions (including demerged lots credited here) alongside the trades
+      const fromKey = fromDate.toISOString().split('T')[0];
+      const history = this.loadLotHistory(userId, stockId, transactionContext, null, portfolioId);
+      let availableLots = buildOpenLots({
+        buys: history.buys.filter(buy => toDateKey(buy.date) < fromKey),
+        consumptions: history.consumptions,
+        actions: history.actions.filter(action => toDateKey(action.exDate) < fromKey)
+      });
+      const pendingActions = history.actions.filter(action => toDateKey(action.exDate) >= fromKey);
+
+      // 31-Jan-2018 FMV for grandfathered LTCG (Section 112A)
+      const fmvRows = this.executeInTransaction(
         transactionContext,
-        `SELECT t.id, t.quantity, t.price, t.transaction_date as date,
-                COALESCE(SUM(rg.quantity), 0) as sold_quantity
-         FROM transactions t
-         LEFT JOIN realized_gains rg ON rg.buy_transaction_id = t.id
-         WHERE t.user_id = ? AND t.stock_id = ? 
-         AND t.transaction_type = 'BUY' AND t.transaction_date < ?
-         GROUP BY t.id, t.quantity, t.price, t.transaction_date
-         HAVING t.quantity > COALESCE(SUM(rg.quantity), 0)
-         ORDER BY t.transaction_date ASC`,
-        [userId, stockId, fromDate.toISOString().split('T')[0]]
+        `SELECT gf.fmv
+         FROM stocks s
+         JOIN grandfathered_fmv gf ON gf.isin = COALESCE(s.isin, s.isin_code)
+         WHERE s.id = ?`,
+        [stockId]
       );
-
-      // Build available lots
-      const availableLots = priorBuyLots.map(lot => ({
-        id: lot.id,
-        date: lot.date,
-        price: lot.price,
-        quantity: lot.quantity,
-        availableQuantity: lot.quantity - lot.sold_quantity
-      }));
+      const fmv = fmvRows.length > 0 ? fmvRows[0].fmv : null;
 
       // Process transactions chronologically
       for (const tx of transactions) {
+        // Shares trade ex-action from the ex-date
+        while (pendingActions.length > 0 &&
+               toDateKey(pendingActions[0].exDate) <= toDateKey(tx.transaction_date)) {
+          availableLots = applyCorporateAction(availableLots, pendingActions.shift());
+        }
+
         if (tx.transaction_type === 'BUY') {
           // Add to available lots
           availableLots.push({
             id: tx.id,
+            corporateActionId: null,
             date: tx.transaction_date,
             price: tx.price,
+            chargePerShare: (tx.charges || 0) / tx.quantity,
             quantity: tx.quantity,
             availableQuantity: tx.quantity
           });
@@ -317,13 +429,16 @@ class TransactionService {
             availableLots,
             tx.quantity,
             tx.price,
-            tx.transaction_date
+            tx.transaction_date,
+            tx.charges || 0
           );
 
           // Create realized gains records
           for (const lot of fifoResult.matchedLots) {
-            const gainLoss = lot.gainLoss;
-            const taxRate = lot.classification === 'LTCG' ? 0.125 : 0.20;
+            const taxLot = applyGrandfathering(lot, fmv);
+            const gainLoss = taxLot.gainLoss;
+            const rules = getTaxRulesForDate(tx.transaction_date);
+            const taxRate = lot.classification === 'LTCG' ? rules.ltcgRate : rules.stcgRate;
             
             const sellDate = new Date(tx.transaction_date);
             const fy = sellDate.getMonth() >= 3 
@@ -333,14 +448,17 @@ class TransactionService {
             this.executeInTransaction(
               transactionContext,
               `INSERT INTO realized_gains 
-               (user_id, buy_transaction_id, sell_transaction_id, symbol,
+               (user_id, portfolio_id, buy_transaction_id, corporate_action_id, sell_transaction_id, symbol,
                 quantity, buy_price, sell_price, buy_date, sell_date, 
                 holding_period, gain_amount, gain_type, tax_rate, 
-                financial_year, created_at)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                financial_year, fmv_31jan2018, grandfathered_cost,
+                buy_charges, transfer_expenses, created_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
               [
                 userId,
+                portfolioId,
                 lot.buyTransactionId,
+                lot.corporateActionId,
                 tx.id,
                 tx.symbol,
                 lot.quantity,
@@ -353,6 +471,10 @@ class TransactionService {
                 lot.classification,
                 taxRate,
                 fy,
+                taxLot.fmv,
+                taxLot.fmv !== null ? taxLot.taxCostPrice : null,
+                lot.buyCharges,
+                lot.sellCharges,
                 new Date().toISOString()
               ]
             );
@@ -360,7 +482,8 @@ class TransactionService {
 
           // Update available lots
           for (const lot of fifoResult.matchedLots) {
-            const lotIndex = availableLots.findIndex(l => l.id === lot.buyTransactionId);
+            const lotKey = getLotKey(lot.buyTransactionId, lot.corporateActionId);
+            const lotIndex = availableLots.findIndex(l => getLotKey(l.id, l.corporateActionId) === lotKey);
             if (lotIndex !== -1) {
               availableLots[lotIndex].availableQuantity -= lot.quantity;
               if (availableLots[lotIndex].availableQuantity <= 0) {
@@ -371,7 +494,27 @@ class TransactionService {
         }
       }
 
-      console.log(`FIFO recalculated for stock ${stockId} from ${fromDate.toISOString()}`);
+      // Lots demerged out of this stock are derived from its lots before the
+      // ex-date, so resulting companies are rebuilt from those ex-dates
+      const demergers = this.executeInTransaction(
+        transactionContext,
+        `SELECT resulting_stock_id, ex_date
+         FROM corporate_actions
+         WHERE stock_id = ? AND action_type = 'DEMERGER' AND ex_date >= ?`,
+        [stockId, fromKey]
+      );
+
+      for (const demerger of demergers) {
+        await this.recalculateFIFO(
+          transactionContext,
+          userId,
+          demerger.resulting_stock_id,
+          new Date(demerger.ex_date),
+          portfolioId
+        );
+      }
+
+      console.log(`FIFO recalculated for stock ${stockId} in portfolio ${portfolioId} from ${fromDate.toISOString()}`);
     } catch (error) {
       console.error('FIFO recalculation failed:', error);
       throw error;
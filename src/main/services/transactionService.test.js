@@ -0,0 +1,62 @@
+const TransactionService = require('./transactionService');
+const { buildOpenLots } = require('../../utils/calculations/corporateActions');
+
+describe('TransactionService', () => {
+  describe('loadLotHistory', () => {
+    // Parent stock 1 demerges into stock 2 on 2024-06-01: 1 new share for
+    // every 2 held, carrying 30% of the cost
+    const rows = {
+      buys: {
+        1: [
+          { id: 11, quantity: 10, price: 100, date: '2016-05-10' },
+          { id: 12, quantity: 4, price: 300, date: '2024-08-01' }
+        ],
+        2: [{ id: 21, quantity: 3, price: 80, date: '2024-07-01' }]
+      },
+      consumptions: {
+        1: [{ buyTransactionId: 11, corporateActionId: null, quantity: 2, sellDate: '2024-03-01' }],
+        2: [{ buyTransactionId: 11, corporateActionId: 30, quantity: 1, sellDate: '2024-09-02' }]
+      },
+      actions: {
+        1: [{ id: 30, actionType: 'DEMERGER', oldShares: 2, newShares: 1, exDate: '2024-06-01', costRatio: 0.3 }],
+        2: []
+      },
+      demergers: {
+        1: [],
+        2: [{ id: 30, parentStockId: 1, oldShares: 2, newShares: 1, exDate: '2024-06-01', costRatio: 0.3 }]
+      }
+    };
+
+    const byDate = (list, field, before) => list.filter(row => row[field] < before);
+
+    const db = {
+      getAll: (sql, [first, second, third]) => {
+        if (sql.includes("transaction_type = 'BUY'")) return byDate(rows.buys[second], 'date', third);
+        if (sql.includes('FROM realized_gains')) return byDate(rows.consumptions[second], 'sellDate', third);
+        if (sql.includes('resulting_stock_id = ?')) return byDate(rows.demergers[first], 'exDate', second);
+        return byDate(rows.actions[first], 'exDate', second);
+      }
+    };
+
+    const service = new TransactionService(db);
+
+    test('credits demerged lots from the parent holding before the ex-date', () => {
+      const lots = buildOpenLots(service.loadLotHistory(7, 2));
+
+      expect(lots.map(l => [l.id, l.corporateActionId, l.date, l.availableQuantity, l.price])).toEqual([
+        // 8 parent shares held on the ex-date give 4, one already sold
+        [11, 30, '2016-05-10', 3, 60],
+        [21, null, '2024-07-01', 3, 80]
+      ]);
+    });
+
+    test('reduces the parent cost by the demerged share', () => {
+      const lots = buildOpenLots(service.loadLotHistory(7, 1));
+
+      expect(lots.map(l => [l.id, l.availableQuantity, l.price])).toEqual([
+        [11, 8, 70],
+        [12, 4, 300]
+      ]);
+    });
+  });
+});
@@ -91,11 +91,12 @@ class ValidationEngine {
    */
   async validateBuyQuantityReduction(transactionId, newQuantity) {
     try {
-      // Find all sell transactions matched to this buy via FIFO
+      // Find all sell transactions matched to this buy via FIFO. Matches
+      // against its bonus or demerged lots do not use the bought shares.
       const matches = this.db.getAll(
         `SELECT SUM(quantity) as matched_quantity
          FROM realized_gains
-         WHERE buy_transaction_id = ?`,
+         WHERE buy_transaction_id = ? AND corporate_action_id IS NULL`,
         [transactionId]
       );
 
@@ -0,0 +1,453 @@
+// Watchlist Service
+// Named lists of stocks a user follows before buying. Their symbols join the
+// PriceManager auto-update schedule; quotes come from price_cache and the
+// 52-week range from the daily highs and lows in price_history, refreshed
+// once a day.
+const databaseManager = require('../database/index');
+const breezeClient = require('../api/breezeClient');
+const priceManager = require('../api/priceManager');
+const priceHistoryService = require('./priceHistoryService');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+
+// PriceManager source name for watchlist symbols
+const PRICE_SOURCE = 'watchlists';
+
+const RANGE_DAYS = 365;
+
+/**
+ * Round to two decimals
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Combine a watchlist item with its cached quote
+ * The live price can move outside a range built from earlier days, so the
+ * range is widened to include it
+ * @param {Object} item - watchlist_items row
+ * @param {Object|null} cached - price_cache row
+ * @returns {Object} Item with price, day change, 52-week range and target distance
+ */
+function buildQuote(item, cached) {
+  const price = cached && cached.price > 0 ? cached.price : null;
+
+  let week52High = item.week52_high;
+  let week52Low = item.week52_low;
+  if (price !== null) {
+    week52High = week52High ? Math.max(week52High, price) : null;
+    week52Low = week52Low ? Math.min(week52Low, price) : null;
+  }
+
+  const hasRange = price !== null && week52High && week52Low;
+  const span = hasRange ? week52High - week52Low : 0;
+
+  return {
+    id: item.id,
+    watchlistId: item.watchlist_id,
+    symbol: item.symbol,
+    companyName: item.company_name,
+    scripCode: item.scrip_code,
+    isin: item.isin,
+    targetPrice: item.target_price,
+    notes: item.notes,
+    price,
+    change: cached ? cached.change : null,
+    changePercent: cached ? cached.change_percent : null,
+    priceUpdatedAt: cached ? cached.updated_at : null,
+    week52High,
+    week52Low,
+    rangeUpdatedAt: item.range_updated_at,
+    // Where the price sits in the range, 0 at the low and 100 at the high
+    rangePosition: hasRange ? (span > 0 ? round2(((price - week52Low) / span) * 100) : 100) : null,
+    fromHigh: hasRange ? round2(((price - week52High) / week52High) * 100) : null,
+    // Positive while the price is above the target buy price
+    distanceToTarget: price !== null && item.target_price
+      ? round2(((price - item.target_price) / item.target_price) * 100)
+      : null,
+    atTarget: price !== null && item.target_price ? price <= item.target_price : false
+  };
+}
+
+class WatchlistService {
+  /**
+   * Get a user's watchlists
+   * @param {number} userId - User ID
+   * @returns {Array} - [{ id, name, item_count }]
+   */
+  getWatchlists(userId) {
+    try {
+      return databaseManager.getAll(
+        `SELECT w.id, w.name, w.created_at, w.updated_at,
+                (SELECT COUNT(*) FROM watchlist_items i WHERE i.watchlist_id = w.id) as item_count
+         FROM watchlists w
+         WHERE w.user_id = ?
+         ORDER BY w.name`,
+        [userId]
+      );
+    } catch (error) {
+      console.error('Failed to get watchlists:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a watchlist the user owns
+   * @throws {Error} When the watchlist is not the user's
+   */
+  getOwnedWatchlist(userId, watchlistId) {
+    const watchlist = databaseManager.getOne(
+      'SELECT id, name FROM watchlists WHERE id = ? AND user_id = ?',
+      [watchlistId, userId]
+    );
+
+    if (!watchlist) {
+      throw new Error(`Watchlist ${watchlistId} not found`);
+    }
+
+    return watchlist;
+  }
+
+  /**
+   * Get a watchlist item the user owns
+   * @throws {Error} When the item is not on one of the user's watchlists
+   */
+  getOwnedItem(userId, itemId) {
+    const item = databaseManager.getOne(
+      `SELECT i.*
+       FROM watchlist_items i
+       JOIN watchlists w ON i.watchlist_id = w.id
+       WHERE i.id = ? AND w.user_id = ?`,
+      [itemId, userId]
+    );
+
+    if (!item) {
+      throw new Error(`Watchlist item ${itemId} not found`);
+    }
+
+    return item;
+  }
+
+  /**
+   * Validate a watchlist name
+   * @returns {string} Trimmed name
+   */
+  validateName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Watchlist name is required');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Validate an optional target buy price
+   * @returns {number|null}
+   */
+  validateTargetPrice(targetPrice) {
+    if (targetPrice === undefined || targetPrice === null || targetPrice === '') {
+      return null;
+    }
+
+    const value = parseFloat(targetPrice);
+    if (!(value > 0)) {
+      throw new Error('Target price must be greater than 0');
+    }
+    return value;
+  }
+
+  /**
+   * Add a watchlist
+   * @param {number} userId - User ID
+   * @param {string} name - Watchlist name
+   * @returns {Promise<number>} - Watchlist ID
+   */
+  async createWatchlist(userId, name) {
+    const trimmed = this.validateName(name);
+
+    try {
+      const now = new Date().toISOString();
+      return await databaseManager.insert(
+        'INSERT INTO watchlists (user_id, name, created_at, updated_at) VALUES (?, ?, ?, ?)',
+        [userId, trimmed, now, now]
+      );
+    } catch (error) {
+      if (String(error.message).includes('UNIQUE')) {
+        throw new Error(`A watchlist named "${trimmed}" already exists`);
+      }
+      console.error('Failed to create watchlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a watchlist
+   * @param {number} userId - User ID
+   * @param {number} watchlistId - Watchlist ID
+   * @param {string} name - New name
+   * @returns {Promise<void>}
+   */
+  async renameWatchlist(userId, watchlistId, name) {
+    const trimmed = this.validateName(name);
+    this.getOwnedWatchlist(userId, watchlistId);
+
+    try {
+      await databaseManager.update(
+        'UPDATE watchlists SET name = ?, updated_at = ? WHERE id = ?',
+        [trimmed, new Date().toISOString(), watchlistId]
+      );
+    } catch (error) {
+      if (String(error.message).includes('UNIQUE')) {
+        throw new Error(`A watchlist named "${trimmed}" already exists`);
+      }
+      console.error(`Failed to rename watchlist ${watchlistId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a watchlist and its items
+   * @param {number} userId - User ID
+   * @param {number} watchlistId - Watchlist ID
+   * @returns {Promise<void>}
+   */
+  async deleteWatchlist(userId, watchlistId) {
+    try {
+      this.getOwnedWatchlist(userId, watchlistId);
+
+      await databaseManager.withTransaction(async (tx) => {
+        tx.delete('DELETE FROM watchlist_items WHERE watchlist_id = ?', [watchlistId]);
+        tx.delete('DELETE FROM watchlists WHERE id = ?', [watchlistId]);
+      });
+
+      this.syncPriceManager();
+    } catch (error) {
+      console.error(`Failed to delete watchlist ${watchlistId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a stock to a watchlist
+   * The stock comes from a BSE Scrip Master search; its 52-week figures are
+   * kept until the range is refreshed from price history
+   * @param {number} userId - User ID
+   * @param {number} watchlistId - Watchlist ID
+   * @param {Object} stock - { symbol, companyName, scripCode, isin, targetPrice,
+   *   notes, week52High, week52Low }
+   * @returns {Promise<number>} - Watchlist item ID
+   */
+  async addItem(userId, watchlistId, stock) {
+    const symbol = String((stock && stock.symbol) || '').trim().toUpperCase();
+    if (!symbol) {
+      throw new Error('Stock symbol is required');
+    }
+
+    const targetPrice = this.validateTargetPrice(stock.targetPrice);
+    this.getOwnedWatchlist(userId, watchlistId);
+
+    try {
+      const now = new Date().toISOString();
+      const id = await databaseManager.insert(
+        `INSERT INTO watchlist_items
+         (watchlist_id, symbol, company_name, scrip_code, isin, target_price, notes,
+          week52_high, week52_low, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          watchlistId,
+          symbol,
+          stock.companyName || null,
+          stock.scripCode ? String(stock.scripCode) : null,
+          stock.isin || null,
+          targetPrice,
+          stock.notes || null,
+          parseFloat(stock.week52High) > 0 ? parseFloat(stock.week52High) : null,
+          parseFloat(stock.week52Low) > 0 ? parseFloat(stock.week52Low) : null,
+          now,
+          now
+        ]
+      );
+
+      this.syncPriceManager();
+      console.log(`Added ${symbol} to watchlist ${watchlistId}`);
+      return id;
+    } catch (error) {
+      if (String(error.message).includes('UNIQUE')) {
+        throw new Error(`${symbol} is already on this watchlist`);
+      }
+      console.error('Failed to add watchlist item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an item's target buy price and notes
+   * @param {number} userId - User ID
+   * @param {number} itemId - Watchlist item ID
+   * @param {Object} updates - { targetPrice, notes }
+   * @returns {Promise<void>}
+   */
+  async updateItem(userId, itemId, updates) {
+    const item = this.getOwnedItem(userId, itemId);
+    const targetPrice = updates.targetPrice !== undefined
+      ? this.validateTargetPrice(updates.targetPrice)
+      : item.target_price;
+
+    try {
+      await databaseManager.update(
+        'UPDATE watchlist_items SET target_price = ?, notes = ?, updated_at = ? WHERE id = ?',
+        [
+          targetPrice,
+          updates.notes !== undefined ? updates.notes || null : item.notes,
+          new Date().toISOString(),
+          itemId
+        ]
+      );
+    } catch (error) {
+      console.error(`Failed to update watchlist item ${itemId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a stock from its watchlist
+   * @param {number} userId - User ID
+   * @param {number} itemId - Watchlist item ID
+   * @returns {Promise<void>}
+   */
+  async removeItem(userId, itemId) {
+    try {
+      this.getOwnedItem(userId, itemId);
+      await databaseManager.delete('DELETE FROM watchlist_items WHERE id = ?', [itemId]);
+      this.syncPriceManager();
+    } catch (error) {
+      console.error(`Failed to remove watchlist item ${itemId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register every watchlist symbol with the PriceManager schedule
+   * @returns {Array<string>} Symbols registered
+   */
+  syncPriceManager() {
+    const symbols = databaseManager.getAll(
+      'SELECT DISTINCT symbol FROM watchlist_items ORDER BY symbol'
+    ).map(row => row.symbol);
+
+    priceManager.watchSymbols(PRICE_SOURCE, symbols);
+    return symbols;
+  }
+
+  /**
+   * Get a watchlist with the latest quote for each stock
+   * @param {number} userId - User ID
+   * @param {number} watchlistId - Watchlist ID
+   * @returns {Object} - { id, name, items } with items as built by buildQuote
+   */
+  getWatchlistQuotes(userId, watchlistId) {
+    try {
+      const watchlist = this.getOwnedWatchlist(userId, watchlistId);
+      const items = databaseManager.getAll(
+        'SELECT * FROM watchlist_items WHERE watchlist_id = ? ORDER BY symbol',
+        [watchlistId]
+      );
+
+      const prices = items.length > 0 ? priceManager.getCachedPrices(items.map(item => item.symbol)) : [];
+      const priceMap = new Map(prices.map(p => [p.symbol, p]));
+
+      return {
+        ...watchlist,
+        items: items.map(item => buildQuote(item, priceMap.get(item.symbol) || null))
+      };
+    } catch (error) {
+      console.error(`Failed to get quotes for watchlist ${watchlistId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch fresh quotes for a watchlist and refresh stale 52-week ranges
+   * @param {number} userId - User ID
+   * @param {number} watchlistId - Watchlist ID
+   * @returns {Promise<Object>} - Watchlist quotes plus failedRanges, the
+   *   symbols whose history could not be fetched
+   */
+  async refreshWatchlist(userId, watchlistId) {
+    try {
+      this.getOwnedWatchlist(userId, watchlistId);
+
+      if (!breezeClient.getStatus().connected) {
+        throw new Error('Breeze API not initialized. Please go to Settings → API Configuration to connect before refreshing quotes.');
+      }
+
+      const items = databaseManager.getAll(
+        'SELECT id, symbol, range_updated_at FROM watchlist_items WHERE watchlist_id = ?',
+        [watchlistId]
+      );
+
+      if (items.length > 0) {
+        await priceManager.updatePrices(items.map(item => item.symbol));
+      }
+
+      const failedRanges = await this.refreshRanges(items);
+
+      return { ...this.getWatchlistQuotes(userId, watchlistId), failedRanges };
+    } catch (error) {
+      console.error(`Failed to refresh watchlist ${watchlistId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out the 52-week high and low of items not refreshed today
+   * The days missing from each stock's price history are downloaded first;
+   * a stock whose download fails still uses the days already stored
+   * @param {Array} items - [{ id, symbol, range_updated_at }]
+   * @returns {Promise<Array<string>>} Symbols without price history for the period
+   */
+  async refreshRanges(items) {
+    const today = toDateKey(new Date());
+    const from = new Date();
+    from.setDate(from.getDate() - RANGE_DAYS);
+    const fromDate = toDateKey(from);
+
+    const failed = [];
+
+    for (const item of items) {
+      if (item.range_updated_at === today) {
+        continue;
+      }
+
+      try {
+        try {
+          await priceHistoryService.fillFromBreeze(item.symbol);
+        } catch (error) {
+          console.warn(`Failed to download price history for ${item.symbol}:`, error.message);
+        }
+
+        const range = priceHistoryService.getRange(item.symbol, fromDate, today);
+
+        if (!range || range.days === 0) {
+          failed.push(item.symbol);
+          continue;
+        }
+
+        await databaseManager.update(
+          `UPDATE watchlist_items
+           SET week52_high = ?, week52_low = ?, range_updated_at = ?, updated_at = ?
+           WHERE id = ?`,
+          [range.high, range.low, today, new Date().toISOString(), item.id]
+        );
+      } catch (error) {
+        console.warn(`Failed to fetch 52-week range for ${item.symbol}:`, error.message);
+        failed.push(item.symbol);
+      }
+    }
+
+    return failed;
+  }
+}
+
+module.exports = new WatchlistService();
+module.exports.buildQuote = buildQuote;
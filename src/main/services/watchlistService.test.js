@@ -0,0 +1,184 @@
+jest.mock('../database/index', () => ({
+  getOne: jest.fn(),
+  getAll: jest.fn(),
+  insert: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+jest.mock('../api/breezeClient', () => ({
+  getStatus: jest.fn()
+}));
+
+jest.mock('../api/priceManager', () => ({
+  watchSymbols: jest.fn(),
+  getCachedPrices: jest.fn(),
+  updatePrices: jest.fn(),
+  mapStockCodes: jest.fn()
+}));
+
+jest.mock('./priceHistoryService', () => ({
+  fillFromBreeze: jest.fn(),
+  getRange: jest.fn()
+}));
+
+const databaseManager = require('../database/index');
+const breezeClient = require('../api/breezeClient');
+const priceManager = require('../api/priceManager');
+const priceHistoryService = require('./priceHistoryService');
+const watchlistService = require('./watchlistService');
+const { toDateKey } = require('../../utils/calculations/taxRules');
+const { buildQuote } = watchlistService;
+
+describe('WatchlistService', () => {
+  const item = {
+    id: 5,
+    watchlist_id: 2,
+    symbol: 'INFY',
+    company_name: 'Infosys Ltd',
+    scrip_code: '500209',
+    isin: 'INE009A01021',
+    target_price: 1400,
+    notes: null,
+    week52_high: 1900,
+    week52_low: 1300,
+    range_updated_at: '2024-06-01'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    databaseManager.getOne.mockReturnValue({ id: 2, name: 'Banks' });
+    databaseManager.getAll.mockReturnValue([]);
+    breezeClient.getStatus.mockReturnValue({ connected: true });
+    priceManager.mapStockCodes.mockReturnValue({ mapped: [], unmapped: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildQuote', () => {
+    test('places the price in its 52-week range and measures the target distance', () => {
+      const quote = buildQuote(item, { price: 1450, change: -12.5, change_percent: -0.85, updated_at: '2024-06-03' });
+
+      expect(quote).toEqual(expect.objectContaining({
+        price: 1450,
+        change: -12.5,
+        changePercent: -0.85,
+        rangePosition: 25,
+        fromHigh: -23.68,
+        distanceToTarget: 3.57,
+        atTarget: false
+      }));
+    });
+
+    test('widens the range when the live price moves past it', () => {
+      const quote = buildQuote(item, { price: 1250, change: 0, change_percent: 0 });
+
+      expect(quote.week52Low).toBe(1250);
+      expect(quote.rangePosition).toBe(0);
+      expect(quote.atTarget).toBe(true);
+    });
+
+    test('leaves quote fields empty before the first price update', () => {
+      const quote = buildQuote({ ...item, target_price: null }, null);
+
+      expect(quote.price).toBeNull();
+      expect(quote.rangePosition).toBeNull();
+      expect(quote.distanceToTarget).toBeNull();
+    });
+  });
+
+  describe('addItem', () => {
+    test('stores the stock and adds it to the price schedule', async () => {
+      databaseManager.insert.mockResolvedValue(9);
+      databaseManager.getAll.mockReturnValue([{ symbol: 'INFY' }, { symbol: 'TCS' }]);
+
+      const id = await watchlistService.addItem(1, 2, {
+        symbol: 'infy', companyName: 'Infosys Ltd', scripCode: 500209, targetPrice: '1400', week52High: '1900', week52Low: 0
+      });
+
+      expect(id).toBe(9);
+      expect(databaseManager.insert.mock.calls[0][1].slice(0, 9)).toEqual([
+        2, 'INFY', 'Infosys Ltd', '500209', null, 1400, null, 1900, null
+      ]);
+      expect(priceManager.watchSymbols).toHaveBeenCalledWith('watchlists', ['INFY', 'TCS']);
+    });
+
+    test('rejects watchlists the user does not own', async () => {
+      databaseManager.getOne.mockReturnValue(undefined);
+
+      await expect(watchlistService.addItem(1, 7, { symbol: 'INFY' })).rejects.toThrow('Watchlist 7 not found');
+      expect(databaseManager.insert).not.toHaveBeenCalled();
+    });
+
+    test('reports a stock already on the watchlist', async () => {
+      databaseManager.insert.mockRejectedValue(new Error('UNIQUE constraint failed: watchlist_items.watchlist_id'));
+
+      await expect(watchlistService.addItem(1, 2, { symbol: 'INFY' })).rejects.toThrow('INFY is already on this watchlist');
+    });
+
+    test('rejects a target price that is not positive', async () => {
+      await expect(watchlistService.addItem(1, 2, { symbol: 'INFY', targetPrice: -5 }))
+        .rejects.toThrow('Target price must be greater than 0');
+    });
+  });
+
+  describe('refreshWatchlist', () => {
+    test('updates quotes and only refreshes ranges not refreshed today', async () => {
+      const today = toDateKey(new Date());
+      databaseManager.getAll.mockImplementation((query) => (
+        query.includes('range_updated_at FROM')
+          ? [{ id: 5, symbol: 'INFY', range_updated_at: '2024-06-01' }, { id: 6, symbol: 'TCS', range_updated_at: today }]
+          : []
+      ));
+      priceHistoryService.getRange.mockReturnValue({ high: 1732.5, low: 1398.1, days: 248 });
+
+      const result = await watchlistService.refreshWatchlist(1, 2);
+
+      expect(priceManager.updatePrices).toHaveBeenCalledWith(['INFY', 'TCS']);
+      expect(priceHistoryService.fillFromBreeze).toHaveBeenCalledTimes(1);
+      expect(priceHistoryService.fillFromBreeze).toHaveBeenCalledWith('INFY');
+      expect(priceHistoryService.getRange.mock.calls[0][0]).toBe('INFY');
+      expect(priceHistoryService.getRange.mock.calls[0][2]).toBe(today);
+      expect(databaseManager.update.mock.calls[0][1].slice(0, 3)).toEqual([1732.5, 1398.1, today]);
+      expect(result.failedRanges).toEqual([]);
+    });
+
+    test('uses the stored history when the download fails', async () => {
+      databaseManager.getAll.mockImplementation((query) => (
+        query.includes('range_updated_at FROM') ? [{ id: 5, symbol: 'INFY', range_updated_at: null }] : []
+      ));
+      priceHistoryService.fillFromBreeze.mockRejectedValue(new Error('No data'));
+      priceHistoryService.getRange.mockReturnValue({ high: 1700, low: 1420, days: 120 });
+
+      const result = await watchlistService.refreshWatchlist(1, 2);
+
+      expect(result.failedRanges).toEqual([]);
+      expect(databaseManager.update.mock.calls[0][1].slice(0, 2)).toEqual([1700, 1420]);
+    });
+
+    test('collects stocks without price history for the year', async () => {
+      databaseManager.getAll.mockImplementation((query) => (
+        query.includes('range_updated_at FROM') ? [{ id: 5, symbol: 'INFY', range_updated_at: null }] : []
+      ));
+      priceHistoryService.fillFromBreeze.mockRejectedValue(new Error('No data'));
+      priceHistoryService.getRange.mockReturnValue({ high: null, low: null, days: 0 });
+
+      const result = await watchlistService.refreshWatchlist(1, 2);
+
+      expect(result.failedRanges).toEqual(['INFY']);
+      expect(databaseManager.update).not.toHaveBeenCalled();
+    });
+
+    test('requires a Breeze connection', async () => {
+      breezeClient.getStatus.mockReturnValue({ connected: false });
+
+      await expect(watchlistService.refreshWatchlist(1, 2)).rejects.toThrow('Breeze API not initialized');
+    });
+  });
+});
@@ -3,11 +3,17 @@ const databaseManager = require('../database/index');
 const stockManager = require('../stocks/stockManager');
 const FIFOCalculator = require('../../utils/calculations/fifoCalculator');
 const CapitalGainsCalculator = require('../../utils/calculations/capitalGainsCalculator');
+const { getTaxRulesForDate, applyGrandfathering } = require('../../utils/calculations/taxRules');
+const grandfatheredFmvService = require('../services/grandfatheredFmvService');
+const portfolioService = require('../services/portfolioService');
+const TransactionService = require('../services/transactionService');
+const { buildOpenLots } = require('../../utils/calculations/corporateActions');
 const { EventEmitter } = require('events');
 
 class TransactionManager extends EventEmitter {
   constructor() {
     super();
+    this.transactionService = new TransactionService(databaseManager);
   }
 
   /**
@@ -26,26 +32,35 @@ class TransactionManager extends EventEmitter {
 
   /**
    * Add a buy transaction
+   * @param {Object} options - { charges, stt, portfolioId, deferUpdate } where
+   *   charges are the deductible charges, stt the securities transaction tax
+   *   paid (kept out of the FIFO cost and proceeds), portfolioId defaults to
+   *   the user's default portfolio and deferUpdate skips the portfolio update
+   *   event so a batch can emit it once at the end
    */
-  async addBuyTransaction(userId, stockId, quantity, price, transactionDate, notes = null) {
+  async addBuyTransaction(userId, stockId, quantity, price, transactionDate, notes = null, options = {}) {
     try {
       // Validate inputs
       this.validateTransaction('buy', quantity, price, transactionDate);
 
       // Verify stock exists
       const stock = stockManager.getStockById(stockId);
+      const portfolioId = portfolioService.resolvePortfolioId(userId, options.portfolioId);
 
       // Create transaction
       const transactionId = await databaseManager.insert(
         `INSERT INTO transactions 
-         (user_id, stock_id, transaction_type, quantity, price, transaction_date, notes, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+         (user_id, portfolio_id, stock_id, transaction_type, quantity, price, charges, stt, transaction_date, notes, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           userId,
+          portfolioId,
           stockId,
           'BUY',
           quantity,
           price,
+          options.charges || 0,
+          options.stt || 0,
           transactionDate,
           notes,
           new Date().toISOString()
@@ -55,7 +70,9 @@ class TransactionManager extends EventEmitter {
       console.log(`Buy transaction created: ${stock.symbol} x${quantity} @ ₹${price}`);
 
       // Trigger portfolio recalculation
-      this.emitPortfolioUpdate(userId);
+      if (!options.deferUpdate) {
+        this.emitPortfolioUpdate(userId);
+      }
 
       return {
         id: transactionId,
@@ -63,6 +80,9 @@ class TransactionManager extends EventEmitter {
         symbol: stock.symbol,
         quantity,
         price,
+        charges: options.charges || 0,
+        stt: options.stt || 0,
+        portfolioId,
         amount: quantity * price,
         transactionDate,
         createdAt: new Date().toISOString()
@@ -75,8 +95,14 @@ class TransactionManager extends EventEmitter {
 
   /**
    * Add a sell transaction with FIFO calculation
+   * Only lots bought in the same portfolio are matched
+   * @param {Object} options - { charges, stt, portfolioId, deferUpdate } where
+   *   charges are the deductible charges, stt the securities transaction tax
+   *   paid (kept out of the FIFO cost and proceeds), portfolioId defaults to
+   *   the user's default portfolio and deferUpdate skips the portfolio update
+   *   event so a batch can emit it once at the end
    */
-  async addSellTransaction(userId, stockId, quantity, price, transactionDate, notes = null) {
+  async addSellTransaction(userId, stockId, quantity, price, transactionDate, notes = null, options = {}) {
     try {
       // Validate inputs
       this.validateTransaction('sell', quantity, price, transactionDate);
@@ -84,27 +110,31 @@ class TransactionManager extends EventEmitter {
       // Verify stock exists
       const stock = stockManager.getStockById(stockId);
 
-      // Get buy lots for FIFO calculation
-      const buyLots = this.getBuyLots(userId, stockId);
+      // Get buy lots for FIFO calculation, in the share units of the sell date
+      const portfolioId = portfolioService.resolvePortfolioId(userId, options.portfolioId);
+      const buyLots = this.getBuyLots(userId, stockId, transactionDate, portfolioId);
 
       if (buyLots.length === 0) {
         throw new Error(`No buy lots available for ${stock.symbol}`);
       }
 
       // Calculate FIFO
-      const fifoResult = FIFOCalculator.calculateFIFO(buyLots, quantity, price, transactionDate);
+      const fifoResult = FIFOCalculator.calculateFIFO(buyLots, quantity, price, transactionDate, options.charges || 0);
 
       // Create sell transaction
       const transactionId = await databaseManager.insert(
         `INSERT INTO transactions 
-         (user_id, stock_id, transaction_type, quantity, price, transaction_date, notes, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+         (user_id, portfolio_id, stock_id, transaction_type, quantity, price, charges, stt, transaction_date, notes, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           userId,
+          portfolioId,
           stockId,
           'SELL',
           quantity,
           price,
+          options.charges || 0,
+          options.stt || 0,
           transactionDate,
           notes,
           new Date().toISOString()
@@ -118,14 +148,17 @@ class TransactionManager extends EventEmitter {
           stockId,
           transactionId,
           lot,
-          stock.symbol
+          stock.symbol,
+          portfolioId
         );
       }
 
       console.log(`Sell transaction created: ${stock.symbol} x${quantity} @ ₹${price}`);
 
       // Trigger portfolio recalculation
-      this.emitPortfolioUpdate(userId);
+      if (!options.deferUpdate) {
+        this.emitPortfolioUpdate(userId);
+      }
 
       return {
         id: transactionId,
@@ -133,6 +166,9 @@ class TransactionManager extends EventEmitter {
         symbol: stock.symbol,
         quantity,
         price,
+        charges: options.charges || 0,
+        stt: options.stt || 0,
+        portfolioId,
         amount: quantity * price,
         transactionDate,
         fifo: fifoResult,
@@ -145,57 +181,96 @@ class TransactionManager extends EventEmitter {
   }
 
   /**
-   * Get buy lots for a stock
+   * Get open buy lots for a stock
+   * Lots are adjusted for splits, consolidations, bonus issues and demergers;
+   * bonus shares are separate nil-cost lots acquired on the ex-date, and
+   * demerged shares carry part of the parent's cost and its acquisition date
+   * @param {number} userId - The user ID
+   * @param {number} stockId - The stock ID
+   * @param {string|Date|null} asOfDate - Restate lots to this date's share units
+   * @param {number|null} portfolioId - Portfolio whose lots to build; lots are
+   *   only ever matched within a portfolio, so pass it when selling
+   * @returns {Array} - [{ id, corporateActionId, date, price, chargePerShare, quantity, availableQuantity }]
    */
-  getBuyLots(userId, stockId) {
+  getBuyLots(userId, stockId, asOfDate = null, portfolioId = null) {
     try {
-      const buyTransactions = databaseManager.getAll(
-        `SELECT id, quantity, price, transaction_date as date
-         FROM transactions 
-         WHERE user_id = ? AND stock_id = ? AND transaction_type = 'BUY'
-         ORDER BY transaction_date ASC`,
-        [userId, stockId]
-      );
+      if (!portfolioId) {
+        return portfolioService.getPortfolioIds(userId)
+          .flatMap(id => this.getBuyLots(userId, stockId, asOfDate, id));
+      }
 
-      // Calculate available quantity for each lot
-      const lots = [];
+      return buildOpenLots({
+        ...this.transactionService.loadLotHistory(userId, stockId, null, null, portfolioId),
+        asOf: asOfDate
+      });
+    } catch (error) {
+      console.error('Failed to get buy lots:', error);
+      throw error;
+    }
+  }
 
-      for (const tx of buyTransactions) {
-        // Get quantity already sold from this lot
-        const soldResult = databaseManager.getOne(
-          `SELECT COALESCE(SUM(quantity), 0) as soldQuantity
-           FROM realized_gains
-           WHERE buy_transaction_id = ?`,
-          [tx.id]
-        );
+  /**
+   * Get the lots open just before a date, in the share units of that time
+   * @param {number} userId - The user ID
+   * @param {number} stockId - The stock ID
+   * @param {string} date - Date (YYYY-MM-DD); events on it are left out
+   * @param {number|null} portfolioId - Portfolio to look at, or all of them
+   * @returns {Array} - Open lots, as from buildOpenLots
+   */
+  getLotsBefore(userId, stockId, date, portfolioId = null) {
+    try {
+      if (!portfolioId) {
+        return portfolioService.getPortfolioIds(userId)
+          .flatMap(id => this.getLotsBefore(userId, stockId, date, id));
+      }
 
-        const availableQuantity = tx.quantity - soldResult.soldQuantity;
+      return buildOpenLots(this.transactionService.loadLotHistory(userId, stockId, null, date, portfolioId));
+    } catch (error) {
+      console.error('Failed to get lots before date:', error);
+      throw error;
+    }
+  }
 
-        if (availableQuantity > 0) {
-          lots.push({
-            id: tx.id,
-            date: tx.date,
-            price: tx.price,
-            quantity: tx.quantity,
-            availableQuantity
-          });
-        }
+  /**
+   * Get the number of shares held on a record date
+   * Trades settle T+1, so only trades before the record date count
+   * @param {number} userId - The user ID
+   * @param {number} stockId - The stock ID
+   * @param {string} recordDate - Record date (YYYY-MM-DD)
+   * @param {number|null} portfolioId - Portfolio to count, or all of them
+   * @returns {number} - Shares held, in the share units of the record date
+   */
+  getQuantityHeldOn(userId, stockId, recordDate, portfolioId = null) {
+    try {
+      if (!portfolioId) {
+        return portfolioService.getPortfolioIds(userId)
+          .reduce((sum, id) => sum + this.getQuantityHeldOn(userId, stockId, recordDate, id), 0);
       }
 
-      return lots;
+      const history = this.transactionService.loadLotHistory(userId, stockId, null, null, portfolioId);
+
+      return buildOpenLots({
+        buys: history.buys.filter(buy => buy.date < recordDate),
+        consumptions: history.consumptions.filter(consumption => consumption.sellDate < recordDate),
+        actions: history.actions.filter(action => action.exDate <= recordDate)
+      })
+        .reduce((sum, lot) => sum + lot.availableQuantity, 0);
     } catch (error) {
-      console.error('Failed to get buy lots:', error);
+      console.error('Failed to get quantity held:', error);
       throw error;
     }
   }
 
   /**
    * Create realized gain record
+   * LTCG on shares bought on or before 31-Jan-2018 uses the grandfathered cost
    */
-  async createRealizedGain(userId, stockId, sellTransactionId, lot, symbol) {
+  async createRealizedGain(userId, stockId, sellTransactionId, lot, symbol, portfolioId = null) {
     try {
-      const gainLoss = lot.gainLoss;
-      const taxRate = lot.classification === 'LTCG' ? 0.10 : 0.20;
+      const taxLot = applyGrandfathering(lot, grandfatheredFmvService.getFmvForStock(stockId));
+      const gainLoss = taxLot.gainLoss;
+      const rules = getTaxRulesForDate(lot.sellDate);
+      const taxRate = lot.classification === 'LTCG' ? rules.ltcgRate : rules.stcgRate;
       const estimatedTax = Math.max(0, gainLoss) * taxRate;
       
       // Calculate financial year from sell date
@@ -206,14 +281,17 @@ class TransactionManager extends EventEmitter {
 
       await databaseManager.insert(
         `INSERT INTO realized_gains 
-         (user_id, buy_transaction_id, sell_transaction_id, symbol,
+         (user_id, portfolio_id, buy_transaction_id, corporate_action_id, sell_transaction_id, symbol,
           quantity, buy_price, sell_price, buy_date, sell_date, 
           holding_period, gain_amount, gain_type, tax_rate, 
-          financial_year, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          financial_year, fmv_31jan2018, grandfathered_cost,
+          buy_charges, transfer_expenses, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           userId,
+          portfolioId,
           lot.buyTransactionId, // Use the buy transaction ID from FIFO
+          lot.corporateActionId || null, // Set when a bonus lot was matched
           sellTransactionId,
           symbol,
           lot.quantity,
@@ -226,6 +304,10 @@ class TransactionManager extends EventEmitter {
           lot.classification,
           taxRate,
           fy,
+          taxLot.fmv,
+          taxLot.fmv !== null ? taxLot.taxCostPrice : null,
+          lot.buyCharges || 0,
+          lot.sellCharges || 0,
           new Date().toISOString()
         ]
       );
@@ -239,17 +321,25 @@ class TransactionManager extends EventEmitter {
 
   /**
    * Get all transactions for user
+   * @param {Object} filters - { type, stockId, portfolioId, startDate, endDate }
    */
   getTransactions(userId, filters = {}) {
     try {
-      let query = `SELECT t.id, t.user_id, t.stock_id, t.transaction_type as type, 
+      let query = `SELECT t.id, t.user_id, t.portfolio_id, t.stock_id, t.transaction_type as type, 
                    t.quantity, t.price, t.charges, t.transaction_date, t.notes, 
-                   t.created_at, t.updated_at, s.symbol, s.company_name 
+                   t.created_at, t.updated_at, s.symbol, s.company_name,
+                   p.name as portfolio_name
                    FROM transactions t
                    JOIN stocks s ON t.stock_id = s.id
+                   LEFT JOIN portfolios p ON t.portfolio_id = p.id
                    WHERE t.user_id = ?`;
       const params = [userId];
 
+      if (filters.portfolioId) {
+        query += ' AND t.portfolio_id = ?';
+        params.push(filters.portfolioId);
+      }
+
       if (filters.type) {
         query += ' AND t.transaction_type = ?';
         params.push(filters.type.toUpperCase());
@@ -286,7 +376,7 @@ class TransactionManager extends EventEmitter {
   getTransactionById(transactionId) {
     try {
       const transaction = databaseManager.getOne(
-        `SELECT t.id, t.user_id, t.stock_id, t.transaction_type as type, 
+        `SELECT t.id, t.user_id, t.portfolio_id, t.stock_id, t.transaction_type as type, 
          t.quantity, t.price, t.charges, t.transaction_date, t.notes, 
          t.created_at, t.updated_at, s.symbol, s.company_name 
          FROM transactions t
@@ -317,7 +407,7 @@ class TransactionManager extends EventEmitter {
         throw new Error('Cannot modify sell transactions (affects FIFO calculations)');
       }
 
-      const allowedFields = ['quantity', 'price', 'notes'];
+      const allowedFields = ['quantity', 'price', 'charges', 'stt', 'notes'];
       const updateFields = [];
       const updateValues = [];
 
@@ -429,24 +519,49 @@ class TransactionManager extends EventEmitter {
 
   /**
    * Get portfolio summary
+   * Quantity and average cost come from the open FIFO lots, so they reflect
+   * corporate actions; the cost includes buy charges. Companies demerged out of a holding are included even
+   * without transactions of their own.
+   * @param {number} userId - The user ID
+   * @param {number|null} portfolioId - One portfolio, or null for all of the
+   *   user's portfolios combined
    */
-  getPortfolioSummary(userId) {
+  getPortfolioSummary(userId, portfolioId = null) {
     try {
-      const holdings = databaseManager.getAll(
-        `SELECT s.id, s.symbol, s.company_name as name, s.sector,
-                SUM(CASE WHEN t.transaction_type = 'BUY' THEN t.quantity ELSE -t.quantity END) as quantity,
-                AVG(CASE WHEN t.transaction_type = 'BUY' THEN t.price ELSE NULL END) as avgCost
-         FROM transactions t
-         JOIN stocks s ON t.stock_id = s.id
-         WHERE t.user_id = ?
-         GROUP BY s.id, s.symbol, s.company_name, s.sector
-         HAVING quantity > 0`,
-        [userId]
+      const stocks = databaseManager.getAll(
+        `WITH RECURSIVE held(stock_id) AS (
+           SELECT stock_id FROM transactions WHERE user_id = ? ${portfolioId ? 'AND portfolio_id = ?' : ''}
+           UNION
+           SELECT ca.resulting_stock_id
+           FROM corporate_actions ca
+           JOIN held h ON ca.stock_id = h.stock_id
+           WHERE ca.action_type = 'DEMERGER'
+         )
+         SELECT s.id, s.symbol, s.company_name as name, s.sector
+         FROM held h
+         JOIN stocks s ON h.stock_id = s.id`,
+        portfolioId ? [userId, portfolioId] : [userId]
       );
 
+      const holdings = [];
       let totalInvestment = 0;
-      for (const holding of holdings) {
-        totalInvestment += holding.quantity * holding.avgCost;
+
+      for (const stock of stocks) {
+        const lots = this.getBuyLots(userId, stock.id, null, portfolioId);
+        const quantity = lots.reduce((sum, lot) => sum + lot.availableQuantity, 0);
+
+        if (quantity <= 0) {
+          continue;
+        }
+
+        const cost = lots.reduce((sum, lot) => sum + lot.availableQuantity * (lot.price + (lot.chargePerShare || 0)), 0);
+
+        holdings.push({
+          ...stock,
+          quantity,
+          avgCost: cost / quantity
+        });
+        totalInvestment += cost;
       }
 
       return {
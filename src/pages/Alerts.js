@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../context/SessionContext';
+import DateDisplay from '../components/Common/DateDisplay';
+import {
+  getAlerts,
+  createAlert,
+  setAlertActive,
+  deleteAlert,
+  getAlertHistory,
+  markAlertHistoryRead,
+  clearAlertHistory,
+  getNotificationsEnabled
+} from '../utils/api/alertAPI';
+import './Alerts.css';
+
+const ALERT_TYPE_LABELS = {
+  PRICE_ABOVE: 'Price rises above',
+  PRICE_BELOW: 'Price falls below',
+  DAY_MOVE: 'Day move of at least',
+  HOLDING_GAIN: 'Holding gain of at least',
+  HOLDING_LOSS: 'Holding loss of at least',
+  LTCG_ELIGIBLE: 'Lot turns long-term'
+};
+
+const emptyAlert = () => ({
+  alertType: 'PRICE_ABOVE',
+  symbol: '',
+  threshold: '',
+  notes: ''
+});
+
+/**
+ * Describe an alert's condition
+ */
+const describeCondition = (alert) => {
+  if (alert.alert_type === 'LTCG_ELIGIBLE') {
+    return ALERT_TYPE_LABELS.LTCG_ELIGIBLE;
+  }
+
+  const value = alert.alert_type.startsWith('PRICE_') ? `₹${alert.threshold}` : `${alert.threshold}%`;
+  return `${ALERT_TYPE_LABELS[alert.alert_type]} ${value}`;
+};
+
+/**
+ * Alerts Page
+ * Price alerts checked on every price update, delivered as desktop
+ * notifications and kept in an in-app history
+ */
+const Alerts = () => {
+  const { sessionToken } = useSession();
+  const [alerts, setAlerts] = useState([]);
+  const [history, setHistory] = useState({ entries: [], unread: 0 });
+  const [notificationsEnabled, setNotificationsEnabled] = useState(true);
+  const [form, setForm] = useState(emptyAlert);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isLongTerm = form.alertType === 'LTCG_ELIGIBLE';
+  const isPrice = form.alertType.startsWith('PRICE_');
+
+  const loadAlerts = async () => {
+    try {
+      const [alertData, historyData, enabled] = await Promise.all([
+        getAlerts(sessionToken),
+        getAlertHistory(sessionToken),
+        getNotificationsEnabled(sessionToken)
+      ]);
+      setAlerts(alertData || []);
+      setHistory(historyData);
+      setNotificationsEnabled(enabled);
+    } catch (err) {
+      setError(err.message || 'Failed to load alerts');
+    }
+  };
+
+  useEffect(() => {
+    if (!sessionToken) {
+      return undefined;
+    }
+
+    loadAlerts();
+
+    if (!window.electronAPI || !window.electronAPI.onAlertTriggered) {
+      return undefined;
+    }
+
+    window.electronAPI.onAlertTriggered(() => loadAlerts());
+
+    return () => {
+      window.electronAPI.removeAllListeners('alert-triggered');
+    };
+  }, [sessionToken]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setIsLoading(true);
+      setMessage(null);
+      setError(null);
+      await action();
+      await loadAlerts();
+      if (successMessage) {
+        setMessage(successMessage);
+      }
+    } catch (err) {
+      setError(err.message || 'Alert update failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+
+    runAction(async () => {
+      await createAlert(sessionToken, {
+        alertType: form.alertType,
+        symbol: form.symbol.trim() || null,
+        threshold: isLongTerm ? null : parseFloat(form.threshold),
+        notes: form.notes.trim() || null
+      });
+      setForm(emptyAlert());
+    }, '✓ Alert created');
+  };
+
+  const handleToggle = (alert) => {
+    runAction(() => setAlertActive(sessionToken, alert.id, !alert.is_active));
+  };
+
+  const handleDelete = (alert) => {
+    if (!window.confirm(`Delete the alert "${describeCondition(alert)}"${alert.symbol ? ` for ${alert.symbol}` : ''}?`)) {
+      return;
+    }
+
+    runAction(() => deleteAlert(sessionToken, alert.id));
+  };
+
+  const handleClearHistory = () => {
+    if (!window.confirm('Delete every alert in the history?')) {
+      return;
+    }
+
+    runAction(() => clearAlertHistory(sessionToken));
+  };
+
+  return (
+    <div className="alerts-page">
+      <div className="page-header">
+        <h1>Price Alerts</h1>
+        <p>Get notified when prices, day moves or holding gains cross your limits, and when lots turn long-term</p>
+      </div>
+
+      {!notificationsEnabled && (
+        <div className="alerts-message warning">
+          Desktop notifications are off. Alerts are still recorded below; turn notifications on under
+          Settings → Application.
+        </div>
+      )}
+
+      {message && <div className="alerts-message success">{message}</div>}
+      {error && <div className="alerts-message error">{error}</div>}
+
+      <div className="alerts-card">
+        <h2>New Alert</h2>
+        <form className="alerts-form" onSubmit={handleCreate}>
+          <select
+            value={form.alertType}
+            onChange={(e) => handleChange('alertType', e.target.value)}
+            disabled={isLoading}
+            aria-label="Alert type"
+          >
+            {Object.entries(ALERT_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder={isLongTerm ? 'Stock (blank for all holdings)' : 'Stock symbol'}
+            value={form.symbol}
+            onChange={(e) => handleChange('symbol', e.target.value.toUpperCase())}
+            disabled={isLoading}
+          />
+          {!isLongTerm && (
+            <input
+              type="number"
+              step="0.01"
+              min="0.01"
+              placeholder={isPrice ? 'Price (₹)' : 'Percent (%)'}
+              value={form.threshold}
+              onChange={(e) => handleChange('threshold', e.target.value)}
+              disabled={isLoading}
+            />
+          )}
+          <input
+            type="text"
+            placeholder="Notes (optional)"
+            value={form.notes}
+            onChange={(e) => handleChange('notes', e.target.value)}
+            disabled={isLoading}
+          />
+          <button
+            type="submit"
+            className="alerts-btn primary"
+            disabled={isLoading || (!isLongTerm && (!form.symbol.trim() || !form.threshold))}
+          >
+            + Add Alert
+          </button>
+        </form>
+
+        {alerts.length === 0 ? (
+          <p className="alerts-note">No alerts yet.</p>
+        ) : (
+          <table className="alerts-table">
+            <thead>
+              <tr>
+                <th>Stock</th>
+                <th>Condition</th>
+                <th>Status</th>
+                <th>Last Fired</th>
+                <th>Notes</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {alerts.map(alert => (
+                <tr key={alert.id} className={alert.is_active ? '' : 'alerts-inactive'}>
+                  <td>{alert.symbol || 'All holdings'}</td>
+                  <td>{describeCondition(alert)}</td>
+                  <td>
+                    <span className={`alerts-status ${!alert.is_active ? 'off' : alert.is_triggered ? 'triggered' : 'armed'}`}>
+                      {!alert.is_active ? 'Off' : alert.is_triggered ? 'Triggered' : 'Active'}
+                    </span>
+                  </td>
+                  <td>{alert.last_triggered_at ? <DateDisplay date={alert.last_triggered_at} /> : '-'}</td>
+                  <td>{alert.notes || ''}</td>
+                  <td className="alerts-actions">
+                    <button className="alerts-btn" onClick={() => handleToggle(alert)} disabled={isLoading}>
+                      {alert.is_active ? 'Pause' : 'Resume'}
+                    </button>
+                    <button className="alerts-btn" onClick={() => handleDelete(alert)} disabled={isLoading}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="alerts-card">
+        <div className="alerts-card-header">
+          <h2>
+            Alert History
+            {history.unread > 0 && <span className="alerts-unread">{history.unread} new</span>}
+          </h2>
+          <div className="alerts-actions">
+            <button
+              className="alerts-btn"
+              onClick={() => runAction(() => markAlertHistoryRead(sessionToken))}
+              disabled={isLoading || history.unread === 0}
+            >
+              Mark All Read
+            </button>
+            <button
+              className="alerts-btn"
+              onClick={handleClearHistory}
+              disabled={isLoading || history.entries.length === 0}
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+
+        {history.entries.length === 0 ? (
+          <p className="alerts-note">No alerts have fired yet.</p>
+        ) : (
+          <ul className="alerts-history">
+            {history.entries.map(entry => (
+              <li key={entry.id} className={entry.is_read ? '' : 'unread'}>
+                <div className="alerts-history-title">{entry.title}</div>
+                <div className="alerts-history-message">{entry.message}</div>
+                <div className="alerts-history-time">
+                  {new Date(entry.triggered_at).toLocaleString('en-IN')}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Alerts;
@@ -0,0 +1,314 @@
+import React, { useState, useEffect } from 'react';
+import { useSession } from '../context/SessionContext';
+import { usePortfolio } from '../context/PortfolioContext';
+import PortfolioSelector from '../components/Common/PortfolioSelector';
+import CurrencyDisplay from '../components/Common/CurrencyDisplay';
+import DateDisplay from '../components/Common/DateDisplay';
+import MutualFundForm from '../components/MutualFunds/MutualFundForm';
+import FundDetail from '../components/MutualFunds/FundDetail';
+import ConsolidatedHoldings from '../components/MutualFunds/ConsolidatedHoldings';
+import MutualFundGains from '../components/MutualFunds/MutualFundGains';
+import {
+  getMutualFundHoldings,
+  getUnclaimedMutualFunds,
+  claimMutualFunds,
+  releaseMutualFunds,
+  deleteMutualFund,
+  importMutualFundNavs
+} from '../utils/api/mutualFundAPI';
+import './MutualFunds.css';
+
+/**
+ * Mutual Funds Page
+ * Funds held by value or by units, their transactions and portfolio
+ * disclosures, the stocks held through them, and realised gains
+ */
+const MutualFunds = () => {
+  const { sessionToken } = useSession();
+  const { selectedPortfolioId } = usePortfolio();
+  const [activeTab, setActiveTab] = useState('funds');
+  const [funds, setFunds] = useState([]);
+  const [unclaimed, setUnclaimed] = useState([]);
+  const [claimIds, setClaimIds] = useState([]);
+  const [formFundId, setFormFundId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [detailFundId, setDetailFundId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadFunds = async () => {
+    try {
+      setFunds(await getMutualFundHoldings(sessionToken, selectedPortfolioId));
+      setUnclaimed(await getUnclaimedMutualFunds(sessionToken));
+    } catch (err) {
+      setError(err.message || 'Failed to load mutual funds');
+    }
+  };
+
+  useEffect(() => {
+    if (sessionToken) {
+      loadFunds();
+    }
+  }, [sessionToken, selectedPortfolioId]);
+
+  const runAction = async (action) => {
+    try {
+      setIsLoading(true);
+      setMessage(null);
+      setError(null);
+      const successMessage = await action();
+      if (successMessage) {
+        setMessage(successMessage);
+      }
+    } catch (err) {
+      setError(err.message || 'Mutual fund update failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleImportNavs = async () => {
+    const selection = await window.electronAPI.openFileDialog({
+      title: 'Import AMFI NAV File',
+      filters: [
+        { name: 'AMFI NAVAll', extensions: ['txt'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
+
+    if (selection.canceled || !selection.filePaths || selection.filePaths.length === 0) {
+      return;
+    }
+
+    runAction(async () => {
+      const result = await importMutualFundNavs(sessionToken, selection.filePaths[0]);
+      await loadFunds();
+      return `✓ Imported ${result.schemeCount} schemes with NAVs as on ${result.navDate || 'the file date'}; ` +
+        `${result.fundsValued} funds revalued${result.linked > 0 ? `, ${result.linked} linked by ISIN` : ''}`;
+    });
+  };
+
+  const toggleClaim = (fundId) => {
+    setClaimIds(prev => (prev.includes(fundId) ? prev.filter(id => id !== fundId) : [...prev, fundId]));
+  };
+
+  const handleClaim = () => {
+    runAction(async () => {
+      const claimed = await claimMutualFunds(sessionToken, claimIds, selectedPortfolioId);
+      setClaimIds([]);
+      await loadFunds();
+      return `✓ Claimed ${claimed} fund${claimed === 1 ? '' : 's'}`;
+    });
+  };
+
+  const handleRelease = (fund) => {
+    if (!window.confirm(`Release ${fund.schemeName} so another user can claim it?`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await releaseMutualFunds(sessionToken, [fund.id]);
+      if (detailFundId === fund.id) {
+        setDetailFundId(null);
+      }
+      await loadFunds();
+      return `✓ Released ${fund.schemeName}`;
+    });
+  };
+
+  const handleAdd = () => {
+    setFormFundId(null);
+    setShowForm(true);
+  };
+
+  const handleEdit = (fund) => {
+    setFormFundId(fund.id);
+    setShowForm(true);
+  };
+
+  const handleSaved = (savedMessage) => {
+    setShowForm(false);
+    setFormFundId(null);
+    setMessage(savedMessage);
+    setError(null);
+    loadFunds();
+  };
+
+  const handleDelete = (fund) => {
+    if (!window.confirm(`Delete ${fund.schemeName} with its allocations and transactions?`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await deleteMutualFund(sessionToken, fund.id);
+      if (detailFundId === fund.id) {
+        setDetailFundId(null);
+      }
+      await loadFunds();
+      return `✓ Deleted ${fund.schemeName}`;
+    });
+  };
+
+  const totalValue = funds.filter(fund => fund.units !== 0).reduce((sum, fund) => sum + fund.currentValue, 0);
+  const detailFund = funds.find(fund => fund.id === detailFundId) || null;
+
+  return (
+    <div className="mutual-funds-page">
+      <div className="page-header">
+        <h1>Mutual Funds</h1>
+        <p>Funds you hold, the stocks they own and the gains on redemptions</p>
+      </div>
+
+      <div className="mf-tabs">
+        <button className={`mf-tab ${activeTab === 'funds' ? 'active' : ''}`} onClick={() => setActiveTab('funds')}>
+          💼 Funds
+        </button>
+        <button className={`mf-tab ${activeTab === 'holdings' ? 'active' : ''}`} onClick={() => setActiveTab('holdings')}>
+          🧩 Consolidated Holdings
+        </button>
+        <button className={`mf-tab ${activeTab === 'gains' ? 'active' : ''}`} onClick={() => setActiveTab('gains')}>
+          🧾 Capital Gains
+        </button>
+      </div>
+
+      {activeTab === 'funds' && (
+        <>
+          <div className="mf-toolbar">
+            <PortfolioSelector />
+            <button className="mf-btn" onClick={handleImportNavs} disabled={isLoading}>
+              {isLoading ? 'Working...' : '📥 Import AMFI NAVs'}
+            </button>
+            <button className="mf-btn primary" onClick={handleAdd} disabled={isLoading}>
+              + Add Fund
+            </button>
+          </div>
+
+          {message && <div className="mf-message success">{message}</div>}
+          {error && <div className="mf-message error">{error}</div>}
+
+          {unclaimed.length > 0 && (
+            <div className="mf-message warning">
+              <p>
+                {unclaimed.length} fund{unclaimed.length === 1 ? ' was' : 's were'} recorded before accounts were
+                added and belong{unclaimed.length === 1 ? 's' : ''} to nobody yet. Select yours to move them into
+                {selectedPortfolioId ? ' the selected account' : ' your default account'}.
+              </p>
+              {unclaimed.map(fund => (
+                <label key={fund.id} className="mf-claim">
+                  <input
+                    type="checkbox"
+                    checked={claimIds.includes(fund.id)}
+                    onChange={() => toggleClaim(fund.id)}
+                  />
+                  {fund.scheme_name}
+                  {fund.folio_number && <span className="mf-meta"> · Folio {fund.folio_number}</span>}
+                  {' · '}<CurrencyDisplay value={fund.current_value} />
+                </label>
+              ))}
+              <button className="mf-btn small" onClick={handleClaim} disabled={isLoading || claimIds.length === 0}>
+                Claim Selected
+              </button>
+            </div>
+          )}
+
+          {showForm && (
+            <MutualFundForm
+              key={formFundId || 'new'}
+              fundId={formFundId}
+              portfolioId={selectedPortfolioId}
+              onSaved={handleSaved}
+              onCancel={() => setShowForm(false)}
+            />
+          )}
+
+          <div className="mf-card">
+            {funds.length === 0 ? (
+              <p className="mf-note">
+                No mutual funds yet. Add a fund by its AMFI scheme and purchases, or by its value
+                and stock allocations.
+              </p>
+            ) : (
+              <table className="mf-table">
+                <thead>
+                  <tr>
+                    <th>Scheme</th>
+                    <th className="numeric">Units</th>
+                    <th className="numeric">NAV</th>
+                    <th className="numeric">Invested</th>
+                    <th className="numeric">Current Value</th>
+                    <th className="numeric">Gain / Loss</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {funds.map(fund => (
+                    <tr key={fund.id} className={fund.id === detailFundId ? 'selected' : ''}>
+                      <td>
+                        <strong>{fund.schemeName}</strong>
+                        <div className="mf-meta">
+                          {[
+                            fund.schemeCode && `Scheme ${fund.schemeCode}`,
+                            fund.folioNumber && `Folio ${fund.folioNumber}`,
+                            fund.taxCategory && (fund.taxCategory === 'EQUITY' ? 'Equity' : 'Debt')
+                          ].filter(Boolean).join(' · ')}
+                        </div>
+                      </td>
+                      <td className="numeric">{fund.units !== null && fund.units !== undefined ? fund.units.toFixed(3) : '-'}</td>
+                      <td className="numeric">
+                        {fund.nav ? (
+                          <>
+                            <CurrencyDisplay value={fund.nav} decimals={4} />
+                            <div className="mf-meta"><DateDisplay date={fund.navDate} /></div>
+                          </>
+                        ) : '-'}
+                      </td>
+                      <td className="numeric">{fund.invested !== null ? <CurrencyDisplay value={fund.invested} /> : '-'}</td>
+                      <td className="numeric">
+                        {fund.units === 0 ? <span className="mf-meta">Redeemed</span> : <CurrencyDisplay value={fund.currentValue} />}
+                      </td>
+                      <td className="numeric">
+                        {fund.gainLoss !== null ? <CurrencyDisplay value={fund.gainLoss} showSign /> : '-'}
+                      </td>
+                      <td className="mf-actions">
+                        <button
+                          className="mf-btn small"
+                          onClick={() => setDetailFundId(fund.id === detailFundId ? null : fund.id)}
+                        >
+                          {fund.id === detailFundId ? 'Close' : 'Details'}
+                        </button>
+                        <button className="mf-btn small" onClick={() => handleEdit(fund)} disabled={isLoading}>Edit</button>
+                        {fund.claimed && (
+                          <button className="mf-btn small" onClick={() => handleRelease(fund)} disabled={isLoading}>Release</button>
+                        )}
+                        <button className="mf-btn small" onClick={() => handleDelete(fund)} disabled={isLoading}>Delete</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td colSpan="4">Total</td>
+                    <td className="numeric"><CurrencyDisplay value={totalValue} /></td>
+                    <td colSpan="2"></td>
+                  </tr>
+                </tfoot>
+              </table>
+            )}
+          </div>
+
+          {detailFund && (
+            <FundDetail key={detailFund.id} fund={detailFund} onChange={loadFunds} />
+          )}
+        </>
+      )}
+
+      {activeTab === 'holdings' && <ConsolidatedHoldings />}
+
+      {activeTab === 'gains' && <MutualFundGains portfolioId={selectedPortfolioId} />}
+    </div>
+  );
+};
+
+export default MutualFunds;
@@ -1,7 +1,13 @@
 import React, { useState } from 'react';
 import { useSession } from '../context/SessionContext';
+import { usePortfolio, portfolioArgs } from '../context/PortfolioContext';
+import PortfolioSelector from '../components/Common/PortfolioSelector';
 import PortfolioSummary from '../components/Portfolio/PortfolioSummary';
 import PortfolioAnalysis from '../components/Portfolio/PortfolioAnalysis';
+import PortfolioValueChart from '../components/Portfolio/PortfolioValueChart';
+import LevelBreaches from '../components/Portfolio/LevelBreaches';
+import FundOverlap from '../components/Portfolio/FundOverlap';
+import AllocationRules from '../components/Portfolio/AllocationRules';
 import './Portfolio.css';
 
 /**
@@ -10,9 +16,11 @@ import './Portfolio.css';
  */
 const Portfolio = () => {
   const { sessionToken } = useSession();
+  const { selectedPortfolioId } = usePortfolio();
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [refreshMessage, setRefreshMessage] = useState('');
   const [refreshTrigger, setRefreshTrigger] = useState(0);
+  const [activeView, setActiveView] = useState('overview');
 
   const handleRefreshPrices = async () => {
     try {
@@ -20,7 +28,7 @@ const Portfolio = () => {
       setRefreshMessage('');
 
       // Get the current portfolio to extract symbols
-      const portfolio = await window.electronAPI.getPortfolioWithGains(sessionToken);
+      const portfolio = await window.electronAPI.getPortfolioWithGains(sessionToken, ...portfolioArgs(selectedPortfolioId));
       
       if (!portfolio || !portfolio.holdings || portfolio.holdings.length === 0) {
         setRefreshMessage('No holdings found to refresh prices for');
@@ -80,6 +88,7 @@ const Portfolio = () => {
           <p>Real-time portfolio overview and performance metrics</p>
         </div>
         <div className="header-actions">
+          <PortfolioSelector />
           <button
             className={`refresh-btn ${isRefreshing ? 'refreshing' : ''}`}
             onClick={handleRefreshPrices}
@@ -103,10 +112,47 @@ const Portfolio = () => {
         </div>
       )}
 
-      <div className="portfolio-content">
-        <PortfolioSummary refreshTrigger={refreshTrigger} />
-        <PortfolioAnalysis refreshTrigger={refreshTrigger} />
+      <div className="portfolio-views">
+        <button
+          className={`portfolio-view-tab ${activeView === 'overview' ? 'active' : ''}`}
+          onClick={() => setActiveView('overview')}
+        >
+          📊 Overview
+        </button>
+        <button
+          className={`portfolio-view-tab ${activeView === 'overlap' ? 'active' : ''}`}
+          onClick={() => setActiveView('overlap')}
+        >
+          🔀 Fund Overlap
+        </button>
+        <button
+          className={`portfolio-view-tab ${activeView === 'rules' ? 'active' : ''}`}
+          onClick={() => setActiveView('rules')}
+        >
+          📏 Allocation Rules
+        </button>
       </div>
+
+      {activeView === 'overview' ? (
+        <div className="portfolio-content">
+          <LevelBreaches refreshTrigger={refreshTrigger} portfolioId={selectedPortfolioId} />
+          <PortfolioSummary
+            refreshTrigger={refreshTrigger}
+            portfolioId={selectedPortfolioId}
+            onLevelsChange={() => setRefreshTrigger(prev => prev + 1)}
+          />
+          <PortfolioValueChart refreshTrigger={refreshTrigger} portfolioId={selectedPortfolioId} />
+          <PortfolioAnalysis refreshTrigger={refreshTrigger} portfolioId={selectedPortfolioId} />
+        </div>
+      ) : activeView === 'overlap' ? (
+        <div className="portfolio-content">
+          <FundOverlap refreshTrigger={refreshTrigger} />
+        </div>
+      ) : (
+        <div className="portfolio-content">
+          <AllocationRules refreshTrigger={refreshTrigger} />
+        </div>
+      )}
     </div>
   );
 };
@@ -1,17 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { useSession } from '../context/SessionContext';
+import { usePortfolio } from '../context/PortfolioContext';
+import PortfolioSelector from '../components/Common/PortfolioSelector';
 import CapitalGainsReport from '../components/Reports/CapitalGainsReport';
+import GrandfatheredFmvManager from '../components/Reports/GrandfatheredFmvManager';
+import TaxLossHarvestingPlanner from '../components/Reports/TaxLossHarvestingPlanner';
+import DividendIncomeReport from '../components/Reports/DividendIncomeReport';
 import './Reports.css';
 
 /**
  * Reports Page
- * Main page for generating and viewing capital gains reports
+ * Main page for generating and viewing capital gains and income reports
  */
 const Reports = () => {
   const { sessionToken } = useSession();
+  const { portfolios, selectedPortfolioId } = usePortfolio();
   const [selectedYear, setSelectedYear] = useState(null);
   const [availableYears, setAvailableYears] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [reportVersion, setReportVersion] = useState(0);
+  const [activeTab, setActiveTab] = useState('capital-gains');
 
   useEffect(() => {
     initializeYears();
@@ -52,26 +60,84 @@ const Reports = () => {
           <div className="loading">Loading reports...</div>
         ) : (
           <>
-            {/* Year Selection */}
-            <div className="year-selector">
-              <label htmlFor="year-select">Select Financial Year:</label>
-              <select
-                id="year-select"
-                value={selectedYear}
-                onChange={(e) => setSelectedYear(e.target.value)}
+            {/* Tab Navigation */}
+            <div className="reports-tabs">
+              <button
+                className={`reports-tab ${activeTab === 'capital-gains' ? 'active' : ''}`}
+                onClick={() => setActiveTab('capital-gains')}
               >
-                {availableYears.map(year => (
-                  <option key={year.value} value={year.value}>
-                    {year.label}
-                  </option>
-                ))}
-              </select>
+                📋 Capital Gains
+              </button>
+              <button
+                className={`reports-tab ${activeTab === 'harvesting' ? 'active' : ''}`}
+                onClick={() => setActiveTab('harvesting')}
+              >
+                🌾 Tax-Loss Harvesting
+              </button>
+              <button
+                className={`reports-tab ${activeTab === 'income' ? 'active' : ''}`}
+                onClick={() => setActiveTab('income')}
+              >
+                💰 Other Income
+              </button>
             </div>
 
-            {/* Report */}
-            {selectedYear && (
-              <CapitalGainsReport
-                key={selectedYear}
+            {/* Year and Account Selection */}
+            {(activeTab !== 'harvesting' || portfolios.length > 1) && (
+              <div className="year-selector">
+                {activeTab !== 'harvesting' && (
+                  <>
+                    <label htmlFor="year-select">Select Financial Year:</label>
+                    <select
+                      id="year-select"
+                      value={selectedYear}
+                      onChange={(e) => setSelectedYear(e.target.value)}
+                    >
+                      {availableYears.map(year => (
+                        <option key={year.value} value={year.value}>
+                          {year.label}
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                )}
+                <PortfolioSelector />
+              </div>
+            )}
+
+            {activeTab === 'capital-gains' && (
+              <>
+                {/* Report */}
+                {selectedYear && (
+                  <CapitalGainsReport
+                    key={`${selectedYear}-${reportVersion}`}
+                    financialYear={selectedYear}
+                    sessionToken={sessionToken}
+                    portfolioId={selectedPortfolioId}
+                  />
+                )}
+
+                {/* Grandfathering FMV */}
+                <GrandfatheredFmvManager
+                  sessionToken={sessionToken}
+                  onChange={() => setReportVersion(version => version + 1)}
+                />
+              </>
+            )}
+
+            {activeTab === 'harvesting' && (
+              // A sale only uses lots in its own account, so plans are per account
+              portfolios.length > 1 && !selectedPortfolioId ? (
+                <div className="reports-note">
+                  Select an account to plan tax-loss harvesting.
+                </div>
+              ) : (
+                <TaxLossHarvestingPlanner sessionToken={sessionToken} portfolioId={selectedPortfolioId} />
+              )
+            )}
+
+            {activeTab === 'income' && selectedYear && (
+              <DividendIncomeReport
                 financialYear={selectedYear}
                 sessionToken={sessionToken}
               />
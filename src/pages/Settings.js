@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import { useSession } from '../context/SessionContext';
 import APIConfiguration from '../components/Settings/APIConfiguration';
 import ApplicationSettings from '../components/Settings/ApplicationSettings';
+import BrokeragePlans from '../components/Settings/BrokeragePlans';
+import PortfolioAccounts from '../components/Settings/PortfolioAccounts';
 import './Settings.css';
 
 /**
@@ -36,6 +38,20 @@ const Settings = () => {
             <span className="tab-icon">⚙️</span>
             <span className="tab-label">Application</span>
           </button>
+          <button
+            className={`tab-button ${activeTab === 'charges' ? 'active' : ''}`}
+            onClick={() => setActiveTab('charges')}
+          >
+            <span className="tab-icon">🧾</span>
+            <span className="tab-label">Brokerage & Charges</span>
+          </button>
+          <button
+            className={`tab-button ${activeTab === 'accounts' ? 'active' : ''}`}
+            onClick={() => setActiveTab('accounts')}
+          >
+            <span className="tab-icon">🗂️</span>
+            <span className="tab-label">Accounts</span>
+          </button>
         </div>
 
         {/* Tab Content */}
@@ -46,6 +62,12 @@ const Settings = () => {
           {activeTab === 'app' && (
             <ApplicationSettings sessionToken={sessionToken} />
           )}
+          {activeTab === 'charges' && (
+            <BrokeragePlans sessionToken={sessionToken} />
+          )}
+          {activeTab === 'accounts' && (
+            <PortfolioAccounts sessionToken={sessionToken} />
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ComposedChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { useSession } from '../context/SessionContext';
+import { usePortfolio } from '../context/PortfolioContext';
+import CurrencyDisplay from '../components/Common/CurrencyDisplay';
+import PercentageDisplay from '../components/Common/PercentageDisplay';
+import DateDisplay from '../components/Common/DateDisplay';
+import { getStockChart, fillPriceHistory, importBhavcopy } from '../utils/api/priceHistoryAPI';
+import './StockDetail.css';
+
+// Chart ranges in months, in display order; null shows every stored day
+const RANGES = [
+  { key: '3M', label: '3M', months: 3 },
+  { key: '6M', label: '6M', months: 6 },
+  { key: '1Y', label: '1Y', months: 12 },
+  { key: '2Y', label: '2Y', months: 24 },
+  { key: 'ALL', label: 'All', months: null }
+];
+
+const CLOSE_COLOR = '#667eea';
+const BUY_COLOR = '#2e7d32';
+const SELL_COLOR = '#c62828';
+
+const formatPrice = (value) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(value);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: '2-digit'
+});
+
+/**
+ * First day of a range as a local date key
+ */
+const rangeStart = (range) => {
+  if (!range.months) {
+    return null;
+  }
+
+  const date = new Date();
+  date.setMonth(date.getMonth() - range.months);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Trade marker drawn on the close line: an upward triangle for buys and a
+ * downward one for sells
+ */
+const TradeMarker = ({ cx, cy, fill, direction }) => {
+  if (cx === undefined || cy === undefined) {
+    return null;
+  }
+
+  const points = direction === 'up'
+    ? `${cx},${cy - 7} ${cx - 6},${cy + 5} ${cx + 6},${cy + 5}`
+    : `${cx},${cy + 7} ${cx - 6},${cy - 5} ${cx + 6},${cy - 5}`;
+
+  return <polygon points={points} fill={fill} stroke="white" strokeWidth={1} />;
+};
+
+/**
+ * Tooltip with the day's prices and any trades made on it
+ */
+const ChartTooltip = ({ active, payload, label }) => {
+  if (!active || !payload || payload.length === 0) {
+    return null;
+  }
+
+  const day = payload[0].payload;
+
+  return (
+    <div className="stock-detail-tooltip">
+      <div className="stock-detail-tooltip-date">{formatDate(label)}</div>
+      {day.open !== null && day.high !== null && day.low !== null && (
+        <div>O {formatPrice(day.open)} · H {formatPrice(day.high)} · L {formatPrice(day.low)}</div>
+      )}
+      <div>Close {formatPrice(day.close)}</div>
+      {day.buyQuantity && (
+        <div className="buy">Bought {day.buyQuantity} @ {formatPrice(day.buyPrice)}</div>
+      )}
+      {day.sellQuantity && (
+        <div className="sell">Sold {day.sellQuantity} @ {formatPrice(day.sellPrice)}</div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Stock Detail Page
+ * Daily closes of one stock from the price history, with the user's buys
+ * and sells marked on the line. History is downloaded from Breeze or
+ * imported from BSE bhavcopy files.
+ */
+const StockDetail = () => {
+  const { symbol } = useParams();
+  const { sessionToken } = useSession();
+  const { selectedPortfolioId } = usePortfolio();
+  const [rangeKey, setRangeKey] = useState('1Y');
+  const [chart, setChart] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const range = RANGES.find(r => r.key === rangeKey);
+
+  const loadChart = async () => {
+    try {
+      setError(null);
+      setChart(await getStockChart(sessionToken, symbol, rangeStart(range), selectedPortfolioId));
+    } catch (err) {
+      setError(err.message || 'Failed to load the chart');
+    }
+  };
+
+  useEffect(() => {
+    if (sessionToken && symbol) {
+      loadChart();
+    }
+  }, [sessionToken, symbol, rangeKey, selectedPortfolioId]);
+
+  // Actions resolve to { message, error }; the error lists files that failed
+  const runAction = async (action) => {
+    try {
+      setIsLoading(true);
+      setMessage(null);
+      setError(null);
+      const outcome = await action();
+      await loadChart();
+      setMessage(outcome.message);
+      setError(outcome.error || null);
+    } catch (err) {
+      setError(err.message || 'Price history update failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFill = () => {
+    runAction(async () => {
+      const result = await fillPriceHistory(sessionToken, symbol);
+      return {
+        message: `✓ Downloaded ${result.saved} days from ${formatDate(result.fromDate)} to ${formatDate(result.toDate)}`
+      };
+    });
+  };
+
+  const handleImport = () => {
+    runAction(async () => {
+      const selection = await window.electronAPI.openFileDialog({
+        title: 'Import BSE Bhavcopy',
+        filters: [
+          { name: 'CSV Files', extensions: ['csv'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile', 'multiSelections']
+      });
+
+      if (selection.canceled || !selection.filePaths || selection.filePaths.length === 0) {
+        return { message: null };
+      }
+
+      const results = await importBhavcopy(sessionToken, selection.filePaths);
+      const failed = results.filter(r => r.error);
+      const saved = results.reduce((sum, r) => sum + (r.saved || 0), 0);
+
+      return {
+        message: `✓ Imported ${saved} prices from ${results.length - failed.length} of ${results.length} files`,
+        error: failed.length > 0 ? failed.map(r => `${r.fileName}: ${r.error}`).join('; ') : null
+      };
+    });
+  };
+
+  const series = chart ? chart.series : [];
+  const last = series.length > 0 ? series[series.length - 1] : null;
+  const first = series.length > 0 ? series[0] : null;
+  const closes = series.map(day => day.close);
+
+  return (
+    <div className="stock-detail-page">
+      <div className="page-header">
+        <Link to="/portfolio" className="stock-detail-back">← Portfolio</Link>
+        <h1>{symbol}</h1>
+        <p>{chart && chart.name ? chart.name : 'Daily prices with your buys and sells'}</p>
+      </div>
+
+      {message && <div className="stock-detail-message success">{message}</div>}
+      {error && <div className="stock-detail-message error">{error}</div>}
+
+      <div className="stock-detail-card">
+        <div className="stock-detail-toolbar">
+          <div className="stock-detail-ranges">
+            {RANGES.map(r => (
+              <button
+                key={r.key}
+                className={`stock-detail-btn ${rangeKey === r.key ? 'primary' : ''}`}
+                onClick={() => setRangeKey(r.key)}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <div className="stock-detail-actions">
+            <button
+              className="stock-detail-btn"
+              onClick={handleFill}
+              disabled={isLoading}
+              title="Download the days missing from the history from Breeze"
+            >
+              {isLoading ? 'Updating...' : '⬇ Update from Breeze'}
+            </button>
+            <button
+              className="stock-detail-btn"
+              onClick={handleImport}
+              disabled={isLoading}
+              title="Import BSE equity bhavcopy CSVs for the stocks you hold or watch"
+            >
+              📄 Import Bhavcopy
+            </button>
+          </div>
+        </div>
+
+        {last && (
+          <div className="stock-detail-stats">
+            <div>
+              <span className="stock-detail-label">Last Close</span>
+              <CurrencyDisplay value={last.close} decimals={2} />
+              <small><DateDisplay date={last.date} /></small>
+            </div>
+            <div>
+              <span className="stock-detail-label">Change ({range.label})</span>
+              <PercentageDisplay
+                value={((last.close - first.close) / first.close) * 100}
+                decimals={2}
+                showSign={true}
+              />
+            </div>
+            <div>
+              <span className="stock-detail-label">High</span>
+              <CurrencyDisplay value={Math.max(...closes)} decimals={2} />
+            </div>
+            <div>
+              <span className="stock-detail-label">Low</span>
+              <CurrencyDisplay value={Math.min(...closes)} decimals={2} />
+            </div>
+          </div>
+        )}
+
+        {series.length > 1 ? (
+          <div className="stock-detail-chart">
+            <ResponsiveContainer width="100%" height={360}>
+              <ComposedChart data={series} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" tickFormatter={formatDate} minTickGap={40} tick={{ fontSize: 12 }} />
+                <YAxis domain={['auto', 'auto']} tickFormatter={(value) => `₹${value}`} width={70} tick={{ fontSize: 12 }} />
+                <Tooltip content={<ChartTooltip />} />
+                <Legend verticalAlign="top" height={36} />
+                <Line
+                  type="monotone"
+                  dataKey="close"
+                  name="Close"
+                  stroke={CLOSE_COLOR}
+                  strokeWidth={2}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+                <Scatter
+                  dataKey="buyPrice"
+                  name="Buy"
+                  fill={BUY_COLOR}
+                  shape={(props) => <TradeMarker {...props} direction="up" />}
+                  isAnimationActive={false}
+                />
+                <Scatter
+                  dataKey="sellPrice"
+                  name="Sell"
+                  fill={SELL_COLOR}
+                  shape={(props) => <TradeMarker {...props} direction="down" />}
+                  isAnimationActive={false}
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <p className="stock-detail-note">
+            No price history for {symbol} in this range yet. Update from Breeze, or import
+            BSE bhavcopy files for the days you need.
+          </p>
+        )}
+
+        {chart && chart.outsideRange > 0 && (
+          <p className="stock-detail-note">
+            {chart.outsideRange} of {chart.trades.length} trades fall outside the charted days and are not marked.
+          </p>
+        )}
+      </div>
+
+      {chart && chart.trades.length > 0 && (
+        <div className="stock-detail-card">
+          <h2>Your Trades</h2>
+          <table className="stock-detail-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Quantity</th>
+                <th>Price</th>
+              </tr>
+            </thead>
+            <tbody>
+              {chart.trades.map(trade => (
+                <tr key={trade.id}>
+                  <td><DateDisplay date={trade.date} /></td>
+                  <td className={trade.type === 'BUY' ? 'buy' : 'sell'}>{trade.type}</td>
+                  <td>{trade.quantity}</td>
+                  <td><CurrencyDisplay value={trade.price} decimals={2} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockDetail;
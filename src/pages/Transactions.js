@@ -1,6 +1,13 @@
 import React, { useState } from 'react';
+import { usePortfolio } from '../context/PortfolioContext';
+import PortfolioSelector from '../components/Common/PortfolioSelector';
 import TransactionForm from '../components/Transactions/TransactionForm';
 import TransactionList from '../components/Transactions/TransactionList';
+import CashLedger from '../components/Transactions/CashLedger';
+import CorporateActionsManager from '../components/Transactions/CorporateActionsManager';
+import TradebookImport from '../components/Transactions/TradebookImport';
+import BrokerReconciliation from '../components/Transactions/BrokerReconciliation';
+import CasImport from '../components/Transactions/CasImport';
 import './Transactions.css';
 
 /**
@@ -8,7 +15,9 @@ import './Transactions.css';
  * Main page for transaction management
  */
 const Transactions = () => {
+  const { selectedPortfolioId } = usePortfolio();
   const [showForm, setShowForm] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   const [refreshKey, setRefreshKey] = useState(0);
 
@@ -19,6 +28,13 @@ const Transactions = () => {
     setTimeout(() => setSuccessMessage(''), 3000);
   };
 
+  const handleImportSuccess = (result) => {
+    setSuccessMessage(`Imported ${result.imported} transaction${result.imported === 1 ? '' : 's'} from the tradebook`);
+    setShowImport(false);
+    setRefreshKey(prev => prev + 1);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
   return (
     <div className="transactions-page">
       <div className="page-header">
@@ -34,24 +50,46 @@ const Transactions = () => {
       )}
 
       <div className="page-content">
-        {!showForm ? (
-          <div className="transactions-view">
-            <button
-              className="btn btn-primary add-transaction-btn"
-              onClick={() => setShowForm(true)}
-            >
-              + Add Transaction
-            </button>
-
-            <TransactionList key={refreshKey} />
-          </div>
-        ) : (
+        {showForm ? (
           <div className="form-view">
             <TransactionForm
               onSuccess={handleTransactionSuccess}
               onCancel={() => setShowForm(false)}
             />
           </div>
+        ) : showImport ? (
+          <TradebookImport
+            onSuccess={handleImportSuccess}
+            onCancel={() => setShowImport(false)}
+          />
+        ) : (
+          <div className="transactions-view">
+            <div className="transactions-actions">
+              <button
+                className="btn btn-primary add-transaction-btn"
+                onClick={() => setShowForm(true)}
+              >
+                + Add Transaction
+              </button>
+              <button
+                className="btn btn-secondary import-tradebook-btn"
+                onClick={() => setShowImport(true)}
+              >
+                📥 Import Tradebook
+              </button>
+              <PortfolioSelector />
+            </div>
+
+            <TransactionList key={refreshKey} portfolioId={selectedPortfolioId} />
+
+            <CashLedger refreshTrigger={refreshKey} />
+
+            <CorporateActionsManager onChange={() => setRefreshKey(prev => prev + 1)} />
+
+            <BrokerReconciliation onChange={() => setRefreshKey(prev => prev + 1)} />
+
+            <CasImport />
+          </div>
         )}
       </div>
     </div>
@@ -0,0 +1,369 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useSession } from '../context/SessionContext';
+import CurrencyDisplay from '../components/Common/CurrencyDisplay';
+import PercentageDisplay from '../components/Common/PercentageDisplay';
+import {
+  getWatchlists,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  getWatchlistQuotes,
+  refreshWatchlist,
+  addWatchlistItem,
+  updateWatchlistItem,
+  removeWatchlistItem
+} from '../utils/api/watchlistAPI';
+import './Watchlist.css';
+
+/**
+ * Watchlist Page
+ * Named lists of stocks the user does not hold yet, with live quotes from the
+ * price auto-update schedule, the 52-week range and the distance from a
+ * target buy price
+ */
+const Watchlist = () => {
+  const { sessionToken } = useSession();
+  const [watchlists, setWatchlists] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [watchlist, setWatchlist] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [search, setSearch] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [targets, setTargets] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadWatchlists = async (selectId = null) => {
+    try {
+      const data = await getWatchlists(sessionToken);
+      setWatchlists(data || []);
+
+      if (selectId) {
+        setSelectedId(selectId);
+      } else if (!data.some(list => list.id === selectedId)) {
+        setSelectedId(data.length > 0 ? data[0].id : null);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load watchlists');
+    }
+  };
+
+  const loadQuotes = async () => {
+    if (!selectedId) {
+      setWatchlist(null);
+      return;
+    }
+
+    try {
+      const data = await getWatchlistQuotes(sessionToken, selectedId);
+      setWatchlist(data);
+      setTargets(Object.fromEntries(data.items.map(item => [item.id, item.targetPrice || ''])));
+    } catch (err) {
+      setError(err.message || 'Failed to load watchlist');
+    }
+  };
+
+  useEffect(() => {
+    if (sessionToken) {
+      loadWatchlists();
+    }
+  }, [sessionToken]);
+
+  useEffect(() => {
+    if (sessionToken) {
+      loadQuotes();
+    }
+  }, [sessionToken, selectedId]);
+
+  // Watchlist symbols are on the auto-update schedule, so reload quotes after each run
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.onPriceUpdateSuccess || !selectedId) {
+      return undefined;
+    }
+
+    window.electronAPI.onPriceUpdateSuccess(() => loadQuotes());
+
+    return () => {
+      window.electronAPI.removeAllListeners('price-update-success');
+    };
+  }, [sessionToken, selectedId]);
+
+  // Search BSE Scrip Master for stocks to add
+  useEffect(() => {
+    if (search.length < 2) {
+      setSearchResults([]);
+      return undefined;
+    }
+
+    const timeoutId = setTimeout(async () => {
+      try {
+        const result = await window.electronAPI.searchStocksByName(search, 10);
+        setSearchResults(result.success ? result.data || [] : []);
+      } catch (err) {
+        console.error('Failed to search BSE stocks:', err);
+        setSearchResults([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [search]);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setIsLoading(true);
+      setMessage(null);
+      setError(null);
+      await action();
+      if (successMessage) {
+        setMessage(successMessage);
+      }
+    } catch (err) {
+      setError(err.message || 'Watchlist update failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    runAction(async () => {
+      const id = await createWatchlist(sessionToken, name);
+      setNewName('');
+      await loadWatchlists(id);
+    }, `✓ Created watchlist ${name}`);
+  };
+
+  const handleRename = () => {
+    const name = window.prompt('Rename watchlist', watchlist ? watchlist.name : '');
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    runAction(async () => {
+      await renameWatchlist(sessionToken, selectedId, name.trim());
+      await loadWatchlists(selectedId);
+      await loadQuotes();
+    });
+  };
+
+  const handleDelete = () => {
+    if (!watchlist || !window.confirm(`Delete watchlist "${watchlist.name}" and its ${watchlist.items.length} stocks?`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await deleteWatchlist(sessionToken, selectedId);
+      setSelectedId(null);
+      await loadWatchlists();
+    }, `✓ Deleted watchlist ${watchlist.name}`);
+  };
+
+  const handleAdd = (stock) => {
+    setSearch('');
+    setSearchResults([]);
+
+    runAction(async () => {
+      await addWatchlistItem(sessionToken, selectedId, {
+        symbol: stock.ShortName,
+        companyName: stock.ScripName || stock.CompanyName,
+        scripCode: stock.ScripCode,
+        isin: stock.ISINCode,
+        week52High: stock['52WeeksHigh'],
+        week52Low: stock['52WeeksLow']
+      });
+      await loadWatchlists(selectedId);
+      await loadQuotes();
+    }, `✓ Added ${stock.ShortName}. Refresh to fetch its quote.`);
+  };
+
+  const handleRefresh = () => {
+    runAction(async () => {
+      const data = await refreshWatchlist(sessionToken, selectedId);
+      setWatchlist(data);
+      if (data.failedRanges.length > 0) {
+        setError(`Could not fetch the 52-week range for ${data.failedRanges.join(', ')}`);
+      } else {
+        setMessage('✓ Quotes refreshed');
+      }
+    });
+  };
+
+  const handleTargetSave = (item) => {
+    const value = targets[item.id];
+    if (String(value) === String(item.targetPrice || '')) {
+      return;
+    }
+
+    runAction(async () => {
+      await updateWatchlistItem(sessionToken, item.id, { targetPrice: value === '' ? null : parseFloat(value) });
+      await loadQuotes();
+    });
+  };
+
+  const handleRemove = (item) => {
+    if (!window.confirm(`Remove ${item.symbol} from this watchlist?`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await removeWatchlistItem(sessionToken, item.id);
+      await loadWatchlists(selectedId);
+      await loadQuotes();
+    });
+  };
+
+  return (
+    <div className="watchlist-page">
+      <div className="page-header">
+        <h1>Watchlist</h1>
+        <p>Follow stocks you do not own yet against the price you want to buy at</p>
+      </div>
+
+      <div className="watchlist-toolbar">
+        {watchlists.length > 0 && (
+          <select
+            value={selectedId || ''}
+            onChange={(e) => setSelectedId(Number(e.target.value))}
+            disabled={isLoading}
+            aria-label="Watchlist"
+          >
+            {watchlists.map(list => (
+              <option key={list.id} value={list.id}>{list.name} ({list.item_count})</option>
+            ))}
+          </select>
+        )}
+        {watchlist && (
+          <>
+            <button className="watchlist-btn" onClick={handleRefresh} disabled={isLoading || watchlist.items.length === 0}>
+              {isLoading ? 'Working...' : '🔄 Refresh'}
+            </button>
+            <button className="watchlist-btn" onClick={handleRename} disabled={isLoading}>Rename</button>
+            <button className="watchlist-btn" onClick={handleDelete} disabled={isLoading}>Delete</button>
+          </>
+        )}
+        <form className="watchlist-create" onSubmit={handleCreate}>
+          <input
+            type="text"
+            placeholder="New watchlist name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            disabled={isLoading}
+          />
+          <button type="submit" className="watchlist-btn primary" disabled={isLoading || !newName.trim()}>
+            + Create
+          </button>
+        </form>
+      </div>
+
+      {message && <div className="watchlist-message success">{message}</div>}
+      {error && <div className="watchlist-message error">{error}</div>}
+
+      {watchlists.length === 0 && (
+        <p className="watchlist-note">Create a watchlist to start following stocks.</p>
+      )}
+
+      {watchlist && (
+        <div className="watchlist-card">
+          <div className="watchlist-search">
+            <input
+              type="text"
+              placeholder="Search BSE stocks by company name to add"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              disabled={isLoading}
+            />
+            {searchResults.length > 0 && (
+              <div className="watchlist-search-dropdown">
+                {searchResults.map((stock, index) => (
+                  <div
+                    key={`${stock.ScripCode}-${index}`}
+                    className="watchlist-search-option"
+                    onClick={() => handleAdd(stock)}
+                  >
+                    <strong>{stock.ShortName}</strong> {stock.ScripName}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {watchlist.items.length === 0 ? (
+            <p className="watchlist-note">No stocks on this watchlist yet.</p>
+          ) : (
+            <table className="watchlist-table">
+              <thead>
+                <tr>
+                  <th>Stock</th>
+                  <th>Price</th>
+                  <th>Day Change</th>
+                  <th>52-Week Range</th>
+                  <th>Target</th>
+                  <th>From Target</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {watchlist.items.map(item => (
+                  <tr key={item.id} className={item.atTarget ? 'watchlist-at-target' : ''}>
+                    <td>
+                      <Link to={`/stock/${encodeURIComponent(item.symbol)}`} className="watchlist-symbol">{item.symbol}</Link>
+                      <div className="watchlist-company">{item.companyName}</div>
+                    </td>
+                    <td><CurrencyDisplay value={item.price} /></td>
+                    <td>
+                      <CurrencyDisplay value={item.change} showSign />
+                      <div><PercentageDisplay value={item.changePercent} /></div>
+                    </td>
+                    <td>
+                      {item.week52Low && item.week52High ? (
+                        <div className="watchlist-range" title={item.fromHigh !== null ? `${item.fromHigh}% from the 52-week high` : ''}>
+                          <CurrencyDisplay value={item.week52Low} decimals={0} />
+                          <div className="watchlist-range-bar">
+                            {item.rangePosition !== null && (
+                              <span className="watchlist-range-marker" style={{ left: `${item.rangePosition}%` }} />
+                            )}
+                          </div>
+                          <CurrencyDisplay value={item.week52High} decimals={0} />
+                        </div>
+                      ) : '-'}
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        className="watchlist-target-input"
+                        step="0.01"
+                        min="0.01"
+                        placeholder="Buy at"
+                        value={targets[item.id] === undefined ? '' : targets[item.id]}
+                        onChange={(e) => setTargets(prev => ({ ...prev, [item.id]: e.target.value }))}
+                        onBlur={() => handleTargetSave(item)}
+                        disabled={isLoading}
+                      />
+                    </td>
+                    <td>
+                      {item.distanceToTarget !== null ? (
+                        item.atTarget
+                          ? <span className="watchlist-flag">At target</span>
+                          : <PercentageDisplay value={item.distanceToTarget} showArrow={false} />
+                      ) : '-'}
+                    </td>
+                    <td>
+                      <button className="watchlist-btn" onClick={() => handleRemove(item)} disabled={isLoading}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Watchlist;
@@ -0,0 +1,250 @@
+// Price Alerts API Client
+// Provides renderer process access to the price alert IPC channels
+
+/**
+ * Get the user's price alerts
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Array>} Alert definitions, newest first
+ */
+export async function getAlerts(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getAlerts) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getAlerts(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load alerts');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get alerts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a price alert
+ * @param {Object} sessionToken - The session token
+ * @param {Object} alert - { alertType, symbol, threshold, notes }
+ * @returns {Promise<number>} Alert ID
+ */
+export async function createAlert(sessionToken, alert) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.createAlert) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.createAlert(sessionToken, alert);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to create alert');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to create alert:', error);
+    throw error;
+  }
+}
+
+/**
+ * Switch an alert on or off
+ * @param {Object} sessionToken - The session token
+ * @param {number} alertId - Alert ID
+ * @param {boolean} isActive - New state
+ * @returns {Promise<void>}
+ */
+export async function setAlertActive(sessionToken, alertId, isActive) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.setAlertActive) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.setAlertActive(sessionToken, alertId, isActive);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to update alert');
+    }
+  } catch (error) {
+    console.error('Failed to update alert:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a price alert
+ * @param {Object} sessionToken - The session token
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<void>}
+ */
+export async function deleteAlert(sessionToken, alertId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.deleteAlert) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.deleteAlert(sessionToken, alertId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete alert');
+    }
+  } catch (error) {
+    console.error('Failed to delete alert:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the alerts fired, newest first
+ * @param {Object} sessionToken - The session token
+ * @param {number} limit - Most recent entries to return
+ * @returns {Promise<Object>} { entries, unread }
+ */
+export async function getAlertHistory(sessionToken, limit = 100) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getAlertHistory) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getAlertHistory(sessionToken, limit);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load alert history');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get alert history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark all fired alerts as read
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<void>}
+ */
+export async function markAlertHistoryRead(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.markAlertHistoryRead) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.markAlertHistoryRead(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to mark alerts read');
+    }
+  } catch (error) {
+    console.error('Failed to mark alert history read:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the alert history
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<void>}
+ */
+export async function clearAlertHistory(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.clearAlertHistory) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.clearAlertHistory(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to clear alert history');
+    }
+  } catch (error) {
+    console.error('Failed to clear alert history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check whether fired alerts show desktop notifications
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<boolean>}
+ */
+export async function getNotificationsEnabled(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getNotificationsEnabled) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getNotificationsEnabled(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load notification setting');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get notification setting:', error);
+    throw error;
+  }
+}
+
+/**
+ * Turn desktop notifications on or off
+ * @param {Object} sessionToken - The session token
+ * @param {boolean} enabled - New state
+ * @returns {Promise<void>}
+ */
+export async function setNotificationsEnabled(sessionToken, enabled) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.setNotificationsEnabled) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.setNotificationsEnabled(sessionToken, enabled);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to save notification setting');
+    }
+  } catch (error) {
+    console.error('Failed to save notification setting:', error);
+    throw error;
+  }
+}
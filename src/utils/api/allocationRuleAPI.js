@@ -0,0 +1,144 @@
+// Allocation Rules API Client
+// Provides renderer process access to the allocation rule IPC channels
+
+/**
+ * Get the user's allocation rules
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Array>} Rules with label and breach_count, oldest first
+ */
+export async function getAllocationRules(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getAllocationRules) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getAllocationRules(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load allocation rules');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get allocation rules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add an allocation rule
+ * @param {Object} sessionToken - The session token
+ * @param {Object} rule - { ruleType, target, maxPercent, lookThrough } where ruleType
+ *   is STOCK or SECTOR and an empty target covers every stock or sector
+ * @returns {Promise<number>} Rule ID
+ */
+export async function createAllocationRule(sessionToken, rule) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.createAllocationRule) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.createAllocationRule(sessionToken, rule);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to create allocation rule');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to create allocation rule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Switch an allocation rule on or off
+ * @param {Object} sessionToken - The session token
+ * @param {number} ruleId - Rule ID
+ * @param {boolean} isActive - New state
+ * @returns {Promise<void>}
+ */
+export async function setAllocationRuleActive(sessionToken, ruleId, isActive) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.setAllocationRuleActive) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.setAllocationRuleActive(sessionToken, ruleId, isActive);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to update allocation rule');
+    }
+  } catch (error) {
+    console.error('Failed to update allocation rule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an allocation rule
+ * @param {Object} sessionToken - The session token
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+export async function deleteAllocationRule(sessionToken, ruleId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.deleteAllocationRule) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.deleteAllocationRule(sessionToken, ruleId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete allocation rule');
+    }
+  } catch (error) {
+    console.error('Failed to delete allocation rule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check the allocation rules now and report on each
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Object>} { generatedAt, directValue, lookThroughValue,
+ *   ruleCount, breachCount, rules }
+ */
+export async function getComplianceReport(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getComplianceReport) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getComplianceReport(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to build compliance report');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get compliance report:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,37 @@
+// Benchmark API Client
+// Provides renderer process access to the benchmark comparison IPC channel
+
+/**
+ * Compare the portfolio with the same cash flows invested in a benchmark
+ * @param {Object} sessionToken - The session token
+ * @param {Object} benchmark - { key: 'SENSEX' | 'NIFTY' } or { key: 'CUSTOM', code, exchange }
+ * @param {number|null} portfolioId - One portfolio, or null for all accounts
+ * @returns {Promise<Object>} { benchmark, asOf, indexAsOf, contributions, withdrawals,
+ *   portfolioValue, indexValue, pmeRatio, portfolioXirr, indexXirr, excessReturn }
+ */
+export async function compareWithBenchmark(sessionToken, benchmark, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.compareWithBenchmark) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    if (!benchmark || !benchmark.key) {
+      throw new Error('Benchmark is required');
+    }
+
+    const response = await window.electronAPI.compareWithBenchmark(sessionToken, benchmark, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to compare with benchmark');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to compare with benchmark:', error);
+    throw error;
+  }
+}
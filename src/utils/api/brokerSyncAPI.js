@@ -0,0 +1,65 @@
+// Broker Sync API Client
+// Provides renderer process access to the broker reconciliation IPC channels
+
+/**
+ * Reconcile Breeze holdings with the local ledger
+ * @param {Object} sessionToken - The session token
+ * @param {Object} options - Optional { tradesFrom } (YYYY-MM-DD)
+ * @param {number|null} portfolioId - Account to compare with (default portfolio if null)
+ * @returns {Promise<Object>} { asOf, tradesFrom, tradesAvailable, portfolioId, rows, summary }
+ *   where rows carry brokerQuantity, localQuantity, difference, status
+ *   (MATCHED, MISMATCH or UNMAPPED) and suggested transactions
+ */
+export async function reconcileBrokerHoldings(sessionToken, options = {}, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.reconcileBrokerHoldings) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.reconcileBrokerHoldings(sessionToken, options, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to reconcile broker holdings');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to reconcile broker holdings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create the transactions confirmed from a reconciliation
+ * @param {Object} sessionToken - The session token
+ * @param {Array} transactions - [{ key, stockId, symbol, companyName, isin,
+ *   type, quantity, price, charges, stt, date, notes }]
+ * @param {number|null} portfolioId - Account the transactions go into
+ * @returns {Promise<Object>} { imported, failed: [{ key, symbol, message }] }
+ */
+export async function createReconciliationTransactions(sessionToken, transactions, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.createReconciliationTransactions) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.createReconciliationTransactions(sessionToken, transactions, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to create transactions');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to create reconciliation transactions:', error);
+    throw error;
+  }
+}
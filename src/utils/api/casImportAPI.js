@@ -0,0 +1,65 @@
+// CAS Import API Client
+// Provides renderer process access to the CDSL/NSDL statement import IPC channels
+
+/**
+ * Compare a consolidated account statement with the local holdings
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to the statement text
+ * @param {number|null} portfolioId - Account the statement covers, or null for all
+ * @returns {Promise<Object>} { fileName, statementDate, holdings, mutualFunds,
+ *   errors, summary } where holdings carry casQuantity, localQuantity,
+ *   difference and status (MATCHED, DRIFT or UNMAPPED)
+ */
+export async function previewCasImport(sessionToken, filePath, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.previewCasImport) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.previewCasImport(sessionToken, filePath, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to read statement');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to preview CAS import:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record mutual fund folios from a consolidated account statement
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to the statement text
+ * @param {Array<string>} keys - Keys of the folios to record
+ * @param {number|null} portfolioId - Account new folios go in, or the default
+ * @returns {Promise<Object>} { created, updated, failed }
+ */
+export async function importCasMutualFunds(sessionToken, filePath, keys, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.importCasMutualFunds) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.importCasMutualFunds(sessionToken, filePath, keys, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to import mutual funds');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to import CAS mutual funds:', error);
+    throw error;
+  }
+}
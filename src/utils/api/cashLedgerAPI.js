@@ -0,0 +1,87 @@
+// Cash Ledger API Client
+// Provides renderer process access to the cash ledger IPC channels
+
+/**
+ * Get the cash ledger of one portfolio or all of them
+ * @param {Object} sessionToken - The session token
+ * @param {number|null} portfolioId - Portfolio, or null for all accounts
+ * @returns {Promise<Object>} { entries, balance, totals, negativeTrades, hasCashEntries }
+ */
+export async function getCashLedger(sessionToken, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getCashLedger) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getCashLedger(sessionToken, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load cash ledger');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get cash ledger:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a deposit or withdrawal
+ * @param {Object} sessionToken - The session token
+ * @param {Object} entry - { portfolioId, entryType, amount, entryDate, notes }
+ * @returns {Promise<number>} Cash entry ID
+ */
+export async function addCashEntry(sessionToken, entry) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.addCashEntry) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.addCashEntry(sessionToken, entry);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to record cash entry');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to add cash entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a deposit or withdrawal
+ * @param {Object} sessionToken - The session token
+ * @param {number} entryId - Cash entry ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCashEntry(sessionToken, entryId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.deleteCashEntry) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.deleteCashEntry(sessionToken, entryId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete cash entry');
+    }
+  } catch (error) {
+    console.error('Failed to delete cash entry:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,160 @@
+// Corporate Action API Client
+// Provides renderer process access to corporate action and rights subscription IPC channels
+
+/**
+ * Get all recorded corporate actions
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Array>} Actions [{ id, stock_id, symbol, company_name, action_type, old_shares, new_shares, ex_date,
+ *   resulting_stock_id, resulting_symbol, cost_ratio, issue_price, notes }]
+ */
+export async function getCorporateActions(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getCorporateActions) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getCorporateActions(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get corporate actions');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get corporate actions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a corporate action
+ * Realized gains from the ex-date onward are recalculated
+ * @param {Object} sessionToken - The session token
+ * @param {Object} action - { stockId, actionType, oldShares, newShares, exDate, notes }
+ *   plus resultingStockId and costRatio (0-1) for a demerger, issuePrice for rights
+ * @returns {Promise<Object>} { id, affectedUsers }
+ */
+export async function addCorporateAction(sessionToken, action) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.addCorporateAction) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    if (!action || !action.stockId) {
+      throw new Error('Stock is required');
+    }
+
+    const response = await window.electronAPI.addCorporateAction(sessionToken, action);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to add corporate action');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to add corporate action:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a corporate action
+ * Realized gains from its ex-date onward are recalculated
+ * @param {Object} sessionToken - The session token
+ * @param {number} actionId - Corporate action ID
+ * @returns {Promise<Object>} { affectedUsers }
+ */
+export async function deleteCorporateAction(sessionToken, actionId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.deleteCorporateAction) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.deleteCorporateAction(sessionToken, actionId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete corporate action');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to delete corporate action:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's entitlement under a rights issue
+ * @param {Object} sessionToken - The session token
+ * @param {number} actionId - Rights issue ID
+ * @returns {Promise<Object>} { actionId, symbol, issuePrice, sharesHeld, entitled, subscribed, remaining }
+ */
+export async function getRightsEntitlement(sessionToken, actionId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getRightsEntitlement) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getRightsEntitlement(sessionToken, actionId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get rights entitlement');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get rights entitlement:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to a rights issue
+ * Records a buy at the issue price on the allotment date
+ * @param {Object} sessionToken - The session token
+ * @param {number} actionId - Rights issue ID
+ * @param {Object} subscription - { quantity, allotmentDate }
+ * @returns {Promise<Object>} The buy transaction
+ */
+export async function subscribeRights(sessionToken, actionId, subscription) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.subscribeRights) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    if (!subscription || !subscription.quantity || !subscription.allotmentDate) {
+      throw new Error('Quantity and allotment date are required');
+    }
+
+    const response = await window.electronAPI.subscribeRights(sessionToken, actionId, subscription);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to subscribe to rights issue');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to subscribe to rights issue:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,160 @@
+// Dividend API Client
+// Provides renderer process access to the dividend ledger IPC channels
+
+/**
+ * Get recorded dividends
+ * @param {Object} sessionToken - The session token
+ * @param {Object} filters - Optional { stockId, financialYear }
+ * @returns {Promise<Array>} Dividends [{ id, stock_id, symbol, record_date, payment_date, quantity, amount_per_share, gross_amount, tds_amount, net_amount }]
+ */
+export async function getDividends(sessionToken, filters = {}) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getDividends) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getDividends(sessionToken, filters);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get dividends');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get dividends:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a dividend received
+ * @param {Object} sessionToken - The session token
+ * @param {Object} dividend - { stockId, recordDate, paymentDate, amountPerShare, quantity, tdsAmount, notes }
+ * @returns {Promise<Object>} { id, grossAmount }
+ */
+export async function addDividend(sessionToken, dividend) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.addDividend) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    if (!dividend || !dividend.stockId) {
+      throw new Error('Stock is required');
+    }
+
+    const response = await window.electronAPI.addDividend(sessionToken, dividend);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to add dividend');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to add dividend:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a recorded dividend
+ * @param {Object} sessionToken - The session token
+ * @param {number} dividendId - Dividend ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDividend(sessionToken, dividendId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.deleteDividend) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.deleteDividend(sessionToken, dividendId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete dividend');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to delete dividend:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the "Income from other sources" summary for a financial year
+ * @param {Object} sessionToken - The session token
+ * @param {string} financialYear - Financial year (e.g., "2024-25")
+ * @returns {Promise<Object>} { financialYear, period, dividends, byStock, totals: { count, gross, tds, net } }
+ */
+export async function getDividendIncomeSummary(sessionToken, financialYear) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getDividendIncomeSummary) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    if (!financialYear) {
+      throw new Error('Financial year is required');
+    }
+
+    const response = await window.electronAPI.getDividendIncomeSummary(sessionToken, financialYear);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get dividend income summary');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get dividend income summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the number of shares held on a record date
+ * @param {Object} sessionToken - The session token
+ * @param {number} stockId - Stock ID
+ * @param {string} recordDate - Record date (YYYY-MM-DD)
+ * @returns {Promise<number>} Shares held
+ */
+export async function getDividendEligibleQuantity(sessionToken, stockId, recordDate) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getDividendEligibleQuantity) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    if (!stockId || !recordDate) {
+      throw new Error('Stock and record date are required');
+    }
+
+    const response = await window.electronAPI.getDividendEligibleQuantity(sessionToken, stockId, recordDate);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get eligible quantity');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get eligible quantity:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,59 @@
+// Holding Levels API Client
+// Provides renderer process access to the holding level IPC channels
+
+/**
+ * Set or clear a holding's target and stop-loss
+ * @param {Object} sessionToken - The session token
+ * @param {number} stockId - Stock ID
+ * @param {Object} levels - { targetPrice, stopLoss }, null to clear either
+ * @returns {Promise<void>}
+ */
+export async function setHoldingLevels(sessionToken, stockId, levels) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.setHoldingLevels) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.setHoldingLevels(sessionToken, stockId, levels);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to save levels');
+    }
+  } catch (error) {
+    console.error('Failed to set holding levels:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the positions whose latest quote is past their target or stop-loss
+ * @param {Object} sessionToken - The session token
+ * @param {number|null} portfolioId - Portfolio, or null for all accounts
+ * @returns {Promise<Object>} { breaches, levelCount, pricesAsOf }
+ */
+export async function getLevelBreaches(sessionToken, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getLevelBreaches) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getLevelBreaches(sessionToken, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load level breaches');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get level breaches:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,31 @@
+// Holding Overlap API Client
+// Provides renderer process access to the holding overlap IPC channel
+
+/**
+ * Get the overlap between funds and direct holdings
+ * @param {Object} sessionToken - The session token
+ * @param {number} threshold - Combined weight (%) above which a stock is listed
+ * @returns {Promise<Object>} { threshold, totalValue, funds, fundOverlap, directOverlap, concentration }
+ */
+export async function getHoldingOverlap(sessionToken, threshold = 5) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getHoldingOverlap) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getHoldingOverlap(sessionToken, threshold);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load holding overlap');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get holding overlap:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,403 @@
+// Mutual Fund API Client
+// Provides renderer process access to the mutual fund IPC channels
+
+/**
+ * Call a mutual fund bridge method and unwrap its response
+ * @param {string} method - window.electronAPI method name
+ * @param {Object} sessionToken - The session token
+ * @param {Array} args - Arguments after the session token
+ * @param {string} failureMessage - Error message when the call fails without one
+ * @returns {Promise<Object>} The response
+ */
+async function invokeMutualFundAPI(method, sessionToken, args, failureMessage) {
+  if (!window.electronAPI || !window.electronAPI[method]) {
+    throw new Error('Electron API not available');
+  }
+
+  if (!sessionToken) {
+    throw new Error('Session token is required');
+  }
+
+  const response = await window.electronAPI[method](sessionToken, ...args);
+
+  if (!response.success) {
+    throw new Error(response.error || failureMessage);
+  }
+
+  return response;
+}
+
+/**
+ * Get the funds held with units, cost and value
+ * @param {Object} sessionToken - The session token
+ * @param {number|null} portfolioId - Portfolio, or null for all accounts
+ * @returns {Promise<Array>} [{ id, schemeName, schemeCode, folioNumber, units,
+ *   invested, nav, navDate, currentValue, gainLoss, transactionCount, ... }]
+ */
+export async function getMutualFundHoldings(sessionToken, portfolioId = null) {
+  try {
+    const response = await invokeMutualFundAPI('getMutualFundHoldings', sessionToken, [portfolioId], 'Failed to load mutual funds');
+    return response.holdings;
+  } catch (error) {
+    console.error('Failed to get mutual fund holdings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the funds recorded before portfolios that nobody has claimed
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Array>} [{ id, scheme_name, folio_number, current_value }]
+ */
+export async function getUnclaimedMutualFunds(sessionToken) {
+  try {
+    const response = await invokeMutualFundAPI('getUnclaimedMutualFunds', sessionToken, [], 'Failed to load unclaimed funds');
+    return response.mutualFunds;
+  } catch (error) {
+    console.error('Failed to get unclaimed mutual funds:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim unassigned funds into a portfolio
+ * @param {Object} sessionToken - The session token
+ * @param {Array<number>} fundIds - Mutual fund IDs
+ * @param {number|null} portfolioId - Portfolio, or null for the default
+ * @returns {Promise<number>} Number of funds claimed
+ */
+export async function claimMutualFunds(sessionToken, fundIds, portfolioId = null) {
+  try {
+    const response = await invokeMutualFundAPI('claimMutualFunds', sessionToken, [fundIds, portfolioId], 'Failed to claim funds');
+    return response.claimed;
+  } catch (error) {
+    console.error('Failed to claim mutual funds:', error);
+    throw error;
+  }
+}
+
+/**
+ * Release funds the user claimed back to the unassigned pool
+ * @param {Object} sessionToken - The session token
+ * @param {Array<number>} fundIds - Mutual fund IDs
+ * @returns {Promise<number>} Number of funds released
+ */
+export async function releaseMutualFunds(sessionToken, fundIds) {
+  try {
+    const response = await invokeMutualFundAPI('releaseMutualFunds', sessionToken, [fundIds], 'Failed to release funds');
+    return response.released;
+  } catch (error) {
+    console.error('Failed to release mutual funds:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a fund with its stock allocations
+ * @param {Object} sessionToken - The session token
+ * @param {number} id - Mutual fund ID
+ * @returns {Promise<Object>} mutual_funds row with allocations
+ */
+export async function getMutualFund(sessionToken, id) {
+  try {
+    const response = await invokeMutualFundAPI('getMutualFund', sessionToken, [id], 'Failed to load mutual fund');
+    return response.mutualFund;
+  } catch (error) {
+    console.error('Failed to get mutual fund:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a fund recorded by value with its stock allocations
+ * @param {Object} sessionToken - The session token
+ * @param {Object} mutualFund - { schemeName, currentValue, investmentDate, portfolioId }
+ * @param {Array} allocations - [{ stockSymbol, stockName, allocationPercent }]
+ * @returns {Promise<number>} Mutual fund ID
+ */
+export async function addMutualFund(sessionToken, mutualFund, allocations) {
+  try {
+    const response = await invokeMutualFundAPI('addMutualFund', sessionToken, [mutualFund, allocations], 'Failed to add mutual fund');
+    return response.mutualFundId;
+  } catch (error) {
+    console.error('Failed to add mutual fund:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a fund's details
+ * @param {Object} sessionToken - The session token
+ * @param {number} id - Mutual fund ID
+ * @param {Object} updates - { schemeName, currentValue, investmentDate, schemeCode, folioNumber, taxCategory }
+ * @returns {Promise<void>}
+ */
+export async function updateMutualFund(sessionToken, id, updates) {
+  try {
+    await invokeMutualFundAPI('updateMutualFund', sessionToken, [id, updates], 'Failed to update mutual fund');
+  } catch (error) {
+    console.error('Failed to update mutual fund:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace a fund's stock allocations
+ * @param {Object} sessionToken - The session token
+ * @param {number} id - Mutual fund ID
+ * @param {Array} allocations - [{ stockSymbol, stockName, allocationPercent }]
+ * @returns {Promise<void>}
+ */
+export async function updateMutualFundAllocations(sessionToken, id, allocations) {
+  try {
+    await invokeMutualFundAPI('updateMutualFundAllocations', sessionToken, [id, allocations], 'Failed to save allocations');
+  } catch (error) {
+    console.error('Failed to update mutual fund allocations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a fund with its allocations and transactions
+ * @param {Object} sessionToken - The session token
+ * @param {number} id - Mutual fund ID
+ * @returns {Promise<void>}
+ */
+export async function deleteMutualFund(sessionToken, id) {
+  try {
+    await invokeMutualFundAPI('deleteMutualFund', sessionToken, [id], 'Failed to delete mutual fund');
+  } catch (error) {
+    console.error('Failed to delete mutual fund:', error);
+    throw error;
+  }
+}
+
+/**
+ * Read and check an allocations CSV
+ * A file that fails validation is not an error here: its report is returned
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Promise<Object>} { success, data, errors, warnings } where errors
+ *   are [{ row, field, message }]
+ */
+export async function validateAllocationCSV(sessionToken, filePath) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.importMutualFundCSV) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.importMutualFundCSV(sessionToken, filePath);
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    return {
+      success: response.success,
+      data: response.data || [],
+      errors: response.errors || [],
+      warnings: response.warnings || []
+    };
+  } catch (error) {
+    console.error('Failed to validate allocation CSV:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get direct and look-through stock holdings combined
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Object>} { holdings, summary }
+ */
+export async function getConsolidatedHoldings(sessionToken) {
+  try {
+    const response = await invokeMutualFundAPI('getConsolidatedHoldings', sessionToken, [], 'Failed to load consolidated holdings');
+    return { holdings: response.holdings, summary: response.summary };
+  } catch (error) {
+    console.error('Failed to get consolidated holdings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start holding an AMFI scheme with its first purchase
+ * @param {Object} sessionToken - The session token
+ * @param {Object} holding - { schemeCode, folioNumber, portfolioId, taxCategory }
+ * @param {Object} transaction - { type, date, units, nav, amount, stampDuty }
+ * @returns {Promise<number>} Mutual fund ID
+ */
+export async function addMutualFundHolding(sessionToken, holding, transaction) {
+  try {
+    const response = await invokeMutualFundAPI('addMutualFundHolding', sessionToken, [holding, transaction], 'Failed to add mutual fund');
+    return response.mutualFundId;
+  } catch (error) {
+    console.error('Failed to add mutual fund holding:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a fund's purchases, SIP instalments and redemptions
+ * @param {Object} sessionToken - The session token
+ * @param {number} id - Mutual fund ID
+ * @returns {Promise<Array>} mutual_fund_transactions rows
+ */
+export async function getMutualFundTransactions(sessionToken, id) {
+  try {
+    const response = await invokeMutualFundAPI('getMutualFundTransactions', sessionToken, [id], 'Failed to load transactions');
+    return response.transactions;
+  } catch (error) {
+    console.error('Failed to get mutual fund transactions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a purchase, SIP instalment or redemption
+ * @param {Object} sessionToken - The session token
+ * @param {number} id - Mutual fund ID
+ * @param {Object} transaction - { type, date, units, nav, amount, stampDuty, notes }
+ * @returns {Promise<number>} Transaction ID
+ */
+export async function addMutualFundTransaction(sessionToken, id, transaction) {
+  try {
+    const response = await invokeMutualFundAPI('addMutualFundTransaction', sessionToken, [id, transaction], 'Failed to add transaction');
+    return response.transactionId;
+  } catch (error) {
+    console.error('Failed to add mutual fund transaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a fund transaction
+ * @param {Object} sessionToken - The session token
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<void>}
+ */
+export async function deleteMutualFundTransaction(sessionToken, transactionId) {
+  try {
+    await invokeMutualFundAPI('deleteMutualFundTransaction', sessionToken, [transactionId], 'Failed to delete transaction');
+  } catch (error) {
+    console.error('Failed to delete mutual fund transaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get realised gains on fund redemptions in a financial year
+ * @param {Object} sessionToken - The session token
+ * @param {string} financialYear - e.g. "2024-25"
+ * @param {number|null} portfolioId - Portfolio, or null for all accounts
+ * @returns {Promise<Object>} { financialYear, funds, totals }
+ */
+export async function getMutualFundCapitalGains(sessionToken, financialYear, portfolioId = null) {
+  try {
+    const response = await invokeMutualFundAPI('getMutualFundCapitalGains', sessionToken, [financialYear, portfolioId], 'Failed to load capital gains');
+    return response.gains;
+  } catch (error) {
+    console.error('Failed to get mutual fund capital gains:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import an AMFI NAVAll.txt file
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} { fileName, schemeCount, navDate, linked, navsSaved, fundsValued }
+ */
+export async function importMutualFundNavs(sessionToken, filePath) {
+  try {
+    const response = await invokeMutualFundAPI('importMutualFundNavs', sessionToken, [filePath], 'Failed to import NAVs');
+    return response.result;
+  } catch (error) {
+    console.error('Failed to import mutual fund NAVs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search the AMFI scheme master by name, scheme code or ISIN
+ * @param {Object} sessionToken - The session token
+ * @param {string} term - Search text
+ * @returns {Promise<Array>} mutual_fund_schemes rows
+ */
+export async function searchMutualFundSchemes(sessionToken, term) {
+  try {
+    const response = await invokeMutualFundAPI('searchMutualFundSchemes', sessionToken, [term], 'Failed to search schemes');
+    return response.schemes;
+  } catch (error) {
+    console.error('Failed to search mutual fund schemes:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the scheme sheets of an AMC portfolio disclosure workbook
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to the XLSX file
+ * @returns {Promise<Array>} [{ sheetName, schemeName, asOfDate, lineCount }]
+ */
+export async function listDisclosureSheets(sessionToken, filePath) {
+  try {
+    const response = await invokeMutualFundAPI('listDisclosureSheets', sessionToken, [filePath], 'Failed to read workbook');
+    return response.sheets;
+  } catch (error) {
+    console.error('Failed to list disclosure sheets:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import a scheme's portfolio disclosure as a dated snapshot
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to the XLSX file
+ * @param {string} schemeCode - AMFI scheme code
+ * @param {Object} options - { sheetName, asOfDate }
+ * @returns {Promise<Object>} { asOfDate, lineCount, totals, totalPercent, unmapped, ... }
+ */
+export async function importMutualFundDisclosure(sessionToken, filePath, schemeCode, options = {}) {
+  try {
+    const response = await invokeMutualFundAPI('importMutualFundDisclosure', sessionToken, [filePath, schemeCode, options], 'Failed to import disclosure');
+    return response.result;
+  } catch (error) {
+    console.error('Failed to import mutual fund disclosure:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a scheme's disclosure snapshots, newest first
+ * @param {Object} sessionToken - The session token
+ * @param {string} schemeCode - AMFI scheme code
+ * @returns {Promise<Array>} mutual_fund_disclosures rows
+ */
+export async function getMutualFundDisclosures(sessionToken, schemeCode) {
+  try {
+    const response = await invokeMutualFundAPI('getMutualFundDisclosures', sessionToken, [schemeCode], 'Failed to load disclosures');
+    return response.disclosures;
+  } catch (error) {
+    console.error('Failed to get mutual fund disclosures:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a disclosure snapshot
+ * @param {Object} sessionToken - The session token
+ * @param {number} disclosureId - Snapshot ID
+ * @returns {Promise<void>}
+ */
+export async function deleteMutualFundDisclosure(sessionToken, disclosureId) {
+  try {
+    await invokeMutualFundAPI('deleteMutualFundDisclosure', sessionToken, [disclosureId], 'Failed to delete disclosure');
+  } catch (error) {
+    console.error('Failed to delete mutual fund disclosure:', error);
+    throw error;
+  }
+}
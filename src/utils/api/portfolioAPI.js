@@ -0,0 +1,115 @@
+// Portfolio API Client
+// Provides renderer process access to the portfolio (demat account) IPC channels
+
+/**
+ * Get the user's portfolios
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Array>} [{ id, name, account_type, demat_account, is_default,
+ *   transaction_count }], default portfolio first
+ */
+export async function getPortfolios(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getPortfolios) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getPortfolios(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load portfolios');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get portfolios:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a portfolio
+ * @param {Object} sessionToken - The session token
+ * @param {Object} portfolio - { name, accountType, dematAccount }
+ * @returns {Promise<number>} Portfolio ID
+ */
+export async function createPortfolio(sessionToken, portfolio) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.createPortfolio) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.createPortfolio(sessionToken, portfolio);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to create portfolio');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to create portfolio:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a portfolio's name and account details
+ * @param {Object} sessionToken - The session token
+ * @param {number} id - Portfolio ID
+ * @param {Object} portfolio - { name, accountType, dematAccount }
+ * @returns {Promise<void>}
+ */
+export async function updatePortfolio(sessionToken, id, portfolio) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.updatePortfolio) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.updatePortfolio(sessionToken, id, portfolio);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to update portfolio');
+    }
+  } catch (error) {
+    console.error('Failed to update portfolio:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an empty portfolio
+ * @param {Object} sessionToken - The session token
+ * @param {number} id - Portfolio ID
+ * @returns {Promise<void>}
+ */
+export async function deletePortfolio(sessionToken, id) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.deletePortfolio) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.deletePortfolio(sessionToken, id);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete portfolio');
+    }
+  } catch (error) {
+    console.error('Failed to delete portfolio:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,63 @@
+// Portfolio History API Client
+// Provides renderer process access to the portfolio value history IPC channels
+
+/**
+ * Get the portfolio value history with time-weighted returns
+ * @param {Object} sessionToken - The session token
+ * @param {number|null} portfolioId - One portfolio, or null for all accounts
+ * @returns {Promise<Object>} { asOf, snapshots, returns } where snapshots are
+ *   [{ snapshot_date, market_value, invested_amount, cash_in, cash_out, dividend_income, holding_count, source }]
+ *   and returns are percentages (or null) keyed 1M, 3M, YTD, 1Y and INCEPTION
+ */
+export async function getPortfolioHistory(sessionToken, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getPortfolioHistory) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getPortfolioHistory(sessionToken, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get portfolio history');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get portfolio history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rebuild past daily snapshots from historical closes
+ * @param {Object} sessionToken - The session token
+ * @param {Object} options - Optional { fromDate, toDate }
+ * @param {number|null} portfolioId - One portfolio, or null for all accounts
+ * @returns {Promise<Object>} { fromDate, toDate, snapshotCount, missingPrices }
+ */
+export async function backfillPortfolioHistory(sessionToken, options = {}, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.backfillPortfolioHistory) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.backfillPortfolioHistory(sessionToken, options, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to backfill portfolio history');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to backfill portfolio history:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,92 @@
+// Price History API Client
+// Provides renderer process access to the price history IPC channels
+
+/**
+ * Get a stock's daily prices with the user's buys and sells placed on them
+ * @param {Object} sessionToken - The session token
+ * @param {string} symbol - Stock symbol
+ * @param {string|null} fromDate - First day (YYYY-MM-DD), or null for all
+ * @param {number|null} portfolioId - Portfolio, or null for all accounts
+ * @returns {Promise<Object>} { symbol, name, sector, series, trades, plotted, outsideRange }
+ */
+export async function getStockChart(sessionToken, symbol, fromDate = null, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getStockChart) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getStockChart(sessionToken, symbol, fromDate, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load stock chart');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get stock chart:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download the days missing from a stock's price history from Breeze
+ * @param {Object} sessionToken - The session token
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} { symbol, fromDate, toDate, saved }
+ */
+export async function fillPriceHistory(sessionToken, symbol) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.fillPriceHistory) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.fillPriceHistory(sessionToken, symbol);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to download price history');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to fill price history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import BSE bhavcopy CSVs for the stocks held or watched
+ * @param {Object} sessionToken - The session token
+ * @param {Array<string>} filePaths - Paths to the CSV files
+ * @returns {Promise<Array>} One { fileName, dates, rowCount, saved, symbols }
+ *   or { fileName, error } per file
+ */
+export async function importBhavcopy(sessionToken, filePaths) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.importBhavcopy) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.importBhavcopy(sessionToken, filePaths);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to import bhavcopy');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to import bhavcopy:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,58 @@
+// Stock API Client
+// Provides renderer process access to the stock IPC channels
+
+/**
+ * Get the stored stock for a scrip picked from the BSE list, adding it first
+ * if it has not been recorded yet
+ * @param {Object} sessionToken - The session token
+ * @param {Object} bseStock - BSE scrip { ShortName, ScripName, Group, ISINCode }
+ * @returns {Promise<Object>} { id, symbol, name }
+ */
+export async function findOrCreateBseStock(sessionToken, bseStock) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getStockBySymbol) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    let dbStock = null;
+
+    try {
+      dbStock = await window.electronAPI.getStockBySymbol(sessionToken, bseStock.ShortName, 'BSE');
+    } catch (error) {
+      // Not recorded yet, it is created below
+    }
+
+    if (dbStock) {
+      return {
+        id: dbStock.id,
+        symbol: dbStock.symbol || bseStock.ShortName,
+        name: dbStock.company_name || bseStock.ScripName
+      };
+    }
+
+    const createResult = await window.electronAPI.createStock(sessionToken, {
+      symbol: bseStock.ShortName,
+      name: bseStock.ScripName,
+      exchange: 'BSE',
+      sector: bseStock.Group || 'Others',
+      isin: bseStock.ISINCode || null
+    });
+
+    if (!createResult || !createResult.id) {
+      throw new Error('Failed to create stock in database');
+    }
+
+    return {
+      id: createResult.id,
+      symbol: createResult.symbol || bseStock.ShortName,
+      name: createResult.name || bseStock.ScripName
+    };
+  } catch (error) {
+    console.error('Failed to find or create stock:', error);
+    throw error;
+  }
+}
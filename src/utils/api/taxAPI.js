@@ -0,0 +1,202 @@
+// Tax API Client
+// Provides renderer process access to capital gains tax IPC channels
+
+/**
+ * Get all 31-Jan-2018 FMV records used for grandfathering
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Array>} FMV records [{ isin, company_name, fmv, updated_at }]
+ */
+export async function getGrandfatheredFmv(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getGrandfatheredFmv) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getGrandfatheredFmv(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get grandfathered FMV');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get grandfathered FMV:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add or update the 31-Jan-2018 FMV for an ISIN
+ * @param {Object} sessionToken - The session token
+ * @param {string} isin - ISIN code
+ * @param {number} fmv - FMV per share
+ * @param {string} companyName - Company name (optional)
+ * @returns {Promise<void>}
+ */
+export async function saveGrandfatheredFmv(sessionToken, isin, fmv, companyName = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.saveGrandfatheredFmv) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    if (!isin) {
+      throw new Error('ISIN is required');
+    }
+
+    const response = await window.electronAPI.saveGrandfatheredFmv(
+      sessionToken,
+      isin,
+      fmv,
+      companyName
+    );
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to save grandfathered FMV');
+    }
+  } catch (error) {
+    console.error('Failed to save grandfathered FMV:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the 31-Jan-2018 FMV for an ISIN
+ * @param {Object} sessionToken - The session token
+ * @param {string} isin - ISIN code
+ * @returns {Promise<void>}
+ */
+export async function deleteGrandfatheredFmv(sessionToken, isin) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.deleteGrandfatheredFmv) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.deleteGrandfatheredFmv(sessionToken, isin);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete grandfathered FMV');
+    }
+  } catch (error) {
+    console.error('Failed to delete grandfathered FMV:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import 31-Jan-2018 FMV records from a CSV file
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to CSV file with ISIN and FMV columns
+ * @returns {Promise<Object>} { imported, errors }
+ */
+export async function importGrandfatheredFmv(sessionToken, filePath) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.importGrandfatheredFmv) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    if (!filePath) {
+      throw new Error('File path is required');
+    }
+
+    const response = await window.electronAPI.importGrandfatheredFmv(sessionToken, filePath);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to import grandfathered FMV');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to import grandfathered FMV:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export Schedule 112A (ITR-2) CSV for a financial year
+ * @param {Object} sessionToken - The session token
+ * @param {string} financialYear - Financial year, e.g. "2024-25"
+ * @param {string} filePath - Destination file path
+ * @param {number|null} portfolioId - One portfolio, or null for all accounts
+ * @returns {Promise<Object>} { filePath, rowCount, missingIsin }
+ */
+export async function exportSchedule112A(sessionToken, financialYear, filePath, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.exportSchedule112A) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    if (!financialYear) {
+      throw new Error('Financial year is required');
+    }
+
+    if (!filePath) {
+      throw new Error('File path is required');
+    }
+
+    const response = await window.electronAPI.exportSchedule112A(
+      sessionToken,
+      financialYear,
+      filePath,
+      portfolioId
+    );
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to export Schedule 112A');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to export Schedule 112A:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a tax-loss harvesting plan for the current financial year
+ * @param {Object} sessionToken - The session token
+ * @param {Object} options - { brokerageRate, portfolioId } brokerage per side
+ *   as a fraction and the account to plan for
+ * @returns {Promise<Object>} Plan with proposals, tax before/after and wash-out cost
+ */
+export async function getTaxHarvestingPlan(sessionToken, options = {}) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getTaxHarvestingPlan) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getTaxHarvestingPlan(sessionToken, options);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get tax-loss harvesting plan');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get tax-loss harvesting plan:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,117 @@
+// Trade Charges API Client
+// Provides renderer process access to the brokerage plan and trade charges IPC channels
+
+/**
+ * Get the user's brokerage plans
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Array>} Plans, newest effective date first
+ */
+export async function getBrokeragePlans(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getBrokeragePlans) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getBrokeragePlans(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load brokerage plans');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get brokerage plans:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add or update a brokerage plan
+ * @param {Object} sessionToken - The session token
+ * @param {Object} plan - { id?, name, planType, flatFee, rate, minimum, maximum, effectiveFrom }
+ * @returns {Promise<number>} Plan ID
+ */
+export async function saveBrokeragePlan(sessionToken, plan) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.saveBrokeragePlan) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.saveBrokeragePlan(sessionToken, plan);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to save brokerage plan');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to save brokerage plan:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a brokerage plan
+ * @param {Object} sessionToken - The session token
+ * @param {number} id - Plan ID
+ * @returns {Promise<void>}
+ */
+export async function deleteBrokeragePlan(sessionToken, id) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.deleteBrokeragePlan) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.deleteBrokeragePlan(sessionToken, id);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete brokerage plan');
+    }
+  } catch (error) {
+    console.error('Failed to delete brokerage plan:', error);
+    throw error;
+  }
+}
+
+/**
+ * Calculate the charges on a trade from the brokerage plan and statutory
+ * rates in force on its date
+ * @param {Object} sessionToken - The session token
+ * @param {Object} trade - { type, quantity, price, date, stockId }
+ * @returns {Promise<Object>} { brokerage, stt, exchangeCharges, sebiFees, stampDuty,
+ *   gst, total, rates, plan }
+ */
+export async function calculateTradeCharges(sessionToken, trade) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.calculateTradeCharges) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.calculateTradeCharges(sessionToken, trade);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to calculate charges');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to calculate trade charges:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,126 @@
+// Tradebook Import API Client
+// Provides renderer process access to the broker tradebook import IPC channels
+
+/**
+ * Get the broker profiles
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Array>} [{ key, label }], ending with the GENERIC mapping
+ */
+export async function getTradebookProfiles(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getTradebookProfiles) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getTradebookProfiles(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to get tradebook profiles');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get tradebook profiles:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the column headers of a tradebook
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Promise<Array<string>>}
+ */
+export async function getTradebookHeaders(sessionToken, filePath) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getTradebookHeaders) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getTradebookHeaders(sessionToken, filePath);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to read tradebook headers');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to read tradebook headers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Dry-run a tradebook import
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to the CSV file
+ * @param {string} profile - Profile key, e.g. 'ZERODHA' or 'GENERIC'
+ * @param {Object} mapping - Header names per field for the GENERIC profile
+ * @param {number|null} portfolioId - Portfolio the trades are for, or the default
+ * @returns {Promise<Object>} { fileName, source, trades, summary } where each
+ *   trade has a key, rows, date, symbol, type, quantity, price, charges and a
+ *   status of READY, DUPLICATE, ERROR or SKIPPED
+ */
+export async function previewTradebookImport(sessionToken, filePath, profile, mapping = {}, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.previewTradebookImport) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.previewTradebookImport(sessionToken, filePath, profile, mapping, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to preview tradebook import');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to preview tradebook import:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import the trades confirmed in the preview
+ * @param {Object} sessionToken - The session token
+ * @param {string} filePath - Path to the CSV file
+ * @param {string} profile - Profile key
+ * @param {Object} mapping - Header names per field for the GENERIC profile
+ * @param {Array<number>} keys - Keys of the confirmed trades
+ * @param {number|null} portfolioId - Portfolio to import into, or the default
+ * @returns {Promise<Object>} { imported, failed: [{ key, symbol, message }] }
+ */
+export async function importTradebook(sessionToken, filePath, profile, mapping, keys, portfolioId = null) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.importTradebook) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.importTradebook(sessionToken, filePath, profile, mapping, keys, portfolioId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to import tradebook');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to import tradebook:', error);
+    throw error;
+  }
+}
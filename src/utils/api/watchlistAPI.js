@@ -0,0 +1,257 @@
+// Watchlist API Client
+// Provides renderer process access to the watchlist IPC channels
+
+/**
+ * Get the user's watchlists
+ * @param {Object} sessionToken - The session token
+ * @returns {Promise<Array>} [{ id, name, item_count }]
+ */
+export async function getWatchlists(sessionToken) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getWatchlists) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getWatchlists(sessionToken);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load watchlists');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get watchlists:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a watchlist
+ * @param {Object} sessionToken - The session token
+ * @param {string} name - Watchlist name
+ * @returns {Promise<number>} Watchlist ID
+ */
+export async function createWatchlist(sessionToken, name) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.createWatchlist) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.createWatchlist(sessionToken, name);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to create watchlist');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to create watchlist:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rename a watchlist
+ * @param {Object} sessionToken - The session token
+ * @param {number} watchlistId - Watchlist ID
+ * @param {string} name - New name
+ * @returns {Promise<void>}
+ */
+export async function renameWatchlist(sessionToken, watchlistId, name) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.renameWatchlist) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.renameWatchlist(sessionToken, watchlistId, name);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to rename watchlist');
+    }
+  } catch (error) {
+    console.error('Failed to rename watchlist:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a watchlist and its stocks
+ * @param {Object} sessionToken - The session token
+ * @param {number} watchlistId - Watchlist ID
+ * @returns {Promise<void>}
+ */
+export async function deleteWatchlist(sessionToken, watchlistId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.deleteWatchlist) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.deleteWatchlist(sessionToken, watchlistId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete watchlist');
+    }
+  } catch (error) {
+    console.error('Failed to delete watchlist:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a watchlist with the latest cached quote of each stock
+ * @param {Object} sessionToken - The session token
+ * @param {number} watchlistId - Watchlist ID
+ * @returns {Promise<Object>} { id, name, items }
+ */
+export async function getWatchlistQuotes(sessionToken, watchlistId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.getWatchlistQuotes) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.getWatchlistQuotes(sessionToken, watchlistId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to load watchlist');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get watchlist quotes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch fresh quotes and 52-week ranges for a watchlist
+ * @param {Object} sessionToken - The session token
+ * @param {number} watchlistId - Watchlist ID
+ * @returns {Promise<Object>} { id, name, items, failedRanges }
+ */
+export async function refreshWatchlist(sessionToken, watchlistId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.refreshWatchlist) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.refreshWatchlist(sessionToken, watchlistId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to refresh watchlist');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to refresh watchlist:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a stock to a watchlist
+ * @param {Object} sessionToken - The session token
+ * @param {number} watchlistId - Watchlist ID
+ * @param {Object} stock - { symbol, companyName, scripCode, isin, targetPrice, week52High, week52Low }
+ * @returns {Promise<number>} Watchlist item ID
+ */
+export async function addWatchlistItem(sessionToken, watchlistId, stock) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.addWatchlistItem) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.addWatchlistItem(sessionToken, watchlistId, stock);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to add stock');
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to add watchlist item:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a stock's target buy price and notes
+ * @param {Object} sessionToken - The session token
+ * @param {number} itemId - Watchlist item ID
+ * @param {Object} updates - { targetPrice, notes }
+ * @returns {Promise<void>}
+ */
+export async function updateWatchlistItem(sessionToken, itemId, updates) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.updateWatchlistItem) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.updateWatchlistItem(sessionToken, itemId, updates);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to update stock');
+    }
+  } catch (error) {
+    console.error('Failed to update watchlist item:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a stock from its watchlist
+ * @param {Object} sessionToken - The session token
+ * @param {number} itemId - Watchlist item ID
+ * @returns {Promise<void>}
+ */
+export async function removeWatchlistItem(sessionToken, itemId) {
+  try {
+    if (!window.electronAPI || !window.electronAPI.removeWatchlistItem) {
+      throw new Error('Electron API not available');
+    }
+
+    if (!sessionToken) {
+      throw new Error('Session token is required');
+    }
+
+    const response = await window.electronAPI.removeWatchlistItem(sessionToken, itemId);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to remove stock');
+    }
+  } catch (error) {
+    console.error('Failed to remove watchlist item:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,116 @@
+// Allocation rules
+// A rule caps the weight of a stock or sector in the portfolio. Without a
+// target it applies to every stock or sector ("no stock above 10%"); with one
+// it caps only that stock or sector. Stocks without a sector are grouped as
+// Unknown, which only a rule targeting Unknown checks.
+
+const UNKNOWN_SECTOR = 'Unknown';
+
+/**
+ * Round a percentage to two decimals
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Weigh positions by stock and by sector
+ * @param {Array} positions - [{ key, name, stockId, sector, value }] where key
+ *   is the stock symbol and value its market value
+ * @param {number} totalValue - Portfolio value the weights are taken of
+ * @returns {Object} - { stocks, sectors } as [{ key, name, stockId, percent }],
+ *   largest first; sectors have no stockId
+ */
+function weighExposure(positions, totalValue) {
+  if (!(totalValue > 0)) {
+    return { stocks: [], sectors: [] };
+  }
+
+  const stocks = new Map();
+  const sectors = new Map();
+
+  for (const position of positions) {
+    if (!(position.value > 0)) {
+      continue;
+    }
+
+    const stock = stocks.get(position.key) || {
+      key: position.key,
+      name: position.name || position.key,
+      stockId: position.stockId || null,
+      value: 0
+    };
+    stock.value += position.value;
+    stocks.set(position.key, stock);
+
+    const sectorName = position.sector || UNKNOWN_SECTOR;
+    const sector = sectors.get(sectorName) || { key: sectorName, name: sectorName, value: 0 };
+    sector.value += position.value;
+    sectors.set(sectorName, sector);
+  }
+
+  const toWeights = (entries) => [...entries.values()]
+    .map(({ value, ...entry }) => ({ ...entry, percent: round2((value / totalValue) * 100) }))
+    .sort((a, b) => b.percent - a.percent);
+
+  return {
+    stocks: toWeights(stocks),
+    sectors: toWeights(sectors)
+  };
+}
+
+/**
+ * Check one rule against weighed exposure
+ * @param {Object} rule - allocation_rules row { id, rule_type, target, max_percent }
+ * @param {Object} exposure - { stocks, sectors } from weighExposure
+ * @returns {Object} - { largest, breaches } where largest is the heaviest
+ *   subject the rule covers ({ key, name, percent } or null) and breaches are
+ *   [{ subjectKey, subjectName, stockId, actualPercent, maxPercent }]
+ */
+function evaluateRule(rule, exposure) {
+  const isStock = rule.rule_type === 'STOCK';
+  const weights = isStock ? exposure.stocks : exposure.sectors;
+  const target = rule.target ? String(rule.target).toUpperCase() : null;
+
+  const covered = weights.filter(weight => (
+    target
+      ? weight.key.toUpperCase() === target
+      : isStock || weight.key !== UNKNOWN_SECTOR
+  ));
+
+  const breaches = covered
+    .filter(weight => weight.percent > rule.max_percent)
+    .map(weight => ({
+      subjectKey: weight.key,
+      subjectName: weight.name,
+      stockId: isStock ? weight.stockId : null,
+      actualPercent: weight.percent,
+      maxPercent: rule.max_percent
+    }));
+
+  return {
+    largest: covered.length > 0
+      ? { key: covered[0].key, name: covered[0].name, percent: covered[0].percent }
+      : null,
+    breaches
+  };
+}
+
+/**
+ * Describe a rule, e.g. "No stock above 10%" or "Banks at most 25%"
+ * @param {Object} rule - allocation_rules row
+ * @returns {string}
+ */
+function describeRule(rule) {
+  const limit = `${parseFloat(rule.max_percent.toFixed(2))}%`;
+  const subject = rule.rule_type === 'STOCK' ? 'stock' : 'sector';
+  const text = rule.target ? `${rule.target} at most ${limit}` : `No ${subject} above ${limit}`;
+  return rule.look_through ? `${text} (incl. mutual funds)` : text;
+}
+
+module.exports = {
+  UNKNOWN_SECTOR,
+  weighExposure,
+  evaluateRule,
+  describeRule
+};
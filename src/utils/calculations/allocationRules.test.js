@@ -0,0 +1,69 @@
+const { weighExposure, evaluateRule, describeRule } = require('./allocationRules');
+
+describe('allocationRules', () => {
+  const positions = [
+    { key: 'HDFCBANK', name: 'HDFC Bank Ltd', stockId: 1, sector: 'Banks', value: 30000 },
+    { key: 'ICICIBANK', name: 'ICICI Bank Ltd', stockId: 2, sector: 'Banks', value: 15000 },
+    { key: 'INFY', name: 'Infosys Ltd', stockId: 3, sector: 'IT', value: 40000 },
+    { key: 'NEWCO', name: 'New Listing Ltd', stockId: null, sector: null, value: 15000 }
+  ];
+  const exposure = weighExposure(positions, 100000);
+
+  describe('weighExposure', () => {
+    test('weighs stocks and sectors against the total, largest first', () => {
+      expect(exposure.stocks.map(stock => [stock.key, stock.percent])).toEqual([
+        ['INFY', 40],
+        ['HDFCBANK', 30],
+        ['ICICIBANK', 15],
+        ['NEWCO', 15]
+      ]);
+      expect(exposure.sectors).toEqual([
+        { key: 'Banks', name: 'Banks', percent: 45 },
+        { key: 'IT', name: 'IT', percent: 40 },
+        { key: 'Unknown', name: 'Unknown', percent: 15 }
+      ]);
+    });
+
+    test('is empty without a portfolio value', () => {
+      expect(weighExposure(positions, 0)).toEqual({ stocks: [], sectors: [] });
+    });
+  });
+
+  describe('evaluateRule', () => {
+    test('flags every stock above an untargeted limit', () => {
+      const result = evaluateRule({ id: 1, rule_type: 'STOCK', target: null, max_percent: 25 }, exposure);
+
+      expect(result.largest).toEqual({ key: 'INFY', name: 'Infosys Ltd', percent: 40 });
+      expect(result.breaches).toEqual([
+        { subjectKey: 'INFY', subjectName: 'Infosys Ltd', stockId: 3, actualPercent: 40, maxPercent: 25 },
+        { subjectKey: 'HDFCBANK', subjectName: 'HDFC Bank Ltd', stockId: 1, actualPercent: 30, maxPercent: 25 }
+      ]);
+    });
+
+    test('checks only the targeted sector, ignoring case', () => {
+      const result = evaluateRule({ id: 2, rule_type: 'SECTOR', target: 'banks', max_percent: 50 }, exposure);
+
+      expect(result).toEqual({ largest: { key: 'Banks', name: 'Banks', percent: 45 }, breaches: [] });
+    });
+
+    test('leaves stocks without a sector out of untargeted sector rules', () => {
+      const result = evaluateRule({ id: 3, rule_type: 'SECTOR', target: null, max_percent: 10 }, exposure);
+
+      expect(result.breaches.map(breach => breach.subjectKey)).toEqual(['Banks', 'IT']);
+    });
+
+    test('has nothing to check when the target is not held', () => {
+      expect(evaluateRule({ id: 4, rule_type: 'STOCK', target: 'TCS', max_percent: 5 }, exposure))
+        .toEqual({ largest: null, breaches: [] });
+    });
+  });
+
+  describe('describeRule', () => {
+    test('reads as a limit', () => {
+      expect(describeRule({ rule_type: 'STOCK', target: null, max_percent: 10, look_through: 0 }))
+        .toBe('No stock above 10%');
+      expect(describeRule({ rule_type: 'SECTOR', target: 'Banks', max_percent: 25.5, look_through: 1 }))
+        .toBe('Banks at most 25.5% (incl. mutual funds)');
+    });
+  });
+});
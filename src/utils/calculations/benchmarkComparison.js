@@ -0,0 +1,128 @@
+/**
+ * Benchmark Comparison Calculator
+ * Public market equivalent (PME) comparison of a portfolio against an index:
+ * every rupee invested buys index units on the same day and every rupee
+ * taken out sells them, so both sides share one cash-flow timeline
+ */
+
+const XirrCalculator = require('./xirr');
+const { toDateKey } = require('./taxRules');
+
+class BenchmarkCalculator {
+  /**
+   * Get the index close to trade at on a date
+   * Uses the last close on or before the date, or the first close after it
+   * when the date is before the series starts
+   * @param {Array} closes - [{ date, close }] sorted by date
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {number|null}
+   */
+  static getCloseOn(closes, date) {
+    if (closes.length === 0) {
+      return null;
+    }
+
+    let low = 0;
+    let high = closes.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      if (closes[mid].date <= date) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return closes[found === -1 ? 0 : found].close;
+  }
+
+  /**
+   * Compare a portfolio with the same cash flows invested in an index
+   * @param {Array} flows - [{ date, cashIn, cashOut, dividends }] where cashIn
+   *   is invested and cashOut plus dividends are taken out
+   * @param {Array} closes - Index closes [{ date, close }]
+   * @param {number} portfolioValue - Current market value of the portfolio
+   * @param {string|Date} asOf - Valuation date (defaults to today)
+   * @returns {Object} Both sides' value and XIRR, the Kaplan-Schoar PME ratio
+   *   (above 1 means the portfolio beat the index) and the XIRR difference
+   */
+  static calculatePME(flows, closes, portfolioValue, asOf = new Date()) {
+    if (!closes || closes.length === 0) {
+      throw new Error('Index closes are required');
+    }
+
+    const asOfKey = toDateKey(asOf);
+    const series = closes
+      .map(c => ({ date: toDateKey(c.date), close: c.close }))
+      .filter(c => c.close > 0 && c.date <= asOfKey)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (series.length === 0) {
+      throw new Error('No index closes on or before the valuation date');
+    }
+
+    const finalClose = series[series.length - 1].close;
+
+    let contributions = 0;
+    let withdrawals = 0;
+    let units = 0;
+    let discountedContributions = 0;
+    let discountedWithdrawals = 0;
+    const portfolioFlows = [];
+    const indexFlows = [];
+
+    for (const flow of flows) {
+      const date = toDateKey(flow.date);
+      if (date > asOfKey) {
+        continue;
+      }
+
+      const cashIn = flow.cashIn || 0;
+      const cashOut = (flow.cashOut || 0) + (flow.dividends || 0);
+      const close = this.getCloseOn(series, date);
+      const growth = finalClose / close;
+
+      contributions += cashIn;
+      withdrawals += cashOut;
+      units += (cashIn - cashOut) / close;
+      discountedContributions += cashIn * growth;
+      discountedWithdrawals += cashOut * growth;
+
+      const net = cashOut - cashIn;
+      if (net !== 0) {
+        portfolioFlows.push({ date, amount: net });
+        indexFlows.push({ date, amount: net });
+      }
+    }
+
+    // Withdrawing more than the index position was worth leaves it short,
+    // which is reported as a negative value
+    const indexValue = units * finalClose;
+
+    portfolioFlows.push({ date: asOfKey, amount: portfolioValue });
+    indexFlows.push({ date: asOfKey, amount: indexValue });
+
+    const portfolioXirr = XirrCalculator.calculateXIRR(portfolioFlows);
+    const indexXirr = indexValue > 0 ? XirrCalculator.calculateXIRR(indexFlows) : null;
+
+    return {
+      asOf: asOfKey,
+      indexAsOf: series[series.length - 1].date,
+      contributions,
+      withdrawals,
+      portfolioValue,
+      indexValue,
+      pmeRatio: discountedContributions > 0
+        ? (discountedWithdrawals + portfolioValue) / discountedContributions
+        : null,
+      portfolioXirr,
+      indexXirr,
+      excessReturn: portfolioXirr !== null && indexXirr !== null ? portfolioXirr - indexXirr : null
+    };
+  }
+}
+
+module.exports = BenchmarkCalculator;
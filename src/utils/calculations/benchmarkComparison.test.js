@@ -0,0 +1,76 @@
+const BenchmarkCalculator = require('./benchmarkComparison');
+
+describe('BenchmarkCalculator', () => {
+  const closes = [
+    { date: '2023-01-02', close: 100 },
+    { date: '2023-07-03', close: 110 },
+    { date: '2024-01-01', close: 121 }
+  ];
+
+  describe('getCloseOn', () => {
+    test('uses the last close on or before the date', () => {
+      expect(BenchmarkCalculator.getCloseOn(closes, '2023-07-03')).toBe(110);
+      expect(BenchmarkCalculator.getCloseOn(closes, '2023-09-30')).toBe(110);
+    });
+
+    test('uses the first close for dates before the series', () => {
+      expect(BenchmarkCalculator.getCloseOn(closes, '2022-12-31')).toBe(100);
+    });
+
+    test('returns null without closes', () => {
+      expect(BenchmarkCalculator.getCloseOn([], '2023-01-02')).toBeNull();
+    });
+  });
+
+  describe('calculatePME', () => {
+    // Two buys and a partial sale, the sale on the valuation date
+    const flows = [
+      { date: '2023-01-02', cashIn: 1000, cashOut: 0, dividends: 0 },
+      { date: '2023-07-03', cashIn: 1100, cashOut: 0, dividends: 0 },
+      { date: '2024-01-01', cashIn: 0, cashOut: 605, dividends: 0 }
+    ];
+
+    test('invests the same rupees in the index on each flow date', () => {
+      const result = BenchmarkCalculator.calculatePME(flows, closes, 2000, '2024-01-01');
+
+      expect(result.contributions).toBe(2100);
+      expect(result.withdrawals).toBe(605);
+      // 10 + 10 units bought, 5 sold, 15 left at 121
+      expect(result.indexValue).toBeCloseTo(1815, 6);
+      expect(result.pmeRatio).toBeCloseTo(2605 / 2420, 6);
+      expect(result.portfolioXirr).toBeGreaterThan(result.indexXirr);
+      expect(result.excessReturn).toBeCloseTo(result.portfolioXirr - result.indexXirr, 6);
+    });
+
+    test('matches the index when the portfolio tracks it', () => {
+      const result = BenchmarkCalculator.calculatePME(flows, closes, 1815, '2024-01-01');
+
+      expect(result.pmeRatio).toBeCloseTo(1, 6);
+      expect(result.excessReturn).toBeCloseTo(0, 4);
+    });
+
+    test('counts dividends as money taken out', () => {
+      const result = BenchmarkCalculator.calculatePME(
+        [{ date: '2023-01-02', cashIn: 1000 }, { date: '2023-07-03', dividends: 110 }],
+        closes,
+        1000,
+        '2024-01-01'
+      );
+
+      expect(result.withdrawals).toBe(110);
+      expect(result.indexValue).toBeCloseTo(9 * 121, 6);
+    });
+
+    test('ignores closes and flows after the valuation date', () => {
+      const result = BenchmarkCalculator.calculatePME(flows, closes, 2000, '2023-12-31');
+
+      expect(result.indexAsOf).toBe('2023-07-03');
+      expect(result.withdrawals).toBe(0);
+      expect(result.indexValue).toBeCloseTo(2200, 6);
+    });
+
+    test('requires index closes', () => {
+      expect(() => BenchmarkCalculator.calculatePME(flows, [], 2000)).toThrow('Index closes are required');
+    });
+  });
+});
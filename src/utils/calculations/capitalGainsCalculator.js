@@ -2,6 +2,7 @@
 // Handles STCG/LTCG classification and tax calculations
 
 const FIFOCalculator = require('./fifoCalculator');
+const { calculateTaxByRegime, getLTCGExemptionForFinancialYear } = require('./taxRules');
 
 class CapitalGainsCalculator {
   /**
@@ -70,10 +71,11 @@ class CapitalGainsCalculator {
           totalSTCG: 0,
           totalLTCG: 0,
           totalGainLoss: 0,
-          ltcgExemption: 100000,
+          ltcgExemption: getLTCGExemptionForFinancialYear(financialYear),
           taxableSTCG: 0,
           taxableLTCG: 0,
-          estimatedTax: 0
+          estimatedTax: 0,
+          regimes: calculateTaxByRegime([], financialYear).regimes
         };
       }
 
@@ -82,6 +84,7 @@ class CapitalGainsCalculator {
 
       const stcgTransactions = [];
       const ltcgTransactions = [];
+      const gains = [];
       let totalSTCG = 0;
       let totalLTCG = 0;
 
@@ -93,26 +96,27 @@ class CapitalGainsCalculator {
           if (transaction.stcg && transaction.stcg.totalGain > 0) {
             stcgTransactions.push(transaction);
             totalSTCG += transaction.stcg.totalGain;
+            gains.push({
+              sellDate: transaction.sellDate,
+              classification: 'STCG',
+              amount: transaction.stcg.totalGain
+            });
           }
 
           if (transaction.ltcg && transaction.ltcg.totalGain > 0) {
             ltcgTransactions.push(transaction);
             totalLTCG += transaction.ltcg.totalGain;
+            gains.push({
+              sellDate: transaction.sellDate,
+              classification: 'LTCG',
+              amount: transaction.ltcg.totalGain
+            });
           }
         }
       }
 
-      // Calculate taxes
-      const LTCG_EXEMPTION = 100000; // ₹1 lakh
-      const STCG_TAX_RATE = 0.20; // 20%
-      const LTCG_TAX_RATE = 0.10; // 10%
-
-      const taxableSTCG = totalSTCG;
-      const taxableLTCG = Math.max(0, totalLTCG - LTCG_EXEMPTION);
-
-      const stcgTax = taxableSTCG * STCG_TAX_RATE;
-      const ltcgTax = taxableLTCG * LTCG_TAX_RATE;
-      const estimatedTax = stcgTax + ltcgTax;
+      // Calculate taxes using the rules in force on each sell date
+      const { regimes, totals } = calculateTaxByRegime(gains, financialYear);
 
       return {
         financialYear,
@@ -123,12 +127,13 @@ class CapitalGainsCalculator {
         totalSTCG,
         totalLTCG,
         totalGainLoss: totalSTCG + totalLTCG,
-        ltcgExemption: LTCG_EXEMPTION,
-        taxableSTCG,
-        taxableLTCG,
-        stcgTax,
-        ltcgTax,
-        estimatedTax,
+        ltcgExemption: totals.ltcgExemption,
+        taxableSTCG: totals.taxableSTCG,
+        taxableLTCG: totals.taxableLTCG,
+        stcgTax: totals.stcgTax,
+        ltcgTax: totals.ltcgTax,
+        estimatedTax: totals.estimatedTax,
+        regimes,
         summary: {
           stcgCount: stcgTransactions.length,
           ltcgCount: ltcgTransactions.length,
@@ -170,8 +175,9 @@ class CapitalGainsCalculator {
       // financialYear format: "2024-25" or just year "2024"
       let year;
 
+      // End year is always start year + 1, which also handles "2024-25"
       if (typeof financialYear === 'string' && financialYear.includes('-')) {
-        year = parseInt(financialYear.split('-')[1]);
+        year = parseInt(financialYear.split('-')[0]) + 1;
       } else {
         year = parseInt(financialYear) + 1;
       }
@@ -207,25 +213,30 @@ class CapitalGainsCalculator {
 
   /**
    * Calculate LTCG exemption usage
+   * ltcgGains: amounts, or { amount, sellDate } objects so each gain is taxed
+   * at the rate in force on its sell date. Plain amounts are taxed at the
+   * rate in force at the end of the financial year.
    */
-  static calculateLTCGExemptionUsage(ltcgGains) {
+  static calculateLTCGExemptionUsage(ltcgGains, financialYear = null) {
     try {
-      const LTCG_EXEMPTION = 100000; // ₹1 lakh
+      const fy = financialYear || this.getFinancialYearForDate(new Date());
+      const fyEnd = this.getFinancialYearEnd(fy);
 
-      let totalLTCG = 0;
-      for (const gain of ltcgGains) {
-        totalLTCG += gain;
-      }
+      const gains = ltcgGains.map(gain => ({
+        sellDate: typeof gain === 'number' ? fyEnd : gain.sellDate,
+        classification: 'LTCG',
+        amount: typeof gain === 'number' ? gain : gain.amount
+      }));
 
-      const exemptionUsed = Math.min(totalLTCG, LTCG_EXEMPTION);
-      const taxableAmount = Math.max(0, totalLTCG - LTCG_EXEMPTION);
+      const { regimes, totals } = calculateTaxByRegime(gains, fy);
 
       return {
-        totalLTCG,
-        exemption: LTCG_EXEMPTION,
-        exemptionUsed,
-        taxableAmount,
-        tax: taxableAmount * 0.10 // 10% tax rate
+        totalLTCG: totals.ltcg,
+        exemption: totals.ltcgExemption,
+        exemptionUsed: totals.exemptionUsed,
+        taxableAmount: totals.taxableLTCG,
+        tax: totals.ltcgTax,
+        regimes
       };
     } catch (error) {
       console.error('LTCG exemption calculation failed:', error);
@@ -0,0 +1,396 @@
+// Corporate action adjustments for equity lots
+// Splits and consolidations change the number of shares in a lot but keep its
+// acquisition date and total cost. Bonus shares are a separate lot: under
+// Sections 2(42A) and 55(2)(aa) they are acquired on the allotment date at nil
+// cost, while the original lot keeps its own date and cost.
+// In a demerger the parent keeps its shares and part of its cost moves to the
+// resulting company (Section 49(2C)/(2D)); the resulting shares inherit the
+// parent's acquisition date (Section 2(42A)(hf)). Subscribed rights shares are
+// ordinary buys at the issue price, so a rights issue does not change lots.
+
+const { toDateKey } = require('./taxRules');
+
+const CORPORATE_ACTION_TYPES = ['SPLIT', 'BONUS', 'CONSOLIDATION', 'DEMERGER', 'RIGHTS'];
+
+// Pseudo action crediting demerged lots in the resulting company. Derived lots
+// depend on each user's parent holding, so they are built per user with
+// deriveDemergerLots and replayed on the ex-date like any other action.
+const DEMERGED_LOTS = 'DEMERGED_LOTS';
+
+// Shares trade ex-action from the ex-date, so on the same day an action applies
+// before buys, and buys before sells
+const EVENT_ORDER = { action: 0, buy: 1, sell: 2 };
+
+/**
+ * Get the key identifying a lot
+ * Bonus and demerged lots are derived from a buy transaction, so they are keyed
+ * by the buy transaction and the corporate action that created them
+ * @param {number} buyTransactionId - Buy transaction ID
+ * @param {number|null} corporateActionId - Corporate action ID for derived lots
+ * @returns {string}
+ */
+function getLotKey(buyTransactionId, corporateActionId = null) {
+  return corporateActionId ? `${buyTransactionId}:${corporateActionId}` : `${buyTransactionId}`;
+}
+
+/**
+ * Get the share multiplier of an action
+ * Splits and consolidations turn every oldShares into newShares; a bonus adds
+ * newShares for every oldShares held
+ * @param {Object} action - { oldShares, newShares }
+ * @returns {number}
+ */
+function getShareMultiplier(action) {
+  return action.newShares / action.oldShares;
+}
+
+/**
+ * Spread whole-share entitlements over lots in FIFO order
+ * Companies settle fractional entitlements in cash, so only floor(total) shares
+ * are credited. Allocating on the running total keeps the sum exact.
+ * @param {Array<number>} entitlements - Fractional entitlement per lot
+ * @returns {Array<number>} Whole shares per lot
+ */
+function allocateWholeShares(entitlements) {
+  const allocations = [];
+  let cumulative = 0;
+  let allocated = 0;
+
+  for (const entitlement of entitlements) {
+    cumulative += entitlement;
+    // Tolerate floating point error, e.g. 0.1 * 3
+    const whole = Math.floor(cumulative + 1e-9);
+    allocations.push(whole - allocated);
+    allocated = whole;
+  }
+
+  return allocations;
+}
+
+/**
+ * Validate a corporate action
+ * @param {Object} action - { actionType, oldShares, newShares, exDate, costRatio, issuePrice }
+ * @returns {boolean}
+ */
+function validateCorporateAction(action) {
+  if (!action || !CORPORATE_ACTION_TYPES.includes(action.actionType)) {
+    throw new Error(`Invalid corporate action type: ${action ? action.actionType : action}`);
+  }
+
+  const { oldShares, newShares } = action;
+  if (!Number.isInteger(oldShares) || !Number.isInteger(newShares) || oldShares <= 0 || newShares <= 0) {
+    throw new Error('Ratio must be whole numbers greater than 0');
+  }
+
+  if (action.actionType === 'SPLIT' && newShares <= oldShares) {
+    throw new Error('A split must increase the number of shares');
+  }
+
+  if (action.actionType === 'CONSOLIDATION' && newShares >= oldShares) {
+    throw new Error('A consolidation must reduce the number of shares');
+  }
+
+  if (action.actionType === 'DEMERGER' &&
+      !(typeof action.costRatio === 'number' && action.costRatio > 0 && action.costRatio < 1)) {
+    throw new Error('A demerger needs the share of cost moving to the resulting company, between 0% and 100%');
+  }
+
+  if (action.actionType === 'RIGHTS' && !(action.issuePrice > 0)) {
+    throw new Error('A rights issue needs an issue price greater than 0');
+  }
+
+  if (!action.exDate || isNaN(new Date(action.exDate).getTime())) {
+    throw new Error('A valid ex-date is required');
+  }
+
+  return true;
+}
+
+/**
+ * Combine the demergers of a stock on the same ex-date into one
+ * Each cost ratio is a share of the cost before the demerger, so a multi-way
+ * demerger leaves the parent 1 - Σ costRatio of its cost rather than the
+ * product of the separate remainders
+ * @param {Array} actions - Corporate actions for the stock
+ * @returns {Array} Actions with at most one DEMERGER per ex-date
+ */
+function combineDemergers(actions) {
+  const byDate = new Map();
+  const combined = [];
+
+  for (const action of actions) {
+    if (action.actionType !== 'DEMERGER') {
+      combined.push(action);
+      continue;
+    }
+
+    const exDate = toDateKey(action.exDate);
+    const existing = byDate.get(exDate);
+
+    if (existing) {
+      existing.costRatio += action.costRatio;
+    } else {
+      const demerger = { ...action };
+      byDate.set(exDate, demerger);
+      combined.push(demerger);
+    }
+  }
+
+  return combined;
+}
+
+/**
+ * Derive the lots credited in the resulting company of a demerger
+ * Each parent lot gives newShares for every oldShares held, carrying costRatio
+ * of its cost and its acquisition date. Lots derived from the same buy (its
+ * original and bonus lots) share a key, so they are merged at the earlier date.
+ * @param {Array} parentLots - Parent lots open just before the ex-date
+ * @param {Object} action - { id, oldShares, newShares, exDate, costRatio }
+ * @returns {Array} Lots [{ id, corporateActionId, date, creditDate, price, chargePerShare, quantity, availableQuantity }]
+ */
+function deriveDemergerLots(parentLots, action) {
+  const exDate = toDateKey(action.exDate);
+  const eligible = parentLots.filter(lot => lot.availableQuantity > 0);
+  const allocations = allocateWholeShares(
+    eligible.map(lot => lot.availableQuantity * getShareMultiplier(action))
+  );
+  const derived = new Map();
+
+  eligible.forEach((lot, index) => {
+    if (allocations[index] <= 0) return;
+
+    const key = getLotKey(lot.id, action.id);
+    const cost = lot.price * lot.availableQuantity * action.costRatio;
+    const charges = (lot.chargePerShare || 0) * lot.availableQuantity * action.costRatio;
+    const existing = derived.get(key);
+
+    if (existing) {
+      existing.cost += cost;
+      existing.charges += charges;
+      existing.quantity += allocations[index];
+      if (toDateKey(lot.date) < existing.date) {
+        existing.date = toDateKey(lot.date);
+      }
+    } else {
+      derived.set(key, {
+        id: lot.id,
+        date: toDateKey(lot.date),
+        cost,
+        charges,
+        quantity: allocations[index]
+      });
+    }
+  });
+
+  return [...derived.values()].map(lot => ({
+    id: lot.id,
+    corporateActionId: action.id,
+    date: lot.date,
+    creditDate: exDate,
+    price: lot.cost / lot.quantity,
+    ...(lot.charges > 0 && { chargePerShare: lot.charges / lot.quantity }),
+    quantity: lot.quantity,
+    availableQuantity: lot.quantity
+  }));
+}
+
+/**
+ * Apply a corporate action to the open lots held before its ex-date
+ * @param {Array} lots - Open lots [{ id, corporateActionId, date, price, quantity, availableQuantity }]
+ * @param {Object} action - { id, actionType, oldShares, newShares, exDate, costRatio, derivedLots }
+ * @returns {Array} Adjusted lots
+ */
+function applyCorporateAction(lots, action) {
+  if (action.actionType === 'RIGHTS') {
+    return lots;
+  }
+
+  if (action.actionType === DEMERGED_LOTS) {
+    return [...lots, ...action.derivedLots.map(lot => ({ ...lot }))];
+  }
+
+  const exDate = toDateKey(action.exDate);
+  const eligible = lots.filter(lot => toDateKey(lot.date) < exDate && lot.availableQuantity > 0);
+
+  if (eligible.length === 0) {
+    return lots;
+  }
+
+  if (action.actionType === 'DEMERGER') {
+    // The parent keeps its shares and acquisition date; costRatio of the cost
+    // moves to the resulting company. Same-day demergers must be combined
+    // first (combineDemergers).
+    const eligibleLots = new Set(eligible);
+    return lots.map(lot => (
+      eligibleLots.has(lot)
+        ? {
+          ...lot,
+          price: lot.price * (1 - action.costRatio),
+          chargePerShare: (lot.chargePerShare || 0) * (1 - action.costRatio)
+        }
+        : lot
+    ));
+  }
+
+  const multiplier = getShareMultiplier(action);
+  const allocations = allocateWholeShares(eligible.map(lot => lot.availableQuantity * multiplier));
+
+  if (action.actionType === 'BONUS') {
+    // One nil-cost lot per buy transaction, acquired on the ex-date. Bonus
+    // shares credited on an earlier bonus lot of the same buy are merged in.
+    const bonusLots = new Map();
+
+    eligible.forEach((lot, index) => {
+      if (allocations[index] <= 0) return;
+
+      const key = getLotKey(lot.id, action.id);
+      const existing = bonusLots.get(key);
+
+      if (existing) {
+        existing.quantity += allocations[index];
+        existing.availableQuantity += allocations[index];
+      } else {
+        bonusLots.set(key, {
+          id: lot.id,
+          corporateActionId: action.id,
+          date: exDate,
+          price: 0,
+          quantity: allocations[index],
+          availableQuantity: allocations[index]
+        });
+      }
+    });
+
+    return [...lots, ...bonusLots.values()];
+  }
+
+  // Split or consolidation: same acquisition date and total cost
+  const adjusted = new Map(eligible.map((lot, index) => [lot, allocations[index]]));
+
+  return lots
+    .map(lot => {
+      if (!adjusted.has(lot)) return lot;
+
+      return {
+        ...lot,
+        price: lot.price / multiplier,
+        chargePerShare: (lot.chargePerShare || 0) / multiplier,
+        quantity: lot.quantity * multiplier,
+        availableQuantity: adjusted.get(lot)
+      };
+    })
+    .filter(lot => lot.availableQuantity > 0);
+}
+
+/**
+ * Restate open lots in the share units of an earlier date
+ * Lots credited after the date are dropped and later splits, consolidations
+ * and demerger cost transfers are reversed, so a back-dated sell is matched in
+ * the units and cost it traded at
+ * @param {Array} lots - Open lots in current units
+ * @param {Array} actions - Corporate actions for the stock
+ * @param {string|Date} asOf - Date to restate to
+ * @returns {Array} Lots as of the date
+ */
+function restateLotsAsOf(lots, actions, asOf) {
+  const asOfKey = toDateKey(asOf);
+  const laterActions = actions.filter(action => toDateKey(action.exDate) > asOfKey);
+  const multiplier = laterActions
+    .filter(action => action.actionType === 'SPLIT' || action.actionType === 'CONSOLIDATION')
+    .reduce((product, action) => product * getShareMultiplier(action), 1);
+  const costFactor = combineDemergers(laterActions)
+    .filter(action => action.actionType === 'DEMERGER')
+    .reduce((product, action) => product * (1 - action.costRatio), 1);
+
+  return lots
+    .filter(lot => toDateKey(lot.creditDate || lot.date) <= asOfKey)
+    .map(lot => {
+      if (multiplier === 1 && costFactor === 1) return lot;
+
+      return {
+        ...lot,
+        price: lot.price * multiplier / costFactor,
+        chargePerShare: (lot.chargePerShare || 0) * multiplier / costFactor,
+        quantity: lot.quantity / multiplier,
+        availableQuantity: Math.floor(lot.availableQuantity / multiplier + 1e-9)
+      };
+    })
+    .filter(lot => lot.availableQuantity > 0);
+}
+
+/**
+ * Build open lots for a stock by replaying buys, corporate actions and FIFO
+ * consumption in date order
+ * @param {Object} params
+ * @param {Array} params.buys - Buy transactions [{ id, date, price, quantity, charges }]
+ * @param {Array} params.consumptions - Realized gain matches
+ *   [{ buyTransactionId, corporateActionId, quantity, sellDate }] in sell-date units
+ * @param {Array} params.actions - Corporate actions [{ id, actionType, oldShares, newShares, exDate }]
+ * @param {string|Date|null} params.asOf - Restate lots to this date (defaults to current units)
+ * @returns {Array} Open lots sorted by acquisition date
+ *   [{ id, corporateActionId, date, price, chargePerShare, quantity, availableQuantity }]
+ *   where chargePerShare spreads the buy's charges over its shares
+ */
+function buildOpenLots({ buys = [], consumptions = [], actions = [], asOf = null }) {
+  try {
+    const events = [
+      ...combineDemergers(actions).map(action => ({ type: 'action', date: toDateKey(action.exDate), action })),
+      ...buys.map(buy => ({ type: 'buy', date: toDateKey(buy.date), buy })),
+      ...consumptions.map(consumption => ({
+        type: 'sell',
+        date: toDateKey(consumption.sellDate),
+        consumption
+      }))
+    ];
+
+    events.sort((a, b) => a.date.localeCompare(b.date) || EVENT_ORDER[a.type] - EVENT_ORDER[b.type]);
+
+    let lots = [];
+
+    for (const event of events) {
+      if (event.type === 'action') {
+        lots = applyCorporateAction(lots, event.action);
+      } else if (event.type === 'buy') {
+        lots.push({
+          id: event.buy.id,
+          corporateActionId: null,
+          date: event.buy.date,
+          price: event.buy.price,
+          chargePerShare: (event.buy.charges || 0) / event.buy.quantity,
+          quantity: event.buy.quantity,
+          availableQuantity: event.buy.quantity
+        });
+      } else {
+        const { buyTransactionId, corporateActionId, quantity } = event.consumption;
+        const key = getLotKey(buyTransactionId, corporateActionId);
+        const lot = lots.find(l => getLotKey(l.id, l.corporateActionId) === key);
+
+        if (lot) {
+          lot.availableQuantity -= quantity;
+          lots = lots.filter(l => l.availableQuantity > 0);
+        }
+      }
+    }
+
+    const openLots = asOf ? restateLotsAsOf(lots, actions, asOf) : lots;
+
+    return [...openLots].sort((a, b) => toDateKey(a.date).localeCompare(toDateKey(b.date)));
+  } catch (error) {
+    console.error('Failed to build open lots:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  CORPORATE_ACTION_TYPES,
+  DEMERGED_LOTS,
+  getLotKey,
+  getShareMultiplier,
+  allocateWholeShares,
+  validateCorporateAction,
+  combineDemergers,
+  deriveDemergerLots,
+  applyCorporateAction,
+  restateLotsAsOf,
+  buildOpenLots
+};
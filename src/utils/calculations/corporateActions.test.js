@@ -0,0 +1,219 @@
+const {
+  DEMERGED_LOTS,
+  allocateWholeShares,
+  validateCorporateAction,
+  deriveDemergerLots,
+  applyCorporateAction,
+  buildOpenLots
+} = require('./corporateActions');
+const FIFOCalculator = require('./fifoCalculator');
+
+describe('corporateActions', () => {
+  const split = { id: 10, actionType: 'SPLIT', oldShares: 1, newShares: 5, exDate: '2024-06-01' };
+  const bonus = { id: 11, actionType: 'BONUS', oldShares: 1, newShares: 1, exDate: '2024-09-01' };
+
+  describe('allocateWholeShares', () => {
+    test('credits floor of the total entitlement in FIFO order', () => {
+      expect(allocateWholeShares([1.5, 1.5, 1.5])).toEqual([1, 2, 1]);
+      expect(allocateWholeShares([0.1, 0.1, 0.1])).toEqual([0, 0, 0]);
+    });
+  });
+
+  describe('validateCorporateAction', () => {
+    test('rejects a split that reduces shares', () => {
+      expect(() => validateCorporateAction({ ...split, newShares: 1, oldShares: 2 }))
+        .toThrow('A split must increase the number of shares');
+    });
+
+    test('requires a cost share for demergers and an issue price for rights', () => {
+      expect(() => validateCorporateAction({ ...split, actionType: 'DEMERGER', newShares: 1, costRatio: 1 }))
+        .toThrow('between 0% and 100%');
+      expect(() => validateCorporateAction({ ...split, actionType: 'RIGHTS', newShares: 1 }))
+        .toThrow('issue price');
+      expect(validateCorporateAction({ ...split, actionType: 'DEMERGER', newShares: 1, costRatio: 0.27 }))
+        .toBe(true);
+    });
+
+    test('rejects unknown action types', () => {
+      expect(() => validateCorporateAction({ ...split, actionType: 'MERGER' }))
+        .toThrow('Invalid corporate action type');
+    });
+  });
+
+  describe('applyCorporateAction', () => {
+    const lots = [
+      { id: 1, corporateActionId: null, date: '2024-01-10', price: 1000, quantity: 10, availableQuantity: 10 },
+      { id: 2, corporateActionId: null, date: '2024-07-10', price: 250, quantity: 4, availableQuantity: 4 }
+    ];
+
+    test('split keeps the acquisition date and total cost', () => {
+      const adjusted = applyCorporateAction(lots, split);
+
+      expect(adjusted[0]).toMatchObject({ date: '2024-01-10', price: 200, availableQuantity: 50 });
+      expect(adjusted[0].price * adjusted[0].availableQuantity).toBe(10000);
+      // Bought after the ex-date - already in split units
+      expect(adjusted[1]).toEqual(lots[1]);
+    });
+
+    test('bonus adds nil-cost lots acquired on the ex-date', () => {
+      const adjusted = applyCorporateAction(lots, bonus);
+
+      expect(adjusted).toHaveLength(4);
+      expect(adjusted[0]).toEqual(lots[0]);
+      expect(adjusted[2]).toEqual({
+        id: 1,
+        corporateActionId: 11,
+        date: '2024-09-01',
+        price: 0,
+        quantity: 10,
+        availableQuantity: 10
+      });
+      expect(adjusted[3]).toMatchObject({ id: 2, corporateActionId: 11, availableQuantity: 4 });
+    });
+
+    test('consolidation drops fractional entitlements', () => {
+      const consolidation = { id: 12, actionType: 'CONSOLIDATION', oldShares: 10, newShares: 1, exDate: '2024-12-01' };
+      const adjusted = applyCorporateAction(lots, consolidation);
+
+      expect(adjusted.map(l => l.availableQuantity)).toEqual([1]);
+      expect(adjusted[0].price).toBe(10000);
+    });
+  });
+
+  describe('buildOpenLots', () => {
+    const buys = [
+      { id: 1, date: '2024-01-10', price: 1000, quantity: 10 },
+      { id: 2, date: '2024-07-10', price: 250, quantity: 4 }
+    ];
+
+    test('applies sells in the units of their sell date', () => {
+      const lots = buildOpenLots({
+        buys,
+        consumptions: [
+          // 2 shares sold before the split, 20 after
+          { buyTransactionId: 1, corporateActionId: null, quantity: 2, sellDate: '2024-03-01' },
+          { buyTransactionId: 1, corporateActionId: null, quantity: 20, sellDate: '2024-08-01' }
+        ],
+        actions: [split]
+      });
+
+      expect(lots.map(l => [l.id, l.availableQuantity, l.price])).toEqual([
+        [1, 20, 200],
+        [2, 4, 250]
+      ]);
+    });
+
+    test('tracks sells matched against bonus lots separately', () => {
+      const lots = buildOpenLots({
+        buys,
+        consumptions: [
+          { buyTransactionId: 1, corporateActionId: 11, quantity: 6, sellDate: '2024-10-01' }
+        ],
+        actions: [bonus]
+      });
+
+      expect(lots.map(l => [l.id, l.corporateActionId, l.availableQuantity])).toEqual([
+        [1, null, 10],
+        [2, null, 4],
+        [1, 11, 4],
+        [2, 11, 4]
+      ]);
+    });
+
+    test('restates lots to an earlier date for back-dated sells', () => {
+      const lots = buildOpenLots({ buys, actions: [split, bonus], asOf: '2024-05-01' });
+
+      expect(lots).toHaveLength(1);
+      expect(lots[0]).toMatchObject({ id: 1, price: 1000, availableQuantity: 10 });
+    });
+
+    test('FIFO sells original lots before bonus shares', () => {
+      const lots = buildOpenLots({ buys: [buys[0]], actions: [bonus] });
+      const fifo = FIFOCalculator.calculateFIFO(lots, 15, 600, '2025-03-01');
+
+      expect(fifo.matchedLots).toHaveLength(2);
+      expect(fifo.matchedLots[0]).toMatchObject({ buyDate: '2024-01-10', quantity: 10, classification: 'LTCG' });
+      expect(fifo.matchedLots[1]).toMatchObject({
+        buyTransactionId: 1,
+        corporateActionId: 11,
+        buyDate: '2024-09-01',
+        buyPrice: 0,
+        quantity: 5,
+        classification: 'STCG'
+      });
+    });
+  });
+
+  describe('demergers and rights', () => {
+    const demerger = { id: 20, actionType: 'DEMERGER', oldShares: 2, newShares: 1, exDate: '2024-06-01', costRatio: 0.3 };
+    const parentLots = [
+      { id: 1, corporateActionId: null, date: '2016-05-10', price: 100, quantity: 10, availableQuantity: 10 },
+      { id: 2, corporateActionId: null, date: '2024-02-10', price: 200, quantity: 5, availableQuantity: 5 }
+    ];
+
+    test('parent keeps its shares and date with the remaining cost', () => {
+      const adjusted = applyCorporateAction(parentLots, demerger);
+
+      expect(adjusted.map(l => [l.date, l.availableQuantity, l.price])).toEqual([
+        ['2016-05-10', 10, 70],
+        ['2024-02-10', 5, 140]
+      ]);
+    });
+
+    test('resulting lots inherit the acquisition date and apportioned cost', () => {
+      const derived = deriveDemergerLots(parentLots, demerger);
+
+      expect(derived).toEqual([
+        { id: 1, corporateActionId: 20, date: '2016-05-10', creditDate: '2024-06-01', price: 60, quantity: 5, availableQuantity: 5 },
+        { id: 2, corporateActionId: 20, date: '2024-02-10', creditDate: '2024-06-01', price: 150, quantity: 2, availableQuantity: 2 }
+      ]);
+    });
+
+    test('resulting company sells match demerged lots as long-term', () => {
+      const derivedLots = deriveDemergerLots(parentLots, demerger);
+      const lots = buildOpenLots({
+        buys: [{ id: 9, date: '2024-07-01', price: 80, quantity: 3 }],
+        actions: [{ id: 20, actionType: DEMERGED_LOTS, exDate: '2024-06-01', derivedLots }]
+      });
+      const fifo = FIFOCalculator.calculateFIFO(lots, 6, 90, '2024-09-02');
+
+      expect(fifo.matchedLots.map(l => [l.buyTransactionId, l.corporateActionId, l.quantity, l.classification])).toEqual([
+        [1, 20, 5, 'LTCG'],
+        [2, 20, 1, 'STCG']
+      ]);
+    });
+
+    test('back-dated sells see neither demerged lots nor the cost transfer', () => {
+      const derivedLots = deriveDemergerLots(parentLots, demerger);
+      const resulting = buildOpenLots({
+        actions: [{ id: 20, actionType: DEMERGED_LOTS, exDate: '2024-06-01', derivedLots }],
+        asOf: '2024-05-15'
+      });
+      const parent = buildOpenLots({
+        buys: parentLots.map(l => ({ id: l.id, date: l.date, price: l.price, quantity: l.quantity })),
+        actions: [demerger],
+        asOf: '2024-05-15'
+      });
+
+      expect(resulting).toEqual([]);
+      expect(parent.map(l => l.price)).toEqual([100, 200]);
+    });
+
+    test('a multi-way demerger moves the sum of its cost ratios', () => {
+      const second = { ...demerger, id: 22, costRatio: 0.2 };
+      const buys = parentLots.map(l => ({ id: l.id, date: l.date, price: l.price, quantity: l.quantity }));
+
+      const parent = buildOpenLots({ buys, actions: [demerger, second] });
+      const restated = buildOpenLots({ buys, actions: [demerger, second], asOf: '2024-05-15' });
+
+      expect(parent.map(l => l.price)).toEqual([50, 100]);
+      expect(restated.map(l => l.price)).toEqual([100, 200]);
+    });
+
+    test('rights issues leave lots unchanged', () => {
+      const rights = { id: 21, actionType: 'RIGHTS', oldShares: 5, newShares: 1, exDate: '2024-06-01', issuePrice: 90 };
+
+      expect(applyCorporateAction(parentLots, rights)).toBe(parentLots);
+    });
+  });
+});
@@ -1,12 +1,17 @@
 // FIFO (First In First Out) Calculator for stock portfolio
 // Implements chronological lot consumption for accurate capital gains calculation
 
+const { getTaxRulesForDate, getLTCGExemptionForFinancialYear } = require('./taxRules');
+const { getFinancialYear } = require('./financialYear');
+
 class FIFOCalculator {
   /**
    * Calculate FIFO for a sell transaction
-   * Returns matched buy lots with holding periods and gains
+   * Returns matched buy lots with holding periods and gains. Buy charges
+   * (lot.chargePerShare) add to each lot's cost and the sell charges are
+   * apportioned across the lots by quantity and deducted from proceeds.
    */
-  static calculateFIFO(buyLots, sellQuantity, sellPrice, sellDate) {
+  static calculateFIFO(buyLots, sellQuantity, sellPrice, sellDate, sellCharges = 0) {
     try {
       if (!buyLots || buyLots.length === 0) {
         throw new Error('No buy lots available');
@@ -24,24 +29,38 @@ class FIFOCalculator {
       const matchedLots = [];
       let remainingQuantity = sellQuantity;
       let totalCost = 0;
+      let chargesLeft = sellCharges || 0;
 
       // Match lots chronologically (FIFO)
       for (const lot of sortedLots) {
         if (remainingQuantity <= 0) break;
 
         const quantityFromLot = Math.min(remainingQuantity, lot.availableQuantity);
+        const buyCharges = quantityFromLot * (lot.chargePerShare || 0);
+
+        // The last lot takes what is left so the parts add up to the total
+        const lotSellCharges = quantityFromLot === remainingQuantity
+          ? chargesLeft
+          : (sellCharges || 0) * quantityFromLot / sellQuantity;
+        chargesLeft -= lotSellCharges;
+
+        const cost = quantityFromLot * lot.price + buyCharges;
+        const proceeds = quantityFromLot * sellPrice - lotSellCharges;
 
         const matchedLot = {
           buyTransactionId: lot.id, // Preserve the buy transaction ID
+          corporateActionId: lot.corporateActionId || null, // Set for bonus lots
           buyDate: lot.date,
           buyPrice: lot.price,
+          buyCharges,
           quantity: quantityFromLot,
-          cost: quantityFromLot * lot.price,
+          cost,
           sellDate: sellDate,
           sellPrice: sellPrice,
-          proceeds: quantityFromLot * sellPrice,
+          sellCharges: lotSellCharges,
+          proceeds,
           holdingPeriod: this.calculateHoldingPeriod(lot.date, sellDate),
-          gainLoss: (quantityFromLot * sellPrice) - (quantityFromLot * lot.price)
+          gainLoss: proceeds - cost
         };
 
         // Classify as STCG or LTCG
@@ -56,12 +75,14 @@ class FIFOCalculator {
         throw new Error(`Insufficient quantity. Need ${remainingQuantity} more shares`);
       }
 
+      const totalProceeds = sellQuantity * sellPrice - (sellCharges || 0);
+
       return {
         matchedLots,
         totalQuantity: sellQuantity,
         totalCost,
-        totalProceeds: sellQuantity * sellPrice,
-        totalGainLoss: (sellQuantity * sellPrice) - totalCost,
+        totalProceeds,
+        totalGainLoss: totalProceeds - totalCost,
         averageCost: totalCost / sellQuantity
       };
     } catch (error) {
@@ -104,28 +125,27 @@ class FIFOCalculator {
 
   /**
    * Calculate tax on capital gains
-   * India tax rates: STCG = 20%, LTCG = 10% (above ₹1 lakh exemption)
+   * Rates come from the rules in force on the sell date and the LTCG
+   * exemption from the sell date's financial year (see taxRules.js)
    */
-  static calculateTax(gainLoss, classification, financialYearLTCGGains = 0) {
+  static calculateTax(gainLoss, classification, financialYearLTCGGains = 0, sellDate = new Date()) {
     try {
       if (gainLoss <= 0) {
         return 0; // No tax on losses
       }
 
-      if (classification === 'LTCG') {
-        // LTCG: 10% tax with ₹1 lakh exemption per financial year
-        const LTCG_EXEMPTION = 100000; // ₹1 lakh
-        const LTCG_TAX_RATE = 0.10; // 10%
+      const rules = getTaxRulesForDate(sellDate);
 
-        const taxableAmount = Math.max(0, (financialYearLTCGGains + gainLoss) - LTCG_EXEMPTION);
-        const tax = taxableAmount * LTCG_TAX_RATE;
+      if (classification === 'LTCG') {
+        // LTCG: taxed above the annual exemption per financial year
+        const exemption = getLTCGExemptionForFinancialYear(getFinancialYear(sellDate));
+        const taxableAmount = Math.max(0, (financialYearLTCGGains + gainLoss) - exemption);
+        const tax = taxableAmount * rules.ltcgRate;
 
         return tax;
       } else {
-        // STCG: 20% tax (added to income, taxed as per slab)
-        // For simplicity, using flat 20% rate
-        const STCG_TAX_RATE = 0.20; // 20%
-        return gainLoss * STCG_TAX_RATE;
+        // STCG: flat Section 111A rate
+        return gainLoss * rules.stcgRate;
       }
     } catch (error) {
       console.error('Tax calculation failed:', error);
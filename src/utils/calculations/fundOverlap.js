@@ -0,0 +1,111 @@
+// Portfolio overlap
+// Two portfolios overlap by the weight they hold in common: for each stock
+// both hold, the smaller of the two weights, summed. Identical portfolios
+// overlap 100%, portfolios without a common stock 0%.
+
+/**
+ * Round a percentage to two decimals
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calculate the overlap of two sets of stock weights
+ * @param {Map} weightsA - Map of symbol -> { weight, name } with weights in %
+ * @param {Map} weightsB - Map of symbol -> { weight, name } with weights in %
+ * @returns {Object} - { overlapPercent, commonStocks } where commonStocks are
+ *   [{ stockSymbol, stockName, weightA, weightB }], largest common weight first
+ */
+function calculateOverlap(weightsA, weightsB) {
+  let overlap = 0;
+  const commonStocks = [];
+
+  for (const [stockSymbol, a] of weightsA) {
+    const b = weightsB.get(stockSymbol);
+    if (!b || a.weight <= 0 || b.weight <= 0) {
+      continue;
+    }
+
+    overlap += Math.min(a.weight, b.weight);
+    commonStocks.push({
+      stockSymbol,
+      stockName: a.name || b.name || stockSymbol,
+      weightA: round2(a.weight),
+      weightB: round2(b.weight)
+    });
+  }
+
+  commonStocks.sort((x, y) => Math.min(y.weightA, y.weightB) - Math.min(x.weightA, x.weightB));
+
+  return { overlapPercent: round2(overlap), commonStocks };
+}
+
+/**
+ * Build the pairwise overlap matrix of a set of portfolios
+ * @param {Array} portfolios - [{ key, weights }] with weights as for calculateOverlap
+ * @returns {Array} - Square matrix of overlapPercent, with null on the diagonal
+ */
+function buildOverlapMatrix(portfolios) {
+  const matrix = portfolios.map(() => portfolios.map(() => null));
+
+  for (let i = 0; i < portfolios.length; i++) {
+    for (let j = i + 1; j < portfolios.length; j++) {
+      const { overlapPercent } = calculateOverlap(portfolios[i].weights, portfolios[j].weights);
+      matrix[i][j] = overlapPercent;
+      matrix[j][i] = overlapPercent;
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Find stocks whose combined direct and look-through weight exceeds a threshold
+ * Only stocks reached at least partly through funds are listed; hiddenOnly
+ * marks those whose direct holding alone stays within the threshold
+ * @param {Array} holdings - [{ stockSymbol, stockName, directValue,
+ *   indirectValue, breakdown: [{ mutualFundId, mutualFundName, value }] }]
+ * @param {number} totalValue - Direct stocks plus mutual fund value
+ * @param {number} threshold - Combined weight (%) to flag above
+ * @returns {Array} - [{ stockSymbol, stockName, directPercent, indirectPercent,
+ *   combinedPercent, hiddenOnly, funds: [{ mutualFundId, mutualFundName, percent }] }]
+ */
+function findHiddenConcentration(holdings, totalValue, threshold) {
+  if (!(totalValue > 0)) {
+    return [];
+  }
+
+  const toPercent = (value) => (value / totalValue) * 100;
+
+  return holdings
+    .filter(holding => holding.indirectValue > 0)
+    .map(holding => {
+      const directPercent = toPercent(holding.directValue);
+      const combinedPercent = toPercent(holding.directValue + holding.indirectValue);
+
+      return {
+        stockSymbol: holding.stockSymbol,
+        stockName: holding.stockName,
+        directPercent: round2(directPercent),
+        indirectPercent: round2(toPercent(holding.indirectValue)),
+        combinedPercent: round2(combinedPercent),
+        hiddenOnly: directPercent <= threshold,
+        funds: holding.breakdown
+          .map(fund => ({
+            mutualFundId: fund.mutualFundId,
+            mutualFundName: fund.mutualFundName,
+            percent: round2(toPercent(fund.value))
+          }))
+          .sort((a, b) => b.percent - a.percent)
+      };
+    })
+    .filter(holding => holding.combinedPercent > threshold)
+    .sort((a, b) => b.combinedPercent - a.combinedPercent);
+}
+
+module.exports = {
+  calculateOverlap,
+  buildOverlapMatrix,
+  findHiddenConcentration
+};
@@ -0,0 +1,98 @@
+const { calculateOverlap, buildOverlapMatrix, findHiddenConcentration } = require('./fundOverlap');
+
+const weightsOf = (entries) => new Map(
+  Object.entries(entries).map(([symbol, weight]) => [symbol, { weight, name: `${symbol} Ltd` }])
+);
+
+describe('fundOverlap', () => {
+  describe('calculateOverlap', () => {
+    test('sums the smaller weight of each common stock', () => {
+      const { overlapPercent, commonStocks } = calculateOverlap(
+        weightsOf({ '500209': 8, '500325': 10, '532174': 6 }),
+        weightsOf({ '500209': 5, '500325': 9, '500180': 12 })
+      );
+
+      expect(overlapPercent).toBe(14);
+      expect(commonStocks.map(stock => [stock.stockSymbol, stock.weightA, stock.weightB])).toEqual([
+        ['500325', 10, 9],
+        ['500209', 8, 5]
+      ]);
+    });
+
+    test('is 100% for identical portfolios and 0% without common stocks', () => {
+      const fund = weightsOf({ '500209': 60, '500325': 40 });
+
+      expect(calculateOverlap(fund, fund).overlapPercent).toBe(100);
+      expect(calculateOverlap(fund, weightsOf({ '532174': 100 }))).toEqual({ overlapPercent: 0, commonStocks: [] });
+    });
+  });
+
+  describe('buildOverlapMatrix', () => {
+    test('fills a symmetric matrix with an empty diagonal', () => {
+      const matrix = buildOverlapMatrix([
+        { key: 1, weights: weightsOf({ '500209': 50, '500325': 50 }) },
+        { key: 2, weights: weightsOf({ '500209': 30, '532174': 70 }) },
+        { key: 3, weights: weightsOf({ '500180': 100 }) }
+      ]);
+
+      expect(matrix).toEqual([
+        [null, 30, 0],
+        [30, null, 0],
+        [0, 0, null]
+      ]);
+    });
+  });
+
+  describe('findHiddenConcentration', () => {
+    const holdings = [
+      {
+        stockSymbol: '500209',
+        stockName: 'Infosys Ltd',
+        directValue: 40000,
+        indirectValue: 30000,
+        breakdown: [
+          { mutualFundId: 1, mutualFundName: 'Large Cap Fund', value: 10000 },
+          { mutualFundId: 2, mutualFundName: 'Flexi Cap Fund', value: 20000 }
+        ]
+      },
+      {
+        stockSymbol: '500325',
+        stockName: 'Reliance Industries Ltd',
+        directValue: 100000,
+        indirectValue: 5000,
+        breakdown: [{ mutualFundId: 1, mutualFundName: 'Large Cap Fund', value: 5000 }]
+      },
+      {
+        stockSymbol: '532174',
+        stockName: 'ICICI Bank Ltd',
+        directValue: 90000,
+        indirectValue: 0,
+        breakdown: []
+      }
+    ];
+
+    test('lists stocks reached through funds whose combined weight passes the threshold', () => {
+      const concentration = findHiddenConcentration(holdings, 1000000, 5);
+
+      expect(concentration).toEqual([
+        expect.objectContaining({ stockSymbol: '500325', combinedPercent: 10.5, hiddenOnly: false }),
+        {
+          stockSymbol: '500209',
+          stockName: 'Infosys Ltd',
+          directPercent: 4,
+          indirectPercent: 3,
+          combinedPercent: 7,
+          hiddenOnly: true,
+          funds: [
+            { mutualFundId: 2, mutualFundName: 'Flexi Cap Fund', percent: 2 },
+            { mutualFundId: 1, mutualFundName: 'Large Cap Fund', percent: 1 }
+          ]
+        }
+      ]);
+    });
+
+    test('returns nothing without a portfolio value', () => {
+      expect(findHiddenConcentration(holdings, 0, 5)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+// Mutual fund capital gains
+// Redemptions are matched to purchase units first in, first out. Equity-oriented
+// funds follow the listed equity rules (Sections 111A and 112A); debt funds
+// follow the holding periods of the year they were bought and sold in.
+
+const FIFOCalculator = require('./fifoCalculator');
+const { toDateKey } = require('./taxRules');
+
+// Debt fund units bought from this date are "specified mutual funds"
+// (Section 50AA): every gain is short-term and taxed at slab rates
+const SPECIFIED_FUND_DATE = '2023-04-01';
+
+// Debt fund units sold from this date are long-term after 24 months instead of 36
+const DEBT_HOLDING_CHANGE_DATE = '2024-07-23';
+
+// Units are compared with this tolerance so rounded statements still balance
+const UNIT_EPSILON = 0.0005;
+
+// AMFI scheme categories taxed as equity-oriented funds
+const EQUITY_CATEGORY = /equity scheme|elss|aggressive hybrid|arbitrage|equity savings/i;
+const DEBT_CATEGORY = /debt scheme|liquid|money market|gilt|overnight|conservative hybrid|income/i;
+
+/**
+ * Work out a fund's tax category from its AMFI scheme category
+ * @param {string|null} category - e.g. "Open Ended Schemes(Equity Scheme - Large Cap Fund)"
+ * @returns {string|null} - 'EQUITY', 'DEBT' or null when the category does not say
+ */
+function classifyScheme(category) {
+  if (!category) {
+    return null;
+  }
+  if (EQUITY_CATEGORY.test(category)) {
+    return 'EQUITY';
+  }
+  if (DEBT_CATEGORY.test(category)) {
+    return 'DEBT';
+  }
+  return null;
+}
+
+/**
+ * Classify a gain on units of a fund
+ * @param {string} taxCategory - 'EQUITY' or 'DEBT'
+ * @param {string} buyDate - Purchase date (YYYY-MM-DD)
+ * @param {string} sellDate - Redemption date (YYYY-MM-DD)
+ * @returns {Object} - { classification: 'STCG' | 'LTCG', slabRate } where
+ *   slabRate marks gains taxed at the investor's income tax slab
+ */
+function classifyFundGain(taxCategory, buyDate, sellDate) {
+  const holdingPeriod = FIFOCalculator.calculateHoldingPeriod(buyDate, sellDate);
+
+  if (taxCategory === 'EQUITY') {
+    return { classification: FIFOCalculator.classifyGain(holdingPeriod), slabRate: false };
+  }
+
+  if (toDateKey(buyDate) >= SPECIFIED_FUND_DATE) {
+    return { classification: 'STCG', slabRate: true };
+  }
+
+  const longTermDays = toDateKey(sellDate) >= DEBT_HOLDING_CHANGE_DATE ? 730 : 1095;
+  return holdingPeriod > longTermDays
+    ? { classification: 'LTCG', slabRate: false }
+    : { classification: 'STCG', slabRate: true };
+}
+
+/**
+ * Match a fund's redemptions to its purchases
+ * Purchases and SIP instalments open lots whose cost includes stamp duty;
+ * each redemption consumes the oldest units first
+ * @param {Array} transactions - [{ id, transaction_type, transaction_date, units, nav, amount, stamp_duty }]
+ * @param {string} taxCategory - 'EQUITY' or 'DEBT'
+ * @returns {Object} - { openLots, realized } where openLots are
+ *   [{ transactionId, date, units, costPerUnit }] and realized are
+ *   [{ redemptionId, buyDate, sellDate, units, cost, proceeds, gainLoss,
+ *   holdingPeriod, classification, slabRate }]
+ */
+function matchRedemptions(transactions, taxCategory) {
+  const ordered = [...transactions].sort((a, b) => (
+    a.transaction_date.localeCompare(b.transaction_date) ||
+    // Buys on a redemption day are available to it
+    (a.transaction_type === 'REDEMPTION' ? 1 : 0) - (b.transaction_type === 'REDEMPTION' ? 1 : 0) ||
+    a.id - b.id
+  ));
+
+  const openLots = [];
+  const realized = [];
+
+  for (const txn of ordered) {
+    if (txn.transaction_type !== 'REDEMPTION') {
+      openLots.push({
+        transactionId: txn.id,
+        date: txn.transaction_date,
+        units: txn.units,
+        costPerUnit: (txn.amount + (txn.stamp_duty || 0)) / txn.units
+      });
+      continue;
+    }
+
+    let remaining = txn.units;
+    const proceedsPerUnit = txn.amount / txn.units;
+
+    while (remaining > UNIT_EPSILON) {
+      const lot = openLots[0];
+      if (!lot) {
+        throw new Error(`Redemption on ${txn.transaction_date} is ${Math.round(remaining * 1000) / 1000} units more than the units held`);
+      }
+
+      const units = Math.min(remaining, lot.units);
+      const cost = units * lot.costPerUnit;
+      const proceeds = units * proceedsPerUnit;
+
+      realized.push({
+        redemptionId: txn.id,
+        buyDate: lot.date,
+        sellDate: txn.transaction_date,
+        units,
+        cost,
+        proceeds,
+        gainLoss: proceeds - cost,
+        holdingPeriod: FIFOCalculator.calculateHoldingPeriod(lot.date, txn.transaction_date),
+        ...classifyFundGain(taxCategory, lot.date, txn.transaction_date)
+      });
+
+      lot.units -= units;
+      remaining -= units;
+      if (lot.units <= UNIT_EPSILON) {
+        openLots.shift();
+      }
+    }
+  }
+
+  return { openLots, realized };
+}
+
+module.exports = {
+  SPECIFIED_FUND_DATE,
+  classifyScheme,
+  classifyFundGain,
+  matchRedemptions
+};
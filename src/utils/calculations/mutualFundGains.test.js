@@ -0,0 +1,67 @@
+const { classifyScheme, classifyFundGain, matchRedemptions } = require('./mutualFundGains');
+
+describe('mutualFundGains', () => {
+  describe('classifyScheme', () => {
+    test('reads the tax category from the AMFI scheme category', () => {
+      expect(classifyScheme('Open Ended Schemes(Equity Scheme - Large Cap Fund)')).toBe('EQUITY');
+      expect(classifyScheme('Open Ended Schemes(Hybrid Scheme - Arbitrage Fund)')).toBe('EQUITY');
+      expect(classifyScheme('Open Ended Schemes(Debt Scheme - Liquid Fund)')).toBe('DEBT');
+      expect(classifyScheme('Open Ended Schemes(Other Scheme - FoF Overseas)')).toBeNull();
+      expect(classifyScheme(null)).toBeNull();
+    });
+  });
+
+  describe('classifyFundGain', () => {
+    test('treats equity funds as long-term after twelve months', () => {
+      expect(classifyFundGain('EQUITY', '2023-06-01', '2024-06-01').classification).toBe('LTCG');
+      expect(classifyFundGain('EQUITY', '2023-06-01', '2024-05-31')).toEqual({ classification: 'STCG', slabRate: false });
+    });
+
+    test('taxes debt units bought from April 2023 at slab rates however long they are held', () => {
+      expect(classifyFundGain('DEBT', '2023-04-01', '2026-06-01')).toEqual({ classification: 'STCG', slabRate: true });
+    });
+
+    test('applies 36 months to older debt units sold before 23-Jul-2024 and 24 months after', () => {
+      expect(classifyFundGain('DEBT', '2022-01-10', '2024-07-22').classification).toBe('STCG');
+      expect(classifyFundGain('DEBT', '2022-01-10', '2024-07-23')).toEqual({ classification: 'LTCG', slabRate: false });
+      expect(classifyFundGain('DEBT', '2021-01-10', '2024-03-01').classification).toBe('LTCG');
+    });
+  });
+
+  describe('matchRedemptions', () => {
+    const transactions = [
+      { id: 1, transaction_type: 'PURCHASE', transaction_date: '2023-01-10', units: 100, nav: 50, amount: 5000, stamp_duty: 0.25 },
+      { id: 2, transaction_type: 'SIP', transaction_date: '2023-02-10', units: 40, nav: 50, amount: 2000, stamp_duty: 0.1 },
+      { id: 3, transaction_type: 'REDEMPTION', transaction_date: '2024-01-20', units: 120, nav: 60, amount: 7200, stamp_duty: 0 }
+    ];
+
+    test('redeems the oldest units first and keeps the rest open', () => {
+      const { openLots, realized } = matchRedemptions(transactions, 'EQUITY');
+
+      expect(realized.map(r => [r.buyDate, r.units, r.classification])).toEqual([
+        ['2023-01-10', 100, 'LTCG'],
+        ['2023-02-10', 20, 'STCG']
+      ]);
+      // Stamp duty is part of the cost
+      expect(realized[0].cost).toBeCloseTo(5000.25, 2);
+      expect(realized[0].gainLoss).toBeCloseTo(999.75, 2);
+      expect(openLots).toEqual([{ transactionId: 2, date: '2023-02-10', units: 20, costPerUnit: 50.0025 }]);
+    });
+
+    test('rejects redeeming more units than are held', () => {
+      expect(() => matchRedemptions([
+        ...transactions,
+        { id: 4, transaction_type: 'REDEMPTION', transaction_date: '2024-02-01', units: 25, nav: 60, amount: 1500 }
+      ], 'EQUITY')).toThrow('5 units more than the units held');
+    });
+
+    test('lets a redemption use units bought the same day', () => {
+      const { openLots } = matchRedemptions([
+        { id: 9, transaction_type: 'REDEMPTION', transaction_date: '2024-01-10', units: 10, nav: 20, amount: 200 },
+        { id: 8, transaction_type: 'PURCHASE', transaction_date: '2024-01-10', units: 10, nav: 20, amount: 200 }
+      ], 'DEBT');
+
+      expect(openLots).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+// Tax-Loss Harvesting Calculator for Indian listed equity
+// Proposes FIFO sells of open lots whose losses offset realized gains for the year
+
+const FIFOCalculator = require('./fifoCalculator');
+const { getTaxRulesForDate, getLTCGExemptionForFinancialYear, applyGrandfathering } = require('./taxRules');
+
+// Round-trip charges for selling and buying back at market (delivery)
+// Estimates only - brokerage depends on the broker plan
+const WASH_OUT_COST_RATES = {
+  stt: 0.001, // 0.1% on both buy and sell
+  exchange: 0.0000375, // Exchange transaction charges, each side
+  stampDuty: 0.00015, // 0.015% on buy
+  gst: 0.18 // On exchange charges
+};
+
+class TaxLossHarvestingCalculator {
+  /**
+   * Find the FIFO sell quantity that books the largest net loss for a holding
+   * Selling always consumes the oldest lots first, so a candidate is a prefix of
+   * the lots in FIFO order. Contributions within a lot are linear, so the best
+   * prefix always ends on a lot boundary.
+   * @param {Array} lots - Open lots [{ id, date, price, availableQuantity }]
+   * @param {number} currentPrice - Current market price
+   * @param {string|Date} sellDate - Assumed sell date
+   * @param {number|null} fmv - 31-Jan-2018 FMV for grandfathering
+   * @returns {Object|null} - { quantity, matchedLots, shortTerm, longTerm, netGainLoss } or null
+   */
+  static findHarvestCandidate(lots, currentPrice, sellDate, fmv = null) {
+    if (!lots || lots.length === 0 || !currentPrice || currentPrice <= 0) {
+      return null;
+    }
+
+    const sortedLots = [...lots].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let quantity = 0;
+    let cumulative = 0;
+    let bestQuantity = 0;
+    let bestNet = 0;
+
+    for (const lot of sortedLots) {
+      quantity += lot.availableQuantity;
+      cumulative += (currentPrice - lot.price) * lot.availableQuantity;
+
+      if (cumulative < bestNet) {
+        bestNet = cumulative;
+        bestQuantity = quantity;
+      }
+    }
+
+    if (bestQuantity === 0) {
+      return null;
+    }
+
+    const fifo = FIFOCalculator.calculateFIFO(sortedLots, bestQuantity, currentPrice, sellDate);
+    const matchedLots = fifo.matchedLots.map(lot => applyGrandfathering(lot, fmv));
+
+    let shortTerm = 0;
+    let longTerm = 0;
+    for (const lot of matchedLots) {
+      if (lot.classification === 'LTCG') {
+        longTerm += lot.gainLoss;
+      } else {
+        shortTerm += lot.gainLoss;
+      }
+    }
+
+    return {
+      quantity: bestQuantity,
+      matchedLots,
+      shortTerm,
+      longTerm,
+      netGainLoss: shortTerm + longTerm
+    };
+  }
+
+  /**
+   * Calculate tax after Section 70/71 set-off
+   * Short-term losses offset STCG first and then LTCG; long-term losses
+   * only offset LTCG. The LTCG exemption applies after set-off.
+   * @param {number} stcg - Net short-term gain/loss
+   * @param {number} ltcg - Net long-term gain/loss
+   * @param {Object} rules - Tax rules ({ stcgRate, ltcgRate })
+   * @param {number} exemption - LTCG exemption for the year
+   * @returns {Object} - { taxableSTCG, taxableLTCG, stcgTax, ltcgTax, totalTax }
+   */
+  static calculateSetOffTax(stcg, ltcg, rules, exemption) {
+    let shortTerm = stcg;
+    let longTerm = ltcg;
+
+    if (shortTerm < 0) {
+      longTerm += shortTerm;
+      shortTerm = 0;
+    }
+
+    const taxableSTCG = shortTerm;
+    const taxableLTCG = Math.max(0, longTerm - exemption);
+    const stcgTax = taxableSTCG * rules.stcgRate;
+    const ltcgTax = taxableLTCG * rules.ltcgRate;
+
+    return {
+      taxableSTCG,
+      taxableLTCG,
+      stcgTax,
+      ltcgTax,
+      totalTax: stcgTax + ltcgTax
+    };
+  }
+
+  /**
+   * Estimate the cost of selling and buying back the same quantity
+   * @param {number} quantity - Shares sold and bought back
+   * @param {number} price - Market price
+   * @param {number} brokerageRate - Brokerage per side as a fraction of value
+   * @returns {number} - Estimated round-trip charges
+   */
+  static estimateWashOutCost(quantity, price, brokerageRate = 0) {
+    const value = quantity * price;
+    const stt = value * WASH_OUT_COST_RATES.stt * 2;
+    const exchange = value * WASH_OUT_COST_RATES.exchange * 2;
+    const stampDuty = value * WASH_OUT_COST_RATES.stampDuty;
+    const brokerage = value * brokerageRate * 2;
+    const gst = (exchange + brokerage) * WASH_OUT_COST_RATES.gst;
+
+    return stt + exchange + stampDuty + brokerage + gst;
+  }
+
+  /**
+   * Build a harvesting plan for the financial year
+   * Candidates are added largest loss first while they still reduce tax by more
+   * than their wash-out cost.
+   * @param {Object} params
+   * @param {string} params.financialYear - e.g. "2025-26"
+   * @param {number} params.realizedSTCG - Net realized STCG for the year
+   * @param {number} params.realizedLTCG - Net realized LTCG for the year
+   * @param {Array} params.holdings - [{ stockId, symbol, name, currentPrice, fmv, lots }]
+   * @param {string|Date} params.asOf - Assumed sell date (defaults to today)
+   * @param {number} params.brokerageRate - Brokerage per side (fraction)
+   * @returns {Object} - Plan with proposals and before/after tax
+   */
+  static buildPlan({ financialYear, realizedSTCG, realizedLTCG, holdings, asOf = new Date(), brokerageRate = 0 }) {
+    try {
+      const rules = getTaxRulesForDate(asOf);
+      const exemption = getLTCGExemptionForFinancialYear(financialYear);
+      const before = this.calculateSetOffTax(realizedSTCG, realizedLTCG, rules, exemption);
+
+      // Find the best FIFO harvest for every holding that is under water
+      const candidates = [];
+      for (const holding of holdings || []) {
+        const candidate = this.findHarvestCandidate(
+          holding.lots,
+          holding.currentPrice,
+          asOf,
+          holding.fmv
+        );
+
+        if (candidate && candidate.netGainLoss < 0) {
+          candidates.push({
+            stockId: holding.stockId,
+            symbol: holding.symbol,
+            name: holding.name,
+            currentPrice: holding.currentPrice,
+            ...candidate,
+            proceeds: candidate.quantity * holding.currentPrice,
+            washOutCost: this.estimateWashOutCost(candidate.quantity, holding.currentPrice, brokerageRate)
+          });
+        }
+      }
+
+      // Largest loss first
+      candidates.sort((a, b) => a.netGainLoss - b.netGainLoss);
+
+      const proposals = [];
+      let stcg = realizedSTCG;
+      let ltcg = realizedLTCG;
+      let currentTax = before.totalTax;
+
+      for (const candidate of candidates) {
+        if (currentTax <= 0) break;
+
+        const nextSTCG = stcg + candidate.shortTerm;
+        const nextLTCG = ltcg + candidate.longTerm;
+        const nextTax = this.calculateSetOffTax(nextSTCG, nextLTCG, rules, exemption).totalTax;
+        const taxSaved = currentTax - nextTax;
+
+        if (taxSaved <= candidate.washOutCost) {
+          continue;
+        }
+
+        proposals.push({
+          ...candidate,
+          taxSaved,
+          netBenefit: taxSaved - candidate.washOutCost
+        });
+
+        stcg = nextSTCG;
+        ltcg = nextLTCG;
+        currentTax = nextTax;
+      }
+
+      const after = this.calculateSetOffTax(stcg, ltcg, rules, exemption);
+      const washOutCost = proposals.reduce((sum, p) => sum + p.washOutCost, 0);
+      const harvestedLoss = proposals.reduce((sum, p) => sum + p.netGainLoss, 0);
+
+      return {
+        financialYear,
+        asOf: new Date(asOf).toISOString(),
+        rates: {
+          stcgRate: rules.stcgRate,
+          ltcgRate: rules.ltcgRate,
+          ltcgExemption: exemption
+        },
+        realized: {
+          stcg: realizedSTCG,
+          ltcg: realizedLTCG,
+          ...before
+        },
+        proposals,
+        lossPositions: candidates.length,
+        summary: {
+          harvestedLoss,
+          taxBefore: before.totalTax,
+          taxAfter: after.totalTax,
+          taxSaved: before.totalTax - after.totalTax,
+          washOutCost,
+          netBenefit: before.totalTax - after.totalTax - washOutCost
+        }
+      };
+    } catch (error) {
+      console.error('Tax-loss harvesting plan failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TaxLossHarvestingCalculator;
@@ -0,0 +1,122 @@
+const TaxLossHarvestingCalculator = require('./taxLossHarvesting');
+
+describe('TaxLossHarvestingCalculator', () => {
+  const asOf = '2025-11-15';
+  const rules = { stcgRate: 0.20, ltcgRate: 0.125 };
+
+  describe('findHarvestCandidate', () => {
+    test('takes the FIFO prefix with the largest loss', () => {
+      const lots = [
+        { id: 1, date: '2025-01-10', price: 120, availableQuantity: 10 },
+        { id: 2, date: '2025-03-10', price: 90, availableQuantity: 10 },
+        { id: 3, date: '2025-06-10', price: 130, availableQuantity: 10 }
+      ];
+
+      // Prefix losses at price 100: -200, -100, -400
+      const candidate = TaxLossHarvestingCalculator.findHarvestCandidate(lots, 100, asOf);
+
+      expect(candidate.quantity).toBe(30);
+      expect(candidate.netGainLoss).toBe(-400);
+      expect(candidate.matchedLots.map(l => l.buyTransactionId)).toEqual([1, 2, 3]);
+    });
+
+    test('returns null when no FIFO prefix is at a loss', () => {
+      const lots = [
+        { id: 1, date: '2024-01-10', price: 50, availableQuantity: 10 },
+        { id: 2, date: '2025-03-10', price: 110, availableQuantity: 5 }
+      ];
+
+      expect(TaxLossHarvestingCalculator.findHarvestCandidate(lots, 100, asOf)).toBeNull();
+    });
+
+    test('splits the loss by holding period', () => {
+      const lots = [
+        { id: 1, date: '2023-01-10', price: 150, availableQuantity: 10 },
+        { id: 2, date: '2025-06-10', price: 120, availableQuantity: 10 }
+      ];
+
+      const candidate = TaxLossHarvestingCalculator.findHarvestCandidate(lots, 100, asOf);
+
+      expect(candidate.longTerm).toBe(-500);
+      expect(candidate.shortTerm).toBe(-200);
+    });
+  });
+
+  describe('calculateSetOffTax', () => {
+    test('short-term losses offset LTCG after STCG', () => {
+      const result = TaxLossHarvestingCalculator.calculateSetOffTax(-50000, 300000, rules, 125000);
+
+      expect(result.taxableSTCG).toBe(0);
+      expect(result.taxableLTCG).toBe(125000);
+      expect(result.totalTax).toBeCloseTo(15625);
+    });
+
+    test('long-term losses do not offset STCG', () => {
+      const result = TaxLossHarvestingCalculator.calculateSetOffTax(100000, -40000, rules, 125000);
+
+      expect(result.stcgTax).toBeCloseTo(20000);
+      expect(result.ltcgTax).toBe(0);
+    });
+  });
+
+  describe('buildPlan', () => {
+    test('proposes harvests that save more tax than they cost', () => {
+      const plan = TaxLossHarvestingCalculator.buildPlan({
+        financialYear: '2025-26',
+        realizedSTCG: 50000,
+        realizedLTCG: 0,
+        asOf,
+        holdings: [
+          {
+            stockId: 1,
+            symbol: 'LOSER',
+            currentPrice: 100,
+            lots: [{ id: 11, date: '2025-05-01', price: 150, availableQuantity: 500 }]
+          },
+          {
+            stockId: 2,
+            symbol: 'WINNER',
+            currentPrice: 100,
+            lots: [{ id: 21, date: '2025-05-01', price: 80, availableQuantity: 500 }]
+          }
+        ]
+      });
+
+      expect(plan.summary.taxBefore).toBeCloseTo(10000);
+      expect(plan.proposals).toHaveLength(1);
+      expect(plan.proposals[0].symbol).toBe('LOSER');
+      expect(plan.proposals[0].shortTerm).toBe(-25000);
+      expect(plan.proposals[0].taxSaved).toBeCloseTo(5000);
+      expect(plan.summary.taxAfter).toBeCloseTo(5000);
+      expect(plan.summary.netBenefit).toBeCloseTo(5000 - plan.proposals[0].washOutCost);
+    });
+
+    test('proposes nothing when no tax is due', () => {
+      const plan = TaxLossHarvestingCalculator.buildPlan({
+        financialYear: '2025-26',
+        realizedSTCG: 0,
+        realizedLTCG: 100000,
+        asOf,
+        holdings: [
+          {
+            stockId: 1,
+            symbol: 'LOSER',
+            currentPrice: 100,
+            lots: [{ id: 11, date: '2025-05-01', price: 150, availableQuantity: 100 }]
+          }
+        ]
+      });
+
+      expect(plan.summary.taxBefore).toBe(0);
+      expect(plan.proposals).toHaveLength(0);
+      expect(plan.lossPositions).toBe(1);
+    });
+  });
+
+  test('estimateWashOutCost includes STT on both sides and stamp duty on the buy', () => {
+    const cost = TaxLossHarvestingCalculator.estimateWashOutCost(100, 1000);
+
+    // 200 STT + 7.5 exchange + 15 stamp duty + 1.35 GST
+    expect(cost).toBeCloseTo(223.85);
+  });
+});
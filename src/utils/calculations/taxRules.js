@@ -0,0 +1,313 @@
+// Capital gains tax rules for listed equity shares (Sections 111A and 112A)
+// Rates change with Union Budgets, so every rule set is keyed by the sell date
+// it takes effect from. Past years stay reproducible as long as old entries
+// are never edited - add a new entry instead.
+
+const TAX_RULES = [
+  {
+    id: 'pre-budget-2024',
+    label: 'Before 23-Jul-2024',
+    effectiveFrom: '1900-01-01',
+    stcgRate: 0.15,
+    ltcgRate: 0.10,
+    ltcgExemption: 100000
+  },
+  {
+    id: 'budget-2024',
+    label: 'From 23-Jul-2024',
+    effectiveFrom: '2024-07-23',
+    stcgRate: 0.20,
+    ltcgRate: 0.125,
+    ltcgExemption: 125000
+  }
+];
+
+/**
+ * Normalize a date (Date, ISO string or YYYY-MM-DD) to a YYYY-MM-DD string
+ */
+function toDateKey(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.substring(0, 10);
+  }
+
+  const d = date ? new Date(date) : new Date();
+
+  if (isNaN(d.getTime())) {
+    throw new Error('Invalid date');
+  }
+
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the tax rules in force on a given sell date
+ */
+function getTaxRulesForDate(date) {
+  const key = toDateKey(date);
+  let applicable = TAX_RULES[0];
+
+  for (const rule of TAX_RULES) {
+    if (rule.effectiveFrom <= key) {
+      applicable = rule;
+    }
+  }
+
+  return applicable;
+}
+
+/**
+ * Get the start year of a financial year
+ * Accepts "2024-25", "2024-2025" or "FY 2024-25"
+ */
+function getFinancialYearStartYear(financialYear) {
+  const match = String(financialYear).match(/(\d{4})/);
+
+  if (!match) {
+    throw new Error('Invalid financial year format');
+  }
+
+  return parseInt(match[1]);
+}
+
+/**
+ * Get all rule sets in force at some point during a financial year
+ */
+function getTaxRulesForFinancialYear(financialYear) {
+  const startYear = getFinancialYearStartYear(financialYear);
+  const fyStart = `${startYear}-04-01`;
+  const fyEnd = `${startYear + 1}-03-31`;
+
+  return TAX_RULES.filter((rule, index) => {
+    const next = TAX_RULES[index + 1];
+    const ruleEnd = next ? next.effectiveFrom : '9999-12-31';
+    return rule.effectiveFrom <= fyEnd && ruleEnd > fyStart;
+  });
+}
+
+/**
+ * Get the Section 112A exemption limit for a financial year
+ * The limit is an annual one, so the rule in force at year end applies
+ */
+function getLTCGExemptionForFinancialYear(financialYear) {
+  const startYear = getFinancialYearStartYear(financialYear);
+  return getTaxRulesForDate(`${startYear + 1}-03-31`).ltcgExemption;
+}
+
+/**
+ * Last acquisition date covered by Section 112A grandfathering
+ * Equity bought on or before this date uses the 31-Jan-2018 FMV as a cost floor
+ */
+const GRANDFATHERING_DATE = '2018-01-31';
+
+/**
+ * Check whether a buy date qualifies for grandfathering
+ */
+function isGrandfatheringEligible(buyDate) {
+  return toDateKey(buyDate) <= GRANDFATHERING_DATE;
+}
+
+/**
+ * Get the per-share cost of acquisition under Section 112A
+ * Higher of the actual cost and the lower of the 31-Jan-2018 FMV and the sale price
+ */
+function calculateGrandfatheredCost(buyPrice, fmv, sellPrice) {
+  if (!fmv || fmv <= 0) {
+    return buyPrice;
+  }
+
+  return Math.max(buyPrice, Math.min(fmv, sellPrice));
+}
+
+/**
+ * Apply grandfathering to a FIFO matched lot
+ * Returns a copy with the tax cost and gain; lots that don't qualify
+ * (STCG, bought after 31-Jan-2018 or no FMV on record) are returned as is
+ * with fmv set to null. The actual cost includes the lot's buy charges.
+ */
+function applyGrandfathering(lot, fmv) {
+  const eligible = lot.classification === 'LTCG' &&
+    isGrandfatheringEligible(lot.buyDate) &&
+    fmv > 0;
+  const actualCostPrice = lot.buyPrice + (lot.buyCharges || 0) / lot.quantity;
+
+  if (!eligible) {
+    return {
+      ...lot,
+      fmv: null,
+      taxCostPrice: actualCostPrice,
+      taxCost: lot.cost
+    };
+  }
+
+  const taxCostPrice = calculateGrandfatheredCost(actualCostPrice, fmv, lot.sellPrice);
+  const taxCost = taxCostPrice * lot.quantity;
+
+  return {
+    ...lot,
+    fmv,
+    taxCostPrice,
+    taxCost,
+    gainLoss: lot.proceeds - taxCost
+  };
+}
+
+/**
+ * Empty per-regime accumulator for calculateTaxByRegime
+ */
+function createRegimeBucket(rule) {
+  return {
+    id: rule.id,
+    label: rule.label,
+    effectiveFrom: rule.effectiveFrom,
+    stcgRate: rule.stcgRate,
+    ltcgRate: rule.ltcgRate,
+    stcg: 0,
+    ltcg: 0,
+    stcgCount: 0,
+    ltcgCount: 0,
+    lossSetOff: 0,
+    exemptionUsed: 0,
+    taxableSTCG: 0,
+    taxableLTCG: 0,
+    stcgTax: 0,
+    ltcgTax: 0
+  };
+}
+
+/**
+ * Set a loss off against the gains left in each rule set, highest rate first
+ * @param {number} loss - Loss to absorb, as a positive amount
+ * @param {Array} regimes - Regime buckets
+ * @param {string} field - Remaining gain to reduce ('taxableSTCG' or 'taxableLTCG')
+ * @param {string} rateField - Rate that orders the rule sets
+ * @returns {number} - Loss left over
+ */
+function setOffLoss(loss, regimes, field, rateField) {
+  let remaining = loss;
+  const byRate = [...regimes].sort((a, b) => b[rateField] - a[rateField]);
+
+  for (const regime of byRate) {
+    const used = Math.min(regime[field], remaining);
+    regime[field] -= used;
+    regime.lossSetOff += used;
+    remaining -= used;
+  }
+
+  return remaining;
+}
+
+/**
+ * Calculate tax for a financial year, splitting gains across rule sets
+ * gains: [{ sellDate, classification: 'STCG' | 'LTCG', amount }]
+ *
+ * Gains and losses are netted within each rule set, then losses are set off
+ * across the whole year (Section 70): short-term losses against short-term
+ * gains, long-term losses against long-term gains, and short-term losses
+ * left over against long-term gains. Losses go against the highest-rate
+ * gains first. The annual LTCG exemption is applied after set-off, also to
+ * the highest-rate LTCG first, which is the allocation a taxpayer would
+ * choose when filing. Losses still left over are carried forward.
+ */
+function calculateTaxByRegime(gains, financialYear) {
+  try {
+    const rules = getTaxRulesForFinancialYear(financialYear);
+    const exemption = getLTCGExemptionForFinancialYear(financialYear);
+
+    const regimes = rules.map(createRegimeBucket);
+
+    for (const gain of gains || []) {
+      const rule = getTaxRulesForDate(gain.sellDate);
+      let regime = regimes.find(r => r.id === rule.id);
+
+      // Sell date outside the financial year - still account for it
+      if (!regime) {
+        regime = createRegimeBucket(rule);
+        regimes.push(regime);
+      }
+
+      if (gain.classification === 'LTCG') {
+        regime.ltcg += gain.amount || 0;
+        regime.ltcgCount++;
+      } else {
+        regime.stcg += gain.amount || 0;
+        regime.stcgCount++;
+      }
+    }
+
+    // Set off losses across the year
+    let stcl = 0;
+    let ltcl = 0;
+
+    for (const regime of regimes) {
+      regime.taxableSTCG = Math.max(0, regime.stcg);
+      regime.taxableLTCG = Math.max(0, regime.ltcg);
+      stcl += Math.max(0, -regime.stcg);
+      ltcl += Math.max(0, -regime.ltcg);
+    }
+
+    stcl = setOffLoss(stcl, regimes, 'taxableSTCG', 'stcgRate');
+    ltcl = setOffLoss(ltcl, regimes, 'taxableLTCG', 'ltcgRate');
+    stcl = setOffLoss(stcl, regimes, 'taxableLTCG', 'ltcgRate');
+
+    // Exemption goes to the highest-rate LTCG first
+    let exemptionRemaining = exemption;
+    const byLTCGRate = [...regimes].sort((a, b) => b.ltcgRate - a.ltcgRate);
+
+    for (const regime of byLTCGRate) {
+      regime.exemptionUsed = Math.min(regime.taxableLTCG, exemptionRemaining);
+      regime.taxableLTCG -= regime.exemptionUsed;
+      exemptionRemaining -= regime.exemptionUsed;
+    }
+
+    const totals = {
+      stcg: 0,
+      ltcg: 0,
+      ltcgExemption: exemption,
+      lossSetOff: 0,
+      exemptionUsed: 0,
+      taxableSTCG: 0,
+      taxableLTCG: 0,
+      stcgTax: 0,
+      ltcgTax: 0,
+      estimatedTax: 0,
+      carryForwardSTCL: stcl,
+      carryForwardLTCL: ltcl
+    };
+
+    for (const regime of regimes) {
+      regime.stcgTax = regime.taxableSTCG * regime.stcgRate;
+      regime.ltcgTax = regime.taxableLTCG * regime.ltcgRate;
+
+      totals.stcg += regime.stcg;
+      totals.ltcg += regime.ltcg;
+      totals.lossSetOff += regime.lossSetOff;
+      totals.exemptionUsed += regime.exemptionUsed;
+      totals.taxableSTCG += regime.taxableSTCG;
+      totals.taxableLTCG += regime.taxableLTCG;
+      totals.stcgTax += regime.stcgTax;
+      totals.ltcgTax += regime.ltcgTax;
+    }
+
+    totals.estimatedTax = totals.stcgTax + totals.ltcgTax;
+
+    return { financialYear, regimes, totals };
+  } catch (error) {
+    console.error('Tax calculation by regime failed:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  TAX_RULES,
+  toDateKey,
+  getTaxRulesForDate,
+  getTaxRulesForFinancialYear,
+  getLTCGExemptionForFinancialYear,
+  calculateTaxByRegime,
+  GRANDFATHERING_DATE,
+  isGrandfatheringEligible,
+  calculateGrandfatheredCost,
+  applyGrandfathering
+};
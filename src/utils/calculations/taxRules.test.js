@@ -0,0 +1,239 @@
+const {
+  getTaxRulesForDate,
+  getTaxRulesForFinancialYear,
+  getLTCGExemptionForFinancialYear,
+  calculateTaxByRegime,
+  isGrandfatheringEligible,
+  calculateGrandfatheredCost,
+  applyGrandfathering
+} = require('./taxRules');
+const CapitalGainsCalculator = require('./capitalGainsCalculator');
+const FIFOCalculator = require('./fifoCalculator');
+
+describe('taxRules', () => {
+  describe('getTaxRulesForDate', () => {
+    test('uses pre-Budget 2024 rates before 23-Jul-2024', () => {
+      const rules = getTaxRulesForDate('2024-07-22');
+      expect(rules.stcgRate).toBe(0.15);
+      expect(rules.ltcgRate).toBe(0.10);
+      expect(rules.ltcgExemption).toBe(100000);
+    });
+
+    test('uses Budget 2024 rates from 23-Jul-2024', () => {
+      const rules = getTaxRulesForDate('2024-07-23T10:00:00.000Z');
+      expect(rules.stcgRate).toBe(0.20);
+      expect(rules.ltcgRate).toBe(0.125);
+      expect(rules.ltcgExemption).toBe(125000);
+    });
+  });
+
+  describe('getTaxRulesForFinancialYear', () => {
+    test('returns both rule sets for FY 2024-25', () => {
+      expect(getTaxRulesForFinancialYear('2024-25').map(r => r.id)).toEqual([
+        'pre-budget-2024',
+        'budget-2024'
+      ]);
+    });
+
+    test('returns a single rule set for earlier and later years', () => {
+      expect(getTaxRulesForFinancialYear('FY 2023-24')).toHaveLength(1);
+      expect(getTaxRulesForFinancialYear('2025-2026')).toHaveLength(1);
+    });
+
+    test('uses the year-end exemption limit', () => {
+      expect(getLTCGExemptionForFinancialYear('2023-24')).toBe(100000);
+      expect(getLTCGExemptionForFinancialYear('2024-25')).toBe(125000);
+    });
+  });
+
+  describe('calculateTaxByRegime', () => {
+    test('splits FY 2024-25 gains across both rule sets', () => {
+      const { regimes, totals } = calculateTaxByRegime(
+        [
+          { sellDate: '2024-05-10', classification: 'STCG', amount: 10000 },
+          { sellDate: '2024-05-10', classification: 'LTCG', amount: 100000 },
+          { sellDate: '2024-09-01', classification: 'STCG', amount: 10000 },
+          { sellDate: '2024-09-01', classification: 'LTCG', amount: 100000 }
+        ],
+        '2024-25'
+      );
+
+      expect(regimes).toHaveLength(2);
+      expect(regimes[0].stcgTax).toBeCloseTo(1500);
+      expect(regimes[1].stcgTax).toBeCloseTo(2000);
+
+      // ₹1.25L exemption is used against the 12.5% gains first
+      expect(regimes[1].exemptionUsed).toBe(100000);
+      expect(regimes[0].exemptionUsed).toBe(25000);
+      expect(regimes[0].ltcgTax).toBeCloseTo(7500);
+      expect(regimes[1].ltcgTax).toBe(0);
+
+      expect(totals.ltcgExemption).toBe(125000);
+      expect(totals.estimatedTax).toBeCloseTo(11000);
+    });
+
+    test('reproduces FY 2023-24 under the old rules', () => {
+      const { totals } = calculateTaxByRegime(
+        [
+          { sellDate: '2023-12-01', classification: 'STCG', amount: 20000 },
+          { sellDate: '2024-02-01', classification: 'LTCG', amount: 150000 }
+        ],
+        '2023-24'
+      );
+
+      expect(totals.stcgTax).toBeCloseTo(3000);
+      expect(totals.taxableLTCG).toBe(50000);
+      expect(totals.ltcgTax).toBeCloseTo(5000);
+    });
+
+    test('does not tax net losses', () => {
+      const { totals } = calculateTaxByRegime(
+        [{ sellDate: '2025-06-01', classification: 'STCG', amount: -5000 }],
+        '2025-26'
+      );
+
+      expect(totals.stcg).toBe(-5000);
+      expect(totals.estimatedTax).toBe(0);
+    });
+
+    test('sets an April short-term loss off against October short-term gains', () => {
+      const { regimes, totals } = calculateTaxByRegime(
+        [
+          { sellDate: '2024-04-15', classification: 'STCG', amount: -30000 },
+          { sellDate: '2024-10-15', classification: 'STCG', amount: 50000 }
+        ],
+        '2024-25'
+      );
+
+      expect(regimes[0].taxableSTCG).toBe(0);
+      expect(regimes[1].lossSetOff).toBe(30000);
+      expect(regimes[1].taxableSTCG).toBe(20000);
+      expect(totals.estimatedTax).toBeCloseTo(4000);
+      expect(totals.carryForwardSTCL).toBe(0);
+    });
+
+    test('sets a short-term loss left over off against long-term gains before the exemption', () => {
+      const { regimes, totals } = calculateTaxByRegime(
+        [
+          { sellDate: '2024-04-15', classification: 'STCG', amount: -30000 },
+          { sellDate: '2024-10-15', classification: 'STCG', amount: 10000 },
+          { sellDate: '2024-10-15', classification: 'LTCG', amount: 200000 }
+        ],
+        '2024-25'
+      );
+
+      // 20000 of the loss is left after the STCG, leaving 180000 LTCG
+      expect(regimes[1].taxableSTCG).toBe(0);
+      expect(regimes[1].exemptionUsed).toBe(125000);
+      expect(totals.taxableLTCG).toBe(55000);
+      expect(totals.estimatedTax).toBeCloseTo(6875);
+    });
+
+    test('does not set long-term losses off against short-term gains', () => {
+      const { totals } = calculateTaxByRegime(
+        [
+          { sellDate: '2025-05-01', classification: 'LTCG', amount: -40000 },
+          { sellDate: '2025-11-01', classification: 'STCG', amount: 40000 }
+        ],
+        '2025-26'
+      );
+
+      expect(totals.taxableSTCG).toBe(40000);
+      expect(totals.stcgTax).toBeCloseTo(8000);
+      expect(totals.carryForwardLTCL).toBe(40000);
+    });
+  });
+});
+
+describe('Section 112A grandfathering', () => {
+  const lot = {
+    buyDate: '2016-05-10',
+    buyPrice: 100,
+    quantity: 10,
+    cost: 1000,
+    sellDate: '2024-09-01',
+    sellPrice: 300,
+    proceeds: 3000,
+    gainLoss: 2000,
+    classification: 'LTCG'
+  };
+
+  test('covers buys on or before 31-Jan-2018', () => {
+    expect(isGrandfatheringEligible('2018-01-31')).toBe(true);
+    expect(isGrandfatheringEligible('2018-02-01')).toBe(false);
+  });
+
+  test('uses the higher of actual cost and lower of FMV and sale price', () => {
+    expect(calculateGrandfatheredCost(100, 250, 300)).toBe(250);
+    expect(calculateGrandfatheredCost(100, 400, 300)).toBe(300);
+    expect(calculateGrandfatheredCost(200, 150, 300)).toBe(200);
+    expect(calculateGrandfatheredCost(100, null, 300)).toBe(100);
+  });
+
+  test('applies the FMV to an eligible LTCG lot', () => {
+    const taxLot = applyGrandfathering(lot, 250);
+
+    expect(taxLot.fmv).toBe(250);
+    expect(taxLot.taxCostPrice).toBe(250);
+    expect(taxLot.taxCost).toBe(2500);
+    expect(taxLot.gainLoss).toBe(500);
+  });
+
+  test('leaves lots bought after 31-Jan-2018 unchanged', () => {
+    const taxLot = applyGrandfathering({ ...lot, buyDate: '2019-01-01' }, 250);
+
+    expect(taxLot.fmv).toBeNull();
+    expect(taxLot.taxCostPrice).toBe(100);
+    expect(taxLot.gainLoss).toBe(2000);
+  });
+
+  test('leaves lots without an FMV unchanged', () => {
+    expect(applyGrandfathering(lot, null).gainLoss).toBe(2000);
+  });
+
+  test('compares the FMV with the actual cost including buy charges', () => {
+    const taxLot = applyGrandfathering({ ...lot, buyCharges: 20, cost: 1020, gainLoss: 1980 }, 101);
+
+    expect(taxLot.taxCostPrice).toBe(102);
+    expect(taxLot.taxCost).toBe(1020);
+    expect(taxLot.gainLoss).toBe(1980);
+  });
+});
+
+describe('CapitalGainsCalculator with tax rules', () => {
+  test('generateCapitalGainsReport splits FY 2024-25 by sell date', () => {
+    const report = CapitalGainsCalculator.generateCapitalGainsReport(
+      [
+        { sellDate: '2024-06-15', stcg: { totalGain: 10000 }, ltcg: { totalGain: 0 } },
+        { sellDate: '2024-10-15', stcg: { totalGain: 10000 }, ltcg: { totalGain: 0 } }
+      ],
+      '2024-25'
+    );
+
+    expect(report.totalSTCG).toBe(20000);
+    expect(report.stcgTax).toBeCloseTo(3500);
+    expect(report.ltcgExemption).toBe(125000);
+    expect(report.regimes).toHaveLength(2);
+  });
+
+  test('calculateLTCGExemptionUsage applies the year-end rules to plain amounts', () => {
+    const usage = CapitalGainsCalculator.calculateLTCGExemptionUsage([100000, 50000], '2024-25');
+
+    expect(usage.exemption).toBe(125000);
+    expect(usage.taxableAmount).toBe(25000);
+    expect(usage.tax).toBeCloseTo(3125);
+  });
+
+  test('FIFOCalculator.calculateTax uses the exemption of the sell date\'s financial year', () => {
+    // Sold before 23-Jul-2024 but in FY 2024-25, so the ₹1.25L limit applies
+    expect(FIFOCalculator.calculateTax(125000, 'LTCG', 0, '2024-06-01')).toBe(0);
+    expect(FIFOCalculator.calculateTax(25000, 'LTCG', 125000, '2024-06-01')).toBeCloseTo(2500);
+  });
+
+  test('calculateLTCGExemptionUsage keeps older years reproducible', () => {
+    const usage = CapitalGainsCalculator.calculateLTCGExemptionUsage([150000], '2022-23');
+
+    expect(usage.exemption).toBe(100000);
+    expect(usage.tax).toBeCloseTo(5000);
+  });
+});
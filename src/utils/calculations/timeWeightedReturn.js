@@ -0,0 +1,119 @@
+/**
+ * Time-Weighted Return Calculator
+ * Chains daily returns between portfolio valuations so that money added or
+ * withdrawn does not count as performance
+ */
+
+const { toDateKey } = require('./taxRules');
+
+// Periods reported by calculatePeriodReturns, in display order
+const RETURN_PERIODS = ['1M', '3M', 'YTD', '1Y', 'INCEPTION'];
+
+class TimeWeightedReturnCalculator {
+  /**
+   * Get the valuation date a period's return is measured from
+   * @param {string} period - One of 1M, 3M, YTD, 1Y or INCEPTION
+   * @param {string|Date} asOf - End of the period
+   * @returns {string|null} Date key (YYYY-MM-DD), or null for since inception
+   */
+  static getPeriodStart(period, asOf) {
+    const end = new Date(`${toDateKey(asOf)}T00:00:00Z`);
+    const start = new Date(end);
+
+    switch (period) {
+      case '1M':
+        start.setUTCMonth(start.getUTCMonth() - 1);
+        break;
+      case '3M':
+        start.setUTCMonth(start.getUTCMonth() - 3);
+        break;
+      case 'YTD':
+        // Measured from the close of the previous year
+        return `${end.getUTCFullYear() - 1}-12-31`;
+      case '1Y':
+        start.setUTCFullYear(start.getUTCFullYear() - 1);
+        break;
+      case 'INCEPTION':
+        return null;
+      default:
+        throw new Error(`Unknown return period: ${period}`);
+    }
+
+    return start.toISOString().split('T')[0];
+  }
+
+  /**
+   * Calculate the time-weighted return over a series of valuations
+   * Buys are assumed to happen at the start of their day and sells and
+   * dividends at the end, so a position opened or closed on a day still
+   * earns that day's return
+   * @param {Array} valuations - [{ date, marketValue }]
+   * @param {Array} flows - [{ date, cashIn, cashOut, dividends }]
+   * @param {string|null} startDate - Measure from the last valuation on or
+   *   before this date; null measures from the first flow
+   * @returns {number|null} Cumulative return percentage, or null when the
+   *   valuations do not cover the start date or nothing was invested
+   */
+  static calculateTWR(valuations, flows = [], startDate = null) {
+    const sorted = valuations
+      .map(v => ({ date: toDateKey(v.date), marketValue: v.marketValue || 0 }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    let previous = { date: '', marketValue: 0 };
+    let remaining = sorted;
+
+    if (startDate) {
+      const startKey = toDateKey(startDate);
+      const baseIndex = sorted.reduce((found, v, i) => (v.date <= startKey ? i : found), -1);
+
+      if (baseIndex === -1) {
+        return null;
+      }
+
+      previous = sorted[baseIndex];
+      remaining = sorted.slice(baseIndex + 1);
+    }
+
+    const datedFlows = flows.map(f => ({ ...f, date: toDateKey(f.date) }));
+
+    let growth = 1;
+    let linked = false;
+
+    for (const valuation of remaining) {
+      const period = datedFlows.filter(f => f.date > previous.date && f.date <= valuation.date);
+      const cashIn = period.reduce((sum, f) => sum + (f.cashIn || 0), 0);
+      const cashOut = period.reduce((sum, f) => sum + (f.cashOut || 0), 0);
+      const dividends = period.reduce((sum, f) => sum + (f.dividends || 0), 0);
+
+      const capital = previous.marketValue + cashIn;
+
+      if (capital > 0) {
+        growth *= (valuation.marketValue + cashOut + dividends) / capital;
+        linked = true;
+      }
+
+      previous = valuation;
+    }
+
+    return linked ? (growth - 1) * 100 : null;
+  }
+
+  /**
+   * Calculate time-weighted returns over the standard periods
+   * @param {Array} valuations - [{ date, marketValue }]
+   * @param {Array} flows - [{ date, cashIn, cashOut, dividends }]
+   * @param {string|Date} asOf - End of the periods (defaults to today)
+   * @returns {Object} Return percentage (or null) keyed by period
+   */
+  static calculatePeriodReturns(valuations, flows = [], asOf = new Date()) {
+    const asOfKey = toDateKey(asOf);
+    const upToDate = valuations.filter(v => toDateKey(v.date) <= asOfKey);
+
+    return RETURN_PERIODS.reduce((returns, period) => {
+      returns[period] = this.calculateTWR(upToDate, flows, this.getPeriodStart(period, asOfKey));
+      return returns;
+    }, {});
+  }
+}
+
+module.exports = TimeWeightedReturnCalculator;
@@ -0,0 +1,119 @@
+const TimeWeightedReturnCalculator = require('./timeWeightedReturn');
+
+describe('TimeWeightedReturnCalculator', () => {
+  describe('getPeriodStart', () => {
+    test('counts months and years back from the as-of date', () => {
+      expect(TimeWeightedReturnCalculator.getPeriodStart('1M', '2024-06-15')).toBe('2024-05-15');
+      expect(TimeWeightedReturnCalculator.getPeriodStart('3M', '2024-06-15')).toBe('2024-03-15');
+      expect(TimeWeightedReturnCalculator.getPeriodStart('1Y', '2024-06-15')).toBe('2023-06-15');
+    });
+
+    test('measures year to date from the previous year end', () => {
+      expect(TimeWeightedReturnCalculator.getPeriodStart('YTD', '2024-06-15')).toBe('2023-12-31');
+    });
+
+    test('has no start date since inception', () => {
+      expect(TimeWeightedReturnCalculator.getPeriodStart('INCEPTION', '2024-06-15')).toBeNull();
+    });
+
+    test('rejects unknown periods', () => {
+      expect(() => TimeWeightedReturnCalculator.getPeriodStart('5Y', '2024-06-15'))
+        .toThrow('Unknown return period: 5Y');
+    });
+  });
+
+  describe('calculateTWR', () => {
+    test('ignores money added part way through', () => {
+      // +10% on 1000, then 1100 more invested, then +10% on 2200
+      const valuations = [
+        { date: '2024-01-01', marketValue: 1100 },
+        { date: '2024-01-02', marketValue: 2420 }
+      ];
+      const flows = [
+        { date: '2024-01-01', cashIn: 1000 },
+        { date: '2024-01-02', cashIn: 1100 }
+      ];
+
+      expect(TimeWeightedReturnCalculator.calculateTWR(valuations, flows)).toBeCloseTo(21, 6);
+    });
+
+    test('keeps the return of a day a position is sold', () => {
+      const valuations = [
+        { date: '2024-01-01', marketValue: 1000 },
+        { date: '2024-01-02', marketValue: 0 }
+      ];
+      const flows = [
+        { date: '2024-01-01', cashIn: 1000 },
+        { date: '2024-01-02', cashOut: 1050 }
+      ];
+
+      expect(TimeWeightedReturnCalculator.calculateTWR(valuations, flows)).toBeCloseTo(5, 6);
+    });
+
+    test('counts dividends as return', () => {
+      const valuations = [
+        { date: '2024-01-01', marketValue: 1000 },
+        { date: '2024-01-02', marketValue: 1000 }
+      ];
+      const flows = [
+        { date: '2024-01-01', cashIn: 1000 },
+        { date: '2024-01-02', dividends: 20 }
+      ];
+
+      expect(TimeWeightedReturnCalculator.calculateTWR(valuations, flows)).toBeCloseTo(2, 6);
+    });
+
+    test('picks up flows on days without a valuation', () => {
+      const valuations = [
+        { date: '2024-01-01', marketValue: 1000 },
+        { date: '2024-01-05', marketValue: 2200 }
+      ];
+      const flows = [
+        { date: '2024-01-01', cashIn: 1000 },
+        { date: '2024-01-03', cashIn: 1000 }
+      ];
+
+      expect(TimeWeightedReturnCalculator.calculateTWR(valuations, flows)).toBeCloseTo(10, 6);
+    });
+
+    test('measures from the last valuation on or before the start date', () => {
+      const valuations = [
+        { date: '2024-01-01', marketValue: 1000 },
+        { date: '2024-02-01', marketValue: 1200 },
+        { date: '2024-03-01', marketValue: 1320 }
+      ];
+      const flows = [{ date: '2024-01-01', cashIn: 1000 }];
+
+      expect(TimeWeightedReturnCalculator.calculateTWR(valuations, flows, '2024-02-10')).toBeCloseTo(10, 6);
+    });
+
+    test('returns null when history does not reach the start date', () => {
+      const valuations = [{ date: '2024-02-01', marketValue: 1200 }];
+
+      expect(TimeWeightedReturnCalculator.calculateTWR(valuations, [], '2024-01-15')).toBeNull();
+    });
+
+    test('returns null when nothing was invested', () => {
+      expect(TimeWeightedReturnCalculator.calculateTWR([{ date: '2024-01-01', marketValue: 0 }], [])).toBeNull();
+    });
+  });
+
+  describe('calculatePeriodReturns', () => {
+    test('reports every period and leaves uncovered ones empty', () => {
+      const valuations = [
+        { date: '2024-03-29', marketValue: 1000 },
+        { date: '2024-05-15', marketValue: 1100 },
+        { date: '2024-06-14', marketValue: 1210 }
+      ];
+      const flows = [{ date: '2024-03-29', cashIn: 1000 }];
+
+      const returns = TimeWeightedReturnCalculator.calculatePeriodReturns(valuations, flows, '2024-06-15');
+
+      expect(returns['1M']).toBeCloseTo(10, 6);
+      expect(returns['3M']).toBeNull();
+      expect(returns.YTD).toBeNull();
+      expect(returns['1Y']).toBeNull();
+      expect(returns.INCEPTION).toBeCloseTo(21, 6);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+// Brokerage and statutory charges on delivery equity trades
+// Statutory rates change with SEBI and exchange circulars, so every rate set is
+// keyed by the trade date it takes effect from. Past contract notes stay
+// reproducible as long as old entries are never edited - add a new entry
+// instead. Brokerage depends on the user's plan (see BROKERAGE_PLAN_TYPES).
+
+const { toDateKey } = require('./taxRules');
+
+const STATUTORY_CHARGE_RATES = [
+  {
+    id: 'pre-july-2020',
+    label: 'Before 01-Jul-2020',
+    effectiveFrom: '1900-01-01',
+    stt: { BUY: 0.001, SELL: 0.001 }, // Securities transaction tax, delivery
+    exchange: { NSE: 0.0000325, BSE: 0.0000375 }, // Transaction charges on turnover
+    sebiFee: 0.0000015, // ₹15 per crore
+    stampDuty: { BUY: 0.0001, SELL: 0 }, // Varied by state; 0.01% is typical
+    gst: 0.18 // On brokerage, exchange charges and SEBI fees
+  },
+  {
+    id: 'uniform-stamp-duty-2020',
+    label: 'From 01-Jul-2020',
+    effectiveFrom: '2020-07-01',
+    stt: { BUY: 0.001, SELL: 0.001 },
+    exchange: { NSE: 0.0000325, BSE: 0.0000375 },
+    sebiFee: 0.000001, // ₹10 per crore
+    stampDuty: { BUY: 0.00015, SELL: 0 }, // Indian Stamp Act amendment
+    gst: 0.18
+  },
+  {
+    id: 'true-to-label-2024',
+    label: 'From 01-Oct-2024',
+    effectiveFrom: '2024-10-01',
+    stt: { BUY: 0.001, SELL: 0.001 },
+    exchange: { NSE: 0.0000297, BSE: 0.0000375 }, // Flat exchange charges
+    sebiFee: 0.000001,
+    stampDuty: { BUY: 0.00015, SELL: 0 },
+    gst: 0.18
+  }
+];
+
+// FLAT charges a fixed fee per order, PERCENTAGE a share of the turnover with
+// an optional minimum, and CAPPED a share of the turnover up to a maximum
+const BROKERAGE_PLAN_TYPES = ['FLAT', 'PERCENTAGE', 'CAPPED'];
+
+/**
+ * Round to paise
+ */
+function roundPaise(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class TradeChargesCalculator {
+  /**
+   * Get the statutory rates in force on a trade date
+   */
+  static getStatutoryRatesForDate(date) {
+    const key = toDateKey(date);
+    let applicable = STATUTORY_CHARGE_RATES[0];
+
+    for (const rates of STATUTORY_CHARGE_RATES) {
+      if (rates.effectiveFrom <= key) {
+        applicable = rates;
+      }
+    }
+
+    return applicable;
+  }
+
+  /**
+   * Validate a brokerage plan
+   * @param {Object} plan - { planType, flatFee, rate, minimum, maximum, effectiveFrom }
+   * @throws {Error} When the plan is incomplete
+   */
+  static validateBrokeragePlan(plan) {
+    if (!plan || !BROKERAGE_PLAN_TYPES.includes(plan.planType)) {
+      throw new Error(`Brokerage plan type must be one of ${BROKERAGE_PLAN_TYPES.join(', ')}`);
+    }
+
+    if (!plan.effectiveFrom || isNaN(new Date(plan.effectiveFrom).getTime())) {
+      throw new Error('Brokerage plan needs a valid effective date');
+    }
+
+    if (plan.planType === 'FLAT' && !(plan.flatFee >= 0)) {
+      throw new Error('A flat brokerage plan needs a fee per order of 0 or more');
+    }
+
+    if (plan.planType !== 'FLAT' && !(plan.rate >= 0 && plan.rate < 0.1)) {
+      throw new Error('Brokerage rate must be between 0% and 10% of the trade value');
+    }
+
+    if (plan.planType === 'CAPPED' && !(plan.maximum > 0)) {
+      throw new Error('A capped brokerage plan needs a maximum per order');
+    }
+
+    if (plan.minimum !== undefined && plan.minimum !== null && !(plan.minimum >= 0)) {
+      throw new Error('Minimum brokerage cannot be negative');
+    }
+
+    return true;
+  }
+
+  /**
+   * Calculate brokerage for one order
+   * @param {Object|null} plan - Brokerage plan, or null for none
+   * @param {number} turnover - Trade value
+   * @returns {number}
+   */
+  static calculateBrokerage(plan, turnover) {
+    if (!plan) {
+      return 0;
+    }
+
+    let brokerage = plan.planType === 'FLAT' ? plan.flatFee || 0 : turnover * (plan.rate || 0);
+
+    if (plan.planType !== 'FLAT' && plan.minimum) {
+      brokerage = Math.max(brokerage, plan.minimum);
+    }
+    if (plan.planType === 'CAPPED') {
+      brokerage = Math.min(brokerage, plan.maximum);
+    }
+
+    // Brokerage never exceeds the trade value
+    return Math.min(brokerage, turnover);
+  }
+
+  /**
+   * Calculate the STT on a delivery trade
+   * STT is rounded to the rupee on contract notes
+   * @param {Object} trade - { type, quantity, price, date }
+   * @returns {number}
+   */
+  static calculateStt({ type, quantity, price, date }) {
+    const rates = this.getStatutoryRatesForDate(date);
+    return Math.round((quantity || 0) * (price || 0) * (rates.stt[String(type || '').toUpperCase()] || 0));
+  }
+
+  /**
+   * Calculate the charges on a delivery trade, as on a contract note
+   * @param {Object} trade
+   * @param {string} trade.type - 'BUY' or 'SELL'
+   * @param {number} trade.quantity - Shares traded
+   * @param {number} trade.price - Price per share
+   * @param {string|Date} trade.date - Trade date, selects the rates
+   * @param {string} trade.exchange - 'NSE' or 'BSE' (defaults to BSE)
+   * @param {Object|null} plan - Brokerage plan in force on the trade date
+   * @returns {Object} - { brokerage, stt, exchangeCharges, sebiFees, stampDuty, gst, total,
+   *   deductible, rates } where deductible is the total without STT, which
+   *   Section 48 does not allow against capital gains. A transaction records
+   *   the deductible charges and the STT separately.
+   */
+  static calculateCharges({ type, quantity, price, date, exchange = 'BSE' }, plan = null) {
+    const side = String(type || '').toUpperCase();
+    if (side !== 'BUY' && side !== 'SELL') {
+      throw new Error('Trade type must be BUY or SELL');
+    }
+
+    const turnover = (quantity || 0) * (price || 0);
+    if (!(turnover > 0)) {
+      throw new Error('Quantity and price must be greater than 0');
+    }
+
+    const rates = this.getStatutoryRatesForDate(date);
+    const exchangeRate = rates.exchange[String(exchange).toUpperCase()] || rates.exchange.BSE;
+
+    const brokerage = roundPaise(this.calculateBrokerage(plan, turnover));
+    const stt = this.calculateStt({ type: side, quantity, price, date });
+    const exchangeCharges = roundPaise(turnover * exchangeRate);
+    const sebiFees = roundPaise(turnover * rates.sebiFee);
+    const stampDuty = roundPaise(turnover * rates.stampDuty[side]);
+    const gst = roundPaise((brokerage + exchangeCharges + sebiFees) * rates.gst);
+
+    return {
+      brokerage,
+      stt,
+      exchangeCharges,
+      sebiFees,
+      stampDuty,
+      gst,
+      total: roundPaise(brokerage + stt + exchangeCharges + sebiFees + stampDuty + gst),
+      deductible: roundPaise(brokerage + exchangeCharges + sebiFees + stampDuty + gst),
+      rates: { id: rates.id, label: rates.label }
+    };
+  }
+}
+
+module.exports = TradeChargesCalculator;
@@ -0,0 +1,150 @@
+const TradeChargesCalculator = require('./tradeCharges');
+const FIFOCalculator = require('./fifoCalculator');
+const { buildOpenLots } = require('./corporateActions');
+
+describe('TradeChargesCalculator', () => {
+  const flatPlan = { planType: 'FLAT', flatFee: 20, effectiveFrom: '2019-01-01' };
+  const percentagePlan = { planType: 'PERCENTAGE', rate: 0.0003, effectiveFrom: '2019-01-01' };
+
+  describe('getStatutoryRatesForDate', () => {
+    test('picks the rates in force on the trade date', () => {
+      expect(TradeChargesCalculator.getStatutoryRatesForDate('2020-06-30').id).toBe('pre-july-2020');
+      expect(TradeChargesCalculator.getStatutoryRatesForDate('2020-07-01').id).toBe('uniform-stamp-duty-2020');
+      expect(TradeChargesCalculator.getStatutoryRatesForDate('2024-10-01T09:15:00.000Z').id).toBe('true-to-label-2024');
+    });
+  });
+
+  describe('validateBrokeragePlan', () => {
+    test('rejects unknown plan types and missing fields', () => {
+      expect(() => TradeChargesCalculator.validateBrokeragePlan({ ...flatPlan, planType: 'SLAB' }))
+        .toThrow('FLAT, PERCENTAGE, CAPPED');
+      expect(() => TradeChargesCalculator.validateBrokeragePlan({ ...flatPlan, effectiveFrom: 'soon' }))
+        .toThrow('valid effective date');
+      expect(() => TradeChargesCalculator.validateBrokeragePlan({ planType: 'CAPPED', rate: 0.005, effectiveFrom: '2024-01-01' }))
+        .toThrow('maximum per order');
+      expect(TradeChargesCalculator.validateBrokeragePlan(percentagePlan)).toBe(true);
+    });
+  });
+
+  describe('calculateBrokerage', () => {
+    test('applies flat, minimum and capped plans', () => {
+      expect(TradeChargesCalculator.calculateBrokerage(null, 100000)).toBe(0);
+      expect(TradeChargesCalculator.calculateBrokerage(flatPlan, 100000)).toBe(20);
+      expect(TradeChargesCalculator.calculateBrokerage({ ...percentagePlan, rate: 0.0005, minimum: 25 }, 10000)).toBe(25);
+      expect(TradeChargesCalculator.calculateBrokerage(
+        { planType: 'CAPPED', rate: 0.005, maximum: 20, effectiveFrom: '2024-01-01' },
+        100000
+      )).toBe(20);
+    });
+
+    test('never charges more than the trade value', () => {
+      expect(TradeChargesCalculator.calculateBrokerage(flatPlan, 15)).toBe(15);
+    });
+  });
+
+  describe('calculateCharges', () => {
+    test('adds statutory charges to the brokerage on a buy', () => {
+      const charges = TradeChargesCalculator.calculateCharges(
+        { type: 'BUY', quantity: 100, price: 1000, date: '2025-01-15', exchange: 'NSE' },
+        percentagePlan
+      );
+
+      expect(charges).toMatchObject({
+        brokerage: 30,
+        stt: 100,
+        exchangeCharges: 2.97,
+        sebiFees: 0.1,
+        stampDuty: 15,
+        gst: 5.95,
+        total: 154.02,
+        deductible: 54.02,
+        rates: { id: 'true-to-label-2024' }
+      });
+    });
+
+    test('uses the older rates and no stamp duty on a sell', () => {
+      const charges = TradeChargesCalculator.calculateCharges(
+        { type: 'sell', quantity: 100, price: 1000, date: '2020-06-01' },
+        flatPlan
+      );
+
+      expect(charges).toMatchObject({
+        brokerage: 20,
+        stt: 100,
+        exchangeCharges: 3.75,
+        sebiFees: 0.15,
+        stampDuty: 0,
+        gst: 4.3,
+        total: 128.2,
+        deductible: 28.2
+      });
+    });
+
+    test('rejects invalid trades', () => {
+      expect(() => TradeChargesCalculator.calculateCharges({ type: 'GIFT', quantity: 1, price: 1, date: '2025-01-01' }))
+        .toThrow('BUY or SELL');
+      expect(() => TradeChargesCalculator.calculateCharges({ type: 'BUY', quantity: 0, price: 1, date: '2025-01-01' }))
+        .toThrow('greater than 0');
+    });
+  });
+
+  describe('charges in FIFO', () => {
+    test('adds buy charges to cost and apportions sell charges across lots', () => {
+      const lots = [
+        { id: 1, date: '2024-01-10', price: 100, availableQuantity: 10, chargePerShare: 1.5 },
+        { id: 2, date: '2024-05-10', price: 120, availableQuantity: 10, chargePerShare: 2 }
+      ];
+      const fifo = FIFOCalculator.calculateFIFO(lots, 15, 150, '2025-03-01', 30);
+
+      expect(fifo.matchedLots[0]).toMatchObject({
+        quantity: 10,
+        buyCharges: 15,
+        sellCharges: 20,
+        cost: 1015,
+        proceeds: 1480,
+        gainLoss: 465
+      });
+      expect(fifo.matchedLots[1]).toMatchObject({
+        quantity: 5,
+        buyCharges: 10,
+        sellCharges: 10,
+        cost: 610,
+        proceeds: 740,
+        gainLoss: 130
+      });
+      expect(fifo.totalProceeds).toBe(2220);
+      expect(fifo.totalGainLoss).toBe(595);
+    });
+
+    test('leaves a sell\'s gain unchanged when STT changes', () => {
+      const rates = TradeChargesCalculator.getStatutoryRatesForDate('2025-01-15');
+      const gainWithSTT = (stt) => {
+        const spy = jest.spyOn(TradeChargesCalculator, 'getStatutoryRatesForDate')
+          .mockReturnValue({ ...rates, stt: { BUY: stt, SELL: stt } });
+        const buy = TradeChargesCalculator.calculateCharges({ type: 'BUY', quantity: 100, price: 1000, date: '2024-01-10' }, flatPlan);
+        const sell = TradeChargesCalculator.calculateCharges({ type: 'SELL', quantity: 100, price: 1200, date: '2025-01-15' }, flatPlan);
+        spy.mockRestore();
+
+        const lots = [{ id: 1, date: '2024-01-10', price: 1000, availableQuantity: 100, chargePerShare: buy.deductible / 100 }];
+        return FIFOCalculator.calculateFIFO(lots, 100, 1200, '2025-01-15', sell.deductible).totalGainLoss;
+      };
+
+      expect(gainWithSTT(0.001)).toBeCloseTo(gainWithSTT(0.0025), 6);
+      expect(gainWithSTT(0.001)).toBeLessThan(20000);
+    });
+
+    test('keeps buy charges with the lot across a split', () => {
+      const split = { id: 10, actionType: 'SPLIT', oldShares: 1, newShares: 5, exDate: '2024-06-01' };
+      const lots = buildOpenLots({
+        buys: [{ id: 1, date: '2024-01-10', price: 1000, quantity: 10, charges: 50 }],
+        actions: [split]
+      });
+
+      expect(lots[0]).toMatchObject({ price: 200, availableQuantity: 50, chargePerShare: 1 });
+
+      const fifo = FIFOCalculator.calculateFIFO(lots, 50, 300, '2025-03-01', 40);
+      expect(fifo.totalCost).toBe(10050);
+      expect(fifo.totalGainLoss).toBe(4910);
+    });
+  });
+});
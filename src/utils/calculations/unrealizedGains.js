@@ -16,8 +16,9 @@ class UnrealizedGainsCalculator {
       throw new Error('Quantity must be greater than 0');
     }
 
-    if (!avgCost || avgCost <= 0) {
-      throw new Error('Average cost must be greater than 0');
+    // Zero is valid: bonus shares are acquired at nil cost
+    if (avgCost === null || avgCost === undefined || avgCost < 0) {
+      throw new Error('Average cost must be a valid non-negative number');
     }
 
     if (currentPrice === null || currentPrice === undefined || currentPrice < 0) {
@@ -27,7 +28,7 @@ class UnrealizedGainsCalculator {
     const totalCost = quantity * avgCost;
     const currentValue = quantity * currentPrice;
     const gainLoss = currentValue - totalCost;
-    const gainLossPercent = (gainLoss / totalCost) * 100;
+    const gainLossPercent = totalCost > 0 ? (gainLoss / totalCost) * 100 : 0;
 
     return {
       quantity,
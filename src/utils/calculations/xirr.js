@@ -0,0 +1,125 @@
+/**
+ * XIRR Calculator
+ * Money-weighted annual return from dated cash flows
+ */
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// Rates are searched between -99.99% and this annual rate
+const MAX_RATE = 1e6;
+
+class XirrCalculator {
+  /**
+   * Net present value of cash flows at an annual rate
+   * @param {Array} flows - [{ amount, years }] with years since the first flow
+   * @param {number} rate - Annual rate as a decimal
+   * @returns {number}
+   */
+  static npv(flows, rate) {
+    return flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+  }
+
+  /**
+   * Derivative of the NPV with respect to the rate
+   * @param {Array} flows - [{ amount, years }]
+   * @param {number} rate - Annual rate as a decimal
+   * @returns {number}
+   */
+  static npvDerivative(flows, rate) {
+    return flows.reduce(
+      (sum, flow) => sum - flow.years * flow.amount / Math.pow(1 + rate, flow.years + 1),
+      0
+    );
+  }
+
+  /**
+   * Calculate XIRR
+   * Investments are negative and withdrawals (sells, dividends, the current
+   * value of what is still held) are positive
+   * @param {Array} cashFlows - [{ date, amount }]
+   * @returns {number|null} Annual return percentage, or null when there is no
+   *   investment and return to compare or no rate balances the flows
+   */
+  static calculateXIRR(cashFlows) {
+    if (!cashFlows || !Array.isArray(cashFlows)) {
+      throw new Error('Cash flows must be an array');
+    }
+
+    const dated = cashFlows
+      .filter(flow => flow.amount && !isNaN(new Date(flow.date).getTime()))
+      .map(flow => ({ time: new Date(flow.date).getTime(), amount: flow.amount }))
+      .sort((a, b) => a.time - b.time);
+
+    const hasInflow = dated.some(flow => flow.amount > 0);
+    const hasOutflow = dated.some(flow => flow.amount < 0);
+
+    if (!hasInflow || !hasOutflow) {
+      return null;
+    }
+
+    const start = dated[0].time;
+    const flows = dated.map(flow => ({
+      amount: flow.amount,
+      years: (flow.time - start) / MS_PER_YEAR
+    }));
+
+    if (flows[flows.length - 1].years === 0) {
+      return null;
+    }
+
+    // Newton-Raphson from 10%, which converges for typical portfolios
+    let rate = 0.1;
+    for (let i = 0; i < 50; i++) {
+      const value = this.npv(flows, rate);
+      const derivative = this.npvDerivative(flows, rate);
+
+      if (!isFinite(value) || !isFinite(derivative) || derivative === 0) {
+        break;
+      }
+
+      const next = rate - value / derivative;
+      if (next <= -1 || !isFinite(next)) {
+        break;
+      }
+
+      if (Math.abs(next - rate) < 1e-10) {
+        return next * 100;
+      }
+
+      rate = next;
+    }
+
+    // Fall back to bisection, e.g. for very short holding periods
+    let low = -0.9999;
+    let high = 1;
+    let lowValue = this.npv(flows, low);
+
+    while (this.npv(flows, high) * lowValue > 0 && high < MAX_RATE) {
+      high *= 10;
+    }
+
+    if (this.npv(flows, high) * lowValue > 0) {
+      return null;
+    }
+
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      const midValue = this.npv(flows, mid);
+
+      if (Math.abs(high - low) < 1e-10 || midValue === 0) {
+        return mid * 100;
+      }
+
+      if (midValue * lowValue > 0) {
+        low = mid;
+        lowValue = midValue;
+      } else {
+        high = mid;
+      }
+    }
+
+    return ((low + high) / 2) * 100;
+  }
+}
+
+module.exports = XirrCalculator;
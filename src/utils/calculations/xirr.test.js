@@ -0,0 +1,78 @@
+const XirrCalculator = require('./xirr');
+
+describe('XirrCalculator', () => {
+  describe('calculateXIRR', () => {
+    test('annualises a single buy held for one year', () => {
+      const xirr = XirrCalculator.calculateXIRR([
+        { date: '2023-01-01', amount: -10000 },
+        { date: '2024-01-01', amount: 11000 }
+      ]);
+      expect(xirr).toBeCloseTo(10, 4);
+    });
+
+    test('weights later investments by the time they were held', () => {
+      // 10000 for two years and 10000 for one year, ending at 23100,
+      // which is 10% a year on both
+      const xirr = XirrCalculator.calculateXIRR([
+        { date: '2022-01-01', amount: -10000 },
+        { date: '2023-01-01', amount: -10000 },
+        { date: '2024-01-01', amount: 23100 }
+      ]);
+      expect(xirr).toBeCloseTo(10, 1);
+    });
+
+    test('counts a partial sale and the remaining value as returns', () => {
+      const xirr = XirrCalculator.calculateXIRR([
+        { date: '2023-01-01', amount: -10000 },
+        { date: '2023-07-02', amount: 5244.04 },
+        { date: '2024-01-01', amount: 5500 }
+      ]);
+      expect(xirr).toBeCloseTo(10, 1);
+    });
+
+    test('handles losses', () => {
+      const xirr = XirrCalculator.calculateXIRR([
+        { date: '2023-01-01', amount: -10000 },
+        { date: '2024-01-01', amount: 8000 }
+      ]);
+      expect(xirr).toBeCloseTo(-20, 4);
+    });
+
+    test('does not depend on the order flows are given in', () => {
+      const xirr = XirrCalculator.calculateXIRR([
+        { date: '2024-01-01', amount: 11000 },
+        { date: '2023-01-01', amount: -10000 }
+      ]);
+      expect(xirr).toBeCloseTo(10, 4);
+    });
+
+    test('solves very short holding periods', () => {
+      const xirr = XirrCalculator.calculateXIRR([
+        { date: '2024-01-01', amount: -10000 },
+        { date: '2024-01-11', amount: 10500 }
+      ]);
+      expect(xirr).toBeGreaterThan(300);
+      expect(isFinite(xirr)).toBe(true);
+    });
+
+    test('returns null without both an investment and a return', () => {
+      expect(XirrCalculator.calculateXIRR([])).toBeNull();
+      expect(XirrCalculator.calculateXIRR([{ date: '2023-01-01', amount: -10000 }])).toBeNull();
+      expect(XirrCalculator.calculateXIRR([
+        { date: '2023-01-01', amount: -10000 },
+        { date: '2024-01-01', amount: 0 }
+      ])).toBeNull();
+    });
+
+    test('returns null when all flows fall on one day', () => {
+      expect(XirrCalculator.calculateXIRR([
+        { date: '2024-01-01', amount: -10000 },
+        { date: '2024-01-01', amount: 10100 }
+      ])).toBeNull();
+    });
+
+    test('rejects a non-array input', () => {
+      expect(() => XirrCalculator.calculateXIRR(null)).toThrow('Cash flows must be an array');
+    });
+  });
+});